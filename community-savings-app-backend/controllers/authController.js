@@ -14,6 +14,8 @@ const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
+const mfaService = require('../services/mfaService');
+const errorCodes = require('../utils/errorCodes');
 
 const ACCESS_TOKEN_EXP = process.env.ACCESS_TOKEN_EXP || '15m';
 const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET;
@@ -415,34 +417,141 @@ async function login(req, res) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    if (typeof user.resetFailedLogin === 'function') {
-      await user.resetFailedLogin();
+    // With a second factor due, hand out a challenge instead of a session.
+    // Failed-login counts are only cleared once the challenge is passed.
+    const mfaStep = isMongoConnected() ? await mfaService.loginRequirement(user) : null;
+    if (mfaStep) {
+      const enrol = mfaStep === mfaService.CHALLENGE_PURPOSES.ENROL;
+      return res.status(200).json({
+        message: enrol
+          ? 'Set up two-step verification to continue'
+          : 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaEnrollmentRequired: enrol,
+        mfaToken: mfaService.createChallenge(user, mfaStep),
+      });
     }
 
-    user.lastLogin = new Date();
-    user.security = user.security || {};
-    user.security.lastLoginAt = new Date();
-    user.security.lastLoginIp = req.ip;
-    user.security.lastLoginUserAgent = req.get('User-Agent');
-    await user.save();
+    return startSession(req, res, user, deviceInfo);
+  } catch (err) {
+    console.error('[AuthController] login error', err);
+    return res.status(500).json({ message: 'Login failed' });
+  }
+}
 
-    const accessToken = generateAccessToken(user);
-    const { token: refreshToken } = await createRefreshToken(user._id, {
-      ip: req.ip,
-      ua: req.get('User-Agent'),
-      ...(deviceInfo || {}),
-    });
+/**
+ * Record the sign-in, issue tokens and answer the login request.
+ * @param {Object} extra - merged into the response, e.g. { backupCodes }
+ */
+async function startSession(req, res, user, deviceInfo, extra = {}) {
+  if (typeof user.resetFailedLogin === 'function') {
+    await user.resetFailedLogin();
+  }
 
-    setRefreshCookie(res, refreshToken);
+  user.lastLogin = new Date();
+  user.security = user.security || {};
+  user.security.lastLoginAt = new Date();
+  user.security.lastLoginIp = req.ip;
+  user.security.lastLoginUserAgent = req.get('User-Agent');
+  await user.save();
+
+  const accessToken = generateAccessToken(user);
+  const { token: refreshToken } = await createRefreshToken(user._id, {
+    ip: req.ip,
+    ua: req.get('User-Agent'),
+    ...(deviceInfo || {}),
+  });
+
+  setRefreshCookie(res, refreshToken);
 
+  return res.status(200).json({
+    message: 'Login successful',
+    token: accessToken,
+    user: { id: user._id, email: user.email, name: user.name, role: user.role },
+    ...extra,
+  });
+}
+
+/**
+ * POST /api/auth/login/mfa
+ *
+ * Second sign-in step: an authenticator or backup code for the challenge
+ * login handed out. Users enrolling at sign-in send a code from their new
+ * authenticator instead; the response then carries their backup codes.
+ * Wrong codes count as failed logins, so guessing locks the account.
+ */
+async function loginMfa(req, res) {
+  try {
+    const { mfaToken, code, backupCode, deviceInfo } = req.body;
+    const challenge = mfaService.readChallenge(mfaToken);
+
+    const user = await User.findById(challenge.userId).exec();
+    if (!user || user.status === 'disabled' || user.status === 'suspended') {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    if (typeof user.isLocked === 'function' && user.isLocked()) {
+      return res.status(423).json({
+        message: 'Account temporarily locked due to failed login attempts',
+      });
+    }
+
+    let extra;
+    try {
+      if (challenge.purpose === mfaService.CHALLENGE_PURPOSES.ENROL) {
+        extra = await mfaService.confirmSetup(user._id, code);
+      } else {
+        const { method, backupCodesRemaining } = await mfaService.verify(user._id, {
+          code,
+          backupCode,
+        });
+        extra = { mfaMethod: method, backupCodesRemaining };
+      }
+    } catch (err) {
+      const wrongCode = err.errorCode === errorCodes.MFA_CODE_INVALID;
+      if (wrongCode && typeof user.bumpFailedLogin === 'function') {
+        await user.bumpFailedLogin();
+      }
+      throw err;
+    }
+
+    return startSession(req, res, user, deviceInfo, extra);
+  } catch (err) {
+    if (err.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+    }
+    console.error('[AuthController] login MFA error', err);
+    return res.status(500).json({ message: 'Login failed' });
+  }
+}
+
+/**
+ * POST /api/auth/login/mfa/setup
+ *
+ * For users the MFA policy covers who have not enrolled yet: a new
+ * authenticator secret and QR code, confirmed through /login/mfa.
+ */
+async function loginMfaSetup(req, res) {
+  try {
+    const challenge = mfaService.readChallenge(req.body.mfaToken);
+    if (challenge.purpose !== mfaService.CHALLENGE_PURPOSES.ENROL) {
+      return res.status(409).json({
+        message: 'Two-step verification is already on',
+        errorCode: errorCodes.MFA_ALREADY_ENABLED,
+      });
+    }
+
+    const setup = await mfaService.beginSetup(challenge.userId);
+    res.set('Cache-Control', 'no-store');
     return res.status(200).json({
-      message: 'Login successful',
-      token: accessToken,
-      user: { id: user._id, email: user.email, name: user.name, role: user.role },
+      message: 'Scan the QR code with your authenticator app',
+      data: setup,
     });
   } catch (err) {
-    console.error('[AuthController] login error', err);
-    return res.status(500).json({ message: 'Login failed' });
+    if (err.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+    }
+    console.error('[AuthController] login MFA setup error', err);
+    return res.status(500).json({ message: 'Could not start two-step verification setup' });
   }
 }
 
@@ -952,6 +1061,8 @@ module.exports = {
   // public
   register,
   login,
+  loginMfa,
+  loginMfaSetup,
   refresh,
   logout,
   logoutAll,
@@ -0,0 +1,101 @@
+// controllers/constitutionController.js
+
+const constitutionService = require('../services/constitutionService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Get the group's active constitution.
+ */
+exports.getActive = async (req, res) => {
+  try {
+    const constitution = await constitutionService.getActiveForMember(req.params.groupId, req.user);
+    return res.json({ message: 'Constitution retrieved successfully', data: constitution });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch constitution');
+  }
+};
+
+/**
+ * List every version with the rule changes it made.
+ */
+exports.history = async (req, res) => {
+  try {
+    const versions = await constitutionService.history(req.params.groupId, req.user);
+    return res.json({ message: 'Constitution history retrieved successfully', data: versions });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch constitution history');
+  }
+};
+
+/**
+ * Propose a new version.
+ * Body: { rules, summary?, adoption?: { method?, threshold? } }
+ */
+exports.propose = async (req, res) => {
+  try {
+    const proposal = await constitutionService.propose(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Constitution amendment proposed', data: proposal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to propose constitution amendment');
+  }
+};
+
+/**
+ * Vote on a proposal.
+ * Body: { choice: for|against }
+ */
+exports.vote = async (req, res) => {
+  try {
+    const { groupId, version } = req.params;
+    const proposal = await constitutionService.vote(groupId, Number(version), req.user, req.body.choice);
+    return res.json({ message: `Vote recorded; proposal is ${proposal.status}`, data: proposal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record vote');
+  }
+};
+
+/**
+ * Sign a proposal.
+ */
+exports.sign = async (req, res) => {
+  try {
+    const { groupId, version } = req.params;
+    const proposal = await constitutionService.sign(groupId, Number(version), req.user);
+    return res.json({ message: `Signature recorded; proposal is ${proposal.status}`, data: proposal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record signature');
+  }
+};
+
+/**
+ * Withdraw an open proposal.
+ */
+exports.withdraw = async (req, res) => {
+  try {
+    const { groupId, version } = req.params;
+    const proposal = await constitutionService.withdraw(groupId, Number(version), req.user);
+    return res.json({ message: 'Proposal withdrawn', data: proposal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to withdraw proposal');
+  }
+};
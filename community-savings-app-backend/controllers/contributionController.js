@@ -3,8 +3,13 @@
 const mongoose = require('mongoose');
 const Contribution = require('../models/Contribution');
 const Group = require('../models/Group');
+const constitutionService = require('../services/constitutionService');
+const contributionScheduleService = require('../services/contributionScheduleService');
 const logger = require('../utils/logger');
 
+// Fields returned by the contribution lists; the note lives in metadata
+const LIST_FIELDS = 'userId groupId amount currency date metadata.note createdAt';
+
 /**
  * Safely checks if a user is a member of a group.
  * Handles ObjectId vs string id mismatches.
@@ -17,16 +22,35 @@ function isMember(group, userId) {
   return group.members.some((m) => m?.toString() === String(userId));
 }
 
+/**
+ * Translate service errors (AppError) into a JSON response; unexpected errors are logged as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode, rule: err.rule });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
 /**
  * Add a contribution to a group.
  *
  * Expects:
- *  - req.body: { groupId: string, amount: number, note?: string, date?: string(ISO8601) }
+ *  - req.body: { groupId: string, amount: number, currency?: string, note?: string, date?: string(ISO8601) }
  *  - req.user.id: authenticated user id
  */
 exports.addContribution = async (req, res) => {
   try {
-    const { groupId, amount, note, date } = req.body;
+    const { groupId, amount, currency, note, date } = req.body;
 
     // Basic param sanity; detailed validation is done in the route validators
     if (!groupId || typeof amount !== 'number' || !(amount > 0)) {
@@ -44,15 +68,17 @@ exports.addContribution = async (req, res) => {
       return res.status(403).json({ message: 'You are not a member of this group' });
     }
 
-    // Parse optional date (validated upstream as ISO8601 if provided)
-    const createdAt = date ? new Date(date) : undefined;
+    // Enforce the group's active constitution (minimum contribution, currency)
+    const constitution = await constitutionService.assertContributionAllowed(groupId, { amount, currency });
 
     const contribution = new Contribution({
-      user: req.user.id,
-      group: groupId,
+      userId: req.user.id,
+      groupId,
       amount,
-      ...(note ? { note } : {}),
-      ...(createdAt ? { createdAt } : {}),
+      currency: currency || constitution?.rules?.contributions?.currency || 'UGX',
+      // Optional date is validated upstream as ISO8601
+      ...(date ? { date: new Date(date) } : {}),
+      ...(note ? { metadata: { note } } : {}),
     });
 
     await contribution.save();
@@ -69,6 +95,10 @@ exports.addContribution = async (req, res) => {
       data: contribution, // Return as-is; consumers can decide projections
     });
   } catch (err) {
+    // Constitution rule violations carry the broken rule for the client
+    if (err?.rule) {
+      return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode, rule: err.rule });
+    }
     logger.error('Error adding contribution', {
       userId: req.user?.id,
       body: { ...req.body, amount: undefined }, // avoid logging sensitive numbers verbatim
@@ -113,22 +143,22 @@ exports.getGroupContributions = async (req, res) => {
     }
 
     // Optional date filters
-    const filter = { group: groupId };
+    const filter = { groupId, isDeleted: false };
     const from = req.query.from ? new Date(String(req.query.from)) : null;
     const to = req.query.to ? new Date(String(req.query.to)) : null;
     if (from || to) {
-      filter.createdAt = {};
-      if (from && !Number.isNaN(from.getTime())) filter.createdAt.$gte = from;
-      if (to && !Number.isNaN(to.getTime())) filter.createdAt.$lte = to;
-      if (Object.keys(filter.createdAt).length === 0) delete filter.createdAt;
+      filter.date = {};
+      if (from && !Number.isNaN(from.getTime())) filter.date.$gte = from;
+      if (to && !Number.isNaN(to.getTime())) filter.date.$lte = to;
+      if (Object.keys(filter.date).length === 0) delete filter.date;
     }
 
     // Query with projection + lean for performance
     const [items, total] = await Promise.all([
       Contribution.find(filter)
-        .select('user group amount note createdAt')
-        .populate('user', 'name email')
-        .sort({ createdAt: -1 })
+        .select(LIST_FIELDS)
+        .populate('userId', 'name email')
+        .sort({ date: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
@@ -177,21 +207,21 @@ exports.getUserContributions = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Optional date filters
-    const filter = { user: req.user.id };
+    const filter = { userId: req.user.id, isDeleted: false };
     const from = req.query.from ? new Date(String(req.query.from)) : null;
     const to = req.query.to ? new Date(String(req.query.to)) : null;
     if (from || to) {
-      filter.createdAt = {};
-      if (from && !Number.isNaN(from.getTime())) filter.createdAt.$gte = from;
-      if (to && !Number.isNaN(to.getTime())) filter.createdAt.$lte = to;
-      if (Object.keys(filter.createdAt).length === 0) delete filter.createdAt;
+      filter.date = {};
+      if (from && !Number.isNaN(from.getTime())) filter.date.$gte = from;
+      if (to && !Number.isNaN(to.getTime())) filter.date.$lte = to;
+      if (Object.keys(filter.date).length === 0) delete filter.date;
     }
 
     const [items, total] = await Promise.all([
       Contribution.find(filter)
-        .select('user group amount note createdAt')
-        .populate('group', 'name')
-        .sort({ createdAt: -1 })
+        .select(LIST_FIELDS)
+        .populate('groupId', 'name')
+        .sort({ date: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
@@ -247,25 +277,26 @@ exports.getGroupStats = async (req, res) => {
     const to = req.query.to ? new Date(String(req.query.to)) : null;
 
     const match = {
-      group: new mongoose.Types.ObjectId(groupId),
+      groupId: new mongoose.Types.ObjectId(groupId),
+      isDeleted: false,
     };
     if (from || to) {
-      match.createdAt = {};
-      if (from && !Number.isNaN(from.getTime())) match.createdAt.$gte = from;
-      if (to && !Number.isNaN(to.getTime())) match.createdAt.$lte = to;
-      if (Object.keys(match.createdAt).length === 0) delete match.createdAt;
+      match.date = {};
+      if (from && !Number.isNaN(from.getTime())) match.date.$gte = from;
+      if (to && !Number.isNaN(to.getTime())) match.date.$lte = to;
+      if (Object.keys(match.date).length === 0) delete match.date;
     }
 
     const stats = await Contribution.aggregate([
       { $match: match },
       {
         $group: {
-          _id: '$group',
+          _id: '$groupId',
           totalAmount: { $sum: '$amount' },
           contributionCount: { $sum: 1 },
           avgContribution: { $avg: '$amount' },
-          firstContributionAt: { $min: '$createdAt' },
-          lastContributionAt: { $max: '$createdAt' },
+          firstContributionAt: { $min: '$date' },
+          lastContributionAt: { $max: '$date' },
         },
       },
     ]);
@@ -294,3 +325,61 @@ exports.getGroupStats = async (req, res) => {
     });
   }
 };
+
+/**
+ * Set contribution obligations for group members (officers only).
+ * Body: { startDate, amount?, frequency?, currency?, userIds? }
+ * amount and frequency default to the group constitution.
+ */
+exports.setObligations = async (req, res) => {
+  try {
+    const obligations = await contributionScheduleService.setObligations(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Contribution obligations set', data: obligations });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to set contribution obligations');
+  }
+};
+
+/**
+ * Get active contribution obligations (members see their own).
+ */
+exports.getObligations = async (req, res) => {
+  try {
+    const obligations = await contributionScheduleService.listObligations(req.params.groupId, req.user);
+    return res.json({ message: 'Contribution obligations retrieved successfully', data: obligations });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch contribution obligations');
+  }
+};
+
+/**
+ * Get the due calendar for a date range (defaults to the next 90 days).
+ * Query: { from?, to? }
+ */
+exports.getDueCalendar = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(String(req.query.from)) : new Date();
+    const to = req.query.to
+      ? new Date(String(req.query.to))
+      : new Date(from.getTime() + 90 * 24 * 60 * 60 * 1000);
+    const calendar = await contributionScheduleService.getCalendar(req.params.groupId, req.user, { from, to });
+    return res.json({ message: 'Contribution calendar retrieved successfully', data: calendar });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch contribution calendar');
+  }
+};
+
+/**
+ * Get expected-vs-actual contributions and arrears per member (members see their own).
+ * Query: { asOf? }
+ */
+exports.getGroupArrears = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(String(req.query.asOf)) : new Date();
+    const report = await contributionScheduleService.getArrears(req.params.groupId, req.user, { asOf });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Contribution arrears retrieved successfully', data: report });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch contribution arrears');
+  }
+};
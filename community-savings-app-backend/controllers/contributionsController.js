@@ -1,10 +1,29 @@
 // controllers/contributionsController.js
-const { LedgerEntry } = require("../models");
-const AuditLog = require("../mongo/AuditLog");
+const LedgerEntry = require("../models/LedgerEntry");
+const { createAuditTrail } = require("../utils/auditTrail");
+const rotationService = require("../services/rotationService");
+
+const audit = createAuditTrail("ContributionsController");
 
 exports.createContribution = async (req, res) => {
-  const { saccoId, memberId, amount, paymentReference } = req.body;
+  const { saccoId, paymentReference, rotationRoundId } = req.body;
+  // Contributions are always the signed-in member's own
+  const memberId = req.user.id;
+  let { amount } = req.body;
   try {
+    // Check the rotation round and the payment behind it before booking
+    // anything, so a rejected contribution leaves no ledger entry behind.
+    // The pot is credited with what the provider confirmed, not what was posted.
+    if (rotationRoundId) {
+      await rotationService.assertCanContribute({ roundId: rotationRoundId, userId: memberId });
+      const payment = await rotationService.findConfirmedPayment({
+        reference: paymentReference,
+        userId: memberId,
+        roundId: rotationRoundId
+      });
+      amount = payment.amount;
+    }
+
     const entry = await LedgerEntry.create({
       saccoId,
       debitAccount: `MoMo:${memberId}`,
@@ -12,9 +31,20 @@ exports.createContribution = async (req, res) => {
       amount,
       reference: paymentReference
     });
-    await AuditLog.create({ action: "CONTRIBUTION", actorId: memberId, saccoId, endpoint: req.originalUrl, payload: req.body });
-    res.status(202).json({ success: true, entry });
+    await audit(req.user, "CONTRIBUTION", { actorId: memberId, saccoId, endpoint: req.originalUrl, payload: req.body });
+
+    // Merry-go-round contributions also count towards the open rotation round
+    const rotationRound = rotationRoundId
+      ? await rotationService.recordContribution({
+        roundId: rotationRoundId,
+        userId: memberId,
+        amount,
+        reference: paymentReference
+      })
+      : undefined;
+
+    res.status(202).json({ success: true, entry, rotationRound });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.statusCode || 400).json({ error: err.message });
   }
 };
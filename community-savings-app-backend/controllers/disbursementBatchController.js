@@ -0,0 +1,164 @@
+// controllers/disbursementBatchController.js
+
+const disbursementBatchService = require('../services/disbursementBatchService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by disbursement batch endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Pay a claimed batch in the background; progress is read from the batch.
+ */
+function runInBackground(batch, options) {
+  disbursementBatchService.run(batch, options).catch((err) => {
+    logger.error('Disbursement batch run failed', { batchId: batch._id, error: err.message, stack: err.stack });
+  });
+}
+
+/**
+ * Create a batch for approval.
+ * Body: { source: UPLOAD|APPROVED_LOANS|SAVINGS_CYCLE, groupId?, purpose?, description?, currency?,
+ *         lines? | csv?, loanIds?, savingsCycleId? }
+ */
+exports.create = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.create(req.body, req.user);
+    return res.status(201).json({ message: 'Disbursement batch created and awaiting approval', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create disbursement batch');
+  }
+};
+
+/**
+ * List batches for a group (or all batches for admins). Query: { groupId?, status? }
+ */
+exports.list = async (req, res) => {
+  try {
+    const batches = await disbursementBatchService.listBatches(req.user, {
+      groupId: req.query.groupId,
+      status: req.query.status,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Disbursement batches retrieved successfully', data: batches });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch disbursement batches');
+  }
+};
+
+/**
+ * Get a batch with its lines and progress.
+ */
+exports.get = async (req, res) => {
+  try {
+    const result = await disbursementBatchService.getBatch(req.params.batchId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Disbursement batch retrieved successfully', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch disbursement batch');
+  }
+};
+
+/**
+ * Approve a batch as checker.
+ */
+exports.approve = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.approve(req.params.batchId, req.user);
+    return res.json({ message: 'Disbursement batch approved', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to approve disbursement batch');
+  }
+};
+
+/**
+ * Reject a batch. Body: { reason? }
+ */
+exports.reject = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.reject(req.params.batchId, req.user, { reason: req.body.reason });
+    return res.json({ message: 'Disbursement batch rejected', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reject disbursement batch');
+  }
+};
+
+/**
+ * Withdraw a batch before approval.
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.cancel(req.params.batchId, req.user);
+    return res.json({ message: 'Disbursement batch cancelled', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel disbursement batch');
+  }
+};
+
+/**
+ * Start paying an approved batch. Responds 202; poll the batch for progress.
+ */
+exports.execute = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.start(req.params.batchId, req.user);
+    runInBackground(batch, {});
+    return res.status(202).json({ message: 'Disbursement batch is being paid', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to execute disbursement batch');
+  }
+};
+
+/**
+ * Retry the failed lines of a partially failed batch, checking unclear payouts with
+ * the provider before resending them. Responds 202.
+ */
+exports.retryFailed = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.start(req.params.batchId, req.user, { retryFailedOnly: true });
+    runInBackground(batch, { retryFailedOnly: true });
+    return res.status(202).json({ message: 'Failed payouts are being retried', data: batch });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to retry disbursement batch');
+  }
+};
+
+/**
+ * Confirm sent payouts with the providers and build the reconciliation report.
+ */
+exports.reconcile = async (req, res) => {
+  try {
+    const batch = await disbursementBatchService.reconcile(req.params.batchId, req.user);
+    return res.json({ message: 'Disbursement batch reconciled', data: batch.report });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reconcile disbursement batch');
+  }
+};
+
+/**
+ * Get the last reconciliation report.
+ */
+exports.report = async (req, res) => {
+  try {
+    const { batch } = await disbursementBatchService.getBatch(req.params.batchId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Reconciliation report retrieved successfully', data: batch.report || null });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch reconciliation report');
+  }
+};
@@ -0,0 +1,93 @@
+// controllers/dividendController.js
+
+const dividendDistributionJob = require('../modules/finance/jobs/dividendDistributionJob');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Compute a per-member dividend breakdown for approval. Nothing is posted.
+ * Body: { fiscalYear, distributableProfit, method?, groupId?, periodStart?, periodEnd?,
+ *         payoutOption?, memberOptions?, currency? }
+ */
+exports.preview = async (req, res) => {
+  try {
+    const distribution = await dividendDistributionJob.preview({
+      ...req.body,
+      tenantId: tenantOf(req),
+      requestedBy: req.user.id,
+    });
+    return res.status(201).json({ message: 'Dividend preview ready for approval', data: distribution });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to preview dividend');
+  }
+};
+
+/**
+ * Get a dividend declaration and its member lines.
+ */
+exports.getDistribution = async (req, res) => {
+  try {
+    const distribution = await dividendDistributionJob.getDistribution({
+      tenantId: tenantOf(req),
+      distributionId: req.params.id,
+    });
+    return res.json({ message: 'Dividend distribution retrieved successfully', data: distribution });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch dividend distribution');
+  }
+};
+
+/**
+ * Approve a preview and post it; re-approving a partially posted run resumes its unsettled lines.
+ */
+exports.approve = async (req, res) => {
+  try {
+    const result = await dividendDistributionJob.run({
+      tenantId: tenantOf(req),
+      distributionId: req.params.id,
+      approvedBy: req.user.id,
+    });
+    return res.json({
+      message: result.success ? 'Dividend posted' : 'Dividend partially posted; some payouts are unsettled',
+      data: result,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to post dividend');
+  }
+};
+
+/**
+ * Discard a preview.
+ */
+exports.reject = async (req, res) => {
+  try {
+    const distribution = await dividendDistributionJob.reject({
+      tenantId: tenantOf(req),
+      distributionId: req.params.id,
+    });
+    return res.json({ message: 'Dividend preview rejected', data: distribution });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reject dividend preview');
+  }
+};
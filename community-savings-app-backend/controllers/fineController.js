@@ -0,0 +1,165 @@
+// controllers/fineController.js
+
+const fineService = require('../services/fineService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Create a fine rule.
+ * Body: { name, trigger, calculation?, amount, graceDays?, minAmount?, maxAmount?, currency?, effectiveFrom? }
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await fineService.createRule(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Fine rule created successfully', data: rule });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create fine rule');
+  }
+};
+
+/**
+ * List a group's fine rules.
+ */
+exports.listRules = async (req, res) => {
+  try {
+    const rules = await fineService.listRules(req.params.groupId, req.user);
+    return res.json({ message: 'Fine rules retrieved successfully', data: rules });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch fine rules');
+  }
+};
+
+/**
+ * Update or deactivate a fine rule.
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const { groupId, ruleId } = req.params;
+    const rule = await fineService.updateRule(groupId, ruleId, req.body, req.user);
+    return res.json({ message: 'Fine rule updated successfully', data: rule });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update fine rule');
+  }
+};
+
+/**
+ * Evaluate the group's rules now and issue any new fines.
+ * Body: { asOf? }
+ */
+exports.evaluate = async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    const { issued, evaluatedRules } = await fineService.evaluateGroup(req.params.groupId, { asOf }, req.user);
+    return res.json({
+      message: `${issued.length} fine(s) issued`,
+      data: { issued, evaluatedRules },
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to evaluate fines');
+  }
+};
+
+/**
+ * List fines. Members only see their own.
+ * Query: { status?, userId? }
+ */
+exports.listFines = async (req, res) => {
+  try {
+    const fines = await fineService.listFines(req.params.groupId, req.user, req.query);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Fines retrieved successfully', data: fines });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch fines');
+  }
+};
+
+/**
+ * Charge a member a fine manually.
+ * Body: { userId, amount, reason, currency? }
+ */
+exports.issueFine = async (req, res) => {
+  try {
+    const fine = await fineService.issueManualFine(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Fine issued successfully', data: fine });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to issue fine');
+  }
+};
+
+/**
+ * Record a payment against a fine.
+ * Body: { amount, reference? }
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const { groupId, fineId } = req.params;
+    const fine = await fineService.recordPayment(groupId, fineId, req.user, req.body);
+    return res.json({ message: 'Fine payment recorded', data: fine });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record fine payment');
+  }
+};
+
+/**
+ * Waive the unpaid balance of a fine.
+ * Body: { reason }
+ */
+exports.waiveFine = async (req, res) => {
+  try {
+    const { groupId, fineId } = req.params;
+    const fine = await fineService.waiveFine(groupId, fineId, req.user, req.body);
+    return res.json({ message: 'Fine waived', data: fine });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to waive fine');
+  }
+};
+
+/**
+ * Appeal a fine (fined member only).
+ * Body: { reason }
+ */
+exports.appealFine = async (req, res) => {
+  try {
+    const { groupId, fineId } = req.params;
+    const fine = await fineService.appealFine(groupId, fineId, req.user, req.body);
+    return res.json({ message: 'Appeal submitted', data: fine });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to submit appeal');
+  }
+};
+
+/**
+ * Decide an appeal.
+ * Body: { overturn: boolean, note? }
+ */
+exports.decideAppeal = async (req, res) => {
+  try {
+    const { groupId, fineId } = req.params;
+    const fine = await fineService.decideAppeal(groupId, fineId, req.user, {
+      overturn: req.body.overturn === true,
+      note: req.body.note,
+    });
+    return res.json({ message: `Appeal ${fine.appeal.status}`, data: fine });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to decide appeal');
+  }
+};
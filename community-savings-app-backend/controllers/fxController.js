@@ -0,0 +1,135 @@
+// controllers/fxController.js
+
+const fxService = require('../modules/finance/services/fxService');
+const fxRevaluationService = require('../modules/finance/services/fxRevaluationService');
+const trialBalanceService = require('../modules/finance/services/trialBalanceService');
+const balanceSheetService = require('../modules/finance/services/balanceSheetService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by FX endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    query: req.query,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Rate table, newest first per currency. Query: { currency?, reportingCurrency?, limit? }
+ */
+exports.listRates = async (req, res) => {
+  try {
+    const rates = await fxService.listRates({
+      tenantId: tenantOf(req),
+      currency: req.query.currency,
+      reportingCurrency: req.query.reportingCurrency,
+      limit: req.query.limit,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Exchange rates retrieved successfully', data: rates });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch exchange rates');
+  }
+};
+
+/**
+ * Add a rate effective from a date. Earlier rates stay in force for earlier dates.
+ * Body: { currency, reportingCurrency?, rate, effectiveFrom?, source?, note? }
+ */
+exports.setRate = async (req, res) => {
+  try {
+    const rate = await fxService.setRate({
+      ...req.body,
+      tenantId: tenantOf(req),
+      createdBy: req.user.id,
+    });
+    return res.status(201).json({ message: 'Exchange rate recorded', data: rate });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record exchange rate');
+  }
+};
+
+/**
+ * Convert an amount to the reporting currency. Query: { amount, currency, asOf? }
+ */
+exports.convert = async (req, res) => {
+  try {
+    const conversion = await fxService.convert({
+      tenantId: tenantOf(req),
+      amount: req.query.amount,
+      currency: req.query.currency,
+      asOf: req.query.asOf,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Amount converted successfully', data: conversion });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to convert amount');
+  }
+};
+
+/**
+ * Trial balance in the reporting currency, with each account's balance in its own currency.
+ * Query: { startDate?, endDate? }
+ */
+exports.trialBalance = async (req, res) => {
+  try {
+    const report = await trialBalanceService.generateTrialBalance({
+      tenantId: tenantOf(req),
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Trial balance generated successfully', data: report });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to generate trial balance');
+  }
+};
+
+/**
+ * Balance sheet in the reporting currency, with account-currency balances.
+ * Query: { startDate?, endDate? }
+ */
+exports.balanceSheet = async (req, res) => {
+  try {
+    const report = await balanceSheetService.generateBalanceSheet({
+      tenantId: tenantOf(req),
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      reportDate: req.query.endDate ? new Date(req.query.endDate) : new Date(),
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Balance sheet generated successfully', data: report });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to generate balance sheet');
+  }
+};
+
+/**
+ * What a revaluation at `asOf` would post, without posting it. Query: { asOf? }
+ */
+exports.previewRevaluation = async (req, res) => {
+  try {
+    const revaluation = await fxRevaluationService.calculateRevaluation({
+      tenantId: tenantOf(req),
+      asOf: req.query.asOf || new Date(),
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'FX revaluation calculated successfully', data: revaluation });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to calculate FX revaluation');
+  }
+};
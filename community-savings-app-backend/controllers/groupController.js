@@ -19,6 +19,7 @@ exports.createGroup = async (req, res) => {
       name,
       type = 'savings',
       description = '',
+      smsCode,
       members: memberData = [],
       createdBy = req.user?.id,
     } = req.body;
@@ -76,6 +77,7 @@ exports.createGroup = async (req, res) => {
       name: name.trim(),
       type,
       description: description.trim(),
+      smsCode: smsCode || undefined, // Generated when not given
       members: [createdBy], // Creator is automatically first member
       createdBy,
       metadata: {
@@ -123,12 +125,17 @@ exports.createGroup = async (req, res) => {
         name: group.name,
         type: group.type,
         description: group.description,
+        smsCode: group.smsCode,
         members: group.members,
         createdBy: group.createdBy,
       },
       invitedCount: uniqueEmails.length,
     });
   } catch (err) {
+    if (err.code === 11000) {
+      const field = Object.keys(err.keyPattern || {})[0] === 'smsCode' ? 'SMS code' : 'name';
+      return res.status(409).json({ message: `A group with this ${field} already exists` });
+    }
     logger.error('GROUP_CREATION_ERROR', {
       userId: req.user?.id,
       error: err.message,
@@ -1,5 +1,5 @@
 // controllers/groupWalletController.js
-const { LedgerEntry } = require("../models");
+const LedgerEntry = require("../models/LedgerEntry");
 
 exports.getBalance = async (req, res) => {
   const { id } = req.params;
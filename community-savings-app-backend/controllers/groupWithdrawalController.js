@@ -0,0 +1,135 @@
+// controllers/groupWithdrawalController.js
+
+const groupWithdrawalService = require('../services/groupWithdrawalService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Get the group's withdrawal approval policy and its current signatories.
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await groupWithdrawalService.getPolicyForUser(req.params.groupId, req.user);
+    return res.json({ message: 'Withdrawal policy retrieved successfully', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch withdrawal policy');
+  }
+};
+
+/**
+ * Replace the group's withdrawal approval policy.
+ * Body: { signatoryRoles?, tiers: [{ minAmount, requiredApprovals }], expiryHours? }
+ */
+exports.setPolicy = async (req, res) => {
+  try {
+    const policy = await groupWithdrawalService.setPolicy(req.params.groupId, req.body, req.user);
+    return res.json({ message: 'Withdrawal policy updated successfully', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update withdrawal policy');
+  }
+};
+
+/**
+ * Request a payout from the group fund.
+ * Body: { amount, purpose, recipientId?, phoneNumber?, currency? }
+ */
+exports.requestWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = await groupWithdrawalService.requestWithdrawal(req.params.groupId, req.body, req.user);
+    const released = withdrawal.status === 'released';
+    return res.status(released ? 200 : 202).json({
+      message: released ? 'Withdrawal approved and released' : 'Withdrawal awaiting signatures',
+      data: withdrawal,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to request withdrawal');
+  }
+};
+
+/**
+ * List the group's withdrawal requests. Query: { status? }
+ */
+exports.listWithdrawals = async (req, res) => {
+  try {
+    const withdrawals = await groupWithdrawalService.listWithdrawals(req.params.groupId, req.user, {
+      status: req.query.status,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Withdrawals retrieved successfully', data: withdrawals });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch withdrawals');
+  }
+};
+
+/**
+ * Get a withdrawal request with its signatures.
+ */
+exports.getWithdrawal = async (req, res) => {
+  try {
+    const { groupId, withdrawalId } = req.params;
+    const withdrawal = await groupWithdrawalService.getWithdrawal(groupId, withdrawalId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Withdrawal retrieved successfully', data: withdrawal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch withdrawal');
+  }
+};
+
+/**
+ * Approve or reject a withdrawal as a signatory.
+ * Body: { decision: approve|reject, note? }
+ */
+exports.sign = async (req, res) => {
+  try {
+    const { groupId, withdrawalId } = req.params;
+    const withdrawal = await groupWithdrawalService.sign(groupId, withdrawalId, req.body, req.user);
+    return res.json({ message: `Withdrawal is ${withdrawal.status}`, data: withdrawal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to sign withdrawal');
+  }
+};
+
+/**
+ * Cancel a pending withdrawal.
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const { groupId, withdrawalId } = req.params;
+    const withdrawal = await groupWithdrawalService.cancel(groupId, withdrawalId, req.user);
+    return res.json({ message: 'Withdrawal cancelled', data: withdrawal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel withdrawal');
+  }
+};
+
+/**
+ * Retry the mobile money transfer of an approved withdrawal that failed.
+ */
+exports.retryRelease = async (req, res) => {
+  try {
+    const { groupId, withdrawalId } = req.params;
+    const withdrawal = await groupWithdrawalService.retryRelease(groupId, withdrawalId, req.user);
+    return res.json({ message: `Withdrawal is ${withdrawal.status}`, data: withdrawal });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to release withdrawal');
+  }
+};
@@ -0,0 +1,93 @@
+// controllers/guarantorController.js
+
+const guarantorService = require('../services/guarantorService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Send consent requests to the loan's pending guarantors.
+ */
+exports.requestConsent = async (req, res) => {
+  try {
+    const result = await guarantorService.requestConsent(req.params.loanId, req.user);
+    return res.json({ message: `Consent requested from ${result.requested} guarantor(s)`, data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to request guarantor consent');
+  }
+};
+
+/**
+ * Accept or decline a guarantor request in the app.
+ * Body: { decision: accept|decline, reason? }
+ */
+exports.respond = async (req, res) => {
+  try {
+    const { loanId, guarantorId } = req.params;
+    const entry = await guarantorService.respond(loanId, guarantorId, {
+      decision: req.body.decision,
+      reason: req.body.reason,
+      channel: 'APP',
+      user: req.user,
+    });
+    return res.json({ message: `Guarantee ${entry.status.toLowerCase()}`, data: entry });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record guarantor response');
+  }
+};
+
+/**
+ * The signed-in member's guarantees on open loans.
+ */
+exports.myExposures = async (req, res) => {
+  try {
+    const exposures = await guarantorService.getMyExposures(req.user);
+    return res.json({ message: 'Guarantor exposures retrieved successfully', data: exposures });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch guarantor exposures');
+  }
+};
+
+/**
+ * A member's guarantees on open loans (staff view).
+ */
+exports.memberExposures = async (req, res) => {
+  try {
+    const tenantId = req.tenant_id || req.user?.tenantId;
+    const exposures = await guarantorService.getExposures(tenantId, [req.params.memberId]);
+    return res.json({ message: 'Guarantor exposures retrieved successfully', data: exposures });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch guarantor exposures');
+  }
+};
+
+/**
+ * Inbound SMS reply from the SMS gateway ("YES 123456" / "NO 123456").
+ * Body: { from, text }
+ */
+exports.smsReply = async (req, res) => {
+  try {
+    const reply = await guarantorService.handleSmsReply(req.body.from, req.body.text);
+    return res.json({ message: 'Reply processed', data: { reply } });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to process SMS reply');
+  }
+};
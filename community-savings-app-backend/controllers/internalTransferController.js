@@ -0,0 +1,72 @@
+// controllers/internalTransferController.js
+
+const internalTransferService = require('../services/internalTransferService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by transfer endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Send money from the caller's savings account. Header: Idempotency-Key.
+ * Body: { type, fromSavingsId, amount, narration?, toUserId?, toSavingsId?, groupId?,
+ *         purpose?, fineId?, loanId?, onBehalfOf? }
+ */
+exports.create = async (req, res) => {
+  try {
+    const transfer = await internalTransferService.transfer(req.body, req.user, {
+      idempotencyKey: req.get('Idempotency-Key'),
+      ip: req.ip,
+      deviceId: req.get('X-Device-Id'),
+      channel: 'api',
+    });
+    return res.status(201).json({ message: 'Transfer completed', data: transfer });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to complete transfer');
+  }
+};
+
+/**
+ * List transfers the caller sent or received. Query: { direction?, status? }
+ */
+exports.list = async (req, res) => {
+  try {
+    const transfers = await internalTransferService.list(req.user, {
+      direction: req.query.direction,
+      status: req.query.status,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Transfers retrieved successfully', data: transfers });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch transfers');
+  }
+};
+
+/**
+ * Get a transfer (receipt) by reference.
+ */
+exports.get = async (req, res) => {
+  try {
+    const transfer = await internalTransferService.get(req.params.reference, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Transfer retrieved successfully', data: transfer });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch transfer');
+  }
+};
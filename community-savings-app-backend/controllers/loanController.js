@@ -25,6 +25,12 @@
 const LoanWorkflowService =
     require('../modules/loan/services/loanWorkflowService');
 
+const constitutionService =
+    require('../services/constitutionService');
+
+const loanProductService =
+    require('../services/loanProductService');
+
 const {
     handleError
 } = require('../middlewares/errorMiddleware');
@@ -83,6 +89,82 @@ class LoanController {
         }
     }
 
+    /**
+     * Loans must respect the active constitution of the
+     * borrower's group (loan multiple of savings, maximum
+     * term). The group is resolved from the borrower's
+     * membership; a groupId in the body only picks one of
+     * the borrower's groups.
+     */
+    static async enforceConstitution(req) {
+
+        const payload =
+            req.body || {};
+
+        const borrowerId =
+            payload.memberId ||
+            req.user?.id;
+
+        const group =
+            await constitutionService
+                .resolveLoanGroup(
+                    borrowerId,
+                    payload.groupId ||
+                    payload.group
+                );
+
+        if (!group) {
+            return;
+        }
+
+        await constitutionService
+            .assertLoanAllowed(
+                group._id,
+                {
+                    userId:
+                        borrowerId,
+
+                    amount:
+                        payload.amount,
+
+                    termMonths:
+                        payload.termMonths ??
+                        payload.duration ??
+                        payload.repaymentPeriodMonths
+                }
+            );
+    }
+
+    /**
+     * Applications naming a loan product (productId or productCode) are
+     * checked against it and take its rate, term, fees and schedule.
+     */
+    static async applyLoanProduct(req) {
+
+        const payload =
+            req.body || {};
+
+        if (
+            !payload.productId &&
+            !payload.productCode
+        ) {
+            return;
+        }
+
+        const terms =
+            await loanProductService
+                .applyToApplication(
+                    req.tenant_id,
+                    payload,
+                    req.user
+                );
+
+        req.body = {
+            ...payload,
+            ...terms
+        };
+    }
+
     /**
      * =========================================================================
      * CREATE LOAN APPLICATION
@@ -102,6 +184,11 @@ class LoanController {
 
             this.validateTenant(req);
 
+            // After the product, whose term the constitution also limits
+            await this.applyLoanProduct(req);
+
+            await this.enforceConstitution(req);
+
             const result =
                 await LoanWorkflowService
                     .createLoanApplication(
@@ -150,6 +237,11 @@ class LoanController {
 
         try {
 
+            // After the product, whose term the constitution also limits
+            await this.applyLoanProduct(req);
+
+            await this.enforceConstitution(req);
+
             const result =
                 await LoanWorkflowService
                     .requestLoan(
@@ -0,0 +1,101 @@
+// controllers/loanProductController.js
+
+const loanProductService = require('../services/loanProductService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * List the tenant's products (current versions).
+ * Query: { includeRetired? }
+ */
+exports.listProducts = async (req, res) => {
+  try {
+    const products = await loanProductService.listProducts(tenantOf(req), {
+      includeRetired: req.query.includeRetired === true || req.query.includeRetired === 'true',
+    });
+    return res.json({ message: 'Loan products retrieved successfully', data: products });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch loan products');
+  }
+};
+
+/**
+ * Get the current version of a product.
+ */
+exports.getProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.getProduct(tenantOf(req), req.params.code);
+    return res.json({ message: 'Loan product retrieved successfully', data: product });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch loan product');
+  }
+};
+
+/**
+ * List every version of a product.
+ */
+exports.getHistory = async (req, res) => {
+  try {
+    const versions = await loanProductService.getHistory(tenantOf(req), req.params.code);
+    return res.json({ message: 'Loan product history retrieved successfully', data: versions });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch loan product history');
+  }
+};
+
+/**
+ * Create a product.
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.createProduct(tenantOf(req), req.body, req.user);
+    return res.status(201).json({ message: 'Loan product created', data: product });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create loan product');
+  }
+};
+
+/**
+ * Change a product's terms; saved as a new version.
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.updateProduct(tenantOf(req), req.params.code, req.body, req.user);
+    return res.json({ message: `Loan product updated to version ${product.version}`, data: product });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update loan product');
+  }
+};
+
+/**
+ * Stop offering a product.
+ */
+exports.retireProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.retireProduct(tenantOf(req), req.params.code, req.user);
+    return res.json({ message: 'Loan product retired', data: product });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to retire loan product');
+  }
+};
@@ -0,0 +1,102 @@
+// controllers/loanRestructureController.js
+
+const loanRestructureService = require('../services/loanRestructureService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Request a restructure of a loan (maker step).
+ * Body: { type, reason, extensionMonths?, holidayPeriods?, writeDownAmount? }
+ */
+exports.requestRestructure = async (req, res) => {
+  try {
+    const result = await loanRestructureService.requestRestructure(req.params.loanId, req.body, req.user);
+    return res.status(201).json({ message: 'Restructure requested; awaiting approval', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to request loan restructure');
+  }
+};
+
+/**
+ * List restructure requests.
+ * Query: { status?, loanId? }
+ */
+exports.listRequests = async (req, res) => {
+  try {
+    const requests = await loanRestructureService.listRequests(tenantOf(req), req.query);
+    return res.json({ message: 'Restructure requests retrieved successfully', data: requests });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch restructure requests');
+  }
+};
+
+/**
+ * Get a request; pending requests include the proposed schedule.
+ */
+exports.getRequest = async (req, res) => {
+  try {
+    const request = await loanRestructureService.getRequest(req.params.id, req.user);
+    return res.json({ message: 'Restructure request retrieved successfully', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch restructure request');
+  }
+};
+
+/**
+ * Approve and apply a request (checker step).
+ * Body: { note? }
+ */
+exports.approve = async (req, res) => {
+  try {
+    const request = await loanRestructureService.approve(req.params.id, req.user, req.body.note);
+    return res.json({ message: 'Loan restructured', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to approve loan restructure');
+  }
+};
+
+/**
+ * Reject a request.
+ * Body: { note? }
+ */
+exports.reject = async (req, res) => {
+  try {
+    const request = await loanRestructureService.reject(req.params.id, req.user, req.body.note);
+    return res.json({ message: 'Restructure request rejected', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reject loan restructure');
+  }
+};
+
+/**
+ * Withdraw a pending request.
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const request = await loanRestructureService.cancel(req.params.id, req.user);
+    return res.json({ message: 'Restructure request cancelled', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel restructure request');
+  }
+};
@@ -1,6 +1,8 @@
 // controllers/loansController.js
-const { LedgerEntry } = require("../models");
-const AuditLog = require("../mongo/AuditLog");
+const LedgerEntry = require("../models/LedgerEntry");
+const { createAuditTrail } = require("../utils/auditTrail");
+
+const audit = createAuditTrail("LoansController");
 
 exports.createLoan = async (req, res) => {
   const { saccoId, memberId, amount } = req.body;
@@ -13,6 +15,6 @@ exports.createLoan = async (req, res) => {
     amount,
     reference: `LOAN-${Date.now()}`
   });
-  await AuditLog.create({ action: "LOAN_DISBURSEMENT", actorId: req.user.id, saccoId, endpoint: req.originalUrl, payload: req.body });
+  await audit(req.user, "LOAN_DISBURSEMENT", { actorId: req.user.id, saccoId, endpoint: req.originalUrl, payload: req.body });
   res.status(202).json({ success: true, entry });
 };
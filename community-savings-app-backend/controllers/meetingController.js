@@ -0,0 +1,134 @@
+// controllers/meetingController.js
+
+const meetingService = require('../services/meetingService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Schedule a group meeting.
+ * Body: { title, scheduledAt, quorumRequired?, agenda?, currency? }
+ */
+exports.scheduleMeeting = async (req, res) => {
+  try {
+    const meeting = await meetingService.scheduleMeeting(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Meeting scheduled successfully', data: meeting });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to schedule meeting');
+  }
+};
+
+/**
+ * List a group's meetings. Query: { status? }
+ */
+exports.listMeetings = async (req, res) => {
+  try {
+    const meetings = await meetingService.listMeetings(req.params.groupId, req.user, {
+      status: req.query.status,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Meetings retrieved successfully', data: meetings });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch meetings');
+  }
+};
+
+/**
+ * Get a meeting with its records and running totals.
+ */
+exports.getMeeting = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const data = await meetingService.getMeeting(groupId, meetingId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Meeting retrieved successfully', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch meeting');
+  }
+};
+
+/**
+ * Start a scheduled meeting.
+ */
+exports.startMeeting = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const meeting = await meetingService.startMeeting(groupId, meetingId, req.user);
+    return res.json({ message: 'Meeting started', data: meeting });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start meeting');
+  }
+};
+
+/**
+ * Record attendance.
+ * Body: { attendance: [{ userId, status }] }
+ */
+exports.recordAttendance = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const meeting = await meetingService.recordAttendance(groupId, meetingId, req.user, req.body.attendance);
+    return res.json({ message: 'Attendance recorded', data: { attendance: meeting.attendance, quorum: meeting.quorum } });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to record attendance');
+  }
+};
+
+/**
+ * Update the agenda and/or minutes.
+ * Body: { agenda?, minutes? }
+ */
+exports.updateMeeting = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const meeting = await meetingService.updateMeeting(groupId, meetingId, req.user, req.body);
+    return res.json({ message: 'Meeting updated successfully', data: meeting });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update meeting');
+  }
+};
+
+/**
+ * Record a contribution, repayment or fine taken at the meeting.
+ * Body: { type, userId, amount, loanId?, fineId?, reason?, reference? }
+ */
+exports.addRecord = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const data = await meetingService.addRecord(groupId, meetingId, req.user, req.body);
+    return res.status(201).json({ message: 'Meeting record saved', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to save meeting record');
+  }
+};
+
+/**
+ * Close a meeting and post its records to the ledger.
+ */
+exports.closeMeeting = async (req, res) => {
+  try {
+    const { groupId, meetingId } = req.params;
+    const meeting = await meetingService.closeMeeting(groupId, meetingId, req.user);
+    return res.json({ message: 'Meeting closed', data: meeting });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to close meeting');
+  }
+};
@@ -0,0 +1,125 @@
+// controllers/mfaController.js
+
+const mfaService = require('../services/mfaService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by MFA endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Whether the caller has two-step verification on, whether policy requires
+ * it, and how many backup codes are left.
+ */
+exports.status = async (req, res) => {
+  try {
+    const status = await mfaService.status(req.user.id);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Two-step verification status retrieved', data: status });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch two-step verification status');
+  }
+};
+
+/**
+ * A new authenticator secret with its otpauth:// URI and QR code.
+ */
+exports.setup = async (req, res) => {
+  try {
+    const setup = await mfaService.beginSetup(req.user.id);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Scan the QR code with your authenticator app', data: setup });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start two-step verification setup');
+  }
+};
+
+/**
+ * Turn two-step verification on; the backup codes are only shown here.
+ */
+exports.confirm = async (req, res) => {
+  try {
+    const result = await mfaService.confirmSetup(req.user.id, req.body.code, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Two-step verification is on', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to turn on two-step verification');
+  }
+};
+
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const result = await mfaService.regenerateBackupCodes(req.user.id, req.body.code, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      message: 'New backup codes issued; the old ones no longer work',
+      data: result,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to issue new backup codes');
+  }
+};
+
+exports.disable = async (req, res) => {
+  try {
+    await mfaService.disable(
+      req.user.id,
+      { code: req.body.code, backupCode: req.body.backupCode },
+      req.user
+    );
+    return res.json({ message: 'Two-step verification is off' });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to turn off two-step verification');
+  }
+};
+
+/**
+ * Admin recovery for a user who lost their authenticator and backup codes.
+ */
+exports.adminReset = async (req, res) => {
+  try {
+    await mfaService.adminReset(req.params.userId, { reason: req.body.reason }, req.user);
+    return res.json({
+      message: 'Two-step verification reset; the user will set it up again at sign-in',
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reset two-step verification');
+  }
+};
+
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await mfaService.getPolicy(tenantOf(req));
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'MFA policy retrieved successfully', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch the MFA policy');
+  }
+};
+
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await mfaService.setPolicy(tenantOf(req), req.body, req.user);
+    return res.json({ message: 'MFA policy updated successfully', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update the MFA policy');
+  }
+};
@@ -0,0 +1,173 @@
+// controllers/mpesaController.js
+
+const { getMpesaPaymentModule } = require('../modules/payment/mpesa');
+const { normalizeMsisdn } = require('../modules/payment/mpesa/auth');
+const { ACCEPTED } = require('../modules/payment/mpesa/callbacks');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Paybill payments use the member's phone number as the account number.
+ * Unknown account numbers resolve to null and land in unallocated receipts.
+ */
+async function resolveMemberAccount(billRefNumber) {
+  let msisdn;
+  try {
+    msisdn = normalizeMsisdn(billRefNumber);
+  } catch (err) {
+    return null;
+  }
+  const user = await User.findOne({ phone: { $in: [msisdn, `+${msisdn}`, `0${msisdn.slice(3)}`] } })
+    .select('_id tenantId')
+    .lean();
+  return user ? { tenantId: user.tenantId, userId: user._id, transactionType: 'DEPOSIT' } : null;
+}
+
+const mpesa = () => getMpesaPaymentModule({ logger, resolveAccount: resolveMemberAccount });
+
+/**
+ * Translate payment errors (PaymentError) into the JSON shape used by the API.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.httpStatus && err.httpStatus < 500) {
+    return res.status(err.httpStatus).json({ message: err.message, errorCode: err.code });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(err?.httpStatus || 500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Prompt a member's phone with an STK push.
+ * Body: { amount, phoneNumber, reference?, type?, groupId?, loanId?, contributionId?, description? }
+ */
+exports.collect = async (req, res) => {
+  try {
+    const result = await mpesa().collect({
+      ...req.body,
+      tenantId: tenantOf(req),
+      userId: req.body.userId || req.user.id,
+      requestedBy: req.user.id,
+    });
+    return res.status(result.duplicate ? 200 : 202).json({
+      message: result.duplicate ? 'Collection already requested' : 'Payment prompt sent to phone',
+      data: result,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start M-Pesa collection');
+  }
+};
+
+/**
+ * Send money to a member's M-Pesa wallet (B2C).
+ * Body: { amount, phoneNumber, reference?, type?, userId?, groupId?, loanId?, remarks? }
+ */
+exports.disburse = async (req, res) => {
+  try {
+    const { phoneNumber, name, ...request } = req.body;
+    const result = await mpesa().disburse({
+      ...request,
+      beneficiary: { phoneNumber, name },
+      tenantId: tenantOf(req),
+      requestedBy: req.user.id,
+    });
+    return res.status(result.duplicate ? 200 : 202).json({
+      message: result.duplicate ? 'Disbursement already requested' : 'Disbursement submitted to M-Pesa',
+      data: result,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start M-Pesa disbursement');
+  }
+};
+
+/**
+ * Current status of an M-Pesa transaction; open STK prompts are re-queried.
+ */
+exports.getTransaction = async (req, res) => {
+  try {
+    const result = await mpesa().query(req.params.reference);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Transaction retrieved successfully', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch M-Pesa transaction');
+  }
+};
+
+/**
+ * Daraja callbacks (STK, C2B validation/confirmation, B2C result/timeout).
+ * Authenticated by the token in the callback URL, not by JWT.
+ */
+exports.callback = async (req, res) => {
+  const kind = [req.params.kind, req.params.phase].filter(Boolean).join('/');
+  try {
+    const response = await mpesa().callbacks.handle({
+      kind,
+      payload: req.body,
+      token: req.query.token,
+      ip: req.ip,
+      correlationId: req.id,
+    });
+    return res.json(response);
+  } catch (err) {
+    if (err?.httpStatus === 401) {
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+    }
+    // Parked in the dead-letter queue; refuse validation, acknowledge the rest
+    if (kind === 'c2b/validation') {
+      return res.json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+    }
+    return res.json(ACCEPTED);
+  }
+};
+
+/**
+ * Reconcile a day against an M-Pesa organisation statement.
+ * Body: { date: YYYY-MM-DD, statement: CSV text }
+ */
+exports.reconcile = async (req, res) => {
+  try {
+    const result = await mpesa().reconciliation.reconcile({
+      tenantId: req.body.tenantId,
+      date: req.body.date,
+      statement: req.body.statement,
+      generatedBy: req.user.id,
+    });
+    return res.status(201).json({ message: 'Reconciliation completed', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to reconcile M-Pesa statement');
+  }
+};
+
+/**
+ * Register the C2B validation and confirmation URLs for the paybill.
+ */
+exports.registerC2BUrls = async (req, res) => {
+  try {
+    const result = await mpesa().collections.registerC2BUrls({ responseType: req.body.responseType });
+    return res.json({ message: 'C2B URLs registered', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to register M-Pesa C2B URLs');
+  }
+};
+
+/**
+ * Aggregate health of the M-Pesa services.
+ */
+exports.health = async (req, res) => {
+  try {
+    const health = await mpesa().health();
+    return res.status(health.status === 'UP' ? 200 : 503).json({ message: `M-Pesa is ${health.status}`, data: health });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to check M-Pesa health');
+  }
+};
@@ -0,0 +1,168 @@
+// controllers/paymentRequestController.js
+
+const fs = require('fs');
+const path = require('path');
+const paymentRequestService = require('../services/paymentRequestService');
+const logger = require('../utils/logger');
+
+const PAGE_TEMPLATE = path.join(__dirname, '../templates/pages/paymentRequest.html');
+const PURPOSE_LABELS = { CONTRIBUTION: 'Contribution', LOAN_REPAYMENT: 'Loan repayment' };
+let pageTemplate;
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by payment request endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Fill the public page's {{placeholders}}; every value is HTML-escaped.
+ */
+function renderPage(view) {
+  pageTemplate = pageTemplate || fs.readFileSync(PAGE_TEMPLATE, 'utf8');
+  const open = view.status === 'OPEN';
+  const vars = {
+    ...view,
+    amount: Number(view.amount).toLocaleString('en-US'),
+    purposeLabel: PURPOSE_LABELS[view.purpose],
+    expiresAt: new Date(view.expiresAt).toUTCString(),
+    formHidden: open ? '' : 'hidden',
+    closedHidden: open ? 'hidden' : '',
+    closedMessage: view.status === 'PAID' ? 'This request has been paid. Thank you!' : `This request is ${view.status.toLowerCase()}.`,
+  };
+  return pageTemplate.replace(/{{(\w+)}}/g, (_, key) => (key.endsWith('Hidden') ? vars[key] : escapeHtml(vars[key])));
+}
+
+// ---------------------------------------------------------------------------
+// Treasurer
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a payment request and return its link and QR code.
+ * Body: { purpose, userId?, loanId?, amount, currency?, description?, phoneNumber?, expiresInHours? }
+ */
+exports.create = async (req, res) => {
+  try {
+    const result = await paymentRequestService.create(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Payment request created', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create payment request');
+  }
+};
+
+/**
+ * List the group's payment requests with paid/open/expired totals. Query: { status? }
+ */
+exports.list = async (req, res) => {
+  try {
+    const result = await paymentRequestService.list(req.params.groupId, req.user, { status: req.query.status });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Payment requests retrieved successfully', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch payment requests');
+  }
+};
+
+/**
+ * Cancel an open payment request; its link stops working.
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const request = await paymentRequestService.cancel(req.params.groupId, req.params.requestId, req.user);
+    return res.json({ message: 'Payment request cancelled', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel payment request');
+  }
+};
+
+/**
+ * QR code (SVG) for a payment request, for printing or sharing.
+ */
+exports.qr = async (req, res) => {
+  try {
+    const svg = await paymentRequestService.getQr(req.params.groupId, req.params.requestId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.type('image/svg+xml').send(svg);
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to render payment request QR code');
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Public link
+// ---------------------------------------------------------------------------
+
+/**
+ * The payment page for a link; JSON when the client asks for it.
+ */
+exports.show = async (req, res) => {
+  try {
+    const view = await paymentRequestService.view(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({ message: 'Payment request retrieved successfully', data: view });
+    }
+    return res.type('html').send(renderPage(view));
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to load payment request');
+  }
+};
+
+/**
+ * Start a mobile money collection. Body: { provider: mtn|airtel, phoneNumber }
+ */
+exports.pay = async (req, res) => {
+  try {
+    const result = await paymentRequestService.pay(
+      req.params.token,
+      { provider: req.body.provider, phoneNumber: req.body.phoneNumber },
+      { ip: req.ip, channel: 'payment_link' }
+    );
+    return res.status(202).json({ message: 'Payment started', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start payment');
+  }
+};
+
+/**
+ * Payment status for the page to poll.
+ */
+exports.status = async (req, res) => {
+  try {
+    const result = await paymentRequestService.status(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Payment status retrieved successfully', data: result });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch payment status');
+  }
+};
+
+/**
+ * QR code (SVG) of the link itself.
+ */
+exports.publicQr = async (req, res) => {
+  try {
+    const request = await paymentRequestService.fromToken(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    return res.type('image/svg+xml').send(paymentRequestService.qrSvg(request));
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to render payment request QR code');
+  }
+};
@@ -0,0 +1,85 @@
+// controllers/paymentRoutingController.js
+
+const providerRoutingService = require('../services/providerRoutingService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by payment routing endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * The tenant's routing override and the effective policy.
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await providerRoutingService.getPolicy(tenantOf(req));
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Routing policy retrieved successfully', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch routing policy');
+  }
+};
+
+/**
+ * Replace the tenant's routing override.
+ * Body: { mode?, weights?, preferredProviders?, disabledProviders?, minScore?, failoverEnabled? }
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await providerRoutingService.updatePolicy(tenantOf(req), req.body, req.user);
+    return res.json({ message: 'Routing policy updated', data: policy });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to update routing policy');
+  }
+};
+
+/**
+ * Per-provider live success rate, latency, circuit state and settlement score,
+ * with the current ranking.
+ */
+exports.providerStatus = async (req, res) => {
+  try {
+    const status = await providerRoutingService.providerStatus(tenantOf(req));
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Provider routing status retrieved successfully', data: status });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch provider routing status');
+  }
+};
+
+/**
+ * Recent routing decisions. Query: { provider?, outcome?, failover?, reference?, limit? }
+ */
+exports.listDecisions = async (req, res) => {
+  try {
+    const decisions = await providerRoutingService.listDecisions(tenantOf(req), {
+      provider: req.query.provider,
+      outcome: req.query.outcome,
+      failover: req.query.failover,
+      reference: req.query.reference,
+      limit: req.query.limit,
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Routing decisions retrieved successfully', data: decisions });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch routing decisions');
+  }
+};
@@ -1,4 +1,9 @@
 // controllers/repaymentsController.js
+const LedgerEntry = require("../models/LedgerEntry");
+const { createAuditTrail } = require("../utils/auditTrail");
+
+const audit = createAuditTrail("RepaymentsController");
+
 exports.createRepayment = async (req, res) => {
   const { saccoId, memberId, amount } = req.body;
   const entry = await LedgerEntry.create({
@@ -8,6 +13,6 @@ exports.createRepayment = async (req, res) => {
     amount,
     reference: `REPAY-${Date.now()}`
   });
-  await AuditLog.create({ action: "REPAYMENT", actorId: memberId, saccoId, endpoint: req.originalUrl, payload: req.body });
+  await audit(req.user, "REPAYMENT", { actorId: memberId, saccoId, endpoint: req.originalUrl, payload: req.body });
   res.status(202).json({ success: true, entry });
 };
@@ -0,0 +1,142 @@
+// controllers/rotationController.js
+
+const rotationService = require('../services/rotationService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Create a rotation cycle for a group.
+ * Body: { name, frequency, contributionAmount, potAmount?, startDate, payoutOrder?: string[] }
+ */
+exports.createCycle = async (req, res) => {
+  try {
+    const { cycle, rounds } = await rotationService.createCycle(req.params.groupId, req.body, req.user);
+    return res.status(201).json({
+      message: 'Rotation cycle created successfully',
+      data: { cycle, rounds },
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create rotation cycle');
+  }
+};
+
+/**
+ * List rotation cycles for a group.
+ */
+exports.listCycles = async (req, res) => {
+  try {
+    const cycles = await rotationService.listCycles(req.params.groupId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Rotation cycles retrieved successfully', data: cycles });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch rotation cycles');
+  }
+};
+
+/**
+ * Get a rotation cycle with its full round history.
+ */
+exports.getCycle = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await rotationService.getCycle(groupId, cycleId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Rotation cycle retrieved successfully', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch rotation cycle');
+  }
+};
+
+/**
+ * Release the current round's pot to the scheduled member.
+ * Body: { allowPartial?: boolean }
+ */
+exports.releasePot = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await rotationService.releasePot(groupId, cycleId, req.user, {
+      allowPartial: req.body.allowPartial === true,
+    });
+    return res.json({ message: 'Pot released successfully', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to release pot');
+  }
+};
+
+/**
+ * Swap two members' turns (officer action).
+ * Body: { userA, userB }
+ */
+exports.swapTurns = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const cycle = await rotationService.swapTurns(groupId, cycleId, req.user, req.body);
+    return res.json({ message: 'Turns swapped successfully', data: cycle });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to swap turns');
+  }
+};
+
+/**
+ * Request a swap or an emergency turn (member action).
+ * Body: { type: 'swap'|'emergency', targetUserId?, reason? }
+ */
+exports.requestTurnChange = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const request = await rotationService.requestTurnChange(groupId, cycleId, req.user, req.body);
+    return res.status(201).json({ message: 'Turn request submitted', data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to submit turn request');
+  }
+};
+
+/**
+ * Approve or reject a turn request (officer action).
+ * Body: { approve: boolean, note? }
+ */
+exports.decideTurnRequest = async (req, res) => {
+  try {
+    const { groupId, cycleId, requestId } = req.params;
+    const request = await rotationService.decideTurnRequest(groupId, cycleId, requestId, req.user, {
+      approve: req.body.approve === true,
+      note: req.body.note,
+    });
+    return res.json({ message: `Turn request ${request.status}`, data: request });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to decide turn request');
+  }
+};
+
+/**
+ * Defer the current recipient to the end of the order because they are in default.
+ * Body: { reason? }
+ */
+exports.skipDefaulter = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await rotationService.skipDefaulter(groupId, cycleId, req.user, req.body);
+    return res.json({ message: 'Defaulter moved to the end of the rotation', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to skip defaulter');
+  }
+};
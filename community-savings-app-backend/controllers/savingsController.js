@@ -213,9 +213,42 @@ class SavingsController {
                     userId:
                         req.userId,
 
+                    user:
+                        req.user,
+
                     ...req.body
                 });
 
+            /*
+             * Group fund withdrawals wait for the group's signatories
+             */
+
+            if (
+                req.body.groupId &&
+                result?.status === "pending"
+            ) {
+
+                await this.audit(
+                    req,
+                    "GROUP_WITHDRAWAL_REQUESTED",
+                    {
+                        withdrawalId:
+                            result._id
+                    }
+                );
+
+                return res.status(202).json({
+
+                    success: true,
+
+                    message:
+                        "Withdrawal awaiting approval by the group signatories",
+
+                    data:
+                        result
+                });
+            }
+
             await this.audit(
                 req,
                 "SAVINGS_WITHDRAWAL",
@@ -0,0 +1,149 @@
+// controllers/savingsCycleController.js
+
+const savingsCycleService = require('../services/savingsCycleService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by group endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode, details: err.details });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Open the group's next savings cycle.
+ * Body: { name?, startDate?, currency?, openingBalances?: [{ userId, amount }] }
+ */
+exports.startCycle = async (req, res) => {
+  try {
+    const cycle = await savingsCycleService.startCycle(req.params.groupId, req.body, req.user);
+    return res.status(201).json({ message: 'Savings cycle started successfully', data: cycle });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to start savings cycle');
+  }
+};
+
+/**
+ * List a group's savings cycles, newest first.
+ */
+exports.listCycles = async (req, res) => {
+  try {
+    const cycles = await savingsCycleService.listCycles(req.params.groupId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Savings cycles retrieved successfully', data: cycles });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch savings cycles');
+  }
+};
+
+/**
+ * Get a savings cycle, including any prepared share-out.
+ */
+exports.getCycle = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const cycle = await savingsCycleService.getCycle(groupId, cycleId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Savings cycle retrieved successfully', data: cycle });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch savings cycle');
+  }
+};
+
+/**
+ * Compute the share-out without saving it.
+ * Body: { endDate?, loanPolicy?, method?, carryForward?: { [userId]: amount } }
+ */
+exports.previewCloseOut = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await savingsCycleService.previewCloseOut(groupId, cycleId, req.body, req.user);
+    return res.json({ message: 'Share-out preview computed', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to preview share-out');
+  }
+};
+
+/**
+ * Fix the share-out and send it to officers for signature.
+ * Body: same as preview
+ */
+exports.prepareCloseOut = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const cycle = await savingsCycleService.prepareCloseOut(groupId, cycleId, req.body, req.user);
+    return res.json({ message: 'Share-out prepared for signature', data: cycle });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to prepare share-out');
+  }
+};
+
+/**
+ * Sign the prepared share-out; the cycle closes once enough officers have signed.
+ * Body: { digest? }
+ */
+exports.signCloseOut = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await savingsCycleService.signCloseOut(groupId, cycleId, req.body, req.user);
+    return res.json({
+      message: data.nextCycle ? 'Share-out signed; cycle closed' : 'Share-out signed',
+      data,
+    });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to sign share-out');
+  }
+};
+
+/**
+ * Resume a close-out that stopped after the last signature, before the cycle closed.
+ */
+exports.resumeCloseOut = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const data = await savingsCycleService.resumeCloseOut(groupId, cycleId, req.user);
+    return res.json({ message: 'Share-out close-out resumed; cycle closed', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to resume share-out close-out');
+  }
+};
+
+/**
+ * Discard a prepared share-out and reopen the cycle.
+ */
+exports.cancelCloseOut = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const cycle = await savingsCycleService.cancelCloseOut(groupId, cycleId, req.user);
+    return res.json({ message: 'Share-out cancelled; cycle reopened', data: cycle });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel share-out');
+  }
+};
+
+/**
+ * Get the share-out report with its signatures and seal check.
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { groupId, cycleId } = req.params;
+    const report = await savingsCycleService.getReport(groupId, cycleId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Share-out report retrieved successfully', data: report });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch share-out report');
+  }
+};
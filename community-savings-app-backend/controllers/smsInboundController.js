@@ -0,0 +1,66 @@
+// controllers/smsInboundController.js
+
+const smsCommandService = require('../services/smsCommandService');
+const inboundProviders = require('../services/sms/inboundProviders');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by SMS endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * Texts to the shortcode, posted by the SMS provider named in the path.
+ * The provider is only acknowledged once every text has been handled, so
+ * a failure makes it retry; texts already handled are then skipped.
+ */
+exports.receive = async (req, res) => {
+  const provider = inboundProviders.resolve(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ message: 'Unknown SMS provider' });
+  }
+  if (!provider.verify(req)) {
+    logger.warn('Inbound SMS rejected: sender could not be verified', { provider: provider.name, ip: req.ip });
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  try {
+    const messages = provider.parse(req.body);
+    for (const message of messages) {
+      await smsCommandService.receive(message);
+    }
+    return provider.acknowledge(res, messages.length);
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to process inbound SMS');
+  }
+};
+
+/**
+ * The tenant's inbound texts with the command run and the reply sent.
+ */
+exports.list = async (req, res) => {
+  try {
+    const messages = await smsCommandService.list(tenantOf(req), req.query);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Inbound SMS retrieved successfully', data: messages });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch inbound SMS');
+  }
+};
@@ -0,0 +1,116 @@
+// controllers/standingOrderController.js
+
+const standingOrderService = require('../services/standingOrderService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by standing order endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Authorize a recurring mobile money debit.
+ * Body: { targetType, groupId?, savingsId?, amount, frequency, day, startDate?, endDate?,
+ *         provider, phoneNumber?, currency?, maxConsecutiveFailures? }
+ */
+exports.create = async (req, res) => {
+  try {
+    const order = await standingOrderService.create(req.body, req.user, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+    return res.status(201).json({ message: 'Standing order authorized', data: order });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to create standing order');
+  }
+};
+
+/**
+ * List the caller's standing orders. Query: { status?, userId? (admin) }
+ */
+exports.list = async (req, res) => {
+  try {
+    const orders = await standingOrderService.list(req.user, { status: req.query.status, userId: req.query.userId });
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Standing orders retrieved successfully', data: orders });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch standing orders');
+  }
+};
+
+/**
+ * Get a standing order.
+ */
+exports.get = async (req, res) => {
+  try {
+    const order = await standingOrderService.get(req.params.orderId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Standing order retrieved successfully', data: order });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch standing order');
+  }
+};
+
+/**
+ * List the debits made for a standing order, newest first.
+ */
+exports.listRuns = async (req, res) => {
+  try {
+    const runs = await standingOrderService.listRuns(req.params.orderId, req.user);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Standing order debits retrieved successfully', data: runs });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch standing order debits');
+  }
+};
+
+/**
+ * Pause a standing order. Body: { until? }
+ */
+exports.pause = async (req, res) => {
+  try {
+    const order = await standingOrderService.pause(req.params.orderId, req.user, { until: req.body.until });
+    return res.json({ message: 'Standing order paused', data: order });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to pause standing order');
+  }
+};
+
+/**
+ * Resume a paused standing order.
+ */
+exports.resume = async (req, res) => {
+  try {
+    const order = await standingOrderService.resume(req.params.orderId, req.user);
+    return res.json({ message: `Standing order is ${order.status}`, data: order });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to resume standing order');
+  }
+};
+
+/**
+ * Cancel a standing order. Body: { reason? }
+ */
+exports.cancel = async (req, res) => {
+  try {
+    const order = await standingOrderService.cancel(req.params.orderId, req.user, { reason: req.body.reason });
+    return res.json({ message: 'Standing order cancelled', data: order });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to cancel standing order');
+  }
+};
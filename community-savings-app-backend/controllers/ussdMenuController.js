@@ -0,0 +1,104 @@
+// controllers/ussdMenuController.js
+
+const ussdMenuService = require('../services/ussdMenuService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by USSD menu endpoints.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+const tenantOf = (req) => req.tenant_id || req.user?.tenantId;
+
+/**
+ * The tenant's menu versions, newest first, without their trees.
+ */
+exports.list = async (req, res) => {
+  try {
+    const menus = await ussdMenuService.list(tenantOf(req));
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'USSD menus retrieved successfully', data: menus });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch USSD menus');
+  }
+};
+
+/**
+ * The tree USSD sessions run now: the published version or the default menu.
+ */
+exports.getActive = async (req, res) => {
+  try {
+    const menu = await ussdMenuService.getActive(tenantOf(req));
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'Active USSD menu retrieved successfully', data: menu });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch the active USSD menu');
+  }
+};
+
+/**
+ * One version with its tree.
+ */
+exports.get = async (req, res) => {
+  try {
+    const menu = await ussdMenuService.get(tenantOf(req), req.params.version);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'USSD menu retrieved successfully', data: menu });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to fetch USSD menu');
+  }
+};
+
+/**
+ * Save a tree as the next draft version.
+ * Body: { definition, notes? }
+ */
+exports.createDraft = async (req, res) => {
+  try {
+    const menu = await ussdMenuService.createDraft(tenantOf(req), req.body, req.user);
+    return res.status(201).json({ message: 'USSD menu draft saved', data: menu });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to save USSD menu draft');
+  }
+};
+
+/**
+ * Make a version the live menu.
+ */
+exports.publish = async (req, res) => {
+  try {
+    const menu = await ussdMenuService.publish(tenantOf(req), req.params.version, req.user);
+    return res.json({ message: `USSD menu version ${menu.version} published`, data: menu });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to publish USSD menu');
+  }
+};
+
+/**
+ * Render a screen of a menu tree against sample data.
+ * Body: { text?, phoneNumber?, language?, version? | definition? }
+ */
+exports.simulate = async (req, res) => {
+  try {
+    const screen = await ussdMenuService.simulate(tenantOf(req), req.body);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'USSD screen simulated', data: screen });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to simulate USSD menu');
+  }
+};
@@ -0,0 +1,62 @@
+// controllers/ussdPinController.js
+
+const ussdPinService = require('../services/ussdPinService');
+const logger = require('../utils/logger');
+
+/**
+ * Translate service errors (AppError) into the JSON shape used by the API.
+ * Unexpected errors are logged and reported as 500.
+ */
+function sendError(res, err, req, fallbackMessage) {
+  if (err?.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+  }
+  logger.error(fallbackMessage, {
+    userId: req.user?.id,
+    params: req.params,
+    error: err?.message,
+    stack: err?.stack,
+  });
+  return res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'production' ? undefined : err?.message,
+  });
+}
+
+/**
+ * Whether the signed-in member has a USSD PIN, and any lockout.
+ */
+exports.getMine = async (req, res) => {
+  try {
+    const data = await ussdPinService.describe(req.user.id);
+    res.set('Cache-Control', 'no-store');
+    return res.json({ message: 'USSD PIN status', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to load USSD PIN status');
+  }
+};
+
+/**
+ * Set or change the signed-in member's USSD PIN.
+ * Body: { pin }
+ */
+exports.setMine = async (req, res) => {
+  try {
+    const data = await ussdPinService.setPin(req.user.id, req.body.pin, req.user, 'APP');
+    return res.json({ message: 'USSD PIN set', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to set USSD PIN');
+  }
+};
+
+/**
+ * SMS a member a one-time code to set a new PIN on USSD; lifts a lockout.
+ */
+exports.issueResetCode = async (req, res) => {
+  try {
+    const data = await ussdPinService.issueResetCode(req.params.userId, req.user);
+    return res.json({ message: 'PIN code sent by SMS', data });
+  } catch (err) {
+    return sendError(res, err, req, 'Failed to issue USSD PIN code');
+  }
+};
@@ -1,5 +1,7 @@
 // Wallet Controller (controllers/walletController.js)
 const Wallet = require("../models/Wallet");
+const walletService = require("../services/walletService");
+const constitutionService = require("../services/constitutionService");
 
 exports.getBalance = async (req, res) => {
   try {
@@ -13,3 +15,41 @@ exports.getBalance = async (req, res) => {
   }
 };
 
+/**
+ * Withdraw from a member's wallet.
+ * Body: { amount, groupId?, memberId?, reference? }
+ * The withdrawal is checked against the constitution of every group the wallet owner
+ * belongs to; groupId only tags the withdrawal. Approvers may pass memberId to withdraw
+ * on a member's behalf.
+ */
+exports.withdraw = async (req, res) => {
+  try {
+    const { amount, groupId, memberId, reference } = req.body;
+    const ownerId = memberId || req.user.id;
+
+    await constitutionService.assertWalletWithdrawalAllowed({ ownerId, amount, user: req.user, groupId });
+
+    const wallet = await Wallet.findOne({ userId: ownerId, tenantId: req.user.tenantId });
+    if (!wallet) {
+      return res.status(404).json({ error: "Wallet not found" });
+    }
+
+    const result = await walletService.withdraw({
+      walletId: wallet._id,
+      amount,
+      reference: reference || `WD-${Date.now()}`,
+      channel: groupId ? "GROUP" : "SYSTEM",
+      metadata: { groupId, requestedBy: req.user.id }
+    });
+
+    res.json({ message: "Withdrawal successful", data: result });
+  } catch (err) {
+    if (err.errorCode) {
+      return res.status(err.statusCode).json({ error: err.message, errorCode: err.errorCode, rule: err.rule });
+    }
+    if (err.message === "Insufficient balance") {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -23,7 +23,9 @@ export default [
         setTimeout: "readonly",
         clearTimeout: "readonly",
         setInterval: "readonly",
-        clearInterval: "readonly"
+        clearInterval: "readonly",
+        setImmediate: "readonly",
+        clearImmediate: "readonly"
       }
     },
 
@@ -1,34 +1,36 @@
 // services/queue.js
 'use strict';
 
-const { Queue, Worker, QueueScheduler } = require('bullmq');
+const { Queue, Worker } = require('bullmq');
 const IORedis = require('ioredis');
 const logger = require('../utils/logger');
 
-// Redis connection (supports URL or host/port)
+// Redis connection (supports URL or host/port). BullMQ workers block on Redis,
+// so commands must not be retried by ioredis (maxRetriesPerRequest: null).
 const redisUrl = process.env.REDIS_URL || process.env.REDIS_URI || null;
 const redisOptions = redisUrl
-  ? { connection: new IORedis(redisUrl) }
+  ? { connection: new IORedis(redisUrl, { maxRetriesPerRequest: null }) }
   : {
       connection: new IORedis({
         host: process.env.REDIS_HOST || '127.0.0.1',
         port: parseInt(process.env.REDIS_PORT || '6379', 10),
         password: process.env.REDIS_PASSWORD || undefined,
         tls: process.env.REDIS_TLS === 'true' ? {} : undefined,
+        maxRetriesPerRequest: null,
       }),
     };
 
-// Create queue schedulers (required for delayed/retry jobs)
-const paymentRetryScheduler = new QueueScheduler('payment-retries', redisOptions);
-const emailScheduler = new QueueScheduler('emails', redisOptions);
-const overdueLoanScheduler = new QueueScheduler('overdue-loans', redisOptions);
-const notificationScheduler = new QueueScheduler('notifications', redisOptions);
-
 // Create queues
 const paymentRetryQueue = new Queue('payment-retries', redisOptions);
 const emailQueue = new Queue('emails', redisOptions);
 const overdueLoanQueue = new Queue('overdue-loans', redisOptions);
 const notificationQueue = new Queue('notifications', redisOptions);
+const fineEvaluationQueue = new Queue('fine-evaluation', redisOptions);
+const contributionReminderQueue = new Queue('contribution-reminders', redisOptions);
+const withdrawalExpiryQueue = new Queue('withdrawal-expiry', redisOptions);
+const mpesaReconciliationQueue = new Queue('mpesa-reconciliation', redisOptions);
+const standingOrderQueue = new Queue('standing-orders', redisOptions);
+const disbursementRecoveryQueue = new Queue('disbursement-recovery', redisOptions);
 
 // Default worker options
 const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_WORKER_CONCURRENCY || '5', 10);
@@ -112,6 +114,124 @@ const overdueLoanWorker = new Worker(
   { connection: redisOptions.connection, concurrency: 1 } // run single-threaded to avoid race conditions
 );
 
+// Fine evaluation worker (daily, see RECURRING_JOBS)
+const fineEvaluationWorker = new Worker(
+  'fine-evaluation',
+  async (job) => {
+    const fineService = require('../services/fineService');
+
+    try {
+      const asOf = job.data?.asOf ? new Date(job.data.asOf) : new Date();
+      const result = await fineService.evaluateAllGroups(asOf);
+      logger.info('Fine evaluation completed', { ...result, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('Fine evaluation failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 } // single-threaded so a fine is never issued twice
+);
+
+// Contribution reminder worker (daily, see RECURRING_JOBS)
+const contributionReminderWorker = new Worker(
+  'contribution-reminders',
+  async (job) => {
+    const contributionScheduleService = require('../services/contributionScheduleService');
+
+    try {
+      const asOf = job.data?.asOf ? new Date(job.data.asOf) : new Date();
+      const result = await contributionScheduleService.sendReminders(asOf);
+      logger.info('Contribution reminders sent', { ...result, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('Contribution reminders failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 } // single-threaded so a reminder is never sent twice
+);
+
+// Group withdrawal expiry worker (hourly, see RECURRING_JOBS)
+const withdrawalExpiryWorker = new Worker(
+  'withdrawal-expiry',
+  async (job) => {
+    const groupWithdrawalService = require('../services/groupWithdrawalService');
+
+    try {
+      const asOf = job.data?.asOf ? new Date(job.data.asOf) : new Date();
+      const result = await groupWithdrawalService.expirePending(asOf);
+      logger.info('Group withdrawals expired', { ...result, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('Group withdrawal expiry failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 }
+);
+
+// M-Pesa reconciliation worker (daily at 04:00 EAT, see RECURRING_JOBS)
+const mpesaReconciliationWorker = new Worker(
+  'mpesa-reconciliation',
+  async (job) => {
+    const { getMpesaPaymentModule } = require('../modules/payment/mpesa');
+
+    try {
+      const result = await getMpesaPaymentModule({ logger }).reconciliation.runDaily({
+        date: job.data?.date,
+        tenantId: job.data?.tenantId,
+      });
+      logger.info('M-Pesa reconciliation run', { date: result.date, reconciliation: result.reconciliation, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('M-Pesa reconciliation failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 }
+);
+
+// Standing order worker (hourly, see RECURRING_JOBS). services/index.js configures
+// standingOrderService with the payment module at startup.
+const standingOrderWorker = new Worker(
+  'standing-orders',
+  async (job) => {
+    const standingOrderService = require('../services/standingOrderService');
+
+    try {
+      const asOf = job.data?.asOf ? new Date(job.data.asOf) : new Date();
+      const result = await standingOrderService.runDue(asOf);
+      logger.info('Standing orders run', { ...result, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('Standing orders run failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 } // single-threaded so a due date is never debited twice
+);
+
+// Disbursement batch recovery worker (every 15 minutes, see RECURRING_JOBS): resumes batch
+// runs that stopped mid-batch
+const disbursementRecoveryWorker = new Worker(
+  'disbursement-recovery',
+  async (job) => {
+    const disbursementBatchService = require('../services/disbursementBatchService');
+
+    try {
+      const asOf = job.data?.asOf ? new Date(job.data.asOf) : new Date();
+      const result = await disbursementBatchService.recoverStale(asOf);
+      logger.info('Stale disbursement batches checked', { ...result, jobId: job.id });
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error('Disbursement batch recovery failed', { error: err.message, jobId: job.id });
+      throw err;
+    }
+  },
+  { connection: redisOptions.connection, concurrency: 1 } // single-threaded so a batch is resumed once
+);
+
 // Notification worker
 const notificationWorker = new Worker(
   'notifications',
@@ -161,6 +281,53 @@ const notificationWorker = new Worker(
   { connection: redisOptions.connection, concurrency: DEFAULT_CONCURRENCY }
 );
 
+// Repeatable jobs added at startup. Each is a job scheduler keyed by the job
+// name, so a restart updates the existing schedule instead of adding a second one.
+const QUEUE_TIMEZONE = process.env.QUEUE_TIMEZONE || 'Africa/Kampala';
+const RECURRING_JOBS = [
+  {
+    queue: fineEvaluationQueue,
+    name: 'evaluate-fines',
+    cron: process.env.FINE_EVALUATION_CRON || '0 2 * * *',
+  },
+  {
+    queue: contributionReminderQueue,
+    name: 'send-contribution-reminders',
+    cron: process.env.CONTRIBUTION_REMINDER_CRON || '0 8 * * *',
+  },
+  {
+    queue: withdrawalExpiryQueue,
+    name: 'expire-group-withdrawals',
+    cron: process.env.WITHDRAWAL_EXPIRY_CRON || '0 * * * *',
+  },
+  {
+    queue: mpesaReconciliationQueue,
+    name: 'reconcile-mpesa',
+    cron: process.env.MPESA_RECONCILIATION_CRON || '0 4 * * *',
+  },
+  {
+    queue: standingOrderQueue,
+    name: 'run-standing-orders',
+    cron: process.env.STANDING_ORDER_CRON || '0 * * * *',
+  },
+  {
+    queue: disbursementRecoveryQueue,
+    name: 'recover-disbursement-batches',
+    cron: process.env.DISBURSEMENT_RECOVERY_CRON || '*/15 * * * *',
+  },
+];
+
+const scheduleRecurringJobs = async () => {
+  for (const { queue, name, cron } of RECURRING_JOBS) {
+    await queue.upsertJobScheduler(
+      name,
+      { pattern: cron, tz: QUEUE_TIMEZONE },
+      { name, data: {}, opts: { removeOnComplete: true, removeOnFail: false } }
+    );
+    logger.info('Recurring job scheduled', { queue: queue.name, name, cron });
+  }
+};
+
 // Global event listeners for workers
 const attachWorkerListeners = (worker, name) => {
   worker.on('completed', (job) => {
@@ -180,21 +347,42 @@ attachWorkerListeners(paymentRetryWorker, 'payment-retries');
 attachWorkerListeners(emailWorker, 'emails');
 attachWorkerListeners(overdueLoanWorker, 'overdue-loans');
 attachWorkerListeners(notificationWorker, 'notifications');
+attachWorkerListeners(fineEvaluationWorker, 'fine-evaluation');
+attachWorkerListeners(contributionReminderWorker, 'contribution-reminders');
+attachWorkerListeners(withdrawalExpiryWorker, 'withdrawal-expiry');
+attachWorkerListeners(mpesaReconciliationWorker, 'mpesa-reconciliation');
+attachWorkerListeners(standingOrderWorker, 'standing-orders');
+attachWorkerListeners(disbursementRecoveryWorker, 'disbursement-recovery');
 
 // Graceful shutdown helper
 const shutdown = async () => {
   try {
-    logger.info('Shutting down queue workers and schedulers');
+    logger.info('Shutting down queue workers');
     await Promise.all([
       paymentRetryWorker.close(),
       emailWorker.close(),
       overdueLoanWorker.close(),
       notificationWorker.close(),
-      paymentRetryScheduler.close(),
-      emailScheduler.close(),
-      overdueLoanScheduler.close(),
-      notificationScheduler.close(),
+      fineEvaluationWorker.close(),
+      contributionReminderWorker.close(),
+      withdrawalExpiryWorker.close(),
+      mpesaReconciliationWorker.close(),
+      standingOrderWorker.close(),
+      disbursementRecoveryWorker.close(),
+    ]);
+    await Promise.all([
+      paymentRetryQueue.close(),
+      emailQueue.close(),
+      overdueLoanQueue.close(),
+      notificationQueue.close(),
+      fineEvaluationQueue.close(),
+      contributionReminderQueue.close(),
+      withdrawalExpiryQueue.close(),
+      mpesaReconciliationQueue.close(),
+      standingOrderQueue.close(),
+      disbursementRecoveryQueue.close(),
     ]);
+    await redisOptions.connection.quit();
     logger.info('Queue shutdown complete');
   } catch (err) {
     logger.error('Error during queue shutdown', { error: err.message });
@@ -210,6 +398,13 @@ module.exports = {
   emailQueue,
   overdueLoanQueue,
   notificationQueue,
+  fineEvaluationQueue,
+  contributionReminderQueue,
+  withdrawalExpiryQueue,
+  mpesaReconciliationQueue,
+  standingOrderQueue,
+  disbursementRecoveryQueue,
+  scheduleRecurringJobs,
   // expose shutdown for external lifecycle management if needed
   shutdownQueues: shutdown,
 };
@@ -0,0 +1,42 @@
+// models/ContributionObligation.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/**
+ * What a member is expected to contribute to a group: `amount` every
+ * `frequency`, with the first installment due on `startDate`. Only one
+ * obligation per member is active; changing the terms ends the old one
+ * (`endDate`) and starts a new one so past periods keep their original terms.
+ */
+const contributionObligationSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    frequency: { type: String, enum: FREQUENCIES, required: true },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    startDate: { type: Date, required: true },
+    // Last day covered by this obligation (exclusive of later due dates)
+    endDate: Date,
+    active: { type: Boolean, default: true, index: true },
+    // Keys of reminders already sent, e.g. "due:2026-03-01" or "overdue:2026-03-01"
+    remindersSent: { type: [String], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+contributionObligationSchema.index({ groupId: 1, userId: 1, active: 1 });
+
+contributionObligationSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('ContributionObligation', contributionObligationSchema);
@@ -0,0 +1,99 @@
+// models/DisbursementBatch.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending_approval', 'approved', 'processing', 'completed', 'partially_failed', 'rejected', 'cancelled'];
+const LINE_STATUSES = ['valid', 'invalid', 'processing', 'sent', 'paid', 'failed', 'unknown'];
+const PURPOSES = ['LOAN_PAYOUT', 'SHARE_OUT', 'BULK_PAYMENT'];
+const SOURCES = ['UPLOAD', 'APPROVED_LOANS', 'SAVINGS_CYCLE'];
+const PROVIDERS = ['mtn', 'airtel'];
+
+/**
+ * One payee in a batch. `sent` means the provider accepted the transfer;
+ * `paid` and late `failed` come from reconciliation against the provider.
+ * `unknown` means the call failed in a way that may still have paid (a
+ * timeout, a lost response); the transfer is checked before it is resent.
+ */
+const lineSchema = new mongoose.Schema({
+  lineNo: { type: Number, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+  name: { type: String, trim: true, maxlength: 200 },
+  phoneNumber: { type: String, required: true, trim: true },
+  provider: { type: String, enum: PROVIDERS },
+  amount: { type: Number, required: true },
+  reference: { type: String, trim: true, maxlength: 100 },
+  status: { type: String, enum: LINE_STATUSES, default: 'valid' },
+  validationError: { type: String },
+  // Transfers requested; resending the same transfer does not count
+  attempts: { type: Number, default: 0 },
+  externalId: { type: String },
+  // Request id of the current transfer at its provider (the MTN X-Reference-Id, the Airtel reference)
+  payoutId: { type: String },
+  providerReference: { type: String },
+  providerStatus: { type: String },
+  // Why this rail was used (see RoutingDecision)
+  routingDecisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'RoutingDecision' },
+  error: { type: String },
+  sentAt: { type: Date },
+  paidAt: { type: Date },
+});
+
+/**
+ * A list of mobile money payouts (a wave of approved loans, a share-out,
+ * an uploaded payroll) approved once by a checker and paid out together.
+ */
+const disbursementBatchSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', index: true },
+    purpose: { type: String, enum: PURPOSES, required: true },
+    description: { type: String, trim: true, maxlength: 500 },
+    source: {
+      type: { type: String, enum: SOURCES, required: true },
+      savingsCycleId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsCycle' },
+    },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    lines: [lineSchema],
+    totals: {
+      lines: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    status: { type: String, enum: STATUSES, default: 'pending_approval', index: true },
+    // Maker-checker: the checker must be a different officer
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectionReason: { type: String, trim: true, maxlength: 500 },
+    runs: [
+      {
+        _id: false,
+        startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        retryFailedOnly: { type: Boolean, default: false },
+        startedAt: { type: Date },
+        finishedAt: { type: Date },
+        lines: { type: Number, default: 0 },
+      },
+    ],
+    // Last progress of the current run; a processing batch gone quiet is resumed by the recovery job
+    heartbeatAt: { type: Date },
+    completedAt: { type: Date },
+    report: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+disbursementBatchSchema.index({ groupId: 1, createdAt: -1 });
+disbursementBatchSchema.index({ status: 1, heartbeatAt: 1 });
+
+disbursementBatchSchema.statics.STATUSES = STATUSES;
+disbursementBatchSchema.statics.LINE_STATUSES = LINE_STATUSES;
+disbursementBatchSchema.statics.PURPOSES = PURPOSES;
+disbursementBatchSchema.statics.SOURCES = SOURCES;
+disbursementBatchSchema.statics.PROVIDERS = PROVIDERS;
+
+module.exports = mongoose.model('DisbursementBatch', disbursementBatchSchema);
@@ -0,0 +1,96 @@
+// models/Fine.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const FINE_STATUSES = ['outstanding', 'under_appeal', 'paid', 'waived'];
+const SOURCE_TYPES = ['rotation_round', 'contribution_period', 'meeting', 'loan_installment', 'manual'];
+const APPEAL_STATUSES = ['pending', 'upheld', 'overturned'];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    reference: { type: String, trim: true },
+    paidAt: { type: Date, default: Date.now },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    journalId: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * A fine charged to a member. It is posted as a receivable when issued and
+ * cleared by payments, a waiver or a successful appeal.
+ */
+const fineSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'FineRule' },
+    trigger: { type: String, required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    // What the fine is for; `key` identifies the event so it is fined once per rule
+    source: {
+      type: { type: String, enum: SOURCE_TYPES, required: true },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      key: { type: String, required: true },
+      dueDate: { type: Date },
+    },
+    baseAmount: { type: Number, default: 0, min: 0 },
+    daysLate: { type: Number, default: 0, min: 0 },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    paidAmount: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    status: { type: String, enum: FINE_STATUSES, default: 'outstanding', index: true },
+    payments: [paymentSchema],
+    ledger: {
+      receivableJournalId: { type: String },
+      waiverJournalId: { type: String },
+    },
+    waiver: {
+      reason: { type: String, trim: true, maxlength: 500 },
+      amount: { type: Number },
+      waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      waivedAt: { type: Date },
+    },
+    appeal: {
+      reason: { type: String, trim: true, maxlength: 1000 },
+      submittedAt: { type: Date },
+      status: { type: String, enum: APPEAL_STATUSES },
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: { type: Date },
+      note: { type: String, trim: true, maxlength: 500 },
+    },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+fineSchema.index({ groupId: 1, status: 1, createdAt: -1 });
+fineSchema.index(
+  { ruleId: 1, userId: 1, 'source.key': 1 },
+  { unique: true, partialFilterExpression: { ruleId: { $type: 'objectId' } } }
+);
+
+fineSchema.statics.FINE_STATUSES = FINE_STATUSES;
+fineSchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+
+/**
+ * Amount still owed on the fine.
+ */
+fineSchema.methods.balance = function () {
+  return Math.max(0, Math.round((this.amount - (this.paidAmount || 0)) * 100) / 100);
+};
+
+module.exports = mongoose.model('Fine', fineSchema);
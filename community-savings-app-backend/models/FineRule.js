@@ -0,0 +1,59 @@
+// models/FineRule.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const TRIGGERS = ['late_contribution', 'missed_meeting', 'late_meeting_arrival', 'late_loan_repayment'];
+const CALCULATIONS = ['flat', 'percentage'];
+
+// Triggers with no amount owed to take a percentage of
+const FLAT_ONLY_TRIGGERS = ['missed_meeting', 'late_meeting_arrival'];
+
+/**
+ * A group's rule for charging a fine. Rules are evaluated against
+ * contribution due dates, meeting attendance and loan installments that
+ * fall on or after `effectiveFrom`, so a new rule never fines past events.
+ */
+const fineRuleSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    trigger: { type: String, enum: TRIGGERS, required: true },
+    calculation: { type: String, enum: CALCULATIONS, default: 'flat' },
+    // Flat amount, or percentage of the late amount
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    graceDays: { type: Number, default: 0, min: 0 },
+    minAmount: { type: Number, default: 0, min: 0 },
+    maxAmount: { type: Number, min: 0 },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    active: { type: Boolean, default: true, index: true },
+    effectiveFrom: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+fineRuleSchema.index({ groupId: 1, trigger: 1, active: 1 });
+
+fineRuleSchema.pre('validate', function (next) {
+  if (this.calculation === 'percentage' && FLAT_ONLY_TRIGGERS.includes(this.trigger)) {
+    return next(new Error(`${this.trigger} fines must be flat amounts`));
+  }
+  if (this.maxAmount != null && this.maxAmount < this.minAmount) {
+    return next(new Error('maxAmount cannot be below minAmount'));
+  }
+  return next();
+});
+
+fineRuleSchema.statics.TRIGGERS = TRIGGERS;
+fineRuleSchema.statics.CALCULATIONS = CALCULATIONS;
+fineRuleSchema.statics.FLAT_ONLY_TRIGGERS = FLAT_ONLY_TRIGGERS;
+
+module.exports = mongoose.model('FineRule', fineRuleSchema);
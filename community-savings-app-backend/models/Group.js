@@ -1,6 +1,15 @@
 // models/Group.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// No 0/O or 1/I, so codes survive being read out and typed on a keypad
+const SMS_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const SMS_CODE_PATTERN = /^[A-Z0-9]{3,12}$/;
+
+const generateSmsCode = () =>
+  'GRP' +
+  Array.from(crypto.randomBytes(4), (byte) => SMS_CODE_ALPHABET[byte % SMS_CODE_ALPHABET.length]).join('');
+
 const groupSchema = new mongoose.Schema(
   {
     name: {
@@ -19,6 +28,13 @@ const groupSchema = new mongoose.Schema(
       required: true,
     },
     description: { type: String, trim: true, maxlength: 500, default: '' },
+    // Members name the group in SMS commands, e.g. PAY 20000 GRP12
+    smsCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [SMS_CODE_PATTERN, 'SMS code must be 3-12 letters or digits'],
+    },
     members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     memberRoles: [
       {
@@ -61,5 +77,15 @@ const groupSchema = new mongoose.Schema(
 
 groupSchema.index({ createdBy: 1, createdAt: -1 });
 groupSchema.index({ type: 1 });
+groupSchema.index({ smsCode: 1 }, { unique: true, sparse: true });
+
+groupSchema.pre('validate', function assignSmsCode(next) {
+  if (this.isNew && !this.smsCode) {
+    this.smsCode = generateSmsCode();
+  }
+  next();
+});
+
+groupSchema.statics.SMS_CODE_PATTERN = SMS_CODE_PATTERN;
 
 module.exports = mongoose.model('Group', groupSchema);
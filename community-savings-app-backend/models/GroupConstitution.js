@@ -0,0 +1,107 @@
+// models/GroupConstitution.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['proposed', 'active', 'superseded', 'rejected', 'withdrawn'];
+const ADOPTION_METHODS = ['vote', 'signature'];
+const CONTRIBUTION_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const WITHDRAWAL_APPROVER_ROLES = ['creator', 'treasurer', 'secretary'];
+
+/**
+ * One version of a group's constitution (bylaws). Versions are numbered per
+ * group; at most one is `active` and at most one is `proposed` at a time.
+ * A proposal becomes active once enough members vote for it or sign it, and
+ * the previous active version is then marked `superseded`.
+ *
+ * A rule left empty (null) is not enforced.
+ */
+const rulesSchema = new mongoose.Schema(
+  {
+    contributions: {
+      minimumAmount: { type: Number, min: 0, default: null },
+      frequency: { type: String, enum: [...CONTRIBUTION_FREQUENCIES, null], default: null },
+      currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    },
+    loans: {
+      // Maximum loan as a multiple of the member's savings in the group
+      savingsMultiple: { type: Number, min: 0, default: null },
+      maxTermMonths: { type: Number, min: 1, default: null },
+    },
+    withdrawals: {
+      // Withdrawals above the threshold must be made by a holder of one of these roles
+      approverRoles: { type: [{ type: String, enum: WITHDRAWAL_APPROVER_ROLES }], default: ['treasurer'] },
+      approvalThreshold: { type: Number, min: 0, default: null },
+    },
+  },
+  { _id: false }
+);
+
+const groupConstitutionSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    version: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: STATUSES, default: 'proposed', index: true },
+    summary: { type: String, trim: true, maxlength: 1000 },
+    rules: { type: rulesSchema, default: () => ({}) },
+    // Rule changes relative to the version that was active when this one was proposed
+    changes: [
+      {
+        _id: false,
+        rule: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    adoption: {
+      method: { type: String, enum: ADOPTION_METHODS, default: 'vote' },
+      // Share of members that must vote for (or sign) the proposal, e.g. 0.5 = more than half
+      threshold: { type: Number, min: 0, max: 1, default: 0.5 },
+      required: { type: Number, min: 1 },
+      votes: [
+        {
+          _id: false,
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+          choice: { type: String, enum: ['for', 'against'], required: true },
+          votedAt: { type: Date, default: Date.now },
+        },
+      ],
+      signatures: [
+        {
+          _id: false,
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+          signedAt: { type: Date, default: Date.now },
+        },
+      ],
+    },
+    proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    adoptedAt: Date,
+    supersededAt: Date,
+    closedAt: Date,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+groupConstitutionSchema.index({ groupId: 1, version: 1 }, { unique: true });
+groupConstitutionSchema.index({ groupId: 1, status: 1 });
+
+/**
+ * Number of members in favour so far (votes for, or signatures).
+ */
+groupConstitutionSchema.methods.support = function () {
+  if (this.adoption.method === 'signature') return this.adoption.signatures.length;
+  return this.adoption.votes.filter((v) => v.choice === 'for').length;
+};
+
+groupConstitutionSchema.statics.STATUSES = STATUSES;
+groupConstitutionSchema.statics.ADOPTION_METHODS = ADOPTION_METHODS;
+groupConstitutionSchema.statics.CONTRIBUTION_FREQUENCIES = CONTRIBUTION_FREQUENCIES;
+groupConstitutionSchema.statics.WITHDRAWAL_APPROVER_ROLES = WITHDRAWAL_APPROVER_ROLES;
+
+module.exports = mongoose.model('GroupConstitution', groupConstitutionSchema);
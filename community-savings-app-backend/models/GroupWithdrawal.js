@@ -0,0 +1,69 @@
+// models/GroupWithdrawal.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'released', 'failed', 'rejected', 'cancelled', 'expired'];
+const DECISIONS = ['approve', 'reject'];
+
+/**
+ * One signatory's decision on a withdrawal.
+ */
+const signatureSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String },
+    decision: { type: String, enum: DECISIONS, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    signedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A request to pay money out of a group's fund to mobile money. It is only
+ * released once `requiredApprovals` signatories have approved it.
+ */
+const groupWithdrawalSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    purpose: { type: String, trim: true, maxlength: 500, required: true },
+    recipient: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      phoneNumber: { type: String, required: true, trim: true },
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Policy snapshot taken when the request was made
+    requiredApprovals: { type: Number, required: true, min: 1 },
+    signatories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    signatures: [signatureSchema],
+    status: { type: String, enum: STATUSES, default: 'pending', index: true },
+    expiresAt: { type: Date, required: true, index: true },
+    approvedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date },
+    disbursement: {
+      reference: { type: String },
+      status: { type: String },
+      attempts: { type: Number, default: 0 },
+      error: { type: String },
+      releasedAt: { type: Date },
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+groupWithdrawalSchema.index({ groupId: 1, status: 1, createdAt: -1 });
+groupWithdrawalSchema.index({ status: 1, expiresAt: 1 });
+
+groupWithdrawalSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('GroupWithdrawal', groupWithdrawalSchema);
@@ -0,0 +1,37 @@
+// models/GuaranteeLien.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['active', 'released', 'recovered'];
+
+/**
+ * Savings a guarantor has pledged against a loan. While `active` the amount
+ * sits in the savings account's `blockedBalance`; it is released when the
+ * loan is repaid, or (partly) recovered towards the debt if the loan defaults.
+ */
+const guaranteeLienSchema = new mongoose.Schema(
+  {
+    tenantId: { type: String, required: true, index: true },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true, index: true },
+    // Loan.guarantors subdocument this lien backs
+    guarantorEntry: { type: mongoose.Schema.Types.ObjectId, required: true },
+    guarantor: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', required: true, index: true },
+    savings: { type: mongoose.Schema.Types.ObjectId, ref: 'Savings', required: true },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    status: { type: String, enum: STATUSES, default: 'active', index: true },
+    recoveredAmount: { type: Number, default: 0, min: 0 },
+    releasedAt: Date,
+    recoveredAt: Date,
+    journalId: String,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+guaranteeLienSchema.index({ loan: 1, guarantorEntry: 1 }, { unique: true });
+guaranteeLienSchema.index({ tenantId: 1, guarantor: 1, status: 1 });
+
+guaranteeLienSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('GuaranteeLien', guaranteeLienSchema);
@@ -0,0 +1,59 @@
+// models/InboundSms.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const PROVIDERS = ['AFRICAS_TALKING', 'TWILIO', 'INFOBIP'];
+
+const STATUSES = [
+  'RECEIVED',
+  'PROCESSED',
+  'UNKNOWN_SENDER',
+  'RATE_LIMITED',
+  'FAILED',
+];
+
+const REPLY_STATUSES = ['SENT', 'FAILED', 'SKIPPED'];
+
+/**
+ * A text sent to the shortcode and what was done with it. Doubles as the
+ * audit trail of SMS commands and as the per-sender rate limit window.
+ * Provider retries of the same message are dropped by the unique index.
+ */
+const inboundSmsSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: PROVIDERS, required: true },
+    providerMessageId: { type: String, trim: true },
+    from: { type: String, required: true },
+    to: { type: String, trim: true },
+    text: { type: String, maxlength: 480, default: '' },
+
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // BALANCE, PAY, LOAN_STATUS, STOP, START, HELP, GUARANTEE or UNKNOWN
+    command: { type: String },
+    status: { type: String, enum: STATUSES, default: 'RECEIVED' },
+    error: { type: String },
+
+    reply: { type: String },
+    replyStatus: { type: String, enum: REPLY_STATUSES },
+    // Payment request started by PAY
+    reference: { type: String },
+
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+inboundSmsSchema.index(
+  { provider: 1, providerMessageId: 1 },
+  { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } }
+);
+inboundSmsSchema.index({ from: 1, createdAt: -1 });
+inboundSmsSchema.index({ tenantId: 1, createdAt: -1 });
+
+inboundSmsSchema.statics.PROVIDERS = PROVIDERS;
+inboundSmsSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('InboundSms', inboundSmsSchema);
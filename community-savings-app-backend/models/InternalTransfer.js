@@ -0,0 +1,61 @@
+// models/InternalTransfer.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const TYPES = ['MEMBER_TO_MEMBER', 'MEMBER_TO_GROUP'];
+// What a transfer into a group pays for
+const GROUP_PURPOSES = ['CONTRIBUTION', 'FINE', 'LOAN_REPAYMENT'];
+const STATUSES = ['PENDING', 'COMPLETED', 'BLOCKED', 'FAILED'];
+
+/**
+ * Money moved between savings accounts or from a savings account into a
+ * group inside one tenant. Posted straight to the ledger; no provider is
+ * involved. `idempotencyKey` is unique per initiator so a retried request
+ * returns the original transfer.
+ */
+const internalTransferSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    reference: { type: String, required: true, unique: true },
+    idempotencyKey: { type: String, required: true, trim: true, maxlength: 128 },
+    type: { type: String, enum: TYPES, required: true },
+    purpose: { type: String, enum: ['TRANSFER', ...GROUP_PURPOSES], default: 'TRANSFER' },
+    from: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+      savingsId: { type: mongoose.Schema.Types.ObjectId, ref: 'Savings', required: true },
+    },
+    to: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+      savingsId: { type: mongoose.Schema.Types.ObjectId, ref: 'Savings' },
+      groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', index: true },
+      fineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Fine' },
+      loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+      contributionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contribution' },
+    },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    narration: { type: String, trim: true, maxlength: 200 },
+    status: { type: String, enum: STATUSES, default: 'PENDING', index: true },
+    fraud: {
+      riskId: { type: String },
+      score: { type: Number },
+      decision: { type: String },
+      reasons: [{ _id: false, code: String, description: String }],
+    },
+    journalId: { type: String },
+    failureReason: { type: String },
+    completedAt: { type: Date },
+    channel: { type: String, trim: true, maxlength: 20 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+internalTransferSchema.index({ 'from.userId': 1, idempotencyKey: 1 }, { unique: true });
+internalTransferSchema.index({ 'from.userId': 1, status: 1, createdAt: -1 });
+
+internalTransferSchema.statics.TYPES = TYPES;
+internalTransferSchema.statics.GROUP_PURPOSES = GROUP_PURPOSES;
+internalTransferSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('InternalTransfer', internalTransferSchema);
@@ -234,10 +234,116 @@ const LoanSchema = new mongoose.Schema(
                 notes: {
                     type: String,
                     maxlength: 500
+                },
+
+                /**
+                 * Consent request. The guarantor answers by SMS
+                 * ("YES <code>"), USSD or in the app.
+                 */
+
+                consentCode: {
+                    type: String,
+                    select: false
+                },
+
+                consentRequestedAt: Date,
+
+                consentExpiresAt: Date,
+
+                consentChannel: {
+                    type: String,
+                    enum: [
+                        'SMS',
+                        'USSD',
+                        'PUSH',
+                        'APP'
+                    ]
+                },
+
+                respondedAt: Date,
+
+                declineReason: {
+                    type: String,
+                    maxlength: 300
+                }
+            }
+        ],
+
+        /**
+         * =========================================================================
+         * COLLATERAL
+         * =========================================================================
+         */
+
+        collateral: [
+            {
+                type: {
+                    type: String,
+                    trim: true,
+                    required: true
+                },
+
+                description: {
+                    type: String,
+                    trim: true,
+                    maxlength: 500
+                },
+
+                value: {
+                    type: Number,
+                    default: 0,
+                    min: 0
+                }
+            }
+        ],
+
+        /**
+         * =========================================================================
+         * LOAN PRODUCT
+         * =========================================================================
+         * The exact product version the loan was issued under. Products are
+         * versioned, so later product changes never alter these terms.
+         */
+
+        loanProduct: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LoanProduct',
+            default: null,
+            index: true
+        },
+
+        productCode: {
+            type: String,
+            trim: true,
+            uppercase: true
+        },
+
+        productVersion: {
+            type: Number,
+            min: 1
+        },
+
+        fees: [
+            {
+                name: {
+                    type: String,
+                    trim: true
+                },
+
+                amount: {
+                    type: Number,
+                    default: 0,
+                    min: 0
                 }
             }
         ],
 
+        totalFees: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
         /**
          * =========================================================================
          * LOAN DETAILS
@@ -261,6 +367,35 @@ const LoanSchema = new mongoose.Schema(
             min: 1
         },
 
+        amortizationMethod: {
+            type: String,
+            enum: [
+                'flat',
+                'declining_balance',
+                'equal_principal',
+                'interest_only',
+                'bullet'
+            ],
+            default: 'declining_balance'
+        },
+
+        repaymentFrequency: {
+            type: String,
+            enum: [
+                'daily',
+                'weekly',
+                'biweekly',
+                'monthly'
+            ],
+            default: 'monthly'
+        },
+
+        gracePeriods: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
         repaymentDate: Date,
 
         reason: {
@@ -472,6 +607,43 @@ const LoanSchema = new mongoose.Schema(
             maxlength: 1000
         },
 
+        restructureCount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
+        /**
+         * =========================================================================
+         * IMPAIRMENT (see modules/finance/services/impairmentProvisionService)
+         * =========================================================================
+         */
+
+        provisionStage: {
+            type: String,
+            enum: [
+                'STAGE_1',
+                'STAGE_2',
+                'STAGE_3',
+                'DEFAULT'
+            ],
+            default: 'STAGE_1'
+        },
+
+        provisionRate: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
+        provisionAmount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
+        lastProvisionedAt: Date,
+
         /**
          * =========================================================================
          * AUDIT
@@ -832,24 +1004,28 @@ LoanSchema.index({
  * ============================================================================
  */
 
+/**
+ * Scores the member's group savings record (0-100).
+ *
+ * When options.product (a LoanProduct version) is given, the application is
+ * also evaluated against that product and an object is returned instead:
+ * { score, eligible, savings, maxAmount, reasons }.
+ *
+ * options: { product, amount, guarantors, collateral }
+ */
 LoanSchema.statics.calculateEligibility =
-    async function (userId, groupId) {
+    async function (userId, groupId, options = {}) {
 
         const Contribution =
             mongoose.model('Contribution');
 
-        const contributions =
-            await Contribution.find({
-                user: userId,
-                group: groupId
-            });
-
-        const total =
-            contributions.reduce(
-                (sum, contribution) =>
-                    sum + contribution.amount,
-                0
-            );
+        const {
+            total,
+            count
+        } = await Contribution.userSummary(
+            groupId,
+            userId
+        );
 
         let score = 0;
 
@@ -857,11 +1033,98 @@ LoanSchema.statics.calculateEligibility =
             score += 50;
         }
 
-        if (contributions.length >= 6) {
+        if (count >= 6) {
             score += 30;
         }
 
-        return Math.min(score, 100);
+        score = Math.min(score, 100);
+
+        const {
+            product,
+            amount = 0,
+            guarantors = [],
+            collateral = []
+        } = options;
+
+        if (!product) {
+            return score;
+        }
+
+        const reasons = [];
+
+        const maxAmount =
+            product.savingsMultiple == null
+                ? product.amount.max
+                : Math.min(
+                    product.amount.max,
+                    Math.round(total * product.savingsMultiple * 100) / 100
+                );
+
+        if (Number(amount) > maxAmount) {
+
+            reasons.push({
+                rule: 'savingsMultiple',
+                message:
+                    `${product.code} lends up to ${product.savingsMultiple}x savings (${maxAmount})`,
+                limit: maxAmount
+            });
+        }
+
+        const required =
+            product.requiredGuarantors || 0;
+
+        if (guarantors.length < required) {
+
+            reasons.push({
+                rule: 'requiredGuarantors',
+                message:
+                    `${product.code} requires ${required} guarantor(s)`,
+                limit: required
+            });
+        }
+
+        if (product.collateral?.required) {
+
+            const accepted =
+                product.collateral.acceptedTypes || [];
+
+            const pledged =
+                collateral
+                    .filter(item =>
+                        accepted.length === 0 ||
+                        accepted.includes(item.type)
+                    )
+                    .reduce(
+                        (sum, item) =>
+                            sum + Number(item.value || 0),
+                        0
+                    );
+
+            const needed =
+                Math.round(
+                    Number(amount) *
+                    (product.collateral.coverageRatio ?? 1) *
+                    100
+                ) / 100;
+
+            if (pledged < needed) {
+
+                reasons.push({
+                    rule: 'collateral',
+                    message:
+                        `${product.code} requires collateral worth ${needed}`,
+                    limit: needed
+                });
+            }
+        }
+
+        return {
+            score,
+            eligible: reasons.length === 0,
+            savings: total,
+            maxAmount,
+            reasons
+        };
     };
 
 /**
@@ -0,0 +1,86 @@
+// models/LoanProduct.js
+'use strict';
+
+const mongoose = require('mongoose');
+const LoanRepaymentSchedule = require('./LoanRepaymentSchedule');
+
+const STATUSES = ['active', 'superseded', 'retired'];
+const FEE_CALCULATIONS = ['flat', 'percentage'];
+
+const rangeSchema = new mongoose.Schema(
+  {
+    min: { type: Number, required: true, min: 0 },
+    max: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const feeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    calculation: { type: String, enum: FEE_CALCULATIONS, default: 'flat' },
+    // Currency amount for flat fees, percent of the principal for percentage fees
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A tenant's loan product. Every change is saved as a new version and the
+ * previous one is marked `superseded`; loans keep a reference to the version
+ * they were issued under, so later changes never alter their terms.
+ */
+const loanProductSchema = new mongoose.Schema(
+  {
+    tenantId: { type: String, required: true, index: true },
+    code: { type: String, required: true, uppercase: true, trim: true, maxlength: 30 },
+    version: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: STATUSES, default: 'active', index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+
+    amount: { type: rangeSchema, required: true },
+    termMonths: { type: rangeSchema, required: true },
+    // Annual rates as fractions (0.18 = 18%); `default` applies when the application names none
+    interestRate: {
+      min: { type: Number, required: true, min: 0 },
+      max: { type: Number, required: true, min: 0 },
+      default: { type: Number, required: true, min: 0 },
+    },
+    fees: { type: [feeSchema], default: [] },
+
+    // Maximum principal as a multiple of the member's group savings; null means no limit
+    savingsMultiple: { type: Number, min: 0, default: null },
+    requiredGuarantors: { type: Number, min: 0, default: 0 },
+    collateral: {
+      required: { type: Boolean, default: false },
+      // Collateral value needed per unit of principal (1 = fully secured)
+      coverageRatio: { type: Number, min: 0, default: 1 },
+      acceptedTypes: { type: [String], default: [] },
+    },
+
+    schedule: {
+      method: { type: String, enum: LoanRepaymentSchedule.AMORTIZATION_METHODS, default: 'declining_balance' },
+      frequency: {
+        type: String,
+        enum: Object.keys(LoanRepaymentSchedule.REPAYMENT_FREQUENCIES),
+        default: 'monthly',
+      },
+      gracePeriods: { type: Number, min: 0, default: 0 },
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    supersededAt: Date,
+    retiredAt: Date,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+loanProductSchema.index({ tenantId: 1, code: 1, version: 1 }, { unique: true });
+loanProductSchema.index({ tenantId: 1, code: 1, status: 1 });
+
+loanProductSchema.statics.STATUSES = STATUSES;
+loanProductSchema.statics.FEE_CALCULATIONS = FEE_CALCULATIONS;
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
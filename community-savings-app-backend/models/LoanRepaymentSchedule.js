@@ -6,6 +6,17 @@
 
 const mongoose = require('mongoose');
 
+// How principal and interest are spread across installments
+const AMORTIZATION_METHODS = ['flat', 'declining_balance', 'equal_principal', 'interest_only', 'bullet'];
+
+// Installments per year for each repayment frequency
+const REPAYMENT_FREQUENCIES = {
+  daily: 365,
+  weekly: 52,
+  biweekly: 26,
+  monthly: 12,
+};
+
 const loanRepaymentScheduleSchema = new mongoose.Schema(
   {
     loan: {
@@ -15,6 +26,35 @@ const loanRepaymentScheduleSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Schedule terms
+    method: {
+      type: String,
+      enum: AMORTIZATION_METHODS,
+      default: 'declining_balance',
+    },
+    frequency: {
+      type: String,
+      enum: Object.keys(REPAYMENT_FREQUENCIES),
+      default: 'monthly',
+    },
+    interestRate: {
+      type: Number,
+      min: 0, // annual rate as a fraction, e.g. 0.15
+    },
+    gracePeriods: {
+      type: Number,
+      default: 0, // leading installments that pay interest only
+      min: 0,
+    },
+    totalInstallments: {
+      type: Number,
+      min: 1,
+    },
+    installmentAmount: {
+      type: Number,
+      min: 0, // regular installment after any grace periods
+    },
+
     installments: [
       {
         number: {
@@ -275,4 +315,7 @@ loanRepaymentScheduleSchema.methods.getPaymentSummary = function () {
   };
 };
 
+loanRepaymentScheduleSchema.statics.AMORTIZATION_METHODS = AMORTIZATION_METHODS;
+loanRepaymentScheduleSchema.statics.REPAYMENT_FREQUENCIES = REPAYMENT_FREQUENCIES;
+
 module.exports = mongoose.model('LoanRepaymentSchedule', loanRepaymentScheduleSchema);
@@ -0,0 +1,65 @@
+// models/LoanRestructure.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const TYPES = ['term_extension', 'payment_holiday', 'interest_capitalization', 'partial_write_down'];
+const STATUSES = ['pending', 'applied', 'rejected', 'cancelled'];
+
+// Outstanding position of the loan's schedule at one point in time
+const positionSchema = new mongoose.Schema(
+  {
+    principal: Number,
+    accruedInterest: Number,
+    installments: Number,
+    installmentAmount: Number,
+    maturityDate: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * A request to restructure a disbursed loan. Raised by the borrower or a loan
+ * officer (maker) and applied only when a different officer (checker)
+ * approves it; the replaced and new schedules are kept in LoanAudit.
+ */
+const loanRestructureSchema = new mongoose.Schema(
+  {
+    tenantId: { type: String, index: true },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true, index: true },
+    type: { type: String, enum: TYPES, required: true },
+    status: { type: String, enum: STATUSES, default: 'pending', index: true },
+    terms: {
+      extensionMonths: { type: Number, min: 1 },
+      holidayPeriods: { type: Number, min: 1 },
+      writeDownAmount: { type: Number, min: 0.01 },
+    },
+    reason: { type: String, required: true, trim: true, maxlength: 1000 },
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: Date,
+    decisionNote: { type: String, trim: true, maxlength: 1000 },
+
+    before: positionSchema,
+    after: positionSchema,
+    previousSchedule: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanRepaymentSchedule' },
+    schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanRepaymentSchedule' },
+    journalId: String,
+    impairmentStage: String,
+    appliedAt: Date,
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// One open request per loan
+loanRestructureSchema.index(
+  { loan: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_per_loan' }
+);
+loanRestructureSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+loanRestructureSchema.statics.TYPES = TYPES;
+loanRestructureSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('LoanRestructure', loanRestructureSchema);
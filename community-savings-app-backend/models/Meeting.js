@@ -0,0 +1,147 @@
+// models/Meeting.js
+'use strict';
+
+const mongoose = require('mongoose');
+const { MEETING_STATUS } = require('../modules/offline/constants');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+const RECORD_TYPES = ['contribution', 'repayment', 'fine'];
+
+/**
+ * A member's attendance at the meeting. `present` and `late` count towards quorum.
+ */
+const attendanceSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ATTENDANCE_STATUSES, default: 'present' },
+    checkedInAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const agendaItemSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    notes: { type: String, trim: true, maxlength: 2000, default: '' },
+    decision: { type: String, trim: true, maxlength: 1000, default: '' },
+  },
+  { _id: true }
+);
+
+/**
+ * Money taken at the meeting. Records are posted to the ledger in one
+ * journal when the meeting closes; `reference` keeps them idempotent
+ * across online entry and offline sync.
+ */
+const meetingRecordSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: RECORD_TYPES, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+    // Set when a fine record settles a fine already charged to the member
+    fineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Fine' },
+    reason: { type: String, trim: true, maxlength: 500 },
+    reference: { type: String, required: true, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now },
+    // Set once a repayment has been applied to the loan's schedule
+    appliedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+const conflictSchema = new mongoose.Schema(
+  {
+    eventId: { type: String },
+    reason: { type: String, required: true },
+    details: { type: mongoose.Schema.Types.Mixed },
+    detectedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const meetingSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    // Client-generated id used by offline devices before the meeting reaches the server
+    offlineMeetingId: { type: String, trim: true, maxlength: 128 },
+    sourceDeviceId: { type: String, trim: true },
+    title: { type: String, required: true, trim: true, maxlength: 150 },
+    status: {
+      type: String,
+      enum: Object.values(MEETING_STATUS),
+      default: MEETING_STATUS.SCHEDULED,
+      index: true,
+    },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    scheduledAt: { type: Date, required: true },
+    startedAt: { type: Date },
+    closedAt: { type: Date },
+    quorum: {
+      required: { type: Number, default: 1, min: 1 },
+      present: { type: Number, default: 0 },
+      met: { type: Boolean, default: false },
+    },
+    attendance: [attendanceSchema],
+    agenda: [agendaItemSchema],
+    minutes: { type: String, trim: true, maxlength: 20000, default: '' },
+    records: [meetingRecordSchema],
+    posting: {
+      journalId: { type: String },
+      postedAt: { type: Date },
+      totals: {
+        contributions: { type: Number, default: 0 },
+        repayments: { type: Number, default: 0 },
+        fines: { type: Number, default: 0 },
+      },
+      error: { type: String },
+    },
+    conflicts: [conflictSchema],
+    lastEventId: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+meetingSchema.index({ groupId: 1, scheduledAt: -1 });
+meetingSchema.index(
+  { tenantId: 1, offlineMeetingId: 1 },
+  { unique: true, partialFilterExpression: { offlineMeetingId: { $type: 'string' } } }
+);
+
+meetingSchema.statics.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+meetingSchema.statics.RECORD_TYPES = RECORD_TYPES;
+
+/**
+ * Sum the meeting records by type.
+ * @returns {{contributions: number, repayments: number, fines: number}}
+ */
+meetingSchema.methods.totals = function () {
+  const totals = { contributions: 0, repayments: 0, fines: 0 };
+  for (const record of this.records || []) {
+    if (record.type === 'contribution') totals.contributions += record.amount;
+    if (record.type === 'repayment') totals.repayments += record.amount;
+    if (record.type === 'fine') totals.fines += record.amount;
+  }
+  return totals;
+};
+
+/**
+ * Recount members present and whether quorum is met.
+ */
+meetingSchema.methods.refreshQuorum = function () {
+  const present = (this.attendance || []).filter((a) => ['present', 'late'].includes(a.status)).length;
+  this.quorum.present = present;
+  this.quorum.met = present >= (this.quorum.required || 1);
+  return this.quorum;
+};
+
+module.exports = mongoose.model('Meeting', meetingSchema);
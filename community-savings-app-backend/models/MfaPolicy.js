@@ -0,0 +1,24 @@
+// models/MfaPolicy.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Account roles, plus group officer roles held in any group
+const ROLES = ['admin', 'group_admin', 'user', 'treasurer', 'secretary'];
+
+/**
+ * Which of a tenant's users must sign in with a second factor. Tenants
+ * without a policy fall back to MFA_REQUIRED_ROLES.
+ */
+const mfaPolicySchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, unique: true },
+    requiredRoles: [{ type: String, enum: ROLES }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+mfaPolicySchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('MfaPolicy', mfaPolicySchema);
@@ -0,0 +1,69 @@
+// models/PaymentRequest.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const PURPOSES = ['CONTRIBUTION', 'LOAN_REPAYMENT'];
+const STATUSES = ['OPEN', 'PROCESSING', 'PAID', 'EXPIRED', 'CANCELLED'];
+const PROVIDERS = ['mtn', 'airtel'];
+const CHANNELS = ['LINK', 'USSD', 'SMS'];
+
+/**
+ * One collection started from the public page.
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    paymentId: { type: String, index: true },
+    provider: { type: String, enum: PROVIDERS },
+    phoneNumber: { type: String },
+    status: { type: String, enum: ['PENDING', 'SUCCEEDED', 'FAILED'], default: 'PENDING' },
+    reasonCode: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A shareable request for a member to pay a contribution or loan
+ * installment by mobile money. The signed link (and its QR code) carries
+ * the group, purpose, amount and reference; paying it records the
+ * Contribution or loan repayment against `reference`.
+ */
+const paymentRequestSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    reference: { type: String, required: true, unique: true },
+    purpose: { type: String, enum: PURPOSES, required: true },
+    // Member the payment is credited to (the borrower for loan repayments)
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+    amount: { type: Number, required: true, min: [1, 'Amount must be positive'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    description: { type: String, trim: true, maxlength: 200 },
+    phoneNumber: { type: String, trim: true },
+    // LINK: created by a treasurer and shared; USSD: raised by the member
+    channel: { type: String, enum: CHANNELS, default: 'LINK' },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: STATUSES, default: 'OPEN' },
+    attempts: [attemptSchema],
+    openCount: { type: Number, default: 0 },
+    lastOpenedAt: { type: Date },
+    paidAt: { type: Date },
+    paymentId: { type: String },
+    contributionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contribution' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+paymentRequestSchema.index({ groupId: 1, status: 1, createdAt: -1 });
+
+paymentRequestSchema.statics.PURPOSES = PURPOSES;
+paymentRequestSchema.statics.STATUSES = STATUSES;
+paymentRequestSchema.statics.PROVIDERS = PROVIDERS;
+paymentRequestSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('PaymentRequest', paymentRequestSchema);
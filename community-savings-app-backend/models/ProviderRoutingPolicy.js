@@ -0,0 +1,38 @@
+// models/ProviderRoutingPolicy.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const MODES = ['RELIABILITY', 'PREFERRED', 'FIXED'];
+const PROVIDERS = ['mtn', 'airtel'];
+
+const weight = { type: Number, min: 0, max: 1 };
+
+/**
+ * A tenant's override of the default payout routing policy
+ * (modules/payment/orchestration/routingPolicy.js). Unset fields fall
+ * back to the defaults.
+ */
+const providerRoutingPolicySchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, unique: true },
+    mode: { type: String, enum: MODES },
+    weights: {
+      success: weight,
+      latency: weight,
+      settlement: weight,
+    },
+    preferredProviders: [{ type: String, enum: PROVIDERS }],
+    disabledProviders: [{ type: String, enum: PROVIDERS }],
+    minScore: weight,
+    // When false only the best rail is tried
+    failoverEnabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+providerRoutingPolicySchema.statics.MODES = MODES;
+providerRoutingPolicySchema.statics.PROVIDERS = PROVIDERS;
+
+module.exports = mongoose.model('ProviderRoutingPolicy', providerRoutingPolicySchema);
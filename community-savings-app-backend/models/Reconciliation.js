@@ -285,6 +285,8 @@ const ReconciliationSchema =
 
                     "AIRTEL_MONEY",
 
+                    "MPESA",
+
                     "LEDGER",
 
                     "MANUAL",
@@ -0,0 +1,98 @@
+// models/RotationCycle.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const CYCLE_STATUSES = ['draft', 'active', 'completed', 'cancelled'];
+const SLOT_STATUSES = ['scheduled', 'paid', 'deferred'];
+const TURN_REQUEST_TYPES = ['swap', 'emergency'];
+const TURN_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * One position in the payout order. `position` is 1-based and matches the
+ * round number in which the member is scheduled to receive the pot.
+ */
+const payoutSlotSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    position: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: SLOT_STATUSES, default: 'scheduled' },
+    deferredCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Member-initiated change to the payout order (turn swap or emergency turn).
+ * Requests are decided by a group officer before the order is changed.
+ */
+const turnRequestSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: TURN_REQUEST_TYPES, required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: 500, default: '' },
+    status: { type: String, enum: TURN_REQUEST_STATUSES, default: 'pending' },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const rotationCycleSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    frequency: { type: String, enum: FREQUENCIES, default: 'monthly', required: true },
+    contributionAmount: { type: Number, required: true, min: [0, 'Amount must be non-negative'] },
+    potAmount: { type: Number, required: true, min: [0, 'Amount must be non-negative'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    startDate: { type: Date, required: true },
+    payoutOrder: {
+      type: [payoutSlotSchema],
+      validate: {
+        validator: (slots) => Array.isArray(slots) && slots.length >= 2,
+        message: 'A rotation needs at least two members',
+      },
+    },
+    currentRound: { type: Number, default: 1, min: 1 },
+    totalRounds: { type: Number, required: true, min: 2 },
+    status: { type: String, enum: CYCLE_STATUSES, default: 'active', index: true },
+    turnRequests: [turnRequestSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    completedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+rotationCycleSchema.index({ groupId: 1, status: 1, createdAt: -1 });
+
+rotationCycleSchema.statics.FREQUENCIES = FREQUENCIES;
+rotationCycleSchema.statics.CYCLE_STATUSES = CYCLE_STATUSES;
+
+/**
+ * Find the payout slot held by a member, if any.
+ * @param {string} userId
+ */
+rotationCycleSchema.methods.slotFor = function (userId) {
+  return this.payoutOrder.find((slot) => slot.userId.toString() === String(userId));
+};
+
+/**
+ * Whether a member takes part in this rotation.
+ * @param {string} userId
+ */
+rotationCycleSchema.methods.hasMember = function (userId) {
+  return Boolean(this.slotFor(userId));
+};
+
+module.exports = mongoose.model('RotationCycle', rotationCycleSchema);
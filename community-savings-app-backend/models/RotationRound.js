@@ -0,0 +1,82 @@
+// models/RotationRound.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// 'releasing' is held while the pot is paid out so only one release can run;
+// payout.claimedAt dates the hold so a release that died can be resumed
+const ROUND_STATUSES = ['scheduled', 'collecting', 'ready', 'releasing', 'released', 'skipped'];
+
+const roundContributionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    reference: { type: String, trim: true },
+    contributionId: { type: mongoose.Schema.Types.ObjectId },
+    paidAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A single merry-go-round round: every member pays in, one member receives
+ * the pot. Rounds are stored per group so the history survives cycle edits.
+ */
+const rotationRoundSchema = new mongoose.Schema(
+  {
+    cycleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RotationCycle',
+      required: true,
+      index: true,
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true,
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    roundNumber: { type: Number, required: true, min: 1 },
+    recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    dueDate: { type: Date, required: true, index: true },
+    expectedAmount: { type: Number, required: true, min: 0 },
+    collectedAmount: { type: Number, default: 0, min: 0 },
+    contributions: [roundContributionSchema],
+    status: { type: String, enum: ROUND_STATUSES, default: 'scheduled', index: true },
+    defaulters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    skippedRecipients: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    payout: {
+      channel: { type: String, enum: ['WALLET', 'MANUAL'] },
+      reference: { type: String, trim: true },
+      amount: { type: Number, min: 0 },
+      releasedAt: { type: Date },
+      releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      claimedAt: { type: Date },
+      // Set once, just before the wallet is credited, so it is never credited twice
+      depositStartedAt: { type: Date },
+      // The wallet credit may or may not have landed: check the wallet for
+      // the reference before settling by hand
+      needsReconciliation: { type: Boolean },
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+rotationRoundSchema.index({ cycleId: 1, roundNumber: 1 }, { unique: true });
+rotationRoundSchema.index({ groupId: 1, createdAt: -1 });
+
+rotationRoundSchema.statics.ROUND_STATUSES = ROUND_STATUSES;
+
+/**
+ * Total paid into this round by one member.
+ * @param {string} userId
+ * @returns {number}
+ */
+rotationRoundSchema.methods.paidBy = function (userId) {
+  return this.contributions
+    .filter((c) => c.userId.toString() === String(userId))
+    .reduce((sum, c) => sum + Number(c.amount || 0), 0);
+};
+
+module.exports = mongoose.model('RotationRound', rotationRoundSchema);
@@ -0,0 +1,68 @@
+// models/RoutingDecision.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const OUTCOMES = ['ROUTED', 'EXHAUSTED'];
+
+const candidateSchema = new mongoose.Schema(
+  {
+    provider: { type: String },
+    phoneNumber: { type: String },
+    source: { type: String },
+    score: { type: Number },
+    components: { type: mongoose.Schema.Types.Mixed },
+    circuit: { type: String },
+    excluded: { type: Boolean, default: false },
+    reasons: [{ type: String }],
+  },
+  { _id: false }
+);
+
+const attemptSchema = new mongoose.Schema(
+  {
+    provider: { type: String },
+    phoneNumber: { type: String },
+    outcome: { type: String },
+    error: { type: String },
+    latencyMs: { type: Number },
+  },
+  { _id: false }
+);
+
+/**
+ * Why a payout went out on the rail it did: every candidate wallet with
+ * its score and reasons, the policy in force, and each attempt in order.
+ */
+const routingDecisionSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    operation: { type: String, required: true },
+    reference: { type: String, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    amount: { type: Number },
+    currency: { type: String },
+    source: {
+      type: { type: String },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      lineNo: { type: Number },
+    },
+    policy: { type: mongoose.Schema.Types.Mixed },
+    candidates: [candidateSchema],
+    attempts: [attemptSchema],
+    chosen: {
+      provider: { type: String },
+      phoneNumber: { type: String },
+    },
+    failover: { type: Boolean, default: false },
+    outcome: { type: String, enum: OUTCOMES, required: true },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+routingDecisionSchema.index({ tenantId: 1, createdAt: -1 });
+routingDecisionSchema.index({ 'chosen.provider': 1, createdAt: -1 });
+
+routingDecisionSchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('RoutingDecision', routingDecisionSchema);
@@ -0,0 +1,141 @@
+// models/SavingsCycle.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const CYCLE_STATUSES = ['active', 'closing', 'finalizing', 'closed'];
+const LOAN_POLICIES = ['block', 'net'];
+const SHARE_METHODS = ['SHARE_BALANCE', 'SHARE_MONTHS'];
+
+/**
+ * Balance a member brings into the cycle from the previous share-out.
+ */
+const openingBalanceSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Outstanding loan settled out of the borrower's share-out.
+ */
+const nettedLoanSchema = new mongoose.Schema(
+  {
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    outstanding: { type: Number, required: true, min: 0 },
+    interestDue: { type: Number, default: 0, min: 0 },
+    journalId: { type: String },
+    // Set once the loan has been settled, so a resumed close-out skips it
+    settledAt: { type: Date },
+  },
+  { _id: false }
+);
+
+/**
+ * One member's line on the share-out report.
+ * gross = openingBalance + savings + profitShare
+ * payout = gross - loansNetted - carryForward
+ */
+const payoutLineSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    openingBalance: { type: Number, default: 0 },
+    savings: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 },
+    profitShare: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 },
+    loansNetted: { type: Number, default: 0 },
+    carryForward: { type: Number, default: 0 },
+    payout: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const signatureSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String },
+    signedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A VSLA savings cycle. Contributions dated inside [startDate, endDate) belong
+ * to the cycle. Closing it computes each member's share-out, which group
+ * officers sign before loans are netted and the next cycle is opened with the
+ * carried-forward balances. The cycle stays `finalizing` while those steps run,
+ * so an interrupted close-out can be resumed.
+ */
+const savingsCycleSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      index: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    cycleNumber: { type: Number, required: true, min: 1 },
+    name: { type: String, trim: true, maxlength: 100 },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date },
+    status: { type: String, enum: CYCLE_STATUSES, default: 'active', index: true },
+    openingBalances: [openingBalanceSchema],
+    previousCycleId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsCycle' },
+    nextCycleId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavingsCycle' },
+    closeOut: {
+      loanPolicy: { type: String, enum: LOAN_POLICIES },
+      method: { type: String, enum: SHARE_METHODS },
+      preparedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      preparedAt: { type: Date },
+      totals: {
+        savings: { type: Number, default: 0 },
+        openingBalances: { type: Number, default: 0 },
+        interestIncome: { type: Number, default: 0 },
+        fineIncome: { type: Number, default: 0 },
+        profit: { type: Number, default: 0 },
+        loansNetted: { type: Number, default: 0 },
+        carryForward: { type: Number, default: 0 },
+        payout: { type: Number, default: 0 },
+      },
+      loans: [nettedLoanSchema],
+      lines: [payoutLineSchema],
+      // SHA-256 of the report content; signatures are given against it
+      digest: { type: String },
+      signatures: [signatureSchema],
+      requiredSignatures: { type: Number, default: 2, min: 1 },
+      // HMAC over the digest and signatures, set when the last officer signs
+      seal: { type: String },
+      // When the current run of the close-out steps started; a stale run can be resumed
+      finalizingAt: { type: Date },
+      reportFile: { type: String },
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// One open (active or closing) cycle per group; a finalizing cycle opens its successor
+savingsCycleSchema.index(
+  { groupId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['active', 'closing'] } }, name: 'one_open_cycle' }
+);
+savingsCycleSchema.index({ groupId: 1, cycleNumber: -1 });
+// A resumed close-out finds the next cycle it already opened instead of opening another
+savingsCycleSchema.index(
+  { previousCycleId: 1 },
+  { unique: true, partialFilterExpression: { previousCycleId: { $exists: true } }, name: 'one_next_cycle' }
+);
+
+savingsCycleSchema.statics.CYCLE_STATUSES = CYCLE_STATUSES;
+savingsCycleSchema.statics.LOAN_POLICIES = LOAN_POLICIES;
+savingsCycleSchema.statics.SHARE_METHODS = SHARE_METHODS;
+
+module.exports = mongoose.model('SavingsCycle', savingsCycleSchema);
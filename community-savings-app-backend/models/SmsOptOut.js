@@ -0,0 +1,24 @@
+// models/SmsOptOut.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * A phone number that texted STOP. Notifications are not sent to it until
+ * it texts START, which removes the record; replies to commands and
+ * security messages still go through.
+ */
+const smsOptOutSchema = new mongoose.Schema(
+  {
+    // +<digits>
+    phone: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    provider: { type: String },
+    keyword: { type: String },
+    optedOutAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model('SmsOptOut', smsOptOutSchema);
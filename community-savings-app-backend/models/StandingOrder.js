@@ -0,0 +1,68 @@
+// models/StandingOrder.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['ACTIVE', 'PAUSED', 'CANCELLED', 'COMPLETED'];
+const TARGET_TYPES = ['GROUP_CONTRIBUTION', 'SAVINGS_GOAL'];
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const PROVIDERS = ['mtn', 'airtel', 'mpesa'];
+
+/**
+ * A member's standing authorization to debit their mobile money wallet
+ * `amount` every `frequency` into a group contribution or a savings goal.
+ * `day` is the ISO weekday (1 = Monday) for weekly and biweekly orders and
+ * the day of the month (clamped to shorter months) for monthly ones.
+ */
+const standingOrderSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    target: {
+      type: { type: String, enum: TARGET_TYPES, required: true },
+      groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', index: true },
+      savingsId: { type: mongoose.Schema.Types.ObjectId, ref: 'Savings' },
+    },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    currency: { type: String, default: 'UGX', uppercase: true, trim: true, maxlength: 3 },
+    frequency: { type: String, enum: FREQUENCIES, required: true },
+    day: { type: Number, required: true, min: 1, max: 31 },
+    startDate: { type: Date, required: true },
+    // Last day a debit may fall on; open-ended if unset
+    endDate: { type: Date },
+    provider: { type: String, enum: PROVIDERS, required: true },
+    phoneNumber: { type: String, required: true, trim: true },
+    status: { type: String, enum: STATUSES, default: 'ACTIVE', index: true },
+    nextRunAt: { type: Date, index: true },
+    lastRunAt: { type: Date },
+    // The member's consent, kept as evidence for disputes
+    authorization: {
+      mandate: { type: String, required: true },
+      authorizedAt: { type: Date, required: true },
+      ip: { type: String },
+      userAgent: { type: String },
+    },
+    consecutiveFailures: { type: Number, default: 0 },
+    maxConsecutiveFailures: { type: Number, default: 3, min: 1, max: 12 },
+    successfulDebits: { type: Number, default: 0 },
+    totalCollected: { type: Number, default: 0 },
+    pausedAt: { type: Date },
+    // Resume automatically on this date; a paused order without it waits for the member
+    resumeAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancellationReason: { type: String, trim: true, maxlength: 500 },
+    completedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+standingOrderSchema.index({ status: 1, nextRunAt: 1 });
+standingOrderSchema.index({ status: 1, resumeAt: 1 });
+
+standingOrderSchema.statics.STATUSES = STATUSES;
+standingOrderSchema.statics.TARGET_TYPES = TARGET_TYPES;
+standingOrderSchema.statics.FREQUENCIES = FREQUENCIES;
+standingOrderSchema.statics.PROVIDERS = PROVIDERS;
+
+module.exports = mongoose.model('StandingOrder', standingOrderSchema);
@@ -0,0 +1,58 @@
+// models/StandingOrderRun.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['PENDING', 'RETRY_SCHEDULED', 'SUCCEEDED', 'FAILED', 'SKIPPED'];
+
+/**
+ * One collection request sent to the provider for a run.
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    attempt: { type: Number, required: true },
+    paymentId: { type: String, index: true },
+    idempotencyKey: { type: String, required: true },
+    status: { type: String, enum: ['PENDING', 'SUCCEEDED', 'FAILED'], default: 'PENDING' },
+    reasonCode: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * The debit of a standing order for one due date, with its retries. A
+ * successful run points at the Contribution (or savings goal) it funded
+ * and at the due-calendar period it paid.
+ */
+const standingOrderRunSchema = new mongoose.Schema(
+  {
+    standingOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'StandingOrder', required: true },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    dueDate: { type: Date, required: true },
+    // Also the Contribution reference, so a run can only fund one contribution
+    reference: { type: String, required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, default: 'UGX' },
+    status: { type: String, enum: STATUSES, default: 'PENDING', index: true },
+    attempts: [attemptSchema],
+    nextRetryAt: { type: Date },
+    reasonCode: { type: String },
+    contributionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contribution' },
+    savingsId: { type: mongoose.Schema.Types.ObjectId, ref: 'Savings' },
+    calendarPeriod: {
+      obligationId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContributionObligation' },
+      dueDate: { type: Date },
+    },
+    settledAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+standingOrderRunSchema.index({ standingOrderId: 1, dueDate: 1 }, { unique: true });
+standingOrderRunSchema.index({ status: 1, nextRetryAt: 1 });
+
+standingOrderRunSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('StandingOrderRun', standingOrderRunSchema);
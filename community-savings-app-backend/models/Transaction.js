@@ -60,6 +60,7 @@ const FLOW_TYPES = [
 const PROVIDERS = [
   "mtn_momo",
   "airtel_money",
+  "mpesa",
   "bank",
   "cash",
   "internal",
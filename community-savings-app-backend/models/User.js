@@ -21,6 +21,8 @@ const profileSchema = new mongoose.Schema(
     city: { type: String, trim: true, maxlength: 100 },
     country: { type: String, trim: true, maxlength: 100 },
     occupation: { type: String, trim: true, maxlength: 100 },
+    // USSD and SMS language: en, lg (Luganda), sw (Swahili), nyn (Runyankore), fr
+    language: { type: String, enum: ['en', 'lg', 'sw', 'nyn', 'fr'] },
 
     avatar: {
       type: String,
@@ -91,12 +93,56 @@ const mfaSchema = new mongoose.Schema(
       select: false,
     },
 
+    // HMAC digests; each code works once (see mfaService)
     backupCodes: [
       {
         type: String,
         select: false,
       },
     ],
+
+    enabledAt: Date,
+
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
+  { _id: false }
+);
+
+// PIN for authorising USSD payments and loan requests (see ussdPinService)
+const ussdPinSchema = new mongoose.Schema(
+  {
+    hash: {
+      type: String,
+      select: false,
+    },
+
+    setAt: Date,
+
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    resetCodeHash: {
+      type: String,
+      select: false,
+    },
+
+    resetCodeExpiresAt: Date,
+
+    resetCodeAttempts: {
+      type: Number,
+      default: 0,
+    },
   },
   { _id: false }
 );
@@ -249,6 +295,15 @@ const userSchema = new mongoose.Schema(
       default: () => ({}),
     },
 
+    // ------------------------------------------------------------------------
+    // USSD PIN
+    // ------------------------------------------------------------------------
+
+    ussdPin: {
+      type: ussdPinSchema,
+      default: () => ({}),
+    },
+
     // ------------------------------------------------------------------------
     // MOBILE MONEY
     // ------------------------------------------------------------------------
@@ -380,6 +435,8 @@ const userSchema = new mongoose.Schema(
 
         delete ret.passwordHistory;
 
+        delete ret.ussdPin;
+
         return ret;
       },
     },
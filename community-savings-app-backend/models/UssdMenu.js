@@ -0,0 +1,32 @@
+// models/UssdMenu.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['DRAFT', 'PUBLISHED', 'RETIRED'];
+
+/**
+ * A version of a tenant's USSD menu tree (see services/ussd/menuEngine.js
+ * for the format). At most one version per tenant is PUBLISHED; tenants
+ * without one get services/ussd/defaultMenu.js.
+ */
+const ussdMenuSchema = new mongoose.Schema(
+  {
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+    version: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: STATUSES, default: 'DRAFT', index: true },
+    // { start, defaultLanguage, screens, messages }
+    definition: { type: mongoose.Schema.Types.Mixed, required: true },
+    notes: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: Date,
+  },
+  { timestamps: true, versionKey: false, minimize: false }
+);
+
+ussdMenuSchema.index({ tenantId: 1, version: 1 }, { unique: true });
+
+ussdMenuSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('UssdMenu', ussdMenuSchema);
@@ -0,0 +1,59 @@
+// models/WithdrawalPolicy.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SIGNATORY_ROLES = ['creator', 'treasurer', 'secretary'];
+
+/**
+ * Amount band of a policy: withdrawals of at least `minAmount` need
+ * `requiredApprovals` signatures. The band with the highest `minAmount` not
+ * above the withdrawal applies.
+ */
+const tierSchema = new mongoose.Schema(
+  {
+    minAmount: { type: Number, required: true, min: 0 },
+    requiredApprovals: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+/**
+ * M-of-N approval policy for withdrawals from a group's fund. The N
+ * signatories are the group officers holding one of `signatoryRoles`.
+ */
+const withdrawalPolicySchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+      unique: true,
+    },
+    tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+    signatoryRoles: {
+      type: [{ type: String, enum: SIGNATORY_ROLES }],
+      default: SIGNATORY_ROLES,
+      validate: {
+        validator: (roles) => Array.isArray(roles) && roles.length > 0,
+        message: 'At least one signatory role is required',
+      },
+    },
+    tiers: {
+      type: [tierSchema],
+      default: [{ minAmount: 0, requiredApprovals: 2 }],
+      validate: {
+        validator: (tiers) => Array.isArray(tiers) && tiers.length > 0,
+        message: 'At least one approval tier is required',
+      },
+    },
+    // Pending requests expire after this many hours
+    expiryHours: { type: Number, default: 48, min: 1, max: 720 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+withdrawalPolicySchema.statics.SIGNATORY_ROLES = SIGNATORY_ROLES;
+
+module.exports = mongoose.model('WithdrawalPolicy', withdrawalPolicySchema);
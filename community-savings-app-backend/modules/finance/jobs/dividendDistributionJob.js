@@ -5,230 +5,1254 @@
 const crypto = require('crypto');
 const os = require('os');
 
-const Member =
-  require('../../members/models/Member');
+const mongoose = require('mongoose');
 
 const Account =
   require('../models/Account');
 
-const Transaction =
-  require('../models/Transaction');
+const DividendDistribution =
+  require('../models/DividendDistribution');
+
+// Before the shared AuditLog: the wallet service registers the app's
+// AuditLog model, which the shared model defers to once it exists
+const walletService =
+  require('../../../services/walletService');
 
 const AuditLog =
   require('../../../shared/models/AuditLog');
 
-const ledgerService =
-  require('../services/ledgerService');
+const Contribution =
+  require('../../../models/Contribution');
+
+const Loan =
+  require('../../../models/Loan');
+
+const LoanRepaymentSchedule =
+  require('../../../models/LoanRepaymentSchedule');
+
+const User =
+  require('../../../models/User');
+
+const airtelDisbursementService =
+  require('../../../services/airtel/disbursements');
+
+const mtnDisbursementService =
+  require('../../../services/mtn/disbursements');
+
+const ledgerService =
+  require('../services/ledgerService');
+
+const AppError =
+  require('../../../utils/AppError');
+
+const errorCodes =
+  require('../../../utils/errorCodes');
+
+const {
+  detectProvider,
+  normalizePhone,
+  payoutOutcome,
+  stableReferenceId
+} = require('../../../utils/mobileMoney');
+
+const {
+  ALLOCATION_METHODS,
+  PAYOUT_OPTIONS,
+  shareMonths,
+  averageDailyBalance,
+  interestPaid,
+  allocate
+} = require('../services/dividendAllocationService');
+
+/**
+ * -------------------------------------------------------
+ * CONFIG
+ * -------------------------------------------------------
+ */
+
+const JOB_NAME =
+  'dividend-distribution-job';
+
+const DIVIDEND_EXPENSE_ACCOUNT =
+  'DIVIDEND_EXPENSE';
+
+const MEMBER_DIVIDEND_LIABILITY =
+  'MEMBER_DIVIDEND_PAYABLE';
+
+// Account credited when the payable is settled, per payout option
+const PAYOUT_ACCOUNTS = {
+  [PAYOUT_OPTIONS.WALLET]:
+    'MEMBER_WALLET_LIABILITY',
+
+  [PAYOUT_OPTIONS.MOBILE_MONEY]:
+    'MOMO_DISBURSEMENT_CLEARING',
+
+  [PAYOUT_OPTIONS.REINVEST]:
+    'SHARE_CAPITAL'
+};
+
+// A POSTING claim older than this belongs to a run that died
+const POSTING_LEASE_MS =
+  Number(process.env.DIVIDEND_POSTING_LEASE_MS) ||
+  30 * 60 * 1000;
+
+const round2 = value =>
+  Math.round(value * 100) / 100;
+
+/**
+ * -------------------------------------------------------
+ * EXECUTION ID
+ * -------------------------------------------------------
+ */
+
+function executionId() {
+
+  return `DIV-${Date.now()}-${crypto
+    .randomBytes(6)
+    .toString('hex')}`;
+}
+
+/**
+ * -------------------------------------------------------
+ * AUDIT
+ * -------------------------------------------------------
+ */
+
+async function audit({
+  tenantId,
+  status,
+  metadata = {}
+}) {
+
+  try {
+
+    await AuditLog.create({
+
+      tenantId,
+
+      action:
+        'DIVIDEND_DISTRIBUTION',
+
+      status,
+
+      metadata: {
+        hostname:
+          os.hostname(),
+        ...metadata
+      }
+    });
+
+  } catch (error) {
+
+    console.error(
+      '[DIVIDEND AUDIT]',
+      error.message
+    );
+  }
+}
+
+/**
+ * -------------------------------------------------------
+ * FISCAL PERIOD
+ * -------------------------------------------------------
+ */
+
+function fiscalPeriod({
+  fiscalYear,
+  periodStart,
+  periodEnd
+}) {
+
+  return {
+
+    periodStart:
+      periodStart
+        ? new Date(periodStart)
+        : new Date(Date.UTC(fiscalYear, 0, 1)),
+
+    periodEnd:
+      periodEnd
+        ? new Date(periodEnd)
+        : new Date(Date.UTC(fiscalYear + 1, 0, 1))
+  };
+}
+
+/**
+ * -------------------------------------------------------
+ * SHARE HISTORY
+ * -------------------------------------------------------
+ *
+ * Share capital is the members' contributions. Returns
+ * userId -> { movements, byGroup } for every contribution
+ * made before the period end.
+ */
+
+async function shareHistories({
+  tenantId,
+  groupId,
+  periodEnd
+}) {
+
+  const contributions =
+    await Contribution.find({
+
+      ...(mongoose.isValidObjectId(tenantId)
+        ? { tenantId }
+        : {}),
+
+      ...(groupId
+        ? { groupId }
+        : {}),
+
+      isDeleted: false,
+
+      date: {
+        $lt: periodEnd
+      }
+    })
+      .select('userId groupId amount date')
+      .lean();
+
+  const histories =
+    new Map();
+
+  for (
+    const contribution
+    of contributions
+  ) {
+
+    const userId =
+      String(contribution.userId);
+
+    const amount =
+      parseFloat(
+        String(contribution.amount || 0)
+      );
+
+    if (
+      !histories.has(userId)
+    ) {
+      histories.set(userId, {
+        movements: [],
+        byGroup: {}
+      });
+    }
+
+    const history =
+      histories.get(userId);
+
+    history.movements.push({
+      date: contribution.date,
+      amount
+    });
+
+    const group =
+      String(contribution.groupId);
+
+    history.byGroup[group] =
+      (history.byGroup[group] || 0) + amount;
+  }
+
+  return histories;
+}
+
+/**
+ * -------------------------------------------------------
+ * INTEREST PAID (PATRONAGE)
+ * -------------------------------------------------------
+ */
+
+async function interestByBorrower({
+  tenantId,
+  groupId,
+  periodStart,
+  periodEnd
+}) {
+
+  const loans =
+    await Loan.find({
+
+      tenantId,
+
+      ...(groupId
+        ? { group: groupId }
+        : {})
+    })
+      .select('_id user group')
+      .lean();
+
+  const borrowerByLoan =
+    new Map(
+      loans.map(loan => [
+        String(loan._id),
+        loan
+      ])
+    );
+
+  const schedules =
+    await LoanRepaymentSchedule.find({
+      loan: {
+        $in: loans.map(loan => loan._id)
+      }
+    })
+      .select('loan installments')
+      .lean();
+
+  const interest =
+    new Map();
+
+  for (
+    const schedule
+    of schedules
+  ) {
+
+    const loan =
+      borrowerByLoan.get(
+        String(schedule.loan)
+      );
+
+    const paid =
+      interestPaid(
+        schedule.installments,
+        { periodStart, periodEnd }
+      );
+
+    if (
+      !loan ||
+      paid <= 0
+    ) {
+      continue;
+    }
+
+    const userId =
+      String(loan.user);
+
+    const entry =
+      interest.get(userId) || {
+        amount: 0,
+        groupId: loan.group
+      };
+
+    entry.amount =
+      round2(entry.amount + paid);
+
+    interest.set(userId, entry);
+  }
+
+  return interest;
+}
+
+/**
+ * -------------------------------------------------------
+ * MEMBER WEIGHTS
+ * -------------------------------------------------------
+ *
+ * [{ userId, groupId, weight }] for members with a
+ * positive weight under the chosen allocation method.
+ */
+
+function largestGroup(
+  byGroup = {}
+) {
+
+  const entries =
+    Object.entries(byGroup);
+
+  if (
+    !entries.length
+  ) {
+    return null;
+  }
+
+  return entries.reduce(
+    (a, b) => (b[1] > a[1] ? b : a)
+  )[0];
+}
+
+async function memberWeights({
+  tenantId,
+  groupId,
+  method,
+  periodStart,
+  periodEnd
+}) {
+
+  const histories =
+    await shareHistories({
+      tenantId,
+      groupId,
+      periodEnd
+    });
+
+  const weights = [];
+
+  if (
+    method === ALLOCATION_METHODS.PATRONAGE
+  ) {
+
+    const interest =
+      await interestByBorrower({
+        tenantId,
+        groupId,
+        periodStart,
+        periodEnd
+      });
+
+    for (
+      const [userId, entry]
+      of interest
+    ) {
+
+      weights.push({
+        userId,
+
+        groupId:
+          largestGroup(
+            histories.get(userId)?.byGroup
+          ) || entry.groupId,
+
+        weight:
+          entry.amount
+      });
+    }
+
+    return weights;
+  }
+
+  for (
+    const [userId, history]
+    of histories
+  ) {
+
+    const opening =
+      history.movements
+        .filter(m => new Date(m.date) < periodStart)
+        .reduce((sum, m) => sum + m.amount, 0);
+
+    const input = {
+      openingBalance:
+        opening,
+
+      movements:
+        history.movements,
+
+      periodStart,
+
+      periodEnd
+    };
+
+    let weight;
+
+    if (
+      method === ALLOCATION_METHODS.SHARE_MONTHS
+    ) {
+      weight =
+        shareMonths(input);
+    } else if (
+      method === ALLOCATION_METHODS.AVERAGE_DAILY_BALANCE
+    ) {
+      weight =
+        averageDailyBalance(input);
+    } else {
+      weight =
+        round2(
+          history.movements.reduce(
+            (sum, m) => sum + m.amount,
+            0
+          )
+        );
+    }
+
+    if (
+      weight > 0
+    ) {
+      weights.push({
+        userId,
+
+        groupId:
+          largestGroup(history.byGroup),
+
+        weight
+      });
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * -------------------------------------------------------
+ * PREVIEW
+ * -------------------------------------------------------
+ *
+ * Computes the per-member breakdown and saves it for
+ * approval. Nothing is posted.
+ */
+
+async function preview({
+
+  tenantId,
+
+  groupId = null,
+
+  fiscalYear,
+
+  distributableProfit,
+
+  method =
+    ALLOCATION_METHODS.SHARE_MONTHS,
+
+  periodStart,
+
+  periodEnd,
+
+  payoutOption =
+    PAYOUT_OPTIONS.WALLET,
+
+  // { [userId]: payoutOption } member elections
+  memberOptions = {},
+
+  currency = 'UGX',
+
+  requestedBy
+}) {
+
+  if (
+    !(distributableProfit > 0)
+  ) {
+    throw new AppError(
+      'No distributable profit available',
+      400,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  if (
+    !Object.values(ALLOCATION_METHODS).includes(method)
+  ) {
+    throw new AppError(
+      `Unsupported allocation method: ${method}`,
+      400,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  const period =
+    fiscalPeriod({
+      fiscalYear,
+      periodStart,
+      periodEnd
+    });
+
+  const weights =
+    await memberWeights({
+      tenantId,
+      groupId,
+      method,
+      ...period
+    });
+
+  if (
+    !weights.length
+  ) {
+    throw new AppError(
+      'No eligible members found',
+      422,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  const lines =
+    allocate(
+      weights,
+      distributableProfit
+    ).map(line => ({
+      ...line,
+
+      payoutOption:
+        memberOptions[line.userId] ||
+        payoutOption
+    }));
+
+  try {
+
+    return await DividendDistribution.create({
+
+      tenantId:
+        String(tenantId),
+
+      groupId,
+
+      fiscalYear,
+
+      ...period,
+
+      method,
+
+      distributableProfit,
+
+      totalWeight:
+        round2(
+          weights.reduce((sum, w) => sum + w.weight, 0)
+        ),
+
+      currency,
+
+      lines,
+
+      requestedBy
+    });
+
+  } catch (error) {
+
+    if (
+      error.code === 11000
+    ) {
+      throw new AppError(
+        `A dividend for ${fiscalYear} is already declared`,
+        409,
+        errorCodes.DIVIDEND_INVALID_STATE
+      );
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * -------------------------------------------------------
+ * DISTRIBUTE MEMBER DIVIDEND
+ * -------------------------------------------------------
+ *
+ * Declares the member's dividend (expense -> payable),
+ * pays it out by the line's payout option and, once the
+ * payout is confirmed, settles the payable. The line is
+ * saved after every step so an interrupted run resumes
+ * where it stopped. Lines that cannot be paid
+ * automatically stay payable as PENDING_MANUAL.
+ */
+
+function isDuplicate(
+  error
+) {
+
+  return (
+    error?.code === 11000 ||
+    error?.code === 'DUPLICATE_REFERENCE'
+  );
+}
+
+/**
+ * Posts a journal once: a reference already booked by an
+ * interrupted run counts as posted.
+ */
+async function postOnce(
+  params
+) {
+
+  try {
+
+    await ledgerService.postTransaction(
+      params
+    );
+
+  } catch (error) {
+
+    if (!isDuplicate(error)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Marks the line PROCESSING and saves it before anything
+ * is sent. A new attempt gets a new idempotency key; a
+ * resend keeps the key the provider has already seen.
+ */
+async function beginPayout({
+
+  distribution,
+
+  line,
+
+  key,
+
+  resend
+}) {
+
+  if (!resend) {
+
+    line.payoutAttempts =
+      (line.payoutAttempts || 0) + 1;
+
+    const attemptKey =
+      line.payoutAttempts > 1
+        ? `${key}-${line.payoutAttempts}`
+        : key;
+
+    // MTN takes a UUID request id; Airtel takes our reference
+    line.payoutId =
+      line.provider === 'mtn'
+        ? stableReferenceId(attemptKey)
+        : attemptKey;
+  }
+
+  line.status = 'PROCESSING';
+
+  await distribution.save();
+}
+
+async function sendMobileMoney({
+
+  distribution,
+
+  line,
+
+  phoneNumber,
+
+  metadata,
+
+  dependencies
+}) {
+
+  const provider =
+    dependencies.providers[line.provider];
+
+  if (
+    line.provider === 'airtel'
+  ) {
+    return provider.disburse({
+      tenantId:
+        distribution.tenantId,
+      amount:
+        line.amount,
+      phoneNumber:
+        phoneNumber.replace(/^256/, ''),
+      reference:
+        line.payoutId,
+      metadata
+    });
+  }
+
+  return provider.disburse({
+    tenantId:
+      distribution.tenantId,
+    amount:
+      line.amount,
+    phoneNumber,
+    currency:
+      distribution.currency,
+    externalId:
+      line.payoutId,
+    referenceId:
+      line.payoutId,
+    payerMessage:
+      `Dividend ${distribution.fiscalYear}`,
+    payeeNote:
+      'Dividend',
+    metadata
+  });
+}
+
+/**
+ * Pays the line out. Returns the line status: PAID once
+ * the money has moved, PROCESSING while the provider has
+ * not confirmed a mobile money transfer, PENDING_MANUAL
+ * when there is no wallet, phone or group to pay into.
+ */
+async function payOut({
+
+  distribution,
+
+  line,
+
+  reference,
+
+  resend,
+
+  dependencies
+}) {
+
+  const metadata = {
+    distributionId:
+      distribution._id,
+
+    fiscalYear:
+      distribution.fiscalYear
+  };
+
+  if (
+    line.payoutOption === PAYOUT_OPTIONS.WALLET
+  ) {
+
+    const wallet =
+      await walletService.getWallet(
+        line.userId,
+        distribution.tenantId
+      );
+
+    if (!wallet) {
+      return 'PENDING_MANUAL';
+    }
+
+    await beginPayout({
+      distribution,
+      line,
+      key:
+        reference,
+      resend
+    });
+
+    await walletService.deposit({
+      walletId:
+        wallet._id,
+      amount:
+        line.amount,
+      reference:
+        line.payoutId,
+      channel:
+        'DIVIDEND',
+      metadata
+    });
+
+    line.reference = line.payoutId;
+
+    return 'PAID';
+  }
+
+  if (
+    line.payoutOption === PAYOUT_OPTIONS.MOBILE_MONEY
+  ) {
+
+    const user =
+      await User.findById(line.userId)
+        .select('phone')
+        .lean();
+
+    const phoneNumber =
+      normalizePhone(user?.phone);
+
+    // Route by the member's network
+    const provider =
+      phoneNumber &&
+      detectProvider(phoneNumber);
+
+    if (!provider) {
+      return 'PENDING_MANUAL';
+    }
+
+    if (!resend) {
+      line.provider = provider;
+    }
+
+    await beginPayout({
+      distribution,
+      line,
+      key:
+        reference,
+      resend
+    });
+
+    const transfer =
+      await sendMobileMoney({
+        distribution,
+        line,
+        phoneNumber,
+        metadata,
+        dependencies
+      });
+
+    line.reference =
+      transfer?.reference ||
+      line.payoutId;
+
+    const outcome =
+      payoutOutcome(transfer?.status);
+
+    if (
+      outcome === 'failed'
+    ) {
+      line.error =
+        `Provider reported ${transfer.status}`;
+
+      return 'FAILED';
+    }
+
+    return outcome === 'paid'
+      ? 'PAID'
+      : 'PROCESSING';
+  }
+
+  if (!line.groupId) {
+    return 'PENDING_MANUAL';
+  }
+
+  await beginPayout({
+    distribution,
+    line,
+    key:
+      reference,
+    resend
+  });
+
+  // Reinvested dividends become share capital for next
+  // year; the reference is unique per group, so a resend
+  // never adds a second contribution
+  try {
+
+    await Contribution.create({
+      groupId:
+        line.groupId,
+      userId:
+        line.userId,
+      ...(mongoose.isValidObjectId(distribution.tenantId)
+        ? { tenantId: distribution.tenantId }
+        : {}),
+      amount:
+        line.amount,
+      currency:
+        distribution.currency,
+      reference:
+        line.payoutId,
+      metadata: {
+        ...metadata,
+        source:
+          'DIVIDEND_REINVESTMENT'
+      }
+    });
+
+  } catch (error) {
+
+    if (!isDuplicate(error)) {
+      throw error;
+    }
+  }
+
+  line.reference = line.payoutId;
+
+  return 'PAID';
+}
+
+/**
+ * Outcome of a payout left PROCESSING: 'paid', 'failed',
+ * 'pending', 'resend' when it is safe to send again with
+ * the same idempotency key, or 'unconfirmed'.
+ */
+async function confirmPayout({
+
+  line,
+
+  dependencies
+}) {
+
+  if (
+    line.payoutOption === PAYOUT_OPTIONS.REINVEST
+  ) {
+    return 'resend';
+  }
+
+  if (
+    line.payoutOption === PAYOUT_OPTIONS.WALLET
+  ) {
+    // Wallet credits cannot be looked up by reference
+    return 'unconfirmed';
+  }
+
+  try {
+
+    const result =
+      await dependencies.providers[line.provider]
+        .getStatus(line.payoutId);
+
+    return payoutOutcome(result?.status);
+
+  } catch (error) {
+
+    // The provider never received the transfer
+    if (
+      error.response?.status === 404
+    ) {
+      return 'resend';
+    }
+
+    throw error;
+  }
+}
+
+async function payLine({
+
+  distribution,
+
+  line,
+
+  reference,
+
+  dependencies
+}) {
+
+  let resend = false;
 
-/**
- * -------------------------------------------------------
- * CONFIG
- * -------------------------------------------------------
- */
+  if (
+    line.status === 'PROCESSING'
+  ) {
 
-const JOB_NAME =
-  'dividend-distribution-job';
+    const outcome =
+      await confirmPayout({
+        line,
+        dependencies
+      });
 
-const DIVIDEND_EXPENSE_ACCOUNT =
-  'DIVIDEND_EXPENSE';
+    if (
+      outcome === 'paid'
+    ) {
+      return 'PAID';
+    }
 
-const MEMBER_DIVIDEND_LIABILITY =
-  'MEMBER_DIVIDEND_PAYABLE';
+    if (
+      outcome === 'pending'
+    ) {
+      return 'PROCESSING';
+    }
 
-/**
- * -------------------------------------------------------
- * EXECUTION ID
- * -------------------------------------------------------
- */
+    if (
+      outcome === 'failed'
+    ) {
+      line.error =
+        'Provider reported the payout failed';
 
-function executionId() {
+      return 'FAILED';
+    }
 
-  return `DIV-${Date.now()}-${crypto
-    .randomBytes(6)
-    .toString('hex')}`;
+    if (
+      outcome === 'unconfirmed'
+    ) {
+      line.error =
+        `Payout ${line.payoutId} was interrupted; confirm it before settling manually`;
+
+      return 'PENDING_MANUAL';
+    }
+
+    resend = true;
+  }
+
+  return payOut({
+    distribution,
+    line,
+    reference,
+    resend,
+    dependencies
+  });
 }
 
-/**
- * -------------------------------------------------------
- * AUDIT
- * -------------------------------------------------------
- */
+async function distributeMember({
 
-async function audit({
-  tenantId,
-  status,
-  metadata = {}
+  distribution,
+
+  line,
+
+  accounts,
+
+  dependencies
 }) {
 
-  try {
+  const reference =
+    `DIVIDEND-${distribution.fiscalYear}-${distribution._id}-${line.userId}`;
 
-    await AuditLog.create({
+  if (
+    !line.declared
+  ) {
 
-      tenantId,
+    await postOnce({
 
-      action:
-        'DIVIDEND_DISTRIBUTION',
+      tenantId:
+        distribution.tenantId,
 
-      status,
+      debitAccountId:
+        accounts.expense._id,
 
-      metadata: {
-        hostname:
-          os.hostname(),
-        ...metadata
-      }
-    });
+      creditAccountId:
+        accounts.liability._id,
 
-  } catch (error) {
+      amount:
+        line.amount,
 
-    console.error(
-      '[DIVIDEND AUDIT]',
-      error.message
-    );
-  }
-}
+      reference,
 
-/**
- * -------------------------------------------------------
- * MEMBER ELIGIBILITY
- * -------------------------------------------------------
- */
+      description:
+        `Dividend distribution for member ${line.userId}`
+    });
 
-async function eligibleMembers(
-  tenantId
-) {
+    line.declared = true;
 
-  return Member.find({
+    await distribution.save();
+  }
 
-    tenantId,
+  if (
+    line.status !== 'PAID'
+  ) {
 
-    status: 'ACTIVE',
+    line.error = undefined;
 
-    isDeleted: {
-      $ne: true
-    },
+    line.status =
+      await payLine({
+        distribution,
+        line,
+        reference:
+          `${reference}-PAY`,
+        dependencies
+      });
 
-    shareBalance: {
-      $gt: 0
+    if (
+      line.status === 'PAID'
+    ) {
+      line.paidAt = new Date();
     }
-  });
-}
 
-/**
- * -------------------------------------------------------
- * TOTAL SHARE CAPITAL
- * -------------------------------------------------------
- */
+    await distribution.save();
+  }
 
-function totalShares(
-  members
-) {
+  if (
+    line.status !== 'PAID' ||
+    line.settled
+  ) {
+    return line;
+  }
 
-  return members.reduce(
+  // The money has moved: a failed posting is retried by
+  // the next run and never pays the member again
+  try {
 
-    (sum, member) =>
-      sum +
-      Number(
-        member.shareBalance || 0
-      ),
+    await postOnce({
 
-    0
-  );
-}
+      tenantId:
+        distribution.tenantId,
 
-/**
- * -------------------------------------------------------
- * CALCULATE DIVIDEND
- * -------------------------------------------------------
- */
+      debitAccountId:
+        accounts.liability._id,
 
-function calculateDividend({
+      creditAccountId:
+        accounts.payout[line.payoutOption]._id,
 
-  memberShares,
+      amount:
+        line.amount,
 
-  totalShares,
+      reference:
+        `${reference}-PAY`,
 
-  distributableProfit
-}) {
+      description:
+        `Dividend ${line.payoutOption.toLowerCase()} payout for member ${line.userId}`
+    });
 
-  if (
-    totalShares <= 0
-  ) {
-    return 0;
+    line.settled = true;
+
+  } catch (error) {
+
+    line.error =
+      `Paid; settlement posting failed: ${error.message}`;
   }
 
-  return Number(
-    (
-      (memberShares /
-        totalShares) *
-      distributableProfit
-    ).toFixed(2)
-  );
+  await distribution.save();
+
+  return line;
 }
 
 /**
  * -------------------------------------------------------
- * DISTRIBUTE MEMBER DIVIDEND
+ * GL ACCOUNTS
  * -------------------------------------------------------
  */
 
-async function distributeMember({
-
+async function resolveAccounts(
   tenantId,
+  payoutOptions
+) {
 
-  member,
-
-  amount,
-
-  distributionReference,
+  const expense =
+    await Account.getByCode(
+      tenantId,
+      DIVIDEND_EXPENSE_ACCOUNT
+    );
 
-  expenseAccountId,
+  const liability =
+    await Account.getByCode(
+      tenantId,
+      MEMBER_DIVIDEND_LIABILITY
+    );
 
-  liabilityAccountId
-}) {
+  const payout = {};
 
-  if (
-    amount <= 0
+  for (
+    const option
+    of payoutOptions
   ) {
-    return null;
+    payout[option] =
+      await Account.getByCode(
+        tenantId,
+        PAYOUT_ACCOUNTS[option]
+      );
   }
 
-  const reference =
-    `${distributionReference}-${member._id}`;
-
-  return ledgerService.postTransaction({
+  if (
+    !expense ||
+    !liability ||
+    Object.values(payout).some(account => !account)
+  ) {
 
-    tenantId,
+    throw new Error(
+      'Dividend GL accounts not configured'
+    );
+  }
 
-    debitAccountId:
-      expenseAccountId,
+  return {
+    expense,
+    liability,
+    payout
+  };
+}
 
-    creditAccountId:
-      liabilityAccountId,
+function isSettled(
+  line
+) {
 
-    amount,
+  return (
+    line.status === 'PAID' &&
+    line.settled
+  );
+}
 
-    reference,
+// Interrupted payouts that need a person to confirm them
+function awaitsManualCheck(
+  line
+) {
 
-    description:
-      `Dividend distribution for member ${member._id}`
-  });
+  return (
+    line.status === 'PENDING_MANUAL' &&
+    Boolean(line.payoutId)
+  );
 }
 
 /**
  * -------------------------------------------------------
  * DISTRIBUTE DIVIDENDS
  * -------------------------------------------------------
+ *
+ * Posts an approved preview. Re-running a PARTIALLY_POSTED
+ * distribution resumes its unsettled lines: it confirms
+ * payouts still PROCESSING, retries FAILED ones and posts
+ * settlements that failed after a payout. A run that died
+ * in POSTING can be taken over once its claim is older
+ * than POSTING_LEASE_MS.
  */
 
 async function run({
 
   tenantId,
 
-  distributableProfit,
+  distributionId,
 
-  fiscalYear,
+  approvedBy,
 
-  approvedBy
+  dependencies = {}
 }) {
 
   const id =
@@ -237,6 +1261,53 @@ async function run({
   const started =
     Date.now();
 
+  if (!approvedBy) {
+    throw new AppError(
+      'Dividend distribution requires an approver',
+      400,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  const distribution =
+    await DividendDistribution.findOneAndUpdate(
+      {
+        _id: distributionId,
+        tenantId: String(tenantId),
+        $or: [
+          {
+            status: {
+              $in: ['PENDING_APPROVAL', 'PARTIALLY_POSTED']
+            }
+          },
+          {
+            status: 'POSTING',
+            postingStartedAt: {
+              $lt: new Date(Date.now() - POSTING_LEASE_MS)
+            }
+          }
+        ]
+      },
+      {
+        $set: {
+          status: 'POSTING',
+          approvedBy,
+          approvedAt: new Date(),
+          postingStartedAt: new Date(),
+          executionId: id
+        }
+      },
+      { new: true }
+    );
+
+  if (!distribution) {
+    throw new AppError(
+      'Dividend distribution not found or not awaiting approval',
+      409,
+      errorCodes.DIVIDEND_INVALID_STATE
+    );
+  }
+
   await audit({
 
     tenantId,
@@ -248,124 +1319,100 @@ async function run({
       executionId:
         id,
 
-      fiscalYear,
-
-      distributableProfit
-    }
-  });
+      distributionId,
 
-  try {
+      fiscalYear:
+        distribution.fiscalYear,
 
-    if (
-      distributableProfit <= 0
-    ) {
+      method:
+        distribution.method,
 
-      throw new Error(
-        'No distributable profit available'
-      );
+      distributableProfit:
+        distribution.distributableProfit
     }
+  });
 
-    const members =
-      await eligibleMembers(
-        tenantId
-      );
+  const resolved = {
+    providers:
+      dependencies.providers || {
+        mtn: mtnDisbursementService,
+        airtel: airtelDisbursementService
+      }
+  };
 
-    if (
-      !members.length
-    ) {
+  let totalDistributed =
+    0;
 
-      throw new Error(
-        'No eligible members found'
-      );
-    }
+  try {
 
-    const expenseAccount =
-      await Account.getByCode(
-        tenantId,
-        DIVIDEND_EXPENSE_ACCOUNT
+    const lines =
+      distribution.lines.filter(
+        line => line.amount > 0 && !isSettled(line) && !awaitsManualCheck(line)
       );
 
-    const liabilityAccount =
-      await Account.getByCode(
+    const accounts =
+      await resolveAccounts(
         tenantId,
-        MEMBER_DIVIDEND_LIABILITY
-      );
-
-    if (
-      !expenseAccount ||
-      !liabilityAccount
-    ) {
-
-      throw new Error(
-        'Dividend GL accounts not configured'
+        [...new Set(lines.map(line => line.payoutOption))]
       );
-    }
-
-    const totalShareCapital =
-      totalShares(
-        members
-      );
-
-    const distributionReference =
-      `DIVIDEND-${fiscalYear}`;
-
-    const distributions = [];
-
-    let totalDistributed =
-      0;
 
     for (
-      const member
-      of members
+      const line
+      of lines
     ) {
 
-      const amount =
-        calculateDividend({
+      const wasPaid =
+        line.status === 'PAID';
 
-          memberShares:
-            Number(
-              member.shareBalance || 0
-            ),
+      try {
 
-          totalShares:
-            totalShareCapital,
-
-          distributableProfit
+        await distributeMember({
+          distribution,
+          line,
+          accounts,
+          dependencies:
+            resolved
         });
 
-      await distributeMember({
-
-        tenantId,
-
-        member,
-
-        amount,
-
-        distributionReference,
+      } catch (error) {
 
-        expenseAccountId:
-          expenseAccount._id,
+        // A payout that may have been sent stays PROCESSING
+        // and is confirmed with the provider next run
+        if (
+          line.status !== 'PROCESSING'
+        ) {
+          line.status = 'FAILED';
+        }
 
-        liabilityAccountId:
-          liabilityAccount._id
-      });
-
-      distributions.push({
+        line.error = error.message;
 
-        memberId:
-          member._id,
+        await distribution.save();
+      }
 
-        shares:
-          member.shareBalance,
+      if (
+        !wasPaid &&
+        line.status === 'PAID'
+      ) {
+        totalDistributed =
+          round2(totalDistributed + line.amount);
+      }
+    }
 
-        dividend:
-          amount
-      });
+    // POSTED only once every line is paid and settled
+    distribution.status =
+      distribution.lines.some(line => line.amount > 0 && !isSettled(line))
+        ? 'PARTIALLY_POSTED'
+        : 'POSTED';
 
-      totalDistributed +=
-        amount;
+    if (
+      distribution.status === 'POSTED'
+    ) {
+      distribution.postedAt =
+        new Date();
     }
 
+    await distribution.save();
+
     await audit({
 
       tenantId,
@@ -378,12 +1425,15 @@ async function run({
         executionId:
           id,
 
-        fiscalYear,
+        distributionId,
+
+        fiscalYear:
+          distribution.fiscalYear,
 
         approvedBy,
 
         memberCount:
-          distributions.length,
+          lines.length,
 
         totalDistributed,
 
@@ -395,17 +1445,22 @@ async function run({
 
     return {
 
-      success: true,
+      success:
+        distribution.status === 'POSTED',
 
       tenantId,
 
-      fiscalYear,
+      fiscalYear:
+        distribution.fiscalYear,
 
       executionId:
         id,
 
+      status:
+        distribution.status,
+
       memberCount:
-        distributions.length,
+        lines.length,
 
       totalDistributed,
 
@@ -413,11 +1468,19 @@ async function run({
         Date.now() -
         started,
 
-      distributions
+      distributions:
+        distribution.lines
     };
 
   } catch (error) {
 
+    distribution.status =
+      distribution.lines.some(line => line.declared)
+        ? 'PARTIALLY_POSTED'
+        : 'PENDING_APPROVAL';
+
+    await distribution.save();
+
     await audit({
 
       tenantId,
@@ -430,7 +1493,7 @@ async function run({
         executionId:
           id,
 
-        fiscalYear,
+        distributionId,
 
         error:
           error.message
@@ -441,6 +1504,71 @@ async function run({
   }
 }
 
+/**
+ * -------------------------------------------------------
+ * GET DISTRIBUTION
+ * -------------------------------------------------------
+ */
+
+async function getDistribution({
+  tenantId,
+  distributionId
+}) {
+
+  const distribution =
+    await DividendDistribution.findOne({
+      _id: distributionId,
+      tenantId: String(tenantId)
+    }).lean();
+
+  if (!distribution) {
+    throw new AppError(
+      'Dividend distribution not found',
+      404,
+      errorCodes.NOT_FOUND
+    );
+  }
+
+  return distribution;
+}
+
+/**
+ * -------------------------------------------------------
+ * REJECT PREVIEW
+ * -------------------------------------------------------
+ */
+
+async function reject({
+  tenantId,
+  distributionId
+}) {
+
+  const distribution =
+    await DividendDistribution.findOneAndUpdate(
+      {
+        _id: distributionId,
+        tenantId: String(tenantId),
+        status: 'PENDING_APPROVAL'
+      },
+      {
+        $set: {
+          status: 'REJECTED'
+        }
+      },
+      { new: true }
+    );
+
+  if (!distribution) {
+    throw new AppError(
+      'Dividend distribution not found or not awaiting approval',
+      409,
+      errorCodes.DIVIDEND_INVALID_STATE
+    );
+  }
+
+  return distribution;
+}
+
 /**
  * -------------------------------------------------------
  * BULLMQ PROCESSOR
@@ -451,16 +1579,21 @@ async function processJob(
   job
 ) {
 
+  if (
+    job.data.mode === 'PREVIEW'
+  ) {
+    return preview(
+      job.data
+    );
+  }
+
   return run({
 
     tenantId:
       job.data.tenantId,
 
-    distributableProfit:
-      job.data.distributableProfit,
-
-    fiscalYear:
-      job.data.fiscalYear,
+    distributionId:
+      job.data.distributionId,
 
     approvedBy:
       job.data.approvedBy
@@ -501,15 +1634,23 @@ module.exports = {
 
   JOB_NAME,
 
+  ALLOCATION_METHODS,
+
+  PAYOUT_OPTIONS,
+
+  preview,
+
   run,
 
-  processJob,
+  getDistribution,
 
-  eligibleMembers,
+  reject,
+
+  processJob,
 
-  totalShares,
+  fiscalPeriod,
 
-  calculateDividend,
+  memberWeights,
 
   healthCheck
 };
\ No newline at end of file
@@ -16,6 +16,9 @@ const AuditLog =
 const ledgerService =
   require('../services/ledgerService');
 
+const impairmentProvisionService =
+  require('../services/impairmentProvisionService');
+
 /**
  * -----------------------------------------------------
  * CONFIG
@@ -27,39 +30,6 @@ const JOB_NAME =
 
 const MAX_RETRIES = 5;
 
-/**
- * -----------------------------------------------------
- * IFRS9 / SACCO PROVISION MATRIX
- * -----------------------------------------------------
- */
-
-const PROVISION_MATRIX = [
-  {
-    minDays: 0,
-    maxDays: 30,
-    stage: 'STAGE_1',
-    rate: 0.01
-  },
-  {
-    minDays: 31,
-    maxDays: 90,
-    stage: 'STAGE_2',
-    rate: 0.10
-  },
-  {
-    minDays: 91,
-    maxDays: 180,
-    stage: 'STAGE_3',
-    rate: 0.50
-  },
-  {
-    minDays: 181,
-    maxDays: 99999,
-    stage: 'DEFAULT',
-    rate: 1.00
-  }
-];
-
 /**
  * -----------------------------------------------------
  * HELPERS
@@ -95,17 +65,6 @@ function calculateDaysPastDue(
   );
 }
 
-function determineProvisionBucket(
-  daysPastDue
-) {
-
-  return PROVISION_MATRIX.find(
-    bucket =>
-      daysPastDue >= bucket.minDays &&
-      daysPastDue <= bucket.maxDays
-  );
-}
-
 /**
  * -----------------------------------------------------
  * AUDIT
@@ -254,10 +213,15 @@ async function processLoan({
       loan.nextDueDate
     );
 
+  // Restructured loans stay in STAGE_2 or worse during probation
   const bucket =
-    determineProvisionBucket(
-      daysPastDue
-    );
+    impairmentProvisionService.classifyLoan({
+
+      daysPastDue,
+
+      restructuredAt:
+        loan.restructuredAt
+    });
 
   const provisionAmount =
     calculateProvisionAmount({
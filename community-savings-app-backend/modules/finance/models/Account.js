@@ -3,7 +3,7 @@
 'use strict';
 
 const mongoose = require('mongoose');
-const uniqueValidator = require('mongoose-unique-validator');
+const uniqueValidator = require('mongoose-unique-validator').default;
 const crypto = require('crypto');
 
 const ACCOUNT_TYPES = [
@@ -0,0 +1,127 @@
+// backend/modules/finance/models/DividendDistribution.js
+'use strict';
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const {
+  ALLOCATION_METHODS,
+  PAYOUT_OPTIONS
+} = require('../services/dividendAllocationService');
+
+const DISTRIBUTION_STATUS = [
+  'PENDING_APPROVAL',
+  'POSTING',
+  'POSTED',
+  'PARTIALLY_POSTED',
+  'REJECTED'
+];
+
+const LINE_STATUS = [
+  'PENDING',
+  // Payout sent; waiting for the provider to confirm it
+  'PROCESSING',
+  'PAID',
+  'PENDING_MANUAL',
+  'FAILED'
+];
+
+/**
+ * Per-member dividend line. `weight` is the member's share of
+ * the allocation basis (share-months, average balance, ...).
+ */
+const DividendLineSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+    // Group the member holds most shares in; reinvested dividends go there
+    groupId: { type: Schema.Types.ObjectId, ref: 'Group' },
+
+    weight: { type: Number, required: true, min: 0 },
+
+    amount: { type: Number, required: true, min: 0 },
+
+    payoutOption: { type: String, enum: Object.values(PAYOUT_OPTIONS), required: true },
+
+    status: { type: String, enum: LINE_STATUS, default: 'PENDING' },
+
+    // Expense -> payable journal posted
+    declared: { type: Boolean, default: false },
+
+    // Payable -> payout account journal posted (after the payout is confirmed)
+    settled: { type: Boolean, default: false },
+
+    // mtn | airtel, for mobile money payouts
+    provider: String,
+
+    // Idempotency key of the current payout attempt; resending reuses it
+    payoutId: String,
+
+    payoutAttempts: { type: Number, default: 0 },
+
+    reference: String,
+
+    paidAt: Date,
+
+    error: String
+  },
+  { _id: false }
+);
+
+/**
+ * A dividend declaration. Created as a preview
+ * (PENDING_APPROVAL) and only posted once approved.
+ */
+const DividendDistributionSchema = new Schema(
+  {
+    tenantId: { type: String, required: true, index: true },
+
+    groupId: { type: Schema.Types.ObjectId, ref: 'Group', default: null },
+
+    fiscalYear: { type: Number, required: true },
+
+    periodStart: { type: Date, required: true },
+
+    periodEnd: { type: Date, required: true },
+
+    method: { type: String, enum: Object.values(ALLOCATION_METHODS), required: true },
+
+    distributableProfit: { type: Number, required: true, min: 0 },
+
+    totalWeight: { type: Number, default: 0 },
+
+    currency: { type: String, default: 'UGX', uppercase: true },
+
+    status: { type: String, enum: DISTRIBUTION_STATUS, default: 'PENDING_APPROVAL', index: true },
+
+    lines: [DividendLineSchema],
+
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    approvedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    approvedAt: Date,
+
+    postedAt: Date,
+
+    // Set when a run claims the distribution; a stale POSTING claim may be taken over
+    postingStartedAt: Date,
+
+    executionId: String
+  },
+  { timestamps: true, versionKey: false }
+);
+
+// One live declaration per tenant, scope and fiscal year
+DividendDistributionSchema.index(
+  { tenantId: 1, groupId: 1, fiscalYear: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['PENDING_APPROVAL', 'POSTING', 'POSTED', 'PARTIALLY_POSTED'] } }
+  }
+);
+
+DividendDistributionSchema.statics.DISTRIBUTION_STATUS = DISTRIBUTION_STATUS;
+DividendDistributionSchema.statics.LINE_STATUS = LINE_STATUS;
+
+module.exports = mongoose.model('DividendDistribution', DividendDistributionSchema);
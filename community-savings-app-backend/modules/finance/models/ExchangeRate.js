@@ -0,0 +1,138 @@
+// backend/modules/finance/models/ExchangeRate.js
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const RATE_SOURCES = [
+  'MANUAL',
+  'BANK_OF_UGANDA',
+  'CENTRAL_BANK_OF_KENYA',
+  'COMMERCIAL_BANK',
+  'PROVIDER'
+];
+
+/**
+ * Exchange rate table.
+ *
+ * One row per currency pair and effective date:
+ * 1 `currency` = `rate` × `reportingCurrency`.
+ * A rate applies from `effectiveFrom` until the next row for
+ * the same pair, so history is never overwritten.
+ */
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    /**
+     * Multi-Tenant Isolation
+     */
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true
+    },
+
+    /**
+     * Currency Pair
+     */
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/
+    },
+
+    reportingCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/
+    },
+
+    /**
+     * Units of reporting currency per unit of currency
+     */
+    rate: {
+      type: Number,
+      required: true,
+      min: 0.00000001
+    },
+
+    /**
+     * Effective Dating
+     */
+    effectiveFrom: {
+      type: Date,
+      required: true
+    },
+
+    source: {
+      type: String,
+      enum: RATE_SOURCES,
+      default: 'MANUAL'
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+
+    /**
+     * Audit Metadata
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Indexes
+ */
+
+ExchangeRateSchema.index(
+  {
+    tenantId: 1,
+    currency: 1,
+    reportingCurrency: 1,
+    effectiveFrom: -1
+  },
+  {
+    unique: true,
+    name: 'tenant_rate_pair_effective_unique'
+  }
+);
+
+/**
+ * Statics
+ */
+
+ExchangeRateSchema.statics.RATE_SOURCES =
+  RATE_SOURCES;
+
+ExchangeRateSchema.statics.findEffective =
+  function(tenantId, currency, reportingCurrency, asOf = new Date()) {
+
+    return this.findOne({
+      tenantId,
+      currency,
+      reportingCurrency,
+      effectiveFrom: { $lte: asOf }
+    }).sort({
+      effectiveFrom: -1
+    });
+  };
+
+module.exports =
+  mongoose.models.ExchangeRate ||
+  mongoose.model(
+    'ExchangeRate',
+    ExchangeRateSchema
+  );
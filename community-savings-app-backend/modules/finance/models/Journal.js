@@ -82,7 +82,8 @@ const JournalSchema = new Schema(
         'AIRTEL_SETTLEMENT',
         'ADJUSTMENT',
         'REVERSAL',
-        'WRITE_OFF'
+        'WRITE_OFF',
+        'FX_REVALUATION'
       ],
       required: true,
       index: true
@@ -4,7 +4,7 @@
 
 const mongoose = require('mongoose');
 const crypto = require('crypto');
-const uniqueValidator = require('mongoose-unique-validator');
+const uniqueValidator = require('mongoose-unique-validator').default;
 
 const { Schema } = mongoose;
 
@@ -43,7 +43,8 @@ const ENTRY_TYPES = [
 'ADJUSTMENT',
 'PROVISION',
 'DIVIDEND',
-'SHARE_PURCHASE'
+'SHARE_PURCHASE',
+'FX_REVALUATION'
 ];
 
 const ENTRY_STATUS = [
@@ -86,7 +87,10 @@ journalId: {
 transactionId: {
   type: Schema.Types.ObjectId,
   ref: 'Transaction',
-  required: true,
+  // Period-end revaluation has no business transaction behind it
+  required: function() {
+    return this.entryType !== 'FX_REVALUATION';
+  },
   index: true
 },
 
@@ -157,12 +161,58 @@ currency: {
 
 /**
  * Exchange Rate
+ *
+ * Units of reportingCurrency per unit of currency,
+ * taken from the rate table when the entry is posted.
  */
 exchangeRate: {
   type: Number,
   default: 1
 },
 
+rateDate: {
+  type: Date,
+  default: null
+},
+
+/**
+ * Reporting Currency Amount
+ *
+ * amount × exchangeRate. Revaluation entries carry a zero
+ * amount and only move this value.
+ */
+reportingAmount: {
+  type: Schema.Types.Decimal128,
+  default: null,
+  get: v => (v ? parseFloat(v.toString()) : null),
+  set: v =>
+    v === null || v === undefined
+      ? null
+      : mongoose.Types.Decimal128.fromString(
+        Number(v).toFixed(2)
+      )
+},
+
+reportingCurrency: {
+  type: String,
+  uppercase: true,
+  trim: true,
+  default: null
+},
+
+/**
+ * Accounting Date
+ *
+ * Date the entry counts in the books. Differs from createdAt
+ * for period-end entries posted after the period ended.
+ * Older entries only have createdAt.
+ */
+accountingDate: {
+  type: Date,
+  default: null,
+  index: true
+},
+
 /**
  * Business Event
  */
@@ -4,7 +4,7 @@
 
 const mongoose = require('mongoose');
 const crypto = require('crypto');
-const uniqueValidator = require('mongoose-unique-validator');
+const uniqueValidator = require('mongoose-unique-validator').default;
 
 const { Schema } = mongoose;
 
@@ -17,6 +17,8 @@
  *   - Validate tenant ownership
  *   - Validate current period state
  *   - Validate balance integrity when supported
+ *   - Revalue foreign-currency balances at the period-end rate before
+ *     the close snapshot (when an FX revaluation service is configured)
  *   - Create immutable financial snapshots before close
  *   - Persist atomic period-close state
  *   - Protect against duplicate close operations
@@ -123,37 +125,6 @@ function normalizeOptionalId(
     ).trim();
 }
 
-function normalizeDate(
-    value,
-    fieldName
-) {
-    if (
-        value === undefined ||
-        value === null
-    ) {
-        return new Date();
-    }
-
-    const date =
-        value instanceof Date
-            ? new Date(
-                value.getTime()
-            )
-            : new Date(value);
-
-    if (
-        Number.isNaN(
-            date.getTime()
-        )
-    ) {
-        throw createValidationError(
-            `${fieldName} must be a valid date`
-        );
-    }
-
-    return date;
-}
-
 function createValidationError(
     message
 ) {
@@ -224,6 +195,7 @@ class PeriodCloseService {
         repository,
         snapshotEngine,
         balanceEngine,
+        fxRevaluation,
         logger,
         clock,
         idGenerator,
@@ -252,6 +224,13 @@ class PeriodCloseService {
         this.balanceEngine =
             balanceEngine || null;
 
+        /*
+         * Optional. Posts unrealized FX gain/loss for the period
+         * (modules/finance/services/fxRevaluationService).
+         */
+        this.fxRevaluation =
+            fxRevaluation || null;
+
         this.logger =
             logger ||
             console;
@@ -420,6 +399,17 @@ class PeriodCloseService {
                     );
                 }
 
+                /*
+                 * Revalue foreign-currency balances first so the snapshot
+                 * and the closed books include the unrealized gain or loss.
+                 * A missing rate fails the close; the period remains OPEN.
+                 */
+                const fxRevaluation =
+                    await this.revalueForeignCurrency(
+                        period,
+                        operationContext
+                    );
+
                 /*
                  * Create the immutable snapshot BEFORE transitioning the
                  * period to CLOSED.
@@ -471,6 +461,10 @@ class PeriodCloseService {
 
                     closeReason:
                         operationContext.reason ||
+                        null,
+
+                    fxRevaluationJournalId:
+                        fxRevaluation?.journalId ||
                         null
                 };
 
@@ -494,7 +488,10 @@ class PeriodCloseService {
                             normalizedPeriodId,
 
                         snapshotId:
-                            snapshot.id
+                            snapshot.id,
+
+                        fxRevaluationJournalId:
+                            updatePayload.fxRevaluationJournalId
                     }
                 );
 
@@ -715,6 +712,44 @@ class PeriodCloseService {
             });
     }
 
+    /* ========================================================================
+     * Foreign Currency Revaluation
+     * ====================================================================== */
+
+    async revalueForeignCurrency(
+        period,
+        context = {}
+    ) {
+
+        if (
+            !this.fxRevaluation ||
+            typeof this.fxRevaluation.revalue !==
+                'function'
+        ) {
+            return null;
+        }
+
+        return this.fxRevaluation
+            .revalue({
+                periodId:
+                    period.id,
+
+                tenantId:
+                    context.tenantId ||
+                    period.tenantId ||
+                    null,
+
+                asOf:
+                    period.endDate ||
+                    this.clock(),
+
+                createdBy:
+                    context.actorId ||
+                    context.userId ||
+                    null
+            });
+    }
+
     /* ========================================================================
      * Balance Validation
      * ====================================================================== */
@@ -1258,6 +1293,11 @@ class PeriodCloseService {
                     this.balanceEngine
                 ),
 
+            fxRevaluationConfigured:
+                Boolean(
+                    this.fxRevaluation
+                ),
+
             auditServiceConfigured:
                 Boolean(
                     this.auditService
@@ -1,7 +1,6 @@
 // backend/modules/finance/services/balanceSheetService.js
 'use strict';
 
-const Account = require('../models/Account');
 const trialBalanceService = require('./trialBalanceService');
 
 /**
@@ -54,7 +53,16 @@ function buildSection(accounts = []) {
       accountCode: account.accountCode,
       accountName: account.accountName,
       accountType: account.accountType,
-      balance
+      // Reporting currency
+      balance,
+      // Account currency, e.g. a USD bank account's dollars
+      currency: account.currency,
+      transactionBalance: account.transaction
+        ? round(
+          account.transaction.debit -
+          account.transaction.credit
+        )
+        : balance
     });
 
     total += balance;
@@ -202,6 +210,9 @@ async function generateBalanceSheet({
 
     tenantId,
 
+    reportingCurrency:
+      trialBalance.reportingCurrency,
+
     assets: assetSection,
 
     liabilities:
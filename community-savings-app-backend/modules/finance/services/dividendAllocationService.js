@@ -0,0 +1,233 @@
+// backend/modules/finance/services/dividendAllocationService.js
+'use strict';
+
+/**
+ * ---------------------------------------------------------
+ * DIVIDEND ALLOCATION
+ * ---------------------------------------------------------
+ *
+ * Pure weighting and allocation maths used by
+ * dividendDistributionJob. Each member gets a weight; the
+ * distributable profit is split in proportion to weight.
+ *
+ *  SHARE_BALANCE          share capital at period end
+ *  SHARE_MONTHS           sum over months of the balance held
+ *                         for the whole month
+ *  AVERAGE_DAILY_BALANCE  day-weighted average balance
+ *  PATRONAGE              loan interest paid in the period
+ * ---------------------------------------------------------
+ */
+
+const ALLOCATION_METHODS = Object.freeze({
+  SHARE_BALANCE: 'SHARE_BALANCE',
+  SHARE_MONTHS: 'SHARE_MONTHS',
+  AVERAGE_DAILY_BALANCE: 'AVERAGE_DAILY_BALANCE',
+  PATRONAGE: 'PATRONAGE'
+});
+
+const PAYOUT_OPTIONS = Object.freeze({
+  WALLET: 'WALLET',
+  MOBILE_MONEY: 'MOBILE_MONEY',
+  REINVEST: 'REINVEST'
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Movements ({ date, amount }) inside [periodStart, periodEnd),
+ * oldest first.
+ */
+function movementsInPeriod(movements, periodStart, periodEnd) {
+  return movements
+    .filter(m => new Date(m.date) >= periodStart && new Date(m.date) < periodEnd)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * ---------------------------------------------------------
+ * SHARE-MONTHS
+ * ---------------------------------------------------------
+ *
+ * For every calendar month of the period, the lowest balance
+ * held during that month. A deposit only starts earning in
+ * the first full month it is held.
+ * ---------------------------------------------------------
+ */
+
+function shareMonths({
+  openingBalance = 0,
+  movements = [],
+  periodStart,
+  periodEnd
+}) {
+  const start = new Date(periodStart);
+  const end = new Date(periodEnd);
+  const inPeriod = movementsInPeriod(movements, start, end);
+
+  let balance = openingBalance;
+  let index = 0;
+  let weight = 0;
+
+  const monthStart = new Date(start);
+
+  while (monthStart < end) {
+    const monthEnd = new Date(monthStart);
+    monthEnd.setUTCMonth(monthEnd.getUTCMonth() + 1);
+
+    // Movements on the first instant of the month count for all of it
+    while (
+      index < inPeriod.length &&
+      new Date(inPeriod[index].date) <= monthStart
+    ) {
+      balance += Number(inPeriod[index].amount);
+      index += 1;
+    }
+
+    let lowest = balance;
+
+    while (
+      index < inPeriod.length &&
+      new Date(inPeriod[index].date) < monthEnd
+    ) {
+      balance += Number(inPeriod[index].amount);
+      lowest = Math.min(lowest, balance);
+      index += 1;
+    }
+
+    // Months cut short by the period end count pro rata
+    const fullMonth = monthEnd - monthStart;
+    const held = Math.min(monthEnd, end) - monthStart;
+
+    weight += Math.max(0, lowest) * (held / fullMonth);
+    monthStart.setTime(monthEnd.getTime());
+  }
+
+  return round2(weight);
+}
+
+/**
+ * ---------------------------------------------------------
+ * AVERAGE DAILY BALANCE
+ * ---------------------------------------------------------
+ */
+
+function averageDailyBalance({
+  openingBalance = 0,
+  movements = [],
+  periodStart,
+  periodEnd
+}) {
+  const start = new Date(periodStart);
+  const end = new Date(periodEnd);
+  const totalDays = (end - start) / DAY_MS;
+
+  if (totalDays <= 0) {
+    return 0;
+  }
+
+  let balance = openingBalance;
+  let cursor = start;
+  let balanceDays = 0;
+
+  for (const movement of movementsInPeriod(movements, start, end)) {
+    const date = new Date(movement.date);
+
+    balanceDays += Math.max(0, balance) * ((date - cursor) / DAY_MS);
+    balance += Number(movement.amount);
+    cursor = date;
+  }
+
+  balanceDays += Math.max(0, balance) * ((end - cursor) / DAY_MS);
+
+  return round2(balanceDays / totalDays);
+}
+
+/**
+ * ---------------------------------------------------------
+ * PATRONAGE (INTEREST PAID)
+ * ---------------------------------------------------------
+ *
+ * Interest paid in the period on a schedule's installments.
+ * Each installment's payments settle its interest before its
+ * principal.
+ * ---------------------------------------------------------
+ */
+
+function interestPaid(installments = [], { periodStart, periodEnd }) {
+  const start = new Date(periodStart);
+  const end = new Date(periodEnd);
+
+  let total = 0;
+
+  for (const installment of installments) {
+    const payments = installment.payments && installment.payments.length
+      ? [...installment.payments].sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt))
+      : installment.paidAmount > 0 && installment.paidAt
+        ? [{ amount: installment.paidAmount, paidAt: installment.paidAt }]
+        : [];
+
+    let interestLeft = Number(installment.interest || 0);
+
+    for (const payment of payments) {
+      if (interestLeft <= 0) {
+        break;
+      }
+
+      const portion = Math.min(Number(payment.amount || 0), interestLeft);
+      interestLeft -= portion;
+
+      const paidAt = new Date(payment.paidAt);
+      if (paidAt >= start && paidAt < end) {
+        total += portion;
+      }
+    }
+  }
+
+  return round2(total);
+}
+
+/**
+ * ---------------------------------------------------------
+ * ALLOCATE
+ * ---------------------------------------------------------
+ *
+ * Split `distributableProfit` across weights. Amounts are
+ * rounded to 2dp and the rounding difference goes to the
+ * largest weight, so the lines always add up to the profit.
+ * ---------------------------------------------------------
+ */
+
+function allocate(weights, distributableProfit) {
+  const total = weights.reduce((sum, w) => sum + Math.max(0, w.weight), 0);
+
+  if (total <= 0) {
+    return weights.map(w => ({ ...w, amount: 0 }));
+  }
+
+  const lines = weights.map(w => ({
+    ...w,
+    amount: round2((Math.max(0, w.weight) / total) * distributableProfit)
+  }));
+
+  const difference = round2(
+    distributableProfit - lines.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  if (difference !== 0) {
+    const largest = lines.reduce((a, b) => (b.weight > a.weight ? b : a));
+    largest.amount = round2(largest.amount + difference);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  ALLOCATION_METHODS,
+  PAYOUT_OPTIONS,
+  shareMonths,
+  averageDailyBalance,
+  interestPaid,
+  allocate
+};
@@ -0,0 +1,335 @@
+// backend/modules/finance/services/fxRevaluationService.js
+'use strict';
+
+const Account = require('../models/Account');
+const Journal = require('../models/Journal');
+const JournalEntry = require('../models/JournalEntry');
+const fxService = require('./fxService');
+const ledgerService = require('./ledgerService');
+const trialBalanceService = require('./trialBalanceService');
+
+/**
+ * ----------------------------------------------------
+ * CONFIGURATION
+ * ----------------------------------------------------
+ *
+ * Monetary balances (cash, bank, mobile money, member
+ * savings, loans) held in a foreign currency are restated
+ * at the closing rate. The difference to their carrying
+ * amount is an unrealized gain or loss. Revaluations are
+ * not reversed: the next one starts from the restated
+ * carrying amount.
+ */
+
+const MONETARY_TYPES = [
+  'ASSET',
+  'LIABILITY'
+];
+
+const GAIN_ACCOUNT = Object.freeze({
+  code: process.env.FX_UNREALIZED_GAIN_ACCOUNT || 'FX-UNREALIZED-GAIN',
+  name: 'Unrealized foreign exchange gain',
+  type: 'REVENUE',
+  normalBalance: 'CREDIT',
+  category: 'REVENUE',
+  financialStatementSection: 'INCOME_STATEMENT'
+});
+
+const LOSS_ACCOUNT = Object.freeze({
+  code: process.env.FX_UNREALIZED_LOSS_ACCOUNT || 'FX-UNREALIZED-LOSS',
+  name: 'Unrealized foreign exchange loss',
+  type: 'EXPENSE',
+  normalBalance: 'DEBIT',
+  category: 'EXPENSE',
+  financialStatementSection: 'INCOME_STATEMENT'
+});
+
+/**
+ * ----------------------------------------------------
+ * HELPERS
+ * ----------------------------------------------------
+ */
+
+function round(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function revaluationReference(periodId, asOf) {
+  return `FXREV-${periodId || asOf.toISOString().slice(0, 10)}`;
+}
+
+async function resolveAccount(tenantId, definition, createdBy) {
+  const existing =
+    await Account.findOne({
+      tenantId,
+      code: definition.code
+    }).lean();
+
+  if (existing) {
+    return existing;
+  }
+
+  return Account.create({
+    ...definition,
+    tenantId,
+    currency: fxService.REPORTING_CURRENCY,
+    allowNegativeBalance: true,
+    createdBy
+  });
+}
+
+/**
+ * ----------------------------------------------------
+ * CALCULATE REVALUATION
+ * ----------------------------------------------------
+ */
+
+async function calculateRevaluation({
+  tenantId,
+  asOf = new Date()
+}) {
+  if (!tenantId) {
+    throw new Error('tenantId is required');
+  }
+
+  const date = new Date(asOf);
+  const reportingCurrency = fxService.REPORTING_CURRENCY;
+
+  const accounts = await Account.find({
+    tenantId,
+    type: { $in: MONETARY_TYPES },
+    currency: { $ne: reportingCurrency },
+    isDeleted: { $ne: true }
+  })
+    .sort({
+      code: 1
+    })
+    .lean();
+
+  const lines = [];
+
+  let gains = 0;
+  let losses = 0;
+
+  for (const account of accounts) {
+    const balances =
+      await trialBalanceService.calculateAccountBalance({
+        tenantId,
+        accountId: account._id,
+        endDate: date
+      });
+
+    // Net debit balance, in the account's currency and as carried
+    const balance =
+      round(balances.debits - balances.credits);
+
+    const carryingAmount =
+      round(balances.reportingDebits - balances.reportingCredits);
+
+    const restated =
+      await fxService.convert({
+        tenantId,
+        amount: balance,
+        currency: account.currency,
+        reportingCurrency,
+        asOf: date
+      });
+
+    const difference =
+      round(restated.reportingAmount - carryingAmount);
+
+    if (difference > 0) {
+      gains += difference;
+    } else {
+      losses += Math.abs(difference);
+    }
+
+    lines.push({
+      accountId: account._id,
+      accountCode: account.code,
+      accountName: account.name,
+      accountType: account.type,
+      currency: account.currency,
+      balance,
+      carryingAmount,
+      closingRate: restated.exchangeRate,
+      rateDate: restated.rateDate,
+      revaluedAmount: restated.reportingAmount,
+      difference
+    });
+  }
+
+  return {
+    tenantId,
+    asOf: date,
+    reportingCurrency,
+    lines,
+    unrealizedGain: round(gains),
+    unrealizedLoss: round(losses),
+    netDifference: round(gains - losses)
+  };
+}
+
+/**
+ * ----------------------------------------------------
+ * POST REVALUATION
+ * ----------------------------------------------------
+ *
+ * One journal per period (or date): each revalued account
+ * moves by its difference in the reporting currency only,
+ * against the unrealized gain and loss accounts. Running it
+ * again for the same period returns the journal already
+ * posted.
+ */
+
+async function postRevaluation({
+  tenantId,
+  asOf = new Date(),
+  periodId = null,
+  createdBy = null
+}) {
+  const date = new Date(asOf);
+  const reference = revaluationReference(periodId, date);
+
+  const existing =
+    await JournalEntry.findOne({
+      tenantId,
+      reference,
+      entryType: 'FX_REVALUATION'
+    })
+      .select('journalId')
+      .lean();
+
+  if (existing) {
+    const journal =
+      await Journal.findById(existing.journalId)
+        .select('journalId')
+        .lean();
+
+    return {
+      tenantId,
+      asOf: date,
+      reference,
+      posted: false,
+      alreadyPosted: true,
+      journalId: journal?.journalId || null
+    };
+  }
+
+  const revaluation =
+    await calculateRevaluation({
+      tenantId,
+      asOf: date
+    });
+
+  const moving =
+    revaluation.lines.filter(
+      line => line.difference !== 0
+    );
+
+  if (!moving.length) {
+    return {
+      ...revaluation,
+      reference,
+      posted: false,
+      journalId: null
+    };
+  }
+
+  const entries =
+    moving.map(line => ({
+      accountId: line.accountId,
+      amount: 0,
+      direction: line.difference > 0 ? 'DEBIT' : 'CREDIT',
+      currency: line.currency,
+      reportingAmount: Math.abs(line.difference),
+      exchangeRate: line.closingRate,
+      rateDate: line.rateDate,
+      entryType: 'FX_REVALUATION'
+    }));
+
+  if (revaluation.unrealizedGain > 0) {
+    const gainAccount =
+      await resolveAccount(tenantId, GAIN_ACCOUNT, createdBy);
+
+    entries.push({
+      accountId: gainAccount._id,
+      amount: revaluation.unrealizedGain,
+      direction: 'CREDIT',
+      currency: revaluation.reportingCurrency,
+      entryType: 'FX_REVALUATION'
+    });
+  }
+
+  if (revaluation.unrealizedLoss > 0) {
+    const lossAccount =
+      await resolveAccount(tenantId, LOSS_ACCOUNT, createdBy);
+
+    entries.push({
+      accountId: lossAccount._id,
+      amount: revaluation.unrealizedLoss,
+      direction: 'DEBIT',
+      currency: revaluation.reportingCurrency,
+      entryType: 'FX_REVALUATION'
+    });
+  }
+
+  const journal =
+    await ledgerService.createJournal({
+      tenantId,
+      reference,
+      description: `Unrealized FX revaluation as of ${date.toISOString().slice(0, 10)}`,
+      entries,
+      createdBy,
+      journalType: 'FX_REVALUATION',
+      accountingDate: date
+    });
+
+  await ledgerService.postJournal(
+    journal.journalId,
+    createdBy
+  );
+
+  return {
+    ...revaluation,
+    reference,
+    posted: true,
+    journalId: journal.journalId
+  };
+}
+
+/**
+ * ----------------------------------------------------
+ * PERIOD CLOSE HOOK
+ * ----------------------------------------------------
+ *
+ * Called by PeriodCloseService before the close snapshot.
+ */
+
+async function revalue({
+  tenantId,
+  periodId,
+  asOf,
+  createdBy
+}) {
+  return postRevaluation({
+    tenantId,
+    periodId,
+    asOf,
+    createdBy
+  });
+}
+
+/**
+ * ----------------------------------------------------
+ * EXPORTS
+ * ----------------------------------------------------
+ */
+
+module.exports = {
+  GAIN_ACCOUNT,
+  LOSS_ACCOUNT,
+  calculateRevaluation,
+  postRevaluation,
+  revalue
+};
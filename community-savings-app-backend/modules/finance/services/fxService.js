@@ -0,0 +1,249 @@
+// backend/modules/finance/services/fxService.js
+'use strict';
+
+const ExchangeRate = require('../models/ExchangeRate');
+
+const AppError = require('../../../utils/AppError');
+const errorCodes = require('../../../utils/errorCodes');
+
+/**
+ * ----------------------------------------------------
+ * CONFIGURATION
+ * ----------------------------------------------------
+ */
+
+// Currency the books are reported in; accounts may hold others
+const REPORTING_CURRENCY =
+  (process.env.REPORTING_CURRENCY || 'UGX').toUpperCase();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * ----------------------------------------------------
+ * HELPERS
+ * ----------------------------------------------------
+ */
+
+function round(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function roundRate(value) {
+  return Number(Number(value).toFixed(8));
+}
+
+function normalizeCurrency(currency, fallback = REPORTING_CURRENCY) {
+  const code =
+    String(currency || fallback)
+      .trim()
+      .toUpperCase();
+
+  if (!CURRENCY_PATTERN.test(code)) {
+    throw new AppError(
+      `Invalid currency code ${currency}`,
+      400,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  return code;
+}
+
+function toDate(date) {
+  return date ? new Date(date) : new Date();
+}
+
+/**
+ * ----------------------------------------------------
+ * RATE LOOKUP
+ * ----------------------------------------------------
+ */
+
+/**
+ * Rate effective on `asOf` for one unit of `currency` in
+ * `reportingCurrency`. Falls back to the inverse of the
+ * opposite quote when only that one is maintained.
+ */
+async function getRate({
+  tenantId,
+  currency,
+  reportingCurrency = REPORTING_CURRENCY,
+  asOf
+}) {
+  const from = normalizeCurrency(currency);
+  const to = normalizeCurrency(reportingCurrency);
+  const date = toDate(asOf);
+
+  if (from === to) {
+    return {
+      currency: from,
+      reportingCurrency: to,
+      rate: 1,
+      effectiveFrom: null,
+      inverse: false
+    };
+  }
+
+  const direct =
+    await ExchangeRate.findEffective(tenantId, from, to, date).lean();
+
+  if (direct) {
+    return {
+      currency: from,
+      reportingCurrency: to,
+      rate: direct.rate,
+      effectiveFrom: direct.effectiveFrom,
+      source: direct.source,
+      inverse: false
+    };
+  }
+
+  const opposite =
+    await ExchangeRate.findEffective(tenantId, to, from, date).lean();
+
+  if (opposite) {
+    return {
+      currency: from,
+      reportingCurrency: to,
+      rate: roundRate(1 / opposite.rate),
+      effectiveFrom: opposite.effectiveFrom,
+      source: opposite.source,
+      inverse: true
+    };
+  }
+
+  throw new AppError(
+    `No ${from}/${to} exchange rate effective on ${date.toISOString().slice(0, 10)}`,
+    422,
+    errorCodes.FX_RATE_NOT_FOUND
+  );
+}
+
+/**
+ * ----------------------------------------------------
+ * CONVERSION
+ * ----------------------------------------------------
+ */
+
+async function convert({
+  tenantId,
+  amount,
+  currency,
+  reportingCurrency = REPORTING_CURRENCY,
+  asOf
+}) {
+  const rate =
+    await getRate({
+      tenantId,
+      currency,
+      reportingCurrency,
+      asOf
+    });
+
+  return {
+    amount: round(amount),
+    currency: rate.currency,
+    reportingAmount: round(Number(amount || 0) * rate.rate),
+    reportingCurrency: rate.reportingCurrency,
+    exchangeRate: rate.rate,
+    rateDate: rate.effectiveFrom
+  };
+}
+
+/**
+ * ----------------------------------------------------
+ * RATE TABLE MAINTENANCE
+ * ----------------------------------------------------
+ */
+
+async function setRate({
+  tenantId,
+  currency,
+  reportingCurrency = REPORTING_CURRENCY,
+  rate,
+  effectiveFrom,
+  source,
+  note,
+  createdBy
+}) {
+  if (!tenantId) {
+    throw new AppError('Tenant ID is required', 400, errorCodes.VALIDATION_ERROR);
+  }
+
+  const from = normalizeCurrency(currency);
+  const to = normalizeCurrency(reportingCurrency);
+
+  if (from === to) {
+    throw new AppError(
+      'A rate needs two different currencies',
+      400,
+      errorCodes.VALIDATION_ERROR
+    );
+  }
+
+  if (!(Number(rate) > 0)) {
+    throw new AppError('Rate must be positive', 400, errorCodes.VALIDATION_ERROR);
+  }
+
+  try {
+    return await ExchangeRate.create({
+      tenantId,
+      currency: from,
+      reportingCurrency: to,
+      rate: roundRate(rate),
+      effectiveFrom: toDate(effectiveFrom),
+      source,
+      note,
+      createdBy
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(
+        `A ${from}/${to} rate is already effective from that date`,
+        409,
+        errorCodes.FX_RATE_EXISTS
+      );
+    }
+    throw err;
+  }
+}
+
+async function listRates({
+  tenantId,
+  currency,
+  reportingCurrency,
+  limit = 100
+}) {
+  const filter = { tenantId };
+
+  if (currency) {
+    filter.currency = normalizeCurrency(currency);
+  }
+
+  if (reportingCurrency) {
+    filter.reportingCurrency = normalizeCurrency(reportingCurrency);
+  }
+
+  return ExchangeRate.find(filter)
+    .sort({
+      currency: 1,
+      effectiveFrom: -1
+    })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .lean();
+}
+
+/**
+ * ----------------------------------------------------
+ * EXPORTS
+ * ----------------------------------------------------
+ */
+
+module.exports = {
+  REPORTING_CURRENCY,
+  normalizeCurrency,
+  getRate,
+  convert,
+  setRate,
+  listRates
+};
@@ -10,7 +10,7 @@ const Transaction = require('../models/Transaction');
 const Journal = require('../models/Journal');
 const JournalEntry = require('../models/JournalEntry');
 
-const { checkDuplicate } = require('../utils/idempotency');
+const fxService = require('./fxService');
 
 /**
  * ---------------------------------------------------------
@@ -30,6 +30,18 @@ const JOURNAL_STATUS = {
  * ---------------------------------------------------------
  */
 
+/**
+ * Refuse a reference that already has a ledger transaction,
+ * so a retried posting is never booked twice.
+ */
+async function checkDuplicate(tenantId, reference) {
+  if (await Transaction.exists({ tenantId, reference: String(reference).toUpperCase() })) {
+    const error = new Error(`Duplicate transaction reference: ${reference}`);
+    error.code = 'DUPLICATE_REFERENCE';
+    throw error;
+  }
+}
+
 function generateJournalId() {
   return `JRN-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
 }
@@ -98,23 +110,164 @@ async function verifyAccountsBelongToTenant(
 ) {
 
   const accountIds =
-    entries.map(
-      e => e.accountId
-    );
+    [...new Set(
+      entries.map(
+        e => String(e.accountId)
+      )
+    )];
 
-  const count =
-    await Account.countDocuments({
+  const accounts =
+    await Account.find({
       _id: { $in: accountIds },
       tenantId
-    });
+    })
+      .select('currency')
+      .lean();
 
   if (
-    count !== accountIds.length
+    accounts.length !== accountIds.length
   ) {
     throw new Error(
       'Cross-tenant account access detected'
     );
   }
+
+  return new Map(
+    accounts.map(
+      account => [String(account._id), account]
+    )
+  );
+}
+
+/**
+ * ---------------------------------------------------------
+ * CONVERT TO REPORTING CURRENCY
+ * ---------------------------------------------------------
+ *
+ * Each entry is in its account's currency and is converted
+ * at the rate effective on the accounting date. Entries that
+ * already carry reportingAmount and exchangeRate (reversals,
+ * revaluations) keep them. Rounding left over from converting
+ * line by line goes to the largest line so the journal
+ * balances in the reporting currency too.
+ */
+
+async function convertEntries({
+  tenantId,
+  entries,
+  accounts,
+  accountingDate
+}) {
+
+  const reportingCurrency =
+    fxService.REPORTING_CURRENCY;
+
+  const converted = [];
+
+  for (const entry of entries) {
+
+    const account =
+      accounts.get(String(entry.accountId));
+
+    const currency =
+      fxService.normalizeCurrency(
+        entry.currency ||
+        account.currency
+      );
+
+    if (
+      account.currency &&
+      account.currency !== currency
+    ) {
+      throw new Error(
+        `Entry currency ${currency} does not match account currency ${account.currency}`
+      );
+    }
+
+    if (
+      entry.reportingAmount !== undefined &&
+      entry.reportingAmount !== null
+    ) {
+      converted.push({
+        ...entry,
+        currency,
+        reportingAmount:
+          decimal(entry.reportingAmount),
+        reportingCurrency,
+        exchangeRate:
+          entry.exchangeRate || 1,
+        rateDate:
+          entry.rateDate || null
+      });
+
+      continue;
+    }
+
+    const conversion =
+      await fxService.convert({
+        tenantId,
+        amount: entry.amount,
+        currency,
+        reportingCurrency,
+        asOf: accountingDate
+      });
+
+    converted.push({
+      ...entry,
+      currency,
+      reportingAmount:
+        conversion.reportingAmount,
+      reportingCurrency,
+      exchangeRate:
+        conversion.exchangeRate,
+      rateDate:
+        conversion.rateDate
+    });
+  }
+
+  let reportingDebits = 0;
+  let reportingCredits = 0;
+
+  for (const entry of converted) {
+    if (entry.direction === 'DEBIT') {
+      reportingDebits += entry.reportingAmount;
+    } else {
+      reportingCredits += entry.reportingAmount;
+    }
+  }
+
+  const residual =
+    decimal(reportingDebits - reportingCredits);
+
+  if (
+    Math.abs(residual) >
+    0.01 * converted.length
+  ) {
+    throw new Error(
+      `Journal imbalance in ${reportingCurrency}. Debits=${decimal(reportingDebits)} Credits=${decimal(reportingCredits)}`
+    );
+  }
+
+  if (residual !== 0) {
+
+    const side =
+      residual > 0 ? 'CREDIT' : 'DEBIT';
+
+    const largest =
+      converted
+        .filter(e => e.direction === side)
+        .sort((a, b) => b.reportingAmount - a.reportingAmount)[0];
+
+    largest.reportingAmount =
+      decimal(largest.reportingAmount + Math.abs(residual));
+  }
+
+  return {
+    entries: converted,
+    reportingCurrency,
+    reportingTotal:
+      decimal(reportingDebits - Math.min(residual, 0))
+  };
 }
 
 /**
@@ -129,7 +282,9 @@ exports.createJournal = async ({
   reference,
   description,
   entries,
-  createdBy
+  createdBy,
+  journalType = 'ADJUSTMENT',
+  accountingDate = new Date()
 }) => {
 
   if (!tenantId) {
@@ -140,18 +295,42 @@ exports.createJournal = async ({
     throw new Error('entries required');
   }
 
-  await verifyAccountsBelongToTenant(
-    tenantId,
-    entries
-  );
+  const accounts =
+    await verifyAccountsBelongToTenant(
+      tenantId,
+      entries
+    );
 
-  const {
-    totalDebits,
-    totalCredits
-  } =
+  const currencies =
+    new Set(
+      entries.map(
+        e =>
+          e.currency ||
+          accounts.get(String(e.accountId)).currency
+      )
+    );
+
+  /*
+   * A single-currency journal must balance in its own
+   * currency; a mixed one can only balance once converted.
+   */
+  if (currencies.size === 1) {
     exports.verifyJournalBalance(
       entries
     );
+  }
+
+  const {
+    entries: convertedEntries,
+    reportingCurrency,
+    reportingTotal
+  } =
+    await convertEntries({
+      tenantId,
+      entries,
+      accounts,
+      accountingDate
+    });
 
   const journalId =
     generateJournalId();
@@ -161,12 +340,28 @@ exports.createJournal = async ({
       tenantId,
       transactionId,
       journalId,
+      journalType,
       reference,
       description,
-      totalDebits,
-      totalCredits,
+      amount:
+        reportingTotal,
+      currency:
+        reportingCurrency,
+      totalDebits:
+        reportingTotal,
+      totalCredits:
+        reportingTotal,
       balanced: true,
       status: JOURNAL_STATUS.DRAFT,
+      hash:
+        sha256(
+          JSON.stringify({
+            tenantId,
+            journalId,
+            reportingTotal,
+            reportingCurrency
+          })
+        ),
       createdBy
     });
 
@@ -174,7 +369,7 @@ exports.createJournal = async ({
 
   const entryDocs = [];
 
-  for (const entry of entries) {
+  for (const entry of convertedEntries) {
 
     const payload =
       JSON.stringify({
@@ -195,7 +390,8 @@ exports.createJournal = async ({
 
     entryDocs.push({
       tenantId,
-      journalId,
+      journalId:
+        journal._id,
       transactionId,
       accountId:
         entry.accountId,
@@ -204,10 +400,18 @@ exports.createJournal = async ({
       direction:
         entry.direction,
       currency:
-        entry.currency ||
-        'UGX',
+        entry.currency,
+      exchangeRate:
+        entry.exchangeRate,
+      rateDate:
+        entry.rateDate,
+      reportingAmount:
+        entry.reportingAmount,
+      reportingCurrency:
+        entry.reportingCurrency,
       entryType:
         entry.entryType,
+      accountingDate,
       description,
       reference,
       previousHash,
@@ -265,7 +469,7 @@ exports.postJournal = async (
 
     const entries =
       await JournalEntry.find({
-        journalId
+        journalId: journal._id
       }).session(session);
 
     exports.verifyJournalBalance(
@@ -370,9 +574,10 @@ exports.reverseJournal = async ({
 
   const entries =
     await JournalEntry.find({
-      journalId
+      journalId: originalJournal._id
     });
 
+  // Reversed at the original rates, not today's
   const reversalEntries =
     entries.map(entry => ({
       accountId:
@@ -386,6 +591,12 @@ exports.reverseJournal = async ({
           : 'DEBIT',
       currency:
         entry.currency,
+      exchangeRate:
+        entry.exchangeRate,
+      rateDate:
+        entry.rateDate,
+      reportingAmount:
+        entry.reportingAmount,
       entryType:
         'REVERSAL'
     }));
@@ -465,7 +676,7 @@ exports.reconcileJournal =
     await journal.save();
 
     await JournalEntry.updateMany(
-      { journalId },
+      { journalId: journal._id },
       {
         reconciliationStatus:
           'RECONCILED'
@@ -493,6 +704,7 @@ exports.postTransaction =
   }) => {
 
     await checkDuplicate(
+      tenantId,
       reference
     );
 
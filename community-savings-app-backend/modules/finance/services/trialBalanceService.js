@@ -1,10 +1,9 @@
 // backend/modules/finance/services/trialBalanceService.js
 'use strict';
 
-const mongoose = require('mongoose');
-
 const Account = require('../models/Account');
 const JournalEntry = require('../models/JournalEntry');
+const fxService = require('./fxService');
 
 /**
  * ----------------------------------------------------
@@ -34,6 +33,51 @@ function toDate(date) {
   return date ? new Date(date) : null;
 }
 
+/**
+ * Entries posted before reporting amounts were stored are
+ * valued at their own exchange rate.
+ */
+function reportingAmountOf(entry) {
+  if (
+    entry.reportingAmount !== null &&
+    entry.reportingAmount !== undefined
+  ) {
+    return Number(entry.reportingAmount);
+  }
+
+  return (
+    Number(entry.amount || 0) *
+    Number(entry.exchangeRate || 1)
+  );
+}
+
+/**
+ * Split a signed balance into debit / credit columns
+ */
+function toColumns(balance, normalBalance) {
+  let debit = 0;
+  let credit = 0;
+
+  if (balance >= 0) {
+    if (normalBalance === 'debit') {
+      debit = balance;
+    } else {
+      credit = balance;
+    }
+  } else {
+    if (normalBalance === 'debit') {
+      credit = Math.abs(balance);
+    } else {
+      debit = Math.abs(balance);
+    }
+  }
+
+  return {
+    debit,
+    credit
+  };
+}
+
 /**
  * ----------------------------------------------------
  * BUILD ACCOUNT BALANCE
@@ -49,40 +93,56 @@ async function calculateAccountBalance({
   const filter = {
     tenantId,
     accountId,
-    posted: true,
+    status: 'POSTED',
     reversed: false
   };
 
   if (startDate || endDate) {
-    filter.createdAt = {};
+    const range = {};
 
     if (startDate) {
-      filter.createdAt.$gte = toDate(startDate);
+      range.$gte = toDate(startDate);
     }
 
     if (endDate) {
-      filter.createdAt.$lte = toDate(endDate);
+      range.$lte = toDate(endDate);
     }
+
+    // Older entries have no accounting date; they count when created
+    filter.$or = [
+      { accountingDate: range },
+      { accountingDate: null, createdAt: range }
+    ];
   }
 
   const entries = await JournalEntry.find(filter);
 
   let debits = 0;
   let credits = 0;
+  let reportingDebits = 0;
+  let reportingCredits = 0;
 
   for (const entry of entries) {
-    if (entry.direction === 'debit') {
+    const direction =
+      String(entry.direction).toLowerCase();
+
+    if (direction === 'debit') {
       debits += Number(entry.amount || 0);
+      reportingDebits += reportingAmountOf(entry);
     }
 
-    if (entry.direction === 'credit') {
+    if (direction === 'credit') {
       credits += Number(entry.amount || 0);
+      reportingCredits += reportingAmountOf(entry);
     }
   }
 
+  // debits / credits are in the account's currency
   return {
     debits: round(debits),
-    credits: round(credits)
+    credits: round(credits),
+    reportingDebits: round(reportingDebits),
+    reportingCredits: round(reportingCredits)
   };
 }
 
@@ -103,7 +163,7 @@ async function generateTrialBalance({
 
   const accounts = await Account.find({
     tenantId,
-    isDeleted: false
+    isDeleted: { $ne: true }
   })
     .sort({
       code: 1
@@ -115,6 +175,9 @@ async function generateTrialBalance({
   let totalDebits = 0;
   let totalCredits = 0;
 
+  // Account balances summed per account currency
+  const transactionTotals = {};
+
   for (const account of accounts) {
     const balances =
       await calculateAccountBalance({
@@ -129,45 +192,57 @@ async function generateTrialBalance({
         account.type
       ] || 'debit';
 
-    let balance = 0;
+    const signed = (debits, credits) =>
+      normalBalance === 'debit'
+        ? debits - credits
+        : credits - debits;
 
-    if (normalBalance === 'debit') {
-      balance =
-        balances.debits -
-        balances.credits;
-    } else {
-      balance =
-        balances.credits -
-        balances.debits;
-    }
+    const currency =
+      account.currency ||
+      fxService.REPORTING_CURRENCY;
 
-    let debitColumn = 0;
-    let creditColumn = 0;
-
-    if (balance >= 0) {
-      if (
-        normalBalance === 'debit'
-      ) {
-        debitColumn =
-          balance;
-      } else {
-        creditColumn =
-          balance;
-      }
-    } else {
-      if (
-        normalBalance === 'debit'
-      ) {
-        creditColumn =
-          Math.abs(balance);
-      } else {
-        debitColumn =
-          Math.abs(balance);
-      }
-    }
+    const transactionBalance =
+      signed(
+        balances.debits,
+        balances.credits
+      );
 
-    totalDebits += debitColumn;
-    totalCredits += creditColumn;
+    const reportingColumns =
+      toColumns(
+        signed(
+          balances.reportingDebits,
+          balances.reportingCredits
+        ),
+        normalBalance
+      );
+
+    const transactionColumns =
+      toColumns(
+        transactionBalance,
+        normalBalance
+      );
+
+    totalDebits += reportingColumns.debit;
+    totalCredits += reportingColumns.credit;
+
+    const currencyTotals =
+      transactionTotals[currency] ||
+      (transactionTotals[currency] = {
+        debit: 0,
+        credit: 0
+      });
+
+    currencyTotals.debit =
+      round(
+        currencyTotals.debit +
+        transactionColumns.debit
+      );
+
+    currencyTotals.credit =
+      round(
+        currencyTotals.credit +
+        transactionColumns.credit
+      );
 
     rows.push({
       accountId:
@@ -182,21 +257,44 @@ async function generateTrialBalance({
       accountType:
         account.type,
 
+      currency,
+
+      // Reporting currency
       debit:
         round(
-          debitColumn
+          reportingColumns.debit
         ),
 
       credit:
         round(
-          creditColumn
+          reportingColumns.credit
         ),
 
       rawDebits:
-        balances.debits,
+        balances.reportingDebits,
 
       rawCredits:
-        balances.credits
+        balances.reportingCredits,
+
+      // Account (transaction) currency
+      transaction: {
+        currency,
+
+        debit:
+          round(
+            transactionColumns.debit
+          ),
+
+        credit:
+          round(
+            transactionColumns.credit
+          ),
+
+        balance:
+          round(
+            transactionBalance
+          )
+      }
     });
   }
 
@@ -232,6 +330,11 @@ async function generateTrialBalance({
     balanced:
       difference === 0,
 
+    reportingCurrency:
+      fxService.REPORTING_CURRENCY,
+
+    transactionTotals,
+
     accounts:
       rows
   };
@@ -12,6 +12,8 @@
  * Responsibilities:
  *
  * - Import raw financial statement payloads.
+ * - Import statement files (CSV, XLSX, MT940, camt.053) through the parser
+ *   registry.
  * - Normalize statement structure.
  * - Validate import prerequisites.
  * - Attach execution context metadata.
@@ -59,9 +61,13 @@
 const crypto = require('crypto');
 
 const {
-    StatementImportError
+    StatementImportError,
+    InvalidStatementFormatError
 } = require('./StatementErrors');
 
+const StatementParserRegistry =
+    require('./parsers/StatementParserRegistry');
+
 /**
  * ============================================================================
  * Constants
@@ -231,6 +237,7 @@ class StatementImporter {
      * @param {number} options.maxTransactions
      * @param {number} options.maxMetadataKeys
      * @param {string} options.importVersion
+     * @param {StatementParserRegistry} options.parsers statement file parsers
      */
     constructor({
 
@@ -241,7 +248,10 @@ class StatementImporter {
             DEFAULT_MAX_METADATA_KEYS,
 
         importVersion =
-            IMPORT_VERSION
+            IMPORT_VERSION,
+
+        parsers =
+            new StatementParserRegistry()
 
     } = {}) {
 
@@ -263,6 +273,9 @@ class StatementImporter {
                 IMPORT_VERSION
             );
 
+        this.parsers =
+            parsers;
+
         Object.freeze(this);
     }
 
@@ -273,6 +286,9 @@ class StatementImporter {
      *
      * Main public API.
      *
+     * Payloads carrying `file` ({ content, fileName, mimeType }) instead of
+     * transactions are parsed first; see importFile().
+     *
      * @param {Object} input
      * @param {StatementContext} context
      *
@@ -280,6 +296,18 @@ class StatementImporter {
      */
     async importStatement(input, context) {
 
+        if (
+            input &&
+            typeof input === 'object' &&
+            input.file
+        ) {
+            return this.importFile(
+                input.file,
+                context,
+                input.parseOptions
+            );
+        }
+
         try {
 
             this.validateInput(input);
@@ -498,6 +526,108 @@ class StatementImporter {
         }
     }
 
+    /**
+     * =========================================================================
+     * Import Statement File
+     * =========================================================================
+     *
+     * Detects the file format (unless options.format is given), parses it
+     * into the importer payload and imports it. Lines the parser could not
+     * read are imported with their `parseErrors`; StatementValidator reports
+     * them with their source line.
+     *
+     * The statement source comes from the context, else from the parser
+     * (MTN_MOMO, AIRTEL_MONEY or BANK).
+     *
+     * @param {Object} file { content: Buffer|string, fileName?, mimeType? }
+     * @param {StatementContext} context
+     * @param {Object} options parser options (format, profile, currency...)
+     *
+     * @returns {Promise<Object>}
+     */
+    async importFile(file, context, options = {}) {
+
+        this.validateContext(context);
+
+        let parsed;
+
+        try {
+
+            parsed =
+                await this.parsers.parse(
+                    file,
+                    options || {}
+                );
+
+        } catch (error) {
+
+            if (
+                error instanceof InvalidStatementFormatError
+            ) {
+                throw error;
+            }
+
+            throw new StatementImportError(
+
+                'Failed to parse statement file',
+
+                {
+
+                    reason:
+                        'FILE_PARSE_FAILURE',
+
+                    fileName:
+                        normalizeString(
+                            file?.fileName
+                        ),
+
+                    originalError:
+                        error?.message || 'Unknown error'
+
+                },
+
+                {
+
+                    cause: error,
+
+                    retryable: false
+
+                }
+
+            );
+        }
+
+        const {
+            source,
+            ...statement
+        } = parsed;
+
+        // The parser also records these in metadata.parser
+        delete statement.format;
+        delete statement.profile;
+
+        return this.importStatement(
+
+            {
+                ...statement,
+
+                reference:
+                    statement.reference ||
+                    normalizeString(
+                        file?.fileName
+                    )
+            },
+
+            context.source
+                ? context
+                : {
+                    ...context,
+                    source
+                }
+
+        );
+    }
+
     /**
      * =========================================================================
      * Validate Import Payload
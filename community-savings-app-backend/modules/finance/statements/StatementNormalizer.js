@@ -356,6 +356,26 @@ class StatementNormalizer {
 
         }
 
+        /*
+         * Lines a statement file parser could not read are carried through
+         * with their parse errors so StatementValidator reports them against
+         * the source line, instead of the first bad line aborting the whole
+         * statement here.
+         */
+        if (
+            Array.isArray(tx.parseErrors) &&
+            tx.parseErrors.length
+        ) {
+
+            return this.normalizeUnparsedTransaction(
+                tx,
+                {
+                    defaultCurrency
+                }
+            );
+
+        }
+
         const externalId =
             this.normalizeIdentifier(
                 tx.externalId ||
@@ -474,6 +494,103 @@ class StatementNormalizer {
 
     }
 
+    /**
+     * =========================================================================
+     * Normalize Unparsed Transaction
+     * =========================================================================
+     *
+     * Keeps whatever the parser could read, without the strict coercions of
+     * normalizeTransaction(), plus the parse errors. Values that are not
+     * usable become null and are reported by the validator.
+     *
+     * @param {Object} tx
+     * @param {Object} options
+     * @returns {Object}
+     */
+
+    normalizeUnparsedTransaction(
+
+        tx,
+
+        {
+            defaultCurrency = DEFAULT_CURRENCY
+        } = {}
+
+    ) {
+
+        const transactionDate =
+            tx.transactionDate instanceof Date &&
+            !Number.isNaN(
+                tx.transactionDate.getTime()
+            )
+                ? new Date(
+                    tx.transactionDate.getTime()
+                )
+                : null;
+
+        const normalizedTransaction = {
+
+            externalId:
+                this.normalizeNullableString(
+                    tx.externalId
+                ),
+
+            amount:
+                typeof tx.amount === 'number' &&
+                Number.isFinite(tx.amount)
+                    ? tx.amount
+                    : null,
+
+            currency:
+                this.normalizeNullableString(
+                    tx.currency ||
+                    defaultCurrency
+                )
+                ?.toUpperCase() || null,
+
+            transactionDate,
+
+            description:
+                this.normalizeNullableString(
+                    tx.description
+                ),
+
+            type:
+                TRANSACTION_TYPE[
+                    String(
+                        tx.type || ''
+                    ).toUpperCase()
+                ] || null,
+
+            reference:
+                this.normalizeNullableString(
+                    tx.reference
+                ),
+
+            providerReference:
+                null,
+
+            metadata:
+                this.cloneMetadata(
+                    tx.metadata
+                ),
+
+            parseErrors:
+                tx.parseErrors.map(
+                    String
+                )
+
+        };
+
+        normalizedTransaction.transactionHash =
+            this.generateTransactionHash(
+                normalizedTransaction
+            );
+
+        return normalizedTransaction;
+
+    }
+
     /**
      * =========================================================================
      * Normalize Amount
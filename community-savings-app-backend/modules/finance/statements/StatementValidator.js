@@ -760,6 +760,14 @@ class StatementValidator {
                             transaction?.externalId ||
                             null,
 
+                        /*
+                         * Set for transactions read from a statement file,
+                         * so the line can be found and repaired there.
+                         */
+                        sourceLine:
+                            transaction?.metadata?.sourceLine ??
+                            null,
+
                         errors:
                             transactionErrors
 
@@ -817,6 +825,25 @@ class StatementValidator {
             return errors;
         }
 
+        /**
+         * Statement file parse errors.
+         */
+
+        if (
+            Array.isArray(
+                tx.parseErrors
+            )
+        ) {
+
+            tx.parseErrors.forEach(
+                message =>
+                    errors.push(
+                        String(message)
+                    )
+            );
+
+        }
+
         /**
          * External identifier.
          */
@@ -28,6 +28,7 @@
  *
  *   statements
  *      ├── processing
+ *      ├── parsers
  *      ├── reconciliation
  *      ├── repair
  *      ├── forecasting
@@ -102,6 +103,15 @@ const MODULE_DEFINITIONS = Object.freeze({
     StatementRepairService:
         './StatementRepairService',
 
+    /**
+     * ------------------------------------------------------------------------
+     * Statement File Parsers
+     * ------------------------------------------------------------------------
+     */
+
+    StatementParserRegistry:
+        './parsers/StatementParserRegistry',
+
     /**
      * ------------------------------------------------------------------------
      * Forecasting
@@ -258,6 +268,10 @@ const NAMESPACE_DEFINITIONS = Object.freeze({
         'StatementRepairService'
     ]),
 
+    parsers: Object.freeze([
+        'StatementParserRegistry'
+    ]),
+
     forecasting: Object.freeze([
         'RepairForecastEngine',
         'SettlementReliabilityEngine',
@@ -0,0 +1,380 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * Camt053StatementParser.js
+ * ============================================================================
+ *
+ * ISO 20022 camt.053 (BankToCustomerStatement) parser.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/Camt053StatementParser.js
+ *
+ * Reads Document/BkToCstmrStmt/Stmt for any camt.053.001.xx version:
+ *
+ * - Stmt/Id, Acct/Id (IBAN or Othr/Id), Acct/Ccy, FrToDt
+ * - Bal with Tp/CdOrPrtry/Cd OPBD / PRCD (opening) and CLBD (closing)
+ * - Ntry: Amt@Ccy, CdtDbtInd, RvslInd, Sts, BookgDt, ValDt, AcctSvcrRef,
+ *   NtryRef, NtryDtls/TxDtls (Refs, RmtInf/Ustrd, RltdPties), AddtlNtryInf
+ *
+ * Only booked entries are statement transactions; pending and informational
+ * entries are counted and skipped.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const {
+    InvalidStatementFormatError
+} = require('../StatementErrors');
+
+const {
+    decodeContent,
+    parseDate,
+    parseAmount,
+    fallbackExternalId,
+    buildTransaction,
+    round2
+} = require('./parserUtils');
+
+const {
+    parseXml,
+    child,
+    children,
+    text
+} = require('./xmlReader');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const FORMAT = 'CAMT053';
+
+const OPENING_BALANCE_CODES = Object.freeze(['OPBD', 'PRCD']);
+
+const CLOSING_BALANCE_CODES = Object.freeze(['CLBD']);
+
+const NOT_PROVIDED = 'NOTPROVIDED';
+
+/**
+ * ============================================================================
+ * Helpers
+ * ============================================================================
+ */
+
+function isoDate(node) {
+
+    const value = text(node, 'Dt') || text(node, 'DtTm');
+
+    return value ? parseDate(value) : null;
+}
+
+function balanceOf(balance) {
+
+    const amountNode = child(balance, 'Amt');
+    const amount = parseAmount(text(amountNode));
+
+    if (!Number.isFinite(amount)) {
+        return null;
+    }
+
+    return {
+        amount: text(balance, 'CdtDbtInd') === 'DBIT' ? -amount : amount,
+        date: isoDate(child(balance, 'Dt')),
+        currency: amountNode.attributes.Ccy || null
+    };
+}
+
+function balanceCode(balance) {
+
+    return text(balance, 'Tp', 'CdOrPrtry', 'Cd') ||
+        text(balance, 'Tp', 'CdOrPrtry', 'Prtry');
+}
+
+function provided(value) {
+
+    return value && value.toUpperCase() !== NOT_PROVIDED ? value : null;
+}
+
+/**
+ * ============================================================================
+ * Camt053StatementParser
+ * ============================================================================
+ */
+
+class Camt053StatementParser {
+
+    constructor() {
+
+        this.format = FORMAT;
+    }
+
+    /**
+     * @param {Object} file { text, fileName }
+     * @returns {number}
+     */
+    detect(file) {
+
+        if (file.binary || !file.text) {
+            return 0;
+        }
+
+        const head = file.text.slice(0, 4096);
+
+        if (/camt\.053\.001/i.test(head)) {
+            return 1;
+        }
+
+        return /<(\w+:)?BkToCstmrStmt[\s>]/.test(head) ? 0.9 : 0;
+    }
+
+    /**
+     * =========================================================================
+     * Parse
+     * =========================================================================
+     *
+     * @param {Object} file
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     */
+    async parse(file, options = {}) {
+
+        const xml =
+            file.text ?? decodeContent(file.content);
+
+        let document;
+
+        try {
+            document = parseXml(xml);
+        } catch (error) {
+            throw new InvalidStatementFormatError(
+                'camt.053 file is not well-formed XML',
+                {
+                    reason: 'MALFORMED_XML',
+                    format: FORMAT,
+                    fileName: file.fileName || null,
+                    originalError: error.message
+                },
+                { cause: error }
+            );
+        }
+
+        const statements =
+            children(child(document, 'Document', 'BkToCstmrStmt'), 'Stmt');
+
+        if (!statements.length) {
+            throw new InvalidStatementFormatError(
+                'camt.053 file contains no statement',
+                {
+                    reason: 'EMPTY_CAMT053',
+                    format: FORMAT,
+                    fileName: file.fileName || null
+                }
+            );
+        }
+
+        const transactions = [];
+        const occurrences = new Map();
+
+        let skippedEntries = 0;
+
+        const summaries = statements.map(statement => {
+
+            const account = child(statement, 'Acct');
+
+            const currency =
+                text(account, 'Ccy') ||
+                options.currency ||
+                null;
+
+            const balances = children(statement, 'Bal');
+
+            const opening =
+                balances.find(balance => OPENING_BALANCE_CODES.includes(balanceCode(balance)));
+
+            const closing =
+                balances.find(balance => CLOSING_BALANCE_CODES.includes(balanceCode(balance)));
+
+            for (const entry of children(statement, 'Ntry')) {
+
+                const status =
+                    text(entry, 'Sts', 'Cd') ||
+                    text(entry, 'Sts');
+
+                if (status && status.toUpperCase() !== 'BOOK') {
+                    skippedEntries += 1;
+                    continue;
+                }
+
+                transactions.push(
+                    this.parseEntry(entry, currency, occurrences)
+                );
+            }
+
+            return {
+                id: text(statement, 'Id'),
+                accountNumber:
+                    text(account, 'Id', 'IBAN') ||
+                    text(account, 'Id', 'Othr', 'Id'),
+                currency,
+                from: parseDate(text(statement, 'FrToDt', 'FrDtTm')),
+                to: parseDate(text(statement, 'FrToDt', 'ToDtTm')),
+                opening: opening ? balanceOf(opening) : null,
+                closing: closing ? balanceOf(closing) : null
+            };
+        });
+
+        const first = summaries[0];
+        const last = summaries[summaries.length - 1];
+
+        return {
+            format: FORMAT,
+            profile: null,
+            source: 'BANK',
+            reference: options.reference || first.id,
+            accountNumber: options.accountNumber || first.accountNumber,
+            currency: first.currency,
+            periodStart: first.from || first.opening?.date || null,
+            periodEnd: last.to || last.closing?.date || null,
+            transactions,
+            metadata: {
+                parser: {
+                    format: FORMAT,
+                    profile: null,
+                    fileName: file.fileName || null,
+                    messageId: text(document, 'Document', 'BkToCstmrStmt', 'GrpHdr', 'MsgId'),
+                    statements: summaries.length,
+                    openingBalance: first.opening,
+                    closingBalance: last.closing,
+                    parsedLines: transactions.length,
+                    errorLines:
+                        transactions.filter(transaction => transaction.parseErrors).length,
+                    skippedLines: skippedEntries
+                }
+            }
+        };
+    }
+
+    /**
+     * =========================================================================
+     * Parse Entry (Ntry)
+     * =========================================================================
+     */
+    parseEntry(entry, statementCurrency, occurrences) {
+
+        const errors = [];
+
+        const amountNode = child(entry, 'Amt');
+        const rawAmount = text(amountNode);
+        const parsedAmount = parseAmount(rawAmount);
+
+        let amount = null;
+
+        if (parsedAmount === null) {
+            errors.push('Ntry/Amt missing');
+        } else if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+            errors.push(`unreadable Ntry/Amt "${rawAmount}"`);
+        } else if (parsedAmount === 0) {
+            errors.push('amount is zero');
+        } else {
+            amount = round2(parsedAmount);
+        }
+
+        const indicator = text(entry, 'CdtDbtInd');
+
+        let type = null;
+
+        if (indicator === 'CRDT') {
+            type = 'CREDIT';
+        } else if (indicator === 'DBIT') {
+            type = 'DEBIT';
+        } else {
+            errors.push(`unknown CdtDbtInd "${indicator || ''}"`);
+        }
+
+        const bookingDate = isoDate(child(entry, 'BookgDt'));
+        const valueDate = isoDate(child(entry, 'ValDt'));
+        const transactionDate = bookingDate || valueDate;
+
+        if (!transactionDate) {
+            errors.push('BookgDt and ValDt missing or unreadable');
+        }
+
+        const details = child(entry, 'NtryDtls', 'TxDtls');
+
+        const endToEndId = provided(text(details, 'Refs', 'EndToEndId'));
+
+        const reference =
+            endToEndId ||
+            provided(text(details, 'Refs', 'TxId')) ||
+            provided(text(entry, 'NtryRef'));
+
+        const description =
+            children(child(details, 'RmtInf'), 'Ustrd')
+                .map(node => node.text)
+                .filter(Boolean)
+                .join(' ') ||
+            text(entry, 'AddtlNtryInf') ||
+            text(details, 'AddtlTxInf');
+
+        const counterpartyRole = type === 'CREDIT' ? 'Dbtr' : 'Cdtr';
+
+        const counterparty =
+            text(details, 'RltdPties', counterpartyRole, 'Nm') ||
+            text(details, 'RltdPties', counterpartyRole, 'Pty', 'Nm');
+
+        let externalId =
+            provided(text(entry, 'AcctSvcrRef')) ||
+            provided(text(details, 'Refs', 'AcctSvcrRef')) ||
+            provided(text(entry, 'NtryRef'));
+
+        if (!externalId) {
+
+            const identity = [transactionDate, rawAmount, indicator, reference, description];
+            const key = identity.map(part => (part instanceof Date ? part.toISOString() : part)).join('|');
+            const occurrence = occurrences.get(key) || 0;
+
+            occurrences.set(key, occurrence + 1);
+
+            externalId = fallbackExternalId(FORMAT, identity, occurrence);
+        }
+
+        return buildTransaction(
+            {
+                externalId,
+                amount,
+                currency: amountNode?.attributes.Ccy || statementCurrency,
+                transactionDate,
+                type,
+                reference,
+                description: description || null,
+                metadata: {
+                    valueDate,
+                    reversal: text(entry, 'RvslInd') === 'true',
+                    endToEndId,
+                    bankTransactionCode:
+                        text(entry, 'BkTxCd', 'Domn', 'Cd') ||
+                        text(entry, 'BkTxCd', 'Prtry', 'Cd'),
+                    counterparty
+                }
+            },
+            {
+                line: entry.line,
+                raw: `<Ntry> ${externalId}`
+            },
+            errors
+        );
+    }
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = Camt053StatementParser;
+
+module.exports.FORMAT = FORMAT;
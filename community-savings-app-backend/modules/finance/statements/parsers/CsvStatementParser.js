@@ -0,0 +1,603 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * CsvStatementParser.js
+ * ============================================================================
+ *
+ * Delimited-text statement parser driven by column profiles.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/CsvStatementParser.js
+ *
+ * Responsibilities:
+ *
+ * - Detect the delimiter and the header row (exports often start with a
+ *   preamble: account name, period, print date).
+ * - Pick the column profile whose headers match best (MTN MoMo, Airtel
+ *   Money, generic bank or a registered bank profile).
+ * - Map each row onto the importer transaction contract.
+ * - Keep unreadable rows, with their parse errors, for StatementValidator.
+ *
+ * XlsxStatementParser reuses parseRows() for spreadsheet exports.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const {
+    InvalidStatementFormatError
+} = require('../StatementErrors');
+
+const {
+    decodeContent,
+    normalizeHeader,
+    detectDelimiter,
+    parseDelimited,
+    parseAmount,
+    parseDate,
+    fallbackExternalId,
+    buildTransaction,
+    round2
+} = require('./parserUtils');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const FORMAT = 'CSV';
+
+const HEADER_SEARCH_ROWS = 20;
+
+const SUMMARY_ROW =
+    /^(total|totals|sub ?total|opening balance|closing balance|balance b\/f|balance c\/f|brought forward|carried forward)\b/i;
+
+/**
+ * ============================================================================
+ * Cell Helpers
+ * ============================================================================
+ */
+
+function cellText(value) {
+
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    return String(value).trim();
+}
+
+function isBlank(value) {
+
+    return cellText(value) === '';
+}
+
+/**
+ * ============================================================================
+ * CsvStatementParser
+ * ============================================================================
+ */
+
+class CsvStatementParser {
+
+    /**
+     * @param {Object} options
+     * @param {Map<string, Object>} options.profiles live profile catalog
+     */
+    constructor({ profiles }) {
+
+        this.format = FORMAT;
+
+        this.profiles = profiles;
+    }
+
+    /**
+     * =========================================================================
+     * Detect
+     * =========================================================================
+     *
+     * @param {Object} file { text, fileName, mimeType, binary }
+     * @returns {number} confidence between 0 and 1
+     */
+    detect(file) {
+
+        if (file.binary || !file.text) {
+            return 0;
+        }
+
+        const byName =
+            /\.(csv|tsv|txt)$/i.test(file.fileName || '') ||
+            /text\/(csv|tab-separated-values|plain)/i.test(file.mimeType || '');
+
+        const sample =
+            file.text
+                .split(/\r?\n/)
+                .slice(0, HEADER_SEARCH_ROWS)
+                .join('\n');
+
+        const rows =
+            parseDelimited(sample, {
+                delimiter: detectDelimiter(sample)
+            });
+
+        if (!rows.some(row => row.cells.length >= 3)) {
+            return 0;
+        }
+
+        const match = this.matchProfile(rows);
+
+        if (!match) {
+            return byName ? 0.3 : 0.1;
+        }
+
+        return Math.min(
+            1,
+            0.4 + (byName ? 0.1 : 0) + (match.score * 0.5)
+        );
+    }
+
+    /**
+     * =========================================================================
+     * Parse
+     * =========================================================================
+     *
+     * @param {Object} file { content, text, fileName }
+     * @param {Object} options
+     * @param {string} [options.profile] force a profile by name
+     * @param {string} [options.delimiter]
+     * @param {string} [options.currency]
+     * @returns {Promise<Object>}
+     */
+    async parse(file, options = {}) {
+
+        const text =
+            file.text ?? decodeContent(file.content);
+
+        const forced =
+            options.profile
+                ? this.profiles.get(String(options.profile).toUpperCase())
+                : null;
+
+        const delimiter =
+            options.delimiter ||
+            forced?.delimiter ||
+            detectDelimiter(text);
+
+        const rows =
+            parseDelimited(text, { delimiter });
+
+        return this.parseRows(rows, {
+            ...options,
+            fileName: file.fileName,
+            format: FORMAT
+        });
+    }
+
+    /**
+     * =========================================================================
+     * Match Profile
+     * =========================================================================
+     *
+     * Scores every profile against every candidate header row. Signature
+     * headers weigh most; mapped columns break ties.
+     *
+     * @param {Array<Object>} rows
+     * @param {string|null} profileName
+     * @returns {Object|null} { profile, headerIndex, columnMap, score }
+     */
+    matchProfile(rows, profileName = null) {
+
+        const candidates =
+            profileName
+                ? [this.profiles.get(String(profileName).toUpperCase())].filter(Boolean)
+                : [...this.profiles.values()];
+
+        let best = null;
+
+        rows
+            .slice(0, HEADER_SEARCH_ROWS)
+            .forEach((row, headerIndex) => {
+
+                const headers =
+                    row.cells.map(normalizeHeader);
+
+                for (const profile of candidates) {
+
+                    const columnMap =
+                        this.mapColumns(profile, headers);
+
+                    if (!columnMap) {
+                        continue;
+                    }
+
+                    const signature =
+                        profile.signature.length
+                            ? profile.signature.filter(
+                                header => headers.includes(normalizeHeader(header))
+                            ).length / profile.signature.length
+                            : 0;
+
+                    const mapped =
+                        Object.keys(columnMap).length /
+                        Object.keys(profile.columns).length;
+
+                    const score = (signature * 0.7) + (mapped * 0.3);
+
+                    if (!best || score > best.score) {
+                        best = { profile, headerIndex, columnMap, score };
+                    }
+                }
+            });
+
+        return best;
+    }
+
+    /**
+     * Field → column index, or null when the required columns are missing.
+     */
+    mapColumns(profile, headers) {
+
+        const columnMap = {};
+
+        for (const [field, aliases] of Object.entries(profile.columns)) {
+
+            for (const alias of aliases) {
+
+                const index =
+                    headers.indexOf(normalizeHeader(alias));
+
+                if (index !== -1) {
+                    columnMap[field] = index;
+                    break;
+                }
+            }
+        }
+
+        const hasAmount =
+            columnMap.amount !== undefined ||
+            columnMap.debit !== undefined ||
+            columnMap.credit !== undefined;
+
+        if (columnMap.transactionDate === undefined || !hasAmount) {
+            return null;
+        }
+
+        return columnMap;
+    }
+
+    /**
+     * =========================================================================
+     * Parse Rows
+     * =========================================================================
+     *
+     * @param {Array<{ line: number, cells: Array<*>, raw: string }>} rows
+     * @param {Object} options
+     * @returns {Object} importer-shaped statement
+     */
+    parseRows(rows, options = {}) {
+
+        const match =
+            this.matchProfile(rows, options.profile || null);
+
+        if (!match) {
+
+            throw new InvalidStatementFormatError(
+
+                options.profile
+                    ? `Statement columns do not match profile ${String(options.profile).toUpperCase()}`
+                    : 'Statement columns do not match any CSV profile',
+
+                {
+                    reason:
+                        'UNRECOGNIZED_COLUMNS',
+
+                    format:
+                        options.format || FORMAT,
+
+                    fileName:
+                        options.fileName || null,
+
+                    headers:
+                        rows[0]?.cells.map(cellText) || []
+                }
+            );
+        }
+
+        const { profile, headerIndex, columnMap } = match;
+
+        const transactions = [];
+        const occurrences = new Map();
+
+        let ignoredLines = 0;
+        let skippedLines = 0;
+        let lastBalance = null;
+
+        for (const row of rows.slice(headerIndex + 1)) {
+
+            const cell =
+                field => (
+                    columnMap[field] === undefined
+                        ? ''
+                        : row.cells[columnMap[field]] ?? ''
+                );
+
+            const firstCell =
+                cellText(row.cells.find(value => !isBlank(value)));
+
+            if (SUMMARY_ROW.test(firstCell)) {
+                ignoredLines += 1;
+                continue;
+            }
+
+            const status = cellText(cell('status')).toUpperCase();
+
+            if (status && profile.skipStatuses.includes(status)) {
+                skippedLines += 1;
+                continue;
+            }
+
+            const parsed =
+                this.parseRow(row, cell, profile, options);
+
+            if (!parsed) {
+                ignoredLines += 1;
+                continue;
+            }
+
+            if (parsed.balance !== null) {
+                lastBalance = parsed.balance;
+            }
+
+            let externalId = cellText(cell('externalId'));
+
+            if (!externalId) {
+
+                const identity = [
+                    parsed.fields.transactionDate || cellText(cell('transactionDate')),
+                    parsed.fields.amount,
+                    parsed.fields.type,
+                    parsed.fields.reference,
+                    parsed.fields.description
+                ];
+
+                const key = identity.map(cellText).join('|');
+                const occurrence = occurrences.get(key) || 0;
+
+                occurrences.set(key, occurrence + 1);
+
+                externalId =
+                    fallbackExternalId(profile.name, identity, occurrence);
+            }
+
+            transactions.push(
+                buildTransaction(
+                    { externalId, ...parsed.fields },
+                    row,
+                    parsed.errors
+                )
+            );
+        }
+
+        return this.buildStatement(transactions, {
+            ...options,
+            profile,
+            headerLine: rows[headerIndex].line,
+            ignoredLines,
+            skippedLines,
+            lastRowBalance: lastBalance
+        });
+    }
+
+    /**
+     * =========================================================================
+     * Parse Row
+     * =========================================================================
+     *
+     * Returns null for rows with neither a date nor an amount (section
+     * headings, blank spacer rows with stray cells).
+     */
+    parseRow(row, cell, profile, options) {
+
+        const errors = [];
+        const numberOptions = { decimalSeparator: profile.decimalSeparator };
+
+        const rawDate = cell('transactionDate');
+        const transactionDate = parseDate(rawDate, profile.dateFormat);
+
+        const rawDebit = cell('debit');
+        const rawCredit = cell('credit');
+        const rawAmount = cell('amount');
+
+        if (
+            !transactionDate &&
+            isBlank(rawDebit) &&
+            isBlank(rawCredit) &&
+            isBlank(rawAmount) &&
+            isBlank(cell('externalId'))
+        ) {
+            return null;
+        }
+
+        if (!transactionDate) {
+            errors.push(
+                isBlank(rawDate)
+                    ? 'transaction date missing'
+                    : `unreadable transaction date "${cellText(rawDate)}"`
+            );
+        }
+
+        let amount = null;
+        let type = null;
+
+        if (!isBlank(rawDebit) || !isBlank(rawCredit)) {
+
+            const debit = parseAmount(rawDebit, numberOptions);
+            const credit = parseAmount(rawCredit, numberOptions);
+
+            if (Number.isNaN(debit)) {
+                errors.push(`unreadable debit amount "${cellText(rawDebit)}"`);
+            }
+
+            if (Number.isNaN(credit)) {
+                errors.push(`unreadable credit amount "${cellText(rawCredit)}"`);
+            }
+
+            if (debit && credit) {
+                errors.push('both debit and credit amounts present');
+            } else if (debit && !Number.isNaN(debit)) {
+                amount = Math.abs(debit);
+                type = 'DEBIT';
+            } else if (credit && !Number.isNaN(credit)) {
+                amount = Math.abs(credit);
+                type = 'CREDIT';
+            }
+
+        } else {
+
+            const signed = parseAmount(rawAmount, numberOptions);
+
+            if (signed === null) {
+                errors.push('amount missing');
+            } else if (Number.isNaN(signed)) {
+                errors.push(`unreadable amount "${cellText(rawAmount)}"`);
+            } else {
+                amount = Math.abs(signed);
+                type =
+                    this.typeFromKeywords(cell('type'), profile) ||
+                    (signed < 0 ? 'DEBIT' : 'CREDIT');
+            }
+        }
+
+        if (amount === 0 && !errors.length) {
+            errors.push('amount is zero');
+        }
+
+        if (amount !== null) {
+            amount = round2(amount);
+        }
+
+        const balance = parseAmount(cell('balance'), numberOptions);
+        const fee = parseAmount(cell('fee'), numberOptions);
+        const valueDate = parseDate(cell('valueDate'), profile.dateFormat);
+
+        return {
+            errors,
+            balance: Number.isFinite(balance) ? balance : null,
+            fields: {
+                amount,
+                currency:
+                    cellText(cell('currency')).toUpperCase() ||
+                    options.currency ||
+                    profile.currency ||
+                    null,
+                transactionDate,
+                type,
+                reference: cellText(cell('reference')) || null,
+                description: cellText(cell('description')) || null,
+                metadata: {
+                    profile: profile.name,
+                    providerType: cellText(cell('type')) || null,
+                    counterparty: cellText(cell('counterparty')) || null,
+                    status: cellText(cell('status')) || null,
+                    valueDate,
+                    fee: Number.isFinite(fee) ? fee : null,
+                    balance: Number.isFinite(balance) ? balance : null
+                }
+            }
+        };
+    }
+
+    /**
+     * Profile keywords win over the amount sign; unknown types fall back to
+     * the sign.
+     */
+    typeFromKeywords(value, profile) {
+
+        const text =
+            cellText(value)
+                .toLowerCase()
+                .replace(/[_-]+/g, ' ')
+                .trim();
+
+        if (!text) {
+            return null;
+        }
+
+        for (const type of ['CREDIT', 'DEBIT']) {
+
+            const hit =
+                profile.typeKeywords[type].some(keyword => (
+                    text === keyword ||
+                    (keyword.length > 2 && text.includes(keyword))
+                ));
+
+            if (hit) {
+                return type;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * =========================================================================
+     * Build Statement
+     * =========================================================================
+     */
+    buildStatement(transactions, options) {
+
+        const dates =
+            transactions
+                .map(transaction => transaction.transactionDate)
+                .filter(Boolean)
+                .map(date => date.getTime());
+
+        const currencies =
+            [...new Set(transactions.map(transaction => transaction.currency).filter(Boolean))];
+
+        return {
+            format: options.format || FORMAT,
+            profile: options.profile.name,
+            source: options.profile.source,
+            reference: options.reference || null,
+            accountNumber: options.accountNumber || null,
+            currency:
+                options.currency ||
+                options.profile.currency ||
+                (currencies.length === 1 ? currencies[0] : null),
+            periodStart: dates.length ? new Date(Math.min(...dates)) : null,
+            periodEnd: dates.length ? new Date(Math.max(...dates)) : null,
+            transactions,
+            metadata: {
+                parser: {
+                    format: options.format || FORMAT,
+                    profile: options.profile.name,
+                    fileName: options.fileName || null,
+                    headerLine: options.headerLine,
+                    parsedLines: transactions.length,
+                    errorLines:
+                        transactions.filter(transaction => transaction.parseErrors).length,
+                    ignoredLines: options.ignoredLines,
+                    skippedLines: options.skippedLines,
+                    lastRowBalance: options.lastRowBalance
+                }
+            }
+        };
+    }
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = CsvStatementParser;
+
+module.exports.FORMAT = FORMAT;
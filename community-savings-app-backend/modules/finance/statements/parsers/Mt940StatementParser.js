@@ -0,0 +1,501 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * Mt940StatementParser.js
+ * ============================================================================
+ *
+ * SWIFT MT940 customer statement parser.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/Mt940StatementParser.js
+ *
+ * Supported tags:
+ *
+ * :20:   transaction reference        :60F:/:60M: opening balance
+ * :25:   account identification       :61:  statement line
+ * :28C:  statement / sequence number  :86:  information to account owner
+ *                                     :62F:/:62M: closing balance
+ *
+ * Files may hold several statements (one per :20:) and may keep the SWIFT
+ * envelope ({1:...}{2:...}{4: ... -}). Continuation lines belong to the tag
+ * above them; the second line of a :61: is its supplementary details.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const {
+    InvalidStatementFormatError
+} = require('../StatementErrors');
+
+const {
+    decodeContent,
+    buildUtcDate,
+    fallbackExternalId,
+    buildTransaction,
+    round2
+} = require('./parserUtils');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const FORMAT = 'MT940';
+
+const TAG_LINE = /^:(\d{2}[A-Z]?):(.*)$/;
+
+const BALANCE = /^([CD])(\d{6})([A-Z]{3})(\d{1,15},\d{0,2})$/;
+
+/**
+ * value date, entry date, mark, funds code, amount, type code, references
+ */
+const STATEMENT_LINE =
+    /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d{1,15},\d{0,2})([SNF][A-Z0-9]{3})(.*)$/;
+
+/**
+ * ============================================================================
+ * Helpers
+ * ============================================================================
+ */
+
+function swiftDate(value) {
+
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+
+    if (!match) {
+        return null;
+    }
+
+    return buildUtcDate(
+        2000 + Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3])
+    );
+}
+
+function swiftAmount(value) {
+
+    return Number(String(value).replace(',', '.'));
+}
+
+function parseBalance(value) {
+
+    const match = BALANCE.exec(String(value || '').trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const amount = swiftAmount(match[4]);
+
+    return {
+        amount: match[1] === 'D' ? -amount : amount,
+        date: swiftDate(match[2]),
+        currency: match[3]
+    };
+}
+
+/**
+ * Structured :86: fields (?20, ?32 ...) read as plain text.
+ */
+function informationText(value) {
+
+    return String(value || '')
+        .replace(/\?\d{2}/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim() || null;
+}
+
+/**
+ * ============================================================================
+ * Mt940StatementParser
+ * ============================================================================
+ */
+
+class Mt940StatementParser {
+
+    constructor() {
+
+        this.format = FORMAT;
+    }
+
+    /**
+     * @param {Object} file { text, fileName }
+     * @returns {number}
+     */
+    detect(file) {
+
+        if (file.binary || !file.text) {
+            return 0;
+        }
+
+        const hasReference = /^:20:/m.test(file.text);
+        const hasBody = /^:(61|60F|60M):/m.test(file.text);
+
+        if (!hasReference || !hasBody) {
+            return 0;
+        }
+
+        return /\.(sta|mt940|940)$/i.test(file.fileName || '') ? 1 : 0.95;
+    }
+
+    /**
+     * =========================================================================
+     * Parse
+     * =========================================================================
+     *
+     * @param {Object} file
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     */
+    async parse(file, options = {}) {
+
+        const text =
+            file.text ?? decodeContent(file.content);
+
+        const statements =
+            this.splitStatements(
+                this.readFields(text)
+            );
+
+        if (!statements.length) {
+            throw new InvalidStatementFormatError(
+                'MT940 file contains no statement',
+                {
+                    reason: 'EMPTY_MT940',
+                    format: FORMAT,
+                    fileName: file.fileName || null
+                }
+            );
+        }
+
+        const transactions = [];
+        const balanceDifferences = [];
+        const occurrences = new Map();
+
+        for (const statement of statements) {
+
+            const currency =
+                statement.opening?.currency ||
+                statement.closing?.currency ||
+                options.currency ||
+                null;
+
+            let movement = 0;
+
+            for (const line of statement.lines) {
+
+                const transaction =
+                    this.parseStatementLine(line, currency, occurrences);
+
+                if (!transaction.parseErrors && transaction.amount !== null) {
+                    movement +=
+                        transaction.type === 'CREDIT'
+                            ? transaction.amount
+                            : -transaction.amount;
+                }
+
+                transactions.push(transaction);
+            }
+
+            // Opening + movements must equal closing; a gap means missing lines
+            if (statement.opening && statement.closing) {
+
+                const expected =
+                    round2(statement.opening.amount + movement);
+
+                if (expected !== round2(statement.closing.amount)) {
+                    balanceDifferences.push({
+                        reference: statement.reference,
+                        statementNumber: statement.statementNumber,
+                        expectedClosing: expected,
+                        reportedClosing: statement.closing.amount
+                    });
+                }
+            }
+        }
+
+        const first = statements[0];
+        const last = statements[statements.length - 1];
+
+        return {
+            format: FORMAT,
+            profile: null,
+            source: 'BANK',
+            reference: options.reference || first.reference,
+            accountNumber: options.accountNumber || first.accountNumber,
+            currency: first.opening?.currency || options.currency || null,
+            periodStart: first.opening?.date || null,
+            periodEnd: last.closing?.date || null,
+            transactions,
+            metadata: {
+                parser: {
+                    format: FORMAT,
+                    profile: null,
+                    fileName: file.fileName || null,
+                    statements: statements.length,
+                    statementNumber: first.statementNumber,
+                    openingBalance: first.opening,
+                    closingBalance: last.closing,
+                    balanceDifferences,
+                    parsedLines: transactions.length,
+                    errorLines:
+                        transactions.filter(transaction => transaction.parseErrors).length
+                }
+            }
+        };
+    }
+
+    /**
+     * =========================================================================
+     * Read Fields
+     * =========================================================================
+     *
+     * Tag/value pairs with the line each tag starts on, SWIFT envelope and
+     * trailer lines dropped.
+     */
+    readFields(text) {
+
+        const fields = [];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+
+            let line = rawLine;
+
+            if (/^\{[1-3]:/.test(line)) {
+
+                const body = line.indexOf('{4:');
+
+                if (body === -1) {
+                    return;
+                }
+
+                line = line.slice(body + 3);
+            }
+
+            if (/^-\}?\s*$/.test(line) || !line.trim()) {
+                return;
+            }
+
+            const tag = TAG_LINE.exec(line);
+
+            if (tag) {
+                fields.push({
+                    tag: tag[1],
+                    value: tag[2],
+                    line: index + 1,
+                    raw: rawLine
+                });
+                return;
+            }
+
+            const previous = fields[fields.length - 1];
+
+            if (previous) {
+                previous.value += `\n${line}`;
+                previous.raw += `\n${rawLine}`;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * =========================================================================
+     * Split Statements
+     * =========================================================================
+     */
+    splitStatements(fields) {
+
+        const statements = [];
+
+        let current = null;
+
+        for (const field of fields) {
+
+            if (field.tag === '20') {
+                current = {
+                    reference: field.value.trim(),
+                    accountNumber: null,
+                    statementNumber: null,
+                    opening: null,
+                    closing: null,
+                    lines: []
+                };
+                statements.push(current);
+                continue;
+            }
+
+            if (!current) {
+                continue;
+            }
+
+            switch (field.tag) {
+
+                case '25':
+                    current.accountNumber = field.value.trim();
+                    break;
+
+                case '28C':
+                case '28':
+                    current.statementNumber = field.value.trim();
+                    break;
+
+                case '60F':
+                case '60M':
+                    current.opening = parseBalance(field.value);
+                    break;
+
+                case '62F':
+                case '62M':
+                    current.closing = parseBalance(field.value);
+                    break;
+
+                case '61':
+                    current.lines.push({ entry: field, information: null });
+                    break;
+
+                case '86': {
+                    const line = current.lines[current.lines.length - 1];
+
+                    if (line && !line.information) {
+                        line.information = field;
+                    }
+                    break;
+                }
+
+                default:
+                    break;
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * =========================================================================
+     * Parse Statement Line (:61:)
+     * =========================================================================
+     */
+    parseStatementLine({ entry, information }, currency, occurrences) {
+
+        const [first, supplementary = ''] = entry.value.split('\n');
+
+        const source = {
+            line: entry.line,
+            raw: [entry.raw, information?.raw].filter(Boolean).join('\n')
+        };
+
+        const description = informationText(information?.value);
+
+        const match = STATEMENT_LINE.exec(first.trim());
+
+        if (!match) {
+
+            return buildTransaction(
+                {
+                    externalId: fallbackExternalId(FORMAT, [entry.raw], entry.line),
+                    amount: null,
+                    currency,
+                    transactionDate: null,
+                    type: null,
+                    reference: null,
+                    description
+                },
+                source,
+                [`unreadable :61: statement line "${first.trim()}"`]
+            );
+        }
+
+        const [, valueDateText, entryDateText, mark, , amountText, typeCode, references] = match;
+
+        const errors = [];
+
+        const valueDate = swiftDate(valueDateText);
+
+        let bookingDate = valueDate;
+
+        if (valueDate && entryDateText) {
+
+            const month = Number(entryDateText.slice(0, 2)) - 1;
+            const day = Number(entryDateText.slice(2));
+
+            let year = valueDate.getUTCFullYear();
+
+            // Booked in late December for a January value date, or vice versa
+            if (month === 11 && valueDate.getUTCMonth() === 0) {
+                year -= 1;
+            } else if (month === 0 && valueDate.getUTCMonth() === 11) {
+                year += 1;
+            }
+
+            bookingDate = buildUtcDate(year, month, day);
+        }
+
+        if (!bookingDate) {
+            errors.push(`unreadable date in :61: "${valueDateText}${entryDateText || ''}"`);
+        }
+
+        const amount = round2(swiftAmount(amountText));
+
+        if (!amount) {
+            errors.push('amount is zero');
+        }
+
+        const [customerReference, bankReference] =
+            references.split('//').map(part => part.trim() || null);
+
+        const reference =
+            customerReference && customerReference !== 'NONREF'
+                ? customerReference
+                : null;
+
+        let externalId = bankReference || reference;
+
+        if (!externalId) {
+
+            const identity = [valueDateText, mark, amountText, typeCode, description];
+            const key = identity.join('|');
+            const occurrence = occurrences.get(key) || 0;
+
+            occurrences.set(key, occurrence + 1);
+
+            externalId = fallbackExternalId(FORMAT, identity, occurrence);
+        }
+
+        return buildTransaction(
+            {
+                externalId,
+                amount,
+                currency,
+                transactionDate: bookingDate,
+                // RC reverses a credit (money out), RD reverses a debit
+                type: mark === 'C' || mark === 'RD' ? 'CREDIT' : 'DEBIT',
+                reference,
+                description,
+                metadata: {
+                    valueDate,
+                    transactionTypeCode: typeCode,
+                    reversal: mark.startsWith('R'),
+                    bankReference,
+                    supplementaryDetails: supplementary.trim() || null
+                }
+            },
+            source,
+            errors
+        );
+    }
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = Mt940StatementParser;
+
+module.exports.FORMAT = FORMAT;
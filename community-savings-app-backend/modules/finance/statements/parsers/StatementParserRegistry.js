@@ -0,0 +1,343 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * StatementParserRegistry.js
+ * ============================================================================
+ *
+ * Pluggable statement file parsers with format auto-detection.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/StatementParserRegistry.js
+ *
+ * Pipeline Position:
+ *
+ * Uploaded file (CSV / XLSX / MT940 / camt.053)
+ *       |
+ *       v
+ * StatementParserRegistry  -> importer-shaped statement
+ *       |
+ *       v
+ * StatementImporter -> StatementNormalizer -> StatementValidator -> ...
+ *
+ * Parser contract:
+ *
+ * {
+ *     format: 'MT940',
+ *     detect(file)          -> confidence 0..1
+ *     async parse(file, options) -> {
+ *         format, profile, source, reference, accountNumber, currency,
+ *         periodStart, periodEnd, transactions, metadata: { parser }
+ *     }
+ * }
+ *
+ * `file` is { content: Buffer|string, fileName?, mimeType? }. Parsers also
+ * receive the decoded `text` (null for binary files) and a `binary` flag.
+ *
+ * Lines a parser cannot read stay in `transactions` with `parseErrors` and
+ * metadata.sourceLine; StatementValidator reports them per line.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const {
+    InvalidStatementFormatError
+} = require('../StatementErrors');
+
+const {
+    decodeContent
+} = require('./parserUtils');
+
+const {
+    BUILT_IN_PROFILES,
+    defineProfile
+} = require('./csvProfiles');
+
+const CsvStatementParser = require('./CsvStatementParser');
+const XlsxStatementParser = require('./XlsxStatementParser');
+const Mt940StatementParser = require('./Mt940StatementParser');
+const Camt053StatementParser = require('./Camt053StatementParser');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+// Below this, a guess is worse than asking the caller for the format
+const MIN_CONFIDENCE = 0.3;
+
+const DEFAULT_MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * ============================================================================
+ * StatementParserRegistry
+ * ============================================================================
+ */
+
+class StatementParserRegistry {
+
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.profiles extra bank CSV/XLSX profiles
+     * @param {Array<Object>} options.parsers extra parsers (checked first)
+     * @param {number} options.maxFileBytes
+     */
+    constructor({
+        profiles = [],
+        parsers = [],
+        maxFileBytes = DEFAULT_MAX_FILE_BYTES
+    } = {}) {
+
+        this.profiles = new Map();
+
+        BUILT_IN_PROFILES.forEach(profile => this.registerProfile(profile));
+        profiles.forEach(profile => this.registerProfile(profile));
+
+        const tabular =
+            new CsvStatementParser({ profiles: this.profiles });
+
+        this.parsers = new Map();
+
+        parsers.forEach(parser => this.register(parser));
+
+        [
+            tabular,
+            new XlsxStatementParser({ tabular }),
+            new Mt940StatementParser(),
+            new Camt053StatementParser()
+        ].forEach(parser => {
+            if (!this.parsers.has(parser.format)) {
+                this.register(parser);
+            }
+        });
+
+        this.maxFileBytes = maxFileBytes;
+    }
+
+    /**
+     * =========================================================================
+     * Register Parser
+     * =========================================================================
+     *
+     * A parser with the format of an existing one replaces it.
+     *
+     * @param {Object} parser
+     * @returns {StatementParserRegistry}
+     */
+    register(parser) {
+
+        if (
+            !parser ||
+            typeof parser.format !== 'string' ||
+            typeof parser.detect !== 'function' ||
+            typeof parser.parse !== 'function'
+        ) {
+            throw new TypeError('Statement parser needs format, detect() and parse()');
+        }
+
+        this.parsers.set(parser.format.toUpperCase(), parser);
+
+        return this;
+    }
+
+    /**
+     * =========================================================================
+     * Register CSV / XLSX Column Profile
+     * =========================================================================
+     *
+     * See csvProfiles.js for the profile shape. Registering an existing name
+     * replaces that profile.
+     *
+     * @param {Object} profile
+     * @returns {Object} the stored profile
+     */
+    registerProfile(profile) {
+
+        const defined = defineProfile(profile);
+
+        this.profiles.set(defined.name, defined);
+
+        return defined;
+    }
+
+    listFormats() {
+
+        return [...this.parsers.keys()];
+    }
+
+    listProfiles() {
+
+        return [...this.profiles.values()].map(profile => ({
+            name: profile.name,
+            label: profile.label,
+            source: profile.source
+        }));
+    }
+
+    /**
+     * =========================================================================
+     * Detect Format
+     * =========================================================================
+     *
+     * @param {Object} file
+     * @returns {{ format: string|null, confidence: number, candidates: Array }}
+     */
+    detect(file) {
+
+        const prepared = this.prepare(file);
+
+        const candidates =
+            [...this.parsers.values()]
+                .map(parser => ({
+                    format: parser.format,
+                    confidence: Number(parser.detect(prepared)) || 0
+                }))
+                .filter(candidate => candidate.confidence > 0)
+                .sort((a, b) => b.confidence - a.confidence);
+
+        const best = candidates[0];
+
+        return {
+            format: best && best.confidence >= MIN_CONFIDENCE ? best.format : null,
+            confidence: best?.confidence || 0,
+            candidates
+        };
+    }
+
+    /**
+     * =========================================================================
+     * Parse
+     * =========================================================================
+     *
+     * @param {Object} file { content, fileName?, mimeType? }
+     * @param {Object} options
+     * @param {string} [options.format] skip detection
+     * @param {string} [options.profile] CSV/XLSX profile name
+     * @param {string} [options.currency] default when the file has none
+     * @param {string} [options.reference]
+     * @param {string} [options.accountNumber]
+     * @returns {Promise<Object>} importer-shaped statement
+     */
+    async parse(file, options = {}) {
+
+        const prepared = this.prepare(file);
+
+        let format = options.format ? String(options.format).toUpperCase() : null;
+        let confidence = 1;
+
+        if (!format) {
+
+            const detection = this.detect(prepared);
+
+            if (!detection.format) {
+                throw new InvalidStatementFormatError(
+                    'Statement file format not recognised',
+                    {
+                        reason: 'UNSUPPORTED_STATEMENT_FORMAT',
+                        fileName: prepared.fileName,
+                        mimeType: prepared.mimeType,
+                        candidates: detection.candidates,
+                        supportedFormats: this.listFormats()
+                    }
+                );
+            }
+
+            format = detection.format;
+            confidence = detection.confidence;
+        }
+
+        const parser = this.parsers.get(format);
+
+        if (!parser) {
+            throw new InvalidStatementFormatError(
+                `Unsupported statement format ${format}`,
+                {
+                    reason: 'UNSUPPORTED_STATEMENT_FORMAT',
+                    format,
+                    supportedFormats: this.listFormats()
+                }
+            );
+        }
+
+        const statement = await parser.parse(prepared, options);
+
+        statement.metadata.parser.detectionConfidence = confidence;
+
+        return statement;
+    }
+
+    /**
+     * Validates the upload and decodes text once for every parser.
+     */
+    prepare(file) {
+
+        if (file && file.binary !== undefined && 'text' in file) {
+            return file;
+        }
+
+        const content = file?.content;
+
+        if (!Buffer.isBuffer(content) && typeof content !== 'string') {
+            throw new InvalidStatementFormatError(
+                'Statement file content required',
+                {
+                    reason: 'EMPTY_FILE'
+                }
+            );
+        }
+
+        const size =
+            Buffer.isBuffer(content) ? content.length : Buffer.byteLength(content);
+
+        if (!size) {
+            throw new InvalidStatementFormatError(
+                'Statement file is empty',
+                {
+                    reason: 'EMPTY_FILE',
+                    fileName: file.fileName || null
+                }
+            );
+        }
+
+        if (size > this.maxFileBytes) {
+            throw new InvalidStatementFormatError(
+                'Statement file too large',
+                {
+                    reason: 'FILE_TOO_LARGE',
+                    fileName: file.fileName || null,
+                    size,
+                    maxFileBytes: this.maxFileBytes
+                }
+            );
+        }
+
+        // Control bytes other than tab/CR/LF (outside UTF-16 text) mean a
+        // binary container such as XLSX
+        const binary =
+            Buffer.isBuffer(content) &&
+            !(content[0] === 0xFF && content[1] === 0xFE) &&
+            content.subarray(0, 512).some(byte => byte < 9 || (byte > 13 && byte < 32));
+
+        return {
+            content,
+            fileName: file.fileName || null,
+            mimeType: file.mimeType || null,
+            binary,
+            text: binary ? null : decodeContent(content)
+        };
+    }
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = StatementParserRegistry;
+
+module.exports.MIN_CONFIDENCE = MIN_CONFIDENCE;
+
+module.exports.DEFAULT_MAX_FILE_BYTES = DEFAULT_MAX_FILE_BYTES;
@@ -0,0 +1,203 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * XlsxStatementParser.js
+ * ============================================================================
+ *
+ * Spreadsheet (XLSX) statement parser.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/XlsxStatementParser.js
+ *
+ * MTN, Airtel and most bank portals offer the same export as CSV or XLSX.
+ * Worksheet rows are turned into the row shape CsvStatementParser uses, so
+ * both formats share one set of column profiles. Spreadsheet dates arrive as
+ * Date objects and amounts as numbers; parserUtils accepts both.
+ *
+ * exceljs is loaded on first use so deployments that never receive XLSX
+ * statements do not pay for it at startup.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const {
+    InvalidStatementFormatError
+} = require('../StatementErrors');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const FORMAT = 'XLSX';
+
+// Local file header of a ZIP container ("PK\x03\x04")
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+
+const XLSX_MIME_TYPE =
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * ============================================================================
+ * Cell Value
+ * ============================================================================
+ *
+ * Flattens exceljs cell values (rich text, formulas, hyperlinks).
+ */
+function cellValue(value) {
+
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date || typeof value !== 'object') {
+        return value;
+    }
+
+    if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('');
+    }
+
+    if (value.result !== undefined) {
+        return cellValue(value.result);
+    }
+
+    if (value.text !== undefined) {
+        return cellValue(value.text);
+    }
+
+    if (value.error) {
+        return '';
+    }
+
+    return String(value);
+}
+
+/**
+ * ============================================================================
+ * XlsxStatementParser
+ * ============================================================================
+ */
+
+class XlsxStatementParser {
+
+    /**
+     * @param {Object} options
+     * @param {CsvStatementParser} options.tabular profile-driven row parser
+     */
+    constructor({ tabular }) {
+
+        this.format = FORMAT;
+
+        this.tabular = tabular;
+    }
+
+    /**
+     * @param {Object} file { content, fileName, mimeType }
+     * @returns {number}
+     */
+    detect(file) {
+
+        const zip =
+            Buffer.isBuffer(file.content) &&
+            file.content.subarray(0, 4).equals(ZIP_SIGNATURE);
+
+        if (!zip) {
+            return 0;
+        }
+
+        const byName =
+            /\.xlsx$/i.test(file.fileName || '') ||
+            file.mimeType === XLSX_MIME_TYPE;
+
+        // Any ZIP could be a workbook; the name or type settles it
+        return byName ? 0.9 : 0.5;
+    }
+
+    /**
+     * @param {Object} file
+     * @param {Object} options
+     * @param {string|number} [options.sheet] worksheet name or 1-based index
+     * @returns {Promise<Object>}
+     */
+    async parse(file, options = {}) {
+
+        const ExcelJS = require('exceljs');
+
+        const workbook = new ExcelJS.Workbook();
+
+        try {
+            await workbook.xlsx.load(file.content);
+        } catch (error) {
+            throw new InvalidStatementFormatError(
+                'Statement workbook could not be read',
+                {
+                    reason: 'UNREADABLE_WORKBOOK',
+                    format: FORMAT,
+                    fileName: file.fileName || null,
+                    originalError: error?.message
+                },
+                { cause: error }
+            );
+        }
+
+        const worksheet =
+            options.sheet !== undefined
+                ? workbook.getWorksheet(options.sheet)
+                : workbook.worksheets[0];
+
+        if (!worksheet) {
+            throw new InvalidStatementFormatError(
+                'Statement worksheet not found',
+                {
+                    reason: 'MISSING_WORKSHEET',
+                    format: FORMAT,
+                    fileName: file.fileName || null,
+                    sheet: options.sheet ?? null
+                }
+            );
+        }
+
+        const rows = [];
+
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+
+            // exceljs row.values is 1-based and sparse
+            const cells =
+                Array.from(row.values.slice(1), cellValue)
+                    .map(value => (typeof value === 'string' ? value.trim() : value));
+
+            rows.push({
+                line: rowNumber,
+                cells,
+                raw: cells
+                    .map(value => (value instanceof Date ? value.toISOString() : String(value)))
+                    .join(',')
+            });
+        });
+
+        const statement =
+            this.tabular.parseRows(rows, {
+                ...options,
+                fileName: file.fileName,
+                format: FORMAT
+            });
+
+        statement.metadata.parser.sheet = worksheet.name;
+
+        return statement;
+    }
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = XlsxStatementParser;
+
+module.exports.FORMAT = FORMAT;
@@ -0,0 +1,281 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * csvProfiles.js
+ * ============================================================================
+ *
+ * Column profiles for tabular (CSV / XLSX) statement exports.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/csvProfiles.js
+ *
+ * A profile maps canonical transaction fields to the header names a provider
+ * uses. Headers compare case- and punctuation-insensitively, so
+ * "Transaction ID" matches "transaction_id". Banks whose exports differ from
+ * the built-in profiles get their own profile through
+ * StatementParserRegistry.registerProfile().
+ *
+ * Profile shape:
+ *
+ * {
+ *     name:             'STANBIC_UG',           // unique, upper case
+ *     label:            'Stanbic Uganda CSV',
+ *     source:           'BANK',                 // StatementNormalizer source
+ *     currency:         'UGX',                  // when no currency column
+ *     dateFormat:       'DD/MM/YYYY',           // null = detect
+ *     decimalSeparator: '.',
+ *     columns: {
+ *         transactionDate: ['Tran Date'],       // required
+ *         amount:          ['Amount'],          // or debit and/or credit
+ *         debit:           ['Withdrawals'],
+ *         credit:          ['Deposits'],
+ *         externalId, type, currency, reference, description,
+ *         counterparty, balance, fee, status, valueDate
+ *     },
+ *     signature:    ['Tran Date', 'Withdrawals'], // headers that identify it
+ *     typeKeywords: { CREDIT: [...], DEBIT: [...] },
+ *     skipStatuses: ['FAILED']                  // rows ignored, not errors
+ * }
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+/**
+ * ============================================================================
+ * Canonical Columns
+ * ============================================================================
+ */
+
+const PROFILE_COLUMNS = Object.freeze([
+    'externalId',
+    'transactionDate',
+    'valueDate',
+    'amount',
+    'debit',
+    'credit',
+    'type',
+    'currency',
+    'reference',
+    'description',
+    'counterparty',
+    'balance',
+    'fee',
+    'status'
+]);
+
+/**
+ * ============================================================================
+ * MTN MoMo Merchant Statement
+ * ============================================================================
+ *
+ * Partner portal export. Amounts are signed (outflows negative) and the file
+ * includes failed and pending attempts, which never moved money.
+ */
+
+const MTN_MOMO = {
+    name: 'MTN_MOMO',
+    label: 'MTN MoMo merchant statement',
+    source: 'MTN_MOMO',
+    currency: 'UGX',
+    dateFormat: null,
+    decimalSeparator: '.',
+    columns: {
+        externalId: ['Financial Transaction Id', 'Id', 'Transaction Id'],
+        transactionDate: ['Date', 'Transaction Date', 'Date Time'],
+        amount: ['Amount'],
+        type: ['Type', 'Transaction Type'],
+        currency: ['Currency'],
+        reference: ['External Transaction Id', 'External Id'],
+        description: ['Note', 'Payer Note', 'Information', 'Message'],
+        counterparty: ['From Name', 'From', 'Payer'],
+        balance: ['Balance'],
+        fee: ['Fee'],
+        status: ['Status']
+    },
+    signature: [
+        'External Transaction Id',
+        'Provider Category',
+        'From Name',
+        'To Name',
+        'Payer Note'
+    ],
+    typeKeywords: {
+        CREDIT: ['deposit', 'cash in', 'transfer received', 'payment received', 'collection'],
+        DEBIT: ['withdrawal', 'cash out', 'disbursement', 'transfer sent', 'payment sent', 'reversal']
+    },
+    skipStatuses: ['FAILED', 'REJECTED', 'PENDING', 'EXPIRED']
+};
+
+/**
+ * ============================================================================
+ * Airtel Money Merchant Statement
+ * ============================================================================
+ *
+ * Split debit/credit columns with a post-transaction balance.
+ */
+
+const AIRTEL_MONEY = {
+    name: 'AIRTEL_MONEY',
+    label: 'Airtel Money merchant statement',
+    source: 'AIRTEL_MONEY',
+    currency: 'UGX',
+    dateFormat: null,
+    decimalSeparator: '.',
+    columns: {
+        externalId: ['Transaction ID', 'Txn ID', 'TID'],
+        transactionDate: ['Transaction Date', 'Txn Date', 'Date'],
+        debit: ['Debit', 'Amount Debited', 'Debit Amount'],
+        credit: ['Credit', 'Amount Credited', 'Credit Amount'],
+        amount: ['Transaction Amount', 'Amount'],
+        type: ['Service Type', 'Transaction Type', 'Txn Type'],
+        currency: ['Currency'],
+        reference: ['Reference Number', 'Reference', 'External Reference'],
+        description: ['Description', 'Remarks'],
+        counterparty: ['Sender Name', 'Receiver Name', 'Sender MSISDN'],
+        balance: ['Post Balance', 'Closing Balance', 'Balance'],
+        fee: ['Charges', 'Fee'],
+        status: ['Transaction Status', 'Status']
+    },
+    signature: [
+        'Service Type',
+        'Sender MSISDN',
+        'Receiver MSISDN',
+        'Post Balance',
+        'Txn ID'
+    ],
+    typeKeywords: {
+        CREDIT: ['cash in', 'merchant payment', 'money received', 'deposit', 'collection'],
+        DEBIT: ['cash out', 'disbursement', 'money sent', 'withdrawal', 'bank transfer']
+    },
+    skipStatuses: ['FAILED', 'TF', 'TI', 'PENDING']
+};
+
+/**
+ * ============================================================================
+ * Generic Bank Statement
+ * ============================================================================
+ *
+ * Fallback for bank CSV downloads (date, narration, debit, credit, balance).
+ * It has no signature, so provider-specific profiles win when they match.
+ */
+
+const GENERIC_BANK = {
+    name: 'GENERIC_BANK',
+    label: 'Bank statement (generic columns)',
+    source: 'BANK',
+    currency: null,
+    dateFormat: null,
+    decimalSeparator: '.',
+    columns: {
+        externalId: ['Transaction ID', 'Tran ID', 'Transaction Reference'],
+        transactionDate: ['Transaction Date', 'Posting Date', 'Booking Date', 'Tran Date', 'Date'],
+        valueDate: ['Value Date'],
+        debit: ['Debit', 'Debits', 'Withdrawal', 'Withdrawals', 'Debit Amount', 'Money Out'],
+        credit: ['Credit', 'Credits', 'Deposit', 'Deposits', 'Credit Amount', 'Money In'],
+        amount: ['Amount', 'Transaction Amount'],
+        type: ['Dr/Cr', 'Debit/Credit', 'Type'],
+        currency: ['Currency', 'Ccy'],
+        reference: ['Reference', 'Ref No', 'Reference Number', 'Cheque No', 'Cheque Number'],
+        description: ['Description', 'Narration', 'Details', 'Particulars', 'Transaction Details'],
+        counterparty: ['Counterparty', 'Beneficiary', 'Payee'],
+        balance: ['Balance', 'Running Balance', 'Book Balance']
+    },
+    signature: [],
+    typeKeywords: {
+        CREDIT: ['cr', 'credit', 'c'],
+        DEBIT: ['dr', 'debit', 'd']
+    },
+    skipStatuses: []
+};
+
+const BUILT_IN_PROFILES = Object.freeze([
+    MTN_MOMO,
+    AIRTEL_MONEY,
+    GENERIC_BANK
+]);
+
+/**
+ * ============================================================================
+ * Profile Validation
+ * ============================================================================
+ *
+ * Profiles are configuration: a malformed one is a programming error and
+ * throws TypeError, like the importer's constructor options.
+ *
+ * @param {Object} profile
+ * @returns {Object} frozen copy with defaults applied
+ */
+function defineProfile(profile) {
+
+    if (!profile || typeof profile !== 'object') {
+        throw new TypeError('CSV profile must be an object');
+    }
+
+    const name = String(profile.name || '').trim().toUpperCase();
+
+    if (!name) {
+        throw new TypeError('CSV profile name is required');
+    }
+
+    const columns = profile.columns || {};
+
+    for (const [field, aliases] of Object.entries(columns)) {
+
+        if (!PROFILE_COLUMNS.includes(field)) {
+            throw new TypeError(`CSV profile ${name}: unknown column "${field}"`);
+        }
+
+        if (
+            !Array.isArray(aliases) ||
+            !aliases.length ||
+            aliases.some(alias => typeof alias !== 'string' || !alias.trim())
+        ) {
+            throw new TypeError(`CSV profile ${name}: column "${field}" needs header names`);
+        }
+    }
+
+    if (!columns.transactionDate) {
+        throw new TypeError(`CSV profile ${name}: transactionDate column is required`);
+    }
+
+    if (!columns.amount && !columns.debit && !columns.credit) {
+        throw new TypeError(`CSV profile ${name}: an amount or debit/credit column is required`);
+    }
+
+    if (profile.decimalSeparator && !['.', ','].includes(profile.decimalSeparator)) {
+        throw new TypeError(`CSV profile ${name}: decimalSeparator must be "." or ","`);
+    }
+
+    return Object.freeze({
+        name,
+        label: profile.label || name,
+        source: String(profile.source || 'BANK').toUpperCase(),
+        currency: profile.currency ? String(profile.currency).toUpperCase() : null,
+        dateFormat: profile.dateFormat || null,
+        decimalSeparator: profile.decimalSeparator || '.',
+        delimiter: profile.delimiter || null,
+        columns: Object.freeze({ ...columns }),
+        signature: Object.freeze([...(profile.signature || [])]),
+        typeKeywords: Object.freeze({
+            CREDIT: [...(profile.typeKeywords?.CREDIT || [])],
+            DEBIT: [...(profile.typeKeywords?.DEBIT || [])]
+        }),
+        skipStatuses: Object.freeze(
+            (profile.skipStatuses || []).map(status => String(status).toUpperCase())
+        )
+    });
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = {
+    PROFILE_COLUMNS,
+    BUILT_IN_PROFILES,
+    defineProfile
+};
@@ -0,0 +1,472 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * parserUtils.js
+ * ============================================================================
+ *
+ * Shared helpers for statement file parsers.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/parserUtils.js
+ *
+ * Responsibilities:
+ *
+ * - Decode uploaded file content (Buffer or string, BOM aware).
+ * - Tokenize delimited text (quoted fields, embedded newlines).
+ * - Parse provider amount and date notations without guessing silently.
+ * - Build line-level parse error payloads.
+ *
+ * Amounts and dates that cannot be read are reported, never coerced:
+ * Number('') is 0 and new Date('05/01/2026') is May 1st in V8, both of which
+ * would be wrong for a Ugandan bank export.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Delimited text tokenizer, shared with uploaded payout lists
+const { parseDelimited } = require('../../../../utils/csv');
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const CANDIDATE_DELIMITERS = Object.freeze([
+    ',',
+    ';',
+    '\t',
+    '|'
+]);
+
+const MONTHS = Object.freeze({
+    JAN: 0,
+    FEB: 1,
+    MAR: 2,
+    APR: 3,
+    MAY: 4,
+    JUN: 5,
+    JUL: 6,
+    AUG: 7,
+    SEP: 8,
+    OCT: 9,
+    NOV: 10,
+    DEC: 11
+});
+
+/**
+ * Date layouts understood by parseDate. Explicit profiles pick one; without a
+ * format the day-first layouts used by East African banks win over US order.
+ */
+const DATE_FORMATS = Object.freeze([
+    'YYYY-MM-DD',
+    'DD/MM/YYYY',
+    'MM/DD/YYYY',
+    'DD-MM-YYYY',
+    'DD.MM.YYYY',
+    'DD-MON-YYYY',
+    'YYMMDD'
+]);
+
+/**
+ * ============================================================================
+ * Content Decoding
+ * ============================================================================
+ *
+ * @param {Buffer|string} content
+ * @returns {string}
+ */
+function decodeContent(content) {
+
+    if (typeof content === 'string') {
+        return content.replace(/^\uFEFF/, '');
+    }
+
+    if (!Buffer.isBuffer(content)) {
+        return '';
+    }
+
+    if (
+        content.length >= 2 &&
+        content[0] === 0xFF &&
+        content[1] === 0xFE
+    ) {
+        return content.subarray(2).toString('utf16le');
+    }
+
+    return content
+        .toString('utf8')
+        .replace(/^\uFEFF/, '');
+}
+
+/**
+ * ============================================================================
+ * Header Normalization
+ * ============================================================================
+ *
+ * "Transaction ID", "transaction_id" and "TransactionId" compare equal.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeHeader(value) {
+
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * ============================================================================
+ * Delimiter Detection
+ * ============================================================================
+ *
+ * Picks the candidate that splits the first non-empty lines into the same,
+ * largest number of columns.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+
+    const sample =
+        text
+            .split(/\r?\n/)
+            .filter(line => line.trim())
+            .slice(0, 10);
+
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+
+        const counts =
+            sample.map(line => splitRecord(line, delimiter).length);
+
+        const widest = Math.max(0, ...counts);
+
+        if (widest < 2) {
+            continue;
+        }
+
+        const consistent =
+            counts.filter(count => count === widest).length;
+
+        const score = consistent * widest;
+
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+function splitRecord(line, delimiter) {
+
+    return parseDelimited(line, { delimiter })[0]?.cells || [];
+}
+
+/**
+ * ============================================================================
+ * Amount Parsing
+ * ============================================================================
+ *
+ * Accepts "1,250,000", "UGX 1,250,000.00", "(5,000.00)", "-5000", "5000-",
+ * "5.000,50" (decimalSeparator ',') and numbers from spreadsheets.
+ *
+ * @param {*} value
+ * @param {Object} options
+ * @param {string} options.decimalSeparator
+ * @returns {number|null} null when blank, NaN when unreadable
+ */
+function parseAmount(value, { decimalSeparator = '.' } = {}) {
+
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : NaN;
+    }
+
+    let text = String(value).trim();
+
+    if (!text || text === '-') {
+        return null;
+    }
+
+    let negative = false;
+
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+
+    // Currency codes and symbols around the figure
+    text = text
+        .replace(/^[A-Z]{3}\s*/, '')
+        .replace(/\s+[A-Z]{3}$/, '')
+        .replace(/\s*(CR|DR)$/i, match => {
+            if (/DR/i.test(match)) {
+                negative = !negative;
+            }
+            return '';
+        })
+        .replace(/\s/g, '');
+
+    if (text.endsWith('-')) {
+        negative = !negative;
+        text = text.slice(0, -1);
+    }
+
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    const thousands = decimalSeparator === ',' ? '.' : ',';
+
+    text = text.split(thousands).join('');
+
+    if (decimalSeparator === ',') {
+        text = text.replace(',', '.');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+        return NaN;
+    }
+
+    const amount = Number(text);
+
+    return negative ? -amount : amount;
+}
+
+/**
+ * ============================================================================
+ * Date Parsing
+ * ============================================================================
+ *
+ * Dates are read as UTC calendar dates, with an optional HH:mm[:ss] time.
+ *
+ * @param {*} value
+ * @param {string|null} format one of DATE_FORMATS, or null to detect
+ * @returns {Date|null} null when blank or unreadable
+ */
+function parseDate(value, format = null) {
+
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+
+    const text = String(value).trim();
+
+    if (!text) {
+        return null;
+    }
+
+    const formats = format ? [format] : DATE_FORMATS.filter(
+        candidate => candidate !== 'MM/DD/YYYY'
+    );
+
+    for (const candidate of formats) {
+
+        const parsed = parseDateWithFormat(text, candidate);
+
+        if (parsed) {
+            return parsed;
+        }
+    }
+
+    // ISO timestamps with offsets (2026-01-05T10:15:00+03:00)
+    if (!format && /^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        const iso = new Date(text);
+        return Number.isNaN(iso.getTime()) ? null : iso;
+    }
+
+    return null;
+}
+
+function parseDateWithFormat(text, format) {
+
+    const time = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+
+    const patterns = {
+        'YYYY-MM-DD': [`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${time}$`, ['y', 'm', 'd']],
+        'DD/MM/YYYY': [`^(\\d{1,2})/(\\d{1,2})/(\\d{4})${time}$`, ['d', 'm', 'y']],
+        'MM/DD/YYYY': [`^(\\d{1,2})/(\\d{1,2})/(\\d{4})${time}$`, ['m', 'd', 'y']],
+        'DD-MM-YYYY': [`^(\\d{1,2})-(\\d{1,2})-(\\d{4})${time}$`, ['d', 'm', 'y']],
+        'DD.MM.YYYY': [`^(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})${time}$`, ['d', 'm', 'y']],
+        'DD-MON-YYYY': [`^(\\d{1,2})[- ]([A-Za-z]{3})[- ](\\d{2,4})${time}$`, ['d', 'mon', 'y']],
+        YYMMDD: ['^(\\d{2})(\\d{2})(\\d{2})$', ['yy', 'm', 'd']]
+    };
+
+    const pattern = patterns[format];
+
+    if (!pattern) {
+        return null;
+    }
+
+    const match = new RegExp(pattern[0]).exec(text);
+
+    if (!match) {
+        return null;
+    }
+
+    const parts = {};
+
+    pattern[1].forEach((key, index) => {
+        parts[key] = match[index + 1];
+    });
+
+    let year = Number(parts.y);
+
+    if (parts.yy !== undefined) {
+        year = 2000 + Number(parts.yy);
+    } else if (parts.y && parts.y.length === 2) {
+        year += 2000;
+    }
+
+    const month = parts.mon !== undefined
+        ? MONTHS[parts.mon.toUpperCase()]
+        : Number(parts.m) - 1;
+
+    const day = Number(parts.d);
+
+    const offset = pattern[1].length;
+
+    const hours = Number(match[offset + 1] || 0);
+    const minutes = Number(match[offset + 2] || 0);
+    const seconds = Number(match[offset + 3] || 0);
+
+    return buildUtcDate(year, month, day, hours, minutes, seconds);
+}
+
+/**
+ * Rejects roll-over dates such as 31/02/2026.
+ */
+function buildUtcDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+
+    if (
+        month === undefined ||
+        month < 0 ||
+        month > 11 ||
+        hours > 23 ||
+        minutes > 59 ||
+        seconds > 59
+    ) {
+        return null;
+    }
+
+    const date =
+        new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+
+    if (
+        date.getUTCFullYear() !== year ||
+        date.getUTCMonth() !== month ||
+        date.getUTCDate() !== day
+    ) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * ============================================================================
+ * Fallback Transaction Identity
+ * ============================================================================
+ *
+ * Bank exports without a transaction id get a deterministic one, so importing
+ * the same file twice yields the same externalIds. `occurrence` separates
+ * identical lines (two equal transfers on the same day).
+ *
+ * @param {string} prefix
+ * @param {Array<*>} parts
+ * @param {number} occurrence
+ * @returns {string}
+ */
+function fallbackExternalId(prefix, parts, occurrence = 0) {
+
+    const digest =
+        crypto
+            .createHash('sha256')
+            .update([...parts, occurrence].map(part => (
+                part instanceof Date ? part.toISOString() : String(part ?? '')
+            )).join('|'), 'utf8')
+            .digest('hex')
+            .slice(0, 20);
+
+    return `${prefix}-${digest}`;
+}
+
+/**
+ * ============================================================================
+ * Parsed Transaction
+ * ============================================================================
+ *
+ * Shapes one statement line for StatementImporter. Lines with parse errors
+ * are kept (with whatever could be read) so StatementValidator reports them
+ * against their source line instead of the file failing as a whole.
+ *
+ * @param {Object} fields
+ * @param {Object} source
+ * @param {number} source.line
+ * @param {string} source.raw
+ * @param {string[]} errors
+ * @returns {Object}
+ */
+function buildTransaction(fields, { line, raw }, errors = []) {
+
+    const transaction = {
+        ...fields,
+        metadata: {
+            ...(fields.metadata || {}),
+            sourceLine: line,
+            rawLine: raw
+        }
+    };
+
+    if (errors.length) {
+        transaction.parseErrors =
+            errors.map(message => `Line ${line}: ${message}`);
+    }
+
+    return transaction;
+}
+
+function round2(value) {
+
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = {
+    DATE_FORMATS,
+    decodeContent,
+    normalizeHeader,
+    detectDelimiter,
+    parseDelimited,
+    parseAmount,
+    parseDate,
+    buildUtcDate,
+    fallbackExternalId,
+    buildTransaction,
+    round2
+};
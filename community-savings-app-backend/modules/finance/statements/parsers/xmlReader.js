@@ -0,0 +1,249 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * xmlReader.js
+ * ============================================================================
+ *
+ * Minimal XML reader for ISO 20022 statement files.
+ *
+ * File:
+ * backend/modules/finance/statements/parsers/xmlReader.js
+ *
+ * camt.053 only needs elements, attributes and text, so this avoids adding
+ * an XML dependency. Namespace prefixes are dropped (banks disagree on
+ * them), entities and CDATA are decoded, comments, processing instructions
+ * and DOCTYPE are skipped. DTDs and external entities are never resolved.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+/**
+ * ============================================================================
+ * Constants
+ * ============================================================================
+ */
+
+const NAMED_ENTITIES = Object.freeze({
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+});
+
+const ATTRIBUTE = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+/**
+ * ============================================================================
+ * Helpers
+ * ============================================================================
+ */
+
+function decodeEntities(text) {
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+
+        if (entity[0] === '#') {
+            const code =
+                entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function localName(name) {
+
+    const colon = name.indexOf(':');
+
+    return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * ============================================================================
+ * Parse
+ * ============================================================================
+ *
+ * @param {string} xml
+ * @returns {{ name: string, line: number, attributes: Object, children: Array, text: string }}
+ * @throws {Error} on malformed markup
+ */
+function parseXml(xml) {
+
+    const root = { name: '#document', line: 1, attributes: {}, children: [], text: '' };
+    const stack = [root];
+
+    let index = 0;
+    let line = 1;
+    let scanned = 0;
+
+    while (index < xml.length) {
+
+        const open = xml.indexOf('<', index);
+
+        const current = stack[stack.length - 1];
+
+        if (open === -1) {
+            current.text += decodeEntities(xml.slice(index));
+            break;
+        }
+
+        if (open > index) {
+            current.text += decodeEntities(xml.slice(index, open));
+        }
+
+        if (xml.startsWith('<!--', open)) {
+            index = skipTo(xml, '-->', open);
+            continue;
+        }
+
+        if (xml.startsWith('<![CDATA[', open)) {
+            const close = xml.indexOf(']]>', open);
+
+            if (close === -1) {
+                throw new Error('Unterminated CDATA section');
+            }
+
+            current.text += xml.slice(open + 9, close);
+            index = close + 3;
+            continue;
+        }
+
+        if (xml.startsWith('<?', open)) {
+            index = skipTo(xml, '?>', open);
+            continue;
+        }
+
+        if (xml.startsWith('<!', open)) {
+            index = skipTo(xml, '>', open);
+            continue;
+        }
+
+        const close = xml.indexOf('>', open);
+
+        if (close === -1) {
+            throw new Error('Unterminated tag');
+        }
+
+        const tag = xml.slice(open + 1, close);
+
+        index = close + 1;
+
+        if (tag.startsWith('/')) {
+
+            const name = localName(tag.slice(1).trim());
+
+            if (stack.length < 2 || current.name !== name) {
+                throw new Error(`Unexpected closing tag </${name}>`);
+            }
+
+            current.text = current.text.trim();
+            stack.pop();
+            continue;
+        }
+
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const nameEnd = body.search(/\s|$/);
+
+        for (let offset = scanned; offset < open; offset += 1) {
+            if (xml[offset] === '\n') {
+                line += 1;
+            }
+        }
+
+        scanned = open;
+
+        const element = {
+            name: localName(body.slice(0, nameEnd)),
+            line,
+            attributes: {},
+            children: [],
+            text: ''
+        };
+
+        for (const match of body.slice(nameEnd).matchAll(ATTRIBUTE)) {
+            element.attributes[localName(match[1])] =
+                decodeEntities(match[3] ?? match[4]);
+        }
+
+        current.children.push(element);
+
+        if (!selfClosing) {
+            stack.push(element);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    }
+
+    return root;
+}
+
+function skipTo(xml, terminator, from) {
+
+    const end = xml.indexOf(terminator, from);
+
+    if (end === -1) {
+        throw new Error(`Expected "${terminator}"`);
+    }
+
+    return end + terminator.length;
+}
+
+/**
+ * ============================================================================
+ * Navigation
+ * ============================================================================
+ */
+
+/**
+ * First descendant along a path of local names: child(stmt, 'Acct', 'Id').
+ */
+function child(node, ...path) {
+
+    let current = node;
+
+    for (const name of path) {
+
+        current = current?.children.find(element => element.name === name);
+
+        if (!current) {
+            return null;
+        }
+    }
+
+    return current;
+}
+
+function children(node, name) {
+
+    return node ? node.children.filter(element => element.name === name) : [];
+}
+
+function text(node, ...path) {
+
+    const element = path.length ? child(node, ...path) : node;
+
+    return element && element.text !== '' ? element.text : null;
+}
+
+/**
+ * ============================================================================
+ * Exports
+ * ============================================================================
+ */
+
+module.exports = {
+    parseXml,
+    child,
+    children,
+    text
+};
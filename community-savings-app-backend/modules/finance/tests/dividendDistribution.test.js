@@ -0,0 +1,321 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * dividendDistribution.test.js
+ * ============================================================================
+ *
+ * Dividend allocation methods, preview and approved payouts.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+jest.mock('../models/Account', () => ({ getByCode: jest.fn() }));
+jest.mock('../models/DividendDistribution', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../services/ledgerService', () => ({ postTransaction: jest.fn() }));
+jest.mock('../../../shared/models/AuditLog', () => ({ create: jest.fn() }));
+jest.mock('../../../models/Contribution', () => ({ find: jest.fn(), create: jest.fn() }));
+jest.mock('../../../models/Loan', () => ({ find: jest.fn() }));
+jest.mock('../../../models/LoanRepaymentSchedule', () => ({ find: jest.fn() }));
+jest.mock('../../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../services/walletService', () => ({ getWallet: jest.fn(), deposit: jest.fn() }));
+jest.mock('../../../services/mtn/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+jest.mock('../../../services/airtel/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+
+const allocation = require('../services/dividendAllocationService');
+const job = require('../jobs/dividendDistributionJob');
+const Account = require('../models/Account');
+const DividendDistribution = require('../models/DividendDistribution');
+const ledgerService = require('../services/ledgerService');
+const Contribution = require('../../../models/Contribution');
+const User = require('../../../models/User');
+const walletService = require('../../../services/walletService');
+const mtn = require('../../../services/mtn/disbursements');
+const airtel = require('../../../services/airtel/disbursements');
+
+const YEAR = {
+  periodStart: new Date(Date.UTC(2025, 0, 1)),
+  periodEnd: new Date(Date.UTC(2026, 0, 1))
+};
+
+const USER_A = '64b000000000000000000001';
+const USER_B = '64b000000000000000000002';
+const GROUP = '64b0000000000000000000aa';
+
+const chain = value => ({
+  select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(value) })
+});
+
+describe('dividendAllocationService', () => {
+
+  it('weights a year-long balance twelve times a December deposit under share-months', () => {
+    const saver = allocation.shareMonths({ openingBalance: 100000, movements: [], ...YEAR });
+    const lateDepositor = allocation.shareMonths({
+      openingBalance: 0,
+      movements: [{ date: new Date(Date.UTC(2025, 11, 24)), amount: 100000 }],
+      ...YEAR
+    });
+
+    expect(saver).toBe(1200000);
+    expect(lateDepositor).toBe(0);
+  });
+
+  it('averages the balance over the days it was held', () => {
+    const weight = allocation.averageDailyBalance({
+      openingBalance: 0,
+      movements: [{ date: new Date(Date.UTC(2025, 6, 2)), amount: 365000 }],
+      ...YEAR
+    });
+
+    // Held for 183 of 365 days
+    expect(weight).toBe(183000);
+  });
+
+  it('counts only the interest part of repayments made in the period', () => {
+    const paid = allocation.interestPaid(
+      [
+        {
+          interest: 1000,
+          payments: [
+            { amount: 600, paidAt: new Date(Date.UTC(2024, 11, 30)) },
+            { amount: 5000, paidAt: new Date(Date.UTC(2025, 0, 5)) }
+          ]
+        },
+        { interest: 800, paidAmount: 500, paidAt: new Date(Date.UTC(2025, 3, 1)) }
+      ],
+      YEAR
+    );
+
+    expect(paid).toBe(400 + 500);
+  });
+
+  it('allocates the whole profit, giving the rounding difference to the largest weight', () => {
+    const lines = allocation.allocate(
+      [{ userId: 'a', weight: 1 }, { userId: 'b', weight: 1 }, { userId: 'c', weight: 2 }],
+      100.01
+    );
+
+    expect(lines.map(l => l.amount)).toEqual([25, 25, 50.01]);
+  });
+});
+
+describe('dividendDistributionJob', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('preview', () => {
+
+    it('saves a per-member share-months breakdown without posting anything', async () => {
+      Contribution.find.mockReturnValue(chain([
+        { userId: USER_A, groupId: GROUP, amount: 120000, date: new Date(Date.UTC(2024, 5, 1)) },
+        { userId: USER_B, groupId: GROUP, amount: 120000, date: new Date(Date.UTC(2025, 6, 1)) }
+      ]));
+      DividendDistribution.create.mockImplementation(async doc => doc);
+
+      const distribution = await job.preview({
+        tenantId: 'tenant_1',
+        fiscalYear: 2025,
+        distributableProfit: 90000,
+        payoutOption: 'WALLET',
+        memberOptions: { [USER_B]: 'REINVEST' },
+        requestedBy: USER_A
+      });
+
+      expect(distribution).toMatchObject({
+        method: 'SHARE_MONTHS',
+        totalWeight: 1440000 + 720000
+      });
+      expect(distribution.lines).toEqual([
+        expect.objectContaining({ userId: USER_A, groupId: GROUP, amount: 60000, payoutOption: 'WALLET' }),
+        expect.objectContaining({ userId: USER_B, amount: 30000, payoutOption: 'REINVEST' })
+      ]);
+      expect(ledgerService.postTransaction).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown allocation method', async () => {
+      await expect(
+        job.preview({ tenantId: 'tenant_1', fiscalYear: 2025, distributableProfit: 1, method: 'LOTTERY' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('run', () => {
+
+    const distributionDoc = () => ({
+      _id: '64b0000000000000000000f1',
+      tenantId: 'tenant_1',
+      fiscalYear: 2025,
+      method: 'SHARE_MONTHS',
+      distributableProfit: 90000,
+      currency: 'UGX',
+      lines: [
+        { userId: USER_A, groupId: GROUP, amount: 60000, payoutOption: 'WALLET', status: 'PENDING' },
+        { userId: USER_B, groupId: GROUP, amount: 30000, payoutOption: 'REINVEST', status: 'PENDING' }
+      ],
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    beforeEach(() => {
+      Account.getByCode.mockImplementation(async (tenantId, code) => ({ _id: `acct-${code}` }));
+      ledgerService.postTransaction.mockResolvedValue({ success: true });
+    });
+
+    it('refuses to post a distribution that is not awaiting approval', async () => {
+      DividendDistribution.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(
+        job.run({ tenantId: 'tenant_1', distributionId: '64b0000000000000000000f1', approvedBy: USER_A })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_DIVIDEND_STATE' });
+      expect(ledgerService.postTransaction).not.toHaveBeenCalled();
+    });
+
+    it('declares each dividend and pays it out to the wallet or reinvests it as shares', async () => {
+      const distribution = distributionDoc();
+      DividendDistribution.findOneAndUpdate.mockResolvedValue(distribution);
+      walletService.getWallet.mockResolvedValue({ _id: 'wallet_a' });
+
+      const result = await job.run({
+        tenantId: 'tenant_1',
+        distributionId: distribution._id,
+        approvedBy: USER_A
+      });
+
+      expect(result).toMatchObject({ success: true, status: 'POSTED', totalDistributed: 90000 });
+      expect(walletService.deposit).toHaveBeenCalledWith(
+        expect.objectContaining({ walletId: 'wallet_a', amount: 60000, channel: 'DIVIDEND' })
+      );
+      expect(Contribution.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: USER_B,
+          groupId: GROUP,
+          amount: 30000,
+          metadata: expect.objectContaining({ source: 'DIVIDEND_REINVESTMENT' })
+        })
+      );
+      expect(ledgerService.postTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ creditAccountId: 'acct-SHARE_CAPITAL', amount: 30000 })
+      );
+      expect(distribution.lines.every(line => line.status === 'PAID' && line.settled)).toBe(true);
+    });
+
+    it('leaves members without a wallet payable for manual settlement', async () => {
+      const distribution = distributionDoc();
+      distribution.lines = [distribution.lines[0]];
+      DividendDistribution.findOneAndUpdate.mockResolvedValue(distribution);
+      walletService.getWallet.mockResolvedValue(null);
+
+      await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+      expect(distribution.lines[0]).toMatchObject({ status: 'PENDING_MANUAL', declared: true });
+      expect(distribution.status).toBe('PARTIALLY_POSTED');
+      expect(ledgerService.postTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('takes over a distribution left in POSTING by a run that died', async () => {
+      DividendDistribution.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(
+        job.run({ tenantId: 'tenant_1', distributionId: '64b0000000000000000000f1', approvedBy: USER_A })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      const [filter, update] = DividendDistribution.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or).toEqual(expect.arrayContaining([
+        { status: 'POSTING', postingStartedAt: { $lt: expect.any(Date) } }
+      ]));
+      expect(update.$set).toMatchObject({ status: 'POSTING', postingStartedAt: expect.any(Date) });
+    });
+
+    it('keeps a paid line PAID when its settlement posting fails, and only posts it on the next run', async () => {
+      const distribution = distributionDoc();
+      distribution.lines = [distribution.lines[0]];
+      DividendDistribution.findOneAndUpdate.mockResolvedValue(distribution);
+      walletService.getWallet.mockResolvedValue({ _id: 'wallet_a' });
+      ledgerService.postTransaction
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('ledger down'));
+
+      const first = await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+      expect(first.status).toBe('PARTIALLY_POSTED');
+      expect(distribution.lines[0].status).toBe('PAID');
+      expect(distribution.lines[0].settled).toBeFalsy();
+      expect(distribution.lines[0].error).toMatch(/ledger down/);
+
+      await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+      expect(walletService.deposit).toHaveBeenCalledTimes(1);
+      expect(ledgerService.postTransaction).toHaveBeenCalledTimes(3);
+      expect(distribution.lines[0]).toMatchObject({ status: 'PAID', settled: true });
+      expect(distribution.status).toBe('POSTED');
+    });
+
+    describe('mobile money payouts', () => {
+
+      const mobileMoneyDistribution = () => {
+        const distribution = distributionDoc();
+        distribution.lines = [
+          { userId: USER_A, groupId: GROUP, amount: 60000, payoutOption: 'MOBILE_MONEY', status: 'PENDING' }
+        ];
+        return distribution;
+      };
+
+      it('pays Airtel numbers through Airtel and waits for confirmation before marking them paid', async () => {
+        const distribution = mobileMoneyDistribution();
+        DividendDistribution.findOneAndUpdate.mockResolvedValue(distribution);
+        User.findById.mockReturnValue(chain({ phone: '0701234567' }));
+        airtel.disburse.mockResolvedValue({ reference: 'AIR-1', status: 'PENDING' });
+
+        const result = await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+        expect(mtn.disburse).not.toHaveBeenCalled();
+        expect(airtel.disburse).toHaveBeenCalledWith(expect.objectContaining({
+          phoneNumber: '701234567',
+          reference: `DIVIDEND-2025-${distribution._id}-${USER_A}-PAY`
+        }));
+        expect(distribution.lines[0]).toMatchObject({ status: 'PROCESSING', provider: 'airtel' });
+        expect(distribution.lines[0].settled).toBeFalsy();
+        expect(result.status).toBe('PARTIALLY_POSTED');
+        // Declaration only; the payable is settled once Airtel confirms
+        expect(ledgerService.postTransaction).toHaveBeenCalledTimes(1);
+
+        airtel.getStatus.mockResolvedValue({ status: 'TS' });
+        await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+        expect(airtel.disburse).toHaveBeenCalledTimes(1);
+        expect(distribution.lines[0]).toMatchObject({ status: 'PAID', settled: true });
+        expect(distribution.status).toBe('POSTED');
+      });
+
+      it('saves the payout key before sending and resends with it when MTN never received the transfer', async () => {
+        const distribution = mobileMoneyDistribution();
+        DividendDistribution.findOneAndUpdate.mockResolvedValue(distribution);
+        User.findById.mockReturnValue(chain({ phone: '256771234567' }));
+        mtn.disburse.mockImplementationOnce(async () => {
+          expect(distribution.save).toHaveBeenCalled();
+          expect(distribution.lines[0].status).toBe('PROCESSING');
+          throw new Error('socket hang up');
+        });
+
+        await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+        const { payoutId } = distribution.lines[0];
+        expect(distribution.lines[0]).toMatchObject({ status: 'PROCESSING', provider: 'mtn' });
+        expect(payoutId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+        mtn.getStatus.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+        mtn.disburse.mockResolvedValue({ reference: payoutId, status: 'SUCCESSFUL' });
+        await job.run({ tenantId: 'tenant_1', distributionId: distribution._id, approvedBy: USER_A });
+
+        expect(mtn.disburse).toHaveBeenLastCalledWith(expect.objectContaining({ referenceId: payoutId }));
+        expect(distribution.lines[0]).toMatchObject({ status: 'PAID', settled: true, payoutAttempts: 1 });
+      });
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * multiCurrency.test.js
+ * ============================================================================
+ *
+ * Rate lookup, conversion at posting, dual-currency trial balance and
+ * period-end unrealized FX revaluation.
+ *
+ * ============================================================================
+ */
+
+'use strict';
+
+jest.mock('../models/Account', () => ({ find: jest.fn(), findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../models/Journal', () => ({ create: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/JournalEntry', () => ({ find: jest.fn(), findOne: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ create: jest.fn() }));
+jest.mock('../models/ExchangeRate', () => ({ findEffective: jest.fn(), create: jest.fn(), find: jest.fn() }));
+jest.mock('../utils/idempotency', () => ({ checkDuplicate: jest.fn() }));
+
+const fxService = require('../services/fxService');
+const ledgerService = require('../services/ledgerService');
+const trialBalanceService = require('../services/trialBalanceService');
+const fxRevaluationService = require('../services/fxRevaluationService');
+const PeriodCloseService = require('../period/periodCloseService');
+const Account = require('../models/Account');
+const Journal = require('../models/Journal');
+const JournalEntry = require('../models/JournalEntry');
+const ExchangeRate = require('../models/ExchangeRate');
+
+const TENANT_ID = '64b0000000000000000000f1';
+const USD_CASH = { _id: '64b0000000000000000000a1', code: '1010', name: 'USD bank', type: 'ASSET', currency: 'USD' };
+const UGX_SAVINGS = { _id: '64b0000000000000000000a2', code: '2010', name: 'Member savings', type: 'LIABILITY', currency: 'UGX' };
+const FX_GAIN = { _id: '64b0000000000000000000a3', code: 'FX-UNREALIZED-GAIN', type: 'REVENUE', currency: 'UGX' };
+
+const lean = (value) => {
+  const query = { sort: () => query, select: () => query, limit: () => query, lean: () => Promise.resolve(value) };
+  return query;
+};
+
+// Rate table: USD 3,700 from 1 June, 3,800 from 1 July
+const RATES = [
+  { currency: 'USD', reportingCurrency: 'UGX', rate: 3700, effectiveFrom: new Date('2026-06-01') },
+  { currency: 'USD', reportingCurrency: 'UGX', rate: 3800, effectiveFrom: new Date('2026-07-01') }
+];
+
+const effectiveRate = (tenantId, currency, reportingCurrency, asOf) =>
+  lean(
+    RATES
+      .filter((r) => r.currency === currency && r.reportingCurrency === reportingCurrency && r.effectiveFrom <= asOf)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0] || null
+  );
+
+describe('Multi-currency ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ExchangeRate.findEffective.mockImplementation(effectiveRate);
+    Journal.create.mockImplementation(async (doc) => ({ _id: '64b0000000000000000000j1', ...doc }));
+  });
+
+  describe('fxService', () => {
+    it('uses the rate effective on the date asked for', async () => {
+      const june = await fxService.getRate({ tenantId: TENANT_ID, currency: 'usd', asOf: '2026-06-30' });
+      const july = await fxService.getRate({ tenantId: TENANT_ID, currency: 'USD', asOf: '2026-07-15' });
+
+      expect(june).toMatchObject({ currency: 'USD', reportingCurrency: 'UGX', rate: 3700, inverse: false });
+      expect(july.rate).toBe(3800);
+    });
+
+    it('inverts the opposite quote when only that one is maintained', async () => {
+      const rate = await fxService.getRate({ tenantId: TENANT_ID, currency: 'UGX', reportingCurrency: 'USD', asOf: '2026-07-15' });
+
+      expect(rate).toMatchObject({ rate: 0.00026316, inverse: true });
+    });
+
+    it('refuses to convert without an effective rate', async () => {
+      await expect(
+        fxService.convert({ tenantId: TENANT_ID, amount: 100, currency: 'KES', asOf: '2026-07-15' })
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_FX_RATE_NOT_FOUND' });
+    });
+  });
+
+  describe('conversion at posting', () => {
+    beforeEach(() => {
+      Account.find.mockReturnValue(lean([USD_CASH, UGX_SAVINGS]));
+    });
+
+    it('stores each entry in its account currency and in the reporting currency', async () => {
+      await ledgerService.createJournal({
+        tenantId: TENANT_ID,
+        transactionId: '64b0000000000000000000t1',
+        reference: 'DIASPORA-1',
+        accountingDate: new Date('2026-06-15'),
+        entries: [
+          { accountId: USD_CASH._id, amount: 100, direction: 'DEBIT', entryType: 'SAVINGS_DEPOSIT' },
+          { accountId: UGX_SAVINGS._id, amount: 370000, direction: 'CREDIT', entryType: 'SAVINGS_DEPOSIT' }
+        ]
+      });
+
+      const [usd, ugx] = JournalEntry.insertMany.mock.calls[0][0];
+      expect(usd).toMatchObject({ currency: 'USD', amount: 100, exchangeRate: 3700, reportingAmount: 370000, reportingCurrency: 'UGX' });
+      expect(ugx).toMatchObject({ currency: 'UGX', amount: 370000, exchangeRate: 1, reportingAmount: 370000 });
+      expect(usd.journalId).toBe('64b0000000000000000000j1');
+      expect(Journal.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 370000, currency: 'UGX' }));
+    });
+
+    it('rejects a mixed-currency journal that does not balance once converted', async () => {
+      await expect(
+        ledgerService.createJournal({
+          tenantId: TENANT_ID,
+          transactionId: '64b0000000000000000000t1',
+          accountingDate: new Date('2026-07-15'),
+          entries: [
+            { accountId: USD_CASH._id, amount: 100, direction: 'DEBIT', entryType: 'SAVINGS_DEPOSIT' },
+            { accountId: UGX_SAVINGS._id, amount: 370000, direction: 'CREDIT', entryType: 'SAVINGS_DEPOSIT' }
+          ]
+        })
+      ).rejects.toThrow('Journal imbalance in UGX');
+      expect(JournalEntry.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('rejects an entry in a currency other than its account', async () => {
+      await expect(
+        ledgerService.createJournal({
+          tenantId: TENANT_ID,
+          transactionId: '64b0000000000000000000t1',
+          entries: [
+            { accountId: USD_CASH._id, amount: 100, currency: 'KES', direction: 'DEBIT', entryType: 'ADJUSTMENT' },
+            { accountId: UGX_SAVINGS._id, amount: 100, currency: 'KES', direction: 'CREDIT', entryType: 'ADJUSTMENT' }
+          ]
+        })
+      ).rejects.toThrow('does not match account currency USD');
+    });
+  });
+
+  describe('trial balance', () => {
+    it('reports each account in the reporting currency and its own currency', async () => {
+      Account.find.mockReturnValue(lean([USD_CASH, UGX_SAVINGS]));
+      JournalEntry.find.mockImplementation(async ({ accountId }) =>
+        accountId === USD_CASH._id
+          ? [{ direction: 'DEBIT', amount: 100, reportingAmount: 370000 }]
+          : [{ direction: 'CREDIT', amount: 370000, reportingAmount: null, exchangeRate: 1 }]
+      );
+
+      const report = await trialBalanceService.generateTrialBalance({ tenantId: TENANT_ID });
+
+      expect(report).toMatchObject({ reportingCurrency: 'UGX', totalDebits: 370000, totalCredits: 370000, balanced: true });
+      expect(report.accounts[0]).toMatchObject({
+        currency: 'USD',
+        debit: 370000,
+        transaction: { currency: 'USD', debit: 100, credit: 0, balance: 100 }
+      });
+      expect(report.transactionTotals).toEqual({ USD: { debit: 100, credit: 0 }, UGX: { debit: 0, credit: 370000 } });
+    });
+  });
+
+  describe('period-end revaluation', () => {
+    beforeEach(() => {
+      JournalEntry.findOne.mockReturnValue(lean(null));
+      jest.spyOn(trialBalanceService, 'calculateAccountBalance').mockResolvedValue({
+        debits: 100,
+        credits: 0,
+        reportingDebits: 370000,
+        reportingCredits: 0
+      });
+      jest.spyOn(ledgerService, 'postJournal').mockResolvedValue({});
+    });
+
+    it('posts the unrealized gain on a USD balance at the closing rate', async () => {
+      Account.find
+        .mockReturnValueOnce(lean([USD_CASH]))
+        .mockReturnValueOnce(lean([USD_CASH, FX_GAIN]));
+      Account.findOne.mockReturnValue(lean(FX_GAIN));
+
+      const result = await fxRevaluationService.postRevaluation({
+        tenantId: TENANT_ID,
+        periodId: '2026-07',
+        asOf: new Date('2026-07-31')
+      });
+
+      expect(result).toMatchObject({ posted: true, unrealizedGain: 10000, unrealizedLoss: 0, reference: 'FXREV-2026-07' });
+      expect(result.lines[0]).toMatchObject({ balance: 100, carryingAmount: 370000, closingRate: 3800, revaluedAmount: 380000, difference: 10000 });
+
+      const [usd, gain] = JournalEntry.insertMany.mock.calls[0][0];
+      expect(usd).toMatchObject({ accountId: USD_CASH._id, direction: 'DEBIT', amount: 0, reportingAmount: 10000, entryType: 'FX_REVALUATION' });
+      expect(gain).toMatchObject({ accountId: FX_GAIN._id, direction: 'CREDIT', amount: 10000, reportingAmount: 10000 });
+      expect(usd.transactionId).toBeUndefined();
+      expect(usd.accountingDate).toEqual(new Date('2026-07-31'));
+      expect(ledgerService.postJournal).toHaveBeenCalled();
+    });
+
+    it('does not post the same period twice', async () => {
+      JournalEntry.findOne.mockReturnValue(lean({ journalId: '64b0000000000000000000j1' }));
+      Journal.findById.mockReturnValue(lean({ journalId: 'JRN-1' }));
+
+      const result = await fxRevaluationService.postRevaluation({ tenantId: TENANT_ID, periodId: '2026-07', asOf: new Date('2026-07-31') });
+
+      expect(result).toMatchObject({ posted: false, alreadyPosted: true, journalId: 'JRN-1' });
+      expect(JournalEntry.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PeriodCloseService', () => {
+    const period = { id: '2026-07', tenantId: TENANT_ID, status: 'OPEN', endDate: new Date('2026-07-31') };
+
+    const createService = (fxRevaluation) => {
+      const repository = {
+        findById: jest.fn().mockResolvedValue({ ...period }),
+        update: jest.fn(),
+        findOneAndUpdate: jest.fn(async (filter, payload) => ({ ...period, ...payload }))
+      };
+      const snapshotEngine = { create: jest.fn().mockResolvedValue({ id: 'snap-1' }) };
+      const service = new PeriodCloseService({
+        repository,
+        snapshotEngine,
+        fxRevaluation,
+        logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+      });
+      return { service, repository, snapshotEngine };
+    };
+
+    it('revalues before the close snapshot and records the journal', async () => {
+      const order = [];
+      const fxRevaluation = {
+        revalue: jest.fn(async () => {
+          order.push('revalue');
+          return { journalId: 'JRN-FX' };
+        })
+      };
+      const { service, snapshotEngine } = createService(fxRevaluation);
+      snapshotEngine.create.mockImplementation(async () => {
+        order.push('snapshot');
+        return { id: 'snap-1' };
+      });
+
+      const closed = await service.close({ periodId: '2026-07', tenantId: TENANT_ID, context: { actorId: 'user-1' } });
+
+      expect(order).toEqual(['revalue', 'snapshot']);
+      expect(fxRevaluation.revalue).toHaveBeenCalledWith({
+        periodId: '2026-07',
+        tenantId: TENANT_ID,
+        asOf: period.endDate,
+        createdBy: 'user-1'
+      });
+      expect(closed).toMatchObject({ status: 'CLOSED', fxRevaluationJournalId: 'JRN-FX' });
+    });
+
+    it('leaves the period open when revaluation fails', async () => {
+      const { service, snapshotEngine, repository } = createService({
+        revalue: jest.fn().mockRejectedValue(new Error('No USD/UGX exchange rate effective on 2026-07-31'))
+      });
+
+      await expect(service.close({ periodId: '2026-07', tenantId: TENANT_ID })).rejects.toThrow('No USD/UGX exchange rate');
+      expect(snapshotEngine.create).not.toHaveBeenCalled();
+      expect(repository.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,329 @@
+const StatementParserRegistry = require('../statements/parsers/StatementParserRegistry');
+const StatementImporter = require('../statements/StatementImporter');
+const StatementNormalizer = require('../statements/StatementNormalizer');
+const StatementValidator = require('../statements/StatementValidator');
+const { parseAmount, parseDate } = require('../statements/parsers/parserUtils');
+
+const context = {
+  tenantId: 'tenant-1',
+  userId: 'user-1',
+  correlationId: 'corr-1',
+  requestId: 'req-1',
+};
+
+const MTN_CSV = [
+  'Financial Transaction Id,External Transaction Id,Date,Status,Type,Provider Category,Payer Note,Currency,Fee,Amount,Balance,From Name,To Name',
+  '1001,EXT-1,2026-01-05 10:15:00,SUCCESSFUL,PAYMENT,Merchant,Savings Jan,UGX,0,"50,000",150000,Jane N,SACCO',
+  '1002,EXT-2,2026-01-06 09:00:00,SUCCESSFUL,DISBURSEMENT,Merchant,Loan payout,UGX,500,-20000,129500,SACCO,John K',
+  '1003,EXT-3,2026-01-06 11:00:00,FAILED,PAYMENT,Merchant,,UGX,0,10000,129500,Amos,SACCO',
+  '1004,EXT-4,2026-13-40 08:00:00,SUCCESSFUL,PAYMENT,Merchant,,UGX,0,abc,129500,Ruth,SACCO',
+].join('\n');
+
+const AIRTEL_CSV = [
+  'Airtel Money Merchant Statement',
+  'Period: 01/01/2026 - 31/01/2026',
+  '',
+  'Txn ID;Transaction Date;Service Type;Sender MSISDN;Receiver MSISDN;Debit;Credit;Post Balance;Transaction Status',
+  'AT1;03/01/2026;Merchant Payment;256700000001;256750000000;;25,000.00;25,000.00;TS',
+  'AT2;04/01/2026;Cash Out;256750000000;256700000002;5,000.00;;20,000.00;TS',
+  'Total;;;;;5,000.00;25,000.00;;',
+].join('\n');
+
+const BANK_CSV = [
+  'Tran Date,Value Date,Narration,Withdrawals,Deposits,Balance',
+  '02/02/2026,02/02/2026,GROUP DEPOSIT,,"1,000,000.00","1,000,000.00"',
+  '03/02/2026,03/02/2026,BANK CHARGES,"2,500.00",,"997,500.00"',
+  '03/02/2026,03/02/2026,BANK CHARGES,"2,500.00",,"995,000.00"',
+].join('\n');
+
+const MT940 = [
+  '{1:F01STANUGKAXXXX0000000000}{2:O9401200260131STANUGKAXXXX00000000002601311200N}{4:',
+  ':20:STMT2601',
+  ':25:9030001234567',
+  ':28C:1/1',
+  ':60F:C260101UGX1000000,00',
+  ':61:2601050105C250000,00NTRFSAV-0001//BR26010500012',
+  ':86:?20Member savings?32NAMUTEBI JANE',
+  ':61:2601070107D100000,00NCHGNONREF//BR26010700034',
+  'CHARGES JAN',
+  ':86:Account maintenance',
+  ':61:26010X0107D5000,00NCHGNONREF',
+  ':62F:C260131UGX1150000,00',
+  '-}',
+].join('\n');
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>MSG-2601</MsgId></GrpHdr>
+    <Stmt>
+      <Id>STMT-2601</Id>
+      <FrToDt><FrDtTm>2026-01-01T00:00:00</FrDtTm><ToDtTm>2026-01-31T23:59:59</ToDtTm></FrToDt>
+      <Acct><Id><Othr><Id>0100200300</Id></Othr></Id><Ccy>UGX</Ccy></Acct>
+      <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="UGX">500000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-01-01</Dt></Dt></Bal>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="UGX">575000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-01-31</Dt></Dt></Bal>
+      <Ntry>
+        <Amt Ccy="UGX">100000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><Dt>2026-01-10</Dt></BookgDt><ValDt><Dt>2026-01-10</Dt></ValDt>
+        <AcctSvcrRef>BNK-001</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>E2E-1</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Okello &amp; Sons</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>Group savings</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="UGX">25000.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><Dt>2026-01-12</Dt></BookgDt>
+        <AcctSvcrRef>BNK-002</AcctSvcrRef>
+        <AddtlNtryInf><![CDATA[Transfer fee <wire>]]></AddtlNtryInf>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="UGX">7000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts><Cd>PDNG</Cd></Sts>
+        <BookgDt><Dt>2026-01-31</Dt></BookgDt>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="UGX">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+        <AcctSvcrRef>BNK-003</AcctSvcrRef>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('statement file parsers', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StatementParserRegistry();
+  });
+
+  describe('parserUtils', () => {
+    it('reads provider amount notations and rejects unreadable ones', () => {
+      expect(parseAmount('UGX 1,250,000.00')).toBe(1250000);
+      expect(parseAmount('(5,000.00)')).toBe(-5000);
+      expect(parseAmount('5000-')).toBe(-5000);
+      expect(parseAmount('5.000,50', { decimalSeparator: ',' })).toBe(5000.5);
+      expect(parseAmount('')).toBeNull();
+      expect(parseAmount('12abc')).toBeNaN();
+    });
+
+    it('reads dates day-first and rejects impossible ones', () => {
+      expect(parseDate('05/01/2026').toISOString()).toBe('2026-01-05T00:00:00.000Z');
+      expect(parseDate('05-Jan-2026').toISOString()).toBe('2026-01-05T00:00:00.000Z');
+      expect(parseDate('01/05/2026', 'MM/DD/YYYY').toISOString()).toBe('2026-01-05T00:00:00.000Z');
+      expect(parseDate('31/02/2026')).toBeNull();
+    });
+  });
+
+  describe('format detection', () => {
+    it.each([
+      ['mtn.csv', MTN_CSV, 'CSV'],
+      ['statement.sta', MT940, 'MT940'],
+      ['statement.xml', CAMT053, 'CAMT053'],
+    ])('detects %s', (fileName, content, format) => {
+      expect(registry.detect({ content, fileName }).format).toBe(format);
+    });
+
+    it('detects XLSX workbooks by their ZIP container', () => {
+      const content = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]), Buffer.alloc(64)]);
+
+      expect(registry.detect({ content, fileName: 'airtel.xlsx' }).format).toBe('XLSX');
+    });
+
+    it('rejects content no parser recognises', async () => {
+      await expect(registry.parse({ content: 'hello world', fileName: 'notes.txt' }))
+        .rejects.toMatchObject({
+          name: 'InvalidStatementFormatError',
+          details: expect.objectContaining({ reason: 'UNSUPPORTED_STATEMENT_FORMAT' }),
+        });
+    });
+  });
+
+  describe('CSV profiles', () => {
+    it('parses an MTN MoMo export, skipping failed attempts and keeping bad lines', async () => {
+      const statement = await registry.parse({ content: Buffer.from(MTN_CSV), fileName: 'mtn.csv' });
+
+      expect(statement).toMatchObject({ format: 'CSV', profile: 'MTN_MOMO', source: 'MTN_MOMO', currency: 'UGX' });
+      expect(statement.transactions).toHaveLength(3);
+
+      const [payment, payout, bad] = statement.transactions;
+
+      expect(payment).toMatchObject({
+        externalId: '1001',
+        amount: 50000,
+        type: 'CREDIT',
+        reference: 'EXT-1',
+        description: 'Savings Jan',
+      });
+      expect(payment.transactionDate.toISOString()).toBe('2026-01-05T10:15:00.000Z');
+      expect(payout).toMatchObject({ externalId: '1002', amount: 20000, type: 'DEBIT' });
+      expect(payout.metadata).toMatchObject({ fee: 500, counterparty: 'SACCO', sourceLine: 3 });
+
+      expect(bad.parseErrors).toEqual([
+        'Line 5: unreadable transaction date "2026-13-40 08:00:00"',
+        'Line 5: unreadable amount "abc"',
+      ]);
+      expect(statement.metadata.parser).toMatchObject({ skippedLines: 1, errorLines: 1, headerLine: 1 });
+    });
+
+    it('finds the Airtel header below a preamble and reads split debit/credit columns', async () => {
+      const statement = await registry.parse({ content: AIRTEL_CSV, fileName: 'airtel.csv' });
+
+      expect(statement.profile).toBe('AIRTEL_MONEY');
+      expect(statement.transactions.map(tx => [tx.externalId, tx.type, tx.amount])).toEqual([
+        ['AT1', 'CREDIT', 25000],
+        ['AT2', 'DEBIT', 5000],
+      ]);
+      expect(statement.periodStart.toISOString()).toBe('2026-01-03T00:00:00.000Z');
+      expect(statement.metadata.parser).toMatchObject({ headerLine: 4, ignoredLines: 1 });
+    });
+
+    it('gives id-less bank lines stable, distinct identifiers', async () => {
+      const first = await registry.parse({ content: BANK_CSV, fileName: 'bank.csv' }, { currency: 'UGX' });
+      const again = await registry.parse({ content: BANK_CSV, fileName: 'bank.csv' }, { currency: 'UGX' });
+
+      const ids = first.transactions.map(tx => tx.externalId);
+
+      expect(first.profile).toBe('GENERIC_BANK');
+      expect(new Set(ids).size).toBe(3);
+      expect(again.transactions.map(tx => tx.externalId)).toEqual(ids);
+      expect(first.transactions[1]).toMatchObject({ type: 'DEBIT', amount: 2500, currency: 'UGX' });
+    });
+
+    it('uses registered bank profiles', async () => {
+      registry.registerProfile({
+        name: 'centenary_ug',
+        source: 'BANK',
+        currency: 'UGX',
+        dateFormat: 'DD.MM.YYYY',
+        decimalSeparator: ',',
+        columns: {
+          externalId: ['Beleg'],
+          transactionDate: ['Buchung'],
+          amount: ['Betrag'],
+          description: ['Text'],
+        },
+        signature: ['Beleg', 'Buchung'],
+      });
+
+      const statement = await registry.parse({
+        content: 'Beleg;Buchung;Text;Betrag\nB-1;05.01.2026;Contribution;1.500,50\n',
+        fileName: 'centenary.csv',
+      });
+
+      expect(statement.profile).toBe('CENTENARY_UG');
+      expect(statement.transactions[0]).toMatchObject({ externalId: 'B-1', amount: 1500.5, type: 'CREDIT' });
+    });
+
+    it('rejects malformed profiles', () => {
+      expect(() => registry.registerProfile({ name: 'X', columns: { amount: ['Amount'] } }))
+        .toThrow(/transactionDate column is required/);
+    });
+  });
+
+  describe('MT940', () => {
+    it('reads statement lines, :86: details and balances', async () => {
+      const statement = await registry.parse({ content: MT940, fileName: 'stanbic.sta' });
+
+      expect(statement).toMatchObject({
+        format: 'MT940',
+        source: 'BANK',
+        reference: 'STMT2601',
+        accountNumber: '9030001234567',
+        currency: 'UGX',
+      });
+      expect(statement.periodEnd.toISOString()).toBe('2026-01-31T00:00:00.000Z');
+
+      const [credit, charge, bad] = statement.transactions;
+
+      expect(credit).toMatchObject({
+        externalId: 'BR26010500012',
+        amount: 250000,
+        type: 'CREDIT',
+        reference: 'SAV-0001',
+        description: 'Member savings NAMUTEBI JANE',
+      });
+      expect(charge).toMatchObject({ type: 'DEBIT', amount: 100000, reference: null });
+      expect(charge.metadata).toMatchObject({ supplementaryDetails: 'CHARGES JAN', sourceLine: 8 });
+      expect(bad.parseErrors[0]).toMatch(/^Line 11: unreadable :61: statement line/);
+
+      expect(statement.metadata.parser.openingBalance.amount).toBe(1000000);
+      expect(statement.metadata.parser.balanceDifferences).toEqual([]);
+    });
+  });
+
+  describe('camt.053', () => {
+    it('reads booked entries with references, parties and balances', async () => {
+      const statement = await registry.parse({ content: CAMT053, fileName: 'stmt.xml' });
+
+      expect(statement).toMatchObject({
+        format: 'CAMT053',
+        reference: 'STMT-2601',
+        accountNumber: '0100200300',
+        currency: 'UGX',
+      });
+      expect(statement.transactions).toHaveLength(3);
+
+      const [credit, debit, bad] = statement.transactions;
+
+      expect(credit).toMatchObject({
+        externalId: 'BNK-001',
+        amount: 100000,
+        type: 'CREDIT',
+        reference: 'E2E-1',
+        description: 'Group savings',
+      });
+      expect(credit.metadata.counterparty).toBe('Okello & Sons');
+      expect(debit).toMatchObject({ type: 'DEBIT', description: 'Transfer fee <wire>' });
+      expect(bad.parseErrors).toEqual([expect.stringMatching(/BookgDt and ValDt missing/)]);
+      expect(statement.metadata.parser).toMatchObject({
+        messageId: 'MSG-2601',
+        skippedLines: 1,
+        closingBalance: expect.objectContaining({ amount: 575000 }),
+      });
+    });
+
+    it('reports malformed XML as an invalid format', async () => {
+      await expect(registry.parse({ content: '<Document><BkToCstmrStmt></Document>', fileName: 'x.xml' }, { format: 'CAMT053' }))
+        .rejects.toMatchObject({ details: expect.objectContaining({ reason: 'MALFORMED_XML' }) });
+    });
+  });
+
+  describe('import pipeline', () => {
+    it('imports a file and routes line errors to the validator', async () => {
+      const importer = new StatementImporter({ parsers: registry });
+
+      const imported = await importer.importStatement(
+        { file: { content: MTN_CSV, fileName: 'mtn-jan.csv' } },
+        context
+      );
+
+      expect(imported).toMatchObject({ source: 'MTN_MOMO', reference: 'mtn-jan.csv', transactionCount: 3 });
+
+      const normalized = new StatementNormalizer().normalize(imported);
+
+      expect(normalized.transactions[2]).toMatchObject({ amount: null, transactionDate: null });
+
+      const error = await new StatementValidator().validate(normalized).catch(err => err);
+
+      expect(error.name).toBe('StatementValidationError');
+
+      const lineError = error.details.validationErrors.find(entry => entry.code === 'INVALID_TRANSACTION');
+
+      expect(lineError).toMatchObject({
+        transactionIndex: 2,
+        externalId: '1004',
+        sourceLine: 5,
+        errors: expect.arrayContaining(['Line 5: unreadable amount "abc"']),
+      });
+    });
+
+    it('passes clean files through the validator', async () => {
+      const importer = new StatementImporter({ parsers: registry });
+
+      const imported = await importer.importFile({ content: CAMT053.replace(/<Ntry>\s*<Amt Ccy="UGX">1000\.00[\s\S]*?<\/Ntry>/, '') }, context);
+
+      await expect(new StatementValidator().validate(imported)).resolves.toBeDefined();
+    });
+  });
+});
@@ -42,7 +42,7 @@
 
 const crypto = require('crypto');
 
-const redis = require('./redis');
+const { client: redis } = require('../../../services/redis');
 
 /**
  * ============================================================================
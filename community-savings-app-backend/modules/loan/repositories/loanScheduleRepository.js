@@ -0,0 +1,470 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * LOAN SCHEDULE REPOSITORY
+ * ============================================================================
+ * TITech Community Capital LTD
+ * SACCO Core Banking Platform
+ *
+ * File:
+ *   backend/modules/loan/repositories/loanScheduleRepository.js
+ *
+ * Responsibilities:
+ *
+ *   - Repayment schedule generation at disbursement
+ *   - Tenant-scoped schedule reads
+ *   - Applying repayments to installments
+ *   - Replacing the schedule when a loan is restructured
+ *
+ * Installments are built by the shared schedule builder in
+ * services/loanWorkflowService.js, so every loan gets the same flat,
+ * declining-balance, equal-principal, interest-only or bullet schedule
+ * whichever workflow created it.
+ *
+ * Loans are tenant-scoped and schedules hang off the loan: every method
+ * resolves the loan through LoanRepository with the tenantId first.
+ * ============================================================================
+ */
+
+const LoanRepaymentSchedule = require('../../../models/LoanRepaymentSchedule');
+const ScheduleBuilder = require('../../../services/loanWorkflowService');
+const LoanRepository = require('./loanRepository');
+
+const scheduleBuilder = new ScheduleBuilder();
+
+const UNPAID_STATUSES = Object.freeze([
+    'pending',
+    'partially_paid',
+    'overdue'
+]);
+
+/**
+ * ============================================================================
+ * LoanScheduleRepository
+ * ============================================================================
+ */
+
+class LoanScheduleRepository {
+
+    static async getLoanOrThrow(
+        loanId,
+        tenantId
+    ) {
+
+        const loan =
+            await LoanRepository.findById(
+                loanId,
+                tenantId
+            );
+
+        if (!loan) {
+            throw new Error('Loan not found');
+        }
+
+        return loan;
+
+    }
+
+    /**
+     * Application rates are percentages (12 = 12% a year); product rates
+     * are fractions (0.12). The builder takes fractions.
+     */
+    static annualRate(rate) {
+
+        const value =
+            Number(rate || 0);
+
+        return value > 1
+            ? value / 100
+            : value;
+
+    }
+
+    /**
+     * ========================================================================
+     * Build
+     * ========================================================================
+     *
+     * Installments for a loan's terms, without saving anything. Overrides
+     * replace the loan's own terms: { principal, term, interestRate,
+     * gracePeriods, startDate }.
+     *
+     * @returns {Object} { method, frequency, interestRate, gracePeriods, installments }
+     */
+
+    static buildSchedule(
+        loan,
+        overrides = {}
+    ) {
+
+        const method =
+            loan.amortizationMethod ||
+            'declining_balance';
+
+        const frequency =
+            loan.repaymentFrequency ||
+            'monthly';
+
+        const termMonths =
+            overrides.term ??
+            loan.repaymentPeriodMonths ??
+            loan.term;
+
+        const interestRate =
+            this.annualRate(
+                overrides.interestRate ??
+                loan.interestRate
+            );
+
+        const gracePeriods =
+            overrides.gracePeriods ??
+            loan.gracePeriods ??
+            0;
+
+        const installments =
+            scheduleBuilder.buildInstallments({
+                principal:
+                    Number(
+                        overrides.principal ??
+                        loan.amount
+                    ),
+                annualRate:
+                    interestRate,
+                installments:
+                    scheduleBuilder.installmentCount(
+                        Number(termMonths),
+                        frequency
+                    ),
+                frequency,
+                method,
+                gracePeriods,
+                startDate:
+                    overrides.startDate ||
+                    loan.disbursedAt ||
+                    new Date()
+            });
+
+        return {
+            method,
+            frequency,
+            interestRate,
+            gracePeriods,
+            installments
+        };
+
+    }
+
+    static toDocument(
+        loan,
+        schedule
+    ) {
+
+        const { installments } =
+            schedule;
+
+        const totalAmount =
+            scheduleBuilder.sumField(
+                installments,
+                'totalAmount'
+            );
+
+        return {
+            loan:
+                loan._id,
+            method:
+                schedule.method,
+            frequency:
+                schedule.frequency,
+            interestRate:
+                schedule.interestRate,
+            gracePeriods:
+                schedule.gracePeriods,
+            totalInstallments:
+                installments.length,
+            installmentAmount:
+                installments[
+                    Math.min(
+                        schedule.gracePeriods,
+                        installments.length - 1
+                    )
+                ].totalAmount,
+            totalPrincipal:
+                scheduleBuilder.sumField(
+                    installments,
+                    'principal'
+                ),
+            totalInterest:
+                scheduleBuilder.sumField(
+                    installments,
+                    'interest'
+                ),
+            totalAmount,
+            outstandingAmount:
+                totalAmount,
+            installments,
+            generatedAt:
+                new Date()
+        };
+
+    }
+
+    /**
+     * ========================================================================
+     * Generate
+     * ========================================================================
+     *
+     * Save the schedule for a disbursed loan. A loan that already has an
+     * active schedule keeps it, so a retried disbursement does not
+     * schedule the loan twice.
+     *
+     * @param {Object} options - { principal?, startDate? }
+     */
+
+    static async generateSchedule(
+        loanId,
+        tenantId,
+        options = {}
+    ) {
+
+        const loan =
+            await this.getLoanOrThrow(
+                loanId,
+                tenantId
+            );
+
+        const existing =
+            await this.findActive(
+                loan._id
+            );
+
+        if (existing) {
+            return existing;
+        }
+
+        return LoanRepaymentSchedule.create(
+            this.toDocument(
+                loan,
+                this.buildSchedule(
+                    loan,
+                    options
+                )
+            )
+        );
+
+    }
+
+    /**
+     * ========================================================================
+     * Read
+     * ========================================================================
+     */
+
+    static async findActive(loanId) {
+
+        return LoanRepaymentSchedule.findOne({
+            loan:
+                loanId,
+            status: {
+                $ne: 'suspended'
+            }
+        });
+
+    }
+
+    /**
+     * @returns {Promise<Array>} the loan's current installments
+     */
+    static async findByLoan(
+        loanId,
+        tenantId
+    ) {
+
+        const loan =
+            await this.getLoanOrThrow(
+                loanId,
+                tenantId
+            );
+
+        const schedule =
+            await this.findActive(
+                loan._id
+            );
+
+        return schedule
+            ? schedule.installments
+            : [];
+
+    }
+
+    /**
+     * ========================================================================
+     * Repayment
+     * ========================================================================
+     *
+     * Spread a repayment over the unpaid installments, oldest first.
+     *
+     * @param {Object} payment - { reference?, channel? }
+     */
+
+    static async applyRepayment(
+        loanId,
+        amount,
+        tenantId,
+        payment = {}
+    ) {
+
+        const loan =
+            await this.getLoanOrThrow(
+                loanId,
+                tenantId
+            );
+
+        const schedule =
+            await this.findActive(
+                loan._id
+            );
+
+        if (!schedule) {
+            return null;
+        }
+
+        let remaining =
+            Number(amount);
+
+        const unpaid =
+            schedule.installments
+                .filter(
+                    (installment) =>
+                        UNPAID_STATUSES.includes(
+                            installment.status
+                        )
+                )
+                .sort(
+                    (a, b) =>
+                        a.number - b.number
+                );
+
+        for (const installment of unpaid) {
+
+            if (remaining <= 0) {
+                break;
+            }
+
+            const due =
+                Math.round(
+                    (installment.totalAmount -
+                        installment.paidAmount) * 100
+                ) / 100;
+
+            const part =
+                Math.min(
+                    due,
+                    remaining
+                );
+
+            schedule.recordPayment(
+                installment.number,
+                part,
+                payment.channel,
+                payment.reference
+            );
+
+            remaining =
+                Math.round(
+                    (remaining - part) * 100
+                ) / 100;
+
+        }
+
+        return schedule.save();
+
+    }
+
+    /**
+     * ========================================================================
+     * Restructure
+     * ========================================================================
+     *
+     * Suspend the current schedule and replace it with one for the revised
+     * terms, starting now. Moratorium months become interest-only
+     * installments at the loan's repayment frequency.
+     *
+     * @param {Object} terms - { term, interestRate, principal, moratoriumMonths? }
+     */
+
+    static async regenerateSchedule(
+        loanId,
+        terms,
+        tenantId
+    ) {
+
+        const loan =
+            await this.getLoanOrThrow(
+                loanId,
+                tenantId
+            );
+
+        const moratoriumMonths =
+            Number(
+                terms.moratoriumMonths || 0
+            );
+
+        const schedule =
+            this.buildSchedule(
+                loan,
+                {
+                    principal:
+                        terms.principal,
+                    term:
+                        Number(terms.term) +
+                        moratoriumMonths,
+                    interestRate:
+                        terms.interestRate,
+                    gracePeriods:
+                        moratoriumMonths > 0
+                            ? scheduleBuilder.installmentCount(
+                                moratoriumMonths,
+                                loan.repaymentFrequency ||
+                                'monthly'
+                            )
+                            : 0,
+                    startDate:
+                        new Date()
+                }
+            );
+
+        await LoanRepaymentSchedule.updateMany(
+            {
+                loan:
+                    loan._id,
+                status: {
+                    $ne: 'suspended'
+                }
+            },
+            {
+                $set: {
+                    status:
+                        'suspended'
+                }
+            }
+        );
+
+        return LoanRepaymentSchedule.create(
+            this.toDocument(
+                loan,
+                schedule
+            )
+        );
+
+    }
+
+}
+
+/**
+ * ============================================================================
+ * EXPORT
+ * ============================================================================
+ */
+
+module.exports = LoanScheduleRepository;
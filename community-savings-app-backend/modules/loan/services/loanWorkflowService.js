@@ -642,6 +642,11 @@ class LoanWorkflowService {
 
                 tenantId,
 
+                repaymentPeriodMonths:
+                    payload.repaymentPeriodMonths ??
+                    payload.duration ??
+                    payload.repaymentPeriod,
+
                 status:
                     decision,
 
@@ -666,6 +671,18 @@ class LoanWorkflowService {
             };
 
 
+            /*
+             * Built before saving so terms that cannot be scheduled
+             * (e.g. grace periods longer than the term) reject the
+             * application instead of leaving it unschedulable.
+             */
+
+            const repaymentSchedule =
+                ScheduleRepository.buildSchedule(
+                    loanData
+                );
+
+
             const loan =
                 await LoanRepository.create(
                     loanData
@@ -716,6 +733,8 @@ class LoanWorkflowService {
 
                 loan,
 
+                repaymentSchedule,
+
                 workflow: {
 
                     decision,
@@ -1361,7 +1380,14 @@ class LoanWorkflowService {
 
                 await ScheduleRepository.generateSchedule(
                     loanId,
-                    tenantId
+                    tenantId,
+                    {
+                        principal:
+                            disbursementAmount,
+
+                        startDate:
+                            disbursedAt
+                    }
                 );
             }
 
@@ -1641,7 +1667,14 @@ class LoanWorkflowService {
                 await ScheduleRepository.applyRepayment(
                     loanId,
                     amount,
-                    tenantId
+                    tenantId,
+                    {
+                        reference:
+                            paymentReference,
+
+                        channel:
+                            repaymentRecord.paymentChannel
+                    }
                 );
             }
 
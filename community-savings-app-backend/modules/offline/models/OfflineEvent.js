@@ -92,6 +92,8 @@ const EVENT_TYPES = Object.freeze([
 
   'MEETING_CREATED',
   'MEETING_OPENED',
+  'MEETING_STARTED',
+  'MEETING_UPDATED',
   'MEETING_CLOSED',
 
   'MEMBER_CHECKED_IN',
@@ -225,6 +227,7 @@ const CONFLICT_TYPES = Object.freeze([
   'SIGNATURE_CONFLICT',
   'IDEMPOTENCY_CONFLICT',
   'STALE_EVENT',
+  'MEETING_MISMATCH',
 ]);
 
 /**
@@ -94,6 +94,11 @@
 
 const crypto = require('crypto');
 
+const {
+  CONFLICT_TYPES,
+  MEETING_EVENT_TYPES,
+} = require('../constants');
+
 // =============================================================================
 // Constants
 // =============================================================================
@@ -168,6 +173,11 @@ const NON_RETRYABLE_CODES =
     'OFFLINE_SYNC_FINANCIAL_AUTHORIZATION_REQUIRED',
   ]);
 
+const MEETING_EVENT_SET =
+  new Set(
+    MEETING_EVENT_TYPES,
+  );
+
 // =============================================================================
 // Error Factory
 // =============================================================================
@@ -502,6 +512,20 @@ function isFinancialEvent(
   );
 }
 
+function isMeetingEvent(
+  event,
+) {
+  return MEETING_EVENT_SET.has(
+    String(
+      event.eventType ||
+        event.type ||
+        '',
+    )
+      .trim()
+      .toUpperCase(),
+  );
+}
+
 function isRetryableError(
   error,
 ) {
@@ -557,6 +581,7 @@ class OfflineSyncService {
     financialService = null,
     reconciliationService = null,
     conflictService = null,
+    meetingService = null,
     auditService = null,
     eventBus = null,
     logger = null,
@@ -592,6 +617,9 @@ class OfflineSyncService {
     this.conflictService =
       conflictService;
 
+    this.meetingService =
+      meetingService;
+
     this.auditService =
       auditService;
 
@@ -1425,6 +1453,83 @@ class OfflineSyncService {
     );
   }
 
+  // ===========================================================================
+  // Meeting Materialization
+  // ===========================================================================
+
+  /**
+   * Apply MEETING_STARTED / MEETING_UPDATED / MEETING_CLOSED to the
+   * authoritative Meeting entity.
+   *
+   * The meeting service returns { conflict: true, reason, details } when the
+   * device's view of the meeting disagrees with the server. That is a
+   * business outcome, not a failure, so it is reported back to the caller.
+   */
+  async processMeetingEvent(
+    event,
+    context,
+  ) {
+    if (
+      !isMeetingEvent(
+        event,
+      ) ||
+      !this.meetingService ||
+      typeof this.meetingService
+        .applyOfflineEvent !==
+        'function'
+    ) {
+      return null;
+    }
+
+    return this.meetingService
+      .applyOfflineEvent(
+        event,
+        context,
+      );
+  }
+
+  /**
+   * Mark a persisted meeting event as a MEETING_MISMATCH conflict.
+   */
+  async flagMeetingConflict(
+    persistedEvent,
+    meetingResult,
+  ) {
+    if (
+      !persistedEvent ||
+      typeof persistedEvent.markConflict !==
+        'function'
+    ) {
+      return persistedEvent;
+    }
+
+    persistedEvent.markConflict(
+      {
+        type:
+          CONFLICT_TYPES.MEETING_MISMATCH,
+
+        details:
+          meetingResult.details ||
+          null,
+
+        code:
+          'OFFLINE_SYNC_MEETING_MISMATCH',
+
+        reason:
+          meetingResult.reason,
+      },
+    );
+
+    if (
+      typeof persistedEvent.save ===
+      'function'
+    ) {
+      await persistedEvent.save();
+    }
+
+    return persistedEvent;
+  }
+
   // ===========================================================================
   // Persist Event
   // ===========================================================================
@@ -1688,6 +1793,12 @@ class OfflineSyncService {
         context,
       );
 
+    const meetingResult =
+      await this.processMeetingEvent(
+        validatedEvent,
+        context,
+      );
+
     const persistedEvent =
       await this.persistEvent(
         validatedEvent,
@@ -1700,6 +1811,89 @@ class OfflineSyncService {
         },
       );
 
+    /*
+     * A meeting mismatch is kept as a CONFLICT event for reconciliation
+     * instead of failing the batch.
+     */
+    if (
+      meetingResult?.conflict
+    ) {
+      const conflictEvent =
+        await this.flagMeetingConflict(
+          persistedEvent,
+          meetingResult,
+        );
+
+      const conflictResult = {
+        status:
+          'CONFLICT',
+
+        eventId:
+          validatedEvent.eventId,
+
+        event:
+          conflictEvent,
+
+        conflictType:
+          CONFLICT_TYPES.MEETING_MISMATCH,
+
+        reason:
+          meetingResult.reason,
+
+        details:
+          meetingResult.details ||
+          null,
+
+        receipt:
+          null,
+
+        duplicate:
+          false,
+
+        idempotent:
+          false,
+      };
+
+      if (
+        validatedEvent.idempotencyKey
+      ) {
+        await this.saveIdempotentResult(
+          {
+            tenantId:
+              validatedEvent.tenantId,
+
+            idempotencyKey:
+              validatedEvent.idempotencyKey,
+
+            result:
+              conflictResult,
+          },
+        );
+      }
+
+      await this._audit(
+        'MEETING_CONFLICT_DETECTED',
+        {
+          tenantId:
+            validatedEvent.tenantId,
+
+          deviceId:
+            validatedEvent.deviceId,
+
+          eventId:
+            validatedEvent.eventId,
+
+          operationType:
+            validatedEvent.eventType,
+
+          reason:
+            meetingResult.reason,
+        },
+      );
+
+      return conflictResult;
+    }
+
     const receipt =
       await this.generateReceipt(
         persistedEvent,
@@ -1724,6 +1918,10 @@ class OfflineSyncService {
 
       financialResult,
 
+      meeting:
+        meetingResult?.meeting ||
+        null,
+
       receipt:
         receipt?.receipt ||
         receipt ||
@@ -1997,6 +2195,13 @@ class OfflineSyncService {
             'DUPLICATE',
         ).length,
 
+      conflicted:
+        results.filter(
+          (result) =>
+            result.status ===
+            'CONFLICT',
+        ).length,
+
       failed:
         failures.length,
 
@@ -2032,6 +2237,9 @@ class OfflineSyncService {
         duplicate:
           response.duplicate,
 
+        conflicted:
+          response.conflicted,
+
         failed:
           response.failed,
 
@@ -2584,6 +2792,11 @@ class OfflineSyncService {
           Boolean(
             this.reconciliationService,
           ),
+
+        meetingService:
+          Boolean(
+            this.meetingService,
+          ),
       },
 
       configuration: {
@@ -0,0 +1,96 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Callback Handler
+ * ============================================================================
+ */
+
+const { CallbackVerificationError } = require("../../../shared/errors");
+
+class MpesaCallbackHandler {
+
+
+    constructor({
+
+        normalizer,
+
+        verifier,
+
+        logger
+
+    }) {
+
+        this.normalizer = normalizer;
+
+        this.verifier = verifier;
+
+        this.logger = logger;
+
+    }
+
+
+
+    async handle({
+
+        payload,
+
+        context = {}
+
+    }) {
+
+
+        const verified =
+            await this.verifier.verify({
+
+                token:
+                    context.token,
+
+                ip:
+                    context.ip
+
+            });
+
+
+
+        if (!verified) {
+
+            throw new CallbackVerificationError(
+                "M-Pesa callback failed verification",
+                { provider: "MPESA" }
+            );
+
+        }
+
+
+
+        const normalized =
+            await this.normalizer.normalize(
+                context.kind,
+                payload
+            );
+
+
+
+        this.logger?.info(
+            "M-Pesa callback processed",
+            {
+                kind:
+                    normalized.kind,
+
+                transactionId:
+                    normalized.transactionId
+            }
+        );
+
+
+        return normalized;
+
+
+    }
+
+
+}
+
+
+
+module.exports = MpesaCallbackHandler;
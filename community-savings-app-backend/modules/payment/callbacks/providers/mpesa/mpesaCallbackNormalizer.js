@@ -0,0 +1,246 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Callback Normalizer
+ * ============================================================================
+ *
+ * Flattens the four Daraja callback shapes (STK, C2B validation and
+ * confirmation, B2C result and queue timeout) into one record.
+ */
+
+// Daraja reports times in Kenyan time (UTC+3)
+const EAT_OFFSET = "+03:00";
+
+/**
+ * Parse 20191219102115 (STK, C2B) or 19.12.2019 11:45:50 (B2C).
+ */
+function parseDarajaTime(value) {
+
+    if (value === undefined || value === null || value === "") {
+
+        return null;
+
+    }
+
+    const text = String(value);
+
+    let match = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+
+    if (match) {
+
+        const [, y, mo, d, h, mi, s] = match;
+
+        return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${EAT_OFFSET}`);
+
+    }
+
+    match = text.match(/^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+
+    if (match) {
+
+        const [, d, mo, y, h, mi, s] = match;
+
+        return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${EAT_OFFSET}`);
+
+    }
+
+    const parsed = new Date(text);
+
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+
+}
+
+
+function pick(items = [], keyField, valueField) {
+
+    return Object.fromEntries(
+
+        (Array.isArray(items) ? items : [items])
+
+            .filter(Boolean)
+
+            .map((item) => [item[keyField], item[valueField]])
+
+    );
+
+}
+
+
+class MpesaCallbackNormalizer {
+
+    async normalize(kind, payload = {}) {
+
+        switch (kind) {
+
+        case "stk":
+
+            return this.stk(payload);
+
+        case "c2b/validation":
+        case "c2b/confirmation":
+
+            return this.c2b(kind, payload);
+
+        case "b2c/result":
+        case "b2c/timeout":
+
+            return this.b2c(kind, payload);
+
+        default:
+
+            throw new Error(`Unknown M-Pesa callback kind "${kind}"`);
+
+        }
+
+    }
+
+
+    stk(payload) {
+
+        const callback = payload?.Body?.stkCallback;
+
+        if (!callback?.CheckoutRequestID) {
+
+            throw new Error("STK callback is missing CheckoutRequestID");
+
+        }
+
+        const items = pick(callback.CallbackMetadata?.Item, "Name", "Value");
+
+        const resultCode = String(callback.ResultCode);
+
+        return {
+
+            provider: "mpesa",
+
+            kind: "stk",
+
+            transactionId: callback.CheckoutRequestID,
+
+            merchantRequestId: callback.MerchantRequestID,
+
+            status: resultCode === "0" ? "SUCCESS" : "FAILED",
+
+            resultCode,
+
+            resultDesc: callback.ResultDesc,
+
+            receipt: items.MpesaReceiptNumber,
+
+            amount: items.Amount !== undefined ? Number(items.Amount) : undefined,
+
+            phone: items.PhoneNumber !== undefined ? String(items.PhoneNumber) : undefined,
+
+            completedAt: parseDarajaTime(items.TransactionDate),
+
+            receivedAt: new Date(),
+
+            raw: payload
+
+        };
+
+    }
+
+
+    c2b(kind, payload) {
+
+        if (!payload?.TransID) {
+
+            throw new Error("C2B callback is missing TransID");
+
+        }
+
+        return {
+
+            provider: "mpesa",
+
+            kind,
+
+            transactionId: payload.TransID,
+
+            status: "SUCCESS",
+
+            receipt: payload.TransID,
+
+            amount: Number(payload.TransAmount),
+
+            phone: payload.MSISDN !== undefined ? String(payload.MSISDN) : undefined,
+
+            billRefNumber: payload.BillRefNumber ? String(payload.BillRefNumber).trim() : undefined,
+
+            payerName: [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(" ") || undefined,
+
+            shortCode: payload.BusinessShortCode,
+
+            completedAt: parseDarajaTime(payload.TransTime),
+
+            receivedAt: new Date(),
+
+            raw: payload
+
+        };
+
+    }
+
+
+    b2c(kind, payload) {
+
+        const result = payload?.Result;
+
+        if (!result?.OriginatorConversationID && !result?.ConversationID) {
+
+            throw new Error("B2C callback is missing its conversation identifiers");
+
+        }
+
+        const parameters = pick(result.ResultParameters?.ResultParameter, "Key", "Value");
+
+        const resultCode = String(result.ResultCode);
+
+        let status = resultCode === "0" ? "SUCCESS" : "FAILED";
+
+        // A queue timeout does not say whether the payment went through
+        if (kind === "b2c/timeout") {
+
+            status = "TIMEOUT";
+
+        }
+
+        return {
+
+            provider: "mpesa",
+
+            kind,
+
+            transactionId: result.OriginatorConversationID,
+
+            conversationId: result.ConversationID,
+
+            status,
+
+            resultCode,
+
+            resultDesc: result.ResultDesc,
+
+            receipt: parameters.TransactionReceipt || (status === "SUCCESS" ? result.TransactionID : undefined),
+
+            amount: parameters.TransactionAmount !== undefined ? Number(parameters.TransactionAmount) : undefined,
+
+            recipient: parameters.ReceiverPartyPublicName,
+
+            completedAt: parseDarajaTime(parameters.TransactionCompletedDateTime),
+
+            receivedAt: new Date(),
+
+            raw: payload
+
+        };
+
+    }
+
+}
+
+
+module.exports = MpesaCallbackNormalizer;
+
+module.exports.parseDarajaTime = parseDarajaTime;
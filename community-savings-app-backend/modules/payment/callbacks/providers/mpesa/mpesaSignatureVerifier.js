@@ -0,0 +1,79 @@
+/**
+ * ============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Callback Verifier
+ * ============================================================================
+ *
+ * Daraja callbacks carry no signature. Authenticity rests on the shared
+ * token embedded in every callback URL we register and, when configured, on
+ * the Safaricom source IP allowlist.
+ */
+
+const crypto = require("crypto");
+
+class MpesaSignatureVerifier {
+
+    constructor({
+
+        secret,
+
+        allowedIps = []
+
+    }) {
+
+        this.secret = secret;
+
+        this.allowedIps = allowedIps;
+
+    }
+
+
+
+    async verify({
+
+        token,
+
+        ip
+
+    }) {
+
+        if (!this.secret || !token) {
+
+            return false;
+
+        }
+
+        const expected = Buffer.from(String(this.secret));
+
+        const received = Buffer.from(String(token));
+
+        if (
+
+            expected.length !== received.length ||
+
+            !crypto.timingSafeEqual(expected, received)
+
+        ) {
+
+            return false;
+
+        }
+
+        if (this.allowedIps.length === 0) {
+
+            return true;
+
+        }
+
+        // Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets
+        const source = String(ip || "").replace(/^::ffff:/, "");
+
+        return this.allowedIps.includes(source);
+
+    }
+
+}
+
+
+module.exports =
+MpesaSignatureVerifier;
@@ -11,7 +11,9 @@ registry,
 
 mtnHandler,
 
-airtelHandler
+airtelHandler,
+
+mpesaHandler
 
 }) {
 
@@ -36,6 +38,20 @@ airtelHandler
 
 
 
+if (mpesaHandler) {
+
+registry.register(
+
+"mpesa",
+
+mpesaHandler
+
+);
+
+}
+
+
+
 }
 
 
@@ -82,6 +82,9 @@ const PaymentVerificationServiceModule =
 const ProviderInterfaceModule =
   require('./providerInterface');
 
+const paymentEventPublisher =
+  require('./events/paymentEventPublisher');
+
 /* ============================================================================
  * Resolve Constructors
  *
@@ -568,6 +571,36 @@ function createPaymentModule(
   });
 }
 
+let applicationPaymentModule =
+  null;
+
+/**
+ * Lazy application-wide payment module for the services that raise payments
+ * outside a request scope (standing orders, payment requests). It publishes
+ * to the shared payment event publisher so those services can subscribe to
+ * asynchronous outcomes. Dependencies apply to the first call only.
+ *
+ * @param {Object} [dependencies] - as for createPaymentModule
+ * @returns {Object}
+ */
+function getPaymentModule(
+  dependencies = {},
+) {
+  if (
+    !applicationPaymentModule
+  ) {
+    applicationPaymentModule =
+      createPaymentModule({
+        eventPublisher:
+          paymentEventPublisher,
+
+        ...dependencies,
+      });
+  }
+
+  return applicationPaymentModule;
+}
+
 /* ============================================================================
  * Module Contract Validation
  * ========================================================================== */
@@ -934,6 +967,8 @@ const paymentModule = {
 
   createPaymentModule,
 
+  getPaymentModule,
+
   createPaymentStateMachine,
 
   createPaymentStateService,
@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa (Safaricom Daraja) Authentication
+ * =============================================================================
+ *
+ * Responsibilities
+ * ----------------
+ * • OAuth client-credentials token caching
+ * • Authenticated Daraja requests (one retry on an expired token)
+ * • STK push password and timestamp generation
+ * • Initiator security credential encryption for B2C
+ * • Mapping transport failures onto the payment error taxonomy
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const {
+    AuthenticationError,
+    NetworkError,
+    TimeoutError,
+    ProviderRejectedError,
+    ValidationError
+} = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+
+// Daraja tokens live for an hour; refresh a minute early
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Daraja timestamps are in Kenyan time (UTC+3, no daylight saving)
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+class MpesaAuth {
+
+    constructor({
+        configuration,
+        httpClient,
+        logger,
+        metrics,
+        clock = () => Date.now()
+    } = {}) {
+
+        this.configuration =
+            configuration || new MpesaConfiguration();
+
+        this.httpClient =
+            httpClient || require('axios');
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.clock =
+            clock;
+
+        this.token = null;
+
+        this.tokenExpiresAt = 0;
+
+        this.pendingToken = null;
+
+        this.cachedCredential = null;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Access token
+     * -------------------------------------------------------------------------
+     */
+    async getAccessToken({ forceRefresh = false } = {}) {
+
+        if (!forceRefresh && this.token && this.clock() < this.tokenExpiresAt) {
+            return this.token;
+        }
+
+        // Concurrent callers share one token request
+        if (!this.pendingToken) {
+            this.pendingToken = this.fetchToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+
+        return this.pendingToken;
+    }
+
+    async fetchToken() {
+
+        const { consumerKey, consumerSecret, baseUrl, timeoutMs } = this.configuration;
+
+        if (!consumerKey || !consumerSecret) {
+            throw new AuthenticationError('M-Pesa consumer key and secret are not configured', { provider: 'MPESA' });
+        }
+
+        const basic = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+        try {
+
+            const { data } = await this.httpClient.get(
+                `${baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+                { headers: { Authorization: `Basic ${basic}` }, timeout: timeoutMs }
+            );
+
+            if (!data?.access_token) {
+                throw new AuthenticationError('M-Pesa token response had no access_token', { provider: 'MPESA' });
+            }
+
+            const ttlMs = Number(data.expires_in || 3599) * 1000;
+
+            this.token = data.access_token;
+            this.tokenExpiresAt = this.clock() + Math.max(ttlMs - TOKEN_REFRESH_MARGIN_MS, 0);
+
+            this.metrics?.counter?.('payment_mpesa_token_refresh_total');
+
+            return this.token;
+
+        } catch (error) {
+
+            this.metrics?.counter?.('payment_mpesa_token_failure_total');
+
+            this.logger?.error?.({
+                message: 'M-Pesa token request failed',
+                status: error.response?.status,
+                error: error.message
+            });
+
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+
+            throw new AuthenticationError('Failed to authenticate with M-Pesa', { provider: 'MPESA', cause: error });
+        }
+    }
+
+    invalidate() {
+
+        this.token = null;
+        this.tokenExpiresAt = 0;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Authenticated request
+     * -------------------------------------------------------------------------
+     */
+    async post(path, body, { retried = false } = {}) {
+
+        const token = await this.getAccessToken();
+
+        try {
+
+            const { data } = await this.httpClient.post(
+                `${this.configuration.baseUrl}${path}`,
+                body,
+                {
+                    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+                    timeout: this.configuration.timeoutMs
+                }
+            );
+
+            return data;
+
+        } catch (error) {
+
+            if (error.response?.status === 401 && !retried) {
+                this.invalidate();
+                return this.post(path, body, { retried: true });
+            }
+
+            throw this.toPaymentError(error, path);
+        }
+    }
+
+    toPaymentError(error, path) {
+
+        const options = { provider: 'MPESA', cause: error, metadata: { path } };
+
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new TimeoutError(`M-Pesa request to ${path} timed out`, options);
+        }
+
+        if (!error.response) {
+            return new NetworkError(`M-Pesa request to ${path} failed: ${error.message}`, options);
+        }
+
+        const body = error.response.data || {};
+
+        return new ProviderRejectedError(
+            body.errorMessage || body.ResponseDescription || `M-Pesa rejected ${path} (${error.response.status})`,
+            { ...options, metadata: { path, status: error.response.status, errorCode: body.errorCode } }
+        );
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * STK push credentials
+     * -------------------------------------------------------------------------
+     */
+    timestamp(at = this.clock()) {
+
+        return new Date(at + EAT_OFFSET_MS)
+            .toISOString()
+            .replace(/[-:T]/g, '')
+            .slice(0, 14);
+    }
+
+    stkPassword(timestamp) {
+
+        const { shortCode, passkey } = this.configuration;
+
+        return Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Initiator security credential (B2C, reversals, status queries)
+     * -------------------------------------------------------------------------
+     */
+    securityCredential() {
+
+        if (this.cachedCredential) {
+            return this.cachedCredential;
+        }
+
+        const { initiatorPassword, certificate, certificatePath } = this.configuration;
+
+        const pem = certificate || (certificatePath && fs.readFileSync(certificatePath, 'utf8'));
+
+        if (!initiatorPassword || !pem) {
+            throw new ValidationError(
+                'M-Pesa initiator password and certificate are required for B2C requests',
+                { provider: 'MPESA' }
+            );
+        }
+
+        this.cachedCredential = crypto
+            .publicEncrypt(
+                { key: pem, padding: crypto.constants.RSA_PKCS1_PADDING },
+                Buffer.from(initiatorPassword)
+            )
+            .toString('base64');
+
+        return this.cachedCredential;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Health
+     * -------------------------------------------------------------------------
+     */
+    async health() {
+
+        try {
+
+            await this.getAccessToken();
+
+            return { provider: 'MPESA', module: 'auth', status: 'UP', tokenExpiresAt: new Date(this.tokenExpiresAt) };
+
+        } catch (error) {
+
+            return { provider: 'MPESA', module: 'auth', status: 'DOWN', error: error.message };
+        }
+    }
+}
+
+/**
+ * Normalise a Kenyan MSISDN to the 2547XXXXXXXX / 2541XXXXXXXX form Daraja expects.
+ */
+function normalizeMsisdn(phone) {
+
+    let digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.startsWith('0')) {
+        digits = `254${digits.slice(1)}`;
+    } else if (digits.length === 9) {
+        digits = `254${digits}`;
+    }
+
+    if (!/^254[17]\d{8}$/.test(digits)) {
+        throw new ValidationError(`Invalid M-Pesa phone number: ${phone}`, { provider: 'MPESA' });
+    }
+
+    return digits;
+}
+
+module.exports = MpesaAuth;
+module.exports.normalizeMsisdn = normalizeMsisdn;
@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Callback Gateway
+ * =============================================================================
+ *
+ * Responsibilities
+ * ----------------
+ * • Verify callback token and source IP
+ * • Normalise STK, C2B and B2C callbacks
+ * • Correlate callbacks with their transactions
+ * • Apply each outcome exactly once (replays are acknowledged, not re-applied)
+ * • Park callbacks that cannot be applied in the dead-letter queue
+ * • Answer Daraja in the { ResultCode, ResultDesc } shape it expects
+ *
+ * Delegates
+ * ---------
+ * callbackHandler   (callbacks/providers/mpesa)
+ * settlement        state transitions and ledger posting
+ * collections       C2B validation and confirmation
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const {
+    CallbackVerificationError,
+    normalizeError
+} = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+const { CALLBACK_KINDS } = MpesaConfiguration;
+
+const MpesaCallbackHandler = require('../callbacks/providers/mpesa/mpesaCallbackHandler');
+const MpesaCallbackNormalizer = require('../callbacks/providers/mpesa/mpesaCallbackNormalizer');
+const MpesaSignatureVerifier = require('../callbacks/providers/mpesa/mpesaSignatureVerifier');
+
+const ACCEPTED = Object.freeze({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+class MpesaCallbacks {
+
+    constructor({
+        configuration,
+        callbackHandler,
+        transactionModel,
+        settlement,
+        collections,
+        deadLetterQueue,
+        eventPublisher,
+        auditService,
+        logger,
+        metrics,
+        tracer
+    } = {}) {
+
+        this.configuration =
+            configuration || new MpesaConfiguration();
+
+        this.callbackHandler =
+            callbackHandler ||
+            new MpesaCallbackHandler({
+                normalizer: new MpesaCallbackNormalizer(),
+                verifier: new MpesaSignatureVerifier({
+                    secret: this.configuration.callbackToken,
+                    allowedIps: this.configuration.allowedCallbackIps
+                }),
+                logger
+            });
+
+        this.Transaction =
+            transactionModel || require('../../../models/Transaction');
+
+        this.settlement =
+            settlement;
+
+        this.collections =
+            collections;
+
+        this.deadLetterQueue =
+            deadLetterQueue;
+
+        this.eventPublisher =
+            eventPublisher;
+
+        this.auditService =
+            auditService;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.tracer =
+            tracer;
+
+        this.statistics = {
+            received: 0,
+            applied: 0,
+            duplicates: 0,
+            rejected: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Handle callback
+     * -------------------------------------------------------------------------
+     * Returns the body to send back to Daraja.
+     */
+    async handle({
+        kind,
+        payload,
+        token,
+        ip,
+        correlationId = crypto.randomUUID()
+    }) {
+
+        const span = this.tracer?.startSpan?.('payment.mpesa.callback.handle');
+
+        this.statistics.received++;
+        this.metrics?.counter?.('payment_mpesa_callback_received_total');
+
+        try {
+
+            const callback = await this.callbackHandler.handle({
+                payload,
+                context: { kind, token, ip }
+            });
+
+            const outcome = await this.apply(callback);
+
+            if (outcome.duplicate) {
+                this.statistics.duplicates++;
+                this.metrics?.counter?.('payment_mpesa_callback_duplicate_total');
+            } else {
+                this.statistics.applied++;
+            }
+
+            await this.auditService?.record?.({
+                action: 'MPESA_CALLBACK_RECEIVED',
+                provider: 'MPESA',
+                kind,
+                transaction: callback.transactionId,
+                duplicate: Boolean(outcome.duplicate),
+                correlationId
+            });
+
+            return outcome.response || ACCEPTED;
+
+        } catch (error) {
+
+            const normalized = normalizeError(error, { provider: 'MPESA', correlationId });
+
+            if (normalized instanceof CallbackVerificationError) {
+                this.statistics.rejected++;
+                this.metrics?.counter?.('payment_mpesa_callback_verification_failure_total');
+                this.logger?.warn?.({ message: 'M-Pesa callback rejected', kind, ip, correlationId });
+                throw normalized;
+            }
+
+            this.statistics.failed++;
+            this.metrics?.counter?.('payment_mpesa_callback_failure_total');
+
+            this.logger?.error?.({
+                message: 'M-Pesa callback processing failed',
+                kind,
+                correlationId,
+                error: normalized.message
+            });
+
+            await this.deadLetterQueue?.store?.({
+                payload,
+                error: normalized.message,
+                metadata: { provider: 'MPESA', kind, correlationId }
+            });
+
+            throw normalized;
+
+        } finally {
+
+            span?.end?.();
+        }
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Apply a normalised callback
+     * -------------------------------------------------------------------------
+     */
+    async apply(callback) {
+
+        switch (callback.kind) {
+
+        case CALLBACK_KINDS.C2B_VALIDATION:
+            return { response: await this.collections.validateC2B(callback) };
+
+        case CALLBACK_KINDS.C2B_CONFIRMATION:
+            return this.collections.confirmC2B(callback);
+
+        case CALLBACK_KINDS.STK:
+            return this.applyOutcome(
+                await this.findTransaction({ providerReferenceId: callback.transactionId }),
+                callback
+            );
+
+        case CALLBACK_KINDS.B2C_RESULT:
+        case CALLBACK_KINDS.B2C_TIMEOUT:
+            return this.applyOutcome(
+                await this.findTransaction({ externalId: callback.transactionId }, { providerReferenceId: callback.conversationId }),
+                callback
+            );
+
+        default:
+            throw new Error(`Unhandled M-Pesa callback kind ${callback.kind}`);
+        }
+    }
+
+    async applyOutcome(transaction, callback) {
+
+        if (callback.status === 'SUCCESS') {
+            return this.settlement.complete(transaction, {
+                receipt: callback.receipt,
+                amount: callback.amount,
+                completedAt: callback.completedAt,
+                raw: callback.raw
+            });
+        }
+
+        if (callback.status === 'TIMEOUT') {
+
+            // Leave the transaction open; reconciliation decides its fate
+            await this.Transaction.updateOne(
+                { _id: transaction._id, status: { $in: ['PENDING', 'PROCESSING'] } },
+                { $set: { statusReason: callback.resultDesc || 'M-Pesa queue timeout' } }
+            );
+
+            return { duplicate: false, transaction };
+        }
+
+        return this.settlement.fail(transaction, {
+            reason: callback.resultDesc,
+            resultCode: callback.resultCode,
+            raw: callback.raw
+        });
+    }
+
+    async findTransaction(...criteria) {
+
+        for (const criterion of criteria) {
+
+            const [[field, value]] = Object.entries(criterion);
+
+            if (!value) {
+                continue;
+            }
+
+            const transaction = await this.Transaction.findOne({ provider: 'mpesa', [field]: value });
+
+            if (transaction) {
+                return transaction;
+            }
+        }
+
+        throw new Error(`No M-Pesa transaction matches callback ${JSON.stringify(criteria)}`);
+    }
+
+    health() {
+
+        return {
+            provider: 'MPESA',
+            module: 'callbacks',
+            status: 'UP',
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = MpesaCallbacks;
+module.exports.ACCEPTED = ACCEPTED;
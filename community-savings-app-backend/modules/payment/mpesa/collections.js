@@ -0,0 +1,496 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Collections
+ * =============================================================================
+ *
+ * Supports:
+ *
+ * • STK push (Lipa na M-Pesa Online) for savings, contributions and repayments
+ * • STK status queries for prompts whose callback never arrived
+ * • C2B paybill payments made from the member's handset (validation and
+ *   confirmation)
+ * • C2B URL registration
+ *
+ * Idempotency
+ * -----------
+ * The caller's `reference` is the transaction's `externalId` (unique). A
+ * repeated request with the same reference returns the original transaction
+ * instead of prompting the member again; the same reference with a different
+ * amount or phone is refused. C2B confirmations are keyed on the M-Pesa
+ * receipt.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const {
+    ValidationError,
+    IdempotencyError,
+    ProviderRejectedError,
+    normalizeError
+} = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+const { CALLBACK_KINDS } = MpesaConfiguration;
+const { normalizeMsisdn } = require('./auth');
+
+const COLLECTION_TYPES = ['DEPOSIT', 'CONTRIBUTION', 'LOAN_REPAYMENT'];
+
+// STK query result codes that mean the prompt is still open
+const STK_STILL_PROCESSING = ['500.001.1001'];
+
+// Daraja limits AccountReference to 12 characters
+const ACCOUNT_REFERENCE_LENGTH = 12;
+
+class MpesaCollections {
+
+    constructor({
+        auth,
+        configuration,
+        transactionModel,
+        settlement,
+        resolveAccount,
+        eventPublisher,
+        auditService,
+        logger,
+        metrics,
+        tracer
+    } = {}) {
+
+        if (!auth) {
+            throw new Error('auth is required');
+        }
+
+        this.auth =
+            auth;
+
+        this.configuration =
+            configuration || auth.configuration || new MpesaConfiguration();
+
+        this.Transaction =
+            transactionModel || require('../../../models/Transaction');
+
+        this.settlement =
+            settlement;
+
+        // Maps a C2B BillRefNumber to { tenantId, userId, groupId, loanId, transactionType }
+        this.resolveAccount =
+            resolveAccount;
+
+        this.eventPublisher =
+            eventPublisher;
+
+        this.auditService =
+            auditService;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.tracer =
+            tracer;
+
+        this.statistics = {
+            initiated: 0,
+            successful: 0,
+            failed: 0,
+            duplicates: 0,
+            c2b: 0
+        };
+    }
+
+    async initialize() {
+
+        this.configuration.validate('collections');
+
+        this.logger?.info?.({ message: 'M-Pesa collections initialized', shortCode: this.configuration.shortCode });
+
+        return true;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * STK push
+     * -------------------------------------------------------------------------
+     */
+    async collect({
+        tenantId,
+        userId,
+        groupId,
+        loanId,
+        contributionId,
+        amount,
+        phoneNumber,
+        reference,
+        accountReference,
+        type = 'DEPOSIT',
+        description,
+        requestedBy,
+        metadata = {}
+    } = {}) {
+
+        const correlationId = crypto.randomUUID();
+        const span = this.tracer?.startSpan?.('payment.mpesa.collections.collect');
+
+        this.statistics.initiated++;
+
+        try {
+
+            if (!Number.isInteger(Number(amount)) || Number(amount) < 1) {
+                throw new ValidationError('M-Pesa amounts must be whole shillings of at least 1', { provider: 'MPESA' });
+            }
+
+            if (!COLLECTION_TYPES.includes(type)) {
+                throw new ValidationError(`Unsupported M-Pesa collection type: ${type}`, { provider: 'MPESA' });
+            }
+
+            const msisdn = normalizeMsisdn(phoneNumber);
+            const externalId = reference || `MPC-${crypto.randomUUID()}`;
+
+            const { transaction, duplicate } = await this.reserve({
+                externalId,
+                tenantId,
+                userId,
+                groupId,
+                loanId,
+                contributionId,
+                transactionType: type,
+                flow: 'credit',
+                provider: 'mpesa',
+                amount: Number(amount),
+                currency: this.configuration.currency,
+                phone: msisdn,
+                status: 'PENDING',
+                description,
+                createdBy: requestedBy,
+                metadata: { ...metadata, correlationId }
+            });
+
+            if (duplicate) {
+                this.statistics.duplicates++;
+                return { ...this.summarize(transaction), duplicate: true };
+            }
+
+            const timestamp = this.auth.timestamp();
+
+            let response;
+
+            try {
+
+                response = await this.auth.post('/mpesa/stkpush/v1/processrequest', {
+                    BusinessShortCode: this.configuration.shortCode,
+                    Password: this.auth.stkPassword(timestamp),
+                    Timestamp: timestamp,
+                    TransactionType: this.configuration.transactionType,
+                    Amount: Number(amount),
+                    PartyA: msisdn,
+                    PartyB: this.configuration.shortCode,
+                    PhoneNumber: msisdn,
+                    CallBackURL: this.configuration.callbackUrl(CALLBACK_KINDS.STK),
+                    AccountReference: String(accountReference || externalId).slice(0, ACCOUNT_REFERENCE_LENGTH),
+                    TransactionDesc: String(description || type).slice(0, 100)
+                });
+
+            } catch (error) {
+
+                // Without a CheckoutRequestID no callback can be correlated
+                await this.markRequestFailed(transaction, error.message);
+                throw error;
+            }
+
+            if (String(response?.ResponseCode) !== '0') {
+
+                await this.markRequestFailed(transaction, response?.ResponseDescription);
+
+                throw new ProviderRejectedError(
+                    response?.ResponseDescription || 'M-Pesa rejected the STK push',
+                    { provider: 'MPESA', tenantId, transactionId: externalId }
+                );
+            }
+
+            const updated = await this.Transaction.findOneAndUpdate(
+                { _id: transaction._id },
+                {
+                    $set: {
+                        providerReferenceId: response.CheckoutRequestID,
+                        'metadata.merchantRequestId': response.MerchantRequestID
+                    }
+                },
+                { new: true }
+            );
+
+            this.statistics.successful++;
+            this.metrics?.counter?.('payment_mpesa_collection_success_total');
+
+            await this.eventPublisher?.publish?.({
+                type: 'MPESA_COLLECTION_CREATED',
+                payload: { tenantId, reference: externalId, amount: Number(amount), correlationId }
+            });
+
+            await this.auditService?.record?.({
+                action: 'MPESA_COLLECTION_REQUESTED',
+                tenantId,
+                reference: externalId,
+                correlationId
+            });
+
+            return {
+                ...this.summarize(updated || transaction),
+                checkoutRequestId: response.CheckoutRequestID,
+                customerMessage: response.CustomerMessage,
+                correlationId
+            };
+
+        } catch (error) {
+
+            this.statistics.failed++;
+            this.metrics?.counter?.('payment_mpesa_collection_failure_total');
+
+            const normalized = normalizeError(error, { provider: 'MPESA', tenantId, correlationId });
+
+            this.logger?.error?.({
+                message: 'M-Pesa collection failed',
+                tenantId,
+                reference,
+                correlationId,
+                error: normalized.toJSON?.() || normalized.message
+            });
+
+            throw normalized;
+
+        } finally {
+
+            span?.end?.();
+        }
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * STK status query
+     * -------------------------------------------------------------------------
+     * Resolves an open STK collection from Daraja when its callback is late.
+     */
+    async query(reference) {
+
+        const transaction = await this.Transaction.findOne({ provider: 'mpesa', externalId: reference });
+
+        if (!transaction) {
+            throw new ValidationError(`Unknown M-Pesa transaction ${reference}`, { provider: 'MPESA' });
+        }
+
+        if (!['PENDING', 'PROCESSING'].includes(transaction.status) || !transaction.providerReferenceId) {
+            return this.summarize(transaction);
+        }
+
+        const timestamp = this.auth.timestamp();
+
+        let result;
+
+        try {
+
+            result = await this.auth.post('/mpesa/stkpushquery/v1/query', {
+                BusinessShortCode: this.configuration.shortCode,
+                Password: this.auth.stkPassword(timestamp),
+                Timestamp: timestamp,
+                CheckoutRequestID: transaction.providerReferenceId
+            });
+
+        } catch (error) {
+
+            if (STK_STILL_PROCESSING.includes(error.metadata?.errorCode)) {
+                return this.summarize(transaction);
+            }
+
+            throw error;
+        }
+
+        const resultCode = String(result?.ResultCode);
+
+        if (resultCode === '0') {
+            const { transaction: completed } = await this.settlement.complete(transaction, { source: 'status_query', raw: result });
+            return this.summarize(completed);
+        }
+
+        const { transaction: failed } = await this.settlement.fail(transaction, {
+            reason: result?.ResultDesc,
+            resultCode,
+            source: 'status_query'
+        });
+
+        return this.summarize(failed);
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * C2B
+     * -------------------------------------------------------------------------
+     */
+    async registerC2BUrls({ responseType = 'Completed' } = {}) {
+
+        const response = await this.auth.post('/mpesa/c2b/v1/registerurl', {
+            ShortCode: this.configuration.shortCode,
+            ResponseType: responseType,
+            ConfirmationURL: this.configuration.callbackUrl(CALLBACK_KINDS.C2B_CONFIRMATION),
+            ValidationURL: this.configuration.callbackUrl(CALLBACK_KINDS.C2B_VALIDATION)
+        });
+
+        await this.auditService?.record?.({
+            action: 'MPESA_C2B_URLS_REGISTERED',
+            shortCode: this.configuration.shortCode
+        });
+
+        return response;
+    }
+
+    /**
+     * Accept or refuse a paybill payment before M-Pesa completes it. Only
+     * called when external validation is enabled on the short code.
+     */
+    async validateC2B(payment) {
+
+        if (!this.resolveAccount) {
+            return { ResultCode: '0', ResultDesc: 'Accepted' };
+        }
+
+        const account = await this.resolveAccount(payment.billRefNumber, payment);
+
+        return account
+            ? { ResultCode: '0', ResultDesc: 'Accepted' }
+            : { ResultCode: 'C2B00012', ResultDesc: 'Rejected' };
+    }
+
+    /**
+     * Record a completed paybill payment. Payments whose account number
+     * cannot be resolved are kept and posted to unallocated receipts.
+     */
+    async confirmC2B(payment) {
+
+        const account = this.resolveAccount
+            ? await this.resolveAccount(payment.billRefNumber, payment)
+            : null;
+
+        const { transaction, duplicate } = await this.reserve({
+            externalId: `MPESA-C2B-${payment.receipt}`,
+            tenantId: account?.tenantId,
+            userId: account?.userId,
+            groupId: account?.groupId,
+            loanId: account?.loanId,
+            transactionType: account?.transactionType || 'DEPOSIT',
+            flow: 'credit',
+            provider: 'mpesa',
+            amount: Number(payment.amount),
+            currency: this.configuration.currency,
+            phone: payment.phone,
+            providerTransactionId: payment.receipt,
+            status: 'PENDING',
+            description: `M-Pesa paybill ${payment.billRefNumber || ''}`.trim(),
+            metadata: {
+                billRefNumber: payment.billRefNumber,
+                payerName: payment.payerName,
+                unallocated: !account
+            }
+        });
+
+        if (duplicate) {
+            this.statistics.duplicates++;
+            return { duplicate: true, transaction };
+        }
+
+        this.statistics.c2b++;
+
+        return this.settlement.complete(transaction, {
+            receipt: payment.receipt,
+            completedAt: payment.completedAt,
+            source: 'c2b_confirmation',
+            raw: payment.raw
+        });
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Internals
+     * -------------------------------------------------------------------------
+     */
+
+    /**
+     * Create the transaction for a reference, or return the existing one when
+     * the reference has been used before with the same amount and phone.
+     */
+    async reserve(document) {
+
+        const existing = await this.Transaction.findOne({ externalId: document.externalId });
+
+        if (existing) {
+            return { transaction: this.assertSameRequest(existing, document), duplicate: true };
+        }
+
+        try {
+
+            return { transaction: await this.Transaction.create(document), duplicate: false };
+
+        } catch (error) {
+
+            if (error?.code !== 11000) {
+                throw error;
+            }
+
+            // Lost a race with a concurrent request for the same reference
+            const winner = await this.Transaction.findOne({ externalId: document.externalId });
+
+            return { transaction: this.assertSameRequest(winner, document), duplicate: true };
+        }
+    }
+
+    assertSameRequest(existing, document) {
+
+        if (Number(existing.amount) !== Number(document.amount) || (document.phone && existing.phone !== document.phone)) {
+            throw new IdempotencyError(
+                `Reference ${document.externalId} was already used for a different payment`,
+                { provider: 'MPESA', transactionId: document.externalId }
+            );
+        }
+
+        return existing;
+    }
+
+    async markRequestFailed(transaction, reason) {
+
+        await this.Transaction.updateOne(
+            { _id: transaction._id, status: 'PENDING' },
+            { $set: { status: 'FAILED', statusReason: reason || 'STK push request failed' } }
+        );
+    }
+
+    summarize(transaction) {
+
+        return {
+            id: transaction._id,
+            reference: transaction.externalId,
+            checkoutRequestId: transaction.providerReferenceId,
+            receipt: transaction.providerTransactionId,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            status: transaction.status,
+            statusReason: transaction.statusReason
+        };
+    }
+
+    health() {
+
+        return {
+            provider: 'MPESA',
+            module: 'collections',
+            status: 'UP',
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = MpesaCollections;
+module.exports.COLLECTION_TYPES = COLLECTION_TYPES;
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa (Safaricom Daraja) Configuration
+ * =============================================================================
+ *
+ * Resolves the Daraja credentials, short codes and callback settings from
+ * explicit overrides first and the environment second. Variable names follow
+ * config/environment/validation/mobileMoneyValidator.js.
+ *
+ * Callback security
+ * -----------------
+ * Daraja does not sign callbacks. Every callback URL we register carries a
+ * shared secret (`MPESA_WEBHOOK_SECRET`) as a `token` query parameter, and the
+ * source IP can additionally be pinned with `MPESA_CALLBACK_IPS`.
+ *
+ * =============================================================================
+ */
+
+const { ValidationError } = require('../shared/errors');
+
+const BASE_URLS = Object.freeze({
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+});
+
+const CALLBACK_KINDS = Object.freeze({
+    STK: 'stk',
+    C2B_VALIDATION: 'c2b/validation',
+    C2B_CONFIRMATION: 'c2b/confirmation',
+    B2C_RESULT: 'b2c/result',
+    B2C_TIMEOUT: 'b2c/timeout'
+});
+
+const REQUIRED = Object.freeze({
+    collections: ['consumerKey', 'consumerSecret', 'shortCode', 'passkey', 'callbackBaseUrl', 'callbackToken'],
+    disbursements: ['consumerKey', 'consumerSecret', 'b2cShortCode', 'initiatorName', 'initiatorPassword', 'callbackBaseUrl', 'callbackToken']
+});
+
+function firstDefined(...values) {
+    return values.find((value) => value !== undefined && value !== null && value !== '');
+}
+
+function list(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return String(value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+class MpesaConfiguration {
+
+    constructor(overrides = {}, env = process.env) {
+
+        this.environment =
+            firstDefined(overrides.environment, env.MPESA_ENVIRONMENT, 'sandbox');
+
+        this.baseUrl =
+            firstDefined(overrides.baseUrl, env.MPESA_BASE_URL, env.MPESA_API_URL, BASE_URLS[this.environment], BASE_URLS.sandbox);
+
+        this.consumerKey =
+            firstDefined(overrides.consumerKey, env.MPESA_CONSUMER_KEY, env.MPESA_CLIENT_ID);
+
+        this.consumerSecret =
+            firstDefined(overrides.consumerSecret, env.MPESA_CONSUMER_SECRET, env.MPESA_CLIENT_SECRET);
+
+        // Paybill / till used for STK push and C2B
+        this.shortCode =
+            firstDefined(overrides.shortCode, env.MPESA_SHORT_CODE, env.MPESA_SHORTCODE);
+
+        // STK push transaction type: CustomerPayBillOnline or CustomerBuyGoodsOnline
+        this.transactionType =
+            firstDefined(overrides.transactionType, env.MPESA_TRANSACTION_TYPE, 'CustomerPayBillOnline');
+
+        this.passkey =
+            firstDefined(overrides.passkey, env.MPESA_PASSKEY);
+
+        // B2C payouts often run from a separate bulk disbursement short code
+        this.b2cShortCode =
+            firstDefined(overrides.b2cShortCode, env.MPESA_B2C_SHORT_CODE, this.shortCode);
+
+        this.initiatorName =
+            firstDefined(overrides.initiatorName, env.MPESA_INITIATOR_NAME);
+
+        this.initiatorPassword =
+            firstDefined(overrides.initiatorPassword, env.MPESA_INITIATOR_PASSWORD);
+
+        // PEM certificate used to encrypt the initiator password
+        this.certificate =
+            firstDefined(overrides.certificate, env.MPESA_CERTIFICATE);
+
+        this.certificatePath =
+            firstDefined(overrides.certificatePath, env.MPESA_CERTIFICATE_PATH);
+
+        this.callbackBaseUrl =
+            firstDefined(overrides.callbackBaseUrl, env.MPESA_CALLBACK_URL, env.MPESA_WEBHOOK_URL);
+
+        this.callbackToken =
+            firstDefined(overrides.callbackToken, env.MPESA_WEBHOOK_SECRET);
+
+        this.allowedCallbackIps =
+            list(firstDefined(overrides.allowedCallbackIps, env.MPESA_CALLBACK_IPS));
+
+        this.currency =
+            firstDefined(overrides.currency, env.MPESA_CURRENCY, 'KES');
+
+        this.timeoutMs =
+            Number(firstDefined(overrides.timeoutMs, env.MPESA_TIMEOUT_MS, 30000));
+
+        // STK prompts that have had no callback for this long are re-queried
+        this.pendingAfterMinutes =
+            Number(firstDefined(overrides.pendingAfterMinutes, env.MPESA_PENDING_AFTER_MINUTES, 15));
+
+        // Folder where the daily organisation statement CSV is dropped
+        this.statementDir =
+            firstDefined(overrides.statementDir, env.MPESA_STATEMENT_DIR);
+
+        // Ledger account holding M-Pesa funds until they reach the bank
+        this.clearingAccount = {
+            accountCode: firstDefined(overrides.clearingAccountCode, env.MPESA_CLEARING_ACCOUNT_CODE, '1011'),
+            accountName: 'M-Pesa Settlement Account'
+        };
+    }
+
+    /**
+     * Throw when a capability is missing credentials. Pass no capability to
+     * check everything the adapter uses.
+     */
+    validate(capability) {
+
+        const keys = capability
+            ? REQUIRED[capability] || []
+            : [...new Set([...REQUIRED.collections, ...REQUIRED.disbursements])];
+
+        const missing = keys.filter((key) => !this[key]);
+
+        if (missing.length) {
+            throw new ValidationError(
+                `M-Pesa configuration incomplete: ${missing.join(', ')}`,
+                { provider: 'MPESA', metadata: { missing } }
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Absolute callback URL for a callback kind, carrying the shared token.
+     */
+    callbackUrl(kind) {
+
+        const base = String(this.callbackBaseUrl || '').replace(/\/+$/, '');
+
+        return `${base}/${kind}?token=${encodeURIComponent(this.callbackToken || '')}`;
+    }
+}
+
+module.exports = MpesaConfiguration;
+module.exports.BASE_URLS = BASE_URLS;
+module.exports.CALLBACK_KINDS = CALLBACK_KINDS;
@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Disbursements (B2C)
+ * =============================================================================
+ *
+ * Supports:
+ *
+ * • Savings withdrawals
+ * • Loan disbursements
+ * • Refunds and other business payments
+ *
+ * Idempotency
+ * -----------
+ * The caller's `reference` becomes both the transaction `externalId` and the
+ * Daraja `OriginatorConversationID`, which M-Pesa refuses to process twice.
+ * A request that timed out is therefore left PENDING (never FAILED) so that
+ * the result callback or the daily reconciliation can settle it.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const {
+    ValidationError,
+    ProviderRejectedError,
+    TimeoutError,
+    NetworkError,
+    normalizeError
+} = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+const { CALLBACK_KINDS } = MpesaConfiguration;
+const { normalizeMsisdn } = require('./auth');
+
+const DISBURSEMENT_TYPES = ['WITHDRAWAL', 'LOAN_DISBURSEMENT', 'REFUND'];
+
+const COMMAND_IDS = Object.freeze({
+    WITHDRAWAL: 'BusinessPayment',
+    LOAN_DISBURSEMENT: 'BusinessPayment',
+    REFUND: 'BusinessPayment'
+});
+
+class MpesaDisbursements {
+
+    constructor({
+        auth,
+        configuration,
+        transactionModel,
+        collections,
+        eventPublisher,
+        auditService,
+        logger,
+        metrics,
+        tracer
+    } = {}) {
+
+        if (!auth) {
+            throw new Error('auth is required');
+        }
+
+        this.auth =
+            auth;
+
+        this.configuration =
+            configuration || auth.configuration || new MpesaConfiguration();
+
+        this.Transaction =
+            transactionModel || require('../../../models/Transaction');
+
+        // Shares the reference reservation logic with collections
+        this.collections =
+            collections;
+
+        this.eventPublisher =
+            eventPublisher;
+
+        this.auditService =
+            auditService;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.tracer =
+            tracer;
+
+        this.statistics = {
+            initiated: 0,
+            successful: 0,
+            failed: 0,
+            duplicates: 0
+        };
+    }
+
+    async initialize() {
+
+        this.configuration.validate('disbursements');
+
+        return true;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Disburse
+     * -------------------------------------------------------------------------
+     */
+    async disburse({
+        tenantId,
+        userId,
+        groupId,
+        loanId,
+        beneficiary = {},
+        amount,
+        reference,
+        type = 'WITHDRAWAL',
+        remarks,
+        occasion,
+        requestedBy,
+        metadata = {}
+    } = {}) {
+
+        const correlationId = crypto.randomUUID();
+        const span = this.tracer?.startSpan?.('payment.mpesa.disbursement');
+
+        this.statistics.initiated++;
+
+        try {
+
+            if (!Number.isInteger(Number(amount)) || Number(amount) < 10) {
+                throw new ValidationError('M-Pesa B2C amounts must be whole shillings of at least 10', { provider: 'MPESA' });
+            }
+
+            if (!DISBURSEMENT_TYPES.includes(type)) {
+                throw new ValidationError(`Unsupported M-Pesa disbursement type: ${type}`, { provider: 'MPESA' });
+            }
+
+            const msisdn = normalizeMsisdn(beneficiary.phoneNumber || beneficiary.phone);
+            const externalId = reference || `MPD-${crypto.randomUUID()}`;
+
+            const { transaction, duplicate } = await this.collections.reserve({
+                externalId,
+                tenantId,
+                userId,
+                groupId,
+                loanId,
+                transactionType: type,
+                flow: 'debit',
+                provider: 'mpesa',
+                amount: Number(amount),
+                currency: this.configuration.currency,
+                phone: msisdn,
+                beneficiaryName: beneficiary.name,
+                status: 'PENDING',
+                description: remarks,
+                createdBy: requestedBy,
+                metadata: { ...metadata, correlationId }
+            });
+
+            if (duplicate) {
+                this.statistics.duplicates++;
+                return { ...this.collections.summarize(transaction), duplicate: true };
+            }
+
+            let response;
+
+            try {
+
+                response = await this.auth.post('/mpesa/b2c/v3/paymentrequest', {
+                    OriginatorConversationID: externalId,
+                    InitiatorName: this.configuration.initiatorName,
+                    SecurityCredential: this.auth.securityCredential(),
+                    CommandID: COMMAND_IDS[type],
+                    Amount: Number(amount),
+                    PartyA: this.configuration.b2cShortCode,
+                    PartyB: msisdn,
+                    Remarks: String(remarks || type).slice(0, 100),
+                    QueueTimeOutURL: this.configuration.callbackUrl(CALLBACK_KINDS.B2C_TIMEOUT),
+                    ResultURL: this.configuration.callbackUrl(CALLBACK_KINDS.B2C_RESULT),
+                    Occasion: String(occasion || externalId).slice(0, 100)
+                });
+
+            } catch (error) {
+
+                // The request may have reached M-Pesa; leave it for the callback
+                if (error instanceof TimeoutError || error instanceof NetworkError) {
+                    await this.Transaction.updateOne(
+                        { _id: transaction._id },
+                        { $set: { statusReason: 'Awaiting confirmation from M-Pesa' } }
+                    );
+                } else {
+                    await this.collections.markRequestFailed(transaction, error.message);
+                }
+
+                throw error;
+            }
+
+            if (String(response?.ResponseCode) !== '0') {
+
+                await this.collections.markRequestFailed(transaction, response?.ResponseDescription);
+
+                throw new ProviderRejectedError(
+                    response?.ResponseDescription || 'M-Pesa rejected the B2C request',
+                    { provider: 'MPESA', tenantId, transactionId: externalId }
+                );
+            }
+
+            const updated = await this.Transaction.findOneAndUpdate(
+                { _id: transaction._id, status: 'PENDING' },
+                { $set: { status: 'PROCESSING', providerReferenceId: response.ConversationID } },
+                { new: true }
+            );
+
+            this.statistics.successful++;
+            this.metrics?.counter?.('payment_mpesa_disbursement_success_total');
+
+            await this.eventPublisher?.publish?.({
+                type: 'MPESA_DISBURSEMENT_CREATED',
+                payload: { tenantId, reference: externalId, amount: Number(amount), correlationId }
+            });
+
+            await this.auditService?.record?.({
+                action: 'MPESA_DISBURSEMENT_REQUESTED',
+                tenantId,
+                reference: externalId,
+                requestedBy,
+                correlationId
+            });
+
+            return {
+                ...this.collections.summarize(updated || transaction),
+                conversationId: response.ConversationID,
+                correlationId
+            };
+
+        } catch (error) {
+
+            this.statistics.failed++;
+            this.metrics?.counter?.('payment_mpesa_disbursement_failure_total');
+
+            const normalized = normalizeError(error, { provider: 'MPESA', tenantId, correlationId });
+
+            this.logger?.error?.({
+                message: 'M-Pesa disbursement failed',
+                tenantId,
+                reference,
+                correlationId,
+                error: normalized.toJSON?.() || normalized.message
+            });
+
+            throw normalized;
+
+        } finally {
+
+            span?.end?.();
+        }
+    }
+
+    async query(reference) {
+
+        const transaction = await this.Transaction.findOne({ provider: 'mpesa', externalId: reference });
+
+        if (!transaction) {
+            throw new ValidationError(`Unknown M-Pesa transaction ${reference}`, { provider: 'MPESA' });
+        }
+
+        return this.collections.summarize(transaction);
+    }
+
+    health() {
+
+        return {
+            provider: 'MPESA',
+            module: 'disbursements',
+            status: 'UP',
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = MpesaDisbursements;
+module.exports.DISBURSEMENT_TYPES = DISBURSEMENT_TYPES;
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Enterprise Payment Module
+ * =============================================================================
+ *
+ * Public entry point for the M-Pesa (Safaricom Daraja) provider.
+ *
+ * Responsibilities
+ * ----------------
+ * • Centralized dependency composition
+ * • Provider service initialization
+ * • Provider adapter surface for the orchestration ProviderRouter
+ *   (collect, disburse, query, health)
+ * • Health aggregation
+ * • Lazy singleton creation
+ *
+ * This file intentionally contains NO business logic.
+ *
+ * =============================================================================
+ */
+
+const MpesaConfiguration = require('./configuration');
+const MpesaAuth = require('./auth');
+const MpesaSettlement = require('./settlement');
+const MpesaCollections = require('./collections');
+const MpesaDisbursements = require('./disbursements');
+const MpesaCallbacks = require('./callbacks');
+const MpesaReconciliation = require('./reconciliation');
+
+const CAPABILITIES = Object.freeze([
+    'collect',
+    'disburse',
+    'query',
+    'callback',
+    'reconcile',
+    'settle'
+]);
+
+class MpesaPaymentModule {
+
+    constructor(dependencies = {}) {
+
+        const shared = {
+            ...dependencies,
+            configuration: dependencies.configuration || new MpesaConfiguration(dependencies.config)
+        };
+
+        this.dependencies = Object.freeze(shared);
+
+        this.startedAt = new Date();
+
+        this.initialized = false;
+
+        this.logger = dependencies.logger;
+
+        this.metrics = dependencies.metrics;
+
+        this.capabilities = CAPABILITIES;
+
+        const auth = new MpesaAuth(shared);
+        const settlement = new MpesaSettlement(shared);
+        const collections = new MpesaCollections({ ...shared, auth, settlement });
+        const disbursements = new MpesaDisbursements({ ...shared, auth, collections });
+        const callbacks = new MpesaCallbacks({ ...shared, settlement, collections });
+        const reconciliation = new MpesaReconciliation({ ...shared, settlement, collections });
+
+        this.services = { auth, collections, disbursements, callbacks, settlement, reconciliation };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Initialize Module
+     * -------------------------------------------------------------------------
+     */
+    async initialize() {
+
+        if (this.initialized) {
+            return this;
+        }
+
+        for (const service of Object.values(this.services)) {
+
+            if (service?.initialize) {
+                await service.initialize();
+            }
+        }
+
+        this.initialized = true;
+
+        this.metrics?.counter?.('payment_mpesa_module_initialized_total');
+
+        this.logger?.info?.({ message: 'M-Pesa payment module initialized' });
+
+        return this;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Service Accessors
+     * -------------------------------------------------------------------------
+     */
+
+    get auth() {
+        return this.services.auth;
+    }
+
+    get collections() {
+        return this.services.collections;
+    }
+
+    get disbursements() {
+        return this.services.disbursements;
+    }
+
+    get callbacks() {
+        return this.services.callbacks;
+    }
+
+    get settlement() {
+        return this.services.settlement;
+    }
+
+    get reconciliation() {
+        return this.services.reconciliation;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Provider adapter surface
+     * -------------------------------------------------------------------------
+     */
+
+    collect(request) {
+        return this.services.collections.collect(request);
+    }
+
+    disburse(request) {
+        return this.services.disbursements.disburse(request);
+    }
+
+    query(reference) {
+        return this.services.collections.query(reference);
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Aggregate Health
+     * -------------------------------------------------------------------------
+     */
+    async health() {
+
+        const services = {};
+
+        for (const [name, service] of Object.entries(this.services)) {
+
+            try {
+                services[name] = await service.health();
+            } catch (error) {
+                services[name] = { status: 'DOWN', error: error.message };
+            }
+        }
+
+        const overallStatus =
+            Object.values(services).some((s) => s.status === 'DOWN')
+                ? 'DEGRADED'
+                : 'UP';
+
+        return {
+
+            provider: 'MPESA',
+
+            module: 'payment',
+
+            status: overallStatus,
+
+            initialized: this.initialized,
+
+            startedAt: this.startedAt,
+
+            uptimeMs: Date.now() - this.startedAt.getTime(),
+
+            services
+        };
+    }
+}
+
+/**
+ * =============================================================================
+ * Enterprise Factory
+ * =============================================================================
+ */
+
+function createMpesaPaymentModule(dependencies = {}) {
+
+    return new MpesaPaymentModule(dependencies);
+}
+
+/**
+ * Lazy singleton for applications that only need one instance.
+ */
+let singleton = null;
+
+function getMpesaPaymentModule(dependencies = {}) {
+
+    if (!singleton) {
+        singleton = createMpesaPaymentModule(dependencies);
+    }
+
+    return singleton;
+}
+
+module.exports = {
+
+    MpesaPaymentModule,
+
+    createMpesaPaymentModule,
+
+    getMpesaPaymentModule,
+
+    MpesaConfiguration,
+
+    MpesaAuth,
+
+    MpesaCollections,
+
+    MpesaDisbursements,
+
+    MpesaCallbacks,
+
+    MpesaSettlement,
+
+    MpesaReconciliation,
+
+    CAPABILITIES
+};
@@ -0,0 +1,609 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Reconciliation
+ * =============================================================================
+ *
+ * Reconciles a day of M-Pesa activity against the organisation statement
+ * exported from the M-Pesa portal (CSV).
+ *
+ * Matching
+ * --------
+ * 1. By M-Pesa receipt number.
+ * 2. For transactions settled without a receipt (e.g. resolved through an STK
+ *    status query): same direction, same amount and the same visible phone
+ *    digits, closest in time.
+ *
+ * Outcomes
+ * --------
+ * • matched         marked reconciled; receipt back-filled
+ * • recovered       still open internally but completed on the statement
+ *                   (missed callback) — completed and posted
+ * • mismatches      amount differs, or failed internally but paid
+ * • missingInternal on the statement only
+ * • missingProvider settled internally but absent from the statement
+ * • charges         M-Pesa fees, reported but not matched
+ *
+ * The result is stored as a Reconciliation document (provider MPESA).
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { ReconciliationError, normalizeError } = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['PENDING', 'PROCESSING'];
+const SETTLED_STATUSES = ['SUCCESS', 'SETTLED'];
+
+// Fallback matches must complete within this window of the internal record
+const FALLBACK_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+const HEADERS = Object.freeze({
+    receipt: ['receipt no.', 'receipt no', 'receipt'],
+    completedAt: ['completion time', 'completed'],
+    details: ['details'],
+    status: ['transaction status', 'status'],
+    paidIn: ['paid in'],
+    withdrawn: ['withdrawn'],
+    balance: ['balance'],
+    reasonType: ['reason type'],
+    otherParty: ['other party info'],
+    accountNumber: ['a/c no.', 'a/c no', 'account no.']
+});
+
+/**
+ * Split CSV text into rows, honouring quoted fields.
+ */
+function parseCsv(text) {
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function parseAmount(value) {
+
+    const cleaned = String(value || '').replace(/[^0-9.-]/g, '');
+
+    return cleaned ? Math.abs(Number(cleaned)) : 0;
+}
+
+/**
+ * Statement times are Kenyan local time: 2026-10-18 14:03:11 or 18-10-2026 14:03:11.
+ */
+function parseStatementTime(value) {
+
+    const text = String(value || '').trim();
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+
+    if (match) {
+        const [, y, mo, d, h, mi, s = '00'] = match;
+        return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+03:00`);
+    }
+
+    match = text.match(/^(\d{2})[-/](\d{2})[-/](\d{4}) (\d{2}):(\d{2})(?::(\d{2}))?/);
+
+    if (match) {
+        const [, d, mo, y, h, mi, s = '00'] = match;
+        return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+03:00`);
+    }
+
+    return null;
+}
+
+/**
+ * Trailing visible digits of a (masked) phone, e.g. "254712***678 - JANE" -> "678".
+ */
+function visibleDigits(value, count = 3) {
+
+    const phone = String(value || '').split(' - ')[0];
+    const match = phone.match(/(\d+)\D*$/);
+
+    return match ? match[1].slice(-count) : null;
+}
+
+/**
+ * Parse an M-Pesa organisation statement. Portal exports carry a few header
+ * lines before the column row, which is located by its "Receipt No." cell.
+ */
+function parseStatement(text) {
+
+    const rows = parseCsv(Buffer.isBuffer(text) ? text.toString('utf8') : String(text || ''));
+
+    const headerIndex = rows.findIndex((cells) =>
+        cells.some((cell) => HEADERS.receipt.includes(cell.trim().toLowerCase()))
+    );
+
+    if (headerIndex === -1) {
+        throw new ReconciliationError('M-Pesa statement has no "Receipt No." column', { provider: 'MPESA' });
+    }
+
+    const header = rows[headerIndex].map((cell) => cell.trim().toLowerCase());
+    const column = Object.fromEntries(
+        Object.entries(HEADERS).map(([key, names]) => [key, header.findIndex((cell) => names.includes(cell))])
+    );
+    const cell = (cells, key) => (column[key] >= 0 ? String(cells[column[key]] || '').trim() : '');
+
+    return rows.slice(headerIndex + 1)
+        .filter((cells) => cell(cells, 'receipt'))
+        .map((cells) => {
+
+            const paidIn = parseAmount(cell(cells, 'paidIn'));
+            const withdrawn = parseAmount(cell(cells, 'withdrawn'));
+            const details = cell(cells, 'details');
+            const reasonType = cell(cells, 'reasonType');
+
+            return {
+                receipt: cell(cells, 'receipt'),
+                completedAt: parseStatementTime(cell(cells, 'completedAt')),
+                details,
+                status: cell(cells, 'status') || 'Completed',
+                direction: paidIn > 0 ? 'credit' : 'debit',
+                amount: paidIn > 0 ? paidIn : withdrawn,
+                balance: parseAmount(cell(cells, 'balance')),
+                reasonType,
+                otherParty: cell(cells, 'otherParty'),
+                accountNumber: cell(cells, 'accountNumber'),
+                charge: /charge/i.test(`${reasonType} ${details}`)
+            };
+        });
+}
+
+/**
+ * [start, end) of a calendar day in Kenyan time.
+ */
+function dayWindow(date) {
+
+    const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? date
+        : new Date(new Date(date).getTime() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const start = new Date(`${day}T00:00:00+03:00`);
+
+    if (Number.isNaN(start.getTime())) {
+        throw new ReconciliationError(`Invalid reconciliation date: ${date}`, { provider: 'MPESA' });
+    }
+
+    return { day, start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+function snapshot(transaction) {
+
+    return {
+        referenceId: transaction.externalId,
+        providerTransactionId: transaction.providerTransactionId,
+        memberId: transaction.userId ? String(transaction.userId) : undefined,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: transaction.status,
+        transactionDate: transaction.settlementDate || transaction.createdAt
+    };
+}
+
+function statementSnapshot(row) {
+
+    return {
+        referenceId: row.receipt,
+        providerTransactionId: row.receipt,
+        accountId: row.accountNumber || undefined,
+        amount: row.amount,
+        currency: 'KES',
+        status: row.status,
+        transactionDate: row.completedAt,
+        metadata: { details: row.details, otherParty: row.otherParty, direction: row.direction }
+    };
+}
+
+class MpesaReconciliation {
+
+    constructor({
+        configuration,
+        transactionModel,
+        reconciliationModel,
+        settlement,
+        collections,
+        auditService,
+        logger,
+        metrics,
+        clock = () => Date.now()
+    } = {}) {
+
+        this.configuration =
+            configuration || new MpesaConfiguration();
+
+        this.Transaction =
+            transactionModel || require('../../../models/Transaction');
+
+        this.Reconciliation =
+            reconciliationModel || require('../../../models/Reconciliation');
+
+        this.settlement =
+            settlement;
+
+        this.collections =
+            collections;
+
+        this.auditService =
+            auditService;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.clock =
+            clock;
+
+        this.statistics = {
+            executions: 0,
+            matched: 0,
+            recovered: 0,
+            exceptions: 0
+        };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Reconcile a statement
+     * -------------------------------------------------------------------------
+     */
+    async reconcile({ tenantId, date, statement, generatedBy = 'system' }) {
+
+        const { day, start, end } = dayWindow(date);
+        const correlationId = crypto.randomUUID();
+
+        this.statistics.executions++;
+
+        const rows = parseStatement(statement)
+            .filter((row) => /completed/i.test(row.status))
+            .filter((row) => !row.completedAt || (row.completedAt >= start && row.completedAt < end));
+
+        const tenantFilter = tenantId ? { tenantId } : {};
+
+        const internal = await this.Transaction.find({
+            provider: 'mpesa',
+            ...tenantFilter,
+            $or: [
+                { settlementDate: { $gte: start, $lt: end } },
+                { createdAt: { $gte: new Date(start.getTime() - DAY_MS), $lt: end } },
+                { status: { $in: OPEN_STATUSES }, createdAt: { $lt: end } }
+            ]
+        });
+
+        const report = {
+            matched: [],
+            recovered: [],
+            mismatches: [],
+            missingInternal: [],
+            missingProvider: [],
+            duplicates: [],
+            charges: 0
+        };
+
+        const byReceipt = new Map(
+            internal.filter((tx) => tx.providerTransactionId).map((tx) => [tx.providerTransactionId, tx])
+        );
+        const claimed = new Set();
+        const seenReceipts = new Set();
+
+        for (const row of rows) {
+
+            if (seenReceipts.has(row.receipt)) {
+                report.duplicates.push(statementSnapshot(row));
+                continue;
+            }
+            seenReceipts.add(row.receipt);
+
+            if (row.charge) {
+                report.charges += row.amount;
+                continue;
+            }
+
+            const transaction = byReceipt.get(row.receipt) || this.fallbackMatch(row, internal, claimed);
+
+            if (!transaction) {
+                report.missingInternal.push(statementSnapshot(row));
+                continue;
+            }
+
+            claimed.add(String(transaction._id));
+
+            try {
+                await this.applyMatch(transaction, row, report);
+            } catch (error) {
+                const normalized = normalizeError(error, { provider: 'MPESA', correlationId });
+                report.mismatches.push({
+                    provider: statementSnapshot(row),
+                    internal: snapshot(transaction),
+                    reason: `RECOVERY_FAILED: ${normalized.message}`
+                });
+            }
+        }
+
+        for (const transaction of internal) {
+
+            const settledToday =
+                SETTLED_STATUSES.includes(transaction.status) &&
+                transaction.settlementDate >= start &&
+                transaction.settlementDate < end;
+
+            if (settledToday && !claimed.has(String(transaction._id))) {
+                report.missingProvider.push(snapshot(transaction));
+            }
+        }
+
+        const summary = {
+            matched: report.matched.length,
+            missingInternal: report.missingInternal.length,
+            missingProvider: report.missingProvider.length,
+            mismatches: report.mismatches.length,
+            duplicates: report.duplicates.length
+        };
+
+        const exceptions = summary.missingInternal + summary.missingProvider + summary.mismatches + summary.duplicates;
+
+        this.statistics.matched += summary.matched;
+        this.statistics.recovered += report.recovered.length;
+        this.statistics.exceptions += exceptions;
+
+        const record = await this.Reconciliation.create({
+            reconciliationId: `MPESA-REC-${day.replace(/-/g, '')}-${correlationId.slice(0, 8)}`,
+            tenantId: tenantId ? String(tenantId) : 'ALL',
+            provider: 'MPESA',
+            reconciliationDate: start,
+            status: exceptions ? 'PARTIAL' : 'COMPLETED',
+            totalProviderTransactions: rows.length,
+            totalInternalTransactions: internal.length,
+            matched: report.matched,
+            missingInternal: report.missingInternal,
+            missingProvider: report.missingProvider,
+            duplicates: report.duplicates,
+            mismatches: report.mismatches,
+            summary,
+            isBalanced: exceptions === 0,
+            generatedBy: String(generatedBy),
+            metadata: {
+                correlationId,
+                recovered: report.recovered,
+                charges: report.charges,
+                totals: {
+                    paidIn: rows.filter((row) => row.direction === 'credit' && !row.charge).reduce((sum, row) => sum + row.amount, 0),
+                    withdrawn: rows.filter((row) => row.direction === 'debit' && !row.charge).reduce((sum, row) => sum + row.amount, 0)
+                }
+            }
+        });
+
+        this.metrics?.counter?.('payment_mpesa_reconciliation_total');
+
+        await this.auditService?.record?.({
+            action: 'MPESA_RECONCILIATION_COMPLETED',
+            provider: 'MPESA',
+            tenantId,
+            date: day,
+            summary,
+            recovered: report.recovered.length,
+            correlationId
+        });
+
+        this.logger?.info?.({ message: 'M-Pesa reconciliation completed', date: day, summary, recovered: report.recovered.length });
+
+        return record;
+    }
+
+    /**
+     * Match a statement line to an internal transaction without a receipt.
+     */
+    fallbackMatch(row, internal, claimed) {
+
+        const digits = visibleDigits(row.otherParty);
+
+        const candidates = internal.filter((tx) =>
+            !tx.providerTransactionId &&
+            !claimed.has(String(tx._id)) &&
+            (tx.flow === 'debit' ? 'debit' : 'credit') === row.direction &&
+            Number(tx.amount) === row.amount &&
+            (!digits || visibleDigits(tx.phone) === digits) &&
+            (!row.completedAt || Math.abs(row.completedAt - (tx.settlementDate || tx.createdAt)) <= FALLBACK_WINDOW_MS)
+        );
+
+        if (!row.completedAt) {
+            return candidates[0] || null;
+        }
+
+        return candidates.sort((a, b) =>
+            Math.abs(row.completedAt - (a.settlementDate || a.createdAt)) -
+            Math.abs(row.completedAt - (b.settlementDate || b.createdAt))
+        )[0] || null;
+    }
+
+    async applyMatch(transaction, row, report) {
+
+        if (Number(transaction.amount) !== row.amount) {
+            report.mismatches.push({ provider: statementSnapshot(row), internal: snapshot(transaction), reason: 'AMOUNT_MISMATCH' });
+            return;
+        }
+
+        if (transaction.status === 'FAILED' || transaction.status === 'CANCELLED') {
+            report.mismatches.push({ provider: statementSnapshot(row), internal: snapshot(transaction), reason: 'PAID_BUT_FAILED_INTERNALLY' });
+            return;
+        }
+
+        let current = transaction;
+
+        if (OPEN_STATUSES.includes(transaction.status)) {
+
+            ({ transaction: current } = await this.settlement.complete(transaction, {
+                receipt: row.receipt,
+                completedAt: row.completedAt,
+                source: 'reconciliation'
+            }));
+
+            report.recovered.push(transaction.externalId);
+
+        } else if (!transaction.accountingPosted) {
+
+            current = await this.settlement.post(transaction);
+        }
+
+        await this.Transaction.updateOne(
+            { _id: transaction._id },
+            {
+                $set: {
+                    reconciled: true,
+                    reconciledAt: new Date(this.clock()),
+                    providerTransactionId: transaction.providerTransactionId || row.receipt
+                }
+            }
+        );
+
+        report.matched.push({ provider: statementSnapshot(row), internal: snapshot(current || transaction) });
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Stale STK prompts
+     * -------------------------------------------------------------------------
+     */
+    async refreshPending({ tenantId } = {}) {
+
+        const cutoff = new Date(this.clock() - this.configuration.pendingAfterMinutes * 60 * 1000);
+
+        const stale = await this.Transaction.find({
+            provider: 'mpesa',
+            flow: 'credit',
+            status: { $in: OPEN_STATUSES },
+            providerReferenceId: { $exists: true, $ne: null },
+            createdAt: { $lt: cutoff },
+            ...(tenantId ? { tenantId } : {})
+        }).limit(500);
+
+        const result = { checked: stale.length, resolved: 0, failed: [] };
+
+        for (const transaction of stale) {
+
+            try {
+                const status = await this.collections.query(transaction.externalId);
+                if (!OPEN_STATUSES.includes(status.status)) {
+                    result.resolved++;
+                }
+            } catch (error) {
+                result.failed.push({ reference: transaction.externalId, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Daily run
+     * -------------------------------------------------------------------------
+     * Re-queries stale prompts, reconciles yesterday's statement when it has
+     * been dropped in MPESA_STATEMENT_DIR (mpesa-statement-YYYY-MM-DD.csv) and
+     * retries failed ledger postings.
+     */
+    async runDaily({ date = new Date(this.clock() - DAY_MS), tenantId } = {}) {
+
+        const { day } = dayWindow(date);
+
+        const pending = await this.refreshPending({ tenantId });
+
+        let reconciliation = null;
+        let statementFile = null;
+
+        if (this.configuration.statementDir) {
+
+            statementFile = path.join(this.configuration.statementDir, `mpesa-statement-${day}.csv`);
+
+            if (fs.existsSync(statementFile)) {
+                reconciliation = await this.reconcile({
+                    tenantId,
+                    date: day,
+                    statement: fs.readFileSync(statementFile, 'utf8')
+                });
+            } else {
+                this.logger?.warn?.({ message: 'M-Pesa statement not found for reconciliation', date: day, statementFile });
+            }
+        }
+
+        const settlement = await this.settlement.settlePending({ tenantId });
+
+        return {
+            date: day,
+            pending,
+            statementFile: reconciliation ? statementFile : null,
+            reconciliation: reconciliation && {
+                reconciliationId: reconciliation.reconciliationId,
+                summary: reconciliation.summary,
+                isBalanced: reconciliation.isBalanced
+            },
+            settlement
+        };
+    }
+
+    health() {
+
+        return {
+            provider: 'MPESA',
+            module: 'reconciliation',
+            status: 'UP',
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = MpesaReconciliation;
+module.exports.parseStatement = parseStatement;
+module.exports.dayWindow = dayWindow;
@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * M-Pesa Settlement
+ * =============================================================================
+ *
+ * Responsibilities
+ * ----------------
+ * • Terminal state transitions for M-Pesa transactions (exactly once)
+ * • Double-entry posting of settled collections and disbursements
+ * • Recovery of settled transactions whose ledger posting failed
+ *
+ * Posting rules
+ * -------------
+ *   Collection   DR M-Pesa Settlement Account   CR savings / loan portfolio /
+ *                                                  unallocated receipts
+ *   Disbursement DR savings / loan portfolio      CR M-Pesa Settlement Account
+ *
+ * Journals are keyed on the transaction reference, so a replayed callback or a
+ * reconciliation run can never post the same money twice.
+ *
+ * =============================================================================
+ */
+
+const { SettlementError, normalizeError } = require('../shared/errors');
+
+const MpesaConfiguration = require('./configuration');
+
+const OPEN_STATUSES = ['PENDING', 'PROCESSING'];
+
+const ACCOUNTS = Object.freeze({
+    SAVINGS: { accountCode: '2010', accountName: 'Member Savings Liability' },
+    LOANS: { accountCode: '1200', accountName: 'Loan Portfolio' },
+    UNALLOCATED: { accountCode: '2900', accountName: 'Unallocated Mobile Money Receipts' }
+});
+
+/**
+ * Counter-account for the non-clearing leg of a transaction.
+ */
+function counterAccount(transaction) {
+
+    if (transaction.metadata?.unallocated) {
+        return ACCOUNTS.UNALLOCATED;
+    }
+
+    if (transaction.transactionType === 'LOAN_REPAYMENT' || transaction.transactionType === 'LOAN_DISBURSEMENT') {
+        return ACCOUNTS.LOANS;
+    }
+
+    return ACCOUNTS.SAVINGS;
+}
+
+class MpesaSettlement {
+
+    constructor({
+        configuration,
+        transactionModel,
+        ledgerService,
+        eventPublisher,
+        auditService,
+        logger,
+        metrics
+    } = {}) {
+
+        this.configuration =
+            configuration || new MpesaConfiguration();
+
+        this.Transaction =
+            transactionModel || require('../../../models/Transaction');
+
+        this.ledgerService =
+            ledgerService || require('../../../services/ledgerService');
+
+        this.eventPublisher =
+            eventPublisher;
+
+        this.auditService =
+            auditService;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.statistics = {
+            completed: 0,
+            failed: 0,
+            posted: 0,
+            duplicates: 0
+        };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Complete
+     * -------------------------------------------------------------------------
+     * Move an open transaction to SUCCESS and post it. Returns
+     * `{ duplicate: true }` when another callback already closed it.
+     */
+    async complete(transaction, { receipt, amount, completedAt, source = 'callback', raw } = {}) {
+
+        const update = {
+            status: 'SUCCESS',
+            settlementDate: completedAt || new Date(),
+            statusReason: null,
+            'metadata.completedVia': source
+        };
+
+        if (receipt) {
+            update.providerTransactionId = receipt;
+        }
+
+        if (amount !== undefined && Number(amount) !== Number(transaction.amount)) {
+            update['metadata.providerAmount'] = Number(amount);
+        }
+
+        if (raw) {
+            update['metadata.providerResult'] = raw;
+        }
+
+        const completed = await this.Transaction.findOneAndUpdate(
+            { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+            { $set: update },
+            { new: true }
+        );
+
+        if (!completed) {
+            this.statistics.duplicates++;
+            this.metrics?.counter?.('payment_mpesa_settlement_duplicate_total');
+            return { duplicate: true, transaction };
+        }
+
+        this.statistics.completed++;
+
+        await this.eventPublisher?.publish?.({
+            type: completed.flow === 'debit' ? 'MPESA_DISBURSEMENT_COMPLETED' : 'MPESA_COLLECTION_COMPLETED',
+            payload: { reference: completed.externalId, receipt, tenantId: completed.tenantId }
+        });
+
+        return { duplicate: false, transaction: await this.post(completed) };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Fail
+     * -------------------------------------------------------------------------
+     */
+    async fail(transaction, { reason, resultCode, source = 'callback', raw } = {}) {
+
+        const failed = await this.Transaction.findOneAndUpdate(
+            { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+            {
+                $set: {
+                    status: 'FAILED',
+                    statusReason: reason || 'Rejected by M-Pesa',
+                    'metadata.resultCode': resultCode,
+                    'metadata.completedVia': source,
+                    ...(raw ? { 'metadata.providerResult': raw } : {})
+                }
+            },
+            { new: true }
+        );
+
+        if (!failed) {
+            this.statistics.duplicates++;
+            return { duplicate: true, transaction };
+        }
+
+        this.statistics.failed++;
+
+        await this.eventPublisher?.publish?.({
+            type: failed.flow === 'debit' ? 'MPESA_DISBURSEMENT_FAILED' : 'MPESA_COLLECTION_FAILED',
+            payload: { reference: failed.externalId, reason: failed.statusReason, tenantId: failed.tenantId }
+        });
+
+        return { duplicate: false, transaction: failed };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Ledger posting
+     * -------------------------------------------------------------------------
+     * Claims the transaction before posting so concurrent settlements of the
+     * same transaction post once; the claim is released if the ledger fails.
+     */
+    async post(transaction) {
+
+        const claimed = await this.Transaction.findOneAndUpdate(
+            { _id: transaction._id, status: 'SUCCESS', accountingPosted: { $ne: true } },
+            { $set: { accountingPosted: true, accountingPostedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return transaction;
+        }
+
+        const journalId = `MPESA-${claimed.externalId}`;
+        const amount = Number(claimed.metadata?.providerAmount ?? claimed.amount);
+        const clearing = this.configuration.clearingAccount;
+        const counter = counterAccount(claimed);
+        const collection = claimed.flow !== 'debit';
+
+        try {
+
+            await this.ledgerService.createJournal({
+                journalId,
+                description: `M-Pesa ${collection ? 'collection' : 'disbursement'} ${claimed.providerTransactionId || claimed.externalId}`,
+                source: 'MPESA',
+                sourceId: claimed._id,
+                tenantId: claimed.tenantId,
+                userId: claimed.userId,
+                entries: [
+                    { ...(collection ? clearing : counter), debit: amount, currency: claimed.currency },
+                    { ...(collection ? counter : clearing), credit: amount, currency: claimed.currency }
+                ],
+                metadata: {
+                    reference: claimed.externalId,
+                    receipt: claimed.providerTransactionId,
+                    transactionType: claimed.transactionType
+                }
+            });
+
+        } catch (error) {
+
+            await this.Transaction.updateOne(
+                { _id: claimed._id },
+                { $set: { accountingPosted: false, 'metadata.postingError': error.message }, $unset: { accountingPostedAt: '' } }
+            );
+
+            this.metrics?.counter?.('payment_mpesa_settlement_posting_failure_total');
+
+            throw new SettlementError(`Ledger posting failed for ${claimed.externalId}`, {
+                provider: 'MPESA',
+                cause: error,
+                tenantId: claimed.tenantId,
+                transactionId: claimed.externalId
+            });
+        }
+
+        const settled = await this.Transaction.findOneAndUpdate(
+            { _id: claimed._id },
+            { $set: { status: 'SETTLED', ledgerReference: journalId }, $unset: { 'metadata.postingError': '' } },
+            { new: true }
+        );
+
+        this.statistics.posted++;
+        this.metrics?.counter?.('payment_mpesa_settlement_posted_total');
+
+        await this.auditService?.record?.({
+            action: 'MPESA_SETTLEMENT_POSTED',
+            provider: 'MPESA',
+            tenantId: claimed.tenantId,
+            reference: claimed.externalId,
+            journalId
+        });
+
+        return settled || claimed;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Recovery
+     * -------------------------------------------------------------------------
+     * Post successful transactions whose earlier posting attempt failed.
+     */
+    async settlePending({ tenantId, limit = 500 } = {}) {
+
+        const query = { provider: 'mpesa', status: 'SUCCESS', accountingPosted: { $ne: true } };
+
+        if (tenantId) {
+            query.tenantId = tenantId;
+        }
+
+        const outstanding = await this.Transaction.find(query).limit(limit);
+        const result = { posted: 0, failed: [] };
+
+        for (const transaction of outstanding) {
+
+            try {
+                await this.post(transaction);
+                result.posted++;
+            } catch (error) {
+                const normalized = normalizeError(error, { provider: 'MPESA' });
+                result.failed.push({ reference: transaction.externalId, error: normalized.message });
+                this.logger?.error?.({ message: 'M-Pesa settlement recovery failed', reference: transaction.externalId, error: normalized.message });
+            }
+        }
+
+        return result;
+    }
+
+    health() {
+
+        return {
+            provider: 'MPESA',
+            module: 'settlement',
+            status: 'UP',
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = MpesaSettlement;
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.counterAccount = counterAccount;
@@ -18,6 +18,7 @@
  * • Provider capability checks
  * • Runtime provider registration
  * • Provider health inspection
+ * • Reliability-aware route selection and failover
  * • Metrics instrumentation
  * • Structured logging
  *
@@ -25,6 +26,7 @@
  * -------------------
  * • MTN MoMo
  * • Airtel Money
+ * • M-Pesa (modules/payment/mpesa)
  * • Banks
  * • Future payment rails
  *
@@ -41,14 +43,25 @@
  *       |
  *       ├── Airtel Adapter
  *       |
+ *       ├── M-Pesa Adapter
+ *       |
  *       └── Bank Adapter
  *
  *
+ * Routing
+ * -------
+ * With a routingPolicy (orchestration/routingPolicy.js) the
+ * router ranks a payment's candidate rails and, through
+ * executeWithFailover(), tries them best first, skipping
+ * providers whose circuit is open and moving on when one
+ * fails. Each call returns a decision explaining the order
+ * and every attempt.
+ *
+ *
  * Explicitly NOT Responsible For
  * ------------------------------
  * • Provider authentication
  * • HTTP communication
- * • Payment execution
  * • Retry handling
  * • Ledger posting
  *
@@ -67,7 +80,11 @@ class ProviderRouter {
 
         metrics,
 
-        healthRegistry
+        healthRegistry,
+
+        routingPolicy,
+
+        circuitBreaker
 
     } = {}) {
 
@@ -87,6 +104,14 @@ class ProviderRouter {
             healthRegistry;
 
 
+        this.routingPolicy =
+            routingPolicy;
+
+
+        this.circuitBreaker =
+            circuitBreaker;
+
+
 
         Object.entries(providers)
 
@@ -537,6 +562,349 @@ class ProviderRouter {
 
 
 
+    /**
+     * ------------------------------------------------------
+     * Rank candidate rails
+     * ------------------------------------------------------
+     * Candidates are { provider, ... } (typically one per
+     * member wallet). Unregistered providers, or ones that
+     * cannot perform the operation, are excluded. Without a
+     * routing policy the given order is kept.
+     */
+    async route({
+
+        tenantId,
+
+        operation,
+
+        candidates = [],
+
+        policy
+
+    } = {}) {
+
+
+        const usable = [];
+
+        const unusable = [];
+
+
+
+        for (const candidate of candidates) {
+
+
+            const provider =
+
+                this.providers.get(
+
+                    String(candidate.provider || '').toLowerCase()
+
+                );
+
+
+
+            if (!provider) {
+
+                unusable.push({ ...candidate, reasons: ['PROVIDER_NOT_REGISTERED'] });
+
+                continue;
+
+            }
+
+
+
+            if (operation && !this.supports(provider, operation)) {
+
+                unusable.push({ ...candidate, reasons: [`OPERATION_NOT_SUPPORTED_${operation}`] });
+
+                continue;
+
+            }
+
+
+
+            usable.push(candidate);
+
+        }
+
+
+
+
+        const ranking =
+
+            this.routingPolicy
+
+                ? await this.routingPolicy.rank({
+
+                    tenantId,
+
+                    candidates: usable,
+
+                    policy
+
+                })
+
+                : {
+
+                    policy: null,
+
+                    ranked: usable.map((candidate) => ({
+
+                        ...candidate,
+
+                        reasons: ['STATIC_ORDER']
+
+                    })),
+
+                    excluded: []
+
+                };
+
+
+
+
+        this.metrics?.counter?.(
+
+            'payment_route_decisions_total'
+
+        );
+
+
+
+        return {
+
+            operation,
+
+            policy: ranking.policy,
+
+            ranked: ranking.ranked,
+
+            excluded: [...unusable, ...ranking.excluded]
+
+        };
+
+    }
+
+
+
+
+
+
+
+    /**
+     * ------------------------------------------------------
+     * Execute with failover
+     * ------------------------------------------------------
+     * Tries the ranked rails in order. Each call runs through
+     * the provider's circuit breaker, and its outcome feeds the
+     * routing policy's live statistics. An error marked
+     * `failover: false` (a business rejection rather than a
+     * provider fault) stops the failover.
+     *
+     * @param {Function} invoke - (adapter, candidate) => Promise
+     * @param {number} [maxAttempts] - rails to try at most
+     * @returns {Promise<{ result, decision }>}
+     * @throws the last provider error, with `decision` attached
+     */
+    async executeWithFailover({
+
+        tenantId,
+
+        operation,
+
+        candidates,
+
+        policy,
+
+        invoke,
+
+        maxAttempts = Infinity
+
+    }) {
+
+
+        const decision =
+
+            await this.route({
+
+                tenantId,
+
+                operation,
+
+                candidates,
+
+                policy
+
+            });
+
+
+
+        decision.attempts = [];
+
+        let lastError = null;
+
+
+
+
+        for (const [rank, candidate] of decision.ranked.entries()) {
+
+
+            const adapter =
+
+                this.resolve(candidate.provider);
+
+            const startedAt =
+
+                Date.now();
+
+
+
+            try {
+
+
+                const call = () => invoke(adapter, candidate);
+
+                const circuitName =
+
+                    this.routingPolicy?.circuitName?.(candidate.provider) ||
+
+                    candidate.provider;
+
+                const result =
+
+                    this.circuitBreaker
+
+                        ? await this.circuitBreaker.execute(
+
+                            circuitName,
+
+                            call,
+
+                            this.circuitBreaker.policies?.[circuitName]
+
+                        )
+
+                        : await call();
+
+
+
+                const latencyMs = Date.now() - startedAt;
+
+                this.routingPolicy?.recordOutcome?.(candidate.provider, { tenantId, success: true, latencyMs });
+
+                decision.attempts.push({ provider: candidate.provider, rank, outcome: 'SUCCESS', latencyMs });
+
+                decision.chosen = candidate;
+
+                decision.failover = decision.attempts.length > 1;
+
+
+
+                return { result, decision };
+
+            }
+
+
+            catch (error) {
+
+
+                const latencyMs = Date.now() - startedAt;
+
+                const rejectedByCircuit = error?.name === 'CircuitBreakerOpenError';
+
+
+
+                if (!rejectedByCircuit) {
+
+                    this.routingPolicy?.recordOutcome?.(candidate.provider, { tenantId, success: false, latencyMs });
+
+                }
+
+
+
+                decision.attempts.push({
+
+                    provider: candidate.provider,
+
+                    rank,
+
+                    outcome: rejectedByCircuit ? 'CIRCUIT_OPEN' : 'FAILED',
+
+                    error: error.message,
+
+                    latencyMs
+
+                });
+
+
+
+                this.logger?.warn?.({
+
+                    message: 'Payment route failed',
+
+                    provider: candidate.provider,
+
+                    operation,
+
+                    error: error.message
+
+                });
+
+
+
+                lastError = error;
+
+
+
+                if (
+
+                    error?.failover === false ||
+
+                    decision.attempts.length >= maxAttempts
+
+                ) {
+
+                    break;
+
+                }
+
+            }
+
+        }
+
+
+
+
+        this.metrics?.counter?.(
+
+            'payment_route_exhausted_total'
+
+        );
+
+
+
+        const error =
+
+            lastError ||
+
+            new Error(
+
+                'No payment route available'
+
+            );
+
+        error.decision = decision;
+
+        throw error;
+
+    }
+
+
+
+
+
+
+
     /**
      * ------------------------------------------------------
      * Snapshot
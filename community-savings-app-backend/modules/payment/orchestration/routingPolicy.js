@@ -0,0 +1,451 @@
+'use strict';
+
+/**
+ * ==========================================================
+ * TITech Community Capital LTD
+ * Reliability Routing Policy
+ * ----------------------------------------------------------
+ * Purpose
+ * -------
+ * Ranks candidate rails (a provider plus the member's wallet
+ * on it) for a payment, using how each provider is behaving
+ * right now and how reliably it has settled.
+ *
+ * Responsibilities
+ * ----------------
+ * • Live success-rate and latency windows per tenant/provider
+ * • Settlement reliability from SettlementReliabilityEngine
+ * • Circuit breaker state (open circuits are skipped)
+ * • Per-tenant overrides (mode, weights, preferred/disabled)
+ * • An explanation of every score
+ *
+ * Scoring
+ * -------
+ * score = w.success    × smoothed live success rate
+ *       + w.latency    × latency score (1 at target, 0 at 10× target)
+ *       + w.settlement × settlement reliability score
+ *       + preference bonus for the tenant's preferred providers
+ *
+ * Live success is smoothed towards a prior until enough
+ * outcomes are seen, so one early failure does not flip
+ * routing.
+ *
+ *
+ * Explicitly NOT Responsible For
+ * ------------------------------
+ * • Calling providers
+ * • Recording routing decisions
+ * • Retrying payments
+ *
+ * ==========================================================
+ */
+
+const MODES = Object.freeze({
+    // Best score first
+    RELIABILITY: 'RELIABILITY',
+    // Preferred providers first, unless they score under minScore
+    PREFERRED: 'PREFERRED',
+    // Preferred providers first, always; others only as failover
+    FIXED: 'FIXED'
+});
+
+const DEFAULT_POLICY = Object.freeze({
+    mode: MODES.RELIABILITY,
+    weights: Object.freeze({
+        success: 0.5,
+        latency: 0.2,
+        settlement: 0.3
+    }),
+    preferredProviders: Object.freeze([]),
+    disabledProviders: Object.freeze([]),
+    preferenceBonus: 0.05,
+    minScore: 0.5
+});
+
+const DEFAULTS = Object.freeze({
+    windowMs: 15 * 60 * 1000,
+    maxSamples: 200,
+    priorSuccessRate: 0.9,
+    priorWeight: 10,
+    latencyTargetMs: 5000,
+    // Same neutral value the reliability engine uses for missing coverage
+    unknownSettlementScore: 0.75,
+    settlementTtlMs: 10 * 60 * 1000,
+    halfOpenPenalty: 0.2
+});
+
+// Circuit names registered in middleware/Performance/circuitBreaker
+const CIRCUITS = Object.freeze({
+    mtn: 'mtn-momo',
+    airtel: 'airtel-money'
+});
+
+// Provider codes used in settlement history
+const PROVIDER_ALIASES = Object.freeze({
+    MTN: 'mtn',
+    MTN_MOMO: 'mtn',
+    MOMO: 'mtn',
+    AIRTEL: 'airtel',
+    AIRTEL_MONEY: 'airtel'
+});
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class ReliabilityRoutingPolicy {
+
+    constructor({
+        reliabilityEngine,
+        circuitBreaker,
+        logger,
+        metrics,
+        clock = () => Date.now(),
+        config = {}
+    } = {}) {
+
+        this.reliabilityEngine = reliabilityEngine;
+        this.circuitBreaker = circuitBreaker;
+        this.logger = logger;
+        this.metrics = metrics;
+        this.clock = clock;
+        this.config = { ...DEFAULTS, ...config };
+
+        // `${tenantId}:${provider}` → [{ at, success, latencyMs }]
+        this.samples = new Map();
+
+        // tenantId → { at, scores: { provider: score } }
+        this.settlementCache = new Map();
+
+    }
+
+
+    /**
+     * ------------------------------------------------------
+     * Merge a tenant override onto the default policy
+     * ------------------------------------------------------
+     */
+    static resolvePolicy(override = {}) {
+
+        const defined = (object) => Object.fromEntries(
+            Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null)
+        );
+
+        return {
+            ...DEFAULT_POLICY,
+            ...defined(override),
+            weights: {
+                ...DEFAULT_POLICY.weights,
+                ...defined(override?.weights)
+            }
+        };
+
+    }
+
+
+    static normalizeProvider(provider) {
+
+        const upper = String(provider || '').toUpperCase();
+
+        return PROVIDER_ALIASES[upper] || upper.toLowerCase();
+
+    }
+
+
+    /**
+     * ------------------------------------------------------
+     * Live outcomes
+     * ------------------------------------------------------
+     */
+    recordOutcome(provider, { tenantId, success, latencyMs } = {}) {
+
+        const key = `${tenantId || '*'}:${provider}`;
+        const samples = this.samples.get(key) || [];
+
+        samples.push({
+            at: this.clock(),
+            success: Boolean(success),
+            latencyMs: Number.isFinite(latencyMs) ? latencyMs : null
+        });
+
+        if (samples.length > this.config.maxSamples) {
+            samples.splice(0, samples.length - this.config.maxSamples);
+        }
+
+        this.samples.set(key, samples);
+
+        this.metrics?.counter?.(
+            success ? 'payment_route_success_total' : 'payment_route_failure_total'
+        );
+
+    }
+
+
+    liveStats(provider, tenantId) {
+
+        const since = this.clock() - this.config.windowMs;
+        const samples = (this.samples.get(`${tenantId || '*'}:${provider}`) || [])
+            .filter((sample) => sample.at >= since);
+
+        const successes = samples.filter((sample) => sample.success).length;
+        const latencies = samples
+            .map((sample) => sample.latencyMs)
+            .filter((value) => value !== null)
+            .sort((a, b) => a - b);
+
+        const { priorSuccessRate, priorWeight } = this.config;
+
+        return {
+            observations: samples.length,
+            successRate: samples.length ? round(successes / samples.length) : null,
+            smoothedSuccessRate: round(
+                (successes + priorSuccessRate * priorWeight) / (samples.length + priorWeight)
+            ),
+            medianLatencyMs: latencies.length ? latencies[Math.floor(latencies.length / 2)] : null
+        };
+
+    }
+
+
+    latencyScore(latencyMs) {
+
+        if (latencyMs === null || latencyMs === undefined) {
+            return 1;
+        }
+
+        const target = this.config.latencyTargetMs;
+
+        if (latencyMs <= target) {
+            return 1;
+        }
+
+        return round(Math.max(0, 1 - (latencyMs - target) / (9 * target)));
+
+    }
+
+
+    /**
+     * ------------------------------------------------------
+     * Settlement reliability (cached per tenant)
+     * ------------------------------------------------------
+     */
+    async settlementScores(tenantId) {
+
+        if (!this.reliabilityEngine || !tenantId) {
+            return {};
+        }
+
+        const cached = this.settlementCache.get(String(tenantId));
+
+        if (cached && this.clock() - cached.at < this.config.settlementTtlMs) {
+            return cached.scores;
+        }
+
+        let scores = {};
+
+        try {
+
+            const comparison = await this.reliabilityEngine.compareProviders({
+                tenantId: String(tenantId),
+                historicalDays: 30
+            });
+
+            scores = Object.fromEntries(
+                (comparison.providers || []).map((item) => [
+                    ReliabilityRoutingPolicy.normalizeProvider(item.provider),
+                    {
+                        score: item.reliabilityScore,
+                        level: item.reliabilityLevel,
+                        confidence: item.confidence
+                    }
+                ])
+            );
+
+        }
+
+        catch (error) {
+
+            // Routing must keep working without settlement analytics
+            this.logger?.warn?.({
+                message: 'Settlement reliability unavailable for routing',
+                tenantId,
+                error: error.message
+            });
+
+        }
+
+        this.settlementCache.set(String(tenantId), { at: this.clock(), scores });
+
+        return scores;
+
+    }
+
+
+    /**
+     * ------------------------------------------------------
+     * Circuit state: CLOSED, HALF_OPEN or OPEN
+     * ------------------------------------------------------
+     */
+    circuitName(provider) {
+
+        return CIRCUITS[provider] || `${provider}-payments`;
+
+    }
+
+
+    circuitState(provider) {
+
+        if (!this.circuitBreaker) {
+            return 'CLOSED';
+        }
+
+        const name = this.circuitName(provider);
+        const circuit = this.circuitBreaker.createCircuit(name, this.circuitBreaker.policies?.[name]);
+
+        if (circuit.state === 'OPEN' && this.clock() - circuit.openedAt >= circuit.policy.resetTimeout) {
+            // Due a probe; the breaker moves it to half-open on the next call
+            return 'HALF_OPEN';
+        }
+
+        return circuit.state;
+
+    }
+
+
+    /**
+     * ------------------------------------------------------
+     * Rank candidates
+     * ------------------------------------------------------
+     * @param {Object} params
+     * @param {string} params.tenantId
+     * @param {Object[]} params.candidates - [{ provider, ... }]
+     * @param {Object} [params.policy] - tenant override
+     * @returns {Promise<{ policy, ranked: Object[], excluded: Object[] }>}
+     *   ranked best first, each with { score, components, reasons }
+     */
+    async rank({ tenantId, candidates = [], policy: override } = {}) {
+
+        const policy = ReliabilityRoutingPolicy.resolvePolicy(override);
+        const settlement = await this.settlementScores(tenantId);
+        const ranked = [];
+        const excluded = [];
+
+        for (const candidate of candidates) {
+
+            const provider = ReliabilityRoutingPolicy.normalizeProvider(candidate.provider);
+            const reasons = [];
+
+            if (policy.disabledProviders.includes(provider)) {
+                excluded.push({ ...candidate, provider, reasons: ['DISABLED_BY_TENANT'] });
+                continue;
+            }
+
+            const circuit = this.circuitState(provider);
+
+            if (circuit === 'OPEN') {
+                excluded.push({ ...candidate, provider, reasons: ['CIRCUIT_OPEN'] });
+                continue;
+            }
+
+            const live = this.liveStats(provider, tenantId);
+            const settled = settlement[provider];
+            const components = {
+                success: live.smoothedSuccessRate,
+                latency: this.latencyScore(live.medianLatencyMs),
+                settlement: settled ? settled.score : this.config.unknownSettlementScore
+            };
+
+            const weights = policy.weights;
+            const totalWeight = weights.success + weights.latency + weights.settlement || 1;
+            let score =
+                (weights.success * components.success +
+                    weights.latency * components.latency +
+                    weights.settlement * components.settlement) /
+                totalWeight;
+
+            reasons.push(
+                live.observations
+                    ? `LIVE_SUCCESS_${Math.round(live.successRate * 100)}%_OF_${live.observations}`
+                    : 'NO_RECENT_OUTCOMES'
+            );
+
+            if (live.medianLatencyMs !== null) {
+                reasons.push(`MEDIAN_LATENCY_${live.medianLatencyMs}MS`);
+            }
+
+            reasons.push(settled ? `SETTLEMENT_${settled.level}` : 'SETTLEMENT_UNKNOWN');
+
+            const preferredIndex = policy.preferredProviders.indexOf(provider);
+
+            if (preferredIndex !== -1) {
+                score += policy.preferenceBonus;
+                reasons.push('PREFERRED_BY_TENANT');
+            }
+
+            if (circuit === 'HALF_OPEN') {
+                score -= this.config.halfOpenPenalty;
+                reasons.push('CIRCUIT_HALF_OPEN');
+            }
+
+            if (candidate.primary) {
+                reasons.push('PRIMARY_WALLET');
+            }
+
+            ranked.push({
+                ...candidate,
+                provider,
+                score: round(Math.max(0, score)),
+                components,
+                circuit,
+                reasons
+            });
+
+        }
+
+        ranked.sort((a, b) => this.compare(a, b, policy));
+
+        return {
+            policy,
+            ranked,
+            excluded
+        };
+
+    }
+
+
+    /**
+     * Sort order for a policy mode. Ties go to the member's primary wallet.
+     */
+    compare(a, b, policy) {
+
+        const preferredRank = (item) => {
+            const index = policy.preferredProviders.indexOf(item.provider);
+            return index === -1 ? Infinity : index;
+        };
+
+        if (policy.mode === MODES.FIXED) {
+            const byPreference = preferredRank(a) - preferredRank(b);
+            if (byPreference) return byPreference;
+        }
+
+        if (policy.mode === MODES.PREFERRED) {
+            const healthy = (item) => item.score >= policy.minScore;
+            if (healthy(a) !== healthy(b)) return healthy(a) ? -1 : 1;
+            if (healthy(a)) {
+                const byPreference = preferredRank(a) - preferredRank(b);
+                if (byPreference) return byPreference;
+            }
+        }
+
+        return b.score - a.score || Number(Boolean(b.primary)) - Number(Boolean(a.primary));
+
+    }
+
+}
+
+
+module.exports = ReliabilityRoutingPolicy;
+
+module.exports.ReliabilityRoutingPolicy = ReliabilityRoutingPolicy;
+
+module.exports.ROUTING_MODES = MODES;
+
+module.exports.DEFAULT_ROUTING_POLICY = DEFAULT_POLICY;
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — Airtel Money Open API
+ * =============================================================================
+ *
+ * Implements the slice of the Airtel Open API our Airtel adapters call:
+ *
+ * POST /auth/oauth2/token                 client credentials
+ * POST /merchant/v1/payments/             collection (USSD push)
+ * GET  /standard/v1/payments/:id          collection status
+ * POST /standard/v1/disbursements/        disbursement
+ * GET  /standard/v1/disbursements/:id     disbursement status
+ *
+ * Transaction status codes: TS success, TF failed, TIP in progress and,
+ * for simulated provider reversals, TR.
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+
+const ProviderSimulator = require('./providerSimulator');
+const { signAirtel } = require('./callbackSigner');
+
+const STATUS_CODES = Object.freeze({
+    PENDING: 'TIP',
+    SUCCESSFUL: 'TS',
+    FAILED: 'TF',
+    REVERSED: 'TR'
+});
+
+const MESSAGES = Object.freeze({
+    TIP: 'Transaction in progress',
+    TS: 'Transaction is successful',
+    TF: 'Transaction failed',
+    TR: 'Transaction reversed'
+});
+
+class AirtelSimulator extends ProviderSimulator {
+
+    constructor(options = {}) {
+
+        super({ ...options, provider: 'airtel' });
+
+        this.callbackMethod = 'POST';
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Routes
+     * -------------------------------------------------------------------------
+     */
+    router() {
+
+        const router = express.Router();
+
+        router.use(express.json());
+
+        router.post('/auth/oauth2/token', (req, res) => this.token(req, res));
+
+        router.post('/merchant/v1/payments', this.authenticated((req, res) => this.collect(req, res)));
+
+        router.get('/standard/v1/payments/:id', this.authenticated((req, res) => this.status('collection', req, res)));
+
+        router.post('/standard/v1/disbursements', this.authenticated((req, res) => this.disburse(req, res)));
+
+        router.get('/standard/v1/disbursements/:id', this.authenticated((req, res) => this.status('disbursement', req, res)));
+
+        return router;
+    }
+
+    token(req, res) {
+
+        const { client_id: clientId, client_secret: clientSecret, grant_type: grantType } = req.body || {};
+
+        const expected = this.credentials;
+
+        const valid =
+            grantType === 'client_credentials' &&
+            clientId && clientSecret &&
+            (!expected || (clientId === expected.clientId && clientSecret === expected.clientSecret));
+
+        if (!valid) {
+            return res.status(401).json(AirtelSimulator.envelope(null, {
+                code: '401',
+                message: 'Invalid client credentials',
+                success: false
+            }));
+        }
+
+        const { token, expiresIn } = this.issueToken();
+
+        return res.json({ access_token: token, expires_in: String(expiresIn), token_type: 'bearer' });
+    }
+
+    authenticated(handler) {
+
+        return (req, res, next) => {
+
+            if (!this.isAuthorized(req.get('Authorization'))) {
+                return res.status(401).json(AirtelSimulator.envelope(null, {
+                    code: '401',
+                    message: 'Unauthorized',
+                    success: false
+                }));
+            }
+
+            return Promise.resolve(handler(req, res)).catch(next);
+        };
+    }
+
+    collect(req, res) {
+
+        const { reference, subscriber, transaction } = req.body || {};
+
+        return this.accept(req, res, {
+            operation: 'collection',
+            id: transaction?.id,
+            msisdn: subscriber?.msisdn,
+            amount: transaction?.amount,
+            currency: transaction?.currency || req.get('X-Currency'),
+            reference
+        });
+    }
+
+    disburse(req, res) {
+
+        const { reference, payee, transaction } = req.body || {};
+
+        return this.accept(req, res, {
+            operation: 'disbursement',
+            id: transaction?.id,
+            msisdn: payee?.msisdn,
+            amount: transaction?.amount,
+            currency: req.get('X-Currency'),
+            reference
+        });
+    }
+
+    async accept(req, res, { operation, id, msisdn, amount, currency, reference }) {
+
+        if (!id || !msisdn || !(Number(amount) > 0)) {
+            return res.status(400).json(AirtelSimulator.envelope(null, {
+                code: '400',
+                message: 'transaction.id, msisdn and a positive amount are required',
+                success: false
+            }));
+        }
+
+        const { transaction, outcome, duplicate } = this.submit({
+            operation,
+            referenceId: String(id),
+            externalId: String(id),
+            amount,
+            currency,
+            msisdn,
+            details: {
+                reference,
+                country: req.get('X-Country')
+            }
+        });
+
+        await this.hold(outcome);
+
+        if (outcome.httpStatus) {
+            return res.status(outcome.httpStatus).json(AirtelSimulator.envelope(null, {
+                code: String(outcome.httpStatus),
+                message: 'Simulated provider failure',
+                success: false
+            }));
+        }
+
+        if (duplicate) {
+            return res.status(409).json(AirtelSimulator.envelope(null, {
+                code: '409',
+                message: 'Duplicate transaction id',
+                success: false
+            }));
+        }
+
+        return res.json(AirtelSimulator.envelope({
+            transaction: {
+                id: transaction.referenceId,
+                reference_id: operation === 'disbursement' ? transaction.details.reference : undefined,
+                status: operation === 'disbursement' ? STATUS_CODES.PENDING : 'Success.'
+            }
+        }));
+    }
+
+    status(operation, req, res) {
+
+        const transaction = this.getTransaction(req.params.id);
+
+        if (!transaction || transaction.operation !== operation) {
+            return res.status(404).json(AirtelSimulator.envelope(null, {
+                code: '404',
+                message: 'Transaction not found',
+                success: false
+            }));
+        }
+
+        return res.json(AirtelSimulator.envelope({ transaction: this.view(transaction) }));
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Wire format
+     * -------------------------------------------------------------------------
+     */
+    view(transaction) {
+
+        const code = STATUS_CODES[transaction.status];
+
+        return {
+            id: transaction.referenceId,
+            airtel_money_id: transaction.providerTransactionId || undefined,
+            amount: Number(transaction.reportedAmount),
+            message: transaction.reason || MESSAGES[code],
+            status: code
+        };
+    }
+
+    callbackPayload(transaction) {
+
+        const { status, ...view } = this.view(transaction);
+
+        return JSON.parse(JSON.stringify({
+            transaction: { ...view, status_code: status }
+        }));
+    }
+
+    sign(payload) {
+
+        return signAirtel(payload, { secret: this.secret, now: this.clock() });
+    }
+
+    static envelope(data, status = {}) {
+
+        return {
+            data,
+            status: {
+                code: '200',
+                message: 'SUCCESS',
+                result_code: status.success === false ? 'ESB000001' : 'ESB000010',
+                success: true,
+                ...status
+            }
+        };
+    }
+}
+
+module.exports = AirtelSimulator;
+module.exports.STATUS_CODES = STATUS_CODES;
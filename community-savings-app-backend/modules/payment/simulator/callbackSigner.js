@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — Callback Signer
+ * =============================================================================
+ *
+ * Signs simulated callbacks exactly the way our webhook verifiers check them:
+ *
+ * MTN     x-mtn-signature    HMAC-SHA256 (hex) of the key-sorted JSON body
+ *         x-mtn-timestamp    epoch milliseconds (replay window)
+ *         → middleware/mtnWebhookMiddleware, mtn/callbacks/signatureVerifier
+ *
+ * Airtel  x-airtel-signature HMAC-SHA256 (hex) of JSON {timestamp, payload}
+ *         x-airtel-timestamp ISO-8601
+ *         → airtel/callbacks/signatureVerifier
+ *
+ * The MTN body is emitted with sorted keys so both MTN verifiers, one of
+ * which re-serialises the parsed body as received, compute the same digest.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+function sortKeys(value) {
+
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.keys(value)
+            .sort()
+            .reduce((sorted, key) => {
+                sorted[key] = sortKeys(value[key]);
+                return sorted;
+            }, {});
+    }
+
+    return value;
+}
+
+function hmac(secret, data) {
+
+    return crypto
+        .createHmac('sha256', secret)
+        .update(data)
+        .digest('hex');
+}
+
+function signMtn(payload, { secret, now = Date.now() }) {
+
+    const body = sortKeys(payload);
+
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-mtn-signature': hmac(secret, JSON.stringify(body)),
+            'x-mtn-timestamp': String(now)
+        }
+    };
+}
+
+function signAirtel(payload, { secret, now = Date.now() }) {
+
+    const timestamp = new Date(now).toISOString();
+
+    return {
+        body: payload,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-airtel-signature': hmac(secret, JSON.stringify({ timestamp, payload })),
+            'x-airtel-timestamp': timestamp
+        }
+    };
+}
+
+module.exports = {
+    signMtn,
+    signAirtel,
+    sortKeys
+};
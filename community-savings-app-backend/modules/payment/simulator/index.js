@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Provider Simulator
+ * =============================================================================
+ *
+ * Embeddable stand-in for the MTN MoMo and Airtel Money APIs, so the golden
+ * money path and developer machines run without sandbox credentials or
+ * network access.
+ *
+ * Layout of the Express app
+ * -------------------------
+ * /mtn/...         MTN MoMo API         (MTN_BASE_URL)
+ * /airtel/...      Airtel Open API      (AIRTEL_API_BASE_URL)
+ * /simulator/...   control plane: scenario, transactions, deliveries, reset
+ *
+ * Usage
+ * -----
+ *   const simulator = createMobileMoneySimulator({
+ *       scenario: 'duplicate-callbacks',
+ *       callbackUrls: { mtn: { collection: 'http://localhost:5000/api/v1/payments/mtn/collections/callback' } }
+ *   });
+ *   const { url, close } = await simulator.listen();
+ *   Object.assign(process.env, simulator.environment(url));
+ *   ...
+ *   await simulator.flush();   // every scheduled callback has been delivered
+ *   await close();
+ *
+ * This file intentionally contains NO provider logic.
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+
+const ScenarioEngine = require('./scenarioEngine');
+const MtnSimulator = require('./mtnSimulator');
+const AirtelSimulator = require('./airtelSimulator');
+const { SCENARIOS, getScenario } = require('./scenarios');
+
+const DEFAULT_SECRETS = Object.freeze({
+    mtn: 'simulator-mtn-webhook-secret',
+    airtel: 'simulator-airtel-webhook-secret'
+});
+
+class MobileMoneySimulator {
+
+    constructor({
+        scenario = 'happy-path',
+        secrets = {},
+        callbackUrls = {},
+        credentials = {},
+        deliver,
+        clock,
+        logger,
+        metrics
+    } = {}) {
+
+        this.logger = logger;
+
+        this.scenarioEngine = new ScenarioEngine({
+            scenario: MobileMoneySimulator.resolveScenario(scenario),
+            logger
+        });
+
+        this.secrets = {
+            mtn: secrets.mtn || process.env.MTN_WEBHOOK_SECRET || DEFAULT_SECRETS.mtn,
+            airtel: secrets.airtel || process.env.AIRTEL_WEBHOOK_SECRET || DEFAULT_SECRETS.airtel
+        };
+
+        const shared = {
+            scenarioEngine: this.scenarioEngine,
+            deliver,
+            clock,
+            logger,
+            metrics
+        };
+
+        this.providers = {
+            mtn: new MtnSimulator({
+                ...shared,
+                secret: this.secrets.mtn,
+                callbackUrl: callbackUrls.mtn,
+                credentials: credentials.mtn
+            }),
+            airtel: new AirtelSimulator({
+                ...shared,
+                secret: this.secrets.airtel,
+                callbackUrl: callbackUrls.airtel,
+                credentials: credentials.airtel
+            })
+        };
+
+        this.app = this.buildApp();
+    }
+
+    static resolveScenario(scenario) {
+
+        return typeof scenario === 'string' ? getScenario(scenario) : scenario;
+    }
+
+    get mtn() {
+        return this.providers.mtn;
+    }
+
+    get airtel() {
+        return this.providers.airtel;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Express app
+     * -------------------------------------------------------------------------
+     */
+    buildApp() {
+
+        const app = express();
+
+        app.use('/mtn', this.mtn.router());
+
+        app.use('/airtel', this.airtel.router());
+
+        app.use('/simulator', this.controlRouter());
+
+        return app;
+    }
+
+    controlRouter() {
+
+        const router = express.Router();
+
+        router.use(express.json({ limit: '1mb' }));
+
+        router.get('/health', (req, res) => res.json(this.health()));
+
+        router.get('/scenarios', (req, res) => res.json({
+            active: this.scenarioEngine.describe(),
+            available: Object.values(SCENARIOS).map(({ name, description }) => ({ name, description }))
+        }));
+
+        router.put('/scenario', (req, res) => {
+            try {
+                const script = req.body?.rules || req.body?.default ? req.body : req.body?.name;
+                this.loadScenario(script);
+                return res.json(this.scenarioEngine.describe());
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+        });
+
+        router.get('/transactions', (req, res) => res.json(this.transactions()));
+
+        router.get('/deliveries', (req, res) => res.json(this.deliveries()));
+
+        router.post('/:provider/transactions/:referenceId/replay', async (req, res) => {
+            const delivery = await this.providers[req.params.provider]?.replayCallback(req.params.referenceId);
+            return delivery
+                ? res.json(delivery)
+                : res.status(404).json({ message: 'Transaction not found' });
+        });
+
+        router.post('/reset', (req, res) => {
+            this.reset();
+            return res.status(204).end();
+        });
+
+        return router;
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Control
+     * -------------------------------------------------------------------------
+     */
+    loadScenario(scenario) {
+
+        this.scenarioEngine.load(MobileMoneySimulator.resolveScenario(scenario));
+
+        return this;
+    }
+
+    transactions() {
+
+        return Object.values(this.providers).flatMap((provider) => [...provider.transactions.values()]);
+    }
+
+    deliveries() {
+
+        return Object.values(this.providers)
+            .flatMap((provider) => provider.deliveries)
+            .sort((a, b) => a.deliveredAt - b.deliveredAt);
+    }
+
+    async flush() {
+
+        await Promise.all(Object.values(this.providers).map((provider) => provider.flush()));
+    }
+
+    reset() {
+
+        Object.values(this.providers).forEach((provider) => provider.reset());
+    }
+
+    /**
+     * Environment variables that point our adapters at a running simulator.
+     */
+    environment(url) {
+
+        return {
+            MTN_BASE_URL: `${url}/mtn`,
+            MTN_MOMO_BASE_URL: `${url}/mtn`,
+            MTN_COLLECTION_URL: `${url}/mtn/collection`,
+            MTN_DISBURSEMENT_URL: `${url}/mtn/disbursement`,
+            MTN_TRANSFER_ENDPOINT: `${url}/mtn/disbursement/v1_0/transfer`,
+            MTN_WEBHOOK_SECRET: this.secrets.mtn,
+            AIRTEL_API_BASE_URL: `${url}/airtel`,
+            AIRTEL_AUTH_BASE_URL: `${url}/airtel`,
+            AIRTEL_WEBHOOK_SECRET: this.secrets.airtel
+        };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Server
+     * -------------------------------------------------------------------------
+     */
+    listen(port = 0, host = '127.0.0.1') {
+
+        return new Promise((resolve, reject) => {
+
+            const server = this.app.listen(port, host, () => {
+
+                const url = `http://${host}:${server.address().port}`;
+
+                this.logger?.info?.({ message: 'Mobile money simulator listening', url });
+
+                resolve({
+                    url,
+                    server,
+                    close: () => new Promise((done) => {
+                        this.reset();
+                        server.close(() => done());
+                    })
+                });
+            });
+
+            server.on('error', reject);
+        });
+    }
+
+    health() {
+
+        return {
+            module: 'mobile-money-simulator',
+            status: 'UP',
+            scenario: this.scenarioEngine.describe(),
+            providers: {
+                mtn: this.mtn.health(),
+                airtel: this.airtel.health()
+            }
+        };
+    }
+}
+
+function createMobileMoneySimulator(options = {}) {
+
+    return new MobileMoneySimulator(options);
+}
+
+module.exports = {
+
+    MobileMoneySimulator,
+
+    createMobileMoneySimulator,
+
+    MtnSimulator,
+
+    AirtelSimulator,
+
+    ScenarioEngine,
+
+    SCENARIOS,
+
+    getScenario
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — MTN MoMo Open API
+ * =============================================================================
+ *
+ * Implements the slice of the MoMo API our MTN adapters call:
+ *
+ * POST /collection/token/                       access token (Basic auth)
+ * POST /disbursement/token/
+ * POST /collection/v1_0/requesttopay            202, X-Reference-Id keyed
+ * GET  /collection/v1_0/requesttopay/:id        status
+ * POST /disbursement/v1_0/transfer              202, X-Reference-Id keyed
+ * GET  /disbursement/v1_0/transfer/:id          status
+ *
+ * The v1_0 segment is optional because some adapters configure it as part
+ * of the endpoint. Callbacks go to X-Callback-Url (or the configured URL)
+ * and are signed as described in callbackSigner.js.
+ *
+ * =============================================================================
+ */
+
+const express = require('express');
+
+const ProviderSimulator = require('./providerSimulator');
+const { signMtn } = require('./callbackSigner');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const OPERATIONS = Object.freeze({
+    collection: { path: 'requesttopay', party: 'payer' },
+    disbursement: { path: 'transfer', party: 'payee' }
+});
+
+class MtnSimulator extends ProviderSimulator {
+
+    constructor(options = {}) {
+
+        super({ ...options, provider: 'mtn' });
+
+        this.callbackMethod = 'POST';
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Routes
+     * -------------------------------------------------------------------------
+     */
+    router() {
+
+        const router = express.Router();
+
+        router.use(express.json());
+
+        for (const [product, { path }] of Object.entries(OPERATIONS)) {
+
+            router.post(`/${product}/token`, (req, res) => this.token(req, res));
+
+            router.post(
+                [`/${product}/v1_0/${path}`, `/${product}/${path}`],
+                this.authenticated((req, res) => this.request(product, req, res))
+            );
+
+            router.get(
+                [`/${product}/v1_0/${path}/:referenceId`, `/${product}/${path}/:referenceId`],
+                this.authenticated((req, res) => this.status(req, res))
+            );
+        }
+
+        return router;
+    }
+
+    token(req, res) {
+
+        const [scheme, encoded] = String(req.get('Authorization') || '').split(' ');
+
+        const [apiUser, apiKey] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+        const subscriptionKey = req.get('Ocp-Apim-Subscription-Key');
+
+        const expected = this.credentials;
+
+        const valid =
+            /^basic$/i.test(scheme) &&
+            apiUser && apiKey && subscriptionKey &&
+            (!expected || (
+                apiUser === expected.apiUser &&
+                apiKey === expected.apiKey &&
+                subscriptionKey === expected.subscriptionKey
+            ));
+
+        if (!valid) {
+            return res.status(401).json({ error: 'login_failed' });
+        }
+
+        const { token, expiresIn } = this.issueToken();
+
+        return res.json({ access_token: token, token_type: 'access_token', expires_in: expiresIn });
+    }
+
+    authenticated(handler) {
+
+        return (req, res, next) => {
+
+            if (!this.isAuthorized(req.get('Authorization'))) {
+                return res.status(401).json({
+                    code: 'UNAUTHORIZED',
+                    message: 'Access denied due to invalid or expired access token'
+                });
+            }
+
+            return Promise.resolve(handler(req, res)).catch(next);
+        };
+    }
+
+    async request(product, req, res) {
+
+        const referenceId = req.get('X-Reference-Id');
+        const { amount, currency, externalId } = req.body || {};
+        const party = req.body?.[OPERATIONS[product].party];
+
+        if (!UUID_PATTERN.test(referenceId || '')) {
+            return res.status(400).json({ code: 'INVALID_REFERENCE_ID', message: 'X-Reference-Id must be a UUID' });
+        }
+
+        if (!(Number(amount) > 0) || !currency || !party?.partyId) {
+            return res.status(400).json({
+                code: 'INVALID_PAYLOAD',
+                message: `amount, currency and ${OPERATIONS[product].party}.partyId are required`
+            });
+        }
+
+        const { outcome, duplicate } = this.submit({
+            operation: product,
+            referenceId,
+            externalId,
+            amount,
+            currency,
+            msisdn: party.partyId,
+            callbackUrl: req.get('X-Callback-Url'),
+            details: {
+                partyIdType: party.partyIdType || 'MSISDN',
+                payerMessage: req.body.payerMessage,
+                payeeNote: req.body.payeeNote
+            }
+        });
+
+        await this.hold(outcome);
+
+        if (outcome.httpStatus) {
+            return res.status(outcome.httpStatus).json({
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'Simulated provider failure'
+            });
+        }
+
+        if (duplicate) {
+            return res.status(409).json({
+                code: 'RESOURCE_ALREADY_EXIST',
+                message: 'Duplicated reference id. Creation of resource failed.'
+            });
+        }
+
+        return res.status(202).end();
+    }
+
+    status(req, res) {
+
+        const transaction = this.getTransaction(req.params.referenceId);
+
+        if (!transaction) {
+            return res.status(404).json({
+                code: 'RESOURCE_NOT_FOUND',
+                message: 'Requested resource was not found.'
+            });
+        }
+
+        return res.json(this.view(transaction));
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Wire format
+     * -------------------------------------------------------------------------
+     */
+    view(transaction) {
+
+        const party = OPERATIONS[transaction.operation].party;
+
+        return {
+            financialTransactionId: transaction.providerTransactionId || undefined,
+            externalId: transaction.externalId,
+            amount: transaction.reportedAmount,
+            currency: transaction.currency,
+            [party]: {
+                partyIdType: transaction.details.partyIdType,
+                partyId: transaction.msisdn
+            },
+            payerMessage: transaction.details.payerMessage,
+            payeeNote: transaction.details.payeeNote,
+            status: transaction.status,
+            reason: transaction.reason || undefined
+        };
+    }
+
+    callbackPayload(transaction) {
+
+        return JSON.parse(JSON.stringify(this.view(transaction)));
+    }
+
+    sign(payload) {
+
+        return signMtn(payload, { secret: this.secret, now: this.clock() });
+    }
+}
+
+module.exports = MtnSimulator;
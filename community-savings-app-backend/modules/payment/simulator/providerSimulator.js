@@ -0,0 +1,421 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — Provider Base
+ * =============================================================================
+ *
+ * Shared behaviour of the simulated MTN and Airtel APIs.
+ *
+ * Responsibilities
+ * ----------------
+ * • In-memory transaction book (what the provider "knows")
+ * • Access token issue and verification
+ * • Applying scenario outcomes: delays, duplicates, wrong amounts,
+ *   never-completing requests and reversals
+ * • Signed callback delivery with a delivery log
+ * • flush() so tests can wait for every scheduled callback
+ *
+ * Provider subclasses supply the HTTP routes, the callback payload and the
+ * signing scheme.
+ *
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const axios = require('axios');
+
+const ScenarioEngine = require('./scenarioEngine');
+
+const TOKEN_TTL_SECONDS = 3600;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Default transport: plain HTTP POST of the signed callback.
+ */
+async function postCallback({ url, method = 'POST', headers, body }) {
+
+    const response = await axios.request({
+        url,
+        method,
+        headers,
+        data: body,
+        timeout: DELIVERY_TIMEOUT_MS,
+        // Any answer counts as delivered; the delivery log records its status
+        validateStatus: () => true
+    });
+
+    return { status: response.status };
+}
+
+class ProviderSimulator {
+
+    constructor({
+        provider,
+        scenarioEngine,
+        scenario,
+        secret,
+        callbackUrl,
+        credentials,
+        deliver = postCallback,
+        clock = () => Date.now(),
+        logger,
+        metrics
+    } = {}) {
+
+        this.provider =
+            provider;
+
+        this.scenarioEngine =
+            scenarioEngine || new ScenarioEngine({ scenario, logger });
+
+        this.secret =
+            secret;
+
+        this.callbackUrl =
+            callbackUrl;
+
+        this.credentials =
+            credentials;
+
+        this.deliver =
+            deliver;
+
+        this.clock =
+            clock;
+
+        this.logger =
+            logger;
+
+        this.metrics =
+            metrics;
+
+        this.transactions = new Map();
+
+        this.tokens = new Map();
+
+        this.deliveries = [];
+
+        this.scheduled = new Map();
+
+        this.statistics = {
+            tokensIssued: 0,
+            requests: 0,
+            rejected: 0,
+            callbacksDelivered: 0,
+            callbacksFailed: 0,
+            reversals: 0
+        };
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Tokens
+     * -------------------------------------------------------------------------
+     */
+    issueToken() {
+
+        const token = crypto.randomBytes(24).toString('hex');
+
+        this.tokens.set(token, this.clock() + TOKEN_TTL_SECONDS * 1000);
+
+        this.statistics.tokensIssued++;
+
+        return { token, expiresIn: TOKEN_TTL_SECONDS };
+    }
+
+    isAuthorized(authorization) {
+
+        const [scheme, token] = String(authorization || '').split(' ');
+
+        const expiresAt = /^bearer$/i.test(scheme) && this.tokens.get(token);
+
+        return Boolean(expiresAt && expiresAt > this.clock());
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Payment requests
+     * -------------------------------------------------------------------------
+     *
+     * Returns { outcome } when the scenario rejects the call at HTTP level,
+     * { duplicate: true } when the reference was already used, otherwise
+     * { transaction, outcome }.
+     */
+    submit({ operation, referenceId, externalId, amount, currency, msisdn, callbackUrl, details = {} }) {
+
+        this.statistics.requests++;
+
+        const outcome = this.scenarioEngine.resolve({
+            provider: this.provider,
+            operation,
+            externalId,
+            amount,
+            msisdn
+        });
+
+        if (outcome.httpStatus) {
+            this.statistics.rejected++;
+            return { outcome };
+        }
+
+        if (this.transactions.has(referenceId)) {
+            return { duplicate: true, outcome };
+        }
+
+        const now = new Date(this.clock());
+
+        const transaction = {
+            provider: this.provider,
+            operation,
+            referenceId,
+            externalId,
+            amount: String(amount),
+            currency,
+            msisdn: String(msisdn),
+            callbackUrl: callbackUrl || this.callbackUrl?.[operation],
+            status: 'PENDING',
+            reason: null,
+            providerTransactionId: null,
+            reportedAmount: String(amount),
+            details,
+            scenarioRule: outcome.rule,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.transactions.set(referenceId, transaction);
+
+        if (outcome.status !== 'PENDING') {
+            this.schedule(outcome.callbackDelayMs || 0, () => this.settle(transaction, outcome));
+        }
+
+        this.logger?.debug?.({
+            message: 'Simulated payment request accepted',
+            provider: this.provider,
+            operation,
+            referenceId,
+            outcome: outcome.status
+        });
+
+        return { transaction, outcome };
+    }
+
+    getTransaction(referenceId) {
+
+        return this.transactions.get(referenceId) || null;
+    }
+
+    async settle(transaction, outcome) {
+
+        transaction.status = outcome.status;
+        transaction.reason = outcome.status === 'FAILED' ? (outcome.reason || 'INTERNAL_PROCESSING_ERROR') : null;
+        transaction.reportedAmount = String(Number(transaction.amount) + (outcome.amountDelta || 0));
+        transaction.providerTransactionId =
+            outcome.status === 'SUCCESSFUL' ? String(crypto.randomInt(1e9, 1e10)) : null;
+        transaction.updatedAt = new Date(this.clock());
+
+        if (!outcome.omitCallback) {
+
+            await this.sendCallback(transaction, 'completion');
+
+            for (let copy = 1; copy <= (outcome.duplicates || 0); copy++) {
+                this.schedule((outcome.duplicateGapMs || 0) * copy, () =>
+                    this.sendCallback(transaction, 'duplicate')
+                );
+            }
+        }
+
+        if (outcome.status === 'SUCCESSFUL' && outcome.reverseAfterMs !== undefined) {
+            this.schedule(outcome.reverseAfterMs, () => this.reverse(transaction, outcome));
+        }
+    }
+
+    async reverse(transaction, outcome) {
+
+        transaction.status = 'REVERSED';
+        transaction.reason = 'REVERSED_BY_PROVIDER';
+        transaction.updatedAt = new Date(this.clock());
+
+        this.statistics.reversals++;
+
+        if (!outcome.omitCallback) {
+            await this.sendCallback(transaction, 'reversal');
+        }
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Callbacks
+     * -------------------------------------------------------------------------
+     */
+    async sendCallback(transaction, event) {
+
+        const payload = this.callbackPayload(transaction, event);
+
+        const { body, headers } = this.sign(payload);
+
+        const delivery = {
+            provider: this.provider,
+            event,
+            referenceId: transaction.referenceId,
+            url: transaction.callbackUrl,
+            body,
+            headers,
+            status: null,
+            error: null,
+            deliveredAt: new Date(this.clock())
+        };
+
+        this.deliveries.push(delivery);
+
+        if (!delivery.url) {
+            delivery.error = 'No callback URL configured';
+            return delivery;
+        }
+
+        try {
+
+            const response = await this.deliver({
+                url: delivery.url,
+                method: this.callbackMethod,
+                headers,
+                body
+            });
+
+            delivery.status = response?.status ?? null;
+
+            this.statistics.callbacksDelivered++;
+
+        } catch (error) {
+
+            delivery.error = error.message;
+
+            this.statistics.callbacksFailed++;
+
+            this.logger?.warn?.({
+                message: 'Simulated callback delivery failed',
+                provider: this.provider,
+                referenceId: transaction.referenceId,
+                url: delivery.url,
+                error: error.message
+            });
+        }
+
+        return delivery;
+    }
+
+    /**
+     * Resend the current state of a transaction (manual replay from tests).
+     */
+    replayCallback(referenceId) {
+
+        const transaction = this.getTransaction(referenceId);
+
+        return transaction ? this.sendCallback(transaction, 'replay') : null;
+    }
+
+    callbackPayload() {
+
+        throw new Error(`${this.constructor.name} must implement callbackPayload()`);
+    }
+
+    sign() {
+
+        throw new Error(`${this.constructor.name} must implement sign()`);
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Scheduling
+     * -------------------------------------------------------------------------
+     */
+    schedule(delayMs, task) {
+
+        let finish;
+
+        const done = new Promise((resolve) => {
+            finish = resolve;
+        });
+
+        const timer = setTimeout(async () => {
+
+            try {
+                await task();
+            } catch (error) {
+                this.logger?.error?.({
+                    message: 'Simulator task failed',
+                    provider: this.provider,
+                    error: error.message
+                });
+            } finally {
+                this.scheduled.delete(timer);
+                finish();
+            }
+
+        }, delayMs);
+
+        timer.unref?.();
+
+        this.scheduled.set(timer, { done, finish });
+
+        return done;
+    }
+
+    /**
+     * Wait until every scheduled callback, duplicate and reversal has run.
+     */
+    async flush() {
+
+        while (this.scheduled.size) {
+            await Promise.all([...this.scheduled.values()].map(({ done }) => done));
+        }
+    }
+
+    /**
+     * Forget all state; scheduled work is cancelled.
+     */
+    reset() {
+
+        for (const [timer, { finish }] of this.scheduled) {
+            clearTimeout(timer);
+            finish();
+        }
+
+        this.scheduled.clear();
+        this.transactions.clear();
+        this.tokens.clear();
+        this.deliveries = [];
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * HTTP helpers for subclasses
+     * -------------------------------------------------------------------------
+     */
+    async hold(outcome) {
+
+        if (outcome?.responseDelayMs) {
+            await new Promise((resolve) => setTimeout(resolve, outcome.responseDelayMs));
+        }
+    }
+
+    health() {
+
+        return {
+            provider: this.provider,
+            module: 'simulator',
+            status: 'UP',
+            scenario: this.scenarioEngine.scenario.name,
+            transactions: this.transactions.size,
+            scheduled: this.scheduled.size,
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = ProviderSimulator;
+module.exports.postCallback = postCallback;
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — Scenario Engine
+ * =============================================================================
+ *
+ * Decides how the simulated provider treats each request.
+ *
+ * A scenario script is plain data (so it can live in a JSON file):
+ *
+ * {
+ *     name: 'duplicate-callbacks',
+ *     description: 'Every callback is delivered three times',
+ *     rules: [
+ *         {
+ *             when: { provider: 'mtn', operation: 'collection', msisdnSuffix: '01' },
+ *             then: { status: 'FAILED', reason: 'NOT_ENOUGH_FUNDS' },
+ *             times: 1
+ *         }
+ *     ],
+ *     default: { status: 'SUCCESSFUL', duplicates: 2 }
+ * }
+ *
+ * `when` (all optional, all must match)
+ * -----------------------------------------------------------------------------
+ * provider        'mtn' | 'airtel'
+ * operation       'collection' | 'disbursement'
+ * msisdn          exact MSISDN, or an array of them
+ * msisdnSuffix    trailing digits of the MSISDN
+ * reference       exact external reference
+ * minAmount       inclusive lower bound
+ * maxAmount       inclusive upper bound
+ *
+ * `then` (the outcome)
+ * -----------------------------------------------------------------------------
+ * status           SUCCESSFUL | FAILED | PENDING (never completes, no callback)
+ * reason           provider reason code for FAILED
+ * callbackDelayMs  wait before the first callback
+ * duplicates       extra copies of the callback to deliver
+ * duplicateGapMs   wait between duplicate copies
+ * amountDelta      added to the amount the provider reports back
+ * reverseAfterMs   reverse a SUCCESSFUL transaction after this long
+ * responseDelayMs  hold the HTTP response (client-side timeouts)
+ * httpStatus       answer the API call with this status instead (outages)
+ * omitCallback     complete the transaction but never call back
+ *
+ * `times` limits how often a rule can fire; later requests fall through.
+ *
+ * =============================================================================
+ */
+
+const { ValidationError } = require('../shared/errors');
+
+const STATUSES = Object.freeze([
+    'SUCCESSFUL',
+    'FAILED',
+    'PENDING'
+]);
+
+const DEFAULT_OUTCOME = Object.freeze({
+    status: 'SUCCESSFUL'
+});
+
+class ScenarioEngine {
+
+    constructor({ scenario, logger } = {}) {
+
+        this.logger =
+            logger;
+
+        this.statistics = {
+            evaluated: 0,
+            matched: 0
+        };
+
+        this.load(scenario || { name: 'default', rules: [] });
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Load a scenario script
+     * -------------------------------------------------------------------------
+     */
+    load(scenario) {
+
+        ScenarioEngine.validate(scenario);
+
+        this.scenario = scenario;
+
+        this.rules = (scenario.rules || []).map((rule, index) => ({
+            index,
+            when: rule.when || {},
+            then: rule.then || {},
+            remaining: rule.times ?? Infinity
+        }));
+
+        this.fallback = {
+            ...DEFAULT_OUTCOME,
+            ...(scenario.default || {})
+        };
+
+        this.logger?.info?.({
+            message: 'Mobile money simulator scenario loaded',
+            scenario: scenario.name,
+            rules: this.rules.length
+        });
+
+        return this;
+    }
+
+    static validate(scenario) {
+
+        if (!scenario || typeof scenario !== 'object') {
+            throw new ValidationError('Simulator scenario must be an object');
+        }
+
+        if (scenario.rules !== undefined && !Array.isArray(scenario.rules)) {
+            throw new ValidationError(`Scenario "${scenario.name}" rules must be an array`);
+        }
+
+        const outcomes = [
+            ...(scenario.rules || []).map((rule) => rule?.then || {}),
+            scenario.default || {}
+        ];
+
+        for (const outcome of outcomes) {
+
+            if (outcome.status && !STATUSES.includes(outcome.status)) {
+                throw new ValidationError(
+                    `Scenario "${scenario.name}" uses unknown status ${outcome.status}`,
+                    { metadata: { allowed: STATUSES } }
+                );
+            }
+        }
+    }
+
+    /**
+     * -------------------------------------------------------------------------
+     * Resolve the outcome for one request
+     * -------------------------------------------------------------------------
+     */
+    resolve(request) {
+
+        this.statistics.evaluated++;
+
+        const rule = this.rules.find((candidate) =>
+            candidate.remaining > 0 && ScenarioEngine.matches(candidate.when, request)
+        );
+
+        if (!rule) {
+            return { ...this.fallback, rule: null };
+        }
+
+        rule.remaining--;
+
+        this.statistics.matched++;
+
+        return {
+            ...DEFAULT_OUTCOME,
+            ...rule.then,
+            rule: rule.index
+        };
+    }
+
+    static matches(when, request) {
+
+        const msisdn = String(request.msisdn || '');
+
+        if (when.provider && when.provider !== request.provider) return false;
+
+        if (when.operation && when.operation !== request.operation) return false;
+
+        if (when.reference && when.reference !== request.externalId) return false;
+
+        if (when.msisdn && ![].concat(when.msisdn).map(String).includes(msisdn)) return false;
+
+        if (when.msisdnSuffix && !msisdn.endsWith(String(when.msisdnSuffix))) return false;
+
+        if (when.minAmount !== undefined && Number(request.amount) < when.minAmount) return false;
+
+        if (when.maxAmount !== undefined && Number(request.amount) > when.maxAmount) return false;
+
+        return true;
+    }
+
+    describe() {
+
+        return {
+            name: this.scenario.name,
+            description: this.scenario.description,
+            rules: this.rules.map(({ index, when, then, remaining }) => ({
+                index,
+                when,
+                then,
+                remaining: remaining === Infinity ? null : remaining
+            })),
+            default: this.fallback,
+            statistics: { ...this.statistics }
+        };
+    }
+}
+
+module.exports = ScenarioEngine;
+module.exports.STATUSES = STATUSES;
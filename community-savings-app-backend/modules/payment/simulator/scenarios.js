@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * =============================================================================
+ * TITech Community Capital LTD
+ * Mobile Money Simulator — Built-in Scenario Scripts
+ * =============================================================================
+ *
+ * Each script exercises one resilience path of the payment module.
+ * The format is documented in scenarioEngine.js; custom scripts can be
+ * loaded from a JSON file with the same shape.
+ *
+ * =============================================================================
+ */
+
+const { ValidationError } = require('../shared/errors');
+
+/**
+ * MTN's public sandbox reacts to a handful of magic MSISDNs.
+ * Reproducing them keeps tests written against the real sandbox valid offline.
+ */
+const MTN_SANDBOX_NUMBERS = Object.freeze([
+    { when: { msisdn: '46733123450' }, then: { status: 'FAILED', reason: 'INTERNAL_PROCESSING_ERROR' } },
+    { when: { msisdn: '46733123451' }, then: { status: 'FAILED', reason: 'APPROVAL_REJECTED' } },
+    { when: { msisdn: '46733123452' }, then: { status: 'FAILED', reason: 'EXPIRED' } },
+    { when: { msisdn: '46733123453' }, then: { status: 'PENDING' } },
+    { when: { msisdn: '46733123454' }, then: { status: 'SUCCESSFUL', callbackDelayMs: 5000 } }
+]);
+
+const SCENARIOS = Object.freeze({
+
+    'happy-path': {
+        name: 'happy-path',
+        description: 'Every request succeeds and is called back once, straight away',
+        rules: [...MTN_SANDBOX_NUMBERS]
+    },
+
+    'delayed-callbacks': {
+        name: 'delayed-callbacks',
+        description: 'Callbacks arrive 3s late; status polling sees PENDING meanwhile',
+        rules: [],
+        default: { status: 'SUCCESSFUL', callbackDelayMs: 3000 }
+    },
+
+    'duplicate-callbacks': {
+        name: 'duplicate-callbacks',
+        description: 'Every callback is delivered three times',
+        rules: [],
+        default: { status: 'SUCCESSFUL', duplicates: 2, duplicateGapMs: 50 }
+    },
+
+    'wrong-amount': {
+        name: 'wrong-amount',
+        description: 'The provider confirms 100 less than was requested',
+        rules: [],
+        default: { status: 'SUCCESSFUL', amountDelta: -100 }
+    },
+
+    'timeouts': {
+        name: 'timeouts',
+        description: 'Requests are accepted but never complete and never call back',
+        rules: [],
+        default: { status: 'PENDING' }
+    },
+
+    'slow-provider': {
+        name: 'slow-provider',
+        description: 'API responses take 35s, beyond the adapters\' request timeout',
+        rules: [],
+        default: { status: 'SUCCESSFUL', responseDelayMs: 35000 }
+    },
+
+    'lost-callbacks': {
+        name: 'lost-callbacks',
+        description: 'Payments complete but the callback never arrives; only polling finds out',
+        rules: [],
+        default: { status: 'SUCCESSFUL', omitCallback: true }
+    },
+
+    'reversals': {
+        name: 'reversals',
+        description: 'Payments succeed and are reversed by the provider 2s later',
+        rules: [],
+        default: { status: 'SUCCESSFUL', reverseAfterMs: 2000 }
+    },
+
+    'insufficient-funds': {
+        name: 'insufficient-funds',
+        description: 'Collections fail for lack of funds; disbursements succeed',
+        rules: [
+            { when: { operation: 'collection' }, then: { status: 'FAILED', reason: 'NOT_ENOUGH_FUNDS' } }
+        ]
+    },
+
+    'provider-outage': {
+        name: 'provider-outage',
+        description: 'The first three API calls fail with 503, then the provider recovers',
+        rules: [
+            { when: {}, then: { httpStatus: 503 }, times: 3 }
+        ]
+    }
+});
+
+function getScenario(name) {
+
+    const scenario = SCENARIOS[name];
+
+    if (!scenario) {
+        throw new ValidationError(
+            `Unknown simulator scenario "${name}"`,
+            { metadata: { available: Object.keys(SCENARIOS) } }
+        );
+    }
+
+    // Callers often add rules to a built-in script, so hand out a copy
+    return JSON.parse(JSON.stringify(scenario));
+}
+
+module.exports = {
+    SCENARIOS,
+    MTN_SANDBOX_NUMBERS,
+    getScenario
+};
@@ -0,0 +1,28 @@
+// queues/index.js
+'use strict';
+
+/**
+ * Queue subsystem loaded by bootstrap/infrastructure.js (QUEUE_ENABLED).
+ * Starting it starts the BullMQ workers in jobs/queueSetup.js and registers
+ * their recurring jobs; shutting it down closes the workers, queues and Redis connection.
+ */
+
+let queues = null;
+
+async function start() {
+  if (!queues) {
+    // Loaded here so requiring this file does not open Redis connections
+    queues = require('../jobs/queueSetup');
+    await queues.scheduleRecurringJobs();
+  }
+  return queues;
+}
+
+async function shutdown() {
+  if (queues) {
+    await queues.shutdownQueues();
+    queues = null;
+  }
+}
+
+module.exports = { start, shutdown };
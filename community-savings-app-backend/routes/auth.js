@@ -7,6 +7,7 @@
 // ============================================================================
 
 const express = require('express');
+const { body, param } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 const asyncHandler = require('../utils/asyncHandler');
@@ -19,6 +20,8 @@ const {
 
 const authController = require('../controllers/authController');
 const emailController = require('../controllers/emailController');
+const mfaController = require('../controllers/mfaController');
+const MfaPolicy = require('../models/MfaPolicy');
 
 const router = express.Router();
 
@@ -29,6 +32,8 @@ const router = express.Router();
 const REQUIRED_HANDLERS = [
   'register',
   'login',
+  'loginMfa',
+  'loginMfaSetup',
   'refresh',
   'logout',
   'logoutAll',
@@ -164,6 +169,24 @@ router.post(
   asyncHandler(authController.login)
 );
 
+// Second step for users with two-step verification (or enrolling in it)
+router.post(
+  '/login/mfa',
+  loginLimiter,
+  validationRules.mfaChallenge,
+  validationRules.mfaCode,
+  handleValidation,
+  asyncHandler(authController.loginMfa)
+);
+
+router.post(
+  '/login/mfa/setup',
+  loginLimiter,
+  validationRules.mfaChallenge,
+  handleValidation,
+  asyncHandler(authController.loginMfaSetup)
+);
+
 router.post(
   '/forgot-password',
   loginLimiter,
@@ -219,6 +242,56 @@ router.delete(
   asyncHandler(authController.revokeSession)
 );
 
+// ============================================================================
+// TWO-STEP VERIFICATION (MFA)
+// ============================================================================
+
+const totpCode = body('code')
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Enter the 6-digit code from your authenticator app');
+
+router.get(
+  '/mfa',
+  authenticate,
+  sessionLimiter,
+  asyncHandler(mfaController.status)
+);
+
+router.post(
+  '/mfa/setup',
+  authenticate,
+  sessionLimiter,
+  asyncHandler(mfaController.setup)
+);
+
+router.post(
+  '/mfa/confirm',
+  authenticate,
+  loginLimiter,
+  [totpCode],
+  handleValidation,
+  asyncHandler(mfaController.confirm)
+);
+
+router.post(
+  '/mfa/backup-codes',
+  authenticate,
+  loginLimiter,
+  [totpCode],
+  handleValidation,
+  asyncHandler(mfaController.regenerateBackupCodes)
+);
+
+router.post(
+  '/mfa/disable',
+  authenticate,
+  loginLimiter,
+  validationRules.mfaCode,
+  handleValidation,
+  asyncHandler(mfaController.disable)
+);
+
 // ============================================================================
 // ADMIN ROUTES
 // ============================================================================
@@ -239,6 +312,43 @@ router.delete(
   asyncHandler(authController.adminRevokeSession)
 );
 
+router.get(
+  '/admin/mfa/policy',
+  authenticate,
+  requireRole('admin'),
+  asyncHandler(mfaController.getPolicy)
+);
+
+router.put(
+  '/admin/mfa/policy',
+  authenticate,
+  requireRole('admin'),
+  [
+    body('requiredRoles').isArray().withMessage('requiredRoles must be a list'),
+    body('requiredRoles.*')
+      .isIn(MfaPolicy.ROLES)
+      .withMessage(`Roles must be one of: ${MfaPolicy.ROLES.join(', ')}`),
+  ],
+  handleValidation,
+  asyncHandler(mfaController.updatePolicy)
+);
+
+router.post(
+  '/admin/users/:userId/mfa/reset',
+  authenticate,
+  requireRole('admin'),
+  sessionLimiter,
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 300 })
+      .withMessage('Say why the reset is needed (5-300 characters)'),
+  ],
+  handleValidation,
+  asyncHandler(mfaController.adminReset)
+);
+
 // ============================================================================
 // HEALTH / STATUS
 // ============================================================================
@@ -0,0 +1,120 @@
+// routes/constitutions.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const constitutionController = require('../controllers/constitutionController');
+const { verifyToken } = require('../middleware/auth');
+const GroupConstitution = require('../models/GroupConstitution');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const versionParam = param('version').isInt({ min: 1 }).withMessage('version must be a positive integer').toInt();
+
+/**
+ * @route   GET /api/v1/groups/:groupId/constitution
+ * @desc    Get the active constitution
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/constitution',
+  verifyToken,
+  [groupParam],
+  handleValidation,
+  asyncHandler(constitutionController.getActive)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/constitution/versions
+ * @desc    Amendment history: every version with the rule changes it made
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/constitution/versions',
+  verifyToken,
+  [groupParam],
+  handleValidation,
+  asyncHandler(constitutionController.history)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/constitution/versions
+ * @desc    Propose a new version; omitted rules carry over from the active version
+ * @access  Private (Group officers)
+ * @body    {
+ *   rules: {
+ *     contributions?: { minimumAmount?, frequency?: weekly|biweekly|monthly, currency? },
+ *     loans?: { savingsMultiple?, maxTermMonths? },
+ *     withdrawals?: { approverRoles?: Array<creator|treasurer|secretary>, approvalThreshold? }
+ *   },
+ *   summary?,
+ *   adoption?: { method?: vote|signature, threshold?: 0..1 }
+ * }
+ */
+router.post(
+  '/:groupId/constitution/versions',
+  verifyToken,
+  [
+    groupParam,
+    body('rules').isObject(),
+    body('rules.contributions.minimumAmount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('rules.contributions.frequency')
+      .optional({ nullable: true })
+      .isIn(GroupConstitution.CONTRIBUTION_FREQUENCIES),
+    body('rules.contributions.currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('rules.loans.savingsMultiple').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('rules.loans.maxTermMonths').optional({ nullable: true }).isInt({ min: 1, max: 360 }).toInt(),
+    body('rules.withdrawals.approverRoles').optional().isArray({ min: 1 }),
+    body('rules.withdrawals.approverRoles.*').isIn(GroupConstitution.WITHDRAWAL_APPROVER_ROLES),
+    body('rules.withdrawals.approvalThreshold').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('summary').optional().isString().trim().isLength({ max: 1000 }),
+    body('adoption.method').optional().isIn(GroupConstitution.ADOPTION_METHODS),
+    body('adoption.threshold').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  ],
+  handleValidation,
+  asyncHandler(constitutionController.propose)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/constitution/versions/:version/votes
+ * @desc    Vote on a proposed version
+ * @access  Private (Group members)
+ * @body    { choice: for|against }
+ */
+router.post(
+  '/:groupId/constitution/versions/:version/votes',
+  verifyToken,
+  [groupParam, versionParam, body('choice').isIn(['for', 'against'])],
+  handleValidation,
+  asyncHandler(constitutionController.vote)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/constitution/versions/:version/signatures
+ * @desc    Sign a proposed version
+ * @access  Private (Group members)
+ */
+router.post(
+  '/:groupId/constitution/versions/:version/signatures',
+  verifyToken,
+  [groupParam, versionParam],
+  handleValidation,
+  asyncHandler(constitutionController.sign)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/constitution/versions/:version/withdraw
+ * @desc    Withdraw a proposed version
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/constitution/versions/:version/withdraw',
+  verifyToken,
+  [groupParam, versionParam],
+  handleValidation,
+  asyncHandler(constitutionController.withdraw)
+);
+
+module.exports = router;
@@ -12,9 +12,14 @@ const {
   getGroupContributions,
   getUserContributions,
   getGroupStats,
+  setObligations,
+  getObligations,
+  getDueCalendar,
+  getGroupArrears,
 } = require('../controllers/contributionController');
 
 const { verifyToken } = require('../middleware/auth');
+const ContributionObligation = require('../models/ContributionObligation');
 
 /**
  * Cross-field validator to ensure `from` <= `to` when both provided.
@@ -35,7 +40,7 @@ const validateFromTo = [
  * @route   POST /api/contributions
  * @desc    Add a new contribution
  * @access  Private (Authenticated Users)
- * @body    { amount: number, groupId: string (ObjectId), note?: string, date?: ISO8601 }
+ * @body    { amount: number, groupId: string (ObjectId), currency?: ISO 4217, note?: string, date?: ISO8601 }
  */
 router.post(
   '/',
@@ -43,6 +48,7 @@ router.post(
   [
     body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
     body('groupId').isMongoId().withMessage('groupId must be a valid ObjectId'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
     body('note').optional().isString().trim().isLength({ max: 1000 }),
     body('date').optional().isISO8601().withMessage('date must be ISO8601'),
   ],
@@ -83,6 +89,72 @@ router.get(
   asyncHandler(getGroupStats)
 );
 
+/**
+ * @route   PUT /api/contributions/group/:groupId/obligations
+ * @desc    Set what members must contribute from a start date (replaces current terms)
+ * @access  Private (Group officers)
+ * @body    { startDate: ISO8601, amount?: number, frequency?: weekly|biweekly|monthly, currency?, userIds?: string[] }
+ */
+router.put(
+  '/group/:groupId/obligations',
+  verifyToken,
+  [
+    param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId'),
+    body('startDate').isISO8601().withMessage('startDate must be ISO8601'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('frequency').optional().isIn(ContributionObligation.FREQUENCIES),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('userIds').optional().isArray({ max: 500 }),
+    body('userIds.*').isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(setObligations)
+);
+
+/**
+ * @route   GET /api/contributions/group/:groupId/obligations
+ * @desc    Get active contribution obligations
+ * @access  Private (Group members; members see their own)
+ */
+router.get(
+  '/group/:groupId/obligations',
+  verifyToken,
+  [param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId')],
+  handleValidation,
+  asyncHandler(getObligations)
+);
+
+/**
+ * @route   GET /api/contributions/group/:groupId/calendar
+ * @desc    Get contribution due dates in a range (default: next 90 days)
+ * @access  Private (Group members; members see their own)
+ * @query   ?from=<ISO8601>&to=<ISO8601>
+ */
+router.get(
+  '/group/:groupId/calendar',
+  verifyToken,
+  [param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId'), ...validateFromTo],
+  handleValidation,
+  asyncHandler(getDueCalendar)
+);
+
+/**
+ * @route   GET /api/contributions/group/:groupId/arrears
+ * @desc    Expected vs actual contributions and arrears per member and period
+ * @access  Private (Group members; members see their own)
+ * @query   ?asOf=<ISO8601>
+ */
+router.get(
+  '/group/:groupId/arrears',
+  verifyToken,
+  [
+    param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId'),
+    query('asOf').optional().isISO8601(),
+  ],
+  handleValidation,
+  asyncHandler(getGroupArrears)
+);
+
 /**
  * @route   GET /api/contributions/user
  * @desc    Get all contributions made by the logged-in user (paginated)
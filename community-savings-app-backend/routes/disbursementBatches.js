@@ -0,0 +1,137 @@
+// routes/disbursementBatches.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const disbursementBatchController = require('../controllers/disbursementBatchController');
+const { verifyToken } = require('../middleware/auth');
+
+const batchParam = param('batchId').isMongoId().withMessage('batchId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/disbursement-batches
+ * @desc    Create a bulk payout batch from an upload, the group's approved loans or a closed
+ *          savings cycle; lines are validated and the batch waits for a second officer's approval
+ * @access  Private (Group officers; admins for batches outside a group)
+ * @body    { source: UPLOAD|APPROVED_LOANS|SAVINGS_CYCLE, groupId?, purpose?, description?, currency?,
+ *            lines?: [{ phoneNumber, amount, name?, provider?, reference?, userId? }], csv?,
+ *            loanIds?, savingsCycleId? }
+ */
+router.post(
+  '/',
+  verifyToken,
+  [
+    body('source').isIn(['UPLOAD', 'APPROVED_LOANS', 'SAVINGS_CYCLE']),
+    body('groupId').optional().isMongoId(),
+    body('groupId')
+      .if(body('source').isIn(['APPROVED_LOANS', 'SAVINGS_CYCLE']))
+      .isMongoId()
+      .withMessage('groupId is required for loan and share-out batches'),
+    body('savingsCycleId')
+      .if(body('source').equals('SAVINGS_CYCLE'))
+      .isMongoId()
+      .withMessage('savingsCycleId is required for share-out batches'),
+    body('purpose').optional().isIn(['LOAN_PAYOUT', 'SHARE_OUT', 'BULK_PAYMENT']),
+    body('description').optional().isString().trim().isLength({ max: 500 }),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('lines').optional().isArray({ min: 1, max: 5000 }),
+    body('csv').optional().isString(),
+    body('loanIds').optional().isArray(),
+    body('loanIds.*').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(disbursementBatchController.create)
+);
+
+/**
+ * @route   GET /api/v1/disbursement-batches
+ * @desc    List batches for a group (admins may omit groupId)
+ * @access  Private (Group officers or admin)
+ * @query   { groupId?, status? }
+ */
+router.get(
+  '/',
+  verifyToken,
+  [
+    query('groupId').optional().isMongoId(),
+    query('status')
+      .optional()
+      .isIn(['pending_approval', 'approved', 'processing', 'completed', 'partially_failed', 'rejected', 'cancelled']),
+  ],
+  handleValidation,
+  asyncHandler(disbursementBatchController.list)
+);
+
+/**
+ * @route   GET /api/v1/disbursement-batches/:batchId
+ * @desc    Get a batch with its lines and progress
+ * @access  Private (Group officers or admin)
+ */
+router.get('/:batchId', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.get));
+
+/**
+ * @route   GET /api/v1/disbursement-batches/:batchId/report
+ * @desc    Get the last reconciliation report
+ * @access  Private (Group officers or admin)
+ */
+router.get('/:batchId/report', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.report));
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/approve
+ * @desc    Approve a batch (checker must differ from maker)
+ * @access  Private (Group officers or admin)
+ */
+router.post('/:batchId/approve', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.approve));
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/reject
+ * @desc    Reject a batch awaiting approval
+ * @access  Private (Group officers or admin)
+ * @body    { reason? }
+ */
+router.post(
+  '/:batchId/reject',
+  verifyToken,
+  [batchParam, body('reason').optional().isString().trim().isLength({ max: 500 })],
+  handleValidation,
+  asyncHandler(disbursementBatchController.reject)
+);
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/cancel
+ * @desc    Withdraw a batch before approval
+ * @access  Private (Maker or admin)
+ */
+router.post('/:batchId/cancel', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.cancel));
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/execute
+ * @desc    Pay an approved batch across MTN and Airtel (runs in the background)
+ * @access  Private (Group officers or admin)
+ */
+router.post('/:batchId/execute', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.execute));
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/retry-failed
+ * @desc    Retry the failed lines of a partially failed batch; unclear payouts are checked with the provider first
+ * @access  Private (Group officers or admin)
+ */
+router.post(
+  '/:batchId/retry-failed',
+  verifyToken,
+  [batchParam],
+  handleValidation,
+  asyncHandler(disbursementBatchController.retryFailed)
+);
+
+/**
+ * @route   POST /api/v1/disbursement-batches/:batchId/reconcile
+ * @desc    Confirm sent payouts with the providers and build the reconciliation report
+ * @access  Private (Group officers or admin)
+ */
+router.post('/:batchId/reconcile', verifyToken, [batchParam], handleValidation, asyncHandler(disbursementBatchController.reconcile));
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// routes/dividends.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const dividendController = require('../controllers/dividendController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { ALLOCATION_METHODS, PAYOUT_OPTIONS } = require('../modules/finance/services/dividendAllocationService');
+
+const idParam = param('id').isMongoId().withMessage('id must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/dividends/previews
+ * @desc    Compute a per-member dividend breakdown for approval (nothing is posted)
+ * @access  Private (Admin)
+ * @body    { fiscalYear, distributableProfit,
+ *            method?: SHARE_MONTHS|AVERAGE_DAILY_BALANCE|PATRONAGE|SHARE_BALANCE (default SHARE_MONTHS),
+ *            groupId?, periodStart?, periodEnd? (default the fiscal year),
+ *            payoutOption?: WALLET|MOBILE_MONEY|REINVEST (default WALLET),
+ *            memberOptions?: { [userId]: payoutOption }, currency? }
+ */
+router.post(
+  '/previews',
+  verifyToken,
+  isAdmin,
+  [
+    body('fiscalYear').isInt({ min: 2000, max: 2100 }).toInt(),
+    body('distributableProfit').isFloat({ gt: 0 }).toFloat(),
+    body('method').optional().isIn(Object.values(ALLOCATION_METHODS)),
+    body('groupId').optional().isMongoId(),
+    body('periodStart').optional().isISO8601(),
+    body('periodEnd').optional().isISO8601(),
+    body('payoutOption').optional().isIn(Object.values(PAYOUT_OPTIONS)),
+    body('memberOptions').optional().isObject(),
+    body('memberOptions.*').isIn(Object.values(PAYOUT_OPTIONS)),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+  ],
+  handleValidation,
+  asyncHandler(dividendController.preview)
+);
+
+/**
+ * @route   GET /api/v1/dividends/:id
+ * @desc    Get a dividend declaration with its member lines
+ * @access  Private (Admin)
+ */
+router.get('/:id', verifyToken, isAdmin, [idParam], handleValidation, asyncHandler(dividendController.getDistribution));
+
+/**
+ * @route   POST /api/v1/dividends/:id/approve
+ * @desc    Approve a preview and post it; resumes unsettled lines of a partially posted or interrupted run
+ * @access  Private (Admin)
+ */
+router.post('/:id/approve', verifyToken, isAdmin, [idParam], handleValidation, asyncHandler(dividendController.approve));
+
+/**
+ * @route   POST /api/v1/dividends/:id/reject
+ * @desc    Discard a preview
+ * @access  Private (Admin)
+ */
+router.post('/:id/reject', verifyToken, isAdmin, [idParam], handleValidation, asyncHandler(dividendController.reject));
+
+module.exports = router;
@@ -0,0 +1,189 @@
+// routes/fines.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const fineController = require('../controllers/fineController');
+const { verifyToken } = require('../middleware/auth');
+const FineRule = require('../models/FineRule');
+const Fine = require('../models/Fine');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const fineParam = param('fineId').isMongoId().withMessage('fineId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fine-rules
+ * @desc    Create a fine rule
+ * @access  Private (Group officers)
+ * @body    { name, trigger, calculation?: flat|percentage, amount, graceDays?, minAmount?, maxAmount?, currency?, effectiveFrom? }
+ */
+router.post(
+  '/:groupId/fine-rules',
+  verifyToken,
+  [
+    groupParam,
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('trigger').isIn(FineRule.TRIGGERS),
+    body('calculation').optional().isIn(FineRule.CALCULATIONS),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('graceDays').optional().isInt({ min: 0, max: 365 }).toInt(),
+    body('minAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('maxAmount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('effectiveFrom').optional().isISO8601(),
+  ],
+  handleValidation,
+  asyncHandler(fineController.createRule)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/fine-rules
+ * @desc    List a group's fine rules
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/fine-rules',
+  verifyToken,
+  [groupParam],
+  handleValidation,
+  asyncHandler(fineController.listRules)
+);
+
+/**
+ * @route   PATCH /api/v1/groups/:groupId/fine-rules/:ruleId
+ * @desc    Update or deactivate a fine rule
+ * @access  Private (Group officers)
+ */
+router.patch(
+  '/:groupId/fine-rules/:ruleId',
+  verifyToken,
+  [
+    groupParam,
+    param('ruleId').isMongoId(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('calculation').optional().isIn(FineRule.CALCULATIONS),
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('graceDays').optional().isInt({ min: 0, max: 365 }).toInt(),
+    body('minAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('maxAmount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('active').optional().isBoolean().toBoolean(),
+  ],
+  handleValidation,
+  asyncHandler(fineController.updateRule)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines/evaluate
+ * @desc    Evaluate fine rules now and issue new fines
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/fines/evaluate',
+  verifyToken,
+  [groupParam, body('asOf').optional().isISO8601()],
+  handleValidation,
+  asyncHandler(fineController.evaluate)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/fines
+ * @desc    List fines (members see their own)
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/fines',
+  verifyToken,
+  [
+    groupParam,
+    query('status').optional().isIn(Fine.FINE_STATUSES),
+    query('userId').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(fineController.listFines)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines
+ * @desc    Charge a member a fine manually
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/fines',
+  verifyToken,
+  [
+    groupParam,
+    body('userId').isMongoId(),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('reason').isString().trim().isLength({ min: 1, max: 500 }),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+  ],
+  handleValidation,
+  asyncHandler(fineController.issueFine)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines/:fineId/payments
+ * @desc    Record a payment against a fine
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/fines/:fineId/payments',
+  verifyToken,
+  [
+    groupParam,
+    fineParam,
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('reference').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  ],
+  handleValidation,
+  asyncHandler(fineController.recordPayment)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines/:fineId/waive
+ * @desc    Waive the unpaid balance of a fine
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/fines/:fineId/waive',
+  verifyToken,
+  [groupParam, fineParam, body('reason').isString().trim().isLength({ min: 1, max: 500 })],
+  handleValidation,
+  asyncHandler(fineController.waiveFine)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines/:fineId/appeal
+ * @desc    Appeal a fine
+ * @access  Private (Fined member)
+ */
+router.post(
+  '/:groupId/fines/:fineId/appeal',
+  verifyToken,
+  [groupParam, fineParam, body('reason').isString().trim().isLength({ min: 1, max: 1000 })],
+  handleValidation,
+  asyncHandler(fineController.appealFine)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/fines/:fineId/appeal/decision
+ * @desc    Uphold or overturn an appeal
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/fines/:fineId/appeal/decision',
+  verifyToken,
+  [
+    groupParam,
+    fineParam,
+    body('overturn').isBoolean().toBoolean(),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(fineController.decideAppeal)
+);
+
+module.exports = router;
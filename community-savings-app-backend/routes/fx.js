@@ -0,0 +1,117 @@
+// routes/fx.js
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const fxController = require('../controllers/fxController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+const CURRENCY = /^[A-Za-z]{3}$/;
+const SOURCES = ['MANUAL', 'BANK_OF_UGANDA', 'CENTRAL_BANK_OF_KENYA', 'COMMERCIAL_BANK', 'PROVIDER'];
+
+/**
+ * @route   GET /api/v1/fx/rates
+ * @desc    Exchange rate table with effective dates
+ * @access  Private
+ * @query   { currency?, reportingCurrency?, limit? }
+ */
+router.get(
+  '/rates',
+  verifyToken,
+  [
+    query(['currency', 'reportingCurrency']).optional().matches(CURRENCY),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(fxController.listRates)
+);
+
+/**
+ * @route   POST /api/v1/fx/rates
+ * @desc    Record a rate effective from a date (1 currency = rate × reportingCurrency)
+ * @access  Private (Admin)
+ * @body    { currency, reportingCurrency?, rate, effectiveFrom?, source?, note? }
+ */
+router.post(
+  '/rates',
+  verifyToken,
+  isAdmin,
+  [
+    body('currency').matches(CURRENCY),
+    body('reportingCurrency').optional().matches(CURRENCY),
+    body('rate').isFloat({ gt: 0 }).toFloat(),
+    body('effectiveFrom').optional().isISO8601(),
+    body('source').optional().isIn(SOURCES),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(fxController.setRate)
+);
+
+/**
+ * @route   GET /api/v1/fx/convert
+ * @desc    Convert an amount to the reporting currency at the rate effective on a date
+ * @access  Private
+ * @query   { amount, currency, asOf? }
+ */
+router.get(
+  '/convert',
+  verifyToken,
+  [
+    query('amount').isFloat().toFloat(),
+    query('currency').matches(CURRENCY),
+    query('asOf').optional().isISO8601(),
+  ],
+  handleValidation,
+  asyncHandler(fxController.convert)
+);
+
+/**
+ * @route   GET /api/v1/fx/reports/trial-balance
+ * @desc    Trial balance in the reporting currency and each account's own currency
+ * @access  Private (Admin)
+ * @query   { startDate?, endDate? }
+ */
+router.get(
+  '/reports/trial-balance',
+  verifyToken,
+  isAdmin,
+  [query(['startDate', 'endDate']).optional().isISO8601()],
+  handleValidation,
+  asyncHandler(fxController.trialBalance)
+);
+
+/**
+ * @route   GET /api/v1/fx/reports/balance-sheet
+ * @desc    Balance sheet in the reporting currency and each account's own currency
+ * @access  Private (Admin)
+ * @query   { startDate?, endDate? }
+ */
+router.get(
+  '/reports/balance-sheet',
+  verifyToken,
+  isAdmin,
+  [query(['startDate', 'endDate']).optional().isISO8601()],
+  handleValidation,
+  asyncHandler(fxController.balanceSheet)
+);
+
+/**
+ * @route   GET /api/v1/fx/revaluation
+ * @desc    Unrealized gain/loss a revaluation at `asOf` would post (posted at period close)
+ * @access  Private (Admin)
+ * @query   { asOf? }
+ */
+router.get(
+  '/revaluation',
+  verifyToken,
+  isAdmin,
+  [query('asOf').optional().isISO8601()],
+  handleValidation,
+  asyncHandler(fxController.previewRevaluation)
+);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+// routes/groupWithdrawals.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const groupWithdrawalController = require('../controllers/groupWithdrawalController');
+const { verifyToken } = require('../middleware/auth');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const withdrawalParam = param('withdrawalId').isMongoId().withMessage('withdrawalId must be a valid ObjectId');
+
+/**
+ * @route   GET /api/v1/groups/:groupId/withdrawal-policy
+ * @desc    Get the group's M-of-N withdrawal approval policy and its signatories
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/withdrawal-policy',
+  verifyToken,
+  [groupParam],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.getPolicy)
+);
+
+/**
+ * @route   PUT /api/v1/groups/:groupId/withdrawal-policy
+ * @desc    Replace the group's withdrawal approval policy
+ * @access  Private (Group officers)
+ * @body    { signatoryRoles?: (creator|treasurer|secretary)[],
+ *            tiers: [{ minAmount, requiredApprovals }], expiryHours? }
+ */
+router.put(
+  '/:groupId/withdrawal-policy',
+  verifyToken,
+  [
+    groupParam,
+    body('signatoryRoles').optional().isArray({ min: 1 }),
+    body('signatoryRoles.*').isIn(['creator', 'treasurer', 'secretary']),
+    body('tiers').isArray({ min: 1, max: 10 }).withMessage('tiers must be a non-empty array'),
+    body('tiers.*.minAmount').isFloat({ min: 0 }).toFloat(),
+    body('tiers.*.requiredApprovals').isInt({ min: 1, max: 10 }).toInt(),
+    body('expiryHours').optional().isInt({ min: 1, max: 720 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.setPolicy)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/withdrawals
+ * @desc    Request a payout from the group fund; released to mobile money once signed off
+ * @access  Private (Group officers)
+ * @body    { amount, purpose, recipientId?, phoneNumber?, currency? }
+ */
+router.post(
+  '/:groupId/withdrawals',
+  verifyToken,
+  [
+    groupParam,
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('purpose').isString().trim().isLength({ min: 3, max: 500 }),
+    body('recipientId').optional().isMongoId(),
+    body('phoneNumber').optional().isString().trim().matches(/^\+?\d{9,15}$/).withMessage('phoneNumber is invalid'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+  ],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.requestWithdrawal)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/withdrawals
+ * @desc    List withdrawal requests, newest first
+ * @access  Private (Group members)
+ * @query   { status? }
+ */
+router.get(
+  '/:groupId/withdrawals',
+  verifyToken,
+  [
+    groupParam,
+    query('status').optional().isIn(['pending', 'approved', 'released', 'failed', 'rejected', 'cancelled', 'expired']),
+  ],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.listWithdrawals)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/withdrawals/:withdrawalId
+ * @desc    Get a withdrawal request with its signatures
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/withdrawals/:withdrawalId',
+  verifyToken,
+  [groupParam, withdrawalParam],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.getWithdrawal)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/withdrawals/:withdrawalId/sign
+ * @desc    Approve or reject a withdrawal as one of its signatories
+ * @access  Private (Signatories)
+ * @body    { decision: approve|reject, note? }
+ */
+router.post(
+  '/:groupId/withdrawals/:withdrawalId/sign',
+  verifyToken,
+  [
+    groupParam,
+    withdrawalParam,
+    body('decision').isIn(['approve', 'reject']),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.sign)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/withdrawals/:withdrawalId/cancel
+ * @desc    Cancel a pending withdrawal
+ * @access  Private (Requester or signatories)
+ */
+router.post(
+  '/:groupId/withdrawals/:withdrawalId/cancel',
+  verifyToken,
+  [groupParam, withdrawalParam],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.cancel)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/withdrawals/:withdrawalId/release
+ * @desc    Retry the mobile money transfer of an approved withdrawal that failed
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/withdrawals/:withdrawalId/release',
+  verifyToken,
+  [groupParam, withdrawalParam],
+  handleValidation,
+  asyncHandler(groupWithdrawalController.retryRelease)
+);
+
+module.exports = router;
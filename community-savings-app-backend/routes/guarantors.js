@@ -0,0 +1,98 @@
+// routes/guarantors.js
+
+const crypto = require('crypto');
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const guarantorController = require('../controllers/guarantorController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+const loanParam = param('loanId').isMongoId().withMessage('loanId must be a valid ObjectId');
+
+/**
+ * The SMS gateway signs each callback with an HMAC-SHA256 of the JSON body
+ * (hex, `x-signature` header) using SMS_WEBHOOK_SECRET.
+ */
+function verifySmsSignature(req, res, next) {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+  const signature = String(req.headers['x-signature'] || '');
+  if (!secret || !signature) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  const expected = crypto.createHmac('sha256', secret).update(JSON.stringify(req.body)).digest('hex');
+  const valid =
+    expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  return valid ? next() : res.status(401).json({ message: 'Invalid signature' });
+}
+
+/**
+ * @route   POST /api/v1/guarantors/loans/:loanId/consent-requests
+ * @desc    Ask the loan's pending guarantors for consent (SMS, USSD and push)
+ * @access  Private (Borrower or loan officer)
+ */
+router.post(
+  '/loans/:loanId/consent-requests',
+  verifyToken,
+  [loanParam],
+  handleValidation,
+  asyncHandler(guarantorController.requestConsent)
+);
+
+/**
+ * @route   POST /api/v1/guarantors/loans/:loanId/:guarantorId/response
+ * @desc    Accept or decline a guarantor request; accepting blocks the guarantee in savings
+ * @access  Private (The guarantor)
+ * @body    { decision: accept|decline, reason? }
+ */
+router.post(
+  '/loans/:loanId/:guarantorId/response',
+  verifyToken,
+  [
+    loanParam,
+    param('guarantorId').isMongoId(),
+    body('decision').isIn(['accept', 'decline']),
+    body('reason').optional().isString().trim().isLength({ max: 300 }),
+  ],
+  handleValidation,
+  asyncHandler(guarantorController.respond)
+);
+
+/**
+ * @route   GET /api/v1/guarantors/me/exposures
+ * @desc    Guarantees the signed-in member has given on open loans
+ * @access  Private
+ */
+router.get('/me/exposures', verifyToken, asyncHandler(guarantorController.myExposures));
+
+/**
+ * @route   GET /api/v1/guarantors/members/:memberId/exposures
+ * @desc    A member's guarantees on open loans
+ * @access  Private (Admin)
+ */
+router.get(
+  '/members/:memberId/exposures',
+  verifyToken,
+  isAdmin,
+  [param('memberId').isMongoId()],
+  handleValidation,
+  asyncHandler(guarantorController.memberExposures)
+);
+
+/**
+ * @route   POST /api/v1/guarantors/sms-replies
+ * @desc    SMS gateway callback for guarantor replies ("YES 123456" / "NO 123456")
+ * @access  SMS gateway (signed)
+ * @body    { from, text }
+ */
+router.post(
+  '/sms-replies',
+  verifySmsSignature,
+  [body('from').isString().trim().notEmpty(), body('text').isString()],
+  handleValidation,
+  asyncHandler(guarantorController.smsReply)
+);
+
+module.exports = router;
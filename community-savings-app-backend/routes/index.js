@@ -9,6 +9,32 @@ const loansController = require("../controllers/loansController");
 const repaymentsController = require("../controllers/repaymentsController");
 const walletsController = require("../controllers/groupWalletController");
 
+// Sub-routers
+const contributionRoutes = require("./contributions");
+const rotationRoutes = require("./rotations");
+const meetingRoutes = require("./meetings");
+const fineRoutes = require("./fines");
+const constitutionRoutes = require("./constitutions");
+const loanProductRoutes = require("./loanProducts");
+const guarantorRoutes = require("./guarantors");
+const loanRestructureRoutes = require("./loanRestructures");
+const dividendRoutes = require("./dividends");
+const savingsCycleRoutes = require("./savingsCycles");
+const groupWithdrawalRoutes = require("./groupWithdrawals");
+const mpesaRoutes = require("./mpesa");
+const standingOrderRoutes = require("./standingOrders");
+const disbursementBatchRoutes = require("./disbursementBatches");
+const internalTransferRoutes = require("./internalTransfers");
+const paymentRequestRoutes = require("./paymentRequests");
+const publicPayRoutes = require("./publicPay");
+const paymentRoutingRoutes = require("./paymentRouting");
+const fxRoutes = require("./fx");
+const ussdPinRoutes = require("./ussdPin");
+const ussdMenuRoutes = require("./ussdMenus");
+const ussdRoutes = require("./ussd.routes");
+const smsRoutes = require("./sms");
+const walletRoutes = require("./walletRoutes");
+
 // Middleware
 const { authenticate } = require("../middleware/auth");
 
@@ -28,13 +54,21 @@ const API_PREFIX = "/api/v1";
 
 /**
  * CONTRIBUTIONS
+ * SACCO ledger postings carry a saccoId; group contributions (groupId) skip to
+ * the group contribution routes below.
  */
 router.post(
   `${API_PREFIX}/contributions`,
   authenticate,
+  (req, res, next) => (req.body?.saccoId ? next() : next("route")),
   asyncHandler(contributionsController.createContribution)
 );
 
+/**
+ * GROUP CONTRIBUTIONS (obligations, due calendar, arrears, stats)
+ */
+router.use(`${API_PREFIX}/contributions`, contributionRoutes);
+
 /**
  * LOANS
  */
@@ -68,6 +102,121 @@ router.get(
   asyncHandler(walletsController.getLedger)
 );
 
+/**
+ * MEMBER WALLETS (balance, withdrawals checked against group constitutions)
+ */
+router.use(`${API_PREFIX}/wallet`, walletRoutes);
+
+/**
+ * GROUP ROTATIONS (merry-go-round cycles)
+ */
+router.use(`${API_PREFIX}/groups`, rotationRoutes);
+
+/**
+ * GROUP MEETINGS
+ */
+router.use(`${API_PREFIX}/groups`, meetingRoutes);
+
+/**
+ * GROUP FINES & PENALTIES
+ */
+router.use(`${API_PREFIX}/groups`, fineRoutes);
+
+/**
+ * GROUP CONSTITUTIONS (versioned bylaws)
+ */
+router.use(`${API_PREFIX}/groups`, constitutionRoutes);
+
+/**
+ * SAVINGS CYCLES (VSLA close-out and share-out)
+ */
+router.use(`${API_PREFIX}/groups`, savingsCycleRoutes);
+
+/**
+ * GROUP WITHDRAWALS (multi-signatory approval)
+ */
+router.use(`${API_PREFIX}/groups`, groupWithdrawalRoutes);
+
+/**
+ * LOAN PRODUCTS (tenant catalogue)
+ */
+router.use(`${API_PREFIX}/loan-products`, loanProductRoutes);
+
+/**
+ * LOAN GUARANTORS (consent, liens, exposures)
+ */
+router.use(`${API_PREFIX}/guarantors`, guarantorRoutes);
+
+/**
+ * LOAN RESTRUCTURING (maker-checker)
+ */
+router.use(`${API_PREFIX}/loan-restructures`, loanRestructureRoutes);
+
+/**
+ * DIVIDENDS (preview, approval and payout)
+ */
+router.use(`${API_PREFIX}/dividends`, dividendRoutes);
+
+/**
+ * M-PESA (STK/C2B collections, B2C disbursements, callbacks, reconciliation)
+ */
+router.use(`${API_PREFIX}/payments/mpesa`, mpesaRoutes);
+
+/**
+ * STANDING ORDERS (recurring mobile money contributions)
+ */
+router.use(`${API_PREFIX}/standing-orders`, standingOrderRoutes);
+
+/**
+ * DISBURSEMENT BATCHES (bulk mobile money payouts with maker-checker approval)
+ */
+router.use(`${API_PREFIX}/disbursement-batches`, disbursementBatchRoutes);
+
+/**
+ * INTERNAL TRANSFERS (member-to-member and member-to-group, ledger only)
+ */
+router.use(`${API_PREFIX}/transfers`, internalTransferRoutes);
+
+/**
+ * PAYMENT REQUESTS (signed payment links and QR codes)
+ */
+router.use(`${API_PREFIX}/groups`, paymentRequestRoutes);
+
+/**
+ * PUBLIC PAY LINKS (no auth; the link is signed)
+ */
+router.use(`${API_PREFIX}/pay`, publicPayRoutes);
+
+/**
+ * PAYMENT ROUTING (reliability-aware payout routing and failover)
+ */
+router.use(`${API_PREFIX}/payment-routing`, paymentRoutingRoutes);
+
+/**
+ * FOREIGN EXCHANGE (rate table, conversion, dual-currency reports)
+ */
+router.use(`${API_PREFIX}/fx`, fxRoutes);
+
+/**
+ * USSD PINS (set in the app, admin-issued reset codes)
+ */
+router.use(`${API_PREFIX}/ussd-pin`, ussdPinRoutes);
+
+/**
+ * USSD MENUS (versioned per-tenant menu trees, simulator)
+ */
+router.use(`${API_PREFIX}/ussd/menus`, ussdMenuRoutes);
+
+/**
+ * USSD GATEWAY (no auth; Africa's Talking, MTN and Airtel post each hop)
+ */
+router.use(`${API_PREFIX}/ussd`, ussdRoutes.router);
+
+/**
+ * SMS (shortcode keyword commands from members without data, opt-outs)
+ */
+router.use(`${API_PREFIX}/sms`, smsRoutes);
+
 /**
  * HEALTH CHECK (for monitoring)
  */
@@ -0,0 +1,81 @@
+// routes/internalTransfers.js
+
+const express = require('express');
+const { body, header, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const internalTransferController = require('../controllers/internalTransferController');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/v1/transfers
+ * @desc    Move money from the caller's savings account to another member's account or into a
+ *          group (contribution, fine or loan repayment, optionally on behalf of another member)
+ * @access  Private (Members)
+ * @header  Idempotency-Key (required; retries with the same key return the original transfer)
+ * @body    { type: MEMBER_TO_MEMBER|MEMBER_TO_GROUP, fromSavingsId, amount, narration?,
+ *            toUserId?, toSavingsId?, groupId?, purpose?: CONTRIBUTION|FINE|LOAN_REPAYMENT,
+ *            fineId?, loanId?, onBehalfOf?, currency? (must be the account currency, UGX) }
+ */
+router.post(
+  '/',
+  verifyToken,
+  [
+    header('Idempotency-Key').isString().trim().isLength({ min: 8, max: 128 }).withMessage('Idempotency-Key header is required'),
+    body('type').isIn(['MEMBER_TO_MEMBER', 'MEMBER_TO_GROUP']),
+    body('fromSavingsId').isMongoId(),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('narration').optional().isString().trim().isLength({ max: 200 }),
+    body('currency').optional().isString().trim().toUpperCase().isLength({ min: 3, max: 3 }),
+    body('toUserId').optional().isMongoId(),
+    body('toSavingsId').optional().isMongoId(),
+    body('toUserId')
+      .if(body('type').equals('MEMBER_TO_MEMBER'))
+      .if(body('toSavingsId').not().exists())
+      .isMongoId()
+      .withMessage('toUserId or toSavingsId is required'),
+    body('groupId').if(body('type').equals('MEMBER_TO_GROUP')).isMongoId().withMessage('groupId is required'),
+    body('purpose')
+      .if(body('type').equals('MEMBER_TO_GROUP'))
+      .isIn(['CONTRIBUTION', 'FINE', 'LOAN_REPAYMENT']),
+    body('fineId').if(body('purpose').equals('FINE')).isMongoId().withMessage('fineId is required'),
+    body('loanId').if(body('purpose').equals('LOAN_REPAYMENT')).isMongoId().withMessage('loanId is required'),
+    body('onBehalfOf').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(internalTransferController.create)
+);
+
+/**
+ * @route   GET /api/v1/transfers
+ * @desc    List transfers the caller sent or received
+ * @access  Private
+ * @query   { direction?: sent|received, status? }
+ */
+router.get(
+  '/',
+  verifyToken,
+  [
+    query('direction').optional().isIn(['sent', 'received']),
+    query('status').optional().isIn(['PENDING', 'COMPLETED', 'BLOCKED', 'FAILED']),
+  ],
+  handleValidation,
+  asyncHandler(internalTransferController.list)
+);
+
+/**
+ * @route   GET /api/v1/transfers/:reference
+ * @desc    Get a transfer receipt by reference
+ * @access  Private (Parties to the transfer or admin)
+ */
+router.get(
+  '/:reference',
+  verifyToken,
+  [param('reference').matches(/^IT-[A-Z0-9]+-[A-F0-9]+$/).withMessage('reference is invalid')],
+  handleValidation,
+  asyncHandler(internalTransferController.get)
+);
+
+module.exports = router;
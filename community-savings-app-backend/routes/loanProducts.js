@@ -0,0 +1,132 @@
+// routes/loanProducts.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const loanProductController = require('../controllers/loanProductController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const LoanProduct = require('../models/LoanProduct');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
+
+const codeParam = param('code').isString().trim().isLength({ min: 1, max: 30 });
+
+// Shared by create (required ranges) and update (every field optional)
+const termValidators = (optional) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    field('amount.min').isFloat({ min: 0 }).toFloat(),
+    field('amount.max').isFloat({ gt: 0 }).toFloat(),
+    field('termMonths.min').isInt({ min: 1, max: 360 }).toInt(),
+    field('termMonths.max').isInt({ min: 1, max: 360 }).toInt(),
+    field('interestRate.min').isFloat({ min: 0, max: 1 }).toFloat(),
+    field('interestRate.max').isFloat({ min: 0, max: 1 }).toFloat(),
+    field('interestRate.default').isFloat({ min: 0, max: 1 }).toFloat(),
+    body('fees').optional().isArray({ max: 10 }),
+    body('fees.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('fees.*.calculation').optional().isIn(LoanProduct.FEE_CALCULATIONS),
+    body('fees.*.amount').isFloat({ min: 0 }).toFloat(),
+    body('savingsMultiple').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    body('requiredGuarantors').optional().isInt({ min: 0, max: 10 }).toInt(),
+    body('collateral.required').optional().isBoolean().toBoolean(),
+    body('collateral.coverageRatio').optional().isFloat({ min: 0 }).toFloat(),
+    body('collateral.acceptedTypes').optional().isArray(),
+    body('schedule.method').optional().isIn(LoanRepaymentSchedule.AMORTIZATION_METHODS),
+    body('schedule.frequency').optional().isIn(Object.keys(LoanRepaymentSchedule.REPAYMENT_FREQUENCIES)),
+    body('schedule.gracePeriods').optional().isInt({ min: 0, max: 120 }).toInt(),
+  ];
+};
+
+/**
+ * @route   GET /api/v1/loan-products
+ * @desc    List the tenant's loan products (current versions)
+ * @access  Private
+ */
+router.get(
+  '/',
+  verifyToken,
+  [query('includeRetired').optional().isBoolean()],
+  handleValidation,
+  asyncHandler(loanProductController.listProducts)
+);
+
+/**
+ * @route   POST /api/v1/loan-products
+ * @desc    Create a loan product
+ * @access  Private (Admin)
+ * @body    { code, name, amount: {min,max}, termMonths: {min,max}, interestRate: {min,max,default},
+ *            fees?: [{name, calculation?: flat|percentage, amount}], savingsMultiple?, requiredGuarantors?,
+ *            collateral?: {required, coverageRatio, acceptedTypes}, schedule?: {method, frequency, gracePeriods},
+ *            currency?, description? }
+ */
+router.post(
+  '/',
+  verifyToken,
+  isAdmin,
+  [
+    body('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{1,30}$/)
+      .withMessage('code may contain letters, digits, "-" and "_"'),
+    ...termValidators(false),
+  ],
+  handleValidation,
+  asyncHandler(loanProductController.createProduct)
+);
+
+/**
+ * @route   GET /api/v1/loan-products/:code
+ * @desc    Get the current version of a loan product
+ * @access  Private
+ */
+router.get('/:code', verifyToken, [codeParam], handleValidation, asyncHandler(loanProductController.getProduct));
+
+/**
+ * @route   GET /api/v1/loan-products/:code/versions
+ * @desc    List every version of a loan product
+ * @access  Private
+ */
+router.get(
+  '/:code/versions',
+  verifyToken,
+  [codeParam],
+  handleValidation,
+  asyncHandler(loanProductController.getHistory)
+);
+
+/**
+ * @route   PATCH /api/v1/loan-products/:code
+ * @desc    Change a loan product; saved as a new version, existing loans keep their terms
+ * @access  Private (Admin)
+ * @body    Any of the fields accepted on create, except code
+ */
+router.patch(
+  '/:code',
+  verifyToken,
+  isAdmin,
+  [codeParam, ...termValidators(true)],
+  handleValidation,
+  asyncHandler(loanProductController.updateProduct)
+);
+
+/**
+ * @route   POST /api/v1/loan-products/:code/retire
+ * @desc    Stop offering a loan product
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:code/retire',
+  verifyToken,
+  isAdmin,
+  [codeParam],
+  handleValidation,
+  asyncHandler(loanProductController.retireProduct)
+);
+
+module.exports = router;
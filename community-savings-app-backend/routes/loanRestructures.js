@@ -0,0 +1,107 @@
+// routes/loanRestructures.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const loanRestructureController = require('../controllers/loanRestructureController');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const LoanRestructure = require('../models/LoanRestructure');
+
+const isLoanOfficer = requireRole('admin', 'super_admin', 'loan_officer');
+const idParam = param('id').isMongoId().withMessage('id must be a valid ObjectId');
+const noteBody = body('note').optional().isString().trim().isLength({ max: 1000 });
+
+/**
+ * @route   POST /api/v1/loan-restructures/loans/:loanId
+ * @desc    Request a restructure; applied only after another officer approves it
+ * @access  Private (Borrower or loan officer; write-downs loan officer only)
+ * @body    { type: term_extension|payment_holiday|interest_capitalization|partial_write_down, reason,
+ *            extensionMonths? (term_extension), holidayPeriods? (payment_holiday),
+ *            writeDownAmount? (partial_write_down) }
+ */
+router.post(
+  '/loans/:loanId',
+  verifyToken,
+  [
+    param('loanId').isMongoId().withMessage('loanId must be a valid ObjectId'),
+    body('type').isIn(LoanRestructure.TYPES),
+    body('reason').isString().trim().isLength({ min: 3, max: 1000 }),
+    body('extensionMonths')
+      .if(body('type').equals('term_extension'))
+      .isInt({ min: 1, max: 60 })
+      .toInt(),
+    body('holidayPeriods')
+      .if(body('type').equals('payment_holiday'))
+      .isInt({ min: 1, max: 12 })
+      .toInt(),
+    body('writeDownAmount')
+      .if(body('type').equals('partial_write_down'))
+      .isFloat({ gt: 0 })
+      .toFloat(),
+  ],
+  handleValidation,
+  asyncHandler(loanRestructureController.requestRestructure)
+);
+
+/**
+ * @route   GET /api/v1/loan-restructures
+ * @desc    List restructure requests
+ * @access  Private (Loan officer)
+ */
+router.get(
+  '/',
+  verifyToken,
+  isLoanOfficer,
+  [query('status').optional().isIn(LoanRestructure.STATUSES), query('loanId').optional().isMongoId()],
+  handleValidation,
+  asyncHandler(loanRestructureController.listRequests)
+);
+
+/**
+ * @route   GET /api/v1/loan-restructures/:id
+ * @desc    Get a request; while pending it includes the proposed schedule
+ * @access  Private (Borrower or loan officer)
+ */
+router.get('/:id', verifyToken, [idParam], handleValidation, asyncHandler(loanRestructureController.getRequest));
+
+/**
+ * @route   POST /api/v1/loan-restructures/:id/approve
+ * @desc    Approve and apply a request (must not be its requester)
+ * @access  Private (Loan officer)
+ * @body    { note? }
+ */
+router.post(
+  '/:id/approve',
+  verifyToken,
+  isLoanOfficer,
+  [idParam, noteBody],
+  handleValidation,
+  asyncHandler(loanRestructureController.approve)
+);
+
+/**
+ * @route   POST /api/v1/loan-restructures/:id/reject
+ * @desc    Reject a request
+ * @access  Private (Loan officer)
+ * @body    { note? }
+ */
+router.post(
+  '/:id/reject',
+  verifyToken,
+  isLoanOfficer,
+  [idParam, noteBody],
+  handleValidation,
+  asyncHandler(loanRestructureController.reject)
+);
+
+/**
+ * @route   POST /api/v1/loan-restructures/:id/cancel
+ * @desc    Withdraw a pending request
+ * @access  Private (Requester)
+ */
+router.post('/:id/cancel', verifyToken, [idParam], handleValidation, asyncHandler(loanRestructureController.cancel));
+
+module.exports = router;
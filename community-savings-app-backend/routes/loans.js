@@ -23,6 +23,7 @@ const { body, param, query } = require('express-validator');
 const { handleValidation } = require('../utils/validators');
 const auth = require('../middleware/auth');
 const loanController = require('../controllers/loanController');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
 
 /**
  * All routes require authentication
@@ -38,8 +39,18 @@ router.use(auth.verifyToken);
  *   duration: number (months, required),
  *   interestRate: number (optional),
  *   purpose: string (optional),
- *   description: string (optional)
+ *   description: string (optional),
+ *   groupId: string (optional; checked against the group's constitution),
+ *   amortizationMethod: flat|declining_balance|equal_principal|interest_only|bullet (optional),
+ *   repaymentFrequency: daily|weekly|biweekly|monthly (optional),
+ *   gracePeriods: number (optional; interest-only installments before principal),
+ *   productId | productCode: string (optional; loan product whose terms apply),
+ *   guarantors: [{ member, guaranteeAmount }] (optional),
+ *   collateral: [{ type, description, value }] (optional)
  * }
+ *
+ * The response carries the repayment schedule these terms produce
+ * (data.repaymentSchedule); it is saved when the loan is disbursed.
  */
 router.post(
   '/',
@@ -54,6 +65,24 @@ router.post(
     body('interestRate').optional().isNumeric().withMessage('interestRate must be numeric'),
     body('purpose').optional().isString().trim(),
     body('description').optional().isString().trim(),
+    body('groupId').optional().isMongoId().withMessage('groupId must be a valid ObjectId'),
+    body('amortizationMethod')
+      .optional()
+      .isIn(LoanRepaymentSchedule.AMORTIZATION_METHODS)
+      .withMessage('unsupported amortizationMethod'),
+    body('repaymentFrequency')
+      .optional()
+      .isIn(Object.keys(LoanRepaymentSchedule.REPAYMENT_FREQUENCIES))
+      .withMessage('unsupported repaymentFrequency'),
+    body('gracePeriods').optional().isInt({ min: 0, max: 120 }).withMessage('gracePeriods must be 0-120').toInt(),
+    body('productId').optional().isMongoId().withMessage('productId must be a valid ObjectId'),
+    body('productCode').optional().isString().trim().isLength({ min: 1, max: 30 }),
+    body('guarantors').optional().isArray({ max: 10 }),
+    body('guarantors.*.member').isMongoId().withMessage('guarantor member must be a valid ObjectId'),
+    body('guarantors.*.guaranteeAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('collateral').optional().isArray({ max: 20 }),
+    body('collateral.*.type').isString().trim().isLength({ min: 1, max: 50 }),
+    body('collateral.*.value').isFloat({ min: 0 }).toFloat(),
   ],
   handleValidation,
   loanController.createLoanApplication
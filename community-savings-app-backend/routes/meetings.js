@@ -0,0 +1,153 @@
+// routes/meetings.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const meetingController = require('../controllers/meetingController');
+const { verifyToken } = require('../middleware/auth');
+const { MEETING_STATUS } = require('../modules/offline/constants');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const meetingParam = param('meetingId').isMongoId().withMessage('meetingId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/groups/:groupId/meetings
+ * @desc    Schedule a group meeting
+ * @access  Private (Group officers)
+ * @body    { title, scheduledAt, quorumRequired?, agenda?: Array<string|{title, notes?}>, currency? }
+ */
+router.post(
+  '/:groupId/meetings',
+  verifyToken,
+  [
+    groupParam,
+    body('title').isString().trim().isLength({ min: 1, max: 150 }),
+    body('scheduledAt').isISO8601().withMessage('scheduledAt must be ISO8601'),
+    body('quorumRequired').optional().isInt({ min: 1 }).toInt(),
+    body('agenda').optional().isArray({ max: 50 }),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+  ],
+  handleValidation,
+  asyncHandler(meetingController.scheduleMeeting)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/meetings
+ * @desc    List a group's meetings
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/meetings',
+  verifyToken,
+  [groupParam, query('status').optional().isIn(Object.values(MEETING_STATUS))],
+  handleValidation,
+  asyncHandler(meetingController.listMeetings)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/meetings/:meetingId
+ * @desc    Get a meeting with its records and totals
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/meetings/:meetingId',
+  verifyToken,
+  [groupParam, meetingParam],
+  handleValidation,
+  asyncHandler(meetingController.getMeeting)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/meetings/:meetingId/start
+ * @desc    Start a scheduled meeting
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/meetings/:meetingId/start',
+  verifyToken,
+  [groupParam, meetingParam],
+  handleValidation,
+  asyncHandler(meetingController.startMeeting)
+);
+
+/**
+ * @route   PUT /api/v1/groups/:groupId/meetings/:meetingId/attendance
+ * @desc    Record attendance and recompute quorum
+ * @access  Private (Group officers)
+ * @body    { attendance: [{ userId, status: present|late|excused|absent }] }
+ */
+router.put(
+  '/:groupId/meetings/:meetingId/attendance',
+  verifyToken,
+  [
+    groupParam,
+    meetingParam,
+    body('attendance').isArray({ min: 1 }),
+    body('attendance.*.userId').isMongoId(),
+    body('attendance.*.status').optional().isIn(['present', 'late', 'excused', 'absent']),
+  ],
+  handleValidation,
+  asyncHandler(meetingController.recordAttendance)
+);
+
+/**
+ * @route   PATCH /api/v1/groups/:groupId/meetings/:meetingId
+ * @desc    Update the agenda and/or minutes
+ * @access  Private (Group officers)
+ * @body    { agenda?: [{ title, notes?, decision? }], minutes? }
+ */
+router.patch(
+  '/:groupId/meetings/:meetingId',
+  verifyToken,
+  [
+    groupParam,
+    meetingParam,
+    body('agenda').optional().isArray({ max: 50 }),
+    body('agenda.*.title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('minutes').optional().isString().isLength({ max: 20000 }),
+  ],
+  handleValidation,
+  asyncHandler(meetingController.updateMeeting)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/meetings/:meetingId/records
+ * @desc    Record a contribution, repayment or fine taken at the meeting
+ * @access  Private (Group officers)
+ * @body    { type, userId, amount, loanId?, fineId?, reason?, reference? }
+ */
+router.post(
+  '/:groupId/meetings/:meetingId/records',
+  verifyToken,
+  [
+    groupParam,
+    meetingParam,
+    body('type').isIn(['contribution', 'repayment', 'fine']),
+    body('userId').isMongoId(),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('loanId').optional().isMongoId(),
+    body('fineId').optional().isMongoId(),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    body('reference').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  ],
+  handleValidation,
+  asyncHandler(meetingController.addRecord)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/meetings/:meetingId/close
+ * @desc    Close the meeting and post its records to the ledger as one journal
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/meetings/:meetingId/close',
+  verifyToken,
+  [groupParam, meetingParam],
+  handleValidation,
+  asyncHandler(meetingController.closeMeeting)
+);
+
+module.exports = router;
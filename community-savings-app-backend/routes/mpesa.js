@@ -0,0 +1,138 @@
+// routes/mpesa.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const mpesaController = require('../controllers/mpesaController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { COLLECTION_TYPES } = require('../modules/payment/mpesa/collections');
+const { DISBURSEMENT_TYPES } = require('../modules/payment/mpesa/disbursements');
+
+const phoneBody = body('phoneNumber')
+  .isString()
+  .trim()
+  .matches(/^\+?\d{9,12}$/)
+  .withMessage('phoneNumber must be a Kenyan mobile number');
+const referenceBody = body('reference').optional().isString().trim().isLength({ min: 6, max: 64 });
+
+/**
+ * @route   POST /api/v1/payments/mpesa/callbacks/:kind/:phase?
+ * @desc    Daraja callbacks: stk, c2b/validation, c2b/confirmation, b2c/result, b2c/timeout
+ * @access  Public (verified by the callback URL token and source IP)
+ */
+router.post(
+  '/callbacks/:kind/:phase?',
+  [
+    param('kind').isIn(['stk', 'c2b', 'b2c']),
+    param('phase').optional().isIn(['validation', 'confirmation', 'result', 'timeout']),
+  ],
+  handleValidation,
+  asyncHandler(mpesaController.callback)
+);
+
+/**
+ * @route   POST /api/v1/payments/mpesa/collections
+ * @desc    Prompt a member's phone with an STK push
+ * @access  Private
+ * @body    { amount, phoneNumber, reference?, type?, groupId?, loanId?, contributionId?, description? }
+ */
+router.post(
+  '/collections',
+  verifyToken,
+  [
+    body('amount').isInt({ min: 1, max: 250000 }).withMessage('amount must be whole shillings (1 - 250,000)').toInt(),
+    phoneBody,
+    referenceBody,
+    body('type').optional().isIn(COLLECTION_TYPES),
+    body('groupId').optional().isMongoId(),
+    body('loanId').optional().isMongoId(),
+    body('contributionId').optional().isMongoId(),
+    body('description').optional().isString().trim().isLength({ max: 100 }),
+  ],
+  handleValidation,
+  asyncHandler(mpesaController.collect)
+);
+
+/**
+ * @route   POST /api/v1/payments/mpesa/disbursements
+ * @desc    Send money to a member's M-Pesa wallet (B2C)
+ * @access  Private (Admin)
+ * @body    { amount, phoneNumber, name?, reference?, type?, userId?, groupId?, loanId?, remarks? }
+ */
+router.post(
+  '/disbursements',
+  verifyToken,
+  isAdmin,
+  [
+    body('amount').isInt({ min: 10, max: 250000 }).withMessage('amount must be whole shillings (10 - 250,000)').toInt(),
+    phoneBody,
+    referenceBody,
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('type').optional().isIn(DISBURSEMENT_TYPES),
+    body('userId').optional().isMongoId(),
+    body('groupId').optional().isMongoId(),
+    body('loanId').optional().isMongoId(),
+    body('remarks').optional().isString().trim().isLength({ max: 100 }),
+  ],
+  handleValidation,
+  asyncHandler(mpesaController.disburse)
+);
+
+/**
+ * @route   GET /api/v1/payments/mpesa/transactions/:reference
+ * @desc    Status of an M-Pesa transaction (open STK prompts are re-queried)
+ * @access  Private
+ */
+router.get(
+  '/transactions/:reference',
+  verifyToken,
+  [param('reference').isString().trim().isLength({ min: 6, max: 80 })],
+  handleValidation,
+  asyncHandler(mpesaController.getTransaction)
+);
+
+/**
+ * @route   POST /api/v1/payments/mpesa/reconciliations
+ * @desc    Reconcile a day against an M-Pesa organisation statement (CSV)
+ * @access  Private (Admin)
+ * @body    { date: YYYY-MM-DD, statement, tenantId? }
+ */
+router.post(
+  '/reconciliations',
+  verifyToken,
+  isAdmin,
+  [
+    body('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+    body('statement').isString().isLength({ min: 1, max: 5 * 1024 * 1024 }),
+    body('tenantId').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(mpesaController.reconcile)
+);
+
+/**
+ * @route   POST /api/v1/payments/mpesa/c2b/register
+ * @desc    Register the paybill's C2B validation and confirmation URLs
+ * @access  Private (Admin)
+ * @body    { responseType?: Completed|Cancelled }
+ */
+router.post(
+  '/c2b/register',
+  verifyToken,
+  isAdmin,
+  [body('responseType').optional().isIn(['Completed', 'Cancelled'])],
+  handleValidation,
+  asyncHandler(mpesaController.registerC2BUrls)
+);
+
+/**
+ * @route   GET /api/v1/payments/mpesa/health
+ * @desc    Aggregate health of the M-Pesa services
+ * @access  Private (Admin)
+ */
+router.get('/health', verifyToken, isAdmin, asyncHandler(mpesaController.health));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// routes/paymentRequests.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const paymentRequestController = require('../controllers/paymentRequestController');
+const { verifyToken } = require('../middleware/auth');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const requestParam = param('requestId').isMongoId().withMessage('requestId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/groups/:groupId/payment-requests
+ * @desc    Create a signed, expiring payment link (and QR code) for a member's contribution
+ *          or loan installment
+ * @access  Private (Group officers)
+ * @body    { purpose: CONTRIBUTION|LOAN_REPAYMENT, userId?, loanId?, amount, currency?,
+ *            description?, phoneNumber?, expiresInHours? }
+ */
+router.post(
+  '/:groupId/payment-requests',
+  verifyToken,
+  [
+    groupParam,
+    body('purpose').isIn(['CONTRIBUTION', 'LOAN_REPAYMENT']),
+    body('userId').if(body('purpose').equals('CONTRIBUTION')).isMongoId().withMessage('userId is required'),
+    body('loanId').if(body('purpose').equals('LOAN_REPAYMENT')).isMongoId().withMessage('loanId is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('currency').optional().isString().trim().isLength({ min: 3, max: 3 }).toUpperCase(),
+    body('description').optional().isString().trim().isLength({ max: 140 }),
+    body('phoneNumber').optional().isString().trim().matches(/^\+?\d{9,15}$/),
+    body('expiresInHours').optional().isInt({ min: 1, max: 720 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(paymentRequestController.create)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/payment-requests
+ * @desc    List the group's payment requests with open/paid/expired counts and the amount collected
+ * @access  Private (Group officers)
+ * @query   { status?: OPEN|PROCESSING|PAID|EXPIRED|CANCELLED }
+ */
+router.get(
+  '/:groupId/payment-requests',
+  verifyToken,
+  [groupParam, query('status').optional().isIn(['OPEN', 'PROCESSING', 'PAID', 'EXPIRED', 'CANCELLED'])],
+  handleValidation,
+  asyncHandler(paymentRequestController.list)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/payment-requests/:requestId/qr.svg
+ * @desc    QR code of the request's payment link
+ * @access  Private (Group officers)
+ */
+router.get(
+  '/:groupId/payment-requests/:requestId/qr.svg',
+  verifyToken,
+  [groupParam, requestParam],
+  handleValidation,
+  asyncHandler(paymentRequestController.qr)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/payment-requests/:requestId/cancel
+ * @desc    Cancel an open payment request
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/payment-requests/:requestId/cancel',
+  verifyToken,
+  [groupParam, requestParam],
+  handleValidation,
+  asyncHandler(paymentRequestController.cancel)
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/paymentRouting.js
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const paymentRoutingController = require('../controllers/paymentRoutingController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+const PROVIDERS = ['mtn', 'airtel'];
+
+/**
+ * @route   GET /api/v1/payment-routing/policy
+ * @desc    The tenant's payout routing override and the effective policy
+ * @access  Private (Admin)
+ */
+router.get('/policy', verifyToken, isAdmin, asyncHandler(paymentRoutingController.getPolicy));
+
+/**
+ * @route   PUT /api/v1/payment-routing/policy
+ * @desc    Replace the tenant's payout routing override
+ * @access  Private (Admin)
+ * @body    { mode?: RELIABILITY|PREFERRED|FIXED, weights?: { success?, latency?, settlement? },
+ *            preferredProviders?: (mtn|airtel)[], disabledProviders?: (mtn|airtel)[],
+ *            minScore?, failoverEnabled? }
+ */
+router.put(
+  '/policy',
+  verifyToken,
+  isAdmin,
+  [
+    body('mode').optional().isIn(['RELIABILITY', 'PREFERRED', 'FIXED']),
+    body('weights').optional().isObject(),
+    body(['weights.success', 'weights.latency', 'weights.settlement']).optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    body(['preferredProviders', 'disabledProviders']).optional().isArray({ max: PROVIDERS.length }),
+    body(['preferredProviders.*', 'disabledProviders.*']).isIn(PROVIDERS),
+    body('minScore').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    body('failoverEnabled').optional().isBoolean().toBoolean(),
+  ],
+  handleValidation,
+  asyncHandler(paymentRoutingController.updatePolicy)
+);
+
+/**
+ * @route   GET /api/v1/payment-routing/providers
+ * @desc    Live success rate, latency, circuit state and settlement reliability per provider,
+ *          and how a payout would be routed now
+ * @access  Private (Admin)
+ */
+router.get('/providers', verifyToken, isAdmin, asyncHandler(paymentRoutingController.providerStatus));
+
+/**
+ * @route   GET /api/v1/payment-routing/decisions
+ * @desc    Recent routing decisions with each candidate's score and reasons
+ * @access  Private (Admin)
+ * @query   { provider?, outcome?: ROUTED|EXHAUSTED, failover?, reference?, limit? }
+ */
+router.get(
+  '/decisions',
+  verifyToken,
+  isAdmin,
+  [
+    query('provider').optional().isIn(PROVIDERS),
+    query('outcome').optional().isIn(['ROUTED', 'EXHAUSTED']),
+    query('failover').optional().isBoolean().toBoolean(),
+    query('reference').optional().isString().trim().isLength({ max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(paymentRoutingController.listDecisions)
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/publicPay.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const paymentRequestController = require('../controllers/paymentRequestController');
+
+// Links are public, so keep guessing and payment-prompt spam in check
+router.use(
+  rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.PAYMENT_LINK_RATE_LIMIT || 60),
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+);
+
+const tokenParam = param('token').matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/).withMessage('Payment link is not valid');
+
+/**
+ * @route   GET /api/v1/pay/:token
+ * @desc    Payment page for a signed payment link (JSON with Accept: application/json)
+ * @access  Public (signed link)
+ */
+router.get('/:token', [tokenParam], handleValidation, asyncHandler(paymentRequestController.show));
+
+/**
+ * @route   GET /api/v1/pay/:token/qr.svg
+ * @desc    QR code of the payment link
+ * @access  Public (signed link)
+ */
+router.get('/:token/qr.svg', [tokenParam], handleValidation, asyncHandler(paymentRequestController.publicQr));
+
+/**
+ * @route   GET /api/v1/pay/:token/status
+ * @desc    Payment status, polled by the payment page
+ * @access  Public (signed link)
+ */
+router.get('/:token/status', [tokenParam], handleValidation, asyncHandler(paymentRequestController.status));
+
+/**
+ * @route   POST /api/v1/pay/:token
+ * @desc    Start an MTN or Airtel mobile money collection for the request
+ * @access  Public (signed link)
+ * @body    { provider: mtn|airtel, phoneNumber }
+ */
+router.post(
+  '/:token',
+  [
+    tokenParam,
+    body('provider').isIn(['mtn', 'airtel']),
+    body('phoneNumber').isString().trim().matches(/^\+?\d{9,15}$/).withMessage('phoneNumber is invalid'),
+  ],
+  handleValidation,
+  asyncHandler(paymentRequestController.pay)
+);
+
+module.exports = router;
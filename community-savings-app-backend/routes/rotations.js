@@ -0,0 +1,145 @@
+// routes/rotations.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const rotationController = require('../controllers/rotationController');
+const { verifyToken } = require('../middleware/auth');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const cycleParam = param('cycleId').isMongoId().withMessage('cycleId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations
+ * @desc    Create a merry-go-round cycle and its round calendar
+ * @access  Private (Group officers)
+ * @body    { name, frequency, contributionAmount, potAmount?, startDate, payoutOrder?: ObjectId[] }
+ */
+router.post(
+  '/:groupId/rotations',
+  verifyToken,
+  [
+    groupParam,
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('frequency').optional().isIn(['weekly', 'biweekly', 'monthly']),
+    body('contributionAmount').isFloat({ gt: 0 }).withMessage('contributionAmount must be > 0').toFloat(),
+    body('potAmount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('startDate').isISO8601().withMessage('startDate must be ISO8601'),
+    body('payoutOrder').optional().isArray({ min: 2 }),
+    body('payoutOrder.*').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(rotationController.createCycle)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/rotations
+ * @desc    List rotation cycles for a group
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/rotations',
+  verifyToken,
+  [groupParam],
+  handleValidation,
+  asyncHandler(rotationController.listCycles)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/rotations/:cycleId
+ * @desc    Get a cycle with every round recorded so far
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/rotations/:cycleId',
+  verifyToken,
+  [groupParam, cycleParam],
+  handleValidation,
+  asyncHandler(rotationController.getCycle)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations/:cycleId/release
+ * @desc    Release the current round's pot to the scheduled member.
+ *          Retrying resumes a release that failed part-way without paying twice.
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/rotations/:cycleId/release',
+  verifyToken,
+  [groupParam, cycleParam, body('allowPartial').optional().isBoolean().toBoolean()],
+  handleValidation,
+  asyncHandler(rotationController.releasePot)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations/:cycleId/swap
+ * @desc    Swap two members' turns
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/rotations/:cycleId/swap',
+  verifyToken,
+  [groupParam, cycleParam, body('userA').isMongoId(), body('userB').isMongoId()],
+  handleValidation,
+  asyncHandler(rotationController.swapTurns)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations/:cycleId/turn-requests
+ * @desc    Request a turn swap or an emergency turn
+ * @access  Private (Rotation members)
+ */
+router.post(
+  '/:groupId/rotations/:cycleId/turn-requests',
+  verifyToken,
+  [
+    groupParam,
+    cycleParam,
+    body('type').isIn(['swap', 'emergency']),
+    body('targetUserId')
+      .if(body('type').equals('swap'))
+      .isMongoId()
+      .withMessage('targetUserId is required for a swap'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(rotationController.requestTurnChange)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations/:cycleId/turn-requests/:requestId/decision
+ * @desc    Approve or reject a turn request
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/rotations/:cycleId/turn-requests/:requestId/decision',
+  verifyToken,
+  [
+    groupParam,
+    cycleParam,
+    param('requestId').isMongoId(),
+    body('approve').isBoolean().toBoolean(),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(rotationController.decideTurnRequest)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/rotations/:cycleId/skip-defaulter
+ * @desc    Defer the current recipient to the end of the order
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/rotations/:cycleId/skip-defaulter',
+  verifyToken,
+  [groupParam, cycleParam, body('reason').optional().isString().trim().isLength({ max: 500 })],
+  handleValidation,
+  asyncHandler(rotationController.skipDefaulter)
+);
+
+module.exports = router;
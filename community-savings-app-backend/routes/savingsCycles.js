@@ -0,0 +1,149 @@
+// routes/savingsCycles.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const savingsCycleController = require('../controllers/savingsCycleController');
+const { verifyToken } = require('../middleware/auth');
+
+const groupParam = param('groupId').isMongoId().withMessage('groupId must be a valid ObjectId');
+const cycleParam = param('cycleId').isMongoId().withMessage('cycleId must be a valid ObjectId');
+
+const closeOutRules = [
+  groupParam,
+  cycleParam,
+  body('endDate').optional().isISO8601().withMessage('endDate must be ISO8601'),
+  body('loanPolicy').optional().isIn(['block', 'net']),
+  body('method').optional().isIn(['SHARE_BALANCE', 'SHARE_MONTHS']),
+  body('carryForward').optional().isObject(),
+  body('carryForward.*').isFloat({ min: 0 }).withMessage('carryForward amounts must be >= 0').toFloat(),
+];
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles
+ * @desc    Start the group's next savings cycle
+ * @access  Private (Group officers)
+ * @body    { name?, startDate?, currency?, openingBalances?: [{ userId, amount }] }
+ */
+router.post(
+  '/:groupId/cycles',
+  verifyToken,
+  [
+    groupParam,
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('startDate').optional().isISO8601().withMessage('startDate must be ISO8601'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('openingBalances').optional().isArray(),
+    body('openingBalances.*.userId').isMongoId(),
+    body('openingBalances.*.amount').isFloat({ min: 0 }).toFloat(),
+  ],
+  handleValidation,
+  asyncHandler(savingsCycleController.startCycle)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/cycles
+ * @desc    List savings cycles for a group
+ * @access  Private (Group members)
+ */
+router.get('/:groupId/cycles', verifyToken, [groupParam], handleValidation, asyncHandler(savingsCycleController.listCycles));
+
+/**
+ * @route   GET /api/v1/groups/:groupId/cycles/:cycleId
+ * @desc    Get a savings cycle and any prepared share-out
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/cycles/:cycleId',
+  verifyToken,
+  [groupParam, cycleParam],
+  handleValidation,
+  asyncHandler(savingsCycleController.getCycle)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles/:cycleId/close-out/preview
+ * @desc    Compute the share-out and list outstanding loans blocking it (nothing is saved)
+ * @access  Private (Group officers)
+ * @body    { endDate?, loanPolicy?: block|net, method?: SHARE_BALANCE|SHARE_MONTHS,
+ *            carryForward?: { [userId]: amount } }
+ */
+router.post(
+  '/:groupId/cycles/:cycleId/close-out/preview',
+  verifyToken,
+  closeOutRules,
+  handleValidation,
+  asyncHandler(savingsCycleController.previewCloseOut)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles/:cycleId/close-out
+ * @desc    Fix the share-out and send it to officers for signature
+ * @access  Private (Group officers)
+ * @body    same as preview
+ */
+router.post(
+  '/:groupId/cycles/:cycleId/close-out',
+  verifyToken,
+  closeOutRules,
+  handleValidation,
+  asyncHandler(savingsCycleController.prepareCloseOut)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles/:cycleId/close-out/sign
+ * @desc    Sign the share-out; the cycle closes and the next one opens once enough officers sign
+ * @access  Private (Group officers)
+ * @body    { digest? } - digest of the report being signed
+ */
+router.post(
+  '/:groupId/cycles/:cycleId/close-out/sign',
+  verifyToken,
+  [groupParam, cycleParam, body('digest').optional().isHexadecimal().isLength({ min: 64, max: 64 })],
+  handleValidation,
+  asyncHandler(savingsCycleController.signCloseOut)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles/:cycleId/close-out/resume
+ * @desc    Finish a close-out interrupted after the last signature (settle loans, open the next cycle)
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/cycles/:cycleId/close-out/resume',
+  verifyToken,
+  [groupParam, cycleParam],
+  handleValidation,
+  asyncHandler(savingsCycleController.resumeCloseOut)
+);
+
+/**
+ * @route   POST /api/v1/groups/:groupId/cycles/:cycleId/close-out/cancel
+ * @desc    Discard a share-out awaiting signatures and reopen the cycle
+ * @access  Private (Group officers)
+ */
+router.post(
+  '/:groupId/cycles/:cycleId/close-out/cancel',
+  verifyToken,
+  [groupParam, cycleParam],
+  handleValidation,
+  asyncHandler(savingsCycleController.cancelCloseOut)
+);
+
+/**
+ * @route   GET /api/v1/groups/:groupId/cycles/:cycleId/report
+ * @desc    Share-out report with signatures and a check of its seal
+ * @access  Private (Group members)
+ */
+router.get(
+  '/:groupId/cycles/:cycleId/report',
+  verifyToken,
+  [groupParam, cycleParam],
+  handleValidation,
+  asyncHandler(savingsCycleController.getReport)
+);
+
+module.exports = router;
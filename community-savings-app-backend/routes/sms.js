@@ -0,0 +1,59 @@
+// routes/sms.js
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const smsInboundController = require('../controllers/smsInboundController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const InboundSms = require('../models/InboundSms');
+const { SLUGS } = require('../services/sms/inboundProviders');
+
+// Per gateway address; senders are limited per phone number in the service
+const inboundLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.SMS_INBOUND_RATE_LIMIT || 300),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @route   POST /api/v1/sms/inbound/:provider
+ * @desc    Texts to the shortcode (BAL, PAY <amount> <group code>, LOAN STATUS, STOP, START,
+ *          HELP, YES/NO <code>). Replies go out through the same provider.
+ *          africastalking and infobip authenticate with SMS_INBOUND_TOKEN (?token= or
+ *          x-webhook-token); twilio with X-Twilio-Signature.
+ * @access  Public (SMS provider)
+ */
+router.post(
+  '/inbound/:provider',
+  inboundLimiter,
+  express.urlencoded({ extended: false, limit: '20kb' }),
+  express.json({ limit: '100kb' }),
+  [param('provider').isIn(Object.keys(SLUGS)).withMessage('Unknown SMS provider')],
+  handleValidation,
+  asyncHandler(smsInboundController.receive)
+);
+
+/**
+ * @route   GET /api/v1/sms/inbound
+ * @desc    The tenant's inbound texts, newest first, with the command run and reply sent
+ * @access  Private (Admin)
+ */
+router.get(
+  '/inbound',
+  verifyToken,
+  isAdmin,
+  [
+    query('status').optional().isIn(InboundSms.STATUSES),
+    query('phone').optional().isString().trim().isLength({ max: 20 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(smsInboundController.list)
+);
+
+module.exports = router;
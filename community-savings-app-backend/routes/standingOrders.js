@@ -0,0 +1,115 @@
+// routes/standingOrders.js
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const standingOrderController = require('../controllers/standingOrderController');
+const { verifyToken } = require('../middleware/auth');
+
+const orderParam = param('orderId').isMongoId().withMessage('orderId must be a valid ObjectId');
+
+/**
+ * @route   POST /api/v1/standing-orders
+ * @desc    Authorize a recurring mobile money debit into a group contribution or savings goal
+ * @access  Private (Members)
+ * @body    { targetType: GROUP_CONTRIBUTION|SAVINGS_GOAL, groupId?, savingsId?, amount,
+ *            frequency: weekly|biweekly|monthly, day, startDate?, endDate?,
+ *            provider: mtn|airtel|mpesa, phoneNumber?, currency?, maxConsecutiveFailures? }
+ */
+router.post(
+  '/',
+  verifyToken,
+  [
+    body('targetType').isIn(['GROUP_CONTRIBUTION', 'SAVINGS_GOAL']),
+    body('groupId')
+      .if(body('targetType').equals('GROUP_CONTRIBUTION'))
+      .isMongoId()
+      .withMessage('groupId is required for group contributions'),
+    body('savingsId')
+      .if(body('targetType').equals('SAVINGS_GOAL'))
+      .isMongoId()
+      .withMessage('savingsId is required for savings goals'),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0').toFloat(),
+    body('frequency').isIn(['weekly', 'biweekly', 'monthly']),
+    body('day').isInt({ min: 1, max: 31 }).withMessage('day must be a weekday (1-7) or day of month (1-31)').toInt(),
+    body('startDate').optional().isISO8601().toDate(),
+    body('endDate').optional().isISO8601().toDate(),
+    body('provider').isIn(['mtn', 'airtel', 'mpesa']),
+    body('phoneNumber').optional().isString().trim().matches(/^\+?\d{9,15}$/).withMessage('phoneNumber is invalid'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }),
+    body('maxConsecutiveFailures').optional().isInt({ min: 1, max: 12 }).toInt(),
+  ],
+  handleValidation,
+  asyncHandler(standingOrderController.create)
+);
+
+/**
+ * @route   GET /api/v1/standing-orders
+ * @desc    List the caller's standing orders (admins may pass userId)
+ * @access  Private
+ * @query   { status?, userId? }
+ */
+router.get(
+  '/',
+  verifyToken,
+  [
+    query('status').optional().isIn(['ACTIVE', 'PAUSED', 'CANCELLED', 'COMPLETED']),
+    query('userId').optional().isMongoId(),
+  ],
+  handleValidation,
+  asyncHandler(standingOrderController.list)
+);
+
+/**
+ * @route   GET /api/v1/standing-orders/:orderId
+ * @desc    Get a standing order with its mandate
+ * @access  Private (Owner or admin)
+ */
+router.get('/:orderId', verifyToken, [orderParam], handleValidation, asyncHandler(standingOrderController.get));
+
+/**
+ * @route   GET /api/v1/standing-orders/:orderId/runs
+ * @desc    List the debits made for a standing order, with their contribution and due-calendar links
+ * @access  Private (Owner or admin)
+ */
+router.get('/:orderId/runs', verifyToken, [orderParam], handleValidation, asyncHandler(standingOrderController.listRuns));
+
+/**
+ * @route   POST /api/v1/standing-orders/:orderId/pause
+ * @desc    Pause debits, optionally until a date
+ * @access  Private (Owner or admin)
+ * @body    { until? }
+ */
+router.post(
+  '/:orderId/pause',
+  verifyToken,
+  [orderParam, body('until').optional().isISO8601().toDate()],
+  handleValidation,
+  asyncHandler(standingOrderController.pause)
+);
+
+/**
+ * @route   POST /api/v1/standing-orders/:orderId/resume
+ * @desc    Resume a paused standing order from its next due date
+ * @access  Private (Owner or admin)
+ */
+router.post('/:orderId/resume', verifyToken, [orderParam], handleValidation, asyncHandler(standingOrderController.resume));
+
+/**
+ * @route   POST /api/v1/standing-orders/:orderId/cancel
+ * @desc    Cancel a standing order
+ * @access  Private (Owner or admin)
+ * @body    { reason? }
+ */
+router.post(
+  '/:orderId/cancel',
+  verifyToken,
+  [orderParam, body('reason').optional().isString().trim().isLength({ max: 500 })],
+  handleValidation,
+  asyncHandler(standingOrderController.cancel)
+);
+
+module.exports = router;
@@ -39,16 +39,9 @@ const ussdController =
 const logger =
     require("../utils/logger");
 
-const tenantMiddleware =
-    require("../middleware/tenantMiddleware");
-
 const metricsService =
     require("../services/metricsService");
 
-const ussdTenantMiddleware =
-    require(
-        "../middleware/ussdTenantMiddleware"
-    );
 /* ============================================================================
  * Constants
  * ========================================================================== */
@@ -273,6 +266,13 @@ router.get(
  * Apply Enterprise Middleware
  * ========================================================================== */
 
+// Gateways post the hop as form data
+router.use(
+    express.urlencoded({
+        extended: false
+    })
+);
+
 router.use(
     requestContextMiddleware
 );
@@ -281,18 +281,16 @@ router.use(
     routeMetricsMiddleware
 );
 
+/* ============================================================================
+ * USSD Gateway Endpoint
+ * ========================================================================== */
+
 router.post(
 
     "/",
 
-    requestContextMiddleware,
-
-    routeMetricsMiddleware,
-
     validateUSSDPayload,
 
-    ussdTenantMiddleware,
-
     async (
         req,
         res,
@@ -305,9 +303,6 @@ router.post(
                 "USSD Request Received",
                 {
 
-                    tenantId:
-                        req.tenantId,
-
                     requestId:
                         req.requestId,
 
@@ -343,75 +338,6 @@ router.post(
                 "USSD Processing Failed",
                 {
 
-                    tenantId:
-                        req.tenantId,
-
-                    requestId:
-                        req.requestId,
-
-                    error:
-                        error.message
-                }
-            );
-
-            return next(error);
-        }
-    }
-);
-
-/* ============================================================================
- * USSD Gateway Endpoint
- * ========================================================================== */
-
-router.post(
-    "/",
-
-    validateUSSDPayload,
-
-    async (
-        req,
-        res,
-        next
-    ) => {
-
-        try {
-
-            logger.info(
-                "USSD Request Received",
-                {
-                    requestId:
-                        req.requestId,
-
-                    correlationId:
-                        req.correlationId,
-
-                    sessionId:
-                        req.body
-                            ?.sessionId,
-
-                    phoneNumber:
-                        req.body
-                            ?.phoneNumber
-                }
-            );
-
-            const response =
-
-                await ussdController.handle(
-                    req,
-                    res
-                );
-
-            return res
-                .status(200)
-                .type("text/plain")
-                .send(response);
-
-        } catch (error) {
-
-            logger.error(
-                "USSD Route Error",
-                {
                     requestId:
                         req.requestId,
 
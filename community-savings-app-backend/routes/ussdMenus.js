@@ -0,0 +1,91 @@
+// routes/ussdMenus.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const ussdMenuController = require('../controllers/ussdMenuController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { LANGUAGES } = require('../services/ussd/menuEngine');
+
+const versionParam = param('version').isInt({ min: 1 }).withMessage('version must be a positive integer').toInt();
+
+/**
+ * @route   GET /api/v1/ussd/menus
+ * @desc    The tenant's USSD menu versions, newest first
+ * @access  Private (Admin)
+ */
+router.get('/', verifyToken, isAdmin, asyncHandler(ussdMenuController.list));
+
+/**
+ * @route   GET /api/v1/ussd/menus/active
+ * @desc    The menu tree USSD sessions run now (published version or the default menu)
+ * @access  Private (Admin)
+ */
+router.get('/active', verifyToken, isAdmin, asyncHandler(ussdMenuController.getActive));
+
+/**
+ * @route   POST /api/v1/ussd/menus/simulate
+ * @desc    Render the screen a session would show for the dialled input, using sample data.
+ *          Runs the active tree, a saved version or an unsaved tree.
+ * @access  Private (Admin)
+ * @body    { text?: "6*1234*1", phoneNumber?, language?: en|lg|sw|nyn|fr, version? | definition? }
+ */
+router.post(
+  '/simulate',
+  verifyToken,
+  isAdmin,
+  [
+    body('text').optional().isString().isLength({ max: 160 }).matches(/^[0-9*#]*$/),
+    body('phoneNumber').optional().isString().trim().isLength({ max: 20 }),
+    body('language').optional().isIn(LANGUAGES),
+    body('version').optional().isInt({ min: 1 }).toInt(),
+    body('definition').optional().isObject(),
+  ],
+  handleValidation,
+  asyncHandler(ussdMenuController.simulate)
+);
+
+/**
+ * @route   GET /api/v1/ussd/menus/:version
+ * @desc    One menu version with its tree
+ * @access  Private (Admin)
+ */
+router.get('/:version', verifyToken, isAdmin, [versionParam], handleValidation, asyncHandler(ussdMenuController.get));
+
+/**
+ * @route   POST /api/v1/ussd/menus
+ * @desc    Save a menu tree as the tenant's next draft version
+ * @access  Private (Admin)
+ * @body    { definition: { start, defaultLanguage?, screens, messages? }, notes? }
+ */
+router.post(
+  '/',
+  verifyToken,
+  isAdmin,
+  [
+    body('definition').isObject().withMessage('definition must be a menu tree'),
+    body('definition.screens').isObject().withMessage('definition.screens is required'),
+    body('notes').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidation,
+  asyncHandler(ussdMenuController.createDraft)
+);
+
+/**
+ * @route   POST /api/v1/ussd/menus/:version/publish
+ * @desc    Make a version the live menu; the previous one is retired
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:version/publish',
+  verifyToken,
+  isAdmin,
+  [versionParam],
+  handleValidation,
+  asyncHandler(ussdMenuController.publish)
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// routes/ussdPin.js
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const asyncHandler = require('../utils/asyncHandler');
+const { handleValidation } = require('../utils/validators');
+const ussdPinController = require('../controllers/ussdPinController');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/v1/ussd-pin/me
+ * @desc    Whether the signed-in member has a USSD PIN, and any lockout
+ * @access  Private
+ */
+router.get('/me', verifyToken, asyncHandler(ussdPinController.getMine));
+
+/**
+ * @route   PUT /api/v1/ussd-pin/me
+ * @desc    Set or change the PIN that authorises USSD payments and loan requests
+ * @access  Private
+ * @body    { pin } 4 digits
+ */
+router.put(
+  '/me',
+  verifyToken,
+  [body('pin').isString().matches(/^\d{4}$/).withMessage('pin must be 4 digits')],
+  handleValidation,
+  asyncHandler(ussdPinController.setMine)
+);
+
+/**
+ * @route   POST /api/v1/ussd-pin/users/:userId/reset-code
+ * @desc    SMS a member a one-time code to set a new USSD PIN; lifts a lockout
+ * @access  Private (Admin)
+ */
+router.post(
+  '/users/:userId/reset-code',
+  verifyToken,
+  isAdmin,
+  [param('userId').isMongoId().withMessage('userId must be a valid ObjectId')],
+  handleValidation,
+  asyncHandler(ussdPinController.issueResetCode)
+);
+
+module.exports = router;
@@ -1,9 +1,25 @@
 //Routes (routes/walletRoutes.js)
 const express = require("express");
+const { body } = require("express-validator");
 const router = express.Router();
-const { getBalance } = require("../controllers/walletController");
+const { getBalance, withdraw } = require("../controllers/walletController");
+const { verifyToken } = require("../middleware/auth");
+const { handleValidation } = require("../utils/validators");
 
-router.get("/balance", getBalance);
+router.get("/balance", verifyToken, getBalance);
 
-module.exports = router;
+// Body: { amount, groupId?, memberId?, reference? }
+router.post(
+  "/withdraw",
+  verifyToken,
+  [
+    body("amount").isFloat({ gt: 0 }).withMessage("amount must be > 0").toFloat(),
+    body("groupId").optional().isMongoId(),
+    body("memberId").optional().isMongoId(),
+    body("reference").optional().isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  handleValidation,
+  withdraw
+);
 
+module.exports = router;
@@ -0,0 +1,70 @@
+// scripts/mobileMoneySimulator.js
+
+/**
+ * Runs the MTN / Airtel simulator as a standalone server for local development.
+ *
+ * Run: npm run simulate:mobile-money
+ *
+ * Environment:
+ *   SIMULATOR_PORT           port to listen on (default 4010)
+ *   SIMULATOR_SCENARIO       built-in scenario name or path to a JSON script
+ *   SIMULATOR_CALLBACK_HOST  where our API listens (default http://localhost:5000)
+ *   AIRTEL_CALLBACK_URL      Airtel has no per-request callback URL; override the default here
+ *
+ * Point the API at it with the variables printed on start-up.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const { createMobileMoneySimulator } = require('../modules/payment/simulator');
+const logger = require('../utils/logger');
+
+const PORT = Number(process.env.SIMULATOR_PORT || 4010);
+const CALLBACK_HOST = (process.env.SIMULATOR_CALLBACK_HOST || 'http://localhost:5000').replace(/\/+$/, '');
+const AIRTEL_CALLBACK_URL = process.env.AIRTEL_CALLBACK_URL || `${CALLBACK_HOST}/api/v1/payments/airtel/callback`;
+
+function loadScenario(value = 'happy-path') {
+  if (value.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(path.resolve(value), 'utf8'));
+  }
+  return value;
+}
+
+async function main() {
+  const simulator = createMobileMoneySimulator({
+    scenario: loadScenario(process.env.SIMULATOR_SCENARIO),
+    logger,
+    callbackUrls: {
+      mtn: {
+        collection: `${CALLBACK_HOST}/api/v1/payments/mtn/collections/callback`,
+        disbursement: `${CALLBACK_HOST}/api/v1/payments/mtn/disbursements/callback`,
+      },
+      airtel: {
+        collection: AIRTEL_CALLBACK_URL,
+        disbursement: AIRTEL_CALLBACK_URL,
+      },
+    },
+  });
+
+  const { url, close } = await simulator.listen(PORT, '0.0.0.0');
+
+  console.log(`Mobile money simulator on ${url} (scenario: ${simulator.scenarioEngine.scenario.name})`);
+  console.log('Point the API at it with:');
+  Object.entries(simulator.environment(`http://localhost:${PORT}`)).forEach(([key, value]) =>
+    console.log(`  ${key}=${value}`)
+  );
+
+  const shutdown = async () => {
+    await close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error('Simulator failed to start:', err.message);
+  process.exit(1);
+});
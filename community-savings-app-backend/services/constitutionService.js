@@ -0,0 +1,452 @@
+/**
+ * Constitution Service
+ * Versioned group constitutions (bylaws) and their enforcement.
+ * Features:
+ * - Officers propose amendments; members adopt them by vote or signature
+ * - Each version records the rule changes it made, giving an amendment history
+ * - Contribution, loan and withdrawal checks against the active version,
+ *   failing with a rule-specific error code
+ */
+
+const Contribution = require('../models/Contribution');
+const Group = require('../models/Group');
+const GroupConstitution = require('../models/GroupConstitution');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertMember, isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+
+const audit = createAuditTrail('ConstitutionService');
+
+const RULE_SECTIONS = {
+  contributions: ['minimumAmount', 'frequency', 'currency'],
+  loans: ['savingsMultiple', 'maxTermMonths'],
+  withdrawals: ['approverRoles', 'approvalThreshold'],
+};
+// Used by a group's first version for rules the proposal leaves out
+const RULE_DEFAULTS = {
+  contributions: { currency: 'UGX' },
+  withdrawals: { approverRoles: ['treasurer'] },
+};
+
+class ConstitutionService {
+  /**
+   * Members needed to adopt: more than `threshold` of the membership, at most everyone.
+   */
+  requiredSupport(memberCount, threshold) {
+    return Math.max(1, Math.min(memberCount, Math.floor(memberCount * threshold) + 1));
+  }
+
+  /**
+   * Overlay proposed rule sections on the current rules.
+   * @returns {Object} complete rules object
+   */
+  mergeRules(current = {}, proposed = {}) {
+    const merged = {};
+    Object.entries(RULE_SECTIONS).forEach(([section, fields]) => {
+      merged[section] = {};
+      fields.forEach((field) => {
+        const next = proposed[section]?.[field];
+        const prev = current[section]?.[field];
+        merged[section][field] = next !== undefined ? next : prev ?? RULE_DEFAULTS[section]?.[field] ?? null;
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * List the rules that differ between two rule sets.
+   * @returns {Array<{rule: string, from: *, to: *}>}
+   */
+  diffRules(previous = {}, next = {}) {
+    const changes = [];
+    Object.entries(RULE_SECTIONS).forEach(([section, fields]) => {
+      fields.forEach((field) => {
+        const from = previous[section]?.[field] ?? null;
+        const to = next[section]?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes.push({ rule: `${section}.${field}`, from, to });
+        }
+      });
+    });
+    return changes;
+  }
+
+  /**
+   * Whether the user holds one of the given constitution roles in the group.
+   */
+  holdsRole(group, user, roles = []) {
+    if (user.role === 'admin') return true;
+    if (roles.includes('creator') && group.createdBy?.toString() === String(user.id)) return true;
+    return (group.memberRoles || []).some(
+      (r) => r.userId?.toString() === String(user.id) && roles.includes(r.role)
+    );
+  }
+
+  async loadProposal(groupId, version) {
+    const proposal = await GroupConstitution.findOne({ groupId, version });
+    if (!proposal) {
+      throw new AppError('Constitution version not found', 404, errorCodes.CONSTITUTION_NOT_FOUND);
+    }
+    if (proposal.status !== 'proposed') {
+      throw new AppError(`Version ${version} is ${proposal.status}`, 409, errorCodes.CONSTITUTION_INVALID_STATE);
+    }
+    return proposal;
+  }
+
+  /**
+   * Error for a broken rule. `rule` is returned to clients alongside the error code.
+   */
+  ruleError(message, errorCode, rule) {
+    const err = new AppError(message, 422, errorCode);
+    err.rule = rule;
+    return err;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Versions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The group's active constitution, or null if none has been adopted.
+   */
+  async getActive(groupId) {
+    return GroupConstitution.findOne({ groupId, status: 'active' }).lean();
+  }
+
+  async getActiveForMember(groupId, user) {
+    const group = await loadGroup(groupId);
+    assertMember(group, user);
+    const active = await this.getActive(groupId);
+    if (!active) {
+      throw new AppError('This group has not adopted a constitution', 404, errorCodes.CONSTITUTION_NOT_FOUND);
+    }
+    return active;
+  }
+
+  /**
+   * All versions, newest first, each with the rule changes it introduced.
+   */
+  async history(groupId, user) {
+    const group = await loadGroup(groupId);
+    assertMember(group, user);
+    return GroupConstitution.find({ groupId }).sort({ version: -1 }).lean();
+  }
+
+  /**
+   * Propose a new version. Only one proposal may be open at a time.
+   * @param {Object} payload - { rules, summary?, adoption?: { method?, threshold? } }
+   */
+  async propose(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user)) {
+      throw new AppError('Only group officers can propose constitution changes', 403, errorCodes.FORBIDDEN);
+    }
+
+    const open = await GroupConstitution.findOne({ groupId, status: 'proposed' }).select('version').lean();
+    if (open) {
+      throw new AppError(
+        `Version ${open.version} is still awaiting adoption`,
+        409,
+        errorCodes.CONSTITUTION_INVALID_STATE
+      );
+    }
+
+    const [active, latest] = await Promise.all([
+      this.getActive(groupId),
+      GroupConstitution.findOne({ groupId }).sort({ version: -1 }).select('version').lean(),
+    ]);
+    const rules = this.mergeRules(active?.rules, payload.rules);
+    const changes = this.diffRules(active?.rules, rules);
+    if (active && changes.length === 0) {
+      throw new AppError('Proposal does not change any rule', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const threshold = payload.adoption?.threshold ?? 0.5;
+    const proposal = await GroupConstitution.create({
+      groupId,
+      tenantId: user.tenantId,
+      version: (latest?.version || 0) + 1,
+      summary: payload.summary,
+      rules,
+      changes,
+      adoption: {
+        method: payload.adoption?.method || 'vote',
+        threshold,
+        required: this.requiredSupport(group.members.length, threshold),
+      },
+      proposedBy: user.id,
+    });
+
+    await audit(user, 'constitution:proposed', {
+      groupId,
+      version: proposal.version,
+      changes: changes.map((c) => c.rule),
+    });
+    return proposal;
+  }
+
+  /**
+   * Record a member's vote. Adopts the proposal once enough members vote for it,
+   * and rejects it once adoption is no longer reachable.
+   */
+  async vote(groupId, version, user, choice) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id)) {
+      throw new AppError('Only group members can vote', 403, errorCodes.FORBIDDEN);
+    }
+    const proposal = await this.loadProposal(groupId, version);
+    if (proposal.adoption.method !== 'vote') {
+      throw new AppError('This proposal is adopted by signature', 409, errorCodes.CONSTITUTION_INVALID_STATE);
+    }
+    if (proposal.adoption.votes.some((v) => v.userId.toString() === String(user.id))) {
+      throw new AppError('You have already voted on this proposal', 409, errorCodes.CONSTITUTION_INVALID_STATE);
+    }
+
+    proposal.adoption.votes.push({ userId: user.id, choice, votedAt: new Date() });
+    await audit(user, 'constitution:vote', { groupId, version, choice });
+    return this.settle(proposal, group, user);
+  }
+
+  /**
+   * Record a member's signature. Adopts the proposal once enough members have signed.
+   */
+  async sign(groupId, version, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id)) {
+      throw new AppError('Only group members can sign', 403, errorCodes.FORBIDDEN);
+    }
+    const proposal = await this.loadProposal(groupId, version);
+    if (proposal.adoption.method !== 'signature') {
+      throw new AppError('This proposal is adopted by vote', 409, errorCodes.CONSTITUTION_INVALID_STATE);
+    }
+    if (proposal.adoption.signatures.some((s) => s.userId.toString() === String(user.id))) {
+      throw new AppError('You have already signed this proposal', 409, errorCodes.CONSTITUTION_INVALID_STATE);
+    }
+
+    proposal.adoption.signatures.push({ userId: user.id, signedAt: new Date() });
+    await audit(user, 'constitution:signed', { groupId, version });
+    return this.settle(proposal, group, user);
+  }
+
+  /**
+   * Withdraw an open proposal (officers only).
+   */
+  async withdraw(groupId, version, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user)) {
+      throw new AppError('Only group officers can withdraw proposals', 403, errorCodes.FORBIDDEN);
+    }
+    const proposal = await this.loadProposal(groupId, version);
+    proposal.status = 'withdrawn';
+    proposal.closedAt = new Date();
+    await proposal.save();
+
+    await audit(user, 'constitution:withdrawn', { groupId, version });
+    return proposal;
+  }
+
+  /**
+   * Adopt or reject the proposal if the outcome is decided, then save it.
+   */
+  async settle(proposal, group, user) {
+    const { required } = proposal.adoption;
+    const against = proposal.adoption.votes.filter((v) => v.choice === 'against').length;
+
+    if (proposal.support() >= required) {
+      await GroupConstitution.updateMany(
+        { groupId: proposal.groupId, status: 'active' },
+        { $set: { status: 'superseded', supersededAt: new Date() } }
+      );
+      proposal.status = 'active';
+      proposal.adoptedAt = new Date();
+      proposal.closedAt = proposal.adoptedAt;
+      await audit(user, 'constitution:adopted', { groupId: proposal.groupId, version: proposal.version });
+    } else if (group.members.length - against < required) {
+      proposal.status = 'rejected';
+      proposal.closedAt = new Date();
+      await audit(user, 'constitution:rejected', { groupId: proposal.groupId, version: proposal.version });
+    }
+
+    await proposal.save();
+    return proposal;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Enforcement. Groups without an active constitution are not restricted.
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check a contribution, or a contribution schedule, against the contribution rules
+   * of an active version. `frequency` is only given for schedules; a missing currency
+   * is taken to be the group's.
+   * @param {Object|null} active - active constitution
+   * @param {Object} contribution - { amount, frequency?, currency? }
+   * @throws {AppError} 422 CONSTITUTION_MIN_CONTRIBUTION | CONSTITUTION_CONTRIBUTION_FREQUENCY |
+   *   CONSTITUTION_CONTRIBUTION_CURRENCY
+   */
+  checkContributionRules(active, { amount, frequency, currency }) {
+    const rule = active?.rules?.contributions;
+    if (!rule) return;
+
+    if (currency && rule.currency && String(currency).toUpperCase() !== rule.currency) {
+      throw this.ruleError(
+        `The group constitution requires contributions in ${rule.currency}`,
+        errorCodes.CONSTITUTION_CONTRIBUTION_CURRENCY,
+        { version: active.version, rule: 'contributions.currency', expected: rule.currency }
+      );
+    }
+    if (rule.minimumAmount != null && Number(amount) < rule.minimumAmount) {
+      throw this.ruleError(
+        `The group constitution requires contributions of at least ${rule.currency} ${rule.minimumAmount}`,
+        errorCodes.CONSTITUTION_MIN_CONTRIBUTION,
+        { version: active.version, rule: 'contributions.minimumAmount', limit: rule.minimumAmount }
+      );
+    }
+    if (frequency && rule.frequency && frequency !== rule.frequency) {
+      throw this.ruleError(
+        `The group constitution sets ${rule.frequency} contributions`,
+        errorCodes.CONSTITUTION_CONTRIBUTION_FREQUENCY,
+        { version: active.version, rule: 'contributions.frequency', expected: rule.frequency }
+      );
+    }
+  }
+
+  /**
+   * @param {Object} contribution - { amount, currency? }
+   * @throws {AppError} 422, see checkContributionRules
+   */
+  async assertContributionAllowed(groupId, contribution) {
+    const active = await this.getActive(groupId);
+    this.checkContributionRules(active, contribution);
+    return active;
+  }
+
+  /**
+   * Groups a member belongs to, whose constitutions govern the member's wallet and loans.
+   */
+  async memberGroups(userId) {
+    return Group.find({ members: userId }).select('_id name members memberRoles createdBy').lean();
+  }
+
+  /**
+   * The group a member borrows from: the named group, which must include the member,
+   * or else the member's only group. Null when the member belongs to no group.
+   * @throws {AppError} 403 when the member is not in the named group;
+   *   400 when the member is in several groups and none is named
+   */
+  async resolveLoanGroup(userId, groupId) {
+    const groups = await this.memberGroups(userId);
+    if (groupId) {
+      const group = groups.find((g) => g._id.toString() === String(groupId));
+      if (!group) {
+        throw new AppError('Member does not belong to this group', 403, errorCodes.FORBIDDEN);
+      }
+      return group;
+    }
+    if (groups.length > 1) {
+      throw new AppError('groupId is required for members of more than one group', 400, errorCodes.VALIDATION_ERROR);
+    }
+    return groups[0] || null;
+  }
+
+  /**
+   * @param {Object} request - { userId, amount, termMonths? }
+   * @throws {AppError} 422 CONSTITUTION_LOAN_TERM_EXCEEDED | CONSTITUTION_LOAN_MULTIPLE_EXCEEDED
+   */
+  async assertLoanAllowed(groupId, { userId, amount, termMonths }) {
+    const active = await this.getActive(groupId);
+    const rule = active?.rules?.loans;
+    if (!rule) return active;
+
+    if (rule.maxTermMonths != null && termMonths != null && Number(termMonths) > rule.maxTermMonths) {
+      throw this.ruleError(
+        `The group constitution limits loans to ${rule.maxTermMonths} months`,
+        errorCodes.CONSTITUTION_LOAN_TERM_EXCEEDED,
+        { version: active.version, rule: 'loans.maxTermMonths', limit: rule.maxTermMonths }
+      );
+    }
+
+    if (rule.savingsMultiple != null) {
+      const { total: savings } = await Contribution.userSummary(groupId, userId);
+      const limit = Math.round(savings * rule.savingsMultiple * 100) / 100;
+      if (Number(amount) > limit) {
+        throw this.ruleError(
+          `The group constitution limits loans to ${rule.savingsMultiple}x savings (${limit})`,
+          errorCodes.CONSTITUTION_LOAN_MULTIPLE_EXCEEDED,
+          { version: active.version, rule: 'loans.savingsMultiple', limit, savings, multiple: rule.savingsMultiple }
+        );
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Check a wallet withdrawal against the constitution of every group the wallet owner
+   * belongs to: the wallet holds the owner's savings in all of them.
+   * @param {Object} request - { ownerId, amount, user, groupId? } where `user` executes the withdrawal
+   * @returns {Promise<Array>} the owner's groups
+   * @throws {AppError} 403 when `groupId` does not include the owner, or when withdrawing for
+   *   another member without being their group's approver; 422 see assertWithdrawalAllowed
+   */
+  async assertWalletWithdrawalAllowed({ ownerId, amount, user, groupId }) {
+    const groups = await this.memberGroups(ownerId);
+    if (groupId && !groups.some((g) => g._id.toString() === String(groupId))) {
+      throw new AppError('Member does not belong to this group', 403, errorCodes.FORBIDDEN);
+    }
+
+    const memberId = String(ownerId) !== String(user.id) ? ownerId : undefined;
+    if (memberId && groups.length === 0) {
+      throw new AppError('Only withdrawal approvers can withdraw for another member', 403, errorCodes.FORBIDDEN);
+    }
+    for (const group of groups) {
+      await this.assertWithdrawalAllowed(group._id, { amount, user, memberId });
+    }
+    return groups;
+  }
+
+  /**
+   * Withdrawals above the approval threshold must be made by an approver. An approver
+   * may also withdraw on behalf of a member (`memberId`), whatever the amount.
+   * @param {Object} request - { amount, user, memberId? } where `user` executes the withdrawal
+   * @throws {AppError} 422 CONSTITUTION_WITHDRAWAL_APPROVAL_REQUIRED
+   */
+  async assertWithdrawalAllowed(groupId, { amount, user, memberId }) {
+    const active = await this.getActive(groupId);
+    const rule = active?.rules?.withdrawals;
+    const onBehalf = memberId && String(memberId) !== String(user.id);
+    const needsApproval = rule?.approvalThreshold != null && Number(amount) > rule.approvalThreshold;
+    if (!onBehalf && !needsApproval) return active;
+
+    const group = await loadGroup(groupId);
+    const isApprover = rule
+      ? this.holdsRole(group, user, rule.approverRoles)
+      : isGroupOfficer(group, user);
+
+    if (onBehalf) {
+      if (!isGroupMember(group, memberId)) {
+        throw new AppError('Member does not belong to this group', 403, errorCodes.FORBIDDEN);
+      }
+      if (!isApprover) {
+        throw new AppError('Only withdrawal approvers can withdraw for another member', 403, errorCodes.FORBIDDEN);
+      }
+      return active;
+    }
+
+    if (!isApprover) {
+      throw this.ruleError(
+        `Withdrawals above ${rule.approvalThreshold} must be approved by the group ${rule.approverRoles.join(' or ')}`,
+        errorCodes.CONSTITUTION_WITHDRAWAL_APPROVAL_REQUIRED,
+        {
+          version: active.version,
+          rule: 'withdrawals.approverRoles',
+          approverRoles: rule.approverRoles,
+          threshold: rule.approvalThreshold,
+        }
+      );
+    }
+    return active;
+  }
+}
+
+module.exports = new ConstitutionService();
@@ -0,0 +1,420 @@
+/**
+ * Contribution Schedule Service
+ * Expected-vs-actual contributions per group member.
+ * Features:
+ * - Per-member obligations (amount and frequency), defaulting to the group constitution
+ * - Due calendar generated from each obligation
+ * - Arrears per member and period, paying the oldest period first
+ * - Reminders before and after each due date through notificationService
+ */
+
+const mongoose = require('mongoose');
+const Contribution = require('../models/Contribution');
+const ContributionObligation = require('../models/ContributionObligation');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const constitutionService = require('./constitutionService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('ContributionScheduleService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMIND_DAYS_BEFORE = 2;
+const OVERDUE_REMINDER_DAYS = [1, 7];
+
+const round = (value) => Math.round(value * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class ContributionScheduleService {
+  /**
+   * The n-th due date after `start`. Monthly dates keep the start day,
+   * clamped to the end of shorter months.
+   */
+  addPeriods(start, frequency, n) {
+    const date = new Date(start);
+    if (frequency === 'weekly') return new Date(date.getTime() + n * 7 * DAY_MS);
+    if (frequency === 'biweekly') return new Date(date.getTime() + n * 14 * DAY_MS);
+
+    const day = date.getUTCDate();
+    const target = new Date(date);
+    target.setUTCDate(1);
+    target.setUTCMonth(target.getUTCMonth() + n);
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target;
+  }
+
+  /**
+   * Due dates of an obligation up to and including `until`.
+   * @returns {Date[]}
+   */
+  dueDates(obligation, until) {
+    const last = obligation.endDate && obligation.endDate < until ? obligation.endDate : until;
+    const dates = [];
+    for (let n = 0; ; n += 1) {
+      const due = this.addPeriods(obligation.startDate, obligation.frequency, n);
+      if (due > last) break;
+      dates.push(due);
+    }
+    return dates;
+  }
+
+  /**
+   * Expand a member's obligations into periods and allocate `paid` to the oldest first.
+   * @param {Array} obligations - the member's obligations
+   * @param {number} paid - total contributed since the first obligation started
+   * @param {Date} asOf
+   * @param {Date} horizon - last due date to include (at least asOf)
+   * @returns {Array<{obligationId, dueDate, expected, paid, outstanding, status}>}
+   */
+  buildPeriods(obligations, paid, asOf, horizon) {
+    const periods = obligations
+      .flatMap((o) =>
+        this.dueDates(o, horizon).map((dueDate) => ({
+          obligationId: o._id,
+          dueDate,
+          expected: o.amount,
+          currency: o.currency,
+        }))
+      )
+      .sort((a, b) => a.dueDate - b.dueDate);
+
+    let remaining = paid;
+    return periods.map((period) => {
+      const applied = round(Math.min(remaining, period.expected));
+      remaining = round(remaining - applied);
+      const outstanding = round(period.expected - applied);
+      let status = 'paid';
+      if (outstanding > 0) {
+        if (period.dueDate > asOf) status = 'upcoming';
+        else status = applied > 0 ? 'partial' : 'overdue';
+      }
+      return { ...period, paid: applied, outstanding, status };
+    });
+  }
+
+  /**
+   * Summarise a member's periods as of a date.
+   */
+  summarize(periods, paid, asOf) {
+    const due = periods.filter((p) => p.dueDate <= asOf);
+    const expectedToDate = round(due.reduce((sum, p) => sum + p.expected, 0));
+    const unpaid = due.filter((p) => p.outstanding > 0);
+    const next = periods.find((p) => p.dueDate > asOf);
+    return {
+      expectedToDate,
+      paidToDate: round(paid),
+      arrears: round(Math.max(0, expectedToDate - paid)),
+      credit: round(Math.max(0, paid - expectedToDate)),
+      periodsInArrears: unpaid.length,
+      oldestUnpaidDueDate: unpaid[0]?.dueDate || null,
+      daysInArrears: unpaid[0] ? Math.floor((asOf - unpaid[0].dueDate) / DAY_MS) : 0,
+      nextDueDate: next?.dueDate || null,
+      nextDueAmount: next ? next.outstanding : 0,
+    };
+  }
+
+  /**
+   * Officers see every member; members see only themselves.
+   * @returns {string|null} userId to restrict to, or null for everyone
+   */
+  scopeFor(group, user) {
+    if (isGroupOfficer(group, user)) return null;
+    if (isGroupMember(group, user.id)) return String(user.id);
+    throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Obligations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set what members owe from `startDate`. Omitted amount/frequency come from the
+   * active constitution. A member's previous obligation ends just before startDate.
+   * @param {Object} payload - { startDate, amount?, frequency?, currency?, userIds? }
+   */
+  async setObligations(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user)) {
+      throw new AppError('Only group officers can set contribution obligations', 403, errorCodes.FORBIDDEN);
+    }
+
+    const constitution = await constitutionService.getActive(groupId);
+    const rules = constitution?.rules?.contributions || {};
+    const amount = payload.amount ?? rules.minimumAmount;
+    const frequency = payload.frequency || rules.frequency;
+    if (!amount || !frequency) {
+      throw new AppError(
+        'amount and frequency are required when the group constitution does not set them',
+        400,
+        errorCodes.VALIDATION_ERROR
+      );
+    }
+    const currency = payload.currency || rules.currency || 'UGX';
+    constitutionService.checkContributionRules(constitution, { amount, frequency, currency });
+
+    const userIds = (payload.userIds?.length ? payload.userIds : group.members).map(String);
+    const outsiders = userIds.filter((id) => !isGroupMember(group, id));
+    if (outsiders.length) {
+      throw new AppError('Obligations can only be set for group members', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const startDate = new Date(payload.startDate);
+    await ContributionObligation.updateMany(
+      { groupId, userId: { $in: userIds }, active: true },
+      { $set: { active: false, endDate: new Date(startDate.getTime() - 1) } }
+    );
+    const obligations = await ContributionObligation.insertMany(
+      userIds.map((userId) => ({
+        groupId,
+        tenantId: user.tenantId,
+        userId,
+        amount,
+        frequency,
+        currency,
+        startDate,
+        createdBy: user.id,
+      }))
+    );
+
+    await audit(user, 'contribution:obligations_set', {
+      groupId,
+      members: userIds.length,
+      amount,
+      frequency,
+      startDate,
+    });
+    return obligations;
+  }
+
+  async listObligations(groupId, user) {
+    const group = await loadGroup(groupId);
+    const scope = this.scopeFor(group, user);
+    const query = { groupId, active: true };
+    if (scope) query.userId = scope;
+    return ContributionObligation.find(query).sort({ userId: 1 }).lean();
+  }
+
+  /**
+   * Due dates between `from` and `to`, with the members due on each.
+   */
+  async getCalendar(groupId, user, { from, to }) {
+    const group = await loadGroup(groupId);
+    const scope = this.scopeFor(group, user);
+    const query = { groupId, startDate: { $lte: to }, $or: [{ endDate: null }, { endDate: { $gte: from } }] };
+    if (scope) query.userId = scope;
+    const obligations = await ContributionObligation.find(query).lean();
+
+    const byDate = new Map();
+    obligations.forEach((o) => {
+      this.dueDates(o, to)
+        .filter((dueDate) => dueDate >= from)
+        .forEach((dueDate) => {
+          const key = dayKey(dueDate);
+          const entry = byDate.get(key) || { dueDate, expected: 0, members: [] };
+          entry.expected = round(entry.expected + o.amount);
+          entry.members.push({ userId: o.userId, amount: o.amount, currency: o.currency });
+          byDate.set(key, entry);
+        });
+    });
+    return [...byDate.values()].sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Arrears
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Total contributed by each member between their first obligation and asOf.
+   * @returns {Map<string, number>}
+   */
+  async paidByMember(groupId, firstStarts, asOf) {
+    if (!firstStarts.size) return new Map();
+    const rows = await Contribution.aggregate([
+      {
+        $match: {
+          groupId: new mongoose.Types.ObjectId(String(groupId)),
+          isDeleted: false,
+          $or: [...firstStarts].map(([userId, start]) => ({
+            userId: new mongoose.Types.ObjectId(userId),
+            date: { $gte: start, $lte: asOf },
+          })),
+        },
+      },
+      { $group: { _id: '$userId', total: { $sum: '$amount' } } },
+    ]);
+    return new Map(rows.map((r) => [r._id.toString(), parseFloat(r.total.toString())]));
+  }
+
+  /**
+   * Arrears of every member with an obligation (no access check).
+   * @returns {Promise<Array>} one entry per member with summary and periods
+   */
+  async computeArrears(groupId, asOf = new Date(), { userId } = {}) {
+    const query = { groupId, startDate: { $lte: asOf } };
+    if (userId) query.userId = userId;
+    const obligations = await ContributionObligation.find(query).sort({ startDate: 1 }).lean();
+
+    const byMember = new Map();
+    obligations.forEach((o) => {
+      const key = o.userId.toString();
+      if (!byMember.has(key)) byMember.set(key, []);
+      byMember.get(key).push(o);
+    });
+    const firstStarts = new Map([...byMember].map(([id, list]) => [id, list[0].startDate]));
+    const paid = await this.paidByMember(groupId, firstStarts, asOf);
+
+    return [...byMember].map(([memberId, list]) => {
+      // Look one period past asOf so the next due date is known
+      const active = list.find((o) => o.active) || list[list.length - 1];
+      const horizon = this.addPeriods(asOf, active.frequency, 1);
+      const memberPaid = paid.get(memberId) || 0;
+      const periods = this.buildPeriods(list, memberPaid, asOf, horizon);
+      return {
+        userId: memberId,
+        currency: active.currency,
+        ...this.summarize(periods, memberPaid, asOf),
+        periods: periods.filter((p) => p.dueDate <= asOf || p.status === 'upcoming').slice(-24),
+      };
+    });
+  }
+
+  /**
+   * Arrears report for the group; members see only their own line.
+   */
+  async getArrears(groupId, user, { asOf = new Date() } = {}) {
+    const group = await loadGroup(groupId);
+    const scope = this.scopeFor(group, user);
+    const members = await this.computeArrears(groupId, asOf, { userId: scope || undefined });
+
+    const users = await User.find({ _id: { $in: members.map((m) => m.userId) } }).select('name email').lean();
+    const names = new Map(users.map((u) => [u._id.toString(), u.name]));
+    members.forEach((m) => {
+      m.name = names.get(m.userId) || null;
+    });
+    members.sort((a, b) => b.arrears - a.arrears);
+
+    return {
+      asOf,
+      totals: {
+        expected: round(members.reduce((sum, m) => sum + m.expectedToDate, 0)),
+        paid: round(members.reduce((sum, m) => sum + m.paidToDate, 0)),
+        arrears: round(members.reduce((sum, m) => sum + m.arrears, 0)),
+        membersInArrears: members.filter((m) => m.arrears > 0).length,
+      },
+      members,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reminders
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reminders a member is owed today: one before the next due date and
+   * follow-ups after the oldest unpaid one. Keys already sent are skipped.
+   * @returns {Array<{kind, key, period}>}
+   */
+  dueReminders(member, asOf, sent) {
+    const reminders = [];
+    const upcoming = member.periods.find((p) => p.status === 'upcoming');
+    if (upcoming) {
+      const daysUntil = (upcoming.dueDate - asOf) / DAY_MS;
+      const key = `due:${dayKey(upcoming.dueDate)}`;
+      if (daysUntil <= REMIND_DAYS_BEFORE && !sent.has(key)) {
+        reminders.push({ kind: 'due', key, period: upcoming });
+      }
+    }
+
+    const oldest = member.periods.find((p) => p.status === 'overdue' || p.status === 'partial');
+    if (oldest) {
+      const daysLate = Math.floor((asOf - oldest.dueDate) / DAY_MS);
+      const step = [...OVERDUE_REMINDER_DAYS].reverse().find((d) => daysLate >= d);
+      const key = `overdue:${dayKey(oldest.dueDate)}:${step}`;
+      if (step && !sent.has(key)) {
+        reminders.push({ kind: 'overdue', key, period: oldest });
+      }
+    }
+    return reminders;
+  }
+
+  /**
+   * Send due and overdue reminders for every group with active obligations.
+   * Run daily; each reminder is sent once.
+   */
+  async sendReminders(asOf = new Date()) {
+    const groupIds = await ContributionObligation.distinct('groupId', { active: true });
+    let sent = 0;
+
+    for (const groupId of groupIds) {
+      try {
+        const [group, members, obligations] = await Promise.all([
+          Group.findById(groupId).select('name').lean(),
+          this.computeArrears(groupId, asOf),
+          ContributionObligation.find({ groupId }).select('remindersSent tenantId').lean(),
+        ]);
+        const sentKeys = new Map(obligations.map((o) => [o._id.toString(), new Set(o.remindersSent)]));
+
+        for (const member of members) {
+          const memberKeys = new Set(
+            member.periods.flatMap((p) => [...(sentKeys.get(p.obligationId.toString()) || [])])
+          );
+          for (const reminder of this.dueReminders(member, asOf, memberKeys)) {
+            if (!(await this.notify(group, member, reminder, obligations))) continue;
+            await ContributionObligation.updateOne(
+              { _id: reminder.period.obligationId },
+              { $addToSet: { remindersSent: reminder.key } }
+            );
+            sent += 1;
+          }
+        }
+      } catch (err) {
+        logger.error('[ContributionScheduleService] Reminders failed for group', {
+          groupId: groupId.toString(),
+          error: err.message,
+        });
+      }
+    }
+
+    return { groups: groupIds.length, sent };
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether the reminder was sent (failed ones are retried next run)
+   */
+  async notify(group, member, { kind, period }, obligations) {
+    const obligation = obligations.find((o) => o._id.toString() === period.obligationId.toString());
+    const amount = `${period.currency} ${period.outstanding}`;
+    const date = dayKey(period.dueDate);
+    const overdue = kind === 'overdue';
+    try {
+      await notificationService.send({
+        recipients: [member.userId],
+        type: overdue
+          ? notificationService.NOTIFICATION_TYPES.CONTRIBUTION_OVERDUE
+          : notificationService.NOTIFICATION_TYPES.CONTRIBUTION_DUE,
+        title: overdue ? 'Contribution overdue' : 'Contribution due soon',
+        message: overdue
+          ? `Your ${group?.name || 'group'} contribution of ${amount} was due on ${date}. You are ${member.arrears} in arrears.`
+          : `Your ${group?.name || 'group'} contribution of ${amount} is due on ${date}.`,
+        payload: { groupId: group?._id, dueDate: period.dueDate, outstanding: period.outstanding },
+        priority: overdue ? 'HIGH' : 'NORMAL',
+        tenantId: obligation?.tenantId,
+      });
+      return true;
+    } catch (err) {
+      logger.warn('[ContributionScheduleService] Reminder notification failed', {
+        userId: member.userId,
+        error: err.message,
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = new ContributionScheduleService();
@@ -0,0 +1,828 @@
+/**
+ * Disbursement Batch Service
+ * Bulk mobile money payouts: loan waves, share-outs and uploaded lists.
+ * Features:
+ * - Lines come from an upload (JSON lines or CSV text), the group's approved
+ *   loans, or a closed savings cycle's share-out report
+ * - Every line is checked with the disbursement BeneficiaryValidator and routed
+ *   to MTN or Airtel from its number; invalid lines are kept but never paid
+ * - Payouts go through the ProviderRoutingService, which can send a member's
+ *   payout to another of their wallets when a network is failing
+ * - Maker-checker: a second officer approves the batch before it is paid
+ * - Execution runs MTN and Airtel side by side, each with its own concurrency limit
+ * - Per-line progress and failures are stored; failed lines can be retried on their own
+ * - A transfer keeps its request id until the provider confirms it failed, so a
+ *   retry or a resumed run checks it before resending and never pays twice
+ * - A run that stops mid-batch is resumed by the recovery job
+ * - Reconciliation asks the providers for each transfer's final status and
+ *   stores a report; confirmed loan payouts mark the loan disbursed
+ */
+
+const DisbursementBatch = require('../models/DisbursementBatch');
+const Loan = require('../models/Loan');
+const SavingsCycle = require('../models/SavingsCycle');
+const User = require('../models/User');
+const BeneficiaryValidator = require('../modules/payment/mtn/disbursements/beneficiaryValidator');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const { parseCsv } = require('../utils/csv');
+const errorCodes = require('../utils/errorCodes');
+const { isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const { detectProvider, normalizePhone, payoutOutcome, stableReferenceId } = require('../utils/mobileMoney');
+const airtelDisbursementService = require('./airtel/disbursements');
+const LoanWorkflowService = require('./loanWorkflowService');
+const mtnDisbursementService = require('./mtn/disbursements');
+const notificationService = require('./notificationService');
+const providerRoutingService = require('./providerRoutingService');
+
+const audit = createAuditTrail('DisbursementBatchService');
+
+const MAX_LINES = 5000;
+const DEFAULT_CONCURRENCY = {
+  mtn: parseInt(process.env.BATCH_DISBURSEMENT_CONCURRENCY_MTN || '5', 10),
+  airtel: parseInt(process.env.BATCH_DISBURSEMENT_CONCURRENCY_AIRTEL || '3', 10),
+};
+// A processing batch with no progress for this long is taken to have stopped
+const RUN_LEASE_MS = Number(process.env.BATCH_DISBURSEMENT_LEASE_MS || 15 * 60 * 1000);
+// Lines a run pays; interrupted (processing) and unclear (unknown) lines are checked first
+const RUN_LINES = {
+  initial: ['valid', 'processing', 'unknown'],
+  retry: ['failed', 'processing', 'unknown'],
+};
+const SYSTEM_USER = { id: null, role: 'system' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a failed payout call certainly moved no money: no wallet was tried,
+ * or the provider refused the request. Anything else (a timeout, a 5xx, a lost
+ * response) may have paid.
+ */
+function certainlyUnpaid(err, attempted) {
+  if (!attempted) return true;
+  return err.statusCode >= 400 && err.statusCode < 500 && ![408, 409, 429].includes(err.statusCode);
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight.
+ */
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+class DisbursementBatchService {
+  constructor() {
+    // The MTN validator's MSISDN and rule checks are not network-specific, and
+    // Airtel has no validator of its own yet, so it screens every line.
+    this.beneficiaryValidator = new BeneficiaryValidator({ logger });
+    this.loanWorkflow = new LoanWorkflowService();
+    this.concurrency = DEFAULT_CONCURRENCY;
+    this.providers = { mtn: mtnDisbursementService, airtel: airtelDisbursementService };
+    this.routing = providerRoutingService;
+  }
+
+  normalizePhone(phoneNumber) {
+    return normalizePhone(phoneNumber);
+  }
+
+  detectProvider(phoneNumber) {
+    return detectProvider(phoneNumber);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Access
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Group batches are run by group officers; batches outside a group by admins.
+   */
+  async assertCanManage(groupId, user) {
+    if (!groupId) {
+      if (user.role !== 'admin') {
+        throw new AppError('Only administrators can manage batches outside a group', 403, errorCodes.FORBIDDEN);
+      }
+      return null;
+    }
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user)) {
+      throw new AppError('Only group officers can manage disbursement batches', 403, errorCodes.FORBIDDEN);
+    }
+    return group;
+  }
+
+  async loadBatch(batchId) {
+    const batch = await DisbursementBatch.findById(batchId);
+    if (!batch) {
+      throw new AppError('Disbursement batch not found', 404, errorCodes.DISBURSEMENT_BATCH_NOT_FOUND);
+    }
+    return batch;
+  }
+
+  invalidState(batch, action) {
+    return new AppError(`Cannot ${action} a batch that is ${batch.status}`, 409, errorCodes.DISBURSEMENT_BATCH_INVALID_STATE);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lines
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Raw lines from an upload: `lines` as JSON, or `csv` text with columns
+   * phoneNumber, amount and optionally name, provider, reference, userId.
+   */
+  uploadedLines(payload) {
+    const rows = payload.csv ? parseCsv(payload.csv) : payload.lines || [];
+    return rows.map((row) => ({
+      phoneNumber: row.phoneNumber || row.phone || row.msisdn,
+      amount: Number(row.amount),
+      name: row.name,
+      provider: row.provider ? String(row.provider).toLowerCase() : undefined,
+      reference: row.reference,
+      userId: row.userId || undefined,
+    }));
+  }
+
+  /**
+   * One line per approved loan in the group, paid to the borrower's phone.
+   */
+  async loanLines(groupId, loanIds) {
+    const query = { group: groupId, status: 'approved' };
+    if (loanIds?.length) query._id = { $in: loanIds };
+    const loans = await Loan.find(query).select('_id user amount').lean();
+    const users = await this.usersById(loans.map((l) => l.user));
+    return loans.map((loan) => ({
+      userId: loan.user,
+      loanId: loan._id,
+      name: users.get(String(loan.user))?.name,
+      phoneNumber: users.get(String(loan.user))?.phone,
+      amount: loan.amount,
+      reference: `LOAN-${loan._id}`,
+    }));
+  }
+
+  /**
+   * One line per member with a payout on a closed cycle's share-out report.
+   */
+  async shareOutLines(groupId, savingsCycleId) {
+    const cycle = await SavingsCycle.findOne({ _id: savingsCycleId, groupId }).lean();
+    if (!cycle) {
+      throw new AppError('Savings cycle not found', 404, errorCodes.CYCLE_NOT_FOUND);
+    }
+    if (cycle.status !== 'closed') {
+      throw new AppError('Only a closed cycle can be paid out', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    const payable = (cycle.closeOut?.lines || []).filter((l) => l.payout > 0);
+    const users = await this.usersById(payable.map((l) => l.userId));
+    return {
+      currency: cycle.currency,
+      lines: payable.map((line) => ({
+        userId: line.userId,
+        name: users.get(String(line.userId))?.name,
+        phoneNumber: users.get(String(line.userId))?.phone,
+        amount: line.payout,
+        reference: `SHAREOUT-${cycle._id}-${line.userId}`,
+      })),
+    };
+  }
+
+  async usersById(ids) {
+    const users = await User.find({ _id: { $in: ids } }).select('name phone').lean();
+    return new Map(users.map((u) => [String(u._id), u]));
+  }
+
+  /**
+   * Validate raw lines. Invalid lines stay in the batch with the reason.
+   */
+  async validateLines(rawLines, tenantId) {
+    const seen = new Set();
+    const lines = [];
+    for (const [index, raw] of rawLines.entries()) {
+      const line = {
+        lineNo: index + 1,
+        userId: raw.userId,
+        loanId: raw.loanId,
+        name: raw.name,
+        phoneNumber: this.normalizePhone(raw.phoneNumber),
+        amount: round(Number(raw.amount)),
+        reference: raw.reference,
+        status: 'valid',
+      };
+      line.provider = raw.provider || this.detectProvider(line.phoneNumber);
+
+      try {
+        if (!Number.isFinite(line.amount) || line.amount <= 0) {
+          throw new Error('Amount must be positive');
+        }
+        if (!line.provider || !DisbursementBatch.PROVIDERS.includes(line.provider)) {
+          throw new Error('Number is not on MTN or Airtel');
+        }
+        const key = `${line.phoneNumber}:${line.loanId || line.reference || ''}`;
+        if (seen.has(key)) {
+          throw new Error('Duplicate beneficiary in batch');
+        }
+        seen.add(key);
+        await this.beneficiaryValidator.validate({
+          tenantId,
+          beneficiary: { partyIdType: 'MSISDN', partyId: line.phoneNumber, name: line.name },
+          context: { amount: line.amount, provider: line.provider },
+        });
+      } catch (err) {
+        line.status = 'invalid';
+        line.validationError = err.message;
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Maker-checker
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a batch and hold it for approval.
+   * @param {Object} payload - { source: UPLOAD|APPROVED_LOANS|SAVINGS_CYCLE, purpose?, groupId?,
+   *   description?, currency?, lines? | csv?, loanIds?, savingsCycleId? }
+   */
+  async create(payload, user) {
+    await this.assertCanManage(payload.groupId, user);
+
+    let rawLines;
+    let currency = payload.currency;
+    let purpose = payload.purpose || 'BULK_PAYMENT';
+    if (payload.source === 'APPROVED_LOANS') {
+      rawLines = await this.loanLines(payload.groupId, payload.loanIds);
+      purpose = 'LOAN_PAYOUT';
+    } else if (payload.source === 'SAVINGS_CYCLE') {
+      const shareOut = await this.shareOutLines(payload.groupId, payload.savingsCycleId);
+      rawLines = shareOut.lines;
+      currency = currency || shareOut.currency;
+      purpose = 'SHARE_OUT';
+    } else {
+      rawLines = this.uploadedLines(payload);
+    }
+
+    if (!rawLines.length) {
+      throw new AppError('The batch has no lines', 400, errorCodes.VALIDATION_ERROR);
+    }
+    if (rawLines.length > MAX_LINES) {
+      throw new AppError(`A batch can hold at most ${MAX_LINES} lines`, 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const lines = await this.validateLines(rawLines, user.tenantId);
+    const valid = lines.filter((l) => l.status === 'valid');
+    const batch = await DisbursementBatch.create({
+      tenantId: user.tenantId,
+      groupId: payload.groupId,
+      purpose,
+      description: payload.description,
+      source: { type: payload.source, savingsCycleId: payload.savingsCycleId },
+      currency: currency || 'UGX',
+      lines,
+      totals: {
+        lines: lines.length,
+        valid: valid.length,
+        invalid: lines.length - valid.length,
+        amount: round(valid.reduce((sum, l) => sum + l.amount, 0)),
+      },
+      createdBy: user.id,
+    });
+
+    await audit(user, 'disbursement_batch:created', {
+      batchId: batch._id,
+      groupId: batch.groupId,
+      purpose,
+      lines: batch.totals.lines,
+      invalid: batch.totals.invalid,
+      amount: batch.totals.amount,
+    });
+    return batch;
+  }
+
+  /**
+   * Approve a batch as checker. The maker cannot approve their own batch.
+   */
+  async approve(batchId, user) {
+    const batch = await this.loadBatch(batchId);
+    await this.assertCanManage(batch.groupId, user);
+    if (batch.createdBy.toString() === String(user.id)) {
+      throw new AppError('The batch must be approved by someone other than its maker', 403, errorCodes.DISBURSEMENT_BATCH_SELF_APPROVAL);
+    }
+    if (!batch.totals.valid) {
+      throw new AppError('The batch has no valid lines to pay', 422, errorCodes.DISBURSEMENT_BATCH_INVALID_STATE);
+    }
+    const approved = await DisbursementBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'pending_approval' },
+      { $set: { status: 'approved', approvedBy: user.id, approvedAt: new Date() } },
+      { new: true }
+    );
+    if (!approved) throw this.invalidState(batch, 'approve');
+
+    await audit(user, 'disbursement_batch:approved', { batchId: batch._id, amount: batch.totals.amount });
+    return approved;
+  }
+
+  async reject(batchId, user, { reason } = {}) {
+    const batch = await this.loadBatch(batchId);
+    await this.assertCanManage(batch.groupId, user);
+    const rejected = await DisbursementBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'pending_approval' },
+      { $set: { status: 'rejected', rejectedBy: user.id, rejectionReason: reason } },
+      { new: true }
+    );
+    if (!rejected) throw this.invalidState(batch, 'reject');
+
+    await audit(user, 'disbursement_batch:rejected', { batchId: batch._id, reason });
+    await this.notifyMaker(rejected, 'Disbursement batch rejected', `Your batch of ${batch.totals.valid} payouts was rejected${reason ? `: ${reason}` : '.'}`);
+    return rejected;
+  }
+
+  /**
+   * Withdraw a batch before it is approved. Only its maker can.
+   */
+  async cancel(batchId, user) {
+    const batch = await this.loadBatch(batchId);
+    if (batch.createdBy.toString() !== String(user.id) && user.role !== 'admin') {
+      throw new AppError('Only the maker can cancel this batch', 403, errorCodes.FORBIDDEN);
+    }
+    const cancelled = await DisbursementBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'pending_approval' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) throw this.invalidState(batch, 'cancel');
+
+    await audit(user, 'disbursement_batch:cancelled', { batchId: batch._id });
+    return cancelled;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Execution
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Claim an approved batch (or, with retryFailedOnly, a partially failed one)
+   * so that only one run pays it at a time.
+   */
+  async start(batchId, user, { retryFailedOnly = false } = {}) {
+    const batch = await this.loadBatch(batchId);
+    await this.assertCanManage(batch.groupId, user);
+    const from = retryFailedOnly ? 'partially_failed' : 'approved';
+    const claimed = await DisbursementBatch.findOneAndUpdate(
+      { _id: batch._id, status: from },
+      {
+        $set: { status: 'processing', heartbeatAt: new Date() },
+        $push: { runs: { startedBy: user.id, retryFailedOnly, startedAt: new Date() } },
+      },
+      { new: true }
+    );
+    if (!claimed) throw this.invalidState(batch, retryFailedOnly ? 'retry' : 'execute');
+
+    await audit(user, retryFailedOnly ? 'disbursement_batch:retry_started' : 'disbursement_batch:execution_started', {
+      batchId: batch._id,
+    });
+    return claimed;
+  }
+
+  /**
+   * Pay the claimed batch's valid lines (or failed lines when retrying),
+   * MTN and Airtel in parallel, each within its concurrency limit. Lines an
+   * earlier run left processing or unknown are included.
+   */
+  async run(batch, { retryFailedOnly = false } = {}) {
+    const wanted = RUN_LINES[retryFailedOnly ? 'retry' : 'initial'];
+    const pending = batch.lines.filter((l) => wanted.includes(l.status));
+
+    await Promise.all(
+      DisbursementBatch.PROVIDERS.map((provider) =>
+        runPool(
+          pending.filter((l) => l.provider === provider),
+          this.concurrency[provider] || 1,
+          (line) => this.payLine(batch, line)
+        )
+      )
+    );
+
+    return this.finish(batch._id, pending.length);
+  }
+
+  /**
+   * What became of a line's current transfer: 'paid', 'failed', 'pending',
+   * 'resend' when the provider never received it, or 'unknown' when it could
+   * not be checked.
+   */
+  async confirmPayout(line) {
+    try {
+      const result = await this.providers[line.provider].getStatus(line.payoutId);
+      return payoutOutcome(result?.status);
+    } catch (err) {
+      if (err.response?.status === 404) return 'resend';
+      logger.warn('[DisbursementBatchService] Payout status check failed', {
+        lineNo: line.lineNo,
+        payoutId: line.payoutId,
+        error: err.message,
+      });
+      return 'unknown';
+    }
+  }
+
+  async payLine(batch, line) {
+    if (line.payoutId && ['processing', 'unknown'].includes(line.status)) {
+      const outcome = await this.confirmPayout(line);
+      if (outcome === 'paid') {
+        return this.updateLine(batch._id, line._id, { status: 'paid', paidAt: new Date(), error: null });
+      }
+      if (outcome === 'pending') {
+        return this.updateLine(batch._id, line._id, { status: 'sent', error: null });
+      }
+      if (outcome === 'unknown') {
+        return this.updateLine(batch._id, line._id, { status: 'unknown' });
+      }
+      if (outcome === 'resend') {
+        return this.resendLine(batch, line);
+      }
+    }
+    return this.sendLine(batch, line);
+  }
+
+  /**
+   * Request a new transfer for the line through the router, which may pick (or
+   * fail over to) another of the member's wallets. The request id is saved
+   * before the call so an interrupted run checks this transfer instead of
+   * starting another. A call that may have paid is never failed over.
+   */
+  async sendLine(batch, line) {
+    const attempt = (line.attempts || 0) + 1;
+    const externalId = `DB-${batch._id}-${line.lineNo}-${attempt}`;
+    await this.updateLine(batch._id, line._id, {
+      status: 'processing',
+      attempts: attempt,
+      externalId,
+      payoutId: null,
+      error: null,
+    });
+
+    let attempted;
+    try {
+      const { result, wallet, decisionId } = await this.routing.disburse({
+        tenantId: batch.tenantId,
+        userId: line.userId,
+        phoneNumber: line.phoneNumber,
+        provider: line.provider,
+        amount: line.amount,
+        currency: batch.currency,
+        reference: externalId,
+        source: { type: 'DISBURSEMENT_BATCH', id: batch._id, lineNo: line.lineNo },
+        invoke: async (adapter, target) => {
+          // MTN takes a UUID request id; Airtel takes our reference
+          const payoutId = target.provider === 'mtn' ? stableReferenceId(externalId) : externalId;
+          await this.updateLine(batch._id, line._id, {
+            provider: target.provider,
+            phoneNumber: target.phoneNumber,
+            payoutId,
+          });
+          attempted = target;
+          try {
+            return await this.transfer(adapter, batch, line, { ...target, externalId, payoutId });
+          } catch (err) {
+            if (!certainlyUnpaid(err, attempted)) err.failover = false;
+            throw err;
+          }
+        },
+      });
+      await this.sent(batch, line, result, { wallet, decisionId });
+    } catch (err) {
+      await this.unpaid(batch, line, err, certainlyUnpaid(err, attempted) ? 'failed' : 'unknown');
+    }
+  }
+
+  /**
+   * Send the line's current transfer again, to the same wallet with the same
+   * request id, after its provider reported never receiving it.
+   */
+  async resendLine(batch, line) {
+    await this.updateLine(batch._id, line._id, { status: 'processing', error: null });
+    const target = { provider: line.provider, phoneNumber: line.phoneNumber, externalId: line.externalId, payoutId: line.payoutId };
+    try {
+      const result = await this.transfer(this.providers[line.provider], batch, line, target);
+      await this.sent(batch, line, result, {});
+    } catch (err) {
+      await this.unpaid(batch, line, err, certainlyUnpaid(err, target) ? 'failed' : 'unknown');
+    }
+  }
+
+  transfer(adapter, batch, line, { provider, phoneNumber, externalId, payoutId }) {
+    const metadata = {
+      batchId: batch._id,
+      lineNo: line.lineNo,
+      purpose: batch.purpose,
+      loanId: line.loanId,
+      reference: line.reference,
+    };
+    if (provider === 'airtel') {
+      return adapter.disburse({
+        tenantId: batch.tenantId,
+        amount: line.amount,
+        phoneNumber: phoneNumber.replace(/^256/, ''),
+        reference: payoutId,
+        metadata,
+      });
+    }
+    return adapter.disburse({
+      tenantId: batch.tenantId,
+      amount: line.amount,
+      phoneNumber,
+      currency: batch.currency,
+      externalId,
+      referenceId: payoutId,
+      payerMessage: batch.description || batch.purpose,
+      payeeNote: line.reference || batch.purpose,
+      metadata,
+    });
+  }
+
+  sent(batch, line, result, { wallet, decisionId }) {
+    const outcome = payoutOutcome(result?.status);
+    return this.updateLine(batch._id, line._id, {
+      status: outcome === 'pending' ? 'sent' : outcome,
+      ...(wallet && { provider: wallet.provider, phoneNumber: wallet.phoneNumber }),
+      providerReference: result?.reference,
+      providerStatus: result?.status,
+      ...(decisionId && { routingDecisionId: decisionId }),
+      sentAt: new Date(),
+      ...(outcome === 'paid' && { paidAt: new Date() }),
+      ...(outcome === 'failed' && { error: `Provider reported ${result.status}` }),
+    });
+  }
+
+  unpaid(batch, line, err, status) {
+    logger.warn('[DisbursementBatchService] Payout failed', {
+      batchId: batch._id,
+      lineNo: line.lineNo,
+      provider: line.provider,
+      status,
+      error: err.message,
+    });
+    return this.updateLine(batch._id, line._id, { status, error: err.message });
+  }
+
+  updateLine(batchId, lineId, fields) {
+    const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`lines.$.${key}`, value]));
+    return DisbursementBatch.updateOne({ _id: batchId, 'lines._id': lineId }, { $set: { ...$set, heartbeatAt: new Date() } });
+  }
+
+  async finish(batchId, attempted) {
+    const batch = await DisbursementBatch.findById(batchId);
+    const failed = batch.lines.filter((l) => l.status === 'failed').length;
+    const unknown = batch.lines.filter((l) => ['unknown', 'processing'].includes(l.status)).length;
+    const finished = await DisbursementBatch.findOneAndUpdate(
+      { _id: batchId, status: 'processing' },
+      {
+        $set: {
+          status: failed || unknown ? 'partially_failed' : 'completed',
+          completedAt: new Date(),
+          'runs.$[current].finishedAt': new Date(),
+          'runs.$[current].lines': attempted,
+        },
+      },
+      { new: true, arrayFilters: [{ 'current.finishedAt': null }] }
+    );
+    const result = finished || batch;
+
+    await audit(SYSTEM_USER, 'disbursement_batch:run_finished', {
+      batchId,
+      attempted,
+      failed,
+      unknown,
+      status: result.status,
+    });
+    const progress = this.progress(result);
+    await this.notifyMaker(
+      result,
+      failed || unknown ? 'Disbursement batch finished with failures' : 'Disbursement batch sent',
+      `${progress.sent + progress.paid} of ${progress.payable} payouts were accepted by the providers` +
+        (failed ? `; ${failed} failed and can be retried` : '') +
+        (unknown ? `; ${unknown} could not be confirmed and will be checked before any retry` : '') +
+        '.'
+    );
+    return result;
+  }
+
+  /**
+   * Resume runs that stopped without finishing (a crash or restart mid-batch):
+   * processing batches with no progress for BATCH_DISBURSEMENT_LEASE_MS.
+   * Interrupted lines are checked with their provider before anything is resent.
+   */
+  async recoverStale(asOf = new Date()) {
+    const staleBefore = new Date(asOf.getTime() - RUN_LEASE_MS);
+    const stale = { status: 'processing', $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }] };
+    const batches = await DisbursementBatch.find(stale).select('_id').lean();
+
+    let resumed = 0;
+    for (const { _id } of batches) {
+      const claimed = await DisbursementBatch.findOneAndUpdate(
+        { _id, ...stale },
+        { $set: { heartbeatAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      const current = claimed.runs[claimed.runs.length - 1];
+      await audit(SYSTEM_USER, 'disbursement_batch:run_resumed', { batchId: _id });
+      try {
+        await this.run(claimed, { retryFailedOnly: Boolean(current?.retryFailedOnly) });
+        resumed += 1;
+      } catch (err) {
+        logger.error('[DisbursementBatchService] Resumed run failed', { batchId: _id, error: err.message });
+      }
+    }
+    return { stale: batches.length, resumed };
+  }
+
+  /**
+   * Claim and pay a batch. Resolves when every line has been attempted.
+   */
+  async execute(batchId, user, options = {}) {
+    const batch = await this.start(batchId, user, options);
+    return this.run(batch, options);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Progress and reconciliation
+  // ---------------------------------------------------------------------------
+
+  progress(batch) {
+    const counts = Object.fromEntries(DisbursementBatch.LINE_STATUSES.map((s) => [s, 0]));
+    batch.lines.forEach((line) => {
+      counts[line.status] += 1;
+    });
+    const payable = batch.lines.length - counts.invalid;
+    const done = counts.sent + counts.paid + counts.failed + counts.unknown;
+    return { ...counts, payable, percent: payable ? Math.round((done / payable) * 100) : 0 };
+  }
+
+  async getBatch(batchId, user) {
+    const batch = await this.loadBatch(batchId);
+    await this.assertCanManage(batch.groupId, user);
+    return { batch, progress: this.progress(batch) };
+  }
+
+  async listBatches(user, { groupId, status } = {}) {
+    await this.assertCanManage(groupId, user);
+    const query = groupId ? { groupId } : {};
+    if (status) query.status = status;
+    return DisbursementBatch.find(query).select('-lines').sort({ createdAt: -1 }).limit(100).lean();
+  }
+
+  /**
+   * Ask the providers for the final status of every sent or unknown line,
+   * settle confirmed loan payouts and store the reconciliation report.
+   */
+  async reconcile(batchId, user) {
+    const batch = await this.loadBatch(batchId);
+    await this.assertCanManage(batch.groupId, user);
+    if (!['completed', 'partially_failed'].includes(batch.status)) {
+      throw this.invalidState(batch, 'reconcile');
+    }
+
+    const sent = batch.lines.filter(
+      (l) => ['sent', 'unknown'].includes(l.status) && (l.payoutId || l.providerReference)
+    );
+    await Promise.all(
+      DisbursementBatch.PROVIDERS.map((provider) =>
+        runPool(
+          sent.filter((l) => l.provider === provider),
+          this.concurrency[provider] || 1,
+          async (line) => {
+            try {
+              const result = await this.providers[provider].getStatus(line.payoutId || line.providerReference);
+              const outcome = payoutOutcome(result?.status);
+              line.providerStatus = result?.status;
+              line.status = outcome === 'pending' ? 'sent' : outcome;
+              if (line.status === 'paid') line.paidAt = new Date();
+              if (line.status === 'failed') line.error = result?.reason || `Provider reported ${result?.status}`;
+            } catch (err) {
+              logger.warn('[DisbursementBatchService] Status check failed', {
+                batchId: batch._id,
+                lineNo: line.lineNo,
+                error: err.message,
+              });
+            }
+          }
+        )
+      )
+    );
+
+    for (const line of sent.filter((l) => l.status === 'paid' && l.loanId)) {
+      await this.markLoanDisbursed(line, user);
+    }
+
+    batch.report = this.buildReport(batch);
+    if (batch.status === 'completed' && batch.lines.some((l) => ['failed', 'unknown'].includes(l.status))) {
+      batch.status = 'partially_failed';
+    }
+    await batch.save();
+
+    await audit(user, 'disbursement_batch:reconciled', { batchId: batch._id, totals: batch.report.totals });
+    return batch;
+  }
+
+  async markLoanDisbursed(line, user) {
+    try {
+      await this.loanWorkflow.changeLoanStatus(line.loanId, 'disbursed', user, `Paid in disbursement batch line ${line.lineNo}`);
+      await Loan.updateOne(
+        { _id: line.loanId },
+        {
+          $set: {
+            disbursementMethod: line.provider === 'airtel' ? 'AIRTEL_MONEY' : 'MTN_MOMO',
+            disbursementReference: line.providerReference,
+            disbursedAmount: line.amount,
+          },
+        }
+      );
+    } catch (err) {
+      logger.warn('[DisbursementBatchService] Loan not marked disbursed', { loanId: line.loanId, error: err.message });
+    }
+  }
+
+  /**
+   * Requested vs confirmed amounts, overall and per provider, plus every line
+   * that did not pay.
+   */
+  buildReport(batch) {
+    const blank = () => ({ lines: 0, requested: 0, paid: 0, failed: 0, pending: 0, paidAmount: 0, failedAmount: 0, pendingAmount: 0 });
+    const totals = blank();
+    const byProvider = Object.fromEntries(DisbursementBatch.PROVIDERS.map((p) => [p, blank()]));
+
+    batch.lines
+      .filter((l) => l.status !== 'invalid')
+      .forEach((line) => {
+        for (const bucket of [totals, byProvider[line.provider]]) {
+          bucket.lines += 1;
+          bucket.requested = round(bucket.requested + line.amount);
+          if (line.status === 'paid') {
+            bucket.paid += 1;
+            bucket.paidAmount = round(bucket.paidAmount + line.amount);
+          } else if (line.status === 'failed') {
+            bucket.failed += 1;
+            bucket.failedAmount = round(bucket.failedAmount + line.amount);
+          } else {
+            bucket.pending += 1;
+            bucket.pendingAmount = round(bucket.pendingAmount + line.amount);
+          }
+        }
+      });
+
+    return {
+      generatedAt: new Date(),
+      currency: batch.currency,
+      totals: { ...totals, invalid: batch.lines.filter((l) => l.status === 'invalid').length },
+      byProvider,
+      exceptions: batch.lines
+        .filter((l) => l.status !== 'paid')
+        .map((l) => ({
+          lineNo: l.lineNo,
+          name: l.name,
+          phoneNumber: l.phoneNumber,
+          provider: l.provider,
+          amount: l.amount,
+          status: l.status,
+          reason:
+            l.validationError ||
+            (l.status === 'unknown' && `Outcome unclear (${l.error}); checked with the provider before any retry`) ||
+            l.error ||
+            (l.status === 'sent' ? 'Awaiting provider confirmation' : undefined),
+          providerReference: l.providerReference,
+        })),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notifications
+  // ---------------------------------------------------------------------------
+
+  async notifyMaker(batch, title, message) {
+    try {
+      await notificationService.send({
+        recipients: [batch.createdBy],
+        type: notificationService.NOTIFICATION_TYPES.DISBURSEMENT_BATCH,
+        title,
+        message,
+        payload: { batchId: batch._id, groupId: batch.groupId, status: batch.status },
+        tenantId: batch.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[DisbursementBatchService] Maker notification failed', { batchId: batch._id, error: err.message });
+    }
+  }
+}
+
+module.exports = new DisbursementBatchService();
@@ -0,0 +1,692 @@
+/**
+ * Fine Service
+ * Per-group fines and penalties.
+ * Features:
+ * - Fine rules: flat or percentage, grace days, minimum and cap
+ * - Automatic evaluation against rotation and scheduled contribution due dates, meeting
+ *   attendance and loan installments
+ * - Fines posted to the ledger as member receivables
+ * - Payments, waivers and member appeals, all audited
+ */
+
+const Fine = require('../models/Fine');
+const FineRule = require('../models/FineRule');
+const Loan = require('../models/Loan');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
+const Meeting = require('../models/Meeting');
+const RotationCycle = require('../models/RotationCycle');
+const RotationRound = require('../models/RotationRound');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertOfficer, isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const contributionScheduleService = require('./contributionScheduleService');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+const { MEETING_STATUS } = require('../modules/offline/constants');
+
+const audit = createAuditTrail('FineService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEDGER_ACCOUNTS = {
+  cash: { accountCode: '1000', accountName: 'Group Cash on Hand' },
+  receivable: { accountCode: '1300', accountName: 'Fines Receivable' },
+  income: { accountCode: '4200', accountName: 'Fine Income' },
+};
+
+class FineService {
+  /**
+   * Whole days from `from` to `to`, never negative.
+   */
+  daysBetween(from, to) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / DAY_MS));
+  }
+
+  /**
+   * Fine amount for a rule.
+   * @param {Object} rule - { calculation, amount, minAmount?, maxAmount? }
+   * @param {number} baseAmount - amount paid late (used by percentage rules)
+   * @returns {number} rounded to 2 decimals
+   */
+  computeAmount(rule, baseAmount = 0) {
+    let amount = rule.calculation === 'percentage'
+      ? (Number(baseAmount) * rule.amount) / 100
+      : rule.amount;
+    amount = Math.max(amount, rule.minAmount || 0);
+    if (rule.maxAmount != null) amount = Math.min(amount, rule.maxAmount);
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * When a member's payments for a round first reached the contribution amount.
+   * @returns {Date|null}
+   */
+  completedAt(contributions, userId, requiredAmount) {
+    let paid = 0;
+    const own = contributions
+      .filter((c) => c.userId?.toString() === String(userId))
+      .sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt));
+    for (const contribution of own) {
+      paid += contribution.amount;
+      if (paid >= requiredAmount) return new Date(contribution.paidAt);
+    }
+    return null;
+  }
+
+  async loadFine(groupId, fineId) {
+    const fine = await Fine.findOne({ _id: fineId, groupId });
+    if (!fine) {
+      throw new AppError('Fine not found', 404, errorCodes.FINE_NOT_FOUND);
+    }
+    return fine;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rules
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Object} payload - { name, trigger, calculation?, amount, graceDays?, minAmount?, maxAmount?, currency?, effectiveFrom? }
+   */
+  async createRule(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+
+    const rule = await FineRule.create({
+      groupId,
+      tenantId: user.tenantId,
+      name: payload.name,
+      trigger: payload.trigger,
+      calculation: payload.calculation || 'flat',
+      amount: payload.amount,
+      graceDays: payload.graceDays,
+      minAmount: payload.minAmount,
+      maxAmount: payload.maxAmount,
+      currency: payload.currency,
+      effectiveFrom: payload.effectiveFrom ? new Date(payload.effectiveFrom) : new Date(),
+      createdBy: user.id,
+    });
+
+    await audit(user, 'fine:rule_created', { groupId, ruleId: rule._id, trigger: rule.trigger });
+    return rule;
+  }
+
+  async listRules(groupId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user) && !isGroupMember(group, user.id)) {
+      throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+    }
+    return FineRule.find({ groupId }).sort({ active: -1, createdAt: -1 }).lean();
+  }
+
+  /**
+   * Change a rule's amounts or switch it off. Fines already issued are not recalculated.
+   */
+  async updateRule(groupId, ruleId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+
+    const rule = await FineRule.findOne({ _id: ruleId, groupId });
+    if (!rule) {
+      throw new AppError('Fine rule not found', 404, errorCodes.FINE_NOT_FOUND);
+    }
+    ['name', 'calculation', 'amount', 'graceDays', 'minAmount', 'maxAmount', 'active']
+      .filter((field) => payload[field] !== undefined)
+      .forEach((field) => {
+        rule[field] = payload[field];
+      });
+    rule.updatedBy = user.id;
+    await rule.save();
+
+    await audit(user, 'fine:rule_updated', { groupId, ruleId, changes: payload });
+    return rule;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Late contributions from both due calendars: rotation rounds and the
+   * group's contribution schedule.
+   */
+  async collectLateContributions(rule, asOf) {
+    const [rounds, periods] = await Promise.all([
+      this.collectLateRounds(rule, asOf),
+      this.collectLatePeriods(rule, asOf),
+    ]);
+    return [...rounds, ...periods];
+  }
+
+  /**
+   * Members who had not paid a rotation round in full by its due date plus grace days.
+   */
+  async collectLateRounds(rule, asOf) {
+    const deadline = new Date(asOf.getTime() - rule.graceDays * DAY_MS);
+    const rounds = await RotationRound.find({
+      groupId: rule.groupId,
+      dueDate: { $gte: rule.effectiveFrom, $lte: deadline },
+      status: { $ne: 'skipped' },
+    }).lean();
+    if (!rounds.length) return [];
+
+    const cycles = await RotationCycle.find({ _id: { $in: rounds.map((r) => r.cycleId) } })
+      .select('_id payoutOrder contributionAmount')
+      .lean();
+    const cyclesById = new Map(cycles.map((c) => [c._id.toString(), c]));
+
+    const candidates = [];
+    for (const round of rounds) {
+      const cycle = cyclesById.get(round.cycleId.toString());
+      if (!cycle) continue;
+      const graceEnd = new Date(new Date(round.dueDate).getTime() + rule.graceDays * DAY_MS);
+
+      for (const slot of cycle.payoutOrder) {
+        const paidAt = this.completedAt(round.contributions || [], slot.userId, cycle.contributionAmount);
+        if (paidAt && paidAt <= graceEnd) continue;
+        candidates.push({
+          userId: slot.userId,
+          source: { type: 'rotation_round', id: round._id, key: `round:${round._id}`, dueDate: round.dueDate },
+          baseAmount: cycle.contributionAmount,
+          daysLate: this.daysBetween(round.dueDate, paidAt || asOf),
+        });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Scheduled contribution periods still unpaid once their grace days have
+   * passed. Payments count against the oldest period first, as in the arrears report.
+   */
+  async collectLatePeriods(rule, asOf) {
+    const deadline = new Date(asOf.getTime() - rule.graceDays * DAY_MS);
+    const members = await contributionScheduleService.computeArrears(rule.groupId, asOf);
+
+    const candidates = [];
+    for (const member of members) {
+      for (const period of member.periods) {
+        if (period.outstanding <= 0 || period.dueDate > deadline || period.dueDate < rule.effectiveFrom) continue;
+        const key = `period:${period.obligationId}:${new Date(period.dueDate).toISOString().slice(0, 10)}`;
+        candidates.push({
+          userId: member.userId,
+          source: { type: 'contribution_period', id: period.obligationId, key, dueDate: period.dueDate },
+          baseAmount: period.expected,
+          daysLate: this.daysBetween(period.dueDate, asOf),
+        });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Members absent from (or late to) closed meetings. Excused members are never fined.
+   * @param {string} attendanceStatus - 'absent' | 'late'
+   */
+  async collectMeetingAttendance(rule, asOf, attendanceStatus, group) {
+    const meetings = await Meeting.find({
+      groupId: rule.groupId,
+      status: MEETING_STATUS.CLOSED,
+      scheduledAt: { $gte: rule.effectiveFrom },
+      closedAt: { $lte: asOf },
+    })
+      .select('_id scheduledAt attendance')
+      .lean();
+
+    const candidates = [];
+    for (const meeting of meetings) {
+      const statusOf = new Map((meeting.attendance || []).map((a) => [a.userId.toString(), a.status]));
+      const members = attendanceStatus === 'absent'
+        ? (group.members || []).filter((m) => (statusOf.get(m.toString()) || 'absent') === 'absent')
+        : (meeting.attendance || []).filter((a) => a.status === 'late').map((a) => a.userId);
+
+      for (const userId of members) {
+        candidates.push({
+          userId,
+          source: { type: 'meeting', id: meeting._id, key: `meeting:${meeting._id}`, dueDate: meeting.scheduledAt },
+          baseAmount: 0,
+          daysLate: 0,
+        });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Unpaid loan installments past due date plus grace days, for loans taken from the group.
+   */
+  async collectLateRepayments(rule, asOf) {
+    const deadline = new Date(asOf.getTime() - rule.graceDays * DAY_MS);
+    const loans = await Loan.find({ group: rule.groupId }).select('_id user').lean();
+    if (!loans.length) return [];
+    const borrowerByLoan = new Map(loans.map((loan) => [loan._id.toString(), loan.user]));
+
+    const schedules = await LoanRepaymentSchedule.find({
+      loan: { $in: loans.map((loan) => loan._id) },
+      status: { $in: ['active', 'defaulted'] },
+    })
+      .select('_id loan installments')
+      .lean();
+
+    const candidates = [];
+    for (const schedule of schedules) {
+      for (const installment of schedule.installments || []) {
+        const due = new Date(installment.dueDate);
+        if (['paid', 'forgiven'].includes(installment.status)) continue;
+        if (due < rule.effectiveFrom || due > deadline) continue;
+        candidates.push({
+          userId: borrowerByLoan.get(schedule.loan.toString()),
+          source: {
+            type: 'loan_installment',
+            id: schedule._id,
+            key: `installment:${schedule._id}:${installment.number}`,
+            dueDate: due,
+          },
+          baseAmount: Math.max(0, installment.totalAmount - (installment.paidAmount || 0)),
+          daysLate: this.daysBetween(due, asOf),
+        });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Evaluate a group's active rules and issue any fines not yet charged.
+   * @param {string} groupId
+   * @param {Object} [options] - { asOf?: Date, triggers?: string[] }
+   * @param {Object} [actor] - user who triggered the run; omitted for scheduled runs
+   * @returns {Promise<{issued: Array, evaluatedRules: number}>}
+   */
+  async evaluateGroup(groupId, { asOf = new Date(), triggers } = {}, actor = null) {
+    const group = await loadGroup(groupId);
+    if (actor) assertOfficer(group, actor, 'manage fines');
+
+    const query = { groupId, active: true, effectiveFrom: { $lte: asOf } };
+    if (triggers?.length) query.trigger = { $in: triggers };
+    const rules = await FineRule.find(query).lean();
+
+    const issued = [];
+    for (const rule of rules) {
+      let candidates = [];
+      if (rule.trigger === 'late_contribution') {
+        candidates = await this.collectLateContributions(rule, asOf);
+      } else if (rule.trigger === 'missed_meeting') {
+        candidates = await this.collectMeetingAttendance(rule, asOf, 'absent', group);
+      } else if (rule.trigger === 'late_meeting_arrival') {
+        candidates = await this.collectMeetingAttendance(rule, asOf, 'late', group);
+      } else if (rule.trigger === 'late_loan_repayment') {
+        candidates = await this.collectLateRepayments(rule, asOf);
+      }
+      issued.push(...(await this.issueFines(rule, group, candidates)));
+    }
+
+    if (issued.length) {
+      logger.info('[FineService] Fines issued', { groupId: String(groupId), count: issued.length });
+    }
+    return { issued, evaluatedRules: rules.length };
+  }
+
+  /**
+   * Evaluate every group that has an active rule. Used by the scheduled job.
+   */
+  async evaluateAllGroups(asOf = new Date()) {
+    const groupIds = await FineRule.distinct('groupId', { active: true });
+    let issued = 0;
+    for (const groupId of groupIds) {
+      try {
+        const result = await this.evaluateGroup(groupId, { asOf });
+        issued += result.issued.length;
+      } catch (err) {
+        logger.error('[FineService] Group evaluation failed', { groupId: String(groupId), error: err.message });
+      }
+    }
+    return { groups: groupIds.length, issued };
+  }
+
+  /**
+   * Create fines for candidates this rule has not fined before.
+   */
+  async issueFines(rule, group, candidates) {
+    if (!candidates.length) return [];
+
+    const existing = await Fine.find({
+      ruleId: rule._id,
+      'source.key': { $in: [...new Set(candidates.map((c) => c.source.key))] },
+    })
+      .select('userId source.key')
+      .lean();
+    const seen = new Set(existing.map((f) => `${f.userId}:${f.source.key}`));
+
+    const fines = [];
+    for (const candidate of candidates) {
+      const key = `${candidate.userId}:${candidate.source.key}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const amount = this.computeAmount(rule, candidate.baseAmount);
+      if (amount <= 0) continue;
+
+      try {
+        const fine = await Fine.create({
+          groupId: rule.groupId,
+          tenantId: rule.tenantId,
+          userId: candidate.userId,
+          ruleId: rule._id,
+          trigger: rule.trigger,
+          reason: rule.name,
+          source: candidate.source,
+          baseAmount: candidate.baseAmount,
+          daysLate: candidate.daysLate,
+          amount,
+          currency: rule.currency,
+        });
+        await this.postReceivable(fine);
+        await this.notifyIssued(fine, group);
+        fines.push(fine);
+      } catch (err) {
+        // Another run issued the same fine first
+        if (err.code === 11000) continue;
+        throw err;
+      }
+    }
+    return fines;
+  }
+
+  /**
+   * Charge a member a fine that no rule covers.
+   * @param {Object} payload - { userId, amount, reason, currency? }
+   */
+  async issueManualFine(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+    if (!isGroupMember(group, payload.userId)) {
+      throw new AppError('User is not a member of this group', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const fine = await Fine.create({
+      groupId,
+      tenantId: user.tenantId,
+      userId: payload.userId,
+      trigger: 'manual',
+      reason: payload.reason,
+      source: { type: 'manual', key: `manual:${Date.now()}` },
+      amount: payload.amount,
+      currency: payload.currency,
+      issuedBy: user.id,
+    });
+    await this.postReceivable(fine);
+    await this.notifyIssued(fine, group);
+
+    await audit(user, 'fine:issued', { groupId, fineId: fine._id, userId: payload.userId, amount: fine.amount });
+    return fine;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ledger
+  // ---------------------------------------------------------------------------
+
+  async postJournal(fine, journalId, description, debit, credit, amount) {
+    return ledgerService.createJournal({
+      journalId,
+      description,
+      source: 'FEE',
+      sourceId: fine._id,
+      tenantId: fine.tenantId,
+      userId: fine.userId,
+      entries: [
+        { ...debit, debit: amount, currency: fine.currency },
+        { ...credit, credit: amount, currency: fine.currency },
+      ],
+      metadata: { groupId: fine.groupId, fineId: fine._id, trigger: fine.trigger },
+    });
+  }
+
+  /**
+   * Recognise the fine as a receivable from the member. A failed posting is
+   * logged and left without a journal id so it can be re-posted.
+   */
+  async postReceivable(fine) {
+    try {
+      const journal = await this.postJournal(
+        fine,
+        `FINE-${fine._id}`,
+        `Fine: ${fine.reason || fine.trigger}`,
+        LEDGER_ACCOUNTS.receivable,
+        LEDGER_ACCOUNTS.income,
+        fine.amount
+      );
+      fine.ledger.receivableJournalId = journal.journalId;
+      await fine.save();
+    } catch (err) {
+      logger.error('[FineService] Receivable posting failed', { fineId: fine._id.toString(), error: err.message });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Payments, waivers and appeals
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Object} params - { amount, reference? }
+   */
+  async recordPayment(groupId, fineId, user, { amount, reference }) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+    const fine = await this.loadFine(groupId, fineId);
+
+    if (!['outstanding', 'under_appeal'].includes(fine.status)) {
+      throw new AppError(`Fine is ${fine.status}`, 409, errorCodes.FINE_INVALID_STATE);
+    }
+    if (reference && fine.payments.some((p) => p.reference === reference)) {
+      return fine;
+    }
+    if (amount > fine.balance()) {
+      throw new AppError('Payment exceeds the fine balance', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const journal = await this.postJournal(
+      fine,
+      `FINEPAY-${fine._id}-${fine.payments.length + 1}`,
+      'Fine payment',
+      LEDGER_ACCOUNTS.cash,
+      LEDGER_ACCOUNTS.receivable,
+      amount
+    );
+    await this.applyPayment(fine, { amount, reference, recordedBy: user.id, journalId: journal.journalId });
+
+    await audit(user, 'fine:payment_recorded', { groupId, fineId, amount, reference });
+    return fine;
+  }
+
+  /**
+   * Split fine payments taken at a meeting into the part that settles each
+   * fine and the excess over its balance. Several records for one fine draw
+   * down the same balance; a fine no longer owed takes nothing.
+   * @returns {Promise<{settled: number, excess: number, applied: Map<string, number>}>}
+   *   `applied` maps record reference to the amount applied to its fine
+   */
+  async allocateMeetingPayments(meeting) {
+    const records = (meeting.records || []).filter((record) => record.type === 'fine' && record.fineId);
+    const applied = new Map();
+    if (!records.length) return { settled: 0, excess: 0, applied };
+
+    const fines = await Fine.find({ _id: { $in: records.map((r) => r.fineId) }, groupId: meeting.groupId });
+    const balances = new Map(
+      fines
+        .filter((fine) => ['outstanding', 'under_appeal'].includes(fine.status))
+        .map((fine) => [fine._id.toString(), fine.balance()])
+    );
+
+    let settled = 0;
+    let excess = 0;
+    for (const record of records) {
+      const key = record.fineId.toString();
+      const amount = Math.min(record.amount, balances.get(key) || 0);
+      balances.set(key, Math.round(((balances.get(key) || 0) - amount) * 100) / 100);
+      applied.set(record.reference, amount);
+      settled += amount;
+      excess += record.amount - amount;
+    }
+    return { settled: Math.round(settled * 100) / 100, excess: Math.round(excess * 100) / 100, applied };
+  }
+
+  /**
+   * Apply fine payments taken at a closed meeting. The meeting's journal
+   * credited the receivable with exactly `applied` per record.
+   * @param {Map<string, number>} applied - from allocateMeetingPayments
+   */
+  async applyMeetingPayments(meeting, applied) {
+    const records = (meeting.records || []).filter(
+      (record) => record.type === 'fine' && record.fineId && applied.get(record.reference) > 0
+    );
+    for (const record of records) {
+      const fine = await Fine.findOne({ _id: record.fineId, groupId: meeting.groupId });
+      if (!fine || !['outstanding', 'under_appeal'].includes(fine.status)) continue;
+      if (fine.payments.some((p) => p.reference === record.reference)) continue;
+
+      await this.applyPayment(fine, {
+        amount: applied.get(record.reference),
+        reference: record.reference,
+        paidAt: record.recordedAt,
+        recordedBy: record.recordedBy,
+        journalId: meeting.posting?.journalId,
+      });
+    }
+  }
+
+  /**
+   * Add a payment whose journal is already posted and settle the fine once
+   * nothing is owed.
+   */
+  async applyPayment(fine, payment) {
+    fine.payments.push(payment);
+    fine.paidAmount = Math.round((fine.paidAmount + payment.amount) * 100) / 100;
+    if (fine.balance() === 0) fine.status = 'paid';
+    return fine.save();
+  }
+
+  /**
+   * Write off the unpaid balance of a fine.
+   */
+  async waiveFine(groupId, fineId, user, { reason }) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+    const fine = await this.loadFine(groupId, fineId);
+
+    if (!['outstanding', 'under_appeal'].includes(fine.status)) {
+      throw new AppError(`Fine is ${fine.status}`, 409, errorCodes.FINE_INVALID_STATE);
+    }
+    if (fine.userId.toString() === String(user.id)) {
+      throw new AppError('Officers cannot waive their own fines', 403, errorCodes.FORBIDDEN);
+    }
+
+    await this.applyWaiver(fine, user, reason);
+    await audit(user, 'fine:waived', { groupId, fineId, amount: fine.waiver.amount, reason });
+    return fine;
+  }
+
+  async applyWaiver(fine, user, reason) {
+    const amount = fine.balance();
+    const journal = await this.postJournal(
+      fine,
+      `FINEWVR-${fine._id}`,
+      'Fine waiver',
+      LEDGER_ACCOUNTS.income,
+      LEDGER_ACCOUNTS.receivable,
+      amount
+    );
+    fine.status = 'waived';
+    fine.waiver = { reason, amount, waivedBy: user.id, waivedAt: new Date() };
+    fine.ledger.waiverJournalId = journal.journalId;
+    await fine.save();
+  }
+
+  /**
+   * The fined member disputes the fine. Collection pauses until an officer decides.
+   */
+  async appealFine(groupId, fineId, user, { reason }) {
+    const fine = await this.loadFine(groupId, fineId);
+    if (fine.userId.toString() !== String(user.id)) {
+      throw new AppError('Only the fined member can appeal', 403, errorCodes.FORBIDDEN);
+    }
+    if (fine.status !== 'outstanding' || fine.appeal?.status) {
+      throw new AppError('This fine cannot be appealed', 409, errorCodes.FINE_INVALID_STATE);
+    }
+
+    fine.status = 'under_appeal';
+    fine.appeal = { reason, submittedAt: new Date(), status: 'pending' };
+    await fine.save();
+
+    await audit(user, 'fine:appealed', { groupId, fineId, reason });
+    return fine;
+  }
+
+  /**
+   * Decide an appeal. Overturning waives the remaining balance.
+   * @param {Object} decision - { overturn: boolean, note? }
+   */
+  async decideAppeal(groupId, fineId, user, { overturn, note }) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage fines');
+    const fine = await this.loadFine(groupId, fineId);
+
+    if (fine.status !== 'under_appeal') {
+      throw new AppError('Fine has no pending appeal', 409, errorCodes.FINE_INVALID_STATE);
+    }
+    if (fine.userId.toString() === String(user.id)) {
+      throw new AppError('Officers cannot decide their own appeal', 403, errorCodes.FORBIDDEN);
+    }
+
+    fine.appeal.status = overturn ? 'overturned' : 'upheld';
+    fine.appeal.decidedBy = user.id;
+    fine.appeal.decidedAt = new Date();
+    fine.appeal.note = note;
+
+    if (overturn) {
+      await this.applyWaiver(fine, user, note || 'Appeal overturned');
+    } else {
+      fine.status = 'outstanding';
+      await fine.save();
+    }
+
+    await audit(user, 'fine:appeal_decided', { groupId, fineId, outcome: fine.appeal.status, note });
+    return fine;
+  }
+
+  /**
+   * Officers see every fine; members see their own.
+   * @param {Object} filters - { status?, userId? }
+   */
+  async listFines(groupId, user, { status, userId } = {}) {
+    const group = await loadGroup(groupId);
+    const officer = isGroupOfficer(group, user);
+    if (!officer && !isGroupMember(group, user.id)) {
+      throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+    }
+
+    const query = { groupId };
+    if (status) query.status = status;
+    if (!officer) query.userId = user.id;
+    else if (userId) query.userId = userId;
+    return Fine.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  async notifyIssued(fine, group) {
+    try {
+      await notificationService.send({
+        recipients: [fine.userId],
+        type: notificationService.NOTIFICATION_TYPES.FINE_ISSUED,
+        title: 'Fine issued',
+        message: `You have been fined ${fine.currency} ${fine.amount} by ${group.name}: ${fine.reason || fine.trigger}.`,
+        payload: { groupId: fine.groupId, fineId: fine._id },
+        tenantId: fine.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[FineService] Fine notification failed', { fineId: fine._id.toString(), error: err.message });
+    }
+  }
+}
+
+module.exports = new FineService();
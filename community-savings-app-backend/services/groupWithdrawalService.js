@@ -0,0 +1,513 @@
+/**
+ * Group Withdrawal Service
+ * Multi-signatory (M-of-N) approval of payouts from a group's fund.
+ * Features:
+ * - Per-group policy: signatory roles (N) and amount tiers setting how many
+ *   signatures (M) a withdrawal needs
+ * - Signatories are asked to sign over SMS and push; the requester's own
+ *   request counts as their signature
+ * - Requests expire, can be cancelled, and are rejected once enough
+ *   signatories decline that the quorum can no longer be reached
+ * - Funds are released to mobile money only after the quorum is reached
+ * - Every signature is written to the audit trail
+ */
+
+const GroupWithdrawal = require('../models/GroupWithdrawal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const WithdrawalPolicy = require('../models/WithdrawalPolicy');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertOfficer, isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const mtnDisbursementService = require('./mtn/disbursements');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('GroupWithdrawalService');
+
+const DEFAULT_TIERS = [{ minAmount: 0, requiredApprovals: 2 }];
+const DEFAULT_EXPIRY_HOURS = 48;
+
+const formatAmount = (withdrawal) => `${withdrawal.currency} ${Number(withdrawal.amount).toLocaleString()}`;
+
+class GroupWithdrawalService {
+  /**
+   * Group members holding one of the signatory roles (the N of M-of-N).
+   * @returns {string[]} user ids
+   */
+  signatoriesFor(group, roles) {
+    const ids = (group.memberRoles || [])
+      .filter((r) => roles.includes(r.role) && r.invitationStatus !== 'rejected')
+      .map((r) => String(r.userId));
+    if (roles.includes('creator') && group.createdBy) ids.unshift(String(group.createdBy));
+    return [...new Set(ids)];
+  }
+
+  signatoryRole(group, userId) {
+    if (group.createdBy?.toString() === String(userId)) return 'creator';
+    return (group.memberRoles || []).find((r) => r.userId?.toString() === String(userId))?.role;
+  }
+
+  /**
+   * Signatures needed for `amount`: the tier with the highest minAmount not above it.
+   */
+  requiredApprovals(policy, amount) {
+    const tier = [...policy.tiers]
+      .sort((a, b) => b.minAmount - a.minAmount)
+      .find((t) => Number(amount) >= t.minAmount);
+    return tier ? tier.requiredApprovals : 1;
+  }
+
+  async loadWithdrawal(groupId, withdrawalId) {
+    const withdrawal = await GroupWithdrawal.findOne({ _id: withdrawalId, groupId });
+    if (!withdrawal) {
+      throw new AppError('Withdrawal request not found', 404, errorCodes.WITHDRAWAL_NOT_FOUND);
+    }
+    return withdrawal;
+  }
+
+  assertPending(withdrawal) {
+    if (withdrawal.status !== 'pending') {
+      throw new AppError(`Withdrawal request is ${withdrawal.status}`, 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Policy
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The group's policy, or the default (any two officers) if none is set.
+   */
+  async getPolicy(groupId) {
+    const policy = await WithdrawalPolicy.findOne({ groupId }).lean();
+    return policy || {
+      groupId,
+      signatoryRoles: WithdrawalPolicy.SIGNATORY_ROLES,
+      tiers: DEFAULT_TIERS,
+      expiryHours: DEFAULT_EXPIRY_HOURS,
+      isDefault: true,
+    };
+  }
+
+  async getPolicyForUser(groupId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    const policy = await this.getPolicy(groupId);
+    return { ...policy, signatories: this.signatoriesFor(group, policy.signatoryRoles) };
+  }
+
+  /**
+   * Replace the group's policy.
+   * @param {Object} payload - { signatoryRoles?, tiers: [{minAmount, requiredApprovals}], expiryHours? }
+   * @throws {AppError} 422 WITHDRAWAL_QUORUM_UNREACHABLE if a tier needs more signatures than there are signatories
+   */
+  async setPolicy(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage group withdrawals');
+
+    const signatoryRoles = payload.signatoryRoles || WithdrawalPolicy.SIGNATORY_ROLES;
+    const tiers = payload.tiers.map((t) => ({ minAmount: Number(t.minAmount), requiredApprovals: Number(t.requiredApprovals) }));
+    if (new Set(tiers.map((t) => t.minAmount)).size !== tiers.length) {
+      throw new AppError('Each tier needs a different minAmount', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const signatories = this.signatoriesFor(group, signatoryRoles);
+    const highest = Math.max(...tiers.map((t) => t.requiredApprovals));
+    if (highest > signatories.length) {
+      throw new AppError(
+        `A tier needs ${highest} signatures but the group has ${signatories.length} signatories`,
+        422,
+        errorCodes.WITHDRAWAL_QUORUM_UNREACHABLE
+      );
+    }
+
+    const policy = await WithdrawalPolicy.findOneAndUpdate(
+      { groupId },
+      {
+        $set: {
+          tenantId: user.tenantId,
+          signatoryRoles,
+          tiers: tiers.sort((a, b) => a.minAmount - b.minAmount),
+          expiryHours: payload.expiryHours || DEFAULT_EXPIRY_HOURS,
+          updatedBy: user.id,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await audit(user, 'group_withdrawal:policy_updated', { groupId, signatoryRoles, tiers: policy.tiers });
+    return policy;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Requests
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ask the group's signatories to approve a payout from the group fund.
+   * @param {Object} payload - { amount, purpose, recipientId?, phoneNumber?, currency? }
+   */
+  async requestWithdrawal(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage group withdrawals');
+
+    const amount = Number(payload.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Invalid withdrawal amount', 400, errorCodes.VALIDATION_ERROR);
+    }
+    if (payload.recipientId && !isGroupMember(group, payload.recipientId)) {
+      throw new AppError('Recipient does not belong to this group', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    let phoneNumber = payload.phoneNumber;
+    if (!phoneNumber && payload.recipientId) {
+      phoneNumber = (await User.findById(payload.recipientId).select('phone').lean())?.phone;
+    }
+    if (!phoneNumber) {
+      throw new AppError('A mobile money number for the recipient is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const policy = await this.getPolicy(groupId);
+    const requiredApprovals = this.requiredApprovals(policy, amount);
+    const signatories = this.signatoriesFor(group, policy.signatoryRoles);
+    if (signatories.length < requiredApprovals) {
+      throw new AppError(
+        `This withdrawal needs ${requiredApprovals} signatures but the group has ${signatories.length} signatories`,
+        422,
+        errorCodes.WITHDRAWAL_QUORUM_UNREACHABLE
+      );
+    }
+
+    const requesterSigns = signatories.includes(String(user.id));
+    const withdrawal = await GroupWithdrawal.create({
+      groupId,
+      tenantId: user.tenantId,
+      amount,
+      currency: payload.currency,
+      purpose: payload.purpose,
+      recipient: { userId: payload.recipientId, phoneNumber },
+      requestedBy: user.id,
+      requiredApprovals,
+      signatories,
+      signatures: requesterSigns
+        ? [{ userId: user.id, role: this.signatoryRole(group, user.id), decision: 'approve', note: 'Requested' }]
+        : [],
+      expiresAt: new Date(Date.now() + (policy.expiryHours || DEFAULT_EXPIRY_HOURS) * 60 * 60 * 1000),
+    });
+
+    await audit(user, 'group_withdrawal:requested', {
+      groupId,
+      withdrawalId: withdrawal._id,
+      amount,
+      requiredApprovals,
+      signatories: signatories.length,
+    });
+    if (requesterSigns) {
+      await audit(user, 'group_withdrawal:signed', { groupId, withdrawalId: withdrawal._id, decision: 'approve' });
+    }
+
+    if (withdrawal.signatures.length >= requiredApprovals) {
+      return this.approveAndRelease(group, withdrawal, user);
+    }
+
+    await this.notifySignatories(
+      group,
+      withdrawal,
+      signatories.filter((id) => id !== String(user.id))
+    );
+    return withdrawal;
+  }
+
+  /**
+   * Record a signatory's decision. Reaching the quorum releases the funds;
+   * enough rejections that the quorum is out of reach reject the request.
+   * @param {Object} decision - { decision: approve|reject, note? }
+   */
+  async sign(groupId, withdrawalId, { decision, note }, user) {
+    const group = await loadGroup(groupId);
+    const withdrawal = await this.loadWithdrawal(groupId, withdrawalId);
+    this.assertPending(withdrawal);
+
+    if (withdrawal.expiresAt <= new Date()) {
+      await this.expire(group, withdrawal);
+      throw new AppError('Withdrawal request has expired', 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+    if (!withdrawal.signatories.some((id) => id.toString() === String(user.id))) {
+      throw new AppError('You are not a signatory for this withdrawal', 403, errorCodes.FORBIDDEN);
+    }
+    if (withdrawal.signatures.some((s) => s.userId.toString() === String(user.id))) {
+      throw new AppError('You have already signed this withdrawal', 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+
+    const signed = await GroupWithdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'pending', 'signatures.userId': { $ne: user.id } },
+      {
+        $push: {
+          signatures: { userId: user.id, role: this.signatoryRole(group, user.id), decision, note, signedAt: new Date() },
+        },
+      },
+      { new: true }
+    );
+    if (!signed) {
+      throw new AppError('Withdrawal request is no longer pending', 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+
+    await audit(user, 'group_withdrawal:signed', {
+      groupId,
+      withdrawalId: signed._id,
+      decision,
+      note,
+      approvals: signed.signatures.filter((s) => s.decision === 'approve').length,
+      requiredApprovals: signed.requiredApprovals,
+    });
+
+    const approvals = signed.signatures.filter((s) => s.decision === 'approve').length;
+    const rejections = signed.signatures.filter((s) => s.decision === 'reject').length;
+
+    if (approvals >= signed.requiredApprovals) {
+      return this.approveAndRelease(group, signed, user);
+    }
+    if (signed.signatories.length - rejections < signed.requiredApprovals) {
+      const rejected = await GroupWithdrawal.findOneAndUpdate(
+        { _id: signed._id, status: 'pending' },
+        { $set: { status: 'rejected', closedAt: new Date() } },
+        { new: true }
+      );
+      if (rejected) {
+        await audit(user, 'group_withdrawal:rejected', { groupId, withdrawalId: signed._id, rejections });
+        await this.notifyRequester(rejected, 'Withdrawal rejected', `The ${formatAmount(rejected)} withdrawal from ${group.name} was rejected by its signatories.`);
+      }
+      return rejected || signed;
+    }
+    return signed;
+  }
+
+  /**
+   * Mark a request approved and pay it out.
+   */
+  async approveAndRelease(group, withdrawal, user) {
+    const approved = await GroupWithdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'pending' },
+      { $set: { status: 'approved', approvedAt: new Date() } },
+      { new: true }
+    );
+    if (!approved) {
+      throw new AppError('Withdrawal request is no longer pending', 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+    await audit(user, 'group_withdrawal:approved', {
+      groupId: approved.groupId,
+      withdrawalId: approved._id,
+      signatures: approved.signatures.map((s) => ({ userId: s.userId, decision: s.decision, signedAt: s.signedAt })),
+    });
+    return this.release(group, approved, user);
+  }
+
+  /**
+   * Send an approved withdrawal to the recipient's mobile money. A failed
+   * transfer leaves the request `failed` so an officer can retry it.
+   */
+  async release(group, withdrawal, user) {
+    const attempts = (withdrawal.disbursement?.attempts || 0) + 1;
+    try {
+      const result = await mtnDisbursementService.withdrawSavings({
+        tenantId: withdrawal.tenantId,
+        amount: withdrawal.amount,
+        phoneNumber: withdrawal.recipient.phoneNumber,
+        currency: withdrawal.currency,
+        externalId: `GWD-${withdrawal._id}-${attempts}`,
+        accountId: withdrawal.groupId,
+        metadata: { groupId: withdrawal.groupId, withdrawalId: withdrawal._id },
+      });
+      withdrawal.status = 'released';
+      withdrawal.closedAt = new Date();
+      withdrawal.disbursement = {
+        reference: result?.reference,
+        status: result?.status,
+        attempts,
+        releasedAt: new Date(),
+      };
+    } catch (err) {
+      logger.error('[GroupWithdrawalService] Mobile money release failed', {
+        withdrawalId: withdrawal._id,
+        error: err.message,
+      });
+      withdrawal.status = 'failed';
+      withdrawal.disbursement = { attempts, error: err.message };
+    }
+    await withdrawal.save();
+
+    await audit(user, `group_withdrawal:${withdrawal.status}`, {
+      groupId: withdrawal.groupId,
+      withdrawalId: withdrawal._id,
+      amount: withdrawal.amount,
+      reference: withdrawal.disbursement.reference,
+      error: withdrawal.disbursement.error,
+    });
+    await this.notifyRequester(
+      withdrawal,
+      withdrawal.status === 'released' ? 'Withdrawal released' : 'Withdrawal payout failed',
+      withdrawal.status === 'released'
+        ? `${formatAmount(withdrawal)} from ${group.name} has been sent to ${withdrawal.recipient.phoneNumber}.`
+        : `${formatAmount(withdrawal)} from ${group.name} was approved but the mobile money transfer failed.`
+    );
+    return withdrawal;
+  }
+
+  /**
+   * Retry the mobile money transfer of an approved withdrawal that failed.
+   */
+  async retryRelease(groupId, withdrawalId, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage group withdrawals');
+    const claimed = await GroupWithdrawal.findOneAndUpdate(
+      { _id: withdrawalId, groupId, status: 'failed' },
+      { $set: { status: 'approved' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Only a failed withdrawal can be retried', 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+    return this.release(group, claimed, user);
+  }
+
+  /**
+   * Cancel a pending request. Allowed to the requester and to signatories.
+   */
+  async cancel(groupId, withdrawalId, user) {
+    const group = await loadGroup(groupId);
+    const withdrawal = await this.loadWithdrawal(groupId, withdrawalId);
+    const allowed =
+      withdrawal.requestedBy.toString() === String(user.id) ||
+      withdrawal.signatories.some((id) => id.toString() === String(user.id));
+    if (!allowed) {
+      throw new AppError('Only the requester or a signatory can cancel this withdrawal', 403, errorCodes.FORBIDDEN);
+    }
+
+    const cancelled = await GroupWithdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'pending' },
+      { $set: { status: 'cancelled', cancelledBy: user.id, closedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw new AppError(`Withdrawal request is ${withdrawal.status}`, 409, errorCodes.WITHDRAWAL_INVALID_STATE);
+    }
+
+    await audit(user, 'group_withdrawal:cancelled', { groupId, withdrawalId });
+    if (cancelled.requestedBy.toString() !== String(user.id)) {
+      await this.notifyRequester(cancelled, 'Withdrawal cancelled', `The ${formatAmount(cancelled)} withdrawal from ${group.name} was cancelled.`);
+    }
+    return cancelled;
+  }
+
+  async expire(group, withdrawal) {
+    const expired = await GroupWithdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'pending' },
+      { $set: { status: 'expired', closedAt: new Date() } },
+      { new: true }
+    );
+    if (!expired) return null;
+    await audit({ id: null, role: 'system' }, 'group_withdrawal:expired', { groupId: expired.groupId, withdrawalId: expired._id });
+    await this.notifyRequester(
+      expired,
+      'Withdrawal expired',
+      `The ${formatAmount(expired)} withdrawal from ${group?.name || 'your group'} expired before enough signatories approved it.`
+    );
+    return expired;
+  }
+
+  /**
+   * Expire every pending request past its deadline (run by the scheduler).
+   * @returns {Promise<{expired: number}>}
+   */
+  async expirePending(asOf = new Date()) {
+    const due = await GroupWithdrawal.find({ status: 'pending', expiresAt: { $lte: asOf } }).select('_id groupId');
+    let expired = 0;
+    for (const withdrawal of due) {
+      const group = await Group.findById(withdrawal.groupId).select('name').lean();
+      if (await this.expire(group, withdrawal)) expired += 1;
+    }
+    return { expired };
+  }
+
+  async listWithdrawals(groupId, user, { status } = {}) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    const query = { groupId };
+    if (status) query.status = status;
+    return GroupWithdrawal.find(query).sort({ createdAt: -1 }).limit(100).lean();
+  }
+
+  async getWithdrawal(groupId, withdrawalId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    return this.loadWithdrawal(groupId, withdrawalId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notifications
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ask signatories to sign, by SMS and push.
+   */
+  async notifySignatories(group, withdrawal, userIds) {
+    const message =
+      `${formatAmount(withdrawal)} withdrawal from ${group.name} for "${withdrawal.purpose}" needs your approval ` +
+      `(${withdrawal.requiredApprovals} signatures required). It expires ${withdrawal.expiresAt.toISOString().slice(0, 16).replace('T', ' ')} UTC.`;
+
+    for (const userId of userIds) {
+      try {
+        const account = await User.findById(userId).select('phone').lean();
+        if (account?.phone) {
+          await notificationService.sendSMS({ phoneNumber: account.phone, message });
+        }
+        await notificationService.send({
+          recipients: [userId],
+          type: notificationService.NOTIFICATION_TYPES.WITHDRAWAL_APPROVAL_REQUESTED,
+          title: 'Withdrawal needs your signature',
+          message,
+          payload: { groupId: withdrawal.groupId, withdrawalId: withdrawal._id, amount: withdrawal.amount },
+          priority: 'HIGH',
+          channel: 'PUSH',
+          tenantId: withdrawal.tenantId,
+        });
+        await notificationService.sendPush({
+          userId,
+          title: 'Withdrawal needs your signature',
+          body: message,
+          data: { groupId: String(withdrawal.groupId), withdrawalId: String(withdrawal._id) },
+        });
+      } catch (err) {
+        logger.warn('[GroupWithdrawalService] Signatory notification failed', {
+          withdrawalId: withdrawal._id,
+          userId,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  async notifyRequester(withdrawal, title, message) {
+    try {
+      await notificationService.send({
+        recipients: [withdrawal.requestedBy],
+        type: notificationService.NOTIFICATION_TYPES.WITHDRAWAL_DECIDED,
+        title,
+        message,
+        payload: { groupId: withdrawal.groupId, withdrawalId: withdrawal._id, status: withdrawal.status },
+        tenantId: withdrawal.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[GroupWithdrawalService] Requester notification failed', { withdrawalId: withdrawal._id, error: err.message });
+    }
+  }
+}
+
+module.exports = new GroupWithdrawalService();
@@ -0,0 +1,501 @@
+/**
+ * Guarantor Service
+ * Guarantor consent and liens on guarantor savings.
+ * Features:
+ * - Consent requests by SMS (reply "YES <code>" / "NO <code>"), USSD and push
+ * - Accepting blocks the guaranteed amount in the guarantor's savings
+ *   (`Savings.blockedBalance`) until the loan is repaid
+ * - On default the outstanding balance is recovered from the liens in
+ *   proportion to each guarantee
+ * - Guarantors can list their outstanding exposures
+ */
+
+const crypto = require('crypto');
+const GuaranteeLien = require('../models/GuaranteeLien');
+const Loan = require('../models/Loan');
+const Member = require('../models/Member');
+const Savings = require('../models/Savings');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('GuarantorService');
+
+const CONSENT_TTL_HOURS = Number(process.env.GUARANTOR_CONSENT_TTL_HOURS || 72);
+const CHANNELS = ['SMS', 'USSD', 'PUSH', 'APP'];
+// Loan statuses in which a guarantee still exposes the guarantor
+const OPEN_LOAN_STATUSES = [
+  'pending_application',
+  'pending',
+  'approved',
+  'disbursed',
+  'active',
+  'overdue',
+];
+const SMS_REPLY = /^\s*(YES|Y|ACCEPT|NO|N|DECLINE)\s+(\d{6})\s*$/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const samePhone = (a, b) => !!a && !!b && String(a).replace(/\D/g, '').slice(-9) === String(b).replace(/\D/g, '').slice(-9);
+
+class GuarantorService {
+  /**
+   * Split `total` across `weights` in proportion; the last share takes the rounding remainder.
+   */
+  allocateProportionally(weights, total) {
+    const sum = weights.reduce((acc, w) => acc + w, 0);
+    if (sum <= 0) return weights.map(() => 0);
+    let remaining = round2(total);
+    return weights.map((weight, i) => {
+      if (i === weights.length - 1) return Math.min(weight, remaining);
+      const share = Math.min(weight, round2((total * weight) / sum));
+      remaining = round2(remaining - share);
+      return share;
+    });
+  }
+
+  async loadLoan(loanId, { withCodes = false } = {}) {
+    const query = Loan.findById(loanId);
+    const loan = await (withCodes ? query.select('+guarantors.consentCode') : query);
+    if (!loan) {
+      throw new AppError('Loan not found', 404, errorCodes.NOT_FOUND);
+    }
+    return loan;
+  }
+
+  findEntry(loan, guarantorId) {
+    const entry = loan.guarantors.id(guarantorId);
+    if (!entry) {
+      throw new AppError('Guarantor not found on this loan', 404, errorCodes.GUARANTOR_NOT_FOUND);
+    }
+    return entry;
+  }
+
+  canManageLoan(loan, user) {
+    return ['admin', 'super_admin', 'loan_officer'].includes(user.role) || String(loan.user) === String(user.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Consent
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Ask every pending guarantor on the loan for consent. Guarantors whose
+   * request is still open are skipped unless it has expired.
+   * @returns {Promise<{requested: number}>}
+   */
+  async requestConsent(loanId, user) {
+    const loan = await this.loadLoan(loanId, { withCodes: true });
+    if (!this.canManageLoan(loan, user)) {
+      throw new AppError('Only the borrower or a loan officer can request guarantor consent', 403, errorCodes.FORBIDDEN);
+    }
+    if (!OPEN_LOAN_STATUSES.includes(loan.status)) {
+      throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.GUARANTOR_INVALID_STATE);
+    }
+
+    const now = new Date();
+    const entries = loan.guarantors.filter(
+      (g) => g.status === 'PENDING' && (!g.consentExpiresAt || g.consentExpiresAt <= now)
+    );
+    if (entries.length === 0) return { requested: 0 };
+
+    const borrower = await User.findById(loan.user).select('name').lean();
+    entries.forEach((entry) => {
+      entry.consentCode = String(crypto.randomInt(100000, 1000000));
+      entry.consentRequestedAt = now;
+      entry.consentExpiresAt = new Date(now.getTime() + CONSENT_TTL_HOURS * 60 * 60 * 1000);
+    });
+    await loan.save();
+
+    for (const entry of entries) {
+      await this.sendConsentRequest(loan, entry, borrower?.name || 'A member');
+    }
+
+    await audit(user, 'guarantor:consent_requested', { loanId: loan._id, guarantors: entries.length });
+    return { requested: entries.length };
+  }
+
+  async sendConsentRequest(loan, entry, borrowerName) {
+    const member = await Member.findById(entry.member).select('firstName phoneNumber').lean();
+    if (!member) return;
+
+    const amount = Number(entry.guaranteeAmount || 0).toLocaleString();
+    const ussd = process.env.USSD_SERVICE_CODE ? ` or dial ${process.env.USSD_SERVICE_CODE}` : '';
+    try {
+      await notificationService.sendSMS({
+        phoneNumber: member.phoneNumber,
+        message:
+          `${borrowerName} asked you to guarantee a loan of UGX ${Number(loan.amount).toLocaleString()} ` +
+          `for UGX ${amount}. Reply YES ${entry.consentCode} to accept or NO ${entry.consentCode} to decline${ussd}.`,
+      });
+    } catch (err) {
+      logger.warn('[GuarantorService] Consent SMS failed', { loanId: loan._id, error: err.message });
+    }
+
+    const account = await User.findOne({ phone: member.phoneNumber }).select('_id').lean();
+    if (!account) return;
+    try {
+      await notificationService.send({
+        recipients: [account._id],
+        type: notificationService.NOTIFICATION_TYPES.GUARANTOR_CONSENT_REQUESTED,
+        title: 'Guarantor request',
+        message: `${borrowerName} asked you to guarantee UGX ${amount}.`,
+        payload: { loanId: loan._id, guarantorId: entry._id, amount: entry.guaranteeAmount },
+        priority: 'HIGH',
+        channel: 'PUSH',
+        tenantId: loan.tenantId,
+      });
+      await notificationService.sendPush({
+        userId: account._id,
+        title: 'Guarantor request',
+        body: `${borrowerName} asked you to guarantee UGX ${amount}.`,
+        data: { loanId: String(loan._id), guarantorId: String(entry._id) },
+      });
+    } catch (err) {
+      logger.warn('[GuarantorService] Consent push failed', { loanId: loan._id, error: err.message });
+    }
+  }
+
+  /**
+   * Record a guarantor's answer. The guarantor is identified by phone number:
+   * the sender for SMS/USSD, the signed-in user's profile phone for the app.
+   * @param {Object} response - { decision: accept|decline, channel, phoneNumber?, code?, reason?, user? }
+   */
+  async respond(loanId, guarantorId, { decision, channel, phoneNumber, code, reason, user }) {
+    if (!CHANNELS.includes(channel)) {
+      throw new AppError(`Unsupported channel ${channel}`, 400, errorCodes.VALIDATION_ERROR);
+    }
+    const loan = await this.loadLoan(loanId, { withCodes: true });
+    const entry = this.findEntry(loan, guarantorId);
+
+    if (entry.status !== 'PENDING') {
+      throw new AppError(`Guarantee already ${entry.status.toLowerCase()}`, 409, errorCodes.GUARANTOR_INVALID_STATE);
+    }
+    if (!entry.consentRequestedAt || entry.consentExpiresAt <= new Date()) {
+      throw new AppError('Consent request has expired', 409, errorCodes.GUARANTOR_CONSENT_INVALID);
+    }
+    if (channel === 'SMS' && code !== entry.consentCode) {
+      throw new AppError('Invalid consent code', 403, errorCodes.GUARANTOR_CONSENT_INVALID);
+    }
+
+    const sender = phoneNumber || (user && (await User.findById(user.id).select('phone').lean())?.phone);
+    const member = await Member.findById(entry.member).select('firstName lastName phoneNumber').lean();
+    if (!member || !samePhone(member.phoneNumber, sender)) {
+      throw new AppError('Only the guarantor can answer this request', 403, errorCodes.FORBIDDEN);
+    }
+
+    if (decision === 'accept') {
+      await this.placeLien(loan, entry);
+      entry.status = 'APPROVED';
+      entry.approvedAt = new Date();
+      if (user?.id) entry.guarantorApprovedBy = user.id;
+    } else {
+      entry.status = 'REJECTED';
+      entry.declineReason = reason;
+    }
+    entry.consentChannel = channel;
+    entry.respondedAt = new Date();
+    entry.consentCode = undefined;
+    await loan.save();
+
+    await this.notifyBorrower(loan, member, entry);
+    await audit(user || { id: null, phoneNumber: sender }, `guarantor:${decision === 'accept' ? 'accepted' : 'declined'}`, {
+      loanId: loan._id,
+      guarantorId: entry._id,
+      member: entry.member,
+      channel,
+      amount: entry.guaranteeAmount,
+    });
+    return entry;
+  }
+
+  /**
+   * Handle an SMS reply such as "YES 482913".
+   * @returns {Promise<string>} text to send back to the guarantor
+   */
+  async handleSmsReply(phoneNumber, text) {
+    const match = SMS_REPLY.exec(text || '');
+    if (!match) return 'To answer a guarantor request reply YES <code> or NO <code>.';
+
+    const [, answer, code] = match;
+    const loan = await Loan.findOne({
+      guarantors: { $elemMatch: { consentCode: code, status: 'PENDING' } },
+    }).select('+guarantors.consentCode');
+    const entry = loan?.guarantors.find((g) => g.consentCode === code);
+    if (!entry) return 'This guarantor request was not found or has already been answered.';
+
+    const decision = /^(YES|Y|ACCEPT)$/i.test(answer) ? 'accept' : 'decline';
+    try {
+      await this.respond(loan._id, entry._id, { decision, channel: 'SMS', phoneNumber, code });
+      return decision === 'accept'
+        ? `You have guaranteed UGX ${Number(entry.guaranteeAmount).toLocaleString()}. It is held in your savings until the loan is repaid.`
+        : 'You have declined the guarantor request.';
+    } catch (err) {
+      if (err.statusCode && err.statusCode < 500) return err.message;
+      throw err;
+    }
+  }
+
+  /**
+   * Open consent requests addressed to a phone number (used by the USSD menu).
+   */
+  async pendingForPhone(tenantId, phoneNumber) {
+    const members = await Member.find({ tenantId, phoneNumber }).select('_id').lean();
+    if (members.length === 0) return [];
+    const memberIds = members.map((m) => String(m._id));
+
+    const loans = await Loan.find({
+      tenantId,
+      status: { $in: OPEN_LOAN_STATUSES },
+      guarantors: { $elemMatch: { member: { $in: memberIds }, status: 'PENDING', consentExpiresAt: { $gt: new Date() } } },
+    })
+      .select('amount user guarantors')
+      .lean();
+
+    return loans.flatMap((loan) =>
+      loan.guarantors
+        .filter((g) => g.status === 'PENDING' && memberIds.includes(String(g.member)) && g.consentExpiresAt > new Date())
+        .map((g) => ({ loanId: loan._id, guarantorId: g._id, loanAmount: loan.amount, guaranteeAmount: g.guaranteeAmount }))
+    );
+  }
+
+  async notifyBorrower(loan, member, entry) {
+    try {
+      await notificationService.send({
+        recipients: [loan.user],
+        type: notificationService.NOTIFICATION_TYPES.GUARANTOR_RESPONDED,
+        title: entry.status === 'APPROVED' ? 'Guarantor accepted' : 'Guarantor declined',
+        message: `${member.firstName} ${member.lastName} ${entry.status === 'APPROVED' ? 'accepted' : 'declined'} your guarantor request.`,
+        payload: { loanId: loan._id, guarantorId: entry._id, status: entry.status },
+        tenantId: loan.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[GuarantorService] Borrower notification failed', { loanId: loan._id, error: err.message });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Liens
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Block the guaranteed amount in the guarantor's savings account with the
+   * most available balance.
+   * @throws {AppError} 422 GUARANTOR_INSUFFICIENT_SAVINGS
+   */
+  async placeLien(loan, entry) {
+    const amount = round2(Number(entry.guaranteeAmount || 0));
+    if (amount <= 0) {
+      throw new AppError('Guarantee amount must be positive', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const savings = await Savings.findOneAndUpdate(
+      { tenantId: loan.tenantId, member: entry.member, status: 'ACTIVE', availableBalance: { $gte: amount } },
+      { $inc: { availableBalance: -amount, blockedBalance: amount } },
+      { new: true, sort: { availableBalance: -1 } }
+    );
+    if (!savings) {
+      throw new AppError(
+        `Available savings are below the guarantee of ${amount}`,
+        422,
+        errorCodes.GUARANTOR_INSUFFICIENT_SAVINGS
+      );
+    }
+
+    try {
+      return await GuaranteeLien.create({
+        tenantId: loan.tenantId,
+        loan: loan._id,
+        guarantorEntry: entry._id,
+        guarantor: entry.member,
+        savings: savings._id,
+        amount,
+      });
+    } catch (err) {
+      await Savings.updateOne({ _id: savings._id }, { $inc: { availableBalance: amount, blockedBalance: -amount } });
+      throw err;
+    }
+  }
+
+  /**
+   * Unblock every active lien on a repaid (or cancelled) loan.
+   * @returns {Promise<{released: number}>}
+   */
+  async releaseLiens(loanId) {
+    const liens = await GuaranteeLien.find({ loan: loanId, status: 'active' });
+    for (const lien of liens) {
+      await Savings.updateOne(
+        { _id: lien.savings },
+        { $inc: { availableBalance: lien.amount, blockedBalance: -lien.amount } }
+      );
+      lien.status = 'released';
+      lien.releasedAt = new Date();
+      await lien.save();
+    }
+    if (liens.length > 0) {
+      logger.info('[GuarantorService] Liens released', { loanId, count: liens.length });
+    }
+    return { released: liens.length };
+  }
+
+  /**
+   * Recover a defaulted loan's outstanding balance from its guarantors, in
+   * proportion to their guarantees and never more than each guarantee. What is
+   * not needed is released back to the guarantor.
+   * @returns {Promise<{outstanding: number, recovered: number, liens: Array}>}
+   */
+  async recoverFromGuarantors(loanId, actor) {
+    const loan = await this.loadLoan(loanId);
+    const liens = await GuaranteeLien.find({ loan: loan._id, status: 'active' });
+    const outstanding = round2(
+      Number(loan.outstandingBalance ?? Math.max(0, (loan.amountDue || loan.amount) - (loan.amountRepaid || 0)))
+    );
+    if (liens.length === 0 || outstanding <= 0) {
+      return { outstanding, recovered: 0, liens: [] };
+    }
+
+    const shares = this.allocateProportionally(
+      liens.map((lien) => lien.amount),
+      Math.min(outstanding, liens.reduce((sum, lien) => sum + lien.amount, 0))
+    );
+
+    const results = [];
+    for (let i = 0; i < liens.length; i += 1) {
+      const lien = liens[i];
+      const share = shares[i];
+      await Savings.updateOne(
+        { _id: lien.savings },
+        {
+          $inc: {
+            balance: -share,
+            blockedBalance: -lien.amount,
+            availableBalance: round2(lien.amount - share),
+            totalWithdrawals: share,
+          },
+        }
+      );
+      lien.journalId = await this.postRecovery(loan, lien, share);
+      lien.status = 'recovered';
+      lien.recoveredAmount = share;
+      lien.recoveredAt = new Date();
+      await lien.save();
+      results.push({ guarantor: lien.guarantor, guaranteed: lien.amount, recovered: share });
+      await this.notifyRecovery(loan, lien);
+    }
+
+    const recovered = round2(shares.reduce((sum, share) => sum + share, 0));
+    await audit(actor, 'guarantor:recovered', { loanId: loan._id, outstanding, recovered });
+    return { outstanding, recovered, liens: results };
+  }
+
+  /**
+   * Move the recovered amount from the guarantor's savings to the loan
+   * portfolio. A failed posting is logged and the lien is left without a journal id.
+   */
+  async postRecovery(loan, lien, amount) {
+    if (amount <= 0) return undefined;
+    const journalId = `GRC-${lien._id}`;
+    try {
+      await ledgerService.createJournal({
+        journalId,
+        description: 'Loan recovered from guarantor savings',
+        source: 'LOAN',
+        sourceId: loan._id,
+        tenantId: loan.tenantId,
+        entries: [
+          { accountCode: '2010', accountName: 'Member Savings Liability', debit: amount, currency: lien.currency },
+          { accountCode: '1200', accountName: 'Loan Portfolio', credit: amount, currency: lien.currency },
+        ],
+        metadata: { lienId: lien._id, guarantor: lien.guarantor },
+      });
+      return journalId;
+    } catch (err) {
+      logger.error('[GuarantorService] Recovery journal failed', { lienId: lien._id, error: err.message });
+      return undefined;
+    }
+  }
+
+  async notifyRecovery(loan, lien) {
+    try {
+      const member = await Member.findById(lien.guarantor).select('phoneNumber').lean();
+      if (!member) return;
+      await notificationService.sendSMS({
+        phoneNumber: member.phoneNumber,
+        message:
+          `A loan you guaranteed has defaulted. UGX ${lien.recoveredAmount.toLocaleString()} of your ` +
+          `UGX ${lien.amount.toLocaleString()} guarantee has been recovered from your savings.`,
+        essential: true,
+      });
+    } catch (err) {
+      logger.warn('[GuarantorService] Recovery SMS failed', { lienId: lien._id, error: err.message });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Exposures
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Guarantees a member has given on open loans: active liens plus requests
+   * still awaiting an answer.
+   */
+  async getExposures(tenantId, memberIds) {
+    const ids = memberIds.map(String);
+    const [liens, pending] = await Promise.all([
+      GuaranteeLien.find({ tenantId, guarantor: { $in: ids }, status: 'active' })
+        .populate('loan', 'amount outstandingBalance status user repaymentDate')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Loan.find({
+        tenantId,
+        status: { $in: OPEN_LOAN_STATUSES },
+        guarantors: { $elemMatch: { member: { $in: ids }, status: 'PENDING' } },
+      })
+        .select('amount status guarantors')
+        .lean(),
+    ]);
+
+    const pendingRequests = pending.flatMap((loan) =>
+      loan.guarantors
+        .filter((g) => g.status === 'PENDING' && ids.includes(String(g.member)))
+        .map((g) => ({
+          loanId: loan._id,
+          guarantorId: g._id,
+          loanAmount: loan.amount,
+          guaranteeAmount: g.guaranteeAmount,
+          consentExpiresAt: g.consentExpiresAt,
+        }))
+    );
+
+    return {
+      totalBlocked: round2(liens.reduce((sum, lien) => sum + lien.amount, 0)),
+      liens: liens.map((lien) => ({
+        lienId: lien._id,
+        loanId: lien.loan?._id,
+        loanStatus: lien.loan?.status,
+        loanOutstanding: lien.loan?.outstandingBalance,
+        amount: lien.amount,
+        currency: lien.currency,
+        since: lien.createdAt,
+      })),
+      pendingRequests,
+    };
+  }
+
+  /**
+   * Exposures of the signed-in user, matched to member records by phone number.
+   */
+  async getMyExposures(user) {
+    const account = await User.findById(user.id).select('phone').lean();
+    if (!account?.phone) {
+      throw new AppError('Add a phone number to your profile to see guarantees', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const members = await Member.find({ tenantId: user.tenantId, phoneNumber: account.phone }).select('_id').lean();
+    return this.getExposures(user.tenantId, members.map((m) => m._id));
+  }
+}
+
+module.exports = new GuarantorService();
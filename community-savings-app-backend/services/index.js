@@ -0,0 +1,41 @@
+// services/index.js
+'use strict';
+
+/**
+ * Service wiring loaded by bootstrap/services.js. Initializing it hands the
+ * application payment module to the services that raise payments on a
+ * member's behalf and subscribes them to its events, so payments left
+ * pending by the provider are settled when the callback arrives.
+ */
+
+const logger = require('../utils/logger');
+
+let unsubscribers = null;
+
+// Services raising payments, keyed by the id of their event subscription
+const paymentConsumers = () => ({
+  'standing-orders': require('./standingOrderService'),
+  'payment-requests': require('./paymentRequestService'),
+});
+
+function initialize() {
+  if (unsubscribers) return;
+  // Loaded here so requiring this file does not build the payment module
+  const { getPaymentModule } = require('../modules/payment');
+  const paymentEventPublisher = require('../modules/payment/events/paymentEventPublisher');
+  const { paymentProcessingService } = getPaymentModule({ logger });
+
+  unsubscribers = Object.entries(paymentConsumers()).map(([id, service]) => {
+    service.configure({ paymentProcessingService });
+    return paymentEventPublisher.subscribe((event) => service.handlePaymentEvent(event), { id });
+  });
+}
+
+function shutdown() {
+  if (unsubscribers) {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    unsubscribers = null;
+  }
+}
+
+module.exports = { initialize, shutdown };
@@ -0,0 +1,557 @@
+/**
+ * Internal Transfer Service
+ * Member-to-member and member-to-group transfers inside a tenant.
+ * Features:
+ * - Moves money between savings accounts, or from a savings account into a
+ *   group to pay a contribution, a fine or a loan installment (including on
+ *   behalf of another member)
+ * - Posted as a balanced TRANSFER journal through the PostingEngine; no
+ *   mobile money provider is involved
+ * - KYC single/daily/monthly limits and a fraud check run before any money moves
+ * - Idempotency key per initiator: a retried request returns the original transfer
+ * - A failed posting or settlement refunds the payer and leaves the transfer FAILED
+ * - Receipts go to the payer and to the receiving member or group officers
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Contribution = require('../models/Contribution');
+const Fine = require('../models/Fine');
+const InternalTransfer = require('../models/InternalTransfer');
+const Loan = require('../models/Loan');
+const Savings = require('../models/Savings');
+const User = require('../models/User');
+const { createPostingEngine, POSTING_OPERATION_TYPES } = require('../modules/finance/ledger/postingEngine');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { isGroupMember, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const fineService = require('./fineService');
+const fraudDetectionService = require('./fraudDetectionService');
+const kycService = require('./kycService');
+const ledgerService = require('./ledgerService');
+const LoanWorkflowService = require('./loanWorkflowService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('InternalTransferService');
+
+const LEDGER_ACCOUNTS = {
+  savings: { accountCode: '2010', accountName: 'Member Savings Liability' },
+  fines: { accountCode: '1300', accountName: 'Fines Receivable' },
+  loans: { accountCode: '1200', accountName: 'Loan Portfolio' },
+};
+// Credit side of the journal for each kind of destination
+const CREDIT_ACCOUNT = {
+  TRANSFER: LEDGER_ACCOUNTS.savings,
+  CONTRIBUTION: LEDGER_ACCOUNTS.savings,
+  FINE: LEDGER_ACCOUNTS.fines,
+  LOAN_REPAYMENT: LEDGER_ACCOUNTS.loans,
+};
+const REPAYABLE_LOAN_STATUSES = ['disbursed', 'active', 'overdue'];
+// User.kyc.level -> kycService tier
+const KYC_TIERS = { none: 'TIER_1', basic: 'TIER_1', enhanced: 'TIER_2', full: 'TIER_3' };
+// Savings accounts carry no currency of their own; they are held in shillings
+const ACCOUNT_CURRENCY = 'UGX';
+// More than this many transfers in a minute counts as a quick repeat for fraud scoring
+const QUICK_REPEAT_LIMIT = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class InternalTransferService {
+  constructor({ postingEngine } = {}) {
+    this.loanWorkflow = new LoanWorkflowService();
+    this.postingEngine = postingEngine || createPostingEngine({
+      ledgerEngine: { post: (payload) => this.writeJournal(payload) },
+      logger,
+      options: { strictMode: false },
+    });
+  }
+
+  newReference() {
+    return `IT-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Fails closed: an account or caller with no tenant matches nobody.
+   */
+  sameTenant(a, b) {
+    return Boolean(a && b) && String(a) === String(b);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Accounts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The payer's account: their own and active.
+   */
+  async loadSource(savingsId, user) {
+    const savings = await Savings.findById(savingsId).select('_id tenantId createdBy status savingsName').lean();
+    if (!savings || savings.createdBy?.toString() !== String(user.id)) {
+      throw new AppError('Savings account not found', 404, errorCodes.NOT_FOUND);
+    }
+    if (savings.status !== 'ACTIVE') {
+      throw new AppError(`Savings account is ${savings.status}`, 409, errorCodes.TRANSACTION_FAILED);
+    }
+    return savings;
+  }
+
+  /**
+   * The recipient's account: the one given, or their oldest active account.
+   */
+  async loadRecipientAccount(toUserId, toSavingsId, user) {
+    const query = toSavingsId ? { _id: toSavingsId } : { createdBy: toUserId, status: 'ACTIVE' };
+    const savings = await Savings.findOne(query).sort({ createdAt: 1 }).select('_id tenantId createdBy status').lean();
+    if (!savings || (toUserId && savings.createdBy?.toString() !== String(toUserId))) {
+      throw new AppError('Recipient savings account not found', 404, errorCodes.NOT_FOUND);
+    }
+    if (savings.status !== 'ACTIVE') {
+      throw new AppError('Recipient savings account is not active', 409, errorCodes.TRANSACTION_FAILED);
+    }
+    if (!this.sameTenant(savings.tenantId, user.tenantId)) {
+      throw new AppError('Transfers are only allowed within your organisation', 403, errorCodes.FORBIDDEN);
+    }
+    return savings;
+  }
+
+  /**
+   * Work out what a transfer credits and check that it can take the amount.
+   * @returns {Promise<Object>} the `to` block of the transfer, plus who to send the receipt to
+   */
+  async resolveDestination(payload, user, amount) {
+    if (payload.type === 'MEMBER_TO_MEMBER') {
+      const savings = await this.loadRecipientAccount(payload.toUserId, payload.toSavingsId, user);
+      if (savings._id.toString() === String(payload.fromSavingsId)) {
+        throw new AppError('Cannot transfer to the same account', 400, errorCodes.VALIDATION_ERROR);
+      }
+      return { to: { userId: savings.createdBy, savingsId: savings._id }, recipients: [savings.createdBy] };
+    }
+
+    const group = await loadGroup(payload.groupId);
+    if (!isGroupMember(group, user.id)) {
+      throw new AppError('You can only pay into groups you belong to', 403, errorCodes.FORBIDDEN);
+    }
+    const officers = [
+      group.createdBy,
+      ...(group.memberRoles || []).filter((r) => r.role === 'treasurer').map((r) => r.userId),
+    ].filter(Boolean);
+    const to = { groupId: group._id };
+
+    if (payload.purpose === 'FINE') {
+      const fine = await Fine.findOne({ _id: payload.fineId, groupId: group._id });
+      if (!fine) {
+        throw new AppError('Fine not found', 404, errorCodes.FINE_NOT_FOUND);
+      }
+      if (!['outstanding', 'under_appeal'].includes(fine.status)) {
+        throw new AppError(`Fine is ${fine.status}`, 409, errorCodes.FINE_INVALID_STATE);
+      }
+      if (amount > fine.balance()) {
+        throw new AppError('Payment exceeds the fine balance', 400, errorCodes.VALIDATION_ERROR);
+      }
+      return { to: { ...to, fineId: fine._id, userId: fine.userId }, recipients: [fine.userId, ...officers] };
+    }
+
+    if (payload.purpose === 'LOAN_REPAYMENT') {
+      const loan = await Loan.findOne({ _id: payload.loanId, group: group._id }).select('_id user status outstandingBalance').lean();
+      if (!loan) {
+        throw new AppError('Loan not found', 404, errorCodes.NOT_FOUND);
+      }
+      if (!REPAYABLE_LOAN_STATUSES.includes(loan.status)) {
+        throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.TRANSACTION_FAILED);
+      }
+      if (amount > (loan.outstandingBalance || 0)) {
+        throw new AppError('Payment exceeds the loan balance', 400, errorCodes.VALIDATION_ERROR);
+      }
+      return { to: { ...to, loanId: loan._id, userId: loan.user }, recipients: [loan.user, ...officers] };
+    }
+
+    // Contribution, credited to the member it is paid for
+    const beneficiary = payload.onBehalfOf || user.id;
+    if (!isGroupMember(group, beneficiary)) {
+      throw new AppError('The member you are paying for is not in this group', 400, errorCodes.VALIDATION_ERROR);
+    }
+    return { to: { ...to, userId: beneficiary }, recipients: [beneficiary, ...officers] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Controls
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Completed outgoing transfers since each window start, for KYC limits.
+   */
+  async outgoingTotals(userId, now) {
+    const dayStart = new Date(now);
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const [row] = await InternalTransfer.aggregate([
+      { $match: { 'from.userId': new mongoose.Types.ObjectId(String(userId)), status: 'COMPLETED', createdAt: { $gte: monthStart } } },
+      {
+        $group: {
+          _id: null,
+          monthly: { $sum: '$amount' },
+          daily: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$amount', 0] } },
+        },
+      },
+    ]);
+    return { daily: row?.daily || 0, monthly: row?.monthly || 0 };
+  }
+
+  /**
+   * Apply the payer's KYC tier limits. KYC errors surface as 403s.
+   */
+  async checkKyc(user, amount, now) {
+    const profile = await User.findById(user.id).select('kyc').lean();
+    const totals = await this.outgoingTotals(user.id, now);
+    try {
+      kycService.validateTransaction(
+        {
+          id: user.id,
+          kycLevel: KYC_TIERS[profile?.kyc?.level] || KYC_TIERS.none,
+          verificationStatus: profile?.kyc?.status === 'approved' ? 'VERIFIED' : 'PENDING',
+        },
+        amount,
+        { dailyTransactionTotal: totals.daily, monthlyTransactionTotal: totals.monthly }
+      );
+    } catch (err) {
+      throw new AppError(err.message, err.status || 403, errorCodes.INTERNAL_TRANSFER_KYC_LIMIT);
+    }
+  }
+
+  /**
+   * Score the transfer. BLOCK stops it; REVIEW lets it through flagged.
+   */
+  async checkFraud(user, transfer, context) {
+    const recent = await InternalTransfer.countDocuments({
+      'from.userId': user.id,
+      createdAt: { $gte: new Date(Date.now() - 60 * 1000) },
+    });
+    try {
+      return await fraudDetectionService.checkFraud({
+        id: transfer.reference,
+        tenantId: user.tenantId,
+        userId: user.id,
+        amount: transfer.amount,
+        quickRepeat: recent >= QUICK_REPEAT_LIMIT,
+        deviceId: context.deviceId,
+        ipAddress: context.ip,
+      });
+    } catch (err) {
+      logger.error('[InternalTransferService] Fraud check unavailable', { reference: transfer.reference, error: err.message });
+      throw new AppError('Transfers are temporarily unavailable', 503, errorCodes.INTERNAL_ERROR);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transfer
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Move money from the caller's savings account.
+   * @param {Object} payload - { type: MEMBER_TO_MEMBER|MEMBER_TO_GROUP, fromSavingsId, amount,
+   *   narration?, toUserId?, toSavingsId?, groupId?, purpose?: CONTRIBUTION|FINE|LOAN_REPAYMENT,
+   *   fineId?, loanId?, onBehalfOf?, currency? }
+   * @param {Object} context - { idempotencyKey, ip?, deviceId?, channel? }
+   */
+  async transfer(payload, user, context) {
+    const existing = await InternalTransfer.findOne({ 'from.userId': user.id, idempotencyKey: context.idempotencyKey });
+    if (existing) return this.replay(existing, payload);
+
+    const amount = round2(Number(payload.amount));
+    if (payload.currency && payload.currency !== ACCOUNT_CURRENCY) {
+      throw new AppError(`Savings accounts are held in ${ACCOUNT_CURRENCY}`, 400, errorCodes.VALIDATION_ERROR);
+    }
+    const now = new Date();
+    const source = await this.loadSource(payload.fromSavingsId, user);
+    const { to, recipients } = await this.resolveDestination(payload, user, amount);
+    await this.checkKyc(user, amount, now);
+
+    let transfer;
+    try {
+      transfer = await InternalTransfer.create({
+        tenantId: user.tenantId,
+        reference: this.newReference(),
+        idempotencyKey: context.idempotencyKey,
+        type: payload.type,
+        purpose: payload.type === 'MEMBER_TO_GROUP' ? payload.purpose : 'TRANSFER',
+        from: { userId: user.id, savingsId: source._id },
+        to,
+        amount,
+        currency: ACCOUNT_CURRENCY,
+        narration: payload.narration,
+        channel: context.channel,
+      });
+    } catch (err) {
+      // Same key sent twice at once: the other request won
+      if (err.code !== 11000) throw err;
+      const winner = await InternalTransfer.findOne({ 'from.userId': user.id, idempotencyKey: context.idempotencyKey });
+      return this.replay(winner, payload);
+    }
+
+    let fraud;
+    try {
+      fraud = await this.checkFraud(user, transfer, context);
+    } catch (err) {
+      // Nothing has moved; close the transfer so it is not left PENDING
+      await this.close(transfer, 'FAILED', 'Fraud check unavailable');
+      throw err;
+    }
+    transfer.fraud = { riskId: fraud.riskId, score: fraud.score, decision: fraud.decision, reasons: fraud.reasons };
+    if (fraud.decision === fraudDetectionService.FRAUD_DECISIONS.BLOCK) {
+      await this.close(transfer, 'BLOCKED', 'Blocked by fraud checks');
+      await audit(user, 'internal_transfer:blocked', { reference: transfer.reference, amount, riskId: fraud.riskId });
+      throw new AppError('Transfer blocked by fraud checks', 403, errorCodes.FRAUD_DETECTED);
+    }
+
+    if (!(await this.debit(source._id, amount, transfer.reference, now))) {
+      await this.close(transfer, 'FAILED', 'Insufficient funds');
+      throw new AppError('Insufficient funds in savings account', 422, errorCodes.INSUFFICIENT_BALANCE);
+    }
+
+    try {
+      transfer.journalId = await this.post(transfer, user);
+      await this.settle(transfer, user, now);
+    } catch (err) {
+      await this.unwind(transfer, now, err);
+      throw new AppError('Transfer could not be completed; your account was not charged', 500, errorCodes.TRANSACTION_FAILED);
+    }
+
+    transfer.status = 'COMPLETED';
+    transfer.completedAt = now;
+    await transfer.save();
+
+    await audit(user, 'internal_transfer:completed', {
+      reference: transfer.reference,
+      type: transfer.type,
+      purpose: transfer.purpose,
+      amount,
+      to: transfer.to,
+      journalId: transfer.journalId,
+      fraudDecision: fraud.decision,
+    });
+    await this.sendReceipts(transfer, user, recipients);
+    return transfer;
+  }
+
+  /**
+   * Answer a repeated idempotency key with the original transfer, as long
+   * as the request is the same one.
+   */
+  replay(existing, payload) {
+    if (existing.amount !== round2(Number(payload.amount)) || existing.type !== payload.type) {
+      throw new AppError('Idempotency key was already used for a different transfer', 409, errorCodes.DUPLICATE_TRANSACTION);
+    }
+    if (existing.status === 'BLOCKED') {
+      throw new AppError('Transfer blocked by fraud checks', 403, errorCodes.FRAUD_DETECTED);
+    }
+    if (existing.status === 'FAILED') {
+      throw new AppError(
+        `Transfer failed (${existing.failureReason}); send it again with a new Idempotency-Key`,
+        409,
+        errorCodes.TRANSACTION_FAILED
+      );
+    }
+    return existing;
+  }
+
+  async close(transfer, status, reason) {
+    transfer.status = status;
+    transfer.failureReason = reason;
+    await transfer.save();
+  }
+
+  /**
+   * Take the amount from the payer's available balance, only if it is there.
+   * @returns {Promise<boolean>}
+   */
+  async debit(savingsId, amount, reference, at) {
+    const result = await Savings.updateOne(
+      { _id: savingsId, status: 'ACTIVE', availableBalance: { $gte: amount } },
+      {
+        $inc: { balance: -amount, availableBalance: -amount, totalWithdrawals: amount, netSavings: -amount, totalTransactions: 1 },
+        $push: { recentActivities: { $each: [{ type: 'WITHDRAWAL', amount, transactionDate: at, reference }], $slice: -20 } },
+      }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async credit(savingsId, amount, reference, at) {
+    await Savings.updateOne(
+      { _id: savingsId },
+      {
+        $inc: { balance: amount, availableBalance: amount, totalDeposits: amount, netSavings: amount, totalTransactions: 1 },
+        $set: { lastDepositAt: at },
+        $push: { recentActivities: { $each: [{ type: 'DEPOSIT', amount, transactionDate: at, reference }], $slice: -20 } },
+      }
+    );
+  }
+
+  /**
+   * Hand the money to its destination once the journal is posted.
+   */
+  async settle(transfer, user, at) {
+    const { to, amount, reference } = transfer;
+    if (transfer.type === 'MEMBER_TO_MEMBER') {
+      await this.credit(to.savingsId, amount, reference, at);
+    } else if (transfer.purpose === 'FINE') {
+      const fine = await Fine.findById(to.fineId);
+      await fineService.applyPayment(fine, { amount, reference, paidAt: at, recordedBy: user.id, journalId: transfer.journalId });
+    } else if (transfer.purpose === 'LOAN_REPAYMENT') {
+      await this.loanWorkflow.recordRepayment(to.loanId, amount, reference);
+    } else {
+      const contribution = await Contribution.create({
+        groupId: to.groupId,
+        userId: to.userId,
+        tenantId: transfer.tenantId,
+        amount,
+        currency: transfer.currency,
+        date: at,
+        reference,
+        metadata: { source: 'INTERNAL_TRANSFER', paidBy: user.id, savingsId: transfer.from.savingsId },
+      });
+      transfer.to.contributionId = contribution._id;
+    }
+  }
+
+  /**
+   * Undo a transfer that failed after the payer was debited.
+   */
+  async unwind(transfer, at, cause) {
+    logger.error('[InternalTransferService] Transfer failed after debit; refunding', {
+      reference: transfer.reference,
+      error: cause.message,
+    });
+    try {
+      await this.credit(transfer.from.savingsId, transfer.amount, `${transfer.reference}-REFUND`, at);
+      if (transfer.journalId) {
+        await ledgerService.reverseJournal(transfer.journalId, `Internal transfer ${transfer.reference} failed`);
+      }
+    } catch (err) {
+      logger.error('[InternalTransferService] Refund failed; manual correction needed', {
+        reference: transfer.reference,
+        error: err.message,
+      });
+    }
+    await this.close(transfer, 'FAILED', cause.message);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ledger
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Post the balanced journal: member savings out, destination in.
+   * @returns {Promise<string>} Journal id
+   */
+  async post(transfer, user) {
+    const result = await this.postingEngine.post({
+      tenantId: transfer.tenantId ? String(transfer.tenantId) : 'default',
+      operationType: POSTING_OPERATION_TYPES.TRANSFER,
+      idempotencyKey: transfer.reference,
+      currency: transfer.currency,
+      accountingDate: new Date().toISOString().slice(0, 10),
+      description: `Internal transfer (${transfer.purpose.toLowerCase().replace(/_/g, ' ')})`,
+      reference: transfer.reference,
+      source: 'INTERNAL_TRANSFER',
+      sourceId: String(transfer._id),
+      actorId: String(user.id),
+      metadata: { type: transfer.type, from: transfer.from, to: transfer.to },
+      entries: [
+        { accountId: LEDGER_ACCOUNTS.savings.accountCode, entryType: 'DEBIT', amount: transfer.amount },
+        { accountId: CREDIT_ACCOUNT[transfer.purpose].accountCode, entryType: 'CREDIT', amount: transfer.amount },
+      ],
+    });
+    return result.journalId;
+  }
+
+  /**
+   * LedgerEngine adapter: writes a PostingEngine journal to the general ledger.
+   */
+  async writeJournal(payload) {
+    const names = Object.fromEntries(Object.values(LEDGER_ACCOUNTS).map((a) => [a.accountCode, a.accountName]));
+    const journalId = payload.idempotencyKey;
+    await ledgerService.createJournal({
+      journalId,
+      description: payload.description,
+      source: payload.source,
+      sourceId: payload.sourceId,
+      tenantId: payload.tenantId,
+      userId: payload.actorId,
+      metadata: { ...payload.metadata, operationType: payload.operationType, postingReference: payload.postingReference },
+      entries: payload.entries.map((entry) => ({
+        accountCode: entry.accountId,
+        accountName: names[entry.accountId],
+        [entry.entryType === 'DEBIT' ? 'debit' : 'credit']: Number(entry.amount),
+        currency: payload.currency,
+      })),
+    });
+    return { journalId, status: 'POSTED' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Transfers the caller sent or received, newest first.
+   */
+  async list(user, { direction, status } = {}) {
+    const sent = { 'from.userId': user.id };
+    const received = { 'to.userId': user.id };
+    const filter = direction === 'sent' ? sent : direction === 'received' ? received : { $or: [sent, received] };
+    if (status) filter.status = status;
+    return InternalTransfer.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+  }
+
+  async get(reference, user) {
+    const transfer = await InternalTransfer.findOne({ reference }).lean();
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404, errorCodes.INTERNAL_TRANSFER_NOT_FOUND);
+    }
+    const parties = [transfer.from.userId, transfer.to.userId].filter(Boolean).map(String);
+    if (!parties.includes(String(user.id)) && user.role !== 'admin') {
+      throw new AppError('Transfer not found', 404, errorCodes.INTERNAL_TRANSFER_NOT_FOUND);
+    }
+    return transfer;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notifications
+  // ---------------------------------------------------------------------------
+
+  async sendReceipts(transfer, user, recipients) {
+    const amount = `${transfer.currency} ${transfer.amount.toLocaleString('en-US')}`;
+    const what = {
+      TRANSFER: 'a savings transfer',
+      CONTRIBUTION: 'a group contribution',
+      FINE: 'a fine payment',
+      LOAN_REPAYMENT: 'a loan repayment',
+    }[transfer.purpose];
+    const payload = { reference: transfer.reference, transferId: transfer._id, journalId: transfer.journalId };
+    const receipts = [
+      { to: [user.id], title: 'Transfer sent', message: `You sent ${amount} as ${what}. Ref ${transfer.reference}.` },
+      {
+        to: [...new Set(recipients.map(String))].filter((id) => id !== String(user.id)),
+        title: 'Payment received',
+        message: `${amount} was received as ${what} from ${user.name || 'a member'}. Ref ${transfer.reference}.`,
+      },
+    ];
+    for (const receipt of receipts.filter((r) => r.to.length)) {
+      try {
+        await notificationService.send({
+          recipients: receipt.to,
+          type: notificationService.NOTIFICATION_TYPES.INTERNAL_TRANSFER,
+          title: receipt.title,
+          message: receipt.message,
+          payload,
+          tenantId: transfer.tenantId,
+        });
+      } catch (err) {
+        logger.warn('[InternalTransferService] Receipt failed', { reference: transfer.reference, error: err.message });
+      }
+    }
+  }
+}
+
+module.exports = new InternalTransferService();
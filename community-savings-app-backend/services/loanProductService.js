@@ -0,0 +1,306 @@
+/**
+ * Loan Product Service
+ * Tenant loan product catalogue.
+ * Features:
+ * - Products set rate, amount and term ranges, fees, a savings multiple,
+ *   guarantor and collateral requirements and a default repayment schedule
+ * - Changes are saved as new versions; loans keep the version they were issued under
+ * - Applications naming a product are checked against it and inherit its terms
+ */
+
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+
+const audit = createAuditTrail('LoanProductService');
+
+// Fields an update may change; anything else is carried over from the current version
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'currency',
+  'amount',
+  'termMonths',
+  'interestRate',
+  'fees',
+  'savingsMultiple',
+  'requiredGuarantors',
+  'collateral',
+  'schedule',
+];
+
+// Nested fields a change may set partially, e.g. { amount: { max } }
+const RANGE_FIELDS = ['amount', 'termMonths', 'interestRate', 'collateral', 'schedule'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class LoanProductService {
+  assertTenant(tenantId) {
+    if (!tenantId) {
+      throw new AppError('Tenant ID is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+  }
+
+  /**
+   * Reject ranges that are inverted or a default rate outside its range.
+   */
+  validateTerms(product) {
+    ['amount', 'termMonths', 'interestRate'].forEach((field) => {
+      const range = product[field];
+      if (range && range.min > range.max) {
+        throw new AppError(`${field}.min cannot exceed ${field}.max`, 400, errorCodes.VALIDATION_ERROR);
+      }
+    });
+    const rate = product.interestRate;
+    if (rate && (rate.default < rate.min || rate.default > rate.max)) {
+      throw new AppError('interestRate.default must lie within the rate range', 400, errorCodes.VALIDATION_ERROR);
+    }
+  }
+
+  /**
+   * Fees charged on a principal.
+   * @returns {{ items: Array<{name: string, amount: number}>, total: number }}
+   */
+  feesFor(product, principal) {
+    const items = (product.fees || []).map((fee) => ({
+      name: fee.name,
+      amount: round2(fee.calculation === 'percentage' ? (principal * fee.amount) / 100 : fee.amount),
+    }));
+    return { items, total: round2(items.reduce((sum, item) => sum + item.amount, 0)) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Catalogue
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Current versions of the tenant's products.
+   * @param {Object} filters - { includeRetired? }
+   */
+  async listProducts(tenantId, { includeRetired = false } = {}) {
+    this.assertTenant(tenantId);
+    const status = includeRetired ? { $in: ['active', 'retired'] } : 'active';
+    return LoanProduct.find({ tenantId, status }).sort({ code: 1 }).lean();
+  }
+
+  /**
+   * The current version of a product, by code.
+   */
+  async getProduct(tenantId, code) {
+    this.assertTenant(tenantId);
+    const product = await LoanProduct.findOne({
+      tenantId,
+      code: String(code).toUpperCase(),
+      status: { $in: ['active', 'retired'] },
+    }).lean();
+    if (!product) {
+      throw new AppError('Loan product not found', 404, errorCodes.LOAN_PRODUCT_NOT_FOUND);
+    }
+    return product;
+  }
+
+  /**
+   * Every version of a product, newest first.
+   */
+  async getHistory(tenantId, code) {
+    this.assertTenant(tenantId);
+    const versions = await LoanProduct.find({ tenantId, code: String(code).toUpperCase() })
+      .sort({ version: -1 })
+      .lean();
+    if (versions.length === 0) {
+      throw new AppError('Loan product not found', 404, errorCodes.LOAN_PRODUCT_NOT_FOUND);
+    }
+    return versions;
+  }
+
+  /**
+   * @param {Object} payload - { code, name, amount, termMonths, interestRate, fees?, savingsMultiple?,
+   *                            requiredGuarantors?, collateral?, schedule?, currency?, description? }
+   */
+  async createProduct(tenantId, payload, user) {
+    this.assertTenant(tenantId);
+    const code = String(payload.code).toUpperCase();
+
+    const existing = await LoanProduct.findOne({ tenantId, code }).select('_id').lean();
+    if (existing) {
+      throw new AppError(`Loan product ${code} already exists`, 409, errorCodes.LOAN_PRODUCT_INVALID_STATE);
+    }
+
+    const data = { tenantId, code, version: 1, status: 'active', createdBy: user.id };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (payload[field] !== undefined) data[field] = payload[field];
+    });
+    this.validateTerms(data);
+
+    const product = await LoanProduct.create(data);
+    await audit(user, 'loan_product:created', { tenantId, code, version: 1 });
+    return product;
+  }
+
+  /**
+   * Save changed terms as a new version and supersede the current one.
+   * Loans issued under earlier versions are not touched.
+   */
+  async updateProduct(tenantId, code, changes, user) {
+    const current = await this.getProduct(tenantId, code);
+    if (current.status !== 'active') {
+      throw new AppError('Retired products cannot be changed', 409, errorCodes.LOAN_PRODUCT_INVALID_STATE);
+    }
+
+    const data = {
+      tenantId,
+      code: current.code,
+      version: current.version + 1,
+      status: 'active',
+      createdBy: user.id,
+    };
+    EDITABLE_FIELDS.forEach((field) => {
+      const next = changes[field];
+      if (next === undefined) {
+        data[field] = current[field];
+      } else if (RANGE_FIELDS.includes(field)) {
+        data[field] = { ...current[field], ...next };
+      } else {
+        data[field] = next;
+      }
+    });
+    this.validateTerms(data);
+
+    await LoanProduct.updateOne(
+      { _id: current._id, status: 'active' },
+      { $set: { status: 'superseded', supersededAt: new Date() } }
+    );
+    const product = await LoanProduct.create(data);
+
+    await audit(user, 'loan_product:updated', {
+      tenantId,
+      code: current.code,
+      version: product.version,
+      fields: Object.keys(changes).filter((field) => EDITABLE_FIELDS.includes(field)),
+    });
+    return product;
+  }
+
+  /**
+   * Stop offering a product. Existing loans keep their terms.
+   */
+  async retireProduct(tenantId, code, user) {
+    const current = await this.getProduct(tenantId, code);
+    if (current.status === 'retired') {
+      throw new AppError('Loan product is already retired', 409, errorCodes.LOAN_PRODUCT_INVALID_STATE);
+    }
+    const product = await LoanProduct.findOneAndUpdate(
+      { _id: current._id },
+      { $set: { status: 'retired', retiredAt: new Date() } },
+      { new: true }
+    ).lean();
+    await audit(user, 'loan_product:retired', { tenantId, code: current.code, version: current.version });
+    return product;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Applications
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The active product an application refers to, by id or code.
+   */
+  async resolveForApplication(tenantId, { productId, productCode }) {
+    this.assertTenant(tenantId);
+    const query = productId && mongoose.isValidObjectId(productId)
+      ? { tenantId, _id: productId }
+      : { tenantId, code: String(productCode || '').toUpperCase(), status: { $in: ['active', 'retired'] } };
+
+    const product = await LoanProduct.findOne(query).lean();
+    if (!product) {
+      throw new AppError('Loan product not found', 404, errorCodes.LOAN_PRODUCT_NOT_FOUND);
+    }
+    if (product.status !== 'active') {
+      throw new AppError(
+        product.status === 'retired'
+          ? `Loan product ${product.code} is no longer offered`
+          : `Loan product ${product.code} v${product.version} has been replaced; apply under the current version`,
+        409,
+        errorCodes.LOAN_PRODUCT_INVALID_STATE
+      );
+    }
+    return product;
+  }
+
+  /**
+   * Check an application against its product and work out the loan terms.
+   * @param {Object} application - { productId | productCode, amount, duration | termMonths, interestRate?,
+   *                                groupId?, memberId?, guarantors?, collateral?, amortizationMethod?,
+   *                                repaymentFrequency?, gracePeriods? }
+   * @returns {Promise<Object>} loan fields to store with the application
+   * @throws {AppError} 422 LOAN_PRODUCT_TERMS_VIOLATED | LOAN_PRODUCT_NOT_ELIGIBLE
+   */
+  async applyToApplication(tenantId, application, user) {
+    const product = await this.resolveForApplication(tenantId, application);
+    const amount = Number(application.amount);
+    const termMonths = Number(application.termMonths ?? application.duration ?? product.termMonths.min);
+    const interestRate =
+      application.interestRate != null ? Number(application.interestRate) : product.interestRate.default;
+
+    const outside = (value, range) => value < range.min || value > range.max;
+    if (outside(amount, product.amount)) {
+      throw this.termsError(product, 'amount', product.amount);
+    }
+    if (outside(termMonths, product.termMonths)) {
+      throw this.termsError(product, 'termMonths', product.termMonths);
+    }
+    if (outside(interestRate, product.interestRate)) {
+      throw this.termsError(product, 'interestRate', product.interestRate);
+    }
+
+    const groupId = application.groupId || application.group;
+    if (product.savingsMultiple != null && !groupId) {
+      throw new AppError(
+        `${product.code} lends against group savings; groupId is required`,
+        400,
+        errorCodes.VALIDATION_ERROR
+      );
+    }
+
+    const eligibility = await Loan.calculateEligibility(application.memberId || user.id, groupId, {
+      product,
+      amount,
+      guarantors: application.guarantors || [],
+      collateral: application.collateral || [],
+    });
+    if (!eligibility.eligible) {
+      const err = new AppError(eligibility.reasons[0].message, 422, errorCodes.LOAN_PRODUCT_NOT_ELIGIBLE);
+      err.eligibility = eligibility;
+      throw err;
+    }
+
+    const fees = this.feesFor(product, amount);
+    return {
+      loanProduct: product._id,
+      productCode: product.code,
+      productVersion: product.version,
+      interestRate,
+      repaymentPeriodMonths: termMonths,
+      amortizationMethod: application.amortizationMethod || product.schedule?.method,
+      repaymentFrequency: application.repaymentFrequency || product.schedule?.frequency,
+      gracePeriods: application.gracePeriods ?? product.schedule?.gracePeriods ?? 0,
+      fees: fees.items,
+      totalFees: fees.total,
+    };
+  }
+
+  termsError(product, field, range) {
+    const err = new AppError(
+      `${product.code} allows ${field} between ${range.min} and ${range.max}`,
+      422,
+      errorCodes.LOAN_PRODUCT_TERMS_VIOLATED
+    );
+    err.rule = { product: product.code, version: product.version, rule: field, min: range.min, max: range.max };
+    return err;
+  }
+}
+
+module.exports = new LoanProductService();
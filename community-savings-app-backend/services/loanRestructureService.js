@@ -0,0 +1,544 @@
+/**
+ * Loan Restructure Service
+ * Maker-checker restructuring of disbursed loans.
+ * Features:
+ * - Term extension, payment holiday, interest capitalization and partial write-down
+ * - Requested by the borrower or a loan officer, applied only after a different
+ *   officer approves
+ * - The remaining balance is re-spread over a new repayment schedule; the
+ *   replaced schedule is suspended and both are kept in LoanAudit
+ * - Capitalized interest and write-downs are posted through the PostingEngine
+ * - The loan is reclassified for impairment (forborne loans are held in STAGE_2)
+ */
+
+const Loan = require('../models/Loan');
+const LoanAudit = require('../models/LoanAudit');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
+const LoanRestructure = require('../models/LoanRestructure');
+const { createPostingEngine, POSTING_OPERATION_TYPES } = require('../modules/finance/ledger/postingEngine');
+const impairmentProvisionService = require('../modules/finance/services/impairmentProvisionService');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const ledgerService = require('./ledgerService');
+const LoanWorkflowService = require('./loanWorkflowService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('LoanRestructureService');
+
+const OFFICER_ROLES = ['admin', 'super_admin', 'loan_officer'];
+// Loan statuses that have a repayment schedule to restructure
+const RESTRUCTURABLE_STATUSES = ['disbursed', 'active', 'overdue', 'defaulted'];
+const OPEN_INSTALLMENT = (i) => !['paid', 'forgiven'].includes(i.status);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sum = (rows, pick) => round2(rows.reduce((acc, row) => acc + pick(row), 0));
+
+class LoanRestructureService {
+  constructor({ postingEngine } = {}) {
+    this.schedules = new LoanWorkflowService();
+    // Journals land in the general ledger used by the rest of the loan book
+    this.postingEngine = postingEngine || createPostingEngine({
+      ledgerEngine: { post: (payload) => this.writeJournal(payload) },
+      logger,
+      options: { strictMode: false },
+    });
+  }
+
+  isOfficer(user) {
+    return OFFICER_ROLES.includes(user.role);
+  }
+
+  async loadLoan(loanId) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) {
+      throw new AppError('Loan not found', 404, errorCodes.NOT_FOUND);
+    }
+    return loan;
+  }
+
+  async loadSchedule(loan) {
+    const schedule = await LoanRepaymentSchedule.findOne({ loan: loan._id, status: { $in: ['active', 'defaulted'] } });
+    if (!schedule || !schedule.installments.some(OPEN_INSTALLMENT)) {
+      throw new AppError('Loan has no open repayment schedule', 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+    return schedule;
+  }
+
+  async loadRequest(requestId) {
+    const request = await LoanRestructure.findById(requestId);
+    if (!request) {
+      throw new AppError('Restructure request not found', 404, errorCodes.RESTRUCTURE_NOT_FOUND);
+    }
+    return request;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schedule maths
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Outstanding position of a schedule. Payments settle an installment's
+   * interest before its principal; interest counts as accrued once due.
+   */
+  position(schedule, now = new Date()) {
+    const open = schedule.installments.filter(OPEN_INSTALLMENT);
+    const principalLeft = (i) => i.principal - Math.max(0, (i.paidAmount || 0) - i.interest);
+    const interestLeft = (i) => Math.max(0, i.interest - (i.paidAmount || 0));
+    return {
+      principal: sum(open, principalLeft),
+      accruedInterest: sum(open.filter((i) => new Date(i.dueDate) <= now), interestLeft),
+      installments: open.length,
+      installmentAmount: open.length ? open[open.length - 1].totalAmount : 0,
+      maturityDate: open.length ? open[open.length - 1].dueDate : null,
+    };
+  }
+
+  /**
+   * Installments replacing the open part of `schedule`. Accrued interest is
+   * capitalized for `interest_capitalization` and otherwise carried into the
+   * first new installment, so no arrears are forgiven implicitly.
+   * @returns {{principal: number, carriedInterest: number, installments: Array<Object>}}
+   */
+  rebuild(schedule, { type, terms = {} }, now = new Date()) {
+    const before = this.position(schedule, now);
+    const frequency = schedule.frequency || 'monthly';
+    let principal = before.principal;
+    let carriedInterest = before.accruedInterest;
+    let count = before.installments;
+    let startDate = now;
+
+    if (type === 'term_extension') {
+      count += this.schedules.installmentCount(terms.extensionMonths, frequency);
+    } else if (type === 'payment_holiday') {
+      startDate = this.schedules.addPeriods(now, frequency, terms.holidayPeriods);
+    } else if (type === 'interest_capitalization') {
+      if (carriedInterest <= 0) {
+        throw new AppError('Loan has no accrued interest to capitalize', 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+      }
+      principal = round2(principal + carriedInterest);
+      carriedInterest = 0;
+    } else if (type === 'partial_write_down') {
+      if (!(terms.writeDownAmount > 0) || terms.writeDownAmount >= principal) {
+        throw new AppError(
+          `Write-down must be more than 0 and less than the outstanding principal (${principal})`,
+          422,
+          errorCodes.VALIDATION_ERROR
+        );
+      }
+      principal = round2(principal - terms.writeDownAmount);
+    }
+
+    const installments = this.schedules.buildInstallments({
+      principal,
+      annualRate: schedule.interestRate ?? 0,
+      installments: count,
+      frequency,
+      method: schedule.method || 'declining_balance',
+      startDate,
+    });
+    if (carriedInterest > 0) {
+      installments[0].interest = round2(installments[0].interest + carriedInterest);
+      installments[0].totalAmount = round2(installments[0].totalAmount + carriedInterest);
+    }
+    return { principal, carriedInterest, installments };
+  }
+
+  /**
+   * Old and new position plus the proposed installments, without saving anything.
+   */
+  async preview(request) {
+    const loan = await this.loadLoan(request.loan);
+    const schedule = await this.loadSchedule(loan);
+    const { installments } = this.rebuild(schedule, request);
+    return {
+      before: this.position(schedule),
+      // Nothing on the new schedule is due yet
+      after: this.position({ installments }, new Date(0)),
+      installments,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Maker
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Raise a restructure request (maker step).
+   * @param {Object} payload - { type, reason, extensionMonths?, holidayPeriods?, writeDownAmount? }
+   * @returns {Promise<{restructure: Object, preview: Object}>}
+   */
+  async requestRestructure(loanId, payload, user) {
+    const loan = await this.loadLoan(loanId);
+    if (!this.isOfficer(user) && String(loan.user) !== String(user.id)) {
+      throw new AppError('Only the borrower or a loan officer can request a restructure', 403, errorCodes.FORBIDDEN);
+    }
+    if (!RESTRUCTURABLE_STATUSES.includes(loan.status)) {
+      throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+    if (payload.type === 'partial_write_down' && !this.isOfficer(user)) {
+      throw new AppError('Only a loan officer can propose a write-down', 403, errorCodes.FORBIDDEN);
+    }
+
+    const draft = {
+      tenantId: loan.tenantId,
+      loan: loan._id,
+      type: payload.type,
+      terms: {
+        extensionMonths: payload.type === 'term_extension' ? payload.extensionMonths : undefined,
+        holidayPeriods: payload.type === 'payment_holiday' ? payload.holidayPeriods : undefined,
+        writeDownAmount: payload.type === 'partial_write_down' ? payload.writeDownAmount : undefined,
+      },
+      reason: payload.reason,
+      requestedBy: user.id,
+    };
+    // Surfaces impossible terms before anyone is asked to approve them
+    const preview = await this.preview(draft);
+
+    let restructure;
+    try {
+      restructure = await LoanRestructure.create({ ...draft, before: preview.before });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new AppError('Loan already has a pending restructure request', 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+      }
+      throw err;
+    }
+
+    await audit(user, 'loan:restructure_requested', { loanId: loan._id, restructureId: restructure._id, type: draft.type });
+    return { restructure, preview };
+  }
+
+  /**
+   * Withdraw a pending request; only its maker can.
+   */
+  async cancel(requestId, user) {
+    const request = await this.loadRequest(requestId);
+    if (String(request.requestedBy) !== String(user.id)) {
+      throw new AppError('Only the requester can cancel a restructure request', 403, errorCodes.FORBIDDEN);
+    }
+    const cancelled = await LoanRestructure.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'cancelled', decidedBy: user.id, decidedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw new AppError(`Restructure request is ${request.status}`, 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+    await audit(user, 'loan:restructure_cancelled', { restructureId: request._id });
+    return cancelled;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Checker
+  // ---------------------------------------------------------------------------
+
+  assertChecker(request, user) {
+    if (!this.isOfficer(user)) {
+      throw new AppError('Only a loan officer can decide restructure requests', 403, errorCodes.FORBIDDEN);
+    }
+    if (String(request.requestedBy) === String(user.id)) {
+      throw new AppError(
+        'A restructure must be approved by someone other than its requester',
+        403,
+        errorCodes.RESTRUCTURE_SELF_APPROVAL
+      );
+    }
+  }
+
+  /**
+   * Approve and apply a pending request (checker step). The request is
+   * claimed first so it can only be applied once, and returned to pending
+   * if applying fails.
+   */
+  async approve(requestId, user, note) {
+    const request = await this.loadRequest(requestId);
+    this.assertChecker(request, user);
+
+    const claimed = await LoanRestructure.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'applied', decidedBy: user.id, decidedAt: new Date(), decisionNote: note } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError(`Restructure request is ${request.status}`, 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+
+    try {
+      return await this.apply(claimed, user);
+    } catch (err) {
+      await LoanRestructure.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'pending' }, $unset: { decidedBy: 1, decidedAt: 1, decisionNote: 1 } }
+      );
+      throw err;
+    }
+  }
+
+  async reject(requestId, user, note) {
+    const request = await this.loadRequest(requestId);
+    this.assertChecker(request, user);
+
+    const rejected = await LoanRestructure.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'rejected', decidedBy: user.id, decidedAt: new Date(), decisionNote: note } },
+      { new: true }
+    );
+    if (!rejected) {
+      throw new AppError(`Restructure request is ${request.status}`, 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+
+    const loan = await Loan.findById(request.loan).select('user tenantId').lean();
+    if (loan) {
+      await this.notifyBorrower(loan, 'Loan restructure declined', `Your ${this.label(request.type)} request was declined.${note ? ` ${note}` : ''}`);
+    }
+    await audit(user, 'loan:restructure_rejected', { restructureId: request._id });
+    return rejected;
+  }
+
+  async apply(request, user) {
+    const loan = await this.loadLoan(request.loan);
+    if (!RESTRUCTURABLE_STATUSES.includes(loan.status)) {
+      throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.RESTRUCTURE_INVALID_STATE);
+    }
+    const schedule = await this.loadSchedule(loan);
+    const now = new Date();
+    const before = this.position(schedule, now);
+    const { installments } = this.rebuild(schedule, request, now);
+
+    const journalId = await this.post(request, loan, before);
+
+    const totalPrincipal = this.schedules.sumField(installments, 'principal');
+    const totalInterest = this.schedules.sumField(installments, 'interest');
+    const totalAmount = this.schedules.sumField(installments, 'totalAmount');
+    const replacement = await LoanRepaymentSchedule.create({
+      loan: loan._id,
+      method: schedule.method,
+      frequency: schedule.frequency,
+      interestRate: schedule.interestRate,
+      gracePeriods: 0,
+      totalInstallments: installments.length,
+      installmentAmount: installments[installments.length - 1].totalAmount,
+      totalPrincipal,
+      totalInterest,
+      totalAmount,
+      outstandingAmount: totalAmount,
+      installments,
+      penaltyConfig: schedule.penaltyConfig,
+    });
+    schedule.status = 'suspended';
+    await schedule.save();
+
+    const after = this.position({ installments }, new Date(0));
+    const oldLoan = {
+      outstandingBalance: loan.outstandingBalance,
+      repaymentPeriodMonths: loan.repaymentPeriodMonths,
+      provisionStage: loan.provisionStage,
+    };
+
+    loan.outstandingBalance = totalAmount;
+    loan.amountDue = installments[0].totalAmount;
+    loan.nextPaymentDate = installments[0].dueDate;
+    loan.daysPastDue = 0;
+    loan.parBucket = 'current';
+    if (request.type === 'term_extension') {
+      loan.repaymentPeriodMonths = (loan.repaymentPeriodMonths || 0) + request.terms.extensionMonths;
+    }
+    if (request.type === 'partial_write_down') {
+      loan.writtenOffAmount = round2((loan.writtenOffAmount || 0) + request.terms.writeDownAmount);
+    }
+    loan.restructureReason = request.reason;
+    loan.restructuredAt = now;
+    loan.restructureCount = (loan.restructureCount || 0) + 1;
+    const impairment = impairmentProvisionService.reclassifyLoan(loan, { now });
+    await loan.save();
+
+    request.before = before;
+    request.after = after;
+    request.previousSchedule = schedule._id;
+    request.schedule = replacement._id;
+    request.journalId = journalId;
+    request.impairmentStage = impairment.stage;
+    request.appliedAt = now;
+    await request.save();
+
+    await LoanAudit.logAction({
+      action: 'loan_restructured',
+      loan: loan._id,
+      user: loan.user,
+      group: loan.group,
+      actor: user.id,
+      actorRole: user.role === 'group_admin' ? 'group_admin' : 'admin',
+      changes: {
+        before: { ...oldLoan, ...before, scheduleId: schedule._id, installments: schedule.toObject().installments },
+        after: {
+          outstandingBalance: loan.outstandingBalance,
+          repaymentPeriodMonths: loan.repaymentPeriodMonths,
+          provisionStage: loan.provisionStage,
+          ...after,
+          scheduleId: replacement._id,
+          installments,
+        },
+      },
+      description: `${this.label(request.type)} approved (request ${request._id}, requested by ${request.requestedBy})`,
+      amount: request.type === 'partial_write_down' ? request.terms.writeDownAmount
+        : request.type === 'interest_capitalization' ? before.accruedInterest : null,
+      metadata: { reason: request.reason },
+    });
+
+    await this.notifyBorrower(
+      loan,
+      'Loan restructured',
+      `Your ${this.label(request.type)} was approved. Next payment: ${Number(loan.amountDue).toLocaleString()} ` +
+        `due ${new Date(loan.nextPaymentDate).toDateString()}.`
+    );
+    await audit(user, 'loan:restructure_applied', {
+      loanId: loan._id,
+      restructureId: request._id,
+      journalId,
+      impairmentStage: impairment.stage,
+    });
+
+    logger.info('[LoanRestructureService] Restructure applied', {
+      loanId: loan._id,
+      restructureId: request._id,
+      type: request.type,
+      installments: installments.length,
+    });
+    return request;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ledger
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Post the accounting effect of a restructure. Term extensions and payment
+   * holidays only move dates and post nothing.
+   *
+   * - interest_capitalization: DR 1200 Loan Portfolio / CR 1210 Interest Receivable
+   * - partial_write_down:      DR 1290 Loan Loss Provision / CR 1200 Loan Portfolio
+   *
+   * @returns {Promise<string|undefined>} Journal id
+   */
+  async post(request, loan, before) {
+    let operationType;
+    let entries;
+    if (request.type === 'interest_capitalization') {
+      operationType = POSTING_OPERATION_TYPES.ADJUSTMENT;
+      entries = [
+        { accountId: '1200', entryType: 'DEBIT', amount: before.accruedInterest },
+        { accountId: '1210', entryType: 'CREDIT', amount: before.accruedInterest },
+      ];
+    } else if (request.type === 'partial_write_down') {
+      operationType = POSTING_OPERATION_TYPES.WRITE_OFF;
+      entries = [
+        { accountId: '1290', entryType: 'DEBIT', amount: request.terms.writeDownAmount },
+        { accountId: '1200', entryType: 'CREDIT', amount: request.terms.writeDownAmount },
+      ];
+    } else {
+      return undefined;
+    }
+
+    try {
+      const result = await this.postingEngine.post({
+        tenantId: loan.tenantId || 'default',
+        operationType,
+        idempotencyKey: `RST-${request._id}`,
+        currency: loan.currency || 'UGX',
+        accountingDate: new Date().toISOString().slice(0, 10),
+        description: `Loan ${this.label(request.type)}`,
+        reference: String(loan._id),
+        source: 'LOAN',
+        sourceId: String(loan._id),
+        actorId: request.decidedBy ? String(request.decidedBy) : undefined,
+        metadata: { restructureId: String(request._id), reason: request.reason },
+        entries,
+      });
+      return result.journalId;
+    } catch (err) {
+      logger.error('[LoanRestructureService] Restructure posting failed', { restructureId: request._id, error: err.message });
+      throw new AppError('Failed to post restructure to the ledger', 500, errorCodes.TRANSACTION_FAILED);
+    }
+  }
+
+  /**
+   * LedgerEngine adapter: writes a PostingEngine journal to the general ledger.
+   */
+  async writeJournal(payload) {
+    const names = { 1200: 'Loan Portfolio', 1210: 'Interest Receivable', 1290: 'Loan Loss Provision' };
+    const journalId = payload.idempotencyKey;
+    await ledgerService.createJournal({
+      journalId,
+      description: payload.description,
+      source: payload.source,
+      sourceId: payload.sourceId,
+      tenantId: payload.tenantId,
+      userId: payload.actorId,
+      metadata: { ...payload.metadata, operationType: payload.operationType, postingReference: payload.postingReference },
+      entries: payload.entries.map((entry) => ({
+        accountCode: entry.accountId,
+        accountName: names[entry.accountId],
+        [entry.entryType === 'DEBIT' ? 'debit' : 'credit']: Number(entry.amount),
+        currency: payload.currency,
+      })),
+    });
+    return { journalId, status: 'POSTED' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  async listRequests(tenantId, { status, loanId } = {}) {
+    const filter = {};
+    if (tenantId) filter.tenantId = tenantId;
+    if (status) filter.status = status;
+    if (loanId) filter.loan = loanId;
+    return LoanRestructure.find(filter).sort({ createdAt: -1 }).limit(200).lean();
+  }
+
+  /**
+   * A request with, while it is pending, the schedule it would produce.
+   */
+  async getRequest(requestId, user) {
+    const request = await this.loadRequest(requestId);
+    if (!this.isOfficer(user)) {
+      const loan = await Loan.findById(request.loan).select('user').lean();
+      if (!loan || String(loan.user) !== String(user.id)) {
+        throw new AppError('Not allowed to view this restructure request', 403, errorCodes.FORBIDDEN);
+      }
+    }
+    const data = request.toObject();
+    if (request.status === 'pending') {
+      data.preview = await this.preview(request);
+    }
+    return data;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  label(type) {
+    return type.replace(/_/g, ' ');
+  }
+
+  async notifyBorrower(loan, title, message) {
+    try {
+      await notificationService.send({
+        recipients: [loan.user],
+        type: notificationService.NOTIFICATION_TYPES.LOAN_RESTRUCTURED,
+        title,
+        message,
+        payload: { loanId: loan._id },
+        tenantId: loan.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[LoanRestructureService] Borrower notification failed', { loanId: loan._id, error: err.message });
+    }
+  }
+}
+
+module.exports = new LoanRestructureService();
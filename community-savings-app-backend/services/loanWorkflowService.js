@@ -8,6 +8,9 @@ const Loan = require('../models/Loan');
 const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
 const LoanAudit = require('../models/LoanAudit');
 const logger = require('../utils/logger');
+const guarantorService = require('./guarantorService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Loan status state machine
@@ -89,12 +92,22 @@ class LoanWorkflowService {
 
   /**
    * Create loan application
-   * @param {Object} params - { borrowerId, groupId, amount, term, description, purpose }
+   * @param {Object} params - { borrowerId, groupId, amount, term, description, purpose, amortizationMethod?, repaymentFrequency?, gracePeriods? }
    * @returns {Object} - Created loan document
    */
   async createLoanApplication(params) {
     try {
-      const { borrowerId, groupId, amount, term = this.defaultTerm, description, purpose } = params;
+      const {
+        borrowerId,
+        groupId,
+        amount,
+        term = this.defaultTerm,
+        description,
+        purpose,
+        amortizationMethod,
+        repaymentFrequency,
+        gracePeriods,
+      } = params;
 
       if (!borrowerId || !amount || amount <= 0) {
         throw new Error('Invalid loan parameters: borrowerId and positive amount required');
@@ -106,6 +119,9 @@ class LoanWorkflowService {
         amount,
         term,
         interestRate: this.defaultInterestRate,
+        amortizationMethod,
+        repaymentFrequency,
+        gracePeriods,
         description,
         purpose,
         status: 'pending_application',
@@ -180,6 +196,10 @@ class LoanWorkflowService {
 
       // Handle special status changes
       if (newStatus === 'approved') {
+        const unconfirmed = (loan.guarantors || []).filter((g) => g.status !== 'APPROVED');
+        if (unconfirmed.length > 0) {
+          throw new Error(`${unconfirmed.length} guarantor(s) have not consented to this loan`);
+        }
         loan.approvedAt = new Date();
         loan.approvedBy = actor.id;
       } else if (newStatus === 'disbursed') {
@@ -210,6 +230,8 @@ class LoanWorkflowService {
         after: loan.toObject(),
       });
 
+      await this.settleGuarantees(loan, currentStatus, newStatus, actor);
+
       logger.info('[LoanWorkflowService] Loan status changed', {
         loanId: loan._id,
         oldStatus: currentStatus,
@@ -230,56 +252,80 @@ class LoanWorkflowService {
     }
   }
 
+  /**
+   * Guarantor liens follow the loan: recovered when it defaults, released when
+   * it closes or is canceled without defaulting. Failures are logged so the
+   * status change itself stands.
+   */
+  async settleGuarantees(loan, oldStatus, newStatus, actor) {
+    try {
+      if (newStatus === 'defaulted') {
+        await guarantorService.recoverFromGuarantors(loan._id, actor);
+      } else if (['closed', 'canceled'].includes(newStatus) && oldStatus !== 'defaulted') {
+        await guarantorService.releaseLiens(loan._id);
+      }
+    } catch (error) {
+      logger.error('[LoanWorkflowService] Guarantee settlement failed', {
+        loanId: loan._id,
+        newStatus,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Generate repayment schedule with installments
+   * Schedule terms come from `options`, then the loan, then the defaults
+   * (monthly, declining balance, no grace).
    * @param {Object} loan - Loan document
+   * @param {Object} [options] - { method, frequency, gracePeriods, installments, startDate, precision }
    * @returns {Object} - Repayment schedule document
    */
-  async generateRepaymentSchedule(loan) {
+  async generateRepaymentSchedule(loan, options = {}) {
     try {
-      const installments = [];
-      const monthlyRate = loan.interestRate / 12;
-      const monthlyPayment = this.calculateMonthlyPayment(loan.amount, monthlyRate, loan.term);
-
-      let outstandingBalance = loan.amount;
-      const startDate = new Date();
-
-      for (let i = 1; i <= loan.term; i++) {
-        const dueDate = new Date(startDate);
-        dueDate.setMonth(dueDate.getMonth() + i);
-
-        const interestPayment = outstandingBalance * monthlyRate;
-        const principalPayment = monthlyPayment - interestPayment;
-        outstandingBalance -= principalPayment;
-
-        installments.push({
-          installmentNumber: i,
-          dueDate,
-          principalAmount: Math.round(principalPayment * 100) / 100,
-          interestAmount: Math.round(interestPayment * 100) / 100,
-          totalAmount: monthlyPayment,
-          status: 'pending',
-          paidAmount: 0,
-          paidDate: null,
-          daysOverdue: 0,
-        });
-      }
+      const method = options.method || loan.amortizationMethod || 'declining_balance';
+      const frequency = options.frequency || loan.repaymentFrequency || 'monthly';
+      const gracePeriods = options.gracePeriods ?? loan.gracePeriods ?? 0;
+      const termMonths = loan.term ?? loan.repaymentPeriodMonths ?? this.defaultTerm;
+      const annualRate = loan.interestRate ?? this.defaultInterestRate;
+
+      const installments = this.buildInstallments({
+        principal: loan.amount,
+        annualRate,
+        installments: options.installments || this.installmentCount(termMonths, frequency),
+        frequency,
+        method,
+        gracePeriods,
+        startDate: options.startDate || loan.disbursedAt || new Date(),
+        precision: options.precision,
+      });
+
+      const totalPrincipal = this.sumField(installments, 'principal');
+      const totalInterest = this.sumField(installments, 'interest');
+      const totalAmount = this.sumField(installments, 'totalAmount');
 
       const schedule = await LoanRepaymentSchedule.create({
         loan: loan._id,
-        totalInstallments: loan.term,
-        monthlyPayment,
-        totalAmount: installments.reduce((sum, inst) => sum + inst.totalAmount, 0),
-        totalInterest: installments.reduce((sum, inst) => sum + inst.interestAmount, 0),
+        method,
+        frequency,
+        interestRate: annualRate,
+        gracePeriods,
+        totalInstallments: installments.length,
+        installmentAmount: installments[Math.min(gracePeriods, installments.length - 1)].totalAmount,
+        totalPrincipal,
+        totalInterest,
+        totalAmount,
+        outstandingAmount: totalAmount,
         installments,
         generatedAt: new Date(),
       });
 
       logger.info('[LoanWorkflowService] Repayment schedule generated', {
         loanId: loan._id,
-        installments: loan.term,
-        monthlyPayment,
-        totalAmount: schedule.totalAmount,
+        method,
+        frequency,
+        installments: installments.length,
+        totalAmount,
       });
 
       return schedule;
@@ -287,12 +333,147 @@ class LoanWorkflowService {
       logger.error('[LoanWorkflowService] Error generating repayment schedule', {
         error: error.message,
         loanId: loan._id,
-        term: loan.term,
+        term: loan.term ?? loan.repaymentPeriodMonths,
       });
       throw error;
     }
   }
 
+  /**
+   * Number of installments in a term of whole months at the given frequency
+   * @param {number} termMonths - Loan term in months
+   * @param {string} frequency - daily | weekly | biweekly | monthly
+   * @returns {number}
+   */
+  installmentCount(termMonths, frequency) {
+    const perYear = LoanRepaymentSchedule.REPAYMENT_FREQUENCIES[frequency];
+    if (!perYear) {
+      throw new Error(`Unsupported repayment frequency: ${frequency}`);
+    }
+    return Math.max(1, Math.round((termMonths * perYear) / 12));
+  }
+
+  /**
+   * Due date of the n-th installment after startDate. Monthly dates keep the
+   * start day, clamped to the end of shorter months.
+   * @returns {Date}
+   */
+  addPeriods(startDate, frequency, n) {
+    const date = new Date(startDate);
+    if (frequency === 'daily') return new Date(date.getTime() + n * DAY_MS);
+    if (frequency === 'weekly') return new Date(date.getTime() + n * 7 * DAY_MS);
+    if (frequency === 'biweekly') return new Date(date.getTime() + n * 14 * DAY_MS);
+
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + n);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  /**
+   * Build installments for an amortization method.
+   *
+   * - flat: interest on the original principal for the whole term, spread evenly
+   * - declining_balance: equal installments (annuity), interest on the balance
+   * - equal_principal: equal principal, interest on the balance
+   * - interest_only: interest each period, principal with the last installment
+   * - bullet: one installment of principal plus simple interest at maturity
+   *
+   * Grace periods are interest-only installments before principal starts.
+   * Every amount is rounded to `precision` decimals and the last installment
+   * absorbs the rounding, so principal (and flat interest) totals are exact.
+   *
+   * @param {Object} params - { principal, annualRate, installments, frequency, method, gracePeriods?, startDate, precision? }
+   * @returns {Array<Object>} - Installments in LoanRepaymentSchedule shape
+   */
+  buildInstallments({
+    principal,
+    annualRate,
+    installments,
+    frequency,
+    method,
+    gracePeriods = 0,
+    startDate,
+    precision = 2,
+  }) {
+    const perYear = LoanRepaymentSchedule.REPAYMENT_FREQUENCIES[frequency];
+    if (!perYear) {
+      throw new Error(`Unsupported repayment frequency: ${frequency}`);
+    }
+    if (!LoanRepaymentSchedule.AMORTIZATION_METHODS.includes(method)) {
+      throw new Error(`Unsupported amortization method: ${method}`);
+    }
+    if (!(principal > 0) || !(installments >= 1)) {
+      throw new Error('Schedule requires a positive principal and at least one installment');
+    }
+
+    const factor = Math.pow(10, precision);
+    const round = (value) => Math.round(value * factor) / factor;
+    const rate = annualRate / perYear;
+    const rows = [];
+    const push = (number, principalPart, interestPart) => {
+      rows.push({
+        number,
+        dueDate: this.addPeriods(startDate, frequency, number),
+        principal: principalPart,
+        interest: interestPart,
+        totalAmount: round(principalPart + interestPart),
+        paidAmount: 0,
+        penalties: 0,
+        status: 'pending',
+      });
+    };
+
+    if (method === 'bullet') {
+      push(installments, round(principal), round(principal * rate * installments));
+      return rows;
+    }
+
+    const grace = method === 'interest_only' ? installments - 1 : gracePeriods;
+    if (grace >= installments) {
+      throw new Error('Grace periods must leave at least one installment to repay principal');
+    }
+    const amortizing = installments - grace;
+
+    // Flat: interest is fixed up front and shared equally, last installment takes the remainder
+    const flatInterest = round(principal * rate * installments);
+    const flatShare = round(flatInterest / installments);
+    const annuity = rate === 0
+      ? principal / amortizing
+      : (principal * rate) / (1 - Math.pow(1 + rate, -amortizing));
+
+    let balance = round(principal);
+    let interestCharged = 0;
+
+    for (let number = 1; number <= installments; number += 1) {
+      const isLast = number === installments;
+      let interestPart = method === 'flat'
+        ? (isLast ? round(flatInterest - interestCharged) : flatShare)
+        : round(balance * rate);
+      let principalPart = 0;
+
+      if (number > grace) {
+        if (isLast) principalPart = balance;
+        else if (method === 'declining_balance') principalPart = round(annuity - interestPart);
+        else principalPart = round(principal / amortizing);
+      }
+
+      principalPart = Math.min(principalPart, balance);
+      interestPart = Math.max(0, interestPart);
+      balance = round(balance - principalPart);
+      interestCharged = round(interestCharged + interestPart);
+      push(number, principalPart, interestPart);
+    }
+
+    return rows;
+  }
+
+  sumField(rows, field) {
+    return Math.round(rows.reduce((sum, row) => sum + row[field], 0) * 100) / 100;
+  }
+
   /**
    * Record repayment against loan
    * @param {string} loanId - Loan ID
@@ -307,7 +488,7 @@ class LoanWorkflowService {
         throw new Error('Loan not found');
       }
 
-      const schedule = await LoanRepaymentSchedule.findOne({ loan: loanId });
+      const schedule = await LoanRepaymentSchedule.findOne({ loan: loanId, status: { $ne: 'suspended' } });
       if (!schedule) {
         throw new Error('Repayment schedule not found');
       }
@@ -370,7 +551,7 @@ class LoanWorkflowService {
         action: 'repayment_recorded',
         amount,
         transactionId,
-        installmentNumber: pendingInstallment.installmentNumber,
+        installmentNumber: pendingInstallment.number,
         daysOverdue: pendingInstallment.daysOverdue,
         actor: 'system',
       });
@@ -408,7 +589,7 @@ class LoanWorkflowService {
 
       for (const loan of activeLoanss) {
         stats.checked += 1;
-        const schedule = await LoanRepaymentSchedule.findOne({ loan: loan._id });
+        const schedule = await LoanRepaymentSchedule.findOne({ loan: loan._id, status: { $ne: 'suspended' } });
         if (!schedule) continue;
 
         const now = new Date();
@@ -468,7 +649,7 @@ class LoanWorkflowService {
         throw new Error('Loan not found');
       }
 
-      const schedule = await LoanRepaymentSchedule.findOne({ loan: loanId });
+      const schedule = await LoanRepaymentSchedule.findOne({ loan: loanId, status: { $ne: 'suspended' } });
       if (!schedule) {
         throw new Error('Repayment schedule not found');
       }
@@ -487,7 +668,9 @@ class LoanWorkflowService {
         approvedAt: loan.approvedAt,
         disbursedAt: loan.disbursedAt,
         repaymentSchedule: {
-          monthlyPayment: schedule.monthlyPayment,
+          method: schedule.method,
+          frequency: schedule.frequency,
+          installmentAmount: schedule.installmentAmount,
           totalPayable: schedule.totalAmount,
           totalInterest: schedule.totalInterest,
           totalInstallments: schedule.totalInstallments,
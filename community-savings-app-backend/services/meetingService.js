@@ -0,0 +1,550 @@
+/**
+ * Meeting Service
+ * Runs group meetings online and materializes meetings captured offline.
+ * Features:
+ * - Scheduling, start and close with quorum tracking
+ * - Attendance, agenda items and minutes
+ * - Contributions, repayments and fines recorded during the meeting
+ * - Repayments applied to each loan's schedule once the meeting closes
+ * - One balanced ledger journal per closed meeting
+ * - Fine payments taken at the meeting and attendance fines on close
+ * - Reconciliation of synced MEETING_* events with MEETING_MISMATCH conflicts
+ */
+
+const Group = require('../models/Group');
+const Meeting = require('../models/Meeting');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertOfficer, isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const fineService = require('./fineService');
+const ledgerService = require('./ledgerService');
+const LoanWorkflowService = require('./loanWorkflowService');
+const {
+  EVENT_TYPES,
+  MEETING_STATUS,
+  isMeetingOpen,
+  isMeetingClosed,
+} = require('../modules/offline');
+
+const audit = createAuditTrail('MeetingService');
+
+const AMOUNT_TOLERANCE = 0.005;
+
+const LEDGER_ACCOUNTS = {
+  cash: { accountCode: '1000', accountName: 'Group Cash on Hand' },
+  contributions: { accountCode: '2010', accountName: 'Member Savings Liability' },
+  repayments: { accountCode: '1200', accountName: 'Loan Portfolio' },
+  fines: { accountCode: '4200', accountName: 'Fine Income' },
+  finesReceivable: { accountCode: '1300', accountName: 'Fines Receivable' },
+  // Fine payments above the fine's balance, held until refunded or reallocated
+  unapplied: { accountCode: '2910', accountName: 'Unapplied Member Receipts' },
+};
+
+class MeetingService {
+  constructor() {
+    this.loanWorkflow = new LoanWorkflowService();
+  }
+
+  /**
+   * Simple majority of the group's members.
+   * @param {number} memberCount
+   */
+  defaultQuorum(memberCount) {
+    return Math.floor((memberCount || 0) / 2) + 1;
+  }
+
+  /**
+   * Build the journal lines for a meeting: cash received on the debit side,
+   * one credit per record type. Fines that settle an issued fine clear the
+   * receivable instead of being booked as income again, and anything paid
+   * above an issued fine's balance is held as unapplied.
+   * @param {{contributions: number, repayments: number, fines: number}} totals
+   * @param {string} currency
+   * @param {{settled?: number, excess?: number}} [finePayments] - parts of `totals.fines`
+   *   paying issued fines, and paid above their balance
+   * @returns {Array<Object>}
+   */
+  buildJournalEntries(totals, currency, { settled = 0, excess = 0 } = {}) {
+    const amounts = {
+      contributions: totals.contributions,
+      repayments: totals.repayments,
+      fines: Math.round((totals.fines - settled - excess) * 100) / 100,
+      finesReceivable: settled,
+      unapplied: excess,
+    };
+    const credits = Object.keys(amounts)
+      .filter((key) => amounts[key] > 0)
+      .map((key) => ({ ...LEDGER_ACCOUNTS[key], credit: amounts[key], currency }));
+    const cash = credits.reduce((sum, entry) => sum + entry.credit, 0);
+
+    return [{ ...LEDGER_ACCOUNTS.cash, debit: cash, currency }, ...credits];
+  }
+
+  /**
+   * Compare totals reported by a device with the totals held on the server.
+   * @returns {Array<{field: string, expected: number, actual: number}>} mismatched fields
+   */
+  compareTotals(reported, actual) {
+    if (!reported) return [];
+    return ['contributions', 'repayments', 'fines']
+      .filter((field) => reported[field] != null)
+      .filter((field) => Math.abs(Number(reported[field]) - actual[field]) > AMOUNT_TOLERANCE)
+      .map((field) => ({ field, expected: Number(reported[field]), actual: actual[field] }));
+  }
+
+  /**
+   * Merge attendance entries into a meeting, keeping the latest status per member.
+   */
+  mergeAttendance(meeting, entries = []) {
+    for (const entry of entries) {
+      const existing = meeting.attendance.find((a) => a.userId.toString() === String(entry.userId));
+      if (existing) {
+        existing.status = entry.status || existing.status;
+        if (entry.checkedInAt) existing.checkedInAt = entry.checkedInAt;
+      } else {
+        meeting.attendance.push({
+          userId: entry.userId,
+          status: entry.status || 'present',
+          checkedInAt: entry.checkedInAt || new Date(),
+        });
+      }
+    }
+    meeting.refreshQuorum();
+  }
+
+  /**
+   * Append records whose reference has not been seen on this meeting.
+   * @returns {number} number of records added
+   */
+  mergeRecords(meeting, records = [], recordedBy) {
+    const seen = new Set(meeting.records.map((r) => r.reference));
+    let added = 0;
+    for (const record of records) {
+      if (seen.has(record.reference)) continue;
+      meeting.records.push({
+        type: record.type,
+        userId: record.userId,
+        amount: Number(record.amount),
+        loanId: record.loanId,
+        fineId: record.fineId,
+        reason: record.reason,
+        reference: record.reference,
+        recordedBy: record.recordedBy || recordedBy,
+        recordedAt: record.recordedAt || new Date(),
+      });
+      seen.add(record.reference);
+      added += 1;
+    }
+    return added;
+  }
+
+  async loadMeeting(groupId, meetingId) {
+    const meeting = await Meeting.findOne({ _id: meetingId, groupId });
+    if (!meeting) {
+      throw new AppError('Meeting not found', 404, errorCodes.MEETING_NOT_FOUND);
+    }
+    return meeting;
+  }
+
+  assertEditable(meeting) {
+    if (isMeetingClosed(meeting.status) || meeting.status === MEETING_STATUS.CLOSING) {
+      throw new AppError(`Meeting is ${meeting.status}`, 409, errorCodes.MEETING_INVALID_STATE);
+    }
+  }
+
+  assertMembers(group, userIds) {
+    const outsiders = userIds.filter((id) => !isGroupMember(group, id));
+    if (outsiders.length) {
+      throw new AppError('Meeting entries include non-members', 400, errorCodes.VALIDATION_ERROR);
+    }
+  }
+
+  /**
+   * Schedule a meeting.
+   * @param {string} groupId
+   * @param {Object} payload - { title, scheduledAt, quorumRequired?, agenda?, currency? }
+   * @param {Object} user - authenticated user
+   */
+  async scheduleMeeting(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+
+    const meeting = await Meeting.create({
+      groupId,
+      tenantId: user.tenantId,
+      title: payload.title,
+      scheduledAt: new Date(payload.scheduledAt),
+      currency: payload.currency,
+      quorum: {
+        required: payload.quorumRequired || this.defaultQuorum(group.members?.length),
+      },
+      agenda: (payload.agenda || []).map((item) => (typeof item === 'string' ? { title: item } : item)),
+      createdBy: user.id,
+    });
+
+    await audit(user, 'meeting:scheduled', { groupId, meetingId: meeting._id });
+    return meeting;
+  }
+
+  async listMeetings(groupId, user, { status } = {}) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user) && !isGroupMember(group, user.id)) {
+      throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+    }
+    const query = { groupId };
+    if (status) query.status = status;
+    return Meeting.find(query).select('-records -minutes').sort({ scheduledAt: -1 }).lean();
+  }
+
+  async getMeeting(groupId, meetingId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user) && !isGroupMember(group, user.id)) {
+      throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+    }
+    const meeting = await this.loadMeeting(groupId, meetingId);
+    return { meeting, totals: meeting.totals() };
+  }
+
+  async startMeeting(groupId, meetingId, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+    const meeting = await this.loadMeeting(groupId, meetingId);
+
+    if (meeting.status !== MEETING_STATUS.SCHEDULED) {
+      throw new AppError(`Meeting is ${meeting.status}`, 409, errorCodes.MEETING_INVALID_STATE);
+    }
+    meeting.status = MEETING_STATUS.IN_PROGRESS;
+    meeting.startedAt = new Date();
+    await meeting.save();
+
+    await audit(user, 'meeting:started', { groupId, meetingId });
+    return meeting;
+  }
+
+  /**
+   * Record attendance. Entries: [{ userId, status }]
+   */
+  async recordAttendance(groupId, meetingId, user, entries) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+    this.assertMembers(group, entries.map((e) => e.userId));
+    const meeting = await this.loadMeeting(groupId, meetingId);
+    this.assertEditable(meeting);
+
+    this.mergeAttendance(meeting, entries);
+    await meeting.save();
+    return meeting;
+  }
+
+  /**
+   * Replace the agenda and/or minutes.
+   * @param {Object} changes - { agenda?: Array<{title, notes?, decision?}>, minutes?: string }
+   */
+  async updateMeeting(groupId, meetingId, user, changes) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+    const meeting = await this.loadMeeting(groupId, meetingId);
+    this.assertEditable(meeting);
+
+    if (Array.isArray(changes.agenda)) meeting.agenda = changes.agenda;
+    if (typeof changes.minutes === 'string') meeting.minutes = changes.minutes;
+    await meeting.save();
+    return meeting;
+  }
+
+  /**
+   * Record a contribution, repayment or fine taken at the meeting.
+   * Repeated references are ignored.
+   * @param {Object} record - { type, userId, amount, loanId?, fineId?, reason?, reference? }
+   */
+  async addRecord(groupId, meetingId, user, record) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+    this.assertMembers(group, [record.userId]);
+    const meeting = await this.loadMeeting(groupId, meetingId);
+
+    if (!isMeetingOpen(meeting.status) && meeting.status !== MEETING_STATUS.RECONCILIATION_REQUIRED) {
+      throw new AppError(
+        'Records can only be taken while the meeting is in progress',
+        409,
+        errorCodes.MEETING_INVALID_STATE
+      );
+    }
+    if (record.type === 'repayment' && !record.loanId) {
+      throw new AppError('loanId is required for a repayment', 400, errorCodes.VALIDATION_ERROR);
+    }
+    if (record.type === 'fine' && record.fineId) {
+      const fine = await fineService.loadFine(groupId, record.fineId);
+      if (fine.userId.toString() !== String(record.userId) || record.amount > fine.balance()) {
+        throw new AppError('Payment does not match the fine', 400, errorCodes.VALIDATION_ERROR);
+      }
+    }
+
+    const reference = record.reference || `MTG-${meeting._id}-${meeting.records.length + 1}`;
+    const added = this.mergeRecords(meeting, [{ ...record, reference }], user.id);
+    if (added) {
+      await meeting.save();
+      await audit(user, 'meeting:record_added', {
+        groupId,
+        meetingId,
+        type: record.type,
+        amount: record.amount,
+        reference,
+      });
+    }
+    return { meeting, totals: meeting.totals() };
+  }
+
+  /**
+   * Close a meeting and post its records to the ledger.
+   */
+  async closeMeeting(groupId, meetingId, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'run meetings');
+    const meeting = await this.loadMeeting(groupId, meetingId);
+
+    await this.finalizeMeeting(meeting, user.id);
+    await audit(user, 'meeting:closed', {
+      groupId,
+      meetingId,
+      journalId: meeting.posting?.journalId,
+      totals: meeting.posting?.totals,
+    });
+    return meeting;
+  }
+
+  /**
+   * Post the meeting's records as one journal and mark it closed.
+   * The meeting is claimed as CLOSING first, so only one caller posts it.
+   * A posting failure leaves the meeting in RECONCILIATION_REQUIRED so it can be retried.
+   */
+  async finalizeMeeting(meeting, actorId) {
+    if (!isMeetingOpen(meeting.status) && meeting.status !== MEETING_STATUS.RECONCILIATION_REQUIRED) {
+      throw new AppError(`Meeting is ${meeting.status}`, 409, errorCodes.MEETING_INVALID_STATE);
+    }
+    meeting.refreshQuorum();
+    if (meeting.records.length && !meeting.quorum.met) {
+      throw new AppError(
+        `Quorum not met (${meeting.quorum.present}/${meeting.quorum.required})`,
+        409,
+        errorCodes.MEETING_QUORUM_NOT_MET
+      );
+    }
+
+    // Claim the close so a concurrent close or sync cannot post the journal twice
+    if (meeting.isNew || meeting.isModified()) await meeting.save();
+    const claimed = await Meeting.findOneAndUpdate(
+      { _id: meeting._id, status: meeting.status },
+      { $set: { status: MEETING_STATUS.CLOSING } }
+    )
+      .select('_id')
+      .lean();
+    if (!claimed) {
+      throw new AppError('Meeting is already being closed', 409, errorCodes.MEETING_INVALID_STATE);
+    }
+    meeting.status = MEETING_STATUS.CLOSING;
+
+    const totals = meeting.totals();
+    let journal = null;
+    let finePayments;
+
+    if (meeting.records.length) {
+      try {
+        finePayments = await fineService.allocateMeetingPayments(meeting);
+        journal = await ledgerService.createJournal({
+          journalId: `MTG-${meeting._id}`,
+          description: `Group meeting: ${meeting.title}`,
+          source: 'MANUAL',
+          sourceId: meeting._id,
+          tenantId: meeting.tenantId,
+          userId: actorId,
+          entries: this.buildJournalEntries(totals, meeting.currency, finePayments),
+          metadata: { groupId: meeting.groupId, records: meeting.records.length },
+        });
+      } catch (err) {
+        meeting.status = MEETING_STATUS.RECONCILIATION_REQUIRED;
+        meeting.posting.totals = totals;
+        meeting.posting.error = err.message;
+        await meeting.save();
+        logger.error('[MeetingService] Ledger posting failed', {
+          meetingId: meeting._id.toString(),
+          error: err.message,
+        });
+        throw new AppError('Failed to post meeting records to the ledger', 502, errorCodes.TRANSACTION_FAILED);
+      }
+    }
+
+    meeting.posting = {
+      journalId: journal?.journalId,
+      postedAt: journal ? new Date() : undefined,
+      totals,
+    };
+    meeting.status = MEETING_STATUS.CLOSED;
+    meeting.closedAt = new Date();
+    meeting.closedBy = actorId;
+    await meeting.save();
+
+    await this.settleRepayments(meeting);
+    await this.settleFines(meeting, finePayments?.applied);
+    return meeting;
+  }
+
+  /**
+   * Apply loan repayments taken at the meeting to each loan's schedule.
+   * The journal is already posted, so a repayment the loan rejects is logged
+   * for manual posting and left without `appliedAt`.
+   */
+  async settleRepayments(meeting) {
+    const records = meeting.records.filter((record) => record.type === 'repayment' && !record.appliedAt);
+    for (const record of records) {
+      try {
+        await this.loanWorkflow.recordRepayment(record.loanId, record.amount, record.reference);
+        record.appliedAt = new Date();
+        await meeting.save();
+      } catch (err) {
+        logger.error('[MeetingService] Repayment not applied; post it manually', {
+          meetingId: meeting._id.toString(),
+          loanId: record.loanId?.toString(),
+          reference: record.reference,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Apply fine payments taken at the meeting and charge attendance fines.
+   * The meeting is already closed and posted, so failures are logged only.
+   */
+  async settleFines(meeting, applied = new Map()) {
+    try {
+      await fineService.applyMeetingPayments(meeting, applied);
+      await fineService.evaluateGroup(meeting.groupId, {
+        triggers: ['missed_meeting', 'late_meeting_arrival'],
+      });
+    } catch (err) {
+      logger.error('[MeetingService] Fine settlement failed', {
+        meetingId: meeting._id.toString(),
+        error: err.message,
+      });
+    }
+  }
+
+  /**
+   * Materialize a synced MEETING_STARTED / MEETING_UPDATED / MEETING_CLOSED event.
+   * The payload carries the device's view of the meeting:
+   * { meetingId, groupId, title?, scheduledAt?, quorumRequired?, attendance?, agenda?, minutes?, records?, totals? }
+   *
+   * @param {Object} event - validated offline event
+   * @returns {Promise<{applied: boolean, meeting?: Object}|{conflict: true, reason: string, details: Object}>}
+   */
+  async applyOfflineEvent(event) {
+    const payload = event.payload || {};
+    const offlineMeetingId = payload.meetingId;
+    if (!offlineMeetingId || !payload.groupId) {
+      return this.mismatch(null, event, 'MEETING_REFERENCE_MISSING');
+    }
+
+    const group = await Group.findById(payload.groupId).select('_id members memberRoles createdBy').lean();
+    if (!group) {
+      return this.mismatch(null, event, 'GROUP_NOT_FOUND', { groupId: payload.groupId });
+    }
+
+    let meeting = await Meeting.findOne({ tenantId: event.tenantId, offlineMeetingId });
+    if (meeting && meeting.groupId.toString() !== String(payload.groupId)) {
+      return this.mismatch(meeting, event, 'GROUP_MISMATCH', { groupId: payload.groupId });
+    }
+    if (!meeting && event.eventType !== EVENT_TYPES.MEETING_STARTED) {
+      return this.mismatch(null, event, 'MEETING_NOT_FOUND', { meetingId: offlineMeetingId });
+    }
+    if (meeting && isMeetingClosed(meeting.status)) {
+      return this.mismatch(meeting, event, 'MEETING_ALREADY_CLOSED', { status: meeting.status });
+    }
+
+    const userIds = [
+      ...(payload.attendance || []).map((a) => a.userId),
+      ...(payload.records || []).map((r) => r.userId),
+    ];
+    const outsiders = userIds.filter((id) => !isGroupMember(group, id));
+    if (outsiders.length) {
+      return this.mismatch(meeting, event, 'NON_MEMBER_ENTRIES', { userIds: [...new Set(outsiders.map(String))] });
+    }
+
+    if (!meeting) {
+      meeting = new Meeting({
+        groupId: payload.groupId,
+        tenantId: event.tenantId,
+        offlineMeetingId,
+        sourceDeviceId: event.deviceId,
+        title: payload.title || 'Group meeting',
+        scheduledAt: payload.scheduledAt || event.occurredAt || new Date(),
+        currency: payload.currency,
+        quorum: { required: payload.quorumRequired || this.defaultQuorum(group.members?.length) },
+        createdBy: event.actorId,
+      });
+    }
+    if (meeting.status === MEETING_STATUS.SCHEDULED) {
+      meeting.status = MEETING_STATUS.IN_PROGRESS;
+      meeting.startedAt = payload.startedAt || event.occurredAt || new Date();
+    }
+
+    this.mergeAttendance(meeting, payload.attendance);
+    if (Array.isArray(payload.agenda)) meeting.agenda = payload.agenda;
+    if (typeof payload.minutes === 'string') meeting.minutes = payload.minutes;
+    this.mergeRecords(meeting, payload.records, event.actorId);
+    meeting.lastEventId = event.eventId;
+
+    if (event.eventType !== EVENT_TYPES.MEETING_CLOSED) {
+      await meeting.save();
+      return { applied: true, meeting };
+    }
+
+    const differences = this.compareTotals(payload.totals, meeting.totals());
+    if (differences.length) {
+      meeting.status = MEETING_STATUS.RECONCILIATION_REQUIRED;
+      return this.mismatch(meeting, event, 'TOTALS_MISMATCH', { differences });
+    }
+
+    try {
+      await this.finalizeMeeting(meeting, event.actorId);
+    } catch (err) {
+      if (err.statusCode && err.statusCode < 500) {
+        meeting.status = MEETING_STATUS.RECONCILIATION_REQUIRED;
+        return this.mismatch(meeting, event, err.errorCode || 'MEETING_CLOSE_REJECTED', { message: err.message });
+      }
+      throw err;
+    }
+
+    await audit({ id: event.actorId, tenantId: event.tenantId }, 'meeting:closed', {
+      groupId: meeting.groupId,
+      meetingId: meeting._id,
+      eventId: event.eventId,
+      journalId: meeting.posting?.journalId,
+    });
+    return { applied: true, meeting };
+  }
+
+  /**
+   * Record a MEETING_MISMATCH on the meeting (when it exists) and describe it for the sync pipeline.
+   */
+  async mismatch(meeting, event, reason, details = {}) {
+    if (meeting) {
+      meeting.conflicts.push({ eventId: event.eventId, reason, details });
+      await meeting.save();
+    }
+    logger.warn('[MeetingService] Offline meeting event rejected', {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      reason,
+    });
+    return {
+      conflict: true,
+      reason,
+      details: { ...details, meetingId: meeting?._id, offlineMeetingId: event.payload?.meetingId },
+    };
+  }
+}
+
+module.exports = new MeetingService();
@@ -0,0 +1,483 @@
+/**
+ * MFA Service
+ * Authenticator-app (TOTP) second factor for signing in.
+ * Features:
+ * - Enrolment: a secret shown as a QR code (otpauth:// URI), switched on
+ *   once the user confirms a code from their app
+ * - Secrets are encrypted at rest; each TOTP step is accepted only once
+ * - Ten one-time backup codes, stored as keyed hashes and shown only when
+ *   issued
+ * - Sign-in challenges: after the password, login hands out a short-lived
+ *   signed token that /auth/login/mfa exchanges for a session
+ * - Tenant policy names the roles that must use MFA (account roles and group
+ *   officer roles); those users enrol at sign-in and cannot switch it off
+ * - Admins can reset a locked-out user's MFA; the reset is audited and ends
+ *   the user's sessions
+ *
+ * Keys come from MFA_SECRET_KEY (falling back to JWT_SECRET).
+ */
+
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const MfaPolicy = require('../models/MfaPolicy');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const qrCode = require('../utils/qrCode');
+const totp = require('../utils/totp');
+
+const audit = createAuditTrail('MfaService');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const OFFICER_ROLES = ['treasurer', 'secretary'];
+
+const CHALLENGE_PURPOSES = {
+  VERIFY: 'verify',
+  ENROL: 'enrol',
+};
+
+const masterKey = () => process.env.MFA_SECRET_KEY || process.env.JWT_SECRET;
+const issuer = () => process.env.MFA_ISSUER || 'TITech Community Capital';
+const defaultRequiredRoles = () =>
+  String(process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter((role) => MfaPolicy.ROLES.includes(role));
+
+// xxxx-xxxx from an alphabet without look-alike characters
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const normalizeBackupCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+class MfaService {
+  /**
+   * A key for one use (encryption, hashing, signing) derived from the master key.
+   */
+  key(purpose) {
+    const secret = masterKey();
+    if (!secret) {
+      throw new AppError('MFA is not configured', 503, errorCodes.INTERNAL_ERROR);
+    }
+    return crypto.createHmac('sha256', secret).update(`mfa:${purpose}`).digest();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Secrets and codes
+  // ---------------------------------------------------------------------------
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key('secret'), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    // v1:<iv>:<auth tag>:<ciphertext>
+    const parts = [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url'));
+    return ['v1', ...parts].join(':');
+  }
+
+  /**
+   * @throws {AppError} 500 when the stored value is malformed or fails authentication
+   */
+  decryptSecret(stored) {
+    const [version, iv, tag, encrypted] = String(stored).split(':');
+    try {
+      if (version !== 'v1' || !iv || !tag || !encrypted) {
+        throw new Error('Unrecognised secret format');
+      }
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.key('secret'),
+        Buffer.from(iv, 'base64url')
+      );
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(encrypted, 'base64url')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch (err) {
+      if (err instanceof AppError) throw err;
+      logger.error('[MfaService] Stored MFA secret could not be decrypted', { error: err.message });
+      throw new AppError('MFA secret could not be read', 500, errorCodes.INTERNAL_ERROR);
+    }
+  }
+
+  hashBackupCode(code) {
+    return crypto
+      .createHmac('sha256', this.key('backup-code'))
+      .update(normalizeBackupCode(code))
+      .digest('hex');
+  }
+
+  /**
+   * @returns {Object} { codes, hashes } - codes to show once, hashes to store
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const chars = Array.from(
+        crypto.randomBytes(8),
+        (byte) => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]
+      );
+      return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+    });
+    return { codes, hashes: codes.map((code) => this.hashBackupCode(code)) };
+  }
+
+  async load(userId) {
+    const user = await User.findById(userId).select(
+      '+mfa.secret +mfa.backupCodes +mfa.lastUsedStep'
+    );
+    if (!user) {
+      throw new AppError('User not found', 404, errorCodes.NOT_FOUND);
+    }
+    return user;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Policy
+  // ---------------------------------------------------------------------------
+
+  async getPolicy(tenantId) {
+    const policy = tenantId ? await MfaPolicy.findOne({ tenantId }).lean() : null;
+    return policy
+      ? {
+          tenantId,
+          requiredRoles: policy.requiredRoles,
+          source: 'TENANT',
+          updatedAt: policy.updatedAt,
+        }
+      : { tenantId, requiredRoles: defaultRequiredRoles(), source: 'DEFAULT' };
+  }
+
+  async setPolicy(tenantId, { requiredRoles = [] }, actor) {
+    if (!tenantId) {
+      throw new AppError('Tenant ID is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const roles = [...new Set(requiredRoles)];
+    await MfaPolicy.findOneAndUpdate(
+      { tenantId },
+      { $set: { requiredRoles: roles, updatedBy: actor?.id } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    await audit(actor, 'mfa:policy_updated', { tenantId, requiredRoles: roles });
+    return this.getPolicy(tenantId);
+  }
+
+  /**
+   * Whether the tenant policy makes MFA mandatory for the user.
+   */
+  async isRequired(user) {
+    const { requiredRoles } = await this.getPolicy(user.tenantId);
+    if (requiredRoles.includes(user.role)) return true;
+
+    const officerRoles = requiredRoles.filter((role) => OFFICER_ROLES.includes(role));
+    if (officerRoles.length === 0) return false;
+    return Boolean(
+      await Group.exists({
+        memberRoles: {
+          $elemMatch: {
+            userId: user._id,
+            role: { $in: officerRoles },
+            invitationStatus: 'accepted',
+          },
+        },
+      })
+    );
+  }
+
+  /**
+   * What sign-in needs after the password: VERIFY a code, ENROL first, or nothing.
+   * @returns {Promise<string|null>}
+   */
+  async loginRequirement(user) {
+    if (user.mfa?.enabled) return CHALLENGE_PURPOSES.VERIFY;
+    return (await this.isRequired(user)) ? CHALLENGE_PURPOSES.ENROL : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sign-in challenges
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Token for the second sign-in step: base64url claims, a dot, and an HMAC.
+   * It is not a JWT, so it cannot be used as an access token.
+   */
+  createChallenge(user, purpose) {
+    const claims = {
+      sub: String(user._id),
+      p: purpose,
+      e: Math.floor(Date.now() / 1000) + CHALLENGE_TTL_SECONDS,
+    };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${body}.${this.challengeSignature(body)}`;
+  }
+
+  challengeSignature(body) {
+    return crypto.createHmac('sha256', this.key('challenge')).update(body).digest('base64url');
+  }
+
+  /**
+   * @returns {Object} { userId, purpose }
+   */
+  readChallenge(token) {
+    const [body, signature] = String(token || '').split('.');
+    const expected = body ? this.challengeSignature(body) : '';
+    const valid =
+      signature &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    const claims = valid ? JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) : null;
+    if (!claims || claims.e * 1000 <= Date.now()) {
+      throw new AppError(
+        'Your sign-in has expired. Please sign in again.',
+        401,
+        errorCodes.MFA_CHALLENGE_INVALID
+      );
+    }
+    return { userId: claims.sub, purpose: claims.p };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Enrolment
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Issue a new secret for the user to add to their authenticator app.
+   * MFA stays off until confirm() sees a code from it.
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrSvg }
+   */
+  async beginSetup(userId) {
+    const user = await this.load(userId);
+    if (user.mfa?.enabled) {
+      throw new AppError(
+        'Two-step verification is already on',
+        409,
+        errorCodes.MFA_ALREADY_ENABLED
+      );
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'mfa.secret': this.encryptSecret(secret) } }
+    );
+
+    const otpauthUrl = totp.keyUri({ secret, account: user.email, issuer: issuer() });
+    let qrSvg = null;
+    try {
+      qrSvg = qrCode.toSvg(otpauthUrl);
+    } catch (err) {
+      // Very long addresses do not fit a QR code; the secret can still be typed in
+      logger.warn('[MfaService] Provisioning URI too long for a QR code', { userId });
+    }
+    return { secret, otpauthUrl, qrSvg };
+  }
+
+  /**
+   * Turn MFA on with a code from the app.
+   * @returns {Promise<Object>} { backupCodes } - shown to the user once
+   */
+  async confirmSetup(userId, code, actor) {
+    const user = await this.load(userId);
+    if (user.mfa?.enabled) {
+      throw new AppError(
+        'Two-step verification is already on',
+        409,
+        errorCodes.MFA_ALREADY_ENABLED
+      );
+    }
+    if (!user.mfa?.secret) {
+      throw new AppError(
+        'Start two-step verification setup first',
+        409,
+        errorCodes.MFA_SETUP_NOT_STARTED
+      );
+    }
+
+    const step = totp.verify(this.decryptSecret(user.mfa.secret), code);
+    if (step === null) {
+      throw new AppError(
+        'That code is not right. Check the time on your phone and try again.',
+        400,
+        errorCodes.MFA_CODE_INVALID
+      );
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'mfa.enabled': true,
+          'mfa.enabledAt': new Date(),
+          'mfa.backupCodes': hashes,
+          'mfa.lastUsedStep': step,
+        },
+      }
+    );
+
+    await audit(actor || this.actorFor(user), 'mfa:enabled', { userId: user._id });
+    return { backupCodes: codes };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Verification
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check an authenticator code or, failing that, use up a backup code.
+   * @param {Object} proof - { code? , backupCode? }
+   * @returns {Promise<Object>} { method: TOTP|BACKUP_CODE, backupCodesRemaining }
+   */
+  async verify(userId, { code, backupCode } = {}) {
+    const user = await this.load(userId);
+    if (!user.mfa?.enabled || !user.mfa.secret) {
+      throw new AppError('Two-step verification is not on', 409, errorCodes.MFA_NOT_ENABLED);
+    }
+    const remaining = user.mfa.backupCodes?.length || 0;
+
+    if (code) {
+      const step = totp.verify(this.decryptSecret(user.mfa.secret), code);
+      // Only a step newer than the last one used counts, so codes cannot be replayed
+      const accepted =
+        step !== null &&
+        (
+          await User.updateOne(
+            {
+              _id: user._id,
+              $or: [
+                { 'mfa.lastUsedStep': { $exists: false } },
+                { 'mfa.lastUsedStep': { $lt: step } },
+              ],
+            },
+            { $set: { 'mfa.lastUsedStep': step } }
+          )
+        ).modifiedCount === 1;
+      if (accepted) return { method: 'TOTP', backupCodesRemaining: remaining };
+    } else if (backupCode) {
+      const hash = this.hashBackupCode(backupCode);
+      const used =
+        (
+          await User.updateOne(
+            { _id: user._id, 'mfa.backupCodes': hash },
+            { $pull: { 'mfa.backupCodes': hash } }
+          )
+        ).modifiedCount === 1;
+      if (used) {
+        await audit(this.actorFor(user), 'mfa:backup_code_used', {
+          userId: user._id,
+          remaining: remaining - 1,
+        });
+        return { method: 'BACKUP_CODE', backupCodesRemaining: remaining - 1 };
+      }
+    }
+
+    throw new AppError('That code is not right', 401, errorCodes.MFA_CODE_INVALID);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Self-service
+  // ---------------------------------------------------------------------------
+
+  async status(userId) {
+    const user = await this.load(userId);
+    return {
+      enabled: Boolean(user.mfa?.enabled),
+      enabledAt: user.mfa?.enabledAt || null,
+      required: await this.isRequired(user),
+      backupCodesRemaining: user.mfa?.enabled ? user.mfa.backupCodes?.length || 0 : 0,
+    };
+  }
+
+  /**
+   * Replace the backup codes; needs a current authenticator code.
+   * @returns {Promise<Object>} { backupCodes }
+   */
+  async regenerateBackupCodes(userId, code, actor) {
+    await this.verify(userId, { code });
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'mfa.backupCodes': hashes } });
+    await audit(actor, 'mfa:backup_codes_regenerated', { userId });
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Turn MFA off with an authenticator or backup code, unless policy requires it.
+   */
+  async disable(userId, proof, actor) {
+    const user = await this.load(userId);
+    if (await this.isRequired(user)) {
+      throw new AppError(
+        'Your organisation requires two-step verification for your role',
+        403,
+        errorCodes.MFA_REQUIRED
+      );
+    }
+    await this.verify(userId, proof);
+    await this.clear(user._id);
+    await audit(actor, 'mfa:disabled', { userId });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Admin recovery
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Clear a user's MFA so they can enrol again, e.g. after losing their phone
+   * and backup codes. Their sessions end; policy makes them enrol at sign-in.
+   */
+  async adminReset(userId, { reason }, actor) {
+    if (String(userId) === String(actor.id)) {
+      throw new AppError(
+        'Ask another admin to reset your two-step verification',
+        403,
+        errorCodes.FORBIDDEN
+      );
+    }
+    const user = await this.load(userId);
+    if (actor.tenantId && String(user.tenantId) !== String(actor.tenantId)) {
+      throw new AppError('User not found', 404, errorCodes.NOT_FOUND);
+    }
+    if (!user.mfa?.enabled && !user.mfa?.secret) {
+      throw new AppError(
+        'Two-step verification is not on for this user',
+        409,
+        errorCodes.MFA_NOT_ENABLED
+      );
+    }
+
+    await this.clear(user._id);
+    const sessions = await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'mfa_reset' } }
+    );
+
+    await audit(actor, 'mfa:reset_by_admin', {
+      userId: user._id,
+      reason,
+      sessionsRevoked: sessions.modifiedCount || 0,
+    });
+  }
+
+  async clear(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'mfa.enabled': false, 'mfa.backupCodes': [] },
+        $unset: { 'mfa.secret': '', 'mfa.enabledAt': '', 'mfa.lastUsedStep': '' },
+      }
+    );
+  }
+
+  // Audit actor for things users do for themselves while signing in
+  actorFor(user) {
+    return { id: user._id, tenantId: user.tenantId, role: user.role };
+  }
+}
+
+module.exports = new MfaService();
+module.exports.CHALLENGE_PURPOSES = CHALLENGE_PURPOSES;
@@ -329,6 +329,9 @@ class MTNDisbursementService extends EventEmitter {
     payeeNote =
       'Payment',
     metadata = {},
+    // Reuse to resend a transfer; MTN refuses a repeated id
+    referenceId =
+      this.generateReferenceId(),
   }) {
     if (
       this.isCircuitOpen()
@@ -346,9 +349,6 @@ class MTNDisbursementService extends EventEmitter {
       }
     );
 
-    const referenceId =
-      this.generateReferenceId();
-
     const payload = {
       amount:
         String(amount),
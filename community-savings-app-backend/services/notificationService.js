@@ -9,6 +9,7 @@ const crypto = require("crypto");
 const mongoose = require("mongoose");
 
 const logger = require("../utils/logger");
+const smsOptOutService = require("./smsOptOutService");
 
 // Optional integrations
 let emailService;
@@ -17,15 +18,27 @@ let pushService;
 
 try {
   emailService = require("./emailService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Email channel not loaded", {
+    error: err.message
+  });
+}
 
 try {
   smsService = require("./smsService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("SMS channel not loaded", {
+    error: err.message
+  });
+}
 
 try {
   pushService = require("./pushService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Push channel not loaded", {
+    error: err.message
+  });
+}
 
 // ============================================================================
 // Notification Model
@@ -174,7 +187,49 @@ const NOTIFICATION_TYPES = {
     "BILLING_ALERT",
 
   TRANSACTION_ALERT:
-    "TRANSACTION_ALERT"
+    "TRANSACTION_ALERT",
+
+  ROTATION_PAYOUT:
+    "ROTATION_PAYOUT",
+
+  FINE_ISSUED:
+    "FINE_ISSUED",
+
+  CONTRIBUTION_DUE:
+    "CONTRIBUTION_DUE",
+
+  CONTRIBUTION_OVERDUE:
+    "CONTRIBUTION_OVERDUE",
+
+  GUARANTOR_CONSENT_REQUESTED:
+    "GUARANTOR_CONSENT_REQUESTED",
+
+  GUARANTOR_RESPONDED:
+    "GUARANTOR_RESPONDED",
+
+  LOAN_RESTRUCTURED:
+    "LOAN_RESTRUCTURED",
+
+  SHARE_OUT:
+    "SHARE_OUT",
+
+  WITHDRAWAL_APPROVAL_REQUESTED:
+    "WITHDRAWAL_APPROVAL_REQUESTED",
+
+  WITHDRAWAL_DECIDED:
+    "WITHDRAWAL_DECIDED",
+
+  STANDING_ORDER:
+    "STANDING_ORDER",
+
+  DISBURSEMENT_BATCH:
+    "DISBURSEMENT_BATCH",
+
+  INTERNAL_TRANSFER:
+    "INTERNAL_TRANSFER",
+
+  PAYMENT_REQUEST:
+    "PAYMENT_REQUEST"
 };
 
 // ============================================================================
@@ -327,9 +382,12 @@ async function sendEmail({
 // Send SMS
 // ============================================================================
 
+// Numbers that texted STOP are skipped, unless the message is
+// `essential`: a security code or something the member must not miss.
 async function sendSMS({
   phoneNumber,
-  message
+  message,
+  essential = false
 }) {
   if (!smsService) {
     logger.warn(
@@ -339,6 +397,22 @@ async function sendSMS({
     return false;
   }
 
+  if (
+    !essential &&
+    (await smsOptOutService.isOptedOut(
+      phoneNumber
+    ))
+  ) {
+    logger.info(
+      "SMS skipped. Number opted out.",
+      {
+        phoneNumber
+      }
+    );
+
+    return false;
+  }
+
   return smsService.send({
     phoneNumber,
     message
@@ -0,0 +1,569 @@
+/**
+ * Payment Request Service
+ * Shareable, signed payment links and QR codes for group collections.
+ * Features:
+ * - A treasurer creates a request for a member's contribution or loan installment
+ * - The link carries the group, purpose, amount, reference and expiry, signed
+ *   with an HMAC so it cannot be edited; the QR code encodes the same link
+ * - Opening the link shows a light public page; paying it starts an MTN or
+ *   Airtel collection through the PaymentProcessingService
+ * - A successful collection records the Contribution (or loan repayment)
+ *   under the request's reference and marks the request paid
+ * - The treasurer's list shows open, paid and expired requests with totals
+ * - Members can raise and pay a request for themselves (the USSD journey)
+ */
+
+const crypto = require('crypto');
+const Contribution = require('../models/Contribution');
+const Loan = require('../models/Loan');
+const PaymentRequest = require('../models/PaymentRequest');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const qrCode = require('../utils/qrCode');
+const LoanWorkflowService = require('./loanWorkflowService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('PaymentRequestService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const REPAYABLE_LOAN_STATUSES = ['disbursed', 'active', 'overdue'];
+// Short purpose codes keep the signed link (and so the QR code) small
+const PURPOSE_CODES = { CONTRIBUTION: 'C', LOAN_REPAYMENT: 'L' };
+const PAYMENT_TYPES = { CONTRIBUTION: 'contribution', LOAN_REPAYMENT: 'loan_repayment' };
+const FINAL_EVENTS = {
+  PaymentCompleted: 'SUCCESS',
+  PaymentFailed: 'FAILED',
+  PaymentCancelled: 'CANCELLED',
+  PaymentExpired: 'FAILED',
+};
+
+const signingSecret = () => process.env.PAYMENT_REQUEST_SIGNING_SECRET || process.env.JWT_SECRET;
+const linkBaseUrl = () =>
+  (process.env.PAYMENT_LINK_BASE_URL || process.env.BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
+const formatAmount = (request) => `${request.currency} ${Number(request.amount).toLocaleString('en-US')}`;
+
+class PaymentRequestService {
+  constructor({ paymentProcessingService = null } = {}) {
+    this.paymentProcessingService = paymentProcessingService;
+    this.loanWorkflow = new LoanWorkflowService();
+  }
+
+  /**
+   * Set the PaymentProcessingService collections are raised through, usually
+   * `createPaymentModule(...).paymentProcessingService`.
+   */
+  configure({ paymentProcessingService }) {
+    this.paymentProcessingService = paymentProcessingService;
+    return this;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Signed links
+  // ---------------------------------------------------------------------------
+
+  secret() {
+    const secret = signingSecret();
+    if (!secret) {
+      throw new AppError('Payment links are not configured', 503, errorCodes.INTERNAL_ERROR);
+    }
+    return secret;
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret()).update(body).digest().subarray(0, 16).toString('base64url');
+  }
+
+  /**
+   * Token for a request: base64url claims, a dot, and a truncated HMAC.
+   */
+  sign(request) {
+    const claims = {
+      r: request.reference,
+      g: String(request.groupId),
+      p: PURPOSE_CODES[request.purpose],
+      a: request.amount,
+      c: request.currency,
+      e: Math.floor(new Date(request.expiresAt).getTime() / 1000),
+    };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${body}.${this.signature(body)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry.
+   * @returns {Object} the claims
+   */
+  verify(token) {
+    const [body, signature] = String(token || '').split('.');
+    const expected = body ? this.signature(body) : '';
+    const valid =
+      signature &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new AppError('This payment link is not valid', 400, errorCodes.PAYMENT_REQUEST_INVALID_LINK);
+    }
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (claims.e * 1000 <= Date.now()) {
+      throw new AppError('This payment link has expired', 410, errorCodes.PAYMENT_REQUEST_EXPIRED);
+    }
+    return claims;
+  }
+
+  linkFor(request) {
+    const token = this.sign(request);
+    return { token, url: `${linkBaseUrl()}/api/v1/pay/${token}` };
+  }
+
+  /**
+   * SVG QR code of the request's link.
+   */
+  qrSvg(request, options) {
+    return qrCode.toSvg(this.linkFor(request).url, options);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Treasurer
+  // ---------------------------------------------------------------------------
+
+  async loadOfficerGroup(groupId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupOfficer(group, user)) {
+      throw new AppError('Only group officers can manage payment requests', 403, errorCodes.FORBIDDEN);
+    }
+    return group;
+  }
+
+  async loadRequest(groupId, requestId) {
+    const request = await PaymentRequest.findOne({ _id: requestId, groupId });
+    if (!request) {
+      throw new AppError('Payment request not found', 404, errorCodes.PAYMENT_REQUEST_NOT_FOUND);
+    }
+    return request;
+  }
+
+  newReference() {
+    return `PR-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Create a payment request.
+   * @param {Object} payload - { purpose, userId?, loanId?, amount, currency?, description?,
+   *   phoneNumber?, expiresInHours? }
+   * @returns {Promise<Object>} { request, link, qrSvg }
+   */
+  async create(groupId, payload, user) {
+    const group = await this.loadOfficerGroup(groupId, user);
+    let memberId = payload.userId;
+
+    if (payload.purpose === 'LOAN_REPAYMENT') {
+      const loan = await Loan.findOne({ _id: payload.loanId, group: group._id }).select('_id user status').lean();
+      if (!loan) {
+        throw new AppError('Loan not found', 404, errorCodes.NOT_FOUND);
+      }
+      if (!REPAYABLE_LOAN_STATUSES.includes(loan.status)) {
+        throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.TRANSACTION_FAILED);
+      }
+      memberId = loan.user;
+    }
+    if (!isGroupMember(group, memberId)) {
+      throw new AppError('The member is not in this group', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const hours = Math.min(payload.expiresInHours || DEFAULT_EXPIRY_HOURS, MAX_EXPIRY_HOURS);
+    const request = await PaymentRequest.create({
+      tenantId: user.tenantId,
+      groupId: group._id,
+      reference: this.newReference(),
+      purpose: payload.purpose,
+      userId: memberId,
+      loanId: payload.purpose === 'LOAN_REPAYMENT' ? payload.loanId : undefined,
+      amount: payload.amount,
+      currency: payload.currency || 'UGX',
+      description: payload.description,
+      phoneNumber: payload.phoneNumber,
+      expiresAt: new Date(Date.now() + hours * HOUR_MS),
+      createdBy: user.id,
+    });
+
+    await audit(user, 'payment_request:created', {
+      groupId,
+      paymentRequestId: request._id,
+      reference: request.reference,
+      purpose: request.purpose,
+      amount: request.amount,
+    });
+    return { request, link: this.linkFor(request).url, qrSvg: this.qrSvg(request) };
+  }
+
+  /**
+   * A request a member raises for their own payment, e.g. from USSD or SMS.
+   * Retrying with the same reference returns the original request.
+   * @param {Object} payload - { groupId, purpose, loanId?, amount, currency?, phoneNumber,
+   *   reference, channel, description? }
+   * @param {Object} member - the paying User ({ _id, tenantId })
+   */
+  async createForMember(payload, member) {
+    const existing = await PaymentRequest.findOne({ reference: payload.reference });
+    if (existing) {
+      if (String(existing.userId) !== String(member._id)) {
+        throw new AppError('Payment reference already in use', 409, errorCodes.PAYMENT_REQUEST_INVALID_STATE);
+      }
+      return existing;
+    }
+
+    if (payload.purpose === 'LOAN_REPAYMENT') {
+      const loan = await Loan.findOne({ _id: payload.loanId, user: member._id }).select('_id group status').lean();
+      if (!loan) {
+        throw new AppError('Loan not found', 404, errorCodes.NOT_FOUND);
+      }
+      if (!REPAYABLE_LOAN_STATUSES.includes(loan.status)) {
+        throw new AppError(`Loan is ${loan.status}`, 409, errorCodes.TRANSACTION_FAILED);
+      }
+      payload = { ...payload, groupId: loan.group };
+    } else {
+      const group = await loadGroup(payload.groupId);
+      if (!isGroupMember(group, member._id)) {
+        throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+      }
+    }
+
+    const request = await PaymentRequest.create({
+      tenantId: member.tenantId,
+      groupId: payload.groupId,
+      reference: payload.reference,
+      purpose: payload.purpose,
+      userId: member._id,
+      loanId: payload.purpose === 'LOAN_REPAYMENT' ? payload.loanId : undefined,
+      amount: payload.amount,
+      currency: payload.currency || 'UGX',
+      description: payload.description,
+      phoneNumber: payload.phoneNumber,
+      channel: payload.channel,
+      expiresAt: new Date(Date.now() + HOUR_MS),
+      createdBy: member._id,
+    });
+
+    await audit({ id: member._id, role: 'user' }, 'payment_request:created', {
+      groupId: payload.groupId,
+      paymentRequestId: request._id,
+      reference: request.reference,
+      purpose: request.purpose,
+      amount: request.amount,
+      channel: payload.channel,
+    });
+    return request;
+  }
+
+  /**
+   * Requests for the dashboard, with counts and the amount collected.
+   * Open requests past their expiry are marked expired first.
+   */
+  async list(groupId, user, { status } = {}) {
+    await this.loadOfficerGroup(groupId, user);
+    await PaymentRequest.updateMany(
+      { groupId, status: 'OPEN', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'EXPIRED' } }
+    );
+
+    const filter = { groupId };
+    if (status) filter.status = status;
+    const requests = await PaymentRequest.find(filter).sort({ createdAt: -1 }).limit(200).lean();
+
+    const summary = Object.fromEntries(PaymentRequest.STATUSES.map((s) => [s.toLowerCase(), 0]));
+    let collected = 0;
+    requests.forEach((r) => {
+      const key = r.status.toLowerCase();
+      summary[key] = (summary[key] || 0) + 1;
+      if (r.status === 'PAID') collected += r.amount;
+    });
+    return {
+      summary: { ...summary, collected },
+      requests: requests.map((r) => ({ ...r, link: r.status === 'OPEN' ? this.linkFor(r).url : undefined })),
+    };
+  }
+
+  async cancel(groupId, requestId, user) {
+    await this.loadOfficerGroup(groupId, user);
+    const request = await this.loadRequest(groupId, requestId);
+    const cancelled = await PaymentRequest.findOneAndUpdate(
+      { _id: request._id, status: 'OPEN' },
+      { $set: { status: 'CANCELLED', cancelledBy: user.id, cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw new AppError(`Cannot cancel a request that is ${request.status}`, 409, errorCodes.PAYMENT_REQUEST_INVALID_STATE);
+    }
+    await audit(user, 'payment_request:cancelled', { groupId, paymentRequestId: request._id });
+    return cancelled;
+  }
+
+  async getQr(groupId, requestId, user) {
+    await this.loadOfficerGroup(groupId, user);
+    const request = await this.loadRequest(groupId, requestId);
+    return this.qrSvg(request);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public page
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The request behind a token. The stored request must still match the
+   * signed claims.
+   */
+  async fromToken(token) {
+    const claims = this.verify(token);
+    const request = await PaymentRequest.findOne({ reference: claims.r });
+    if (
+      !request ||
+      String(request.groupId) !== claims.g ||
+      request.amount !== claims.a ||
+      PURPOSE_CODES[request.purpose] !== claims.p
+    ) {
+      throw new AppError('This payment link is not valid', 400, errorCodes.PAYMENT_REQUEST_INVALID_LINK);
+    }
+    return request;
+  }
+
+  /**
+   * What the public page shows. Only the member's first name is revealed.
+   */
+  async view(token) {
+    const request = await this.fromToken(token);
+    await PaymentRequest.updateOne({ _id: request._id }, { $inc: { openCount: 1 }, $set: { lastOpenedAt: new Date() } });
+    const [group, member] = await Promise.all([
+      loadGroup(request.groupId),
+      User.findById(request.userId).select('name').lean(),
+    ]);
+    return {
+      reference: request.reference,
+      groupName: group.name,
+      memberFirstName: String(member?.name || '').split(' ')[0],
+      purpose: request.purpose,
+      description: request.description,
+      amount: request.amount,
+      currency: request.currency,
+      phoneNumber: request.phoneNumber,
+      expiresAt: request.expiresAt,
+      status: request.status,
+      providers: PaymentRequest.PROVIDERS,
+    };
+  }
+
+  /**
+   * Start a mobile money collection for a request.
+   * @param {Object} payer - { provider: mtn|airtel, phoneNumber }
+   * @returns {Promise<Object>} { status, reference }
+   */
+  async pay(token, payer, context = {}) {
+    const request = await this.fromToken(token);
+    return this.collect(request, payer, context);
+  }
+
+  /**
+   * Start a mobile money collection for a loaded request (link or USSD).
+   * @returns {Promise<Object>} { status, reference }
+   */
+  async collect(request, payer, context = {}) {
+    if (!this.paymentProcessingService) {
+      throw new AppError('Payment processing is not configured for payment requests', 503, errorCodes.INTERNAL_ERROR);
+    }
+    if (request.status !== 'OPEN') {
+      throw new AppError(
+        request.status === 'PAID' ? 'This request has already been paid' : `This request is ${request.status.toLowerCase()}`,
+        409,
+        errorCodes.PAYMENT_REQUEST_INVALID_STATE
+      );
+    }
+    // Only one collection in flight per request
+    const claimed = await PaymentRequest.findOneAndUpdate(
+      { _id: request._id, status: 'OPEN' },
+      { $set: { status: 'PROCESSING' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('A payment for this request is already in progress', 409, errorCodes.PAYMENT_REQUEST_INVALID_STATE);
+    }
+
+    const attempt = claimed.attempts.length + 1;
+    const paymentReference = `${claimed.reference}-${attempt}`;
+    const attemptRecord = { provider: payer.provider, phoneNumber: payer.phoneNumber, at: new Date() };
+    let paymentId;
+    try {
+      const created = await this.paymentProcessingService.createAndInitiate(
+        {
+          tenantId: claimed.tenantId ? String(claimed.tenantId) : undefined,
+          userId: String(claimed.userId),
+          groupId: String(claimed.groupId),
+          type: PAYMENT_TYPES[claimed.purpose],
+          direction: 'inbound',
+          amount: claimed.amount,
+          currency: claimed.currency,
+          provider: payer.provider,
+          phoneNumber: payer.phoneNumber,
+          reference: paymentReference,
+          idempotencyKey: paymentReference,
+          metadata: {
+            source: 'PAYMENT_REQUEST',
+            channel: claimed.channel,
+            paymentRequestId: String(claimed._id),
+            loanId: claimed.loanId ? String(claimed.loanId) : undefined,
+          },
+        },
+        context
+      );
+      paymentId = String(created.paymentId);
+    } catch (err) {
+      logger.warn('[PaymentRequestService] Collection could not be created', { reference: claimed.reference, error: err.message });
+      await PaymentRequest.updateOne(
+        { _id: claimed._id, status: 'PROCESSING' },
+        { $set: { status: 'OPEN' }, $push: { attempts: { ...attemptRecord, status: 'FAILED', reasonCode: err.code } } }
+      );
+      return { status: 'FAILED', reference: claimed.reference, reasonCode: err.code };
+    }
+
+    // Record the attempt before prompting the payer so a fast callback can find it
+    await PaymentRequest.updateOne({ _id: claimed._id }, { $push: { attempts: { ...attemptRecord, paymentId } } });
+
+    let processed;
+    try {
+      processed = await this.paymentProcessingService.process(paymentId, context);
+    } catch (err) {
+      // The prompt may still have reached the phone; the payment's final event settles it
+      logger.warn('[PaymentRequestService] Collection outcome unknown', { reference: claimed.reference, error: err.message });
+      return { status: 'PENDING', reference: claimed.reference };
+    }
+    return this.applyOutcome(claimed, {
+      outcome: processed.outcome,
+      reasonCode: processed.provider?.reasonCode,
+      paymentId,
+    });
+  }
+
+  /**
+   * Settle or reopen a request once its collection's outcome is known.
+   * PENDING waits for the provider callback (see handlePaymentEvent).
+   */
+  async applyOutcome(request, { outcome, reasonCode, paymentId }) {
+    if (outcome === 'PENDING') {
+      return { status: 'PENDING', reference: request.reference };
+    }
+    const succeeded = outcome === 'SUCCESS';
+    const updated = await PaymentRequest.findOneAndUpdate(
+      { _id: request._id, status: 'PROCESSING' },
+      {
+        $set: {
+          status: succeeded ? 'PAID' : 'OPEN',
+          ...(succeeded && { paidAt: new Date(), paymentId }),
+          'attempts.$[attempt].status': succeeded ? 'SUCCEEDED' : 'FAILED',
+          'attempts.$[attempt].reasonCode': reasonCode,
+        },
+      },
+      { new: true, arrayFilters: [{ 'attempt.paymentId': paymentId }] }
+    );
+    if (!updated) {
+      // Already resolved by the callback or the synchronous result
+      return { status: request.status, reference: request.reference };
+    }
+    if (!succeeded) {
+      return { status: 'FAILED', reference: request.reference, reasonCode };
+    }
+
+    await this.settle(updated, paymentId);
+    await audit({ id: null, role: 'system' }, 'payment_request:paid', {
+      paymentRequestId: updated._id,
+      reference: updated.reference,
+      paymentId,
+      amount: updated.amount,
+    });
+    await this.notifyTreasurer(updated);
+    return { status: 'PAID', reference: updated.reference };
+  }
+
+  /**
+   * Record what the money paid for under the request's reference.
+   */
+  async settle(request, paymentId) {
+    if (request.purpose === 'LOAN_REPAYMENT') {
+      try {
+        await this.loanWorkflow.recordRepayment(request.loanId, request.amount, request.reference);
+      } catch (err) {
+        logger.error('[PaymentRequestService] Repayment not applied; post it manually', {
+          reference: request.reference,
+          loanId: request.loanId,
+          error: err.message,
+        });
+      }
+      return;
+    }
+
+    const data = {
+      groupId: request.groupId,
+      userId: request.userId,
+      tenantId: request.tenantId,
+      amount: request.amount,
+      currency: request.currency,
+      date: new Date(),
+      reference: request.reference,
+      metadata: { source: 'PAYMENT_REQUEST', paymentRequestId: request._id, paymentId },
+    };
+    try {
+      const contribution = await Contribution.create(data);
+      await PaymentRequest.updateOne({ _id: request._id }, { $set: { contributionId: contribution._id } });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  /**
+   * Resolve requests waiting on an asynchronous provider result. Subscribe this
+   * to the payment module's event publisher (PaymentCompleted, PaymentFailed, ...).
+   * @returns {Promise<Object|null>} the applied result, or null if the event is not ours
+   */
+  async handlePaymentEvent(event) {
+    const outcome = FINAL_EVENTS[event?.eventType];
+    const paymentId = event?.data?.paymentId;
+    if (!outcome || !paymentId) return null;
+
+    const request = await PaymentRequest.findOne({ status: 'PROCESSING', 'attempts.paymentId': String(paymentId) });
+    if (!request) return null;
+    return this.applyOutcome(request, { outcome, reasonCode: event.data.reasonCode, paymentId: String(paymentId) });
+  }
+
+  /**
+   * Status for the public page to poll after starting a payment.
+   */
+  async status(token) {
+    const request = await this.fromToken(token);
+    const last = request.attempts[request.attempts.length - 1];
+    return { reference: request.reference, status: request.status, lastAttempt: last && { status: last.status, at: last.at } };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notifications
+  // ---------------------------------------------------------------------------
+
+  async notifyTreasurer(request) {
+    try {
+      await notificationService.send({
+        recipients: [request.createdBy],
+        type: notificationService.NOTIFICATION_TYPES.PAYMENT_REQUEST,
+        title: 'Payment request paid',
+        message: `${formatAmount(request)} was paid for request ${request.reference}.`,
+        payload: { paymentRequestId: request._id, groupId: request.groupId, reference: request.reference },
+        tenantId: request.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[PaymentRequestService] Treasurer notification failed', { reference: request.reference, error: err.message });
+    }
+  }
+}
+
+module.exports = new PaymentRequestService();
@@ -0,0 +1,317 @@
+/**
+ * Provider Routing Service
+ * Picks the mobile money rail for a payout and fails over between rails.
+ * Features:
+ * - Candidates are the member's wallets: the number on the payout, their
+ *   verified mobile money account and their profile phone, each on its network
+ * - The ReliabilityRoutingPolicy ranks them on live success rate and latency
+ *   (fed by every payout) and the SettlementReliabilityEngine's settlement
+ *   score (from disbursement batch history)
+ * - Calls run through the MTN/Airtel circuit breakers; open circuits are
+ *   skipped and a failed rail falls over to the member's next wallet
+ * - Tenants can override the mode, weights, preferred and disabled providers
+ * - Every decision is stored with its scores and reasons
+ */
+
+const mongoose = require('mongoose');
+const DisbursementBatch = require('../models/DisbursementBatch');
+const ProviderRoutingPolicy = require('../models/ProviderRoutingPolicy');
+const RoutingDecision = require('../models/RoutingDecision');
+const User = require('../models/User');
+const circuitBreaker = require('../middleware/Performance/circuitBreaker');
+const {
+  createSettlementReliabilityEngine,
+} = require('../modules/finance/statements/forecasting/SettlementReliabilityEngine');
+const ProviderRouter = require('../modules/payment/orchestration/providerRouter');
+const ReliabilityRoutingPolicy = require('../modules/payment/orchestration/routingPolicy');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const { detectProvider, normalizePhone } = require('../utils/mobileMoney');
+const airtelDisbursementService = require('./airtel/disbursements');
+const mtnDisbursementService = require('./mtn/disbursements');
+
+const audit = createAuditTrail('ProviderRoutingService');
+
+const POLICY_TTL_MS = 60 * 1000;
+// Batch line status → settlement status understood by the reliability engine
+const SETTLEMENT_STATUS = { sent: 'PENDING', paid: 'SETTLED', failed: 'FAILED' };
+
+class ProviderRoutingService {
+  constructor() {
+    this.reliabilityEngine = createSettlementReliabilityEngine({
+      dataProvider: { getSettlementHistory: (request) => this.settlementHistory(request) },
+      logger,
+    });
+    this.policy = new ReliabilityRoutingPolicy({
+      reliabilityEngine: this.reliabilityEngine,
+      circuitBreaker,
+      logger,
+    });
+    this.router = new ProviderRouter({
+      providers: { mtn: mtnDisbursementService, airtel: airtelDisbursementService },
+      routingPolicy: this.policy,
+      circuitBreaker,
+      logger,
+    });
+    // tenantId → { at, policy }
+    this.policies = new Map();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inputs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Payout history for the SettlementReliabilityEngine, from disbursement batch lines.
+   */
+  async settlementHistory({ tenantId, startDate, endDate, limit }) {
+    const rows = await DisbursementBatch.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(String(tenantId)), updatedAt: { $gte: startDate } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.status': { $in: Object.keys(SETTLEMENT_STATUS) } } },
+      {
+        $project: {
+          _id: 0,
+          provider: '$lines.provider',
+          status: '$lines.status',
+          amount: '$lines.amount',
+          initiatedAt: { $ifNull: ['$lines.sentAt', '$updatedAt'] },
+          completedAt: '$lines.paidAt',
+        },
+      },
+      { $match: { initiatedAt: { $lte: endDate } } },
+      { $limit: limit },
+    ]);
+    return rows.map((row) => ({
+      ...row,
+      status: SETTLEMENT_STATUS[row.status],
+      expectedAmount: row.amount,
+      settledAmount: row.status === 'paid' ? row.amount : 0,
+    }));
+  }
+
+  /**
+   * The tenant's override, cached briefly. Routing falls back to the
+   * default policy if the override cannot be read.
+   */
+  async tenantPolicy(tenantId) {
+    if (!tenantId) return {};
+    const key = String(tenantId);
+    const cached = this.policies.get(key);
+    if (cached && Date.now() - cached.at < POLICY_TTL_MS) {
+      return cached.policy;
+    }
+    let policy = {};
+    try {
+      const override = await ProviderRoutingPolicy.findOne({ tenantId })
+        .select('mode weights preferredProviders disabledProviders minScore failoverEnabled')
+        .lean();
+      policy = override ? { ...override, _id: undefined } : {};
+    } catch (err) {
+      logger.warn('[ProviderRoutingService] Routing policy unavailable; using defaults', { tenantId, error: err.message });
+    }
+    this.policies.set(key, { at: Date.now(), policy });
+    return policy;
+  }
+
+  /**
+   * Wallets a payout to the member can go to, the payout's own number first.
+   */
+  async memberWallets({ userId, phoneNumber, provider }) {
+    const wallets = [];
+    const add = (number, network, source) => {
+      const normalized = normalizePhone(number);
+      const resolved = network || detectProvider(normalized);
+      if (!normalized || !resolved || wallets.some((w) => w.phoneNumber === normalized)) return;
+      wallets.push({ provider: resolved, phoneNumber: normalized, source, primary: wallets.length === 0 });
+    };
+
+    add(phoneNumber, provider, 'PAYOUT');
+    if (userId) {
+      const user = await User.findById(userId).select('phone mobileMoney').lean();
+      if (user?.mobileMoney?.verified && ['mtn', 'airtel'].includes(user.mobileMoney.provider)) {
+        add(user.mobileMoney.accountNumber, user.mobileMoney.provider, 'MOBILE_MONEY_ACCOUNT');
+      }
+      add(user?.phone, null, 'PROFILE_PHONE');
+    }
+    return wallets;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Routing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Send a payout on the best rail, failing over to the member's other wallets.
+   * @param {Object} params - { tenantId, userId?, phoneNumber, provider?, amount, currency,
+   *   reference, source?, invoke: (adapter, wallet) => Promise }
+   * @returns {Promise<Object>} { result, wallet, decisionId }
+   * @throws the last provider error, with `decisionId`
+   */
+  async disburse({ tenantId, userId, phoneNumber, provider, amount, currency, reference, source, invoke }) {
+    const candidates = await this.memberWallets({ userId, phoneNumber, provider });
+    const policy = await this.tenantPolicy(tenantId);
+
+    try {
+      const { result, decision } = await this.router.executeWithFailover({
+        tenantId,
+        operation: 'disburse',
+        candidates,
+        policy,
+        maxAttempts: policy.failoverEnabled === false ? 1 : Infinity,
+        invoke: async (adapter, wallet) => {
+          try {
+            return await invoke(adapter, wallet);
+          } catch (err) {
+            // A rejected request (bad amount, limits) fails on every rail
+            if (err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429) err.failover = false;
+            throw err;
+          }
+        },
+      });
+      const decisionId = await this.recordDecision(decision, { tenantId, userId, amount, currency, reference, source });
+      return { result, wallet: decision.chosen, decisionId };
+    } catch (err) {
+      if (err.decision) {
+        err.decisionId = await this.recordDecision(err.decision, { tenantId, userId, amount, currency, reference, source });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Store why the payout went where it did. Never fails the payout.
+   */
+  async recordDecision(decision, { tenantId, userId, amount, currency, reference, source }) {
+    try {
+      const record = await RoutingDecision.create({
+        tenantId,
+        operation: decision.operation,
+        reference,
+        userId,
+        amount,
+        currency,
+        source,
+        policy: decision.policy,
+        candidates: [
+          ...decision.ranked,
+          ...decision.excluded.map((candidate) => ({ ...candidate, excluded: true })),
+        ].map(({ provider, phoneNumber, source: walletSource, score, components, circuit, excluded, reasons }) => ({
+          provider,
+          phoneNumber,
+          source: walletSource,
+          score,
+          components,
+          circuit,
+          excluded,
+          reasons,
+        })),
+        attempts: decision.attempts.map(({ rank, ...attempt }) => ({ ...attempt, phoneNumber: decision.ranked[rank]?.phoneNumber })),
+        chosen: decision.chosen && { provider: decision.chosen.provider, phoneNumber: decision.chosen.phoneNumber },
+        failover: Boolean(decision.failover),
+        outcome: decision.chosen ? 'ROUTED' : 'EXHAUSTED',
+      });
+      return record?._id;
+    } catch (err) {
+      logger.warn('[ProviderRoutingService] Routing decision not recorded', { reference, error: err.message });
+      return undefined;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Administration
+  // ---------------------------------------------------------------------------
+
+  assertTenant(tenantId) {
+    if (!tenantId) {
+      throw new AppError('Tenant ID is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+  }
+
+  /**
+   * The tenant's override and the policy it resolves to.
+   */
+  async getPolicy(tenantId) {
+    this.assertTenant(tenantId);
+    const override = await ProviderRoutingPolicy.findOne({ tenantId }).lean();
+    return { override, effective: ReliabilityRoutingPolicy.resolvePolicy(override) };
+  }
+
+  /**
+   * Create or replace the tenant's override.
+   * @param {Object} payload - { mode?, weights?, preferredProviders?, disabledProviders?,
+   *   minScore?, failoverEnabled? }
+   */
+  async updatePolicy(tenantId, payload, user) {
+    this.assertTenant(tenantId);
+    const disabled = payload.disabledProviders || [];
+    if (ProviderRoutingPolicy.PROVIDERS.every((p) => disabled.includes(p))) {
+      throw new AppError('At least one provider must stay enabled', 400, errorCodes.VALIDATION_ERROR);
+    }
+    if ((payload.preferredProviders || []).some((p) => disabled.includes(p))) {
+      throw new AppError('A provider cannot be both preferred and disabled', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const override = await ProviderRoutingPolicy.findOneAndUpdate(
+      { tenantId },
+      {
+        $set: {
+          mode: payload.mode,
+          weights: payload.weights,
+          preferredProviders: payload.preferredProviders || [],
+          disabledProviders: disabled,
+          minScore: payload.minScore,
+          failoverEnabled: payload.failoverEnabled !== false,
+          updatedBy: user.id,
+        },
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    this.policies.delete(String(tenantId));
+
+    await audit(user, 'payment_routing:policy_updated', { tenantId, policy: payload });
+    return { override, effective: ReliabilityRoutingPolicy.resolvePolicy(override) };
+  }
+
+  /**
+   * Live stats, circuit state and settlement score per provider, and how a
+   * payout would be ranked right now.
+   */
+  async providerStatus(tenantId) {
+    this.assertTenant(tenantId);
+    const policy = await this.tenantPolicy(tenantId);
+    const candidates = this.router.list().map((provider) => ({ provider }));
+    const [settlement, ranking] = await Promise.all([
+      this.policy.settlementScores(tenantId),
+      this.router.route({ tenantId, operation: 'disburse', candidates, policy }),
+    ]);
+    return {
+      providers: this.router.list().map((provider) => ({
+        provider,
+        live: this.policy.liveStats(provider, tenantId),
+        circuit: this.policy.circuitState(provider),
+        settlement: settlement[provider] || null,
+      })),
+      ranking: ranking.ranked.map(({ provider, score, components, reasons }) => ({ provider, score, components, reasons })),
+      excluded: ranking.excluded.map(({ provider, reasons }) => ({ provider, reasons })),
+      policy: ReliabilityRoutingPolicy.resolvePolicy(policy),
+    };
+  }
+
+  /**
+   * Recent routing decisions. Query: { provider?, outcome?, failover?, reference?, limit? }
+   */
+  async listDecisions(tenantId, { provider, outcome, failover, reference, limit = 50 } = {}) {
+    this.assertTenant(tenantId);
+    const query = { tenantId };
+    if (provider) query['chosen.provider'] = provider;
+    if (outcome) query.outcome = outcome;
+    if (failover !== undefined) query.failover = failover;
+    if (reference) query.reference = reference;
+    return RoutingDecision.find(query).sort({ createdAt: -1 }).limit(Math.min(limit, 200)).lean();
+  }
+}
+
+module.exports = new ProviderRoutingService();
@@ -35,7 +35,8 @@ const REPORT_TYPES = {
   FRAUD: "FRAUD",
   BILLING: "BILLING",
   SETTLEMENTS: "SETTLEMENTS",
-  AUDIT: "AUDIT"
+  AUDIT: "AUDIT",
+  SHARE_OUT: "SHARE_OUT"
 };
 
 const EXPORT_ROOT =
@@ -0,0 +1,781 @@
+/**
+ * Rotation Service
+ * Runs rotating savings ("merry-go-round" / ROSCA) cycles for a group.
+ * Features:
+ * - Cycle definition with payout order, frequency and pot amount
+ * - Per-round contribution collection and pot release
+ * - Turn swaps, emergency turn requests and deferral of defaulters
+ * - Round history recorded against the group
+ */
+
+const RotationCycle = require('../models/RotationCycle');
+const RotationRound = require('../models/RotationRound');
+const Transaction = require('../models/Transaction');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertOfficer, isGroupMember, isGroupOfficer, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+const walletService = require('./walletService');
+
+const audit = createAuditTrail('RotationService');
+
+const COLLECTING_STATUSES = ['collecting', 'ready'];
+const CONFIRMED_PAYMENT_STATUSES = ['SUCCESS', 'SETTLED'];
+// A release claim older than this belongs to a release that died part-way
+const RELEASE_LEASE_MS = 10 * 60 * 1000;
+
+class RotationService {
+  /**
+   * Advance a date by a number of rotation periods.
+   * @param {Date|string} date
+   * @param {string} frequency - weekly | biweekly | monthly
+   * @param {number} count
+   * @returns {Date}
+   */
+  addPeriod(date, frequency, count = 1) {
+    const next = new Date(date);
+    if (frequency === 'weekly') {
+      next.setUTCDate(next.getUTCDate() + 7 * count);
+    } else if (frequency === 'biweekly') {
+      next.setUTCDate(next.getUTCDate() + 14 * count);
+    } else {
+      next.setUTCMonth(next.getUTCMonth() + count);
+    }
+    return next;
+  }
+
+  /**
+   * Build the round calendar for a payout order.
+   * @param {Object} params
+   * @param {Array<{userId: any, position: number}>} params.payoutOrder
+   * @param {Date|string} params.startDate
+   * @param {string} params.frequency
+   * @returns {Array<{roundNumber: number, recipientId: any, dueDate: Date}>}
+   */
+  buildRoundSchedule({ payoutOrder, startDate, frequency }) {
+    return [...payoutOrder]
+      .sort((a, b) => a.position - b.position)
+      .map((slot, index) => ({
+        roundNumber: index + 1,
+        recipientId: slot.userId,
+        dueDate: this.addPeriod(startDate, frequency, index),
+      }));
+  }
+
+  /**
+   * Re-sequence the unreleased part of a payout order.
+   * Slots before `currentRound` have already been paid and never move.
+   *
+   * @param {Array} payoutOrder - slots with userId/position/status
+   * @param {number} currentRound
+   * @param {(remaining: Array) => Array} reorder - returns the new remaining order
+   * @returns {Array} new payout order with positions renumbered
+   */
+  resequence(payoutOrder, currentRound, reorder) {
+    const slots = [...payoutOrder]
+      .map((slot) => (typeof slot.toObject === 'function' ? slot.toObject() : { ...slot }))
+      .sort((a, b) => a.position - b.position);
+    const fixed = slots.filter((slot) => slot.position < currentRound);
+    const remaining = reorder(slots.filter((slot) => slot.position >= currentRound));
+
+    return [...fixed, ...remaining].map((slot, index) => ({ ...slot, position: index + 1 }));
+  }
+
+  /**
+   * Swap the turns of two members who have not yet received the pot.
+   */
+  swapSlots(payoutOrder, currentRound, userA, userB) {
+    return this.resequence(payoutOrder, currentRound, (remaining) => {
+      const a = remaining.findIndex((slot) => slot.userId.toString() === String(userA));
+      const b = remaining.findIndex((slot) => slot.userId.toString() === String(userB));
+      if (a === -1 || b === -1) {
+        throw new AppError(
+          'Both members must still be waiting for their turn',
+          409,
+          errorCodes.ROTATION_INVALID_STATE
+        );
+      }
+      const next = [...remaining];
+      [next[a], next[b]] = [next[b], next[a]];
+      return next;
+    });
+  }
+
+  /**
+   * Move a waiting member to the current round (emergency turn).
+   */
+  moveToFront(payoutOrder, currentRound, userId) {
+    return this.resequence(payoutOrder, currentRound, (remaining) => {
+      const index = remaining.findIndex((slot) => slot.userId.toString() === String(userId));
+      if (index === -1) {
+        throw new AppError(
+          'Member has already received the pot',
+          409,
+          errorCodes.ROTATION_INVALID_STATE
+        );
+      }
+      const [slot] = remaining.splice(index, 1);
+      return [slot, ...remaining];
+    });
+  }
+
+  /**
+   * Move a waiting member to the last round (used when deferring a defaulter).
+   */
+  moveToBack(payoutOrder, currentRound, userId) {
+    return this.resequence(payoutOrder, currentRound, (remaining) => {
+      const index = remaining.findIndex((slot) => slot.userId.toString() === String(userId));
+      if (index === -1) {
+        throw new AppError(
+          'Member has already received the pot',
+          409,
+          errorCodes.ROTATION_INVALID_STATE
+        );
+      }
+      const [slot] = remaining.splice(index, 1);
+      return [...remaining, { ...slot, status: 'deferred', deferredCount: (slot.deferredCount || 0) + 1 }];
+    });
+  }
+
+  async loadCycle(groupId, cycleId) {
+    const cycle = await RotationCycle.findOne({ _id: cycleId, groupId });
+    if (!cycle) {
+      throw new AppError('Rotation cycle not found', 404, errorCodes.ROTATION_NOT_FOUND);
+    }
+    return cycle;
+  }
+
+  assertActive(cycle) {
+    if (cycle.status !== 'active') {
+      throw new AppError(
+        `Rotation cycle is ${cycle.status}`,
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      );
+    }
+  }
+
+  /**
+   * Create a cycle and its full round calendar.
+   * @param {string} groupId
+   * @param {Object} payload - { name, frequency, contributionAmount, potAmount?, startDate, payoutOrder? }
+   * @param {Object} user - authenticated user
+   */
+  async createCycle(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage rotations');
+
+    const existing = await RotationCycle.findOne({ groupId, status: 'active' }).select('_id').lean();
+    if (existing) {
+      throw new AppError(
+        'Group already has an active rotation cycle',
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      );
+    }
+
+    const order = (payload.payoutOrder && payload.payoutOrder.length
+      ? payload.payoutOrder
+      : group.members
+    ).map(String);
+
+    if (new Set(order).size !== order.length) {
+      throw new AppError('Payout order contains duplicate members', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const outsiders = order.filter((id) => !isGroupMember(group, id));
+    if (outsiders.length) {
+      throw new AppError('Payout order includes non-members', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const contributionAmount = Number(payload.contributionAmount);
+    const potAmount = payload.potAmount != null
+      ? Number(payload.potAmount)
+      : contributionAmount * order.length;
+
+    const cycle = await RotationCycle.create({
+      groupId,
+      tenantId: user.tenantId,
+      name: payload.name,
+      frequency: payload.frequency || 'monthly',
+      contributionAmount,
+      potAmount,
+      currency: payload.currency,
+      startDate: new Date(payload.startDate),
+      payoutOrder: order.map((userId, index) => ({ userId, position: index + 1 })),
+      totalRounds: order.length,
+      createdBy: user.id,
+    });
+
+    const rounds = await RotationRound.insertMany(
+      this.buildRoundSchedule(cycle).map((round) => ({
+        ...round,
+        cycleId: cycle._id,
+        groupId,
+        tenantId: cycle.tenantId,
+        expectedAmount: potAmount,
+        status: round.roundNumber === 1 ? 'collecting' : 'scheduled',
+      }))
+    );
+
+    await audit(user, 'rotation:cycle_created', {
+      groupId,
+      cycleId: cycle._id,
+      totalRounds: cycle.totalRounds,
+      potAmount,
+    });
+
+    logger.info('[RotationService] Cycle created', {
+      groupId,
+      cycleId: cycle._id.toString(),
+      rounds: rounds.length,
+    });
+
+    return { cycle, rounds };
+  }
+
+  async listCycles(groupId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    return RotationCycle.find({ groupId }).sort({ createdAt: -1 }).lean();
+  }
+
+  async getCycle(groupId, cycleId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    const cycle = await this.loadCycle(groupId, cycleId);
+    const rounds = await RotationRound.find({ cycleId }).sort({ roundNumber: 1 }).lean();
+    return { cycle, rounds };
+  }
+
+  /**
+   * Check that a member may pay into a round, before any money is booked.
+   * @param {Object} params - { roundId, userId }
+   * @returns {Promise<Object>} { round, cycle }
+   */
+  async assertCanContribute({ roundId, userId }) {
+    const round = await RotationRound.findById(roundId);
+    if (!round) {
+      throw new AppError('Rotation round not found', 404, errorCodes.ROTATION_NOT_FOUND);
+    }
+    if (!COLLECTING_STATUSES.includes(round.status)) {
+      throw new AppError(
+        `Round ${round.roundNumber} is not collecting contributions`,
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      );
+    }
+
+    const cycle = await RotationCycle.findById(round.cycleId);
+    if (!cycle || !cycle.hasMember(userId)) {
+      throw new AppError('Member is not part of this rotation', 403, errorCodes.FORBIDDEN);
+    }
+    return { round, cycle };
+  }
+
+  /**
+   * The member's own provider-confirmed payment behind a contribution. Pots
+   * are only credited from these, never from an amount the caller states.
+   * @param {Object} params - { reference, userId, roundId }
+   * @returns {Promise<Object>} the payment transaction
+   */
+  async findConfirmedPayment({ reference, userId, roundId }) {
+    if (!reference) {
+      throw new AppError('A payment reference is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const payment = await Transaction.findOne({
+      $or: [{ externalId: reference }, { providerReferenceId: reference }],
+      status: { $in: CONFIRMED_PAYMENT_STATUSES },
+    }).lean();
+    if (!payment || !payment.userId || payment.userId.toString() !== String(userId)) {
+      throw new AppError(
+        'No confirmed payment found for this reference',
+        402,
+        errorCodes.PAYMENT_NOT_CONFIRMED
+      );
+    }
+
+    // One payment pays into one round; the round itself ignores repeats
+    const creditedElsewhere = await RotationRound.exists({
+      _id: { $ne: roundId },
+      'contributions.reference': reference,
+    });
+    if (creditedElsewhere) {
+      throw new AppError(
+        'Payment has already been credited to another round',
+        409,
+        errorCodes.DUPLICATE_TRANSACTION
+      );
+    }
+    return payment;
+  }
+
+  /**
+   * Record a member's payment into the round currently collecting.
+   * Called from the contribution flow; a repeated reference is a no-op.
+   * The pot is updated with one atomic $push/$inc so concurrent payments all count.
+   * @param {Object} params - { roundId, userId, amount, reference?, contributionId? }
+   */
+  async recordContribution({ roundId, userId, amount, reference, contributionId }) {
+    const { round, cycle } = await this.assertCanContribute({ roundId, userId });
+    if (reference && round.contributions.some((c) => c.reference === reference)) {
+      return round;
+    }
+
+    const filter = { _id: round._id, status: { $in: COLLECTING_STATUSES } };
+    if (reference) filter['contributions.reference'] = { $ne: reference };
+
+    let updated = await RotationRound.findOneAndUpdate(
+      filter,
+      {
+        $push: { contributions: { userId, amount: Number(amount), reference, contributionId } },
+        $inc: { collectedAmount: Number(amount) },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // The same reference landed concurrently, or the round stopped collecting
+      const current = await RotationRound.findById(round._id);
+      if (reference && current?.contributions.some((c) => c.reference === reference)) {
+        return current;
+      }
+      throw new AppError(
+        `Round ${round.roundNumber} is not collecting contributions`,
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      );
+    }
+
+    if (updated.status === 'collecting' && updated.collectedAmount >= updated.expectedAmount) {
+      updated =
+        (await RotationRound.findOneAndUpdate(
+          { _id: updated._id, status: 'collecting' },
+          { $set: { status: 'ready' } },
+          { new: true }
+        )) || updated;
+    }
+
+    logger.info('[RotationService] Round contribution recorded', {
+      cycleId: cycle._id.toString(),
+      roundNumber: updated.roundNumber,
+      userId: String(userId),
+      amount,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Release the current round's pot to its scheduled recipient and open the next round.
+   * Safe to call again after a failure: a release that died part-way is picked
+   * up where it stopped once its claim goes stale, and the recipient is never
+   * credited twice.
+   * @param {Object} options - { allowPartial?: boolean }
+   */
+  async releasePot(groupId, cycleId, user, options = {}) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage rotations');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertActive(cycle);
+
+    let round = await this.claimRound(cycle, options);
+    if (round.status !== 'released') {
+      round.defaulters = cycle.payoutOrder
+        .filter((slot) => round.paidBy(slot.userId) < cycle.contributionAmount)
+        .map((slot) => slot.userId);
+
+      await this.payRecipient(cycle, round);
+      const released = await RotationRound.findOneAndUpdate(
+        { _id: round._id, status: 'releasing', 'payout.claimedAt': round.payout.claimedAt },
+        {
+          $set: {
+            status: 'released',
+            defaulters: round.defaulters,
+            'payout.amount': round.collectedAmount,
+            'payout.releasedAt': new Date(),
+            'payout.releasedBy': user.id,
+          },
+        },
+        { new: true }
+      );
+      if (!released) {
+        // Our claim went stale and another release took the round over
+        throw new AppError('Round release was taken over', 409, errorCodes.ROTATION_INVALID_STATE);
+      }
+      round = released;
+    }
+
+    if (!(await this.advanceCycle(cycle, round))) {
+      return { cycle, round };
+    }
+
+    await audit(user, 'rotation:pot_released', {
+      groupId,
+      cycleId,
+      roundNumber: round.roundNumber,
+      recipientId: round.recipientId,
+      amount: round.collectedAmount,
+      channel: round.payout.channel,
+      needsReconciliation: round.payout.needsReconciliation,
+      defaulters: round.defaulters,
+    });
+
+    try {
+      await notificationService.send({
+        recipients: [round.recipientId],
+        type: notificationService.NOTIFICATION_TYPES.ROTATION_PAYOUT,
+        title: 'Merry-go-round payout',
+        message: `Your ${cycle.currency} ${round.collectedAmount} payout from ${group.name} has been released.`,
+        payload: { groupId, cycleId, roundNumber: round.roundNumber },
+        tenantId: cycle.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[RotationService] Payout notification failed', { cycleId, error: err.message });
+    }
+
+    return { cycle, round };
+  }
+
+  /**
+   * Claim the current round for release. A concurrent release finds it
+   * 'releasing' and stops, so the pot is paid out once; a claim older than
+   * RELEASE_LEASE_MS belongs to a release that died and is taken over.
+   * A round already released whose cycle never advanced is returned as is.
+   * @returns {Promise<Object>} the round, with payout.claimedAt set when claimed
+   */
+  async claimRound(cycle, options = {}) {
+    const claimedAt = new Date();
+    const claimed = await RotationRound.findOneAndUpdate(
+      {
+        cycleId: cycle._id,
+        roundNumber: cycle.currentRound,
+        $or: [
+          { status: { $in: COLLECTING_STATUSES } },
+          {
+            status: 'releasing',
+            'payout.claimedAt': { $not: { $gte: new Date(claimedAt.getTime() - RELEASE_LEASE_MS) } },
+          },
+        ],
+      },
+      { $set: { status: 'releasing', 'payout.claimedAt': claimedAt } }
+    );
+
+    if (!claimed) {
+      const current = await RotationRound.findOne({ cycleId: cycle._id, roundNumber: cycle.currentRound });
+      if (current?.status === 'released') {
+        return current;
+      }
+      throw new AppError(
+        current?.status === 'releasing'
+          ? 'Current round is already being released'
+          : 'Current round cannot be released',
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      );
+    }
+
+    const resumed = claimed.status === 'releasing';
+    if (resumed) {
+      logger.warn('[RotationService] Resuming a stalled round release', {
+        cycleId: cycle._id.toString(),
+        roundNumber: claimed.roundNumber,
+      });
+    }
+
+    // Nothing has been paid yet, so an incomplete pot can still go back to collecting
+    const depositStarted = Boolean(claimed.payout?.depositStartedAt);
+    if (!depositStarted && claimed.collectedAmount < claimed.expectedAmount && !options.allowPartial) {
+      await RotationRound.updateOne(
+        { _id: claimed._id, status: 'releasing', 'payout.claimedAt': claimedAt },
+        { $set: { status: resumed ? 'collecting' : claimed.status }, $unset: { 'payout.claimedAt': 1 } }
+      );
+      throw new AppError(
+        `Round ${claimed.roundNumber} has collected ${claimed.collectedAmount} of ${claimed.expectedAmount}`,
+        422,
+        errorCodes.ROTATION_POT_INCOMPLETE
+      );
+    }
+
+    claimed.status = 'releasing';
+    if (!claimed.payout) claimed.payout = {};
+    claimed.payout.claimedAt = claimedAt;
+    return claimed;
+  }
+
+  /**
+   * Credit the recipient's wallet when they have one; otherwise the payout is
+   * recorded for the treasurer to settle manually. The deposit reference is
+   * keyed on the round, and the attempt is marked on the round before the
+   * wallet is touched: a resumed release that finds the mark without an
+   * outcome hands the payout to the treasurer to reconcile instead of paying again.
+   * @returns {Promise<Object>} { channel, reference, needsReconciliation? }
+   */
+  async payRecipient(cycle, round) {
+    const reference = `ROSCA-${round._id}`;
+    if (round.payout?.channel) {
+      return { channel: round.payout.channel, reference };
+    }
+
+    const settle = async (payout) => {
+      await RotationRound.updateOne(
+        { _id: round._id, status: 'releasing', 'payout.claimedAt': round.payout.claimedAt },
+        {
+          $set: {
+            'payout.channel': payout.channel,
+            'payout.needsReconciliation': Boolean(payout.needsReconciliation),
+          },
+        }
+      );
+      return payout;
+    };
+
+    const wallet = await walletService.getWallet(round.recipientId, cycle.tenantId).catch((err) => {
+      logger.warn('[RotationService] Recipient wallet lookup failed, falling back to manual', {
+        cycleId: cycle._id.toString(),
+        roundNumber: round.roundNumber,
+        error: err.message,
+      });
+      return null;
+    });
+    if (!wallet) {
+      return settle({ channel: 'MANUAL', reference });
+    }
+
+    const marked = await RotationRound.findOneAndUpdate(
+      {
+        _id: round._id,
+        status: 'releasing',
+        'payout.claimedAt': round.payout.claimedAt,
+        'payout.depositStartedAt': { $exists: false },
+      },
+      { $set: { 'payout.reference': reference, 'payout.depositStartedAt': new Date() } }
+    );
+    if (!marked) {
+      logger.error('[RotationService] Earlier wallet payout has no recorded outcome', {
+        cycleId: cycle._id.toString(),
+        roundNumber: round.roundNumber,
+        reference,
+      });
+      return settle({ channel: 'MANUAL', reference, needsReconciliation: true });
+    }
+
+    try {
+      await walletService.deposit({
+        walletId: wallet._id,
+        amount: round.collectedAmount,
+        reference,
+        channel: 'ROSCA',
+        metadata: { groupId: cycle.groupId, cycleId: cycle._id, roundNumber: round.roundNumber },
+      });
+    } catch (err) {
+      // The wallet may have been credited before the error surfaced
+      logger.error('[RotationService] Wallet payout failed, settle manually after reconciling', {
+        cycleId: cycle._id.toString(),
+        roundNumber: round.roundNumber,
+        reference,
+        error: err.message,
+      });
+      return settle({ channel: 'MANUAL', reference, needsReconciliation: true });
+    }
+    return settle({ channel: 'WALLET', reference });
+  }
+
+  /**
+   * Mark the released round's slot paid and move the cycle on to the next
+   * round. Does nothing when the cycle has already moved past the round.
+   * @returns {Promise<boolean>} true when this call advanced the cycle
+   */
+  async advanceCycle(cycle, round) {
+    if (cycle.currentRound !== round.roundNumber) {
+      return false;
+    }
+
+    const slot = cycle.slotFor(round.recipientId);
+    if (slot) slot.status = 'paid';
+
+    if (cycle.currentRound >= cycle.totalRounds) {
+      cycle.status = 'completed';
+      cycle.completedAt = new Date();
+    } else {
+      cycle.currentRound += 1;
+      await RotationRound.updateOne(
+        { cycleId: cycle._id, roundNumber: cycle.currentRound, status: 'scheduled' },
+        { $set: { status: 'collecting' } }
+      );
+    }
+    await cycle.save();
+    return true;
+  }
+
+  /**
+   * Persist a new payout order and re-point the unreleased rounds at it.
+   */
+  async applyOrder(cycle, payoutOrder) {
+    cycle.payoutOrder = payoutOrder;
+    await cycle.save();
+
+    const ops = payoutOrder
+      .filter((slot) => slot.position >= cycle.currentRound)
+      .map((slot) => ({
+        updateOne: {
+          filter: {
+            cycleId: cycle._id,
+            roundNumber: slot.position,
+            status: { $in: ['scheduled', ...COLLECTING_STATUSES] },
+          },
+          update: { $set: { recipientId: slot.userId } },
+        },
+      }));
+    if (ops.length) {
+      await RotationRound.bulkWrite(ops);
+    }
+    return cycle;
+  }
+
+  /**
+   * Officer-initiated swap of two members' turns.
+   */
+  async swapTurns(groupId, cycleId, user, { userA, userB }) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage rotations');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertActive(cycle);
+
+    await this.applyOrder(cycle, this.swapSlots(cycle.payoutOrder, cycle.currentRound, userA, userB));
+    await audit(user, 'rotation:turns_swapped', { groupId, cycleId, userA, userB });
+    return cycle;
+  }
+
+  /**
+   * Member request for a swap (with `targetUserId`) or an emergency turn.
+   */
+  async requestTurnChange(groupId, cycleId, user, { type, targetUserId, reason }) {
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertActive(cycle);
+    const slot = cycle.slotFor(user.id);
+    if (!slot) {
+      throw new AppError('You are not part of this rotation', 403, errorCodes.FORBIDDEN);
+    }
+    if (slot.position < cycle.currentRound) {
+      throw new AppError('You have already received the pot', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+    if (type === 'swap' && !cycle.hasMember(targetUserId)) {
+      throw new AppError('Swap target is not part of this rotation', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const pending = cycle.turnRequests.some(
+      (r) => r.requestedBy.toString() === String(user.id) && r.status === 'pending'
+    );
+    if (pending) {
+      throw new AppError('You already have a pending turn request', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+
+    cycle.turnRequests.push({
+      type,
+      requestedBy: user.id,
+      targetUserId: type === 'swap' ? targetUserId : undefined,
+      reason,
+    });
+    await cycle.save();
+
+    await audit(user, `rotation:${type}_requested`, { groupId, cycleId, targetUserId, reason });
+    return cycle.turnRequests[cycle.turnRequests.length - 1];
+  }
+
+  /**
+   * Approve or reject a pending turn request. Approval applies the change.
+   */
+  async decideTurnRequest(groupId, cycleId, requestId, user, { approve, note }) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage rotations');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertActive(cycle);
+
+    const request = cycle.turnRequests.id(requestId);
+    if (!request) {
+      throw new AppError('Turn request not found', 404, errorCodes.ROTATION_NOT_FOUND);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError(`Turn request is already ${request.status}`, 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+
+    const order = approve && (request.type === 'swap'
+      ? this.swapSlots(cycle.payoutOrder, cycle.currentRound, request.requestedBy, request.targetUserId)
+      : this.moveToFront(cycle.payoutOrder, cycle.currentRound, request.requestedBy));
+
+    request.status = approve ? 'approved' : 'rejected';
+    request.decidedBy = user.id;
+    request.decidedAt = new Date();
+    request.decisionNote = note;
+
+    if (order) {
+      await this.applyOrder(cycle, order);
+    } else {
+      await cycle.save();
+    }
+    await audit(user, `rotation:${request.type}_${request.status}`, {
+      groupId,
+      cycleId,
+      requestId,
+      requestedBy: request.requestedBy,
+    });
+    return request;
+  }
+
+  /**
+   * Defer the current round's recipient to the end of the order because they
+   * are behind on their own contributions.
+   */
+  async skipDefaulter(groupId, cycleId, user, { reason } = {}) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage rotations');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertActive(cycle);
+
+    if (cycle.currentRound >= cycle.totalRounds) {
+      throw new AppError('The last round cannot be deferred', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+
+    // Once a release has claimed the round its recipient is being paid
+    const round = await RotationRound.findOne({ cycleId, roundNumber: cycle.currentRound });
+    if (!round || !COLLECTING_STATUSES.includes(round.status)) {
+      throw new AppError('Current round is no longer collecting', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+    const recipientId = round.recipientId;
+    const pastDefaults = await RotationRound.countDocuments({
+      cycleId,
+      status: 'released',
+      defaulters: recipientId,
+    });
+    const owesCurrent = round.paidBy(recipientId) < cycle.contributionAmount;
+    if (!pastDefaults && !owesCurrent) {
+      throw new AppError('Scheduled recipient is up to date', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+
+    const deferred = await RotationRound.findOneAndUpdate(
+      { _id: round._id, status: { $in: COLLECTING_STATUSES } },
+      { $push: { skippedRecipients: recipientId } }
+    );
+    if (!deferred) {
+      throw new AppError('Current round is no longer collecting', 409, errorCodes.ROTATION_INVALID_STATE);
+    }
+    await this.applyOrder(cycle, this.moveToBack(cycle.payoutOrder, cycle.currentRound, recipientId));
+
+    await audit(user, 'rotation:defaulter_skipped', {
+      groupId,
+      cycleId,
+      roundNumber: round.roundNumber,
+      recipientId,
+      pastDefaults,
+      reason,
+    });
+    return { cycle, skipped: recipientId };
+  }
+}
+
+module.exports = new RotationService();
@@ -0,0 +1,759 @@
+/**
+ * Savings Cycle Service
+ * VSLA savings cycles and the end-of-cycle share-out.
+ * Features:
+ * - One open cycle per group; contributions dated inside it count towards it
+ * - Close-out wizard: preview, prepare, officer sign-off, close
+ * - Outstanding loans block the close-out, or are netted against the
+ *   borrower's share-out when the group chooses to
+ * - Profit (loan interest and fines collected in the cycle) shared in
+ *   proportion to savings or share-months
+ * - The signed share-out report is sealed with an HMAC and exported as PDF
+ * - Carried-forward balances open the next cycle
+ * - An interrupted close-out stays `finalizing` and can be resumed
+ */
+
+const crypto = require('crypto');
+const Contribution = require('../models/Contribution');
+const Fine = require('../models/Fine');
+const LedgerEntry = require('../models/LedgerEntry');
+const Loan = require('../models/Loan');
+const LoanAudit = require('../models/LoanAudit');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
+const SavingsCycle = require('../models/SavingsCycle');
+const { shareMonths, interestPaid, allocate } = require('../modules/finance/services/dividendAllocationService');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { assertOfficer, isGroupMember, isGroupOfficer, loadGroup, OFFICER_ROLES } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const guarantorService = require('./guarantorService');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+const reportExportService = require('./reportExportService');
+
+const audit = createAuditTrail('SavingsCycleService');
+
+// Loan statuses with money still owed to the group
+const OPEN_LOAN_STATUSES = ['disbursed', 'active', 'overdue', 'defaulted', 'restructured'];
+const REQUIRED_SIGNATURES = Math.max(1, Number(process.env.SHARE_OUT_REQUIRED_SIGNATURES || 2));
+// A finalizing run that has not finished after this long is treated as interrupted
+const FINALIZE_LEASE_MS = Number(process.env.SHARE_OUT_FINALIZE_LEASE_MS || 10 * 60 * 1000);
+const TOTAL_KEYS = ['savings', 'openingBalances', 'interestIncome', 'fineIncome', 'profit', 'loansNetted', 'carryForward', 'payout'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sum = (items, pick) => round2(items.reduce((acc, item) => acc + Number(pick(item) || 0), 0));
+const signingSecret = () => process.env.SHARE_OUT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+class SavingsCycleService {
+  /**
+   * Officer role recorded against a signature.
+   */
+  officerRole(group, user) {
+    const entry = (group.memberRoles || []).find((r) => r.userId?.toString() === String(user.id));
+    if (entry && OFFICER_ROLES.includes(entry.role)) return entry.role;
+    if (group.createdBy && group.createdBy.toString() === String(user.id)) return 'chairperson';
+    return user.role;
+  }
+
+  async loadCycle(groupId, cycleId) {
+    const cycle = await SavingsCycle.findOne({ _id: cycleId, groupId });
+    if (!cycle) {
+      throw new AppError('Savings cycle not found', 404, errorCodes.CYCLE_NOT_FOUND);
+    }
+    return cycle;
+  }
+
+  assertStatus(cycle, status) {
+    if (cycle.status !== status) {
+      throw new AppError(`Savings cycle is ${cycle.status}`, 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cycles
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Open a group's next cycle. The first cycle of a group that already holds
+   * savings can be given opening balances.
+   * @param {Object} payload - { name?, startDate?, currency?, openingBalances?: [{userId, amount}] }
+   */
+  async startCycle(groupId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+
+    const [open, last] = await Promise.all([
+      SavingsCycle.findOne({ groupId, status: { $in: ['active', 'closing', 'finalizing'] } }).select('_id').lean(),
+      SavingsCycle.findOne({ groupId }).sort({ cycleNumber: -1 }).select('cycleNumber').lean(),
+    ]);
+    if (open) {
+      throw new AppError('Group already has an open savings cycle', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+
+    const openingBalances = payload.openingBalances || [];
+    const outsiders = openingBalances.filter((b) => !isGroupMember(group, b.userId));
+    if (outsiders.length) {
+      throw new AppError('Opening balances include non-members', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    let cycle;
+    try {
+      cycle = await SavingsCycle.create({
+        groupId,
+        tenantId: user.tenantId,
+        cycleNumber: (last?.cycleNumber || 0) + 1,
+        name: payload.name,
+        currency: payload.currency,
+        startDate: payload.startDate ? new Date(payload.startDate) : new Date(),
+        openingBalances,
+        createdBy: user.id,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new AppError('Group already has an open savings cycle', 409, errorCodes.CYCLE_INVALID_STATE);
+      }
+      throw err;
+    }
+
+    await audit(user, 'savings_cycle:started', { groupId, cycleId: cycle._id, cycleNumber: cycle.cycleNumber });
+    return cycle;
+  }
+
+  async listCycles(groupId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    return SavingsCycle.find({ groupId })
+      .select('-closeOut.lines -closeOut.loans')
+      .sort({ cycleNumber: -1 })
+      .lean();
+  }
+
+  async getCycle(groupId, cycleId, user) {
+    const group = await loadGroup(groupId);
+    if (!isGroupMember(group, user.id) && !isGroupOfficer(group, user)) {
+      throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+    }
+    return this.loadCycle(groupId, cycleId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Share-out computation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Interest on a schedule that is still to be paid. Payments settle interest
+   * before principal, so an installment's paid amount reduces its interest first.
+   */
+  interestDue(schedule) {
+    return sum(
+      (schedule?.installments || []).filter((i) => !['paid', 'forgiven'].includes(i.status)),
+      (i) => Math.max(0, i.interest - (i.paidAmount || 0))
+    );
+  }
+
+  /**
+   * Compute the share-out of a cycle ending at `endDate`.
+   *
+   * Each member's gross is opening balance + savings in the cycle + share of
+   * profit. Outstanding loans are listed as blockers under the `block` policy;
+   * under `net` they are deducted from the borrower's gross (interest still to
+   * be paid counts towards profit). A member whose gross does not cover their
+   * loans is a blocker under either policy.
+   *
+   * @param {Object} cycle
+   * @param {Object} group
+   * @param {Object} options - { endDate, loanPolicy: block|net, method: SHARE_BALANCE|SHARE_MONTHS,
+   *                             carryForward: { [userId]: amount } }
+   * @returns {Promise<{totals, loans, lines, blockers}>}
+   */
+  async computeShareOut(cycle, group, { endDate, loanPolicy = 'block', method = 'SHARE_BALANCE', carryForward = {} }) {
+    const periodStart = new Date(cycle.startDate);
+    const periodEnd = new Date(endDate);
+
+    const [contributions, fines, groupLoans] = await Promise.all([
+      Contribution.find({
+        groupId: cycle.groupId,
+        isDeleted: { $ne: true },
+        date: { $gte: periodStart, $lt: periodEnd },
+      })
+        .select('userId amount date')
+        .lean(),
+      Fine.find({ groupId: cycle.groupId, 'payments.paidAt': { $gte: periodStart, $lt: periodEnd } })
+        .select('payments')
+        .lean(),
+      Loan.find({ group: cycle.groupId }).select('_id user status outstandingBalance').lean(),
+    ]);
+
+    const schedules = groupLoans.length
+      ? await LoanRepaymentSchedule.find({ loan: { $in: groupLoans.map((l) => l._id) }, status: { $ne: 'suspended' } })
+        .select('loan installments')
+        .lean()
+      : [];
+    const scheduleFor = (loanId) => schedules.find((s) => String(s.loan) === String(loanId));
+
+    const fineIncome = sum(
+      fines.flatMap((fine) => fine.payments || []).filter((p) => new Date(p.paidAt) >= periodStart && new Date(p.paidAt) < periodEnd),
+      (p) => p.amount
+    );
+    const interestIncome = sum(schedules, (s) => interestPaid(s.installments, { periodStart, periodEnd }));
+
+    const loans = groupLoans
+      .filter((loan) => OPEN_LOAN_STATUSES.includes(loan.status) && Number(loan.outstandingBalance) > 0)
+      .map((loan) => {
+        const outstanding = round2(Number(loan.outstandingBalance));
+        return {
+          loanId: loan._id,
+          userId: loan.user,
+          outstanding,
+          interestDue: Math.min(outstanding, this.interestDue(scheduleFor(loan._id))),
+        };
+      });
+
+    const blockers = [];
+    if (loanPolicy === 'block') {
+      blockers.push(...loans.map((loan) => ({ reason: 'loan_outstanding', userId: loan.userId, loanId: loan.loanId, amount: loan.outstanding })));
+    }
+
+    const profit = round2(interestIncome + fineIncome + (loanPolicy === 'net' ? sum(loans, (l) => l.interestDue) : 0));
+
+    // Every member with savings, an opening balance or a loan gets a line
+    const opening = new Map((cycle.openingBalances || []).map((b) => [String(b.userId), Number(b.amount)]));
+    const movements = new Map();
+    for (const c of contributions) {
+      const key = String(c.userId);
+      if (!movements.has(key)) movements.set(key, []);
+      movements.get(key).push({ date: c.date, amount: Number(c.amount) });
+    }
+    const userIds = [...new Set([
+      ...(group.members || []).map(String),
+      ...opening.keys(),
+      ...movements.keys(),
+      ...loans.map((l) => String(l.userId)),
+    ])];
+
+    const weights = userIds.map((userId) => {
+      const openingBalance = opening.get(userId) || 0;
+      const own = movements.get(userId) || [];
+      const savings = sum(own, (m) => m.amount);
+      const weight = method === 'SHARE_MONTHS'
+        ? shareMonths({ openingBalance, movements: own, periodStart, periodEnd })
+        : round2(openingBalance + savings);
+      return { userId, openingBalance, savings, weight };
+    });
+
+    const lines = allocate(weights, profit)
+      .map(({ amount, ...line }) => {
+        const gross = round2(line.openingBalance + line.savings + amount);
+        const loansNetted = loanPolicy === 'net' ? sum(loans.filter((l) => String(l.userId) === line.userId), (l) => l.outstanding) : 0;
+        const available = round2(gross - loansNetted);
+        const carried = Math.max(0, Math.min(Number(carryForward[line.userId] || 0), available));
+        if (available < 0) {
+          blockers.push({ reason: 'loan_exceeds_share_out', userId: line.userId, amount: round2(-available) });
+        }
+        return {
+          ...line,
+          profitShare: amount,
+          gross,
+          loansNetted,
+          carryForward: round2(carried),
+          payout: round2(Math.max(0, available - carried)),
+        };
+      })
+      .filter((line) => line.gross > 0 || line.loansNetted > 0);
+
+    const totals = {
+      savings: sum(lines, (l) => l.savings),
+      openingBalances: sum(lines, (l) => l.openingBalance),
+      interestIncome,
+      fineIncome,
+      profit,
+      loansNetted: sum(lines, (l) => l.loansNetted),
+      carryForward: sum(lines, (l) => l.carryForward),
+      payout: sum(lines, (l) => l.payout),
+    };
+
+    return { totals, loans: loanPolicy === 'net' ? loans : [], lines, blockers };
+  }
+
+  /**
+   * SHA-256 over the report content officers sign.
+   */
+  digest(cycle, closeOut) {
+    const content = {
+      cycleId: String(cycle._id),
+      groupId: String(cycle.groupId),
+      cycleNumber: cycle.cycleNumber,
+      startDate: new Date(cycle.startDate).toISOString(),
+      endDate: new Date(cycle.endDate).toISOString(),
+      currency: cycle.currency,
+      loanPolicy: closeOut.loanPolicy,
+      method: closeOut.method,
+      totals: TOTAL_KEYS.map((key) => closeOut.totals[key]),
+      loans: closeOut.loans.map((l) => [String(l.loanId), String(l.userId), l.outstanding]),
+      lines: closeOut.lines.map((l) => [String(l.userId), l.gross, l.loansNetted, l.carryForward, l.payout]),
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * HMAC over the digest and its signatures. Undefined when no signing secret is configured.
+   */
+  seal(digest, signatures) {
+    const secret = signingSecret();
+    if (!secret) return undefined;
+    const signed = signatures.map((s) => [String(s.userId), new Date(s.signedAt).toISOString()]);
+    return crypto.createHmac('sha256', secret).update(JSON.stringify({ digest, signed })).digest('hex');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Close-out wizard
+  // ---------------------------------------------------------------------------
+
+  closeOutOptions(cycle, payload) {
+    const endDate = payload.endDate ? new Date(payload.endDate) : new Date();
+    if (endDate <= new Date(cycle.startDate)) {
+      throw new AppError('endDate must be after the cycle start', 400, errorCodes.VALIDATION_ERROR);
+    }
+    return {
+      endDate,
+      loanPolicy: payload.loanPolicy || 'block',
+      method: payload.method || 'SHARE_BALANCE',
+      carryForward: payload.carryForward || {},
+    };
+  }
+
+  /**
+   * Step 1: what the share-out would be, with anything blocking it. Nothing is saved.
+   */
+  async previewCloseOut(groupId, cycleId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertStatus(cycle, 'active');
+
+    const options = this.closeOutOptions(cycle, payload);
+    const result = await this.computeShareOut(cycle, group, options);
+    return { ...options, ...result };
+  }
+
+  /**
+   * Step 2: fix the share-out for sign-off. The cycle moves to `closing`; new
+   * contributions dated after `endDate` belong to the next cycle.
+   * @throws {AppError} 409 CYCLE_LOANS_OUTSTANDING while loans block the close-out
+   */
+  async prepareCloseOut(groupId, cycleId, payload, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertStatus(cycle, 'active');
+
+    const options = this.closeOutOptions(cycle, payload);
+    const { totals, loans, lines, blockers } = await this.computeShareOut(cycle, group, options);
+    if (blockers.length) {
+      const error = new AppError(
+        `${blockers.length} outstanding loan(s) must be repaid or netted before the cycle can close`,
+        409,
+        errorCodes.CYCLE_LOANS_OUTSTANDING
+      );
+      error.details = blockers;
+      throw error;
+    }
+
+    const officers = group.members.filter((m) => isGroupOfficer(group, { id: m })).length;
+    if (officers < REQUIRED_SIGNATURES) {
+      throw new AppError(
+        `The share-out needs ${REQUIRED_SIGNATURES} officer signatures but the group has ${officers} officer(s)`,
+        409,
+        errorCodes.CYCLE_INVALID_STATE
+      );
+    }
+    const closeOut = {
+      loanPolicy: options.loanPolicy,
+      method: options.method,
+      preparedBy: user.id,
+      preparedAt: new Date(),
+      totals,
+      loans,
+      lines,
+      signatures: [],
+      requiredSignatures: REQUIRED_SIGNATURES,
+    };
+    closeOut.digest = this.digest({ ...cycle.toObject(), endDate: options.endDate }, closeOut);
+
+    const prepared = await SavingsCycle.findOneAndUpdate(
+      { _id: cycle._id, status: 'active' },
+      { $set: { status: 'closing', endDate: options.endDate, closeOut } },
+      { new: true }
+    );
+    if (!prepared) {
+      throw new AppError('Savings cycle is no longer active', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+
+    await audit(user, 'savings_cycle:close_out_prepared', {
+      groupId,
+      cycleId: cycle._id,
+      digest: closeOut.digest,
+      totals,
+    });
+    await this.notify(
+      group.members.filter((m) => isGroupOfficer(group, { id: m })),
+      prepared,
+      'Share-out ready to sign',
+      `The cycle ${prepared.cycleNumber} share-out for ${group.name} is ready for your signature.`
+    );
+    return prepared;
+  }
+
+  /**
+   * Discard a prepared share-out and reopen the cycle.
+   */
+  async cancelCloseOut(groupId, cycleId, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+    const reopened = await SavingsCycle.findOneAndUpdate(
+      { _id: cycleId, groupId, status: 'closing' },
+      { $set: { status: 'active' }, $unset: { endDate: 1, closeOut: 1 } },
+      { new: true }
+    );
+    if (!reopened) {
+      throw new AppError('Savings cycle has no share-out awaiting signatures', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    await audit(user, 'savings_cycle:close_out_cancelled', { groupId, cycleId });
+    return reopened;
+  }
+
+  /**
+   * Step 3: an officer signs the prepared share-out. `digest`, when given,
+   * must match the report being signed. The cycle closes once
+   * SHARE_OUT_REQUIRED_SIGNATURES officers have signed.
+   */
+  async signCloseOut(groupId, cycleId, { digest } = {}, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+    const cycle = await this.loadCycle(groupId, cycleId);
+    this.assertStatus(cycle, 'closing');
+
+    if (digest && digest !== cycle.closeOut.digest) {
+      throw new AppError('The share-out report has changed since you reviewed it', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    if (cycle.closeOut.signatures.some((s) => s.userId.toString() === String(user.id))) {
+      throw new AppError('You have already signed this share-out', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+
+    const signed = await SavingsCycle.findOneAndUpdate(
+      {
+        _id: cycle._id,
+        status: 'closing',
+        'closeOut.digest': cycle.closeOut.digest,
+        'closeOut.signatures.userId': { $ne: user.id },
+      },
+      { $push: { 'closeOut.signatures': { userId: user.id, role: this.officerRole(group, user), signedAt: new Date() } } },
+      { new: true }
+    );
+    if (!signed) {
+      throw new AppError('Share-out could not be signed; reload and try again', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    await audit(user, 'savings_cycle:close_out_signed', { groupId, cycleId, digest: signed.closeOut.digest });
+
+    const required = Math.max(signed.closeOut.requiredSignatures || 0, REQUIRED_SIGNATURES);
+    if (signed.closeOut.signatures.length < required) {
+      return { cycle: signed, nextCycle: null };
+    }
+    return this.close(group, signed, user);
+  }
+
+  /**
+   * Step 4 (automatic): seal the report and move the cycle to `finalizing`,
+   * then run the close-out steps.
+   */
+  async close(group, cycle, user) {
+    const seal = this.seal(cycle.closeOut.digest, cycle.closeOut.signatures);
+    if (!seal) {
+      logger.warn('[SavingsCycleService] No signing secret configured; share-out report left unsealed', {
+        cycleId: cycle._id,
+      });
+    }
+
+    const claimed = await SavingsCycle.findOneAndUpdate(
+      { _id: cycle._id, status: 'closing' },
+      {
+        $set: {
+          status: 'finalizing',
+          closedBy: user.id,
+          'closeOut.seal': seal,
+          'closeOut.finalizingAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Savings cycle is already being closed', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    return this.finalize(group, claimed, user);
+  }
+
+  /**
+   * Resume a close-out that was interrupted while `finalizing`. Steps already
+   * done are skipped.
+   */
+  async resumeCloseOut(groupId, cycleId, user) {
+    const group = await loadGroup(groupId);
+    assertOfficer(group, user, 'manage savings cycles');
+
+    const claimed = await SavingsCycle.findOneAndUpdate(
+      {
+        _id: cycleId,
+        groupId,
+        status: 'finalizing',
+        'closeOut.finalizingAt': { $lt: new Date(Date.now() - FINALIZE_LEASE_MS) },
+      },
+      { $set: { 'closeOut.finalizingAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Savings cycle has no interrupted close-out to resume', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    await audit(user, 'savings_cycle:close_out_resumed', { groupId, cycleId });
+    return this.finalize(group, claimed, user);
+  }
+
+  /**
+   * Settle netted loans, open the next cycle with the carried-forward balances,
+   * export the report and mark the cycle closed. Progress is saved after each
+   * step so a resumed run picks up where the last one stopped.
+   */
+  async finalize(group, cycle, user) {
+    for (const entry of cycle.closeOut.loans) {
+      if (entry.settledAt) continue;
+      entry.journalId = await this.settleNettedLoan(cycle, entry, user);
+      entry.settledAt = new Date();
+      await cycle.save();
+    }
+
+    const nextCycle = await this.openNextCycle(cycle, user);
+    cycle.nextCycleId = nextCycle._id;
+    if (!cycle.closeOut.reportFile) {
+      cycle.closeOut.reportFile = await this.exportReport(group, cycle, user);
+    }
+    cycle.status = 'closed';
+    cycle.closedAt = new Date();
+    await cycle.save();
+
+    await audit(user, 'savings_cycle:closed', {
+      groupId: cycle.groupId,
+      cycleId: cycle._id,
+      nextCycleId: nextCycle._id,
+      digest: cycle.closeOut.digest,
+      sealed: Boolean(cycle.closeOut.seal),
+    });
+    for (const line of cycle.closeOut.lines) {
+      await this.notify(
+        [line.userId],
+        cycle,
+        'Share-out complete',
+        `Your cycle ${cycle.cycleNumber} share-out from ${group.name}: ${cycle.currency} ${line.payout} paid out` +
+          (line.carryForward > 0 ? `, ${cycle.currency} ${line.carryForward} carried forward.` : '.')
+      );
+    }
+
+    logger.info('[SavingsCycleService] Cycle closed', {
+      cycleId: cycle._id.toString(),
+      nextCycleId: nextCycle._id.toString(),
+      payout: cycle.closeOut.totals.payout,
+    });
+    return { cycle, nextCycle };
+  }
+
+  /**
+   * The cycle following a closing one, opened with the carried-forward balances.
+   * Returns the one already opened when the close-out is resumed.
+   */
+  async openNextCycle(cycle, user) {
+    const existing = await SavingsCycle.findOne({ previousCycleId: cycle._id });
+    if (existing) return existing;
+    try {
+      return await SavingsCycle.create({
+        groupId: cycle.groupId,
+        tenantId: cycle.tenantId,
+        cycleNumber: cycle.cycleNumber + 1,
+        currency: cycle.currency,
+        startDate: cycle.endDate,
+        openingBalances: cycle.closeOut.lines
+          .filter((line) => line.carryForward > 0)
+          .map((line) => ({ userId: line.userId, amount: line.carryForward })),
+        previousCycleId: cycle._id,
+        createdBy: user.id,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        const opened = await SavingsCycle.findOne({ previousCycleId: cycle._id });
+        if (opened) return opened;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Pay off a loan from the borrower's share-out: clear the schedule, close the
+   * loan, release its guarantor liens and move the amount from member savings
+   * to the loan portfolio. Returns the journal id, if the posting succeeded.
+   */
+  async settleNettedLoan(cycle, entry, user) {
+    const loan = await Loan.findById(entry.loanId);
+    if (!loan) return undefined;
+    const reference = `SHAREOUT-${cycle._id}`;
+
+    // Completed by an earlier run of this close-out that stopped before the journal
+    if (loan.status !== 'completed') {
+      await this.completeNettedLoan(cycle, entry, loan, reference, user);
+    }
+
+    const journalId = `SHO-${cycle._id}-${loan._id}`;
+    try {
+      if (await LedgerEntry.exists({ journalId })) return journalId;
+      await ledgerService.createJournal({
+        journalId,
+        description: `Loan netted against cycle ${cycle.cycleNumber} share-out`,
+        source: 'LOAN',
+        sourceId: loan._id,
+        tenantId: loan.tenantId,
+        entries: [
+          { accountCode: '2010', accountName: 'Member Savings Liability', debit: entry.outstanding, currency: cycle.currency },
+          { accountCode: '1200', accountName: 'Loan Portfolio', credit: entry.outstanding, currency: cycle.currency },
+        ],
+        metadata: { cycleId: cycle._id, groupId: cycle.groupId },
+      });
+      return journalId;
+    } catch (err) {
+      logger.error('[SavingsCycleService] Share-out netting journal failed', { loanId: loan._id, error: err.message });
+      return undefined;
+    }
+  }
+
+  /**
+   * Clear the loan's schedule, close the loan and release its guarantor liens.
+   */
+  async completeNettedLoan(cycle, entry, loan, reference, user) {
+    const schedule = await LoanRepaymentSchedule.findOne({ loan: loan._id, status: { $ne: 'suspended' } });
+    if (schedule) {
+      for (const installment of schedule.installments) {
+        const due = round2(installment.totalAmount - (installment.paidAmount || 0));
+        if (!['paid', 'forgiven'].includes(installment.status) && due > 0) {
+          schedule.recordPayment(installment.number, due, 'SHARE_OUT', reference);
+        }
+      }
+      await schedule.save();
+    }
+
+    loan.amountRepaid = round2((loan.amountRepaid || 0) + entry.outstanding);
+    loan.outstandingBalance = 0;
+    loan.amountDue = 0;
+    loan.status = 'completed';
+    loan.completedAt = new Date();
+    await loan.save();
+
+    await guarantorService.releaseLiens(loan._id);
+    await LoanAudit.logAction({
+      action: 'payment_recorded',
+      loan: loan._id,
+      user: loan.user,
+      group: loan.group,
+      actor: user.id,
+      actorRole: user.role === 'admin' ? 'admin' : 'group_admin',
+      amount: entry.outstanding,
+      description: `Settled from the cycle ${cycle.cycleNumber} share-out (${reference})`,
+    });
+  }
+
+  /**
+   * Write the signed report to a PDF; returns the file name, or undefined if the export failed.
+   */
+  async exportReport(group, cycle, user) {
+    try {
+      const { closeOut } = cycle;
+      const file = await reportExportService.exportReport({
+        tenantId: cycle.tenantId,
+        reportType: reportExportService.REPORT_TYPES.SHARE_OUT,
+        format: reportExportService.REPORT_FORMATS.PDF,
+        title: `${group.name} - cycle ${cycle.cycleNumber} share-out`,
+        data: [
+          ...closeOut.lines.map((line) => ({
+            member: String(line.userId),
+            openingBalance: line.openingBalance,
+            savings: line.savings,
+            profitShare: line.profitShare,
+            loansNetted: line.loansNetted,
+            carryForward: line.carryForward,
+            payout: line.payout,
+          })),
+          { totals: closeOut.totals },
+          ...closeOut.signatures.map((s) => ({ signedBy: String(s.userId), role: s.role, signedAt: s.signedAt })),
+          { digest: closeOut.digest, seal: closeOut.seal || null },
+        ],
+        generatedBy: user.id,
+        metadata: { cycleId: cycle._id, digest: closeOut.digest },
+      });
+      return file.filename;
+    } catch (err) {
+      logger.error('[SavingsCycleService] Share-out report export failed', { cycleId: cycle._id, error: err.message });
+      return undefined;
+    }
+  }
+
+  /**
+   * The share-out report of a cycle being closed or closed, with whether its
+   * seal still matches its content.
+   */
+  async getReport(groupId, cycleId, user) {
+    const cycle = (await this.getCycle(groupId, cycleId, user)).toObject();
+    if (cycle.status === 'active') {
+      throw new AppError('No share-out has been prepared for this cycle', 409, errorCodes.CYCLE_INVALID_STATE);
+    }
+    const { closeOut } = cycle;
+    const digest = this.digest(cycle, closeOut);
+    const seal = closeOut.seal ? this.seal(digest, closeOut.signatures) : undefined;
+
+    return {
+      cycleId: cycle._id,
+      groupId: cycle.groupId,
+      cycleNumber: cycle.cycleNumber,
+      status: cycle.status,
+      startDate: cycle.startDate,
+      endDate: cycle.endDate,
+      currency: cycle.currency,
+      loanPolicy: closeOut.loanPolicy,
+      method: closeOut.method,
+      totals: closeOut.totals,
+      loans: closeOut.loans,
+      lines: closeOut.lines,
+      signatures: closeOut.signatures,
+      requiredSignatures: closeOut.requiredSignatures,
+      digest: closeOut.digest,
+      seal: closeOut.seal,
+      verified: digest === closeOut.digest && (!closeOut.seal || seal === closeOut.seal),
+      reportFile: closeOut.reportFile,
+      nextCycleId: cycle.nextCycleId,
+    };
+  }
+
+  async notify(recipients, cycle, title, message) {
+    if (!recipients.length) return;
+    try {
+      await notificationService.send({
+        recipients,
+        type: notificationService.NOTIFICATION_TYPES.SHARE_OUT,
+        title,
+        message,
+        payload: { groupId: cycle.groupId, cycleId: cycle._id },
+        tenantId: cycle.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[SavingsCycleService] Notification failed', { cycleId: cycle._id, error: err.message });
+    }
+  }
+}
+
+module.exports = new SavingsCycleService();
@@ -20,6 +20,9 @@ const metricsService =
 const savingsRepository =
     require("../repositories/savingsRepository");
 
+const groupWithdrawalService =
+    require("./groupWithdrawalService");
+
 /*
 |--------------------------------------------------------------------------
 | Optional Enterprise Services
@@ -193,7 +196,21 @@ class SavingsService {
 
             requestId,
 
-            correlationId
+            correlationId,
+
+            /*
+             * Group fund withdrawals
+             */
+
+            groupId,
+
+            recipientId,
+
+            phoneNumber,
+
+            currency,
+
+            user
 
         } = payload;
 
@@ -209,6 +226,39 @@ class SavingsService {
                 );
             }
 
+            /*
+             * Money leaving a group's fund needs the group's
+             * signatories (M-of-N) before it is released, so the
+             * request is queued for approval instead of paid out.
+             */
+
+            if (groupId) {
+
+                return await groupWithdrawalService
+                    .requestWithdrawal(
+
+                        groupId,
+
+                        {
+                            amount,
+
+                            purpose:
+                                reason,
+
+                            recipientId,
+
+                            phoneNumber,
+
+                            currency
+                        },
+
+                        user || {
+                            id: userId,
+                            tenantId
+                        }
+                    );
+            }
+
             const account =
 
                 await savingsRepository
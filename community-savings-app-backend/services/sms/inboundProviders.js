@@ -0,0 +1,197 @@
+// ============================================================================
+// TITech Community Capital
+// Inbound SMS Providers
+// File: backend/services/sms/inboundProviders.js
+// ============================================================================
+//
+// What each SMS gateway posts to our shortcode webhook, how we know the post
+// really came from it, and what it expects back.
+//
+//   africastalking  form: from, to, text, id, date
+//                   shared token (?token= or x-webhook-token) = SMS_INBOUND_TOKEN
+//   twilio          form: From, To, Body, MessageSid
+//                   X-Twilio-Signature signed with TWILIO_AUTH_TOKEN;
+//                   answered with empty TwiML
+//   infobip         JSON: { results: [{ messageId, from, to, text, receivedAt }] }
+//                   shared token, as for Africa's Talking
+//
+// Every parser returns the same shape:
+//   { provider, messageId, from, to, text, receivedAt }
+//
+// ============================================================================
+
+"use strict";
+
+const crypto = require("crypto");
+
+const SLUGS = {
+  africastalking: "AFRICAS_TALKING",
+  twilio: "TWILIO",
+  infobip: "INFOBIP",
+};
+
+const safeEqual = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return (
+    a.length === b.length &&
+    crypto.timingSafeEqual(a, b)
+  );
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime())
+    ? new Date()
+    : date;
+};
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+function verifyToken(req) {
+  const token = process.env.SMS_INBOUND_TOKEN;
+  if (!token) return false;
+
+  return safeEqual(
+    token,
+    req.query?.token ||
+      req.headers["x-webhook-token"]
+  );
+}
+
+// https://www.twilio.com/docs/usage/webhooks/webhooks-security
+function twilioSignature(authToken, url, params = {}) {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce(
+      (acc, key) => acc + key + String(params[key] ?? ""),
+      url
+    );
+
+  return crypto
+    .createHmac("sha1", authToken)
+    .update(payload)
+    .digest("base64");
+}
+
+function verifyTwilio(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers["x-twilio-signature"];
+  if (!authToken || !signature) return false;
+
+  // Behind a proxy the host Twilio called is not the one we see
+  const url = process.env.SMS_INBOUND_BASE_URL
+    ? `${process.env.SMS_INBOUND_BASE_URL.replace(/\/$/, "")}${req.originalUrl}`
+    : `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+
+  return safeEqual(
+    twilioSignature(authToken, url, req.body),
+    signature
+  );
+}
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+const providers = {
+  AFRICAS_TALKING: {
+    verify: verifyToken,
+
+    parse: (body = {}) =>
+      body.from
+        ? [
+            {
+              messageId: body.id,
+              from: body.from,
+              to: body.to,
+              text: body.text,
+              receivedAt: toDate(body.date),
+            },
+          ]
+        : [],
+
+    acknowledge: (res, received) =>
+      res.json({
+        message: "Received",
+        data: { received },
+      }),
+  },
+
+  TWILIO: {
+    verify: verifyTwilio,
+
+    parse: (body = {}) =>
+      body.From
+        ? [
+            {
+              messageId: body.MessageSid || body.SmsSid,
+              from: body.From,
+              to: body.To,
+              text: body.Body,
+              receivedAt: new Date(),
+            },
+          ]
+        : [],
+
+    // Replies go out through the API, so answer with nothing to send
+    acknowledge: (res) =>
+      res
+        .type("text/xml")
+        .send("<?xml version=\"1.0\" encoding=\"UTF-8\"?><Response></Response>"),
+  },
+
+  INFOBIP: {
+    verify: verifyToken,
+
+    parse: (body = {}) =>
+      (Array.isArray(body.results) ? body.results : [])
+        .filter((result) => result?.from)
+        .map((result) => ({
+          messageId: result.messageId,
+          from: result.from,
+          to: result.to,
+          // cleanText drops the keyword Infobip routed on
+          text: result.text ?? result.cleanText,
+          receivedAt: toDate(result.receivedAt),
+        })),
+
+    acknowledge: (res, received) =>
+      res.json({
+        message: "Received",
+        data: { received },
+      }),
+  },
+};
+
+/**
+ * Provider for a webhook path segment, e.g. "twilio" → "TWILIO".
+ * @returns {Object|null} { name, verify(req), parse(body), acknowledge(res, count) }
+ */
+function resolve(slug) {
+  const name = SLUGS[String(slug || "").toLowerCase()];
+  if (!name) return null;
+
+  const provider = providers[name];
+  return {
+    name,
+    verify: provider.verify,
+    acknowledge: provider.acknowledge,
+    parse: (body) =>
+      provider
+        .parse(body)
+        .map((message) => ({
+          provider: name,
+          ...message,
+          text: String(message.text || ""),
+        })),
+  };
+}
+
+module.exports = {
+  SLUGS,
+  resolve,
+  twilioSignature,
+};
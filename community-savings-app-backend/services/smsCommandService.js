@@ -0,0 +1,380 @@
+/**
+ * SMS Command Service
+ * Keyword commands texted to the shortcode by members without data.
+ * Features:
+ * - BAL, PAY <amount> [group code], LOAN STATUS, HELP, STOP and START, and
+ *   YES/NO <code> answers to guarantor requests
+ * - Senders are matched to members by phone number, as on USSD; STOP, START
+ *   and guarantor answers work from any number
+ * - PAY starts a mobile money collection on the sender's own phone, which
+ *   they approve with their wallet PIN
+ * - Replies go back through the provider the text arrived on, even after
+ *   STOP, since the member asked for them
+ * - Every text is logged (InboundSms) and audited; senders over
+ *   SMS_COMMAND_MAX_PER_WINDOW texts in SMS_COMMAND_WINDOW_MINUTES are
+ *   ignored without a reply
+ */
+
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const InboundSms = require('../models/InboundSms');
+const Loan = require('../models/Loan');
+const LoanRepaymentSchedule = require('../models/LoanRepaymentSchedule');
+const Savings = require('../models/Savings');
+const { createAuditTrail } = require('../utils/auditTrail');
+const logger = require('../utils/logger');
+const guarantorService = require('./guarantorService');
+const paymentRequestService = require('./paymentRequestService');
+const smsOptOutService = require('./smsOptOutService');
+const smsService = require('./smsService');
+const ussdPinService = require('./ussdPinService');
+const ussdService = require('./ussdService');
+
+const auditTrail = createAuditTrail('SmsCommandService');
+
+const MAX_TEXT_LENGTH = 480;
+const MAX_LOANS_LISTED = 3;
+
+const windowMs = () => Number(process.env.SMS_COMMAND_WINDOW_MINUTES || 10) * 60 * 1000;
+const maxPerWindow = () => Number(process.env.SMS_COMMAND_MAX_PER_WINDOW || 10);
+const minPayment = () => Number(process.env.SMS_PAY_MIN_AMOUNT || 500);
+const maxPayment = () => Number(process.env.SMS_PAY_MAX_AMOUNT || 5000000);
+
+const COMMANDS = [
+  { name: 'STOP', pattern: /^(STOP|STOPALL|UNSUBSCRIBE|CANCEL|END|QUIT)$/ },
+  { name: 'START', pattern: /^(START|UNSTOP|SUBSCRIBE)$/ },
+  { name: 'HELP', pattern: /^(HELP|INFO|MENU)$/ },
+  { name: 'BALANCE', pattern: /^BAL(ANCE)?$/ },
+  { name: 'LOAN_STATUS', pattern: /^LOANS?( STATUS)?$/ },
+  { name: 'PAY', pattern: /^PAY (?<amount>[\d,]+)( (?<group>[A-Z0-9]+))?$/ },
+  // Same answers guarantorService.handleSmsReply accepts
+  { name: 'GUARANTEE', pattern: /^(YES|Y|ACCEPT|NO|N|DECLINE) \d{6}$/ },
+];
+
+// Commands that work for numbers that are not a member's
+const OPEN_COMMANDS = ['STOP', 'START', 'GUARANTEE'];
+
+const OPEN_LOAN_STATUSES = ['pending', 'credit_review', 'manual_review', 'approved', 'disbursed', 'active', 'overdue'];
+const REPAYABLE_LOAN_STATUSES = ['disbursed', 'active', 'overdue'];
+
+const REPLIES = {
+  help: 'Text BAL for your savings balance, PAY <amount> <group code> to contribute, LOAN STATUS for your loans, STOP to stop SMS alerts.',
+  unknown: 'Sorry, we did not understand that. Text HELP for the list of commands.',
+  notRegistered: 'This number is not registered with a member account. Text STOP to stop messages from us.',
+  inactive: 'Your account is not active. Please contact your group administrator.',
+  failed: 'Sorry, we could not process your request. Please try again later.',
+  optedOut: 'You will no longer get SMS alerts from us. Replies to your texts still come. Text START to turn alerts back on.',
+  optedIn: 'SMS alerts are back on. Text HELP for the list of commands.',
+};
+
+const money = (amount) => `UGX ${Math.round(Number(amount) || 0).toLocaleString('en-US')}`;
+
+const shortDate = (date) => new Date(date).toISOString().slice(5, 10).split('-').reverse().join('/');
+
+const groupList = (groups) => groups.map((group) => `${group.name} (${group.smsCode || '-'})`).join(', ');
+
+class SmsCommandService {
+  /**
+   * The command a text asks for.
+   * @returns {Object} { name, args }; name is UNKNOWN when nothing matches
+   */
+  parse(text) {
+    const normalized = String(text || '')
+      .trim()
+      .toUpperCase()
+      .replace(/\s+/g, ' ');
+    for (const command of COMMANDS) {
+      const match = command.pattern.exec(normalized);
+      if (match) return { name: command.name, args: { ...match.groups } };
+    }
+    return { name: 'UNKNOWN', args: {} };
+  }
+
+  /**
+   * Handle one inbound text: log it, run the command and reply.
+   * Provider retries of a message already received are ignored.
+   * @param {Object} message - { provider, messageId?, from, to?, text, receivedAt? }
+   * @returns {Promise<Object>} { id, command, status, reply } or { duplicate: true }
+   */
+  async receive({ provider, messageId, from, to, text, receivedAt }) {
+    const phone = smsOptOutService.phoneKey(from);
+    if (!phone) return { status: 'IGNORED' };
+
+    let log;
+    try {
+      log = await InboundSms.create({
+        provider,
+        providerMessageId: messageId ? String(messageId) : undefined,
+        from: phone,
+        to,
+        text: String(text || '').slice(0, MAX_TEXT_LENGTH),
+        receivedAt,
+      });
+    } catch (err) {
+      if (err.code === 11000) return { duplicate: true };
+      throw err;
+    }
+
+    const command = this.parse(text);
+    const outcome = { command: command.name, status: 'PROCESSED' };
+
+    // STOP is always honoured; answering it at most once bounds the cost
+    if (command.name !== 'STOP' && (await this.overLimit(phone))) {
+      logger.warn('[SmsCommandService] Sender over the SMS command limit', { phone, provider });
+      return this.finish(log, { ...outcome, status: 'RATE_LIMITED', replyStatus: 'SKIPPED' });
+    }
+
+    let member = null;
+    try {
+      member = await ussdPinService.findByPhone(null, phone);
+      if (member) {
+        outcome.userId = member._id;
+        outcome.tenantId = member.tenantId;
+      }
+
+      if (!member && !OPEN_COMMANDS.includes(command.name)) {
+        Object.assign(outcome, { status: 'UNKNOWN_SENDER', reply: REPLIES.notRegistered });
+      } else if (member && member.status && member.status !== 'active' && !OPEN_COMMANDS.includes(command.name)) {
+        outcome.reply = REPLIES.inactive;
+      } else {
+        Object.assign(outcome, await this.run(command, { phone, member, provider, log, text }));
+      }
+    } catch (err) {
+      const expected = err.statusCode && err.statusCode < 500;
+      if (!expected) {
+        logger.error('[SmsCommandService] SMS command failed', { command: command.name, phone, error: err.message });
+      }
+      Object.assign(outcome, { status: 'FAILED', error: err.message, reply: expected ? err.message : REPLIES.failed });
+    }
+
+    outcome.replyStatus = await this.reply(phone, outcome.reply, { provider, to, tenantId: outcome.tenantId, log });
+    await this.audit(member, `sms:${command.name.toLowerCase()}`, {
+      inboundSmsId: log._id,
+      provider,
+      status: outcome.status,
+      reference: outcome.reference,
+    });
+    return this.finish(log, outcome);
+  }
+
+  async overLimit(phone) {
+    const recent = await InboundSms.countDocuments({
+      from: phone,
+      createdAt: { $gte: new Date(Date.now() - windowMs()) },
+    });
+    // The count includes the text being handled
+    return recent > maxPerWindow();
+  }
+
+  /**
+   * @returns {Promise<Object>} { reply, reference? }
+   */
+  async run(command, context) {
+    switch (command.name) {
+      case 'STOP':
+        return this.stop(context);
+      case 'START':
+        await smsOptOutService.optIn(context.phone);
+        return { reply: REPLIES.optedIn };
+      case 'HELP':
+        return { reply: REPLIES.help };
+      case 'BALANCE':
+        return { reply: await this.balance(context.member) };
+      case 'LOAN_STATUS':
+        return { reply: await this.loanStatus(context.member) };
+      case 'PAY':
+        return this.pay(command.args, context);
+      case 'GUARANTEE':
+        return { reply: await guarantorService.handleSmsReply(context.phone, context.text) };
+      default:
+        return { reply: REPLIES.unknown };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Commands
+  // ---------------------------------------------------------------------------
+
+  async stop({ phone, member, provider }) {
+    const added = await smsOptOutService.optOut(phone, {
+      userId: member?._id,
+      tenantId: member?.tenantId,
+      provider,
+      keyword: 'STOP',
+    });
+    return { reply: added ? REPLIES.optedOut : undefined };
+  }
+
+  async balance(member) {
+    const accounts = await Savings.find({ createdBy: member._id, status: 'ACTIVE' })
+      .select('balance availableBalance')
+      .lean();
+    if (accounts.length === 0) return 'You have no active savings account.';
+
+    const balance = accounts.reduce((sum, account) => sum + Number(account.balance || 0), 0);
+    const available = accounts.reduce(
+      (sum, account) => sum + Number(account.availableBalance ?? account.balance ?? 0),
+      0
+    );
+    return available < balance
+      ? `Your savings balance is ${money(balance)}, of which ${money(available)} is available.`
+      : `Your savings balance is ${money(balance)}.`;
+  }
+
+  /**
+   * Open loans with what is owed and the next installment.
+   */
+  async loanStatus(member) {
+    const loans = await Loan.find({ user: member._id, status: { $in: OPEN_LOAN_STATUSES } })
+      .select('_id amount status outstandingBalance')
+      .sort({ createdAt: -1 })
+      .limit(MAX_LOANS_LISTED)
+      .lean();
+    if (loans.length === 0) return 'You have no active loans.';
+
+    const lines = await Promise.all(
+      loans.map(async (loan) => {
+        const line = `Loan ${money(loan.amount)} ${loan.status.replace('_', ' ')}`;
+        if (!REPAYABLE_LOAN_STATUSES.includes(loan.status)) return `${line}.`;
+
+        const schedule = await LoanRepaymentSchedule.findOne({ loan: loan._id, status: { $ne: 'suspended' } })
+          .select('installments')
+          .lean();
+        const next = schedule?.installments?.find((installment) => installment.status === 'pending');
+        return (
+          `${line}: balance ${money(loan.outstandingBalance)}` +
+          (next ? `, next ${money(next.totalAmount)} due ${shortDate(next.dueDate)}.` : '.')
+        );
+      })
+    );
+    return lines.join(' ');
+  }
+
+  /**
+   * Start a contribution to one of the member's groups. The group code can
+   * be left out by members of a single group.
+   */
+  async pay({ amount: rawAmount, group: code }, { phone, member, log }) {
+    const amount = Number(String(rawAmount).replace(/,/g, ''));
+    if (!Number.isFinite(amount) || amount < minPayment() || amount > maxPayment()) {
+      return { reply: `Amount must be between ${money(minPayment())} and ${money(maxPayment())}.` };
+    }
+
+    const groups = await Group.find({ members: member._id }).select('_id name smsCode').sort({ name: 1 }).lean();
+    if (groups.length === 0) return { reply: 'You are not a member of any group.' };
+
+    const compact = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const group = code
+      ? groups.find((g) => g.smsCode === code || compact(g.name) === code)
+      : groups.length === 1 && groups[0];
+    if (!group) {
+      return {
+        reply: code
+          ? `You are not in a group with code ${code}. Your groups: ${groupList(groups)}.`
+          : `Which group? Text PAY ${amount} <group code>. Your groups: ${groupList(groups)}.`,
+      };
+    }
+
+    const provider = ussdService.providerFor(member, phone);
+    if (!provider) return { reply: 'Mobile money payments are not available for this number.' };
+
+    const request = await paymentRequestService.createForMember(
+      {
+        purpose: 'CONTRIBUTION',
+        groupId: group._id,
+        amount,
+        phoneNumber: phone,
+        channel: 'SMS',
+        // A provider retry that slipped past the log cannot charge twice
+        reference: `SMS-${crypto
+          .createHash('sha256')
+          .update(`${log.provider}:${log.providerMessageId || log._id}`)
+          .digest('hex')
+          .slice(0, 12)
+          .toUpperCase()}`,
+      },
+      member
+    );
+
+    setImmediate(() => this.collect(request, { provider, phoneNumber: phone }, log));
+
+    return {
+      reference: request.reference,
+      reply:
+        `Approve the ${money(request.amount)} ${provider.toUpperCase()} prompt on your phone to pay ${group.name}. ` +
+        `Ref ${request.reference}.`,
+    };
+  }
+
+  async collect(request, payer, log) {
+    try {
+      const result = await paymentRequestService.collect(request, payer, { inboundSmsId: log._id });
+      if (result.status === 'FAILED') {
+        await this.reply(
+          payer.phoneNumber,
+          `Your payment of ${money(request.amount)} (ref ${request.reference}) could not be started. Please try again.`,
+          { provider: log.provider, to: log.to, tenantId: request.tenantId, log }
+        );
+      }
+    } catch (err) {
+      logger.error('[SmsCommandService] SMS collection failed', { reference: request.reference, error: err.message });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reply from the shortcode the text was sent to, through the same provider.
+   * @returns {Promise<string>} SENT, FAILED or SKIPPED
+   */
+  async reply(phone, message, { provider, to, tenantId, log }) {
+    if (!message) return 'SKIPPED';
+    try {
+      await smsService.send({
+        phoneNumber: phone,
+        message,
+        provider,
+        senderId: to || undefined,
+        tenantId,
+        metadata: { inReplyTo: String(log._id) },
+      });
+      return 'SENT';
+    } catch (err) {
+      logger.error('[SmsCommandService] SMS reply failed', { phone, provider, error: err.message });
+      return 'FAILED';
+    }
+  }
+
+  async finish(log, outcome) {
+    try {
+      await InboundSms.updateOne({ _id: log._id }, { $set: outcome });
+    } catch (err) {
+      logger.error('[SmsCommandService] Inbound SMS log update failed', { id: log._id, error: err.message });
+    }
+    return { id: log._id, command: outcome.command, status: outcome.status, reply: outcome.reply };
+  }
+
+  /**
+   * Tenant's inbound texts, newest first.
+   * @param {Object} filters - { status?, phone?, limit? }
+   */
+  async list(tenantId, { status, phone, limit = 50 } = {}) {
+    const filter = { tenantId };
+    if (status) filter.status = status;
+    if (phone) filter.from = smsOptOutService.phoneKey(phone);
+    return InboundSms.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .lean();
+  }
+
+  // Texts from numbers that are not a member's are only in the InboundSms log
+  async audit(member, action, data) {
+    if (!member) return;
+    await auditTrail({ id: member._id, tenantId: member.tenantId, role: 'user' }, action, data);
+  }
+}
+
+module.exports = new SmsCommandService();
@@ -0,0 +1,56 @@
+/**
+ * SMS Opt-out Service
+ * Numbers that texted STOP to the shortcode.
+ * Features:
+ * - Numbers are keyed as +<country code><number>; local numbers (07…) are
+ *   read with SMS_DEFAULT_COUNTRY_CODE
+ * - notificationService.sendSMS skips opted-out numbers unless the message
+ *   is essential (replies to the member's own texts, security codes)
+ * - START removes the opt-out
+ */
+
+const SmsOptOut = require('../models/SmsOptOut');
+
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '256';
+
+class SmsOptOutService {
+  /**
+   * Canonical form of a phone number, or null when it has no digits.
+   */
+  phoneKey(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.startsWith('0') ? `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}` : `+${digits}`;
+  }
+
+  async isOptedOut(phoneNumber) {
+    const phone = this.phoneKey(phoneNumber);
+    if (!phone) return false;
+    return Boolean(await SmsOptOut.exists({ phone }));
+  }
+
+  /**
+   * @param {Object} details - { userId?, tenantId?, provider?, keyword? }
+   * @returns {Promise<boolean>} false when the number had already opted out
+   */
+  async optOut(phoneNumber, details = {}) {
+    const phone = this.phoneKey(phoneNumber);
+    const result = await SmsOptOut.updateOne(
+      { phone },
+      { $setOnInsert: { phone, ...details, optedOutAt: new Date() } },
+      { upsert: true }
+    );
+    return Boolean(result.upsertedCount);
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the number had not opted out
+   */
+  async optIn(phoneNumber) {
+    const phone = this.phoneKey(phoneNumber);
+    const result = await SmsOptOut.deleteOne({ phone });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = new SmsOptOutService();
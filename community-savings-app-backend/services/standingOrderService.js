@@ -0,0 +1,738 @@
+/**
+ * Standing Order Service
+ * Recurring mobile money debits into group contributions and savings goals.
+ * Features:
+ * - Members authorize a recurring debit (amount, frequency, day, end date)
+ * - The scheduler raises each collection through the payment module's
+ *   PaymentProcessingService, keyed so a due date is never debited twice
+ * - Insufficient funds are retried a day and two days later, before the next due date
+ * - Orders can be paused (optionally until a date) and resumed; missed dates are skipped
+ * - Repeated failed debits cancel the order and tell the member
+ * - A successful debit creates the Contribution and records the due-calendar
+ *   period it paid, or credits the savings goal
+ */
+
+const Contribution = require('../models/Contribution');
+const Savings = require('../models/Savings');
+const StandingOrder = require('../models/StandingOrder');
+const StandingOrderRun = require('../models/StandingOrderRun');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const { isGroupMember, loadGroup } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+const contributionScheduleService = require('./contributionScheduleService');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('StandingOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days after a failed attempt before the next one; its length caps retries per due date
+const RETRY_DELAYS_DAYS = [1, 2];
+const INSUFFICIENT_FUNDS_CODES = ['INSUFFICIENT_FUNDS', 'NOT_ENOUGH_FUNDS', 'INSUFFICIENT_BALANCE', 'LOW_BALANCE'];
+const FINAL_EVENTS = {
+  PaymentCompleted: 'SUCCESS',
+  PaymentFailed: 'FAILED',
+  PaymentCancelled: 'CANCELLED',
+  PaymentExpired: 'FAILED',
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+const formatAmount = (order) => `${order.currency} ${Number(order.amount).toLocaleString()}`;
+
+class StandingOrderService {
+  constructor({ paymentProcessingService = null } = {}) {
+    this.paymentProcessingService = paymentProcessingService;
+  }
+
+  /**
+   * Set the PaymentProcessingService debits are raised through, usually
+   * `createPaymentModule(...).paymentProcessingService`.
+   */
+  configure({ paymentProcessingService }) {
+    this.paymentProcessingService = paymentProcessingService;
+    return this;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schedule
+  // ---------------------------------------------------------------------------
+
+  /**
+   * First due date of an order on or after `from`, or null past its end date.
+   * Weekly and biweekly orders fall on ISO weekday `day`, counted from the
+   * first such weekday on or after the start date; monthly orders on day
+   * `day`, clamped to the end of shorter months.
+   */
+  dueOnOrAfter(order, from) {
+    const start = startOfDay(order.startDate);
+    const floor = startOfDay(from > start ? from : start);
+    let due;
+
+    if (order.frequency === 'monthly') {
+      const inMonth = (year, month) => {
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(order.day, lastDay)));
+      };
+      due = inMonth(floor.getUTCFullYear(), floor.getUTCMonth());
+      if (due < floor) due = inMonth(floor.getUTCFullYear(), floor.getUTCMonth() + 1);
+    } else {
+      const step = (order.frequency === 'biweekly' ? 14 : 7) * DAY_MS;
+      const weekday = start.getUTCDay() || 7;
+      const anchor = start.getTime() + ((order.day - weekday + 7) % 7) * DAY_MS;
+      const periods = Math.max(0, Math.ceil((floor.getTime() - anchor) / step));
+      due = new Date(anchor + periods * step);
+    }
+
+    if (order.endDate && due > order.endDate) return null;
+    return due;
+  }
+
+  nextDueAfter(order, dueDate) {
+    return this.dueOnOrAfter(order, new Date(startOfDay(dueDate).getTime() + DAY_MS));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Management
+  // ---------------------------------------------------------------------------
+
+  async loadOrder(orderId, user) {
+    const order = await StandingOrder.findById(orderId);
+    if (!order) {
+      throw new AppError('Standing order not found', 404, errorCodes.STANDING_ORDER_NOT_FOUND);
+    }
+    if (order.userId.toString() !== String(user.id) && user.role !== 'admin') {
+      throw new AppError('You can only manage your own standing orders', 403, errorCodes.FORBIDDEN);
+    }
+    return order;
+  }
+
+  /**
+   * Check the member may pay into the target and describe it for the mandate.
+   * @returns {Promise<{target, label}>}
+   */
+  async resolveTarget(payload, user) {
+    if (payload.targetType === 'GROUP_CONTRIBUTION') {
+      const group = await loadGroup(payload.groupId);
+      if (!isGroupMember(group, user.id)) {
+        throw new AppError('You are not a member of this group', 403, errorCodes.FORBIDDEN);
+      }
+      return { target: { type: payload.targetType, groupId: group._id }, label: `contributions to ${group.name}` };
+    }
+
+    const goal = await Savings.findById(payload.savingsId).select('_id savingsName savingsType status createdBy').lean();
+    if (!goal || goal.savingsType !== 'GOAL') {
+      throw new AppError('Savings goal not found', 404, errorCodes.NOT_FOUND);
+    }
+    if (goal.createdBy?.toString() !== String(user.id) && user.role !== 'admin') {
+      throw new AppError('You can only fund your own savings goals', 403, errorCodes.FORBIDDEN);
+    }
+    if (goal.status !== 'ACTIVE') {
+      throw new AppError(`Savings goal is ${goal.status}`, 409, errorCodes.STANDING_ORDER_INVALID_STATE);
+    }
+    return { target: { type: payload.targetType, savingsId: goal._id }, label: `savings goal "${goal.savingsName}"` };
+  }
+
+  /**
+   * Authorize a recurring debit.
+   * @param {Object} payload - { targetType, groupId?, savingsId?, amount, frequency, day,
+   *   startDate?, endDate?, provider, phoneNumber?, currency?, maxConsecutiveFailures? }
+   * @param {Object} consent - { ip, userAgent } of the request that authorized it
+   */
+  async create(payload, user, consent = {}) {
+    const amount = Number(payload.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Invalid standing order amount', 400, errorCodes.VALIDATION_ERROR);
+    }
+    const day = Number(payload.day);
+    const maxDay = payload.frequency === 'monthly' ? 31 : 7;
+    if (!Number.isInteger(day) || day < 1 || day > maxDay) {
+      throw new AppError(`day must be between 1 and ${maxDay} for ${payload.frequency} orders`, 400, errorCodes.VALIDATION_ERROR);
+    }
+    const startDate = startOfDay(payload.startDate || new Date());
+    const endDate = payload.endDate ? new Date(payload.endDate) : undefined;
+    if (endDate && endDate < startDate) {
+      throw new AppError('endDate must be after startDate', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const { target, label } = await this.resolveTarget(payload, user);
+
+    let phoneNumber = payload.phoneNumber;
+    if (!phoneNumber) {
+      phoneNumber = (await User.findById(user.id).select('phone').lean())?.phone;
+    }
+    if (!phoneNumber) {
+      throw new AppError('A mobile money number is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const draft = {
+      tenantId: user.tenantId,
+      userId: user.id,
+      target,
+      amount,
+      currency: payload.currency || 'UGX',
+      frequency: payload.frequency,
+      day,
+      startDate,
+      endDate,
+      provider: payload.provider,
+      phoneNumber,
+      maxConsecutiveFailures: payload.maxConsecutiveFailures,
+    };
+    draft.nextRunAt = this.dueOnOrAfter(draft, startDate);
+    if (!draft.nextRunAt) {
+      throw new AppError('No debit falls between startDate and endDate', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const order = await StandingOrder.create({
+      ...draft,
+      authorization: {
+        mandate:
+          `I authorize ${formatAmount(draft)} to be debited from ${draft.provider.toUpperCase()} mobile money ` +
+          `${phoneNumber} ${draft.frequency} for ${label}, from ${dayKey(startDate)}` +
+          `${endDate ? ` until ${dayKey(endDate)}` : ' until I cancel'}.`,
+        authorizedAt: new Date(),
+        ip: consent.ip,
+        userAgent: consent.userAgent,
+      },
+    });
+
+    await audit(user, 'standing_order:authorized', {
+      standingOrderId: order._id,
+      target,
+      amount,
+      frequency: order.frequency,
+      day,
+      nextRunAt: order.nextRunAt,
+    });
+    return order;
+  }
+
+  /**
+   * Pause an active order, until `until` if given.
+   */
+  async pause(orderId, user, { until } = {}) {
+    await this.loadOrder(orderId, user);
+    const paused = await StandingOrder.findOneAndUpdate(
+      { _id: orderId, status: 'ACTIVE' },
+      { $set: { status: 'PAUSED', pausedAt: new Date(), resumeAt: until ? new Date(until) : null } },
+      { new: true }
+    );
+    if (!paused) {
+      throw new AppError('Only an active standing order can be paused', 409, errorCodes.STANDING_ORDER_INVALID_STATE);
+    }
+    await this.skipRetries(paused._id);
+    await audit(user, 'standing_order:paused', { standingOrderId: paused._id, resumeAt: paused.resumeAt });
+    return paused;
+  }
+
+  /**
+   * Resume a paused order from its next due date; dates missed while paused are not debited.
+   */
+  async resume(orderId, user, asOf = new Date()) {
+    const order = await this.loadOrder(orderId, user);
+    if (order.status !== 'PAUSED') {
+      throw new AppError('Only a paused standing order can be resumed', 409, errorCodes.STANDING_ORDER_INVALID_STATE);
+    }
+    const resumed = await this.reactivate(order, asOf);
+    if (!resumed) {
+      throw new AppError('Standing order is no longer paused', 409, errorCodes.STANDING_ORDER_INVALID_STATE);
+    }
+    await audit(user, 'standing_order:resumed', { standingOrderId: resumed._id, nextRunAt: resumed.nextRunAt });
+    return resumed;
+  }
+
+  async reactivate(order, asOf) {
+    const nextRunAt = this.dueOnOrAfter(order, asOf);
+    const update = nextRunAt
+      ? { status: 'ACTIVE', nextRunAt, consecutiveFailures: 0, pausedAt: null, resumeAt: null }
+      : { status: 'COMPLETED', nextRunAt: null, completedAt: asOf, resumeAt: null };
+    return StandingOrder.findOneAndUpdate({ _id: order._id, status: 'PAUSED' }, { $set: update }, { new: true });
+  }
+
+  /**
+   * Cancel an order. Retries still scheduled for it are dropped.
+   */
+  async cancel(orderId, user, { reason } = {}) {
+    const order = await this.loadOrder(orderId, user);
+    const cancelled = await StandingOrder.findOneAndUpdate(
+      { _id: order._id, status: { $in: ['ACTIVE', 'PAUSED'] } },
+      {
+        $set: {
+          status: 'CANCELLED',
+          nextRunAt: null,
+          cancelledAt: new Date(),
+          cancelledBy: user.id,
+          cancellationReason: reason || 'Cancelled by member',
+        },
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw new AppError(`Standing order is ${order.status}`, 409, errorCodes.STANDING_ORDER_INVALID_STATE);
+    }
+    await this.skipRetries(cancelled._id);
+    await audit(user, 'standing_order:cancelled', { standingOrderId: cancelled._id, reason });
+    return cancelled;
+  }
+
+  async skipRetries(orderId) {
+    await StandingOrderRun.updateMany(
+      { standingOrderId: orderId, status: 'RETRY_SCHEDULED' },
+      { $set: { status: 'SKIPPED', nextRetryAt: null } }
+    );
+  }
+
+  async list(user, { status, userId } = {}) {
+    const query = { userId: user.role === 'admin' && userId ? userId : user.id };
+    if (status) query.status = status;
+    return StandingOrder.find(query).sort({ createdAt: -1 }).limit(100).lean();
+  }
+
+  async get(orderId, user) {
+    return this.loadOrder(orderId, user);
+  }
+
+  async listRuns(orderId, user) {
+    const order = await this.loadOrder(orderId, user);
+    return StandingOrderRun.find({ standingOrderId: order._id }).sort({ dueDate: -1 }).limit(100).lean();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scheduler
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Debit every order due by `asOf` and retry failed debits whose retry is due
+   * (run by the scheduler).
+   * @returns {Promise<{resumed, due, retried, succeeded, pending, retrying, failed, cancelled}>}
+   */
+  async runDue(asOf = new Date()) {
+    if (!this.paymentProcessingService) {
+      throw new AppError('Payment processing is not configured for standing orders', 503, errorCodes.INTERNAL_ERROR);
+    }
+    const summary = { resumed: 0, due: 0, retried: 0, succeeded: 0, pending: 0, retrying: 0, failed: 0, cancelled: 0 };
+
+    const toResume = await StandingOrder.find({ status: 'PAUSED', resumeAt: { $ne: null, $lte: asOf } });
+    for (const order of toResume) {
+      if (await this.reactivate(order, asOf)) summary.resumed += 1;
+    }
+
+    const retries = await StandingOrderRun.find({ status: 'RETRY_SCHEDULED', nextRetryAt: { $lte: asOf } });
+    for (const run of retries) {
+      const claimed = await StandingOrderRun.findOneAndUpdate(
+        { _id: run._id, status: 'RETRY_SCHEDULED' },
+        { $set: { status: 'PENDING', nextRetryAt: null } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      const order = await StandingOrder.findById(claimed.standingOrderId);
+      if (!order || !['ACTIVE', 'COMPLETED'].includes(order.status)) {
+        await StandingOrderRun.updateOne({ _id: claimed._id }, { $set: { status: 'SKIPPED' } });
+        continue;
+      }
+      summary.retried += 1;
+      this.count(summary, await this.attempt(order, claimed, asOf));
+    }
+
+    const due = await StandingOrder.find({ status: 'ACTIVE', nextRunAt: { $lte: asOf } });
+    for (const order of due) {
+      const run = await this.claimDue(order, asOf);
+      if (!run) continue;
+      summary.due += 1;
+      this.count(summary, await this.attempt(order, run, asOf));
+    }
+
+    return summary;
+  }
+
+  count(summary, result) {
+    const key = { SUCCEEDED: 'succeeded', PENDING: 'pending', RETRY_SCHEDULED: 'retrying', FAILED: 'failed' }[result.status];
+    if (key) summary[key] += 1;
+    if (result.cancelled) summary.cancelled += 1;
+  }
+
+  /**
+   * Move the order on to its next due date and open the run for the current one.
+   * Returns null if another worker got there first.
+   */
+  async claimDue(order, asOf) {
+    const dueDate = order.nextRunAt;
+    const next = this.nextDueAfter(order, dueDate);
+    const claimed = await StandingOrder.findOneAndUpdate(
+      { _id: order._id, status: 'ACTIVE', nextRunAt: dueDate },
+      {
+        $set: next
+          ? { nextRunAt: next, lastRunAt: asOf }
+          : { nextRunAt: null, lastRunAt: asOf, status: 'COMPLETED', completedAt: asOf },
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+    Object.assign(order, { nextRunAt: claimed.nextRunAt, status: claimed.status });
+
+    try {
+      return await StandingOrderRun.create({
+        standingOrderId: order._id,
+        tenantId: order.tenantId,
+        userId: order.userId,
+        dueDate,
+        reference: `SO-${order._id}-${dayKey(dueDate)}`,
+        amount: order.amount,
+        currency: order.currency,
+      });
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Raise one collection request for a run and act on what the provider says.
+   */
+  async attempt(order, run, asOf) {
+    const attempt = run.attempts.length + 1;
+    const idempotencyKey = `${run.reference}-${attempt}`;
+    const context = {
+      tenantId: order.tenantId ? String(order.tenantId) : undefined,
+      actorId: String(order.userId),
+      actorType: 'SYSTEM',
+      idempotencyKey,
+      correlationId: run.reference,
+    };
+
+    let outcome;
+    let reasonCode;
+    let retryable = false;
+    let paymentId;
+    try {
+      const created = await this.paymentProcessingService.createAndInitiate(
+        {
+          tenantId: context.tenantId,
+          userId: String(order.userId),
+          groupId: order.target.groupId ? String(order.target.groupId) : undefined,
+          type: 'contribution',
+          direction: 'inbound',
+          amount: order.amount,
+          currency: order.currency,
+          provider: order.provider,
+          phoneNumber: order.phoneNumber,
+          reference: run.reference,
+          idempotencyKey,
+          metadata: {
+            source: 'STANDING_ORDER',
+            standingOrderId: String(order._id),
+            standingOrderRunId: String(run._id),
+            dueDate: run.dueDate,
+            target: order.target,
+          },
+        },
+        context
+      );
+      paymentId = created.paymentId;
+      const processed = await this.paymentProcessingService.process(paymentId, context);
+      outcome = processed.outcome;
+      reasonCode = processed.provider?.reasonCode;
+    } catch (err) {
+      logger.warn('[StandingOrderService] Collection request failed', {
+        standingOrderId: order._id,
+        runId: run._id,
+        error: err.message,
+      });
+      outcome = 'FAILED';
+      reasonCode = err.code;
+      retryable = err.retryable === true;
+    }
+
+    const updated = await StandingOrderRun.findByIdAndUpdate(
+      run._id,
+      { $push: { attempts: { attempt, paymentId, idempotencyKey, status: 'PENDING', at: asOf } } },
+      { new: true }
+    );
+    return this.applyOutcome(order, updated || run, { outcome, reasonCode, retryable, paymentId }, asOf);
+  }
+
+  /**
+   * Settle, retry or fail a run once the outcome of its latest attempt is known.
+   * PENDING outcomes wait for the provider callback (see handlePaymentEvent).
+   */
+  async applyOutcome(order, run, { outcome, reasonCode, retryable, paymentId }, asOf = new Date()) {
+    if (outcome === 'PENDING') {
+      return { status: 'PENDING', run };
+    }
+    if (outcome === 'SUCCESS') {
+      return this.settle(order, run, paymentId, asOf);
+    }
+    return this.fail(order, run, { reasonCode, retryable, paymentId }, asOf);
+  }
+
+  isInsufficientFunds(reasonCode) {
+    return INSUFFICIENT_FUNDS_CODES.includes(String(reasonCode || '').toUpperCase());
+  }
+
+  /**
+   * When to try again, or null if the run is out of retries or the retry
+   * would run into the next due date.
+   */
+  retryAt(order, run, asOf) {
+    const delay = RETRY_DELAYS_DAYS[run.attempts.length - 1];
+    if (!delay) return null;
+    const at = new Date(asOf.getTime() + delay * DAY_MS);
+    if (order.nextRunAt && at >= order.nextRunAt) return null;
+    return at;
+  }
+
+  async fail(order, run, { reasonCode, retryable, paymentId }, asOf) {
+    const attemptFilter = { _id: run._id, status: 'PENDING', 'attempts.paymentId': paymentId };
+    const nextRetryAt =
+      this.isInsufficientFunds(reasonCode) || retryable ? this.retryAt(order, run, asOf) : null;
+
+    if (nextRetryAt) {
+      const retrying = await StandingOrderRun.findOneAndUpdate(
+        paymentId ? attemptFilter : { _id: run._id, status: 'PENDING' },
+        {
+          $set: {
+            status: 'RETRY_SCHEDULED',
+            nextRetryAt,
+            reasonCode,
+            'attempts.$[last].status': 'FAILED',
+            'attempts.$[last].reasonCode': reasonCode,
+          },
+        },
+        { new: true, arrayFilters: [{ 'last.attempt': run.attempts.length }] }
+      );
+      return { status: 'RETRY_SCHEDULED', run: retrying || run };
+    }
+
+    const failed = await StandingOrderRun.findOneAndUpdate(
+      paymentId ? attemptFilter : { _id: run._id, status: 'PENDING' },
+      {
+        $set: {
+          status: 'FAILED',
+          reasonCode,
+          'attempts.$[last].status': 'FAILED',
+          'attempts.$[last].reasonCode': reasonCode,
+        },
+      },
+      { new: true, arrayFilters: [{ 'last.attempt': run.attempts.length }] }
+    );
+    if (!failed) return { status: 'PENDING', run };
+
+    const counted = await StandingOrder.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: { consecutiveFailures: 1 } },
+      { new: true }
+    );
+    const failures = counted?.consecutiveFailures || 0;
+    await audit({ id: null, role: 'system' }, 'standing_order:debit_failed', {
+      standingOrderId: order._id,
+      runId: run._id,
+      dueDate: run.dueDate,
+      reasonCode,
+      consecutiveFailures: failures,
+    });
+
+    if (counted && failures >= counted.maxConsecutiveFailures && ['ACTIVE', 'PAUSED', 'COMPLETED'].includes(counted.status)) {
+      const cancelled = await StandingOrder.findOneAndUpdate(
+        { _id: order._id, status: { $in: ['ACTIVE', 'PAUSED', 'COMPLETED'] } },
+        {
+          $set: {
+            status: 'CANCELLED',
+            nextRunAt: null,
+            cancelledAt: asOf,
+            cancellationReason: `Cancelled after ${failures} consecutive failed debits`,
+          },
+        },
+        { new: true }
+      );
+      if (cancelled) {
+        await this.skipRetries(order._id);
+        await audit({ id: null, role: 'system' }, 'standing_order:auto_cancelled', {
+          standingOrderId: order._id,
+          consecutiveFailures: failures,
+        });
+        await this.notify(
+          cancelled,
+          'Standing order cancelled',
+          `Your ${order.frequency} debit of ${formatAmount(order)} from ${order.phoneNumber} was cancelled after ` +
+            `${failures} failed attempts in a row. Set it up again when your wallet is funded.`,
+          { runId: run._id, reasonCode }
+        );
+        return { status: 'FAILED', run: failed, cancelled: true };
+      }
+    }
+
+    await this.notify(
+      order,
+      'Standing order debit failed',
+      `We could not debit ${formatAmount(order)} from ${order.phoneNumber} for the ` +
+        `${new Date(run.dueDate).toISOString().slice(0, 10)} payment${reasonCode ? ` (${reasonCode})` : ''}.`,
+      { runId: run._id, reasonCode }
+    );
+    return { status: 'FAILED', run: failed };
+  }
+
+  /**
+   * Record a successful debit against its target. Group contributions get
+   * the due-calendar period they pay: the oldest one still outstanding, else
+   * the next one due.
+   */
+  async settle(order, run, paymentId, asOf) {
+    const claimed = await StandingOrderRun.findOneAndUpdate(
+      { _id: run._id, status: 'PENDING' },
+      {
+        $set: {
+          status: 'SUCCEEDED',
+          settledAt: asOf,
+          reasonCode: null,
+          'attempts.$[last].status': 'SUCCEEDED',
+        },
+      },
+      { new: true, arrayFilters: [{ 'last.attempt': run.attempts.length }] }
+    );
+    if (!claimed) return { status: 'PENDING', run };
+
+    const link = {};
+    if (order.target.type === 'GROUP_CONTRIBUTION') {
+      link.calendarPeriod = await this.calendarPeriodFor(order, asOf);
+      link.contributionId = (await this.recordContribution(order, claimed, paymentId, link.calendarPeriod, asOf))._id;
+    } else {
+      await this.creditGoal(order, claimed, asOf);
+      link.savingsId = order.target.savingsId;
+    }
+
+    const settled = await StandingOrderRun.findByIdAndUpdate(claimed._id, { $set: link }, { new: true });
+    await StandingOrder.updateOne(
+      { _id: order._id },
+      { $set: { consecutiveFailures: 0 }, $inc: { successfulDebits: 1, totalCollected: order.amount } }
+    );
+    await audit({ id: null, role: 'system' }, 'standing_order:debited', {
+      standingOrderId: order._id,
+      runId: claimed._id,
+      paymentId,
+      amount: order.amount,
+      ...link,
+    });
+    await this.notify(
+      order,
+      'Standing order paid',
+      `${formatAmount(order)} was debited from ${order.phoneNumber}` +
+        (link.calendarPeriod ? ` for your contribution due ${link.calendarPeriod.dueDate.toISOString().slice(0, 10)}.` : ' into your savings goal.'),
+      { runId: claimed._id, ...link }
+    );
+    return { status: 'SUCCEEDED', run: settled || claimed };
+  }
+
+  async calendarPeriodFor(order, asOf) {
+    try {
+      const [member] = await contributionScheduleService.computeArrears(order.target.groupId, asOf, {
+        userId: order.userId,
+      });
+      const period = member?.periods.find((p) => p.outstanding > 0);
+      return period ? { obligationId: period.obligationId, dueDate: period.dueDate } : undefined;
+    } catch (err) {
+      logger.warn('[StandingOrderService] Due calendar lookup failed', { standingOrderId: order._id, error: err.message });
+      return undefined;
+    }
+  }
+
+  /**
+   * Create the Contribution for a run; the run reference makes this idempotent.
+   */
+  async recordContribution(order, run, paymentId, calendarPeriod, asOf) {
+    const data = {
+      groupId: order.target.groupId,
+      userId: order.userId,
+      tenantId: order.tenantId,
+      amount: order.amount,
+      currency: order.currency,
+      date: asOf,
+      reference: run.reference,
+      metadata: {
+        source: 'STANDING_ORDER',
+        standingOrderId: order._id,
+        standingOrderRunId: run._id,
+        paymentId,
+        provider: order.provider,
+        calendarPeriod,
+      },
+    };
+    try {
+      return await Contribution.create(data);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return Contribution.findOne({ groupId: data.groupId, reference: data.reference });
+    }
+  }
+
+  async creditGoal(order, run, asOf) {
+    await Savings.updateOne(
+      { _id: order.target.savingsId },
+      {
+        $inc: {
+          balance: order.amount,
+          availableBalance: order.amount,
+          totalDeposits: order.amount,
+          netSavings: order.amount,
+          totalTransactions: 1,
+        },
+        $set: { lastDepositAt: asOf },
+        $push: {
+          recentActivities: {
+            $each: [{ type: 'DEPOSIT', amount: order.amount, transactionDate: asOf, reference: run.reference }],
+            $slice: -20,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Resolve runs waiting on an asynchronous provider result. Subscribe this
+   * to the payment module's event publisher (PaymentCompleted, PaymentFailed, ...).
+   * @returns {Promise<Object|null>} the applied result, or null if the event is not ours
+   */
+  async handlePaymentEvent(event) {
+    const outcome = FINAL_EVENTS[event?.eventType];
+    const paymentId = event?.data?.paymentId;
+    if (!outcome || !paymentId) return null;
+
+    const run = await StandingOrderRun.findOne({ status: 'PENDING', 'attempts.paymentId': String(paymentId) });
+    if (!run) return null;
+    const order = await StandingOrder.findById(run.standingOrderId);
+    if (!order) return null;
+
+    return this.applyOutcome(
+      order,
+      run,
+      { outcome, reasonCode: event.data.reasonCode, retryable: false, paymentId: String(paymentId) },
+      new Date()
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notifications
+  // ---------------------------------------------------------------------------
+
+  async notify(order, title, message, payload = {}) {
+    try {
+      await notificationService.send({
+        recipients: [order.userId],
+        type: notificationService.NOTIFICATION_TYPES.STANDING_ORDER,
+        title,
+        message,
+        payload: { standingOrderId: order._id, status: order.status, ...payload },
+        tenantId: order.tenantId,
+      });
+    } catch (err) {
+      logger.warn('[StandingOrderService] Member notification failed', { standingOrderId: order._id, error: err.message });
+    }
+  }
+}
+
+module.exports = new StandingOrderService();
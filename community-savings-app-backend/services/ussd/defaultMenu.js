@@ -0,0 +1,836 @@
+// ============================================================================
+// TITech Community Capital
+// Default USSD Menu Tree
+// File: backend/services/ussd/defaultMenu.js
+// ============================================================================
+//
+// The menu every tenant gets until it publishes its own version.
+//
+// `messages` is also the base catalogue for tenant trees: a tenant tree only
+// lists the messages it adds or rewords.
+//
+// Languages: en English, lg Luganda, sw Swahili, nyn Runyankore, fr French.
+//
+// ============================================================================
+
+"use strict";
+
+// Money-moving journeys ask for the PIN first; `verifyPin` runs before the
+// first screen behind it on every hop and only checks the PIN once per session
+const pinScreen = (next) => ({
+  type: "input",
+  before: "requirePin",
+  text: "enterPin",
+  validator: "pin",
+  store: "pin",
+  next,
+});
+
+const confirmOptions = (next) => [
+  { key: "1", label: "confirm", next },
+  { key: "2", label: "cancel", next: "cancelled" },
+];
+
+const screens = {
+  main: {
+    type: "menu",
+    text: "mainTitle",
+    options: [
+      { key: "1", label: "balance", next: "balance" },
+      { key: "2", label: "savings", next: "savings" },
+      { key: "3", label: "loans", next: "loans" },
+      { key: "4", label: "profile", next: "profile" },
+      { key: "5", label: "guarantorRequests", next: "guarantorPin" },
+      { key: "6", label: "contribute", next: "contributePin" },
+      { key: "7", label: "repayLoan", next: "repayPin" },
+      { key: "8", label: "requestLoan", next: "loanPin" },
+      { key: "9", label: "miniStatementOption", next: "statementPin" },
+      { key: "10", label: "pinSettings", next: "pinSettings" },
+      { key: "11", label: "language", next: "language" },
+      { key: "0", label: "exit", next: "exit" },
+    ],
+  },
+
+  // ---------------------------------------------------------------------------
+  // Enquiries
+  // ---------------------------------------------------------------------------
+
+  balance: { type: "action", action: "balance" },
+  savings: { type: "action", action: "savingsTotal" },
+  loans: { type: "action", action: "loanSummary" },
+  profile: { type: "action", action: "profile" },
+
+  // ---------------------------------------------------------------------------
+  // Guarantor Requests
+  // ---------------------------------------------------------------------------
+
+  guarantorPin: pinScreen("guarantorList"),
+
+  guarantorList: {
+    type: "list",
+    before: "verifyPin",
+    text: "guarantorRequests",
+    items: "guarantorRequests",
+    label: "guaranteeLabel",
+    empty: "noGuarantorRequests",
+    store: "request",
+    next: "guarantorConfirm",
+  },
+
+  guarantorConfirm: {
+    type: "menu",
+    text: "confirmGuarantee",
+    store: "decision",
+    options: [
+      { key: "1", label: "accept", value: "accept", next: "guarantorRespond" },
+      { key: "2", label: "decline", value: "decline", next: "guarantorRespond" },
+    ],
+  },
+
+  guarantorRespond: { type: "action", action: "guarantorRespond" },
+
+  // ---------------------------------------------------------------------------
+  // Contribute
+  // ---------------------------------------------------------------------------
+
+  contributePin: pinScreen("contributeGroup"),
+
+  contributeGroup: {
+    type: "list",
+    before: "verifyPin",
+    text: "selectGroup",
+    items: "memberGroups",
+    label: "{name}",
+    empty: "noGroups",
+    store: "group",
+    next: "contributeAmount",
+  },
+
+  contributeAmount: {
+    type: "input",
+    text: "enterAmount",
+    validator: "amount",
+    store: "amount",
+    next: "contributeConfirm",
+  },
+
+  contributeConfirm: {
+    type: "menu",
+    before: "mobileMoney",
+    text: "confirmContribution",
+    options: confirmOptions("contributeStart"),
+  },
+
+  contributeStart: { type: "action", action: "startContribution" },
+
+  // ---------------------------------------------------------------------------
+  // Repay Loan
+  // ---------------------------------------------------------------------------
+
+  repayPin: pinScreen("repayLoan"),
+
+  repayLoan: {
+    type: "list",
+    before: "verifyPin",
+    text: "selectLoan",
+    items: "repayableLoans",
+    label: "loanDueLabel",
+    empty: "noInstallmentDue",
+    store: "loan",
+    next: "repayConfirm",
+  },
+
+  repayConfirm: {
+    type: "menu",
+    before: "mobileMoney",
+    text: "confirmRepayment",
+    options: confirmOptions("repayStart"),
+  },
+
+  repayStart: { type: "action", action: "startRepayment" },
+
+  // ---------------------------------------------------------------------------
+  // Request Loan
+  // ---------------------------------------------------------------------------
+
+  loanPin: pinScreen("loanGroup"),
+
+  loanGroup: {
+    type: "list",
+    before: "verifyPin",
+    text: "borrowFrom",
+    items: "memberGroups",
+    label: "{name}",
+    empty: "noGroups",
+    store: "group",
+    next: "loanAmount",
+  },
+
+  loanAmount: {
+    type: "input",
+    text: "enterLoanAmount",
+    validator: "amount",
+    store: "amount",
+    next: "loanTerm",
+  },
+
+  loanTerm: {
+    type: "menu",
+    text: "repayOver",
+    store: "term",
+    options: [
+      { key: "1", label: "termMonths", value: 3, next: "loanConfirm" },
+      { key: "2", label: "termMonths", value: 6, next: "loanConfirm" },
+      { key: "3", label: "termMonths", value: 12, next: "loanConfirm" },
+    ],
+  },
+
+  loanConfirm: {
+    type: "menu",
+    text: "confirmLoanRequest",
+    options: confirmOptions("loanSubmit"),
+  },
+
+  loanSubmit: { type: "action", action: "requestLoan" },
+
+  // ---------------------------------------------------------------------------
+  // Mini Statement
+  // ---------------------------------------------------------------------------
+
+  statementPin: pinScreen("statement"),
+
+  statement: { type: "action", before: "verifyPin", action: "miniStatement" },
+
+  // ---------------------------------------------------------------------------
+  // PIN Settings
+  // ---------------------------------------------------------------------------
+
+  pinSettings: {
+    type: "menu",
+    before: "requireMember",
+    text: "pinSettings",
+    store: "pinOption",
+    options: [
+      { key: "1", label: "pinSetWithCode", value: "code", next: "pinResetCode" },
+      { key: "2", label: "changePin", value: "change", next: "pinCurrent" },
+    ],
+  },
+
+  pinResetCode: {
+    type: "input",
+    text: "enterResetCode",
+    validator: "digits",
+    length: 6,
+    store: "secret",
+    next: "pinNew",
+  },
+
+  pinCurrent: {
+    type: "input",
+    text: "enterCurrentPin",
+    validator: "pin",
+    store: "secret",
+    next: "pinNew",
+  },
+
+  pinNew: {
+    type: "input",
+    text: "enterNewPin",
+    validator: "newPin",
+    store: "newPin",
+    next: "pinRepeat",
+  },
+
+  pinRepeat: {
+    type: "input",
+    text: "repeatNewPin",
+    validator: "sameAs",
+    field: "newPin",
+    invalid: "pinMismatch",
+    store: "repeat",
+    next: "pinSave",
+  },
+
+  pinSave: { type: "action", action: "savePin" },
+
+  // ---------------------------------------------------------------------------
+  // Language
+  // ---------------------------------------------------------------------------
+
+  language: {
+    type: "menu",
+    text: "chooseLanguage",
+    store: "language",
+    options: [
+      { key: "1", label: "langEnglish", value: "en", next: "languageSave" },
+      { key: "2", label: "langLuganda", value: "lg", next: "languageSave" },
+      { key: "3", label: "langSwahili", value: "sw", next: "languageSave" },
+      { key: "4", label: "langRunyankore", value: "nyn", next: "languageSave" },
+      { key: "5", label: "langFrench", value: "fr", next: "languageSave" },
+    ],
+  },
+
+  languageSave: { type: "action", action: "setLanguage" },
+
+  // ---------------------------------------------------------------------------
+  // Endings
+  // ---------------------------------------------------------------------------
+
+  cancelled: { type: "end", text: "cancelled" },
+  exit: { type: "end", text: "goodbye" },
+};
+
+// ===========================================================================
+// Messages
+// ===========================================================================
+
+const messages = {
+  // Engine
+  more: { en: "More", lg: "Ebirala", sw: "Zaidi", nyn: "Ebindi", fr: "Suite" },
+  back: { en: "Back", lg: "Ddayo", sw: "Rudi", nyn: "Garuka", fr: "Retour" },
+  invalidOption: {
+    en: "Invalid option.\n\nPlease try again.",
+    lg: "Okulonda si kutuufu.\n\nGezaako nate.",
+    sw: "Chaguo si sahihi.\n\nTafadhali jaribu tena.",
+    nyn: "Eki otoorine tikihikire.\n\nGyezaho kandi.",
+    fr: "Option invalide.\n\nVeuillez réessayer.",
+  },
+  invalidInput: {
+    en: "Invalid entry.",
+    lg: "Ky'oyingizza si kituufu.",
+    sw: "Ingizo si sahihi.",
+    nyn: "Eki wateekamu tikihikire.",
+    fr: "Saisie invalide.",
+  },
+  invalidAmount: {
+    en: "Invalid amount.",
+    lg: "Omuwendo si mutuufu.",
+    sw: "Kiasi si sahihi.",
+    nyn: "Sente ezi wateekamu tizihikire.",
+    fr: "Montant invalide.",
+  },
+  nothingToShow: {
+    en: "Nothing to show.",
+    lg: "Tewali kyakulaga.",
+    sw: "Hakuna cha kuonyesha.",
+    nyn: "Tihariho kyokworeka.",
+    fr: "Rien à afficher.",
+  },
+  failed: {
+    en: "Unable to complete your request.",
+    lg: "Tetusobodde kumaliriza kusaba kwo.",
+    sw: "Imeshindikana kukamilisha ombi lako.",
+    nyn: "Titubaasize kuhendera okushaba kwawe.",
+    fr: "Impossible de traiter votre demande.",
+  },
+  inProgress: {
+    en: "Your request is already being processed.",
+    lg: "Okusaba kwo kukyakolebwako.",
+    sw: "Ombi lako tayari linashughulikiwa.",
+    nyn: "Okushaba kwawe nikukikorwaho.",
+    fr: "Votre demande est déjà en cours de traitement.",
+  },
+
+  // Main menu
+  mainTitle: "TITech Community Capital",
+  balance: {
+    en: "Account Balance",
+    lg: "Ssente ku akawunti",
+    sw: "Salio la Akaunti",
+    nyn: "Sente ezi oine",
+    fr: "Solde du compte",
+  },
+  savings: { en: "Savings", lg: "Okutereka", sw: "Akiba", nyn: "Okubiika", fr: "Épargne" },
+  loans: { en: "Loans", lg: "Looni", sw: "Mikopo", nyn: "Looni", fr: "Prêts" },
+  profile: { en: "Profile", lg: "Ebikukwatako", sw: "Wasifu", nyn: "Ebikukwataho", fr: "Profil" },
+  guarantorRequests: {
+    en: "Guarantor Requests",
+    lg: "Okweyimirira",
+    sw: "Maombi ya Udhamini",
+    nyn: "Okweyimirira",
+    fr: "Demandes de garantie",
+  },
+  contribute: { en: "Contribute", lg: "Okuwaayo", sw: "Changia", nyn: "Okuteekamu", fr: "Cotiser" },
+  repayLoan: {
+    en: "Repay Loan",
+    lg: "Okusasula looni",
+    sw: "Lipa Mkopo",
+    nyn: "Kwishyura looni",
+    fr: "Rembourser un prêt",
+  },
+  requestLoan: {
+    en: "Request Loan",
+    lg: "Okusaba looni",
+    sw: "Omba Mkopo",
+    nyn: "Kushaba looni",
+    fr: "Demander un prêt",
+  },
+  miniStatementOption: {
+    en: "Mini Statement",
+    lg: "Ebyakakolebwa",
+    sw: "Taarifa Fupi",
+    nyn: "Ebyakozirwe",
+    fr: "Mini relevé",
+  },
+  pinSettings: { en: "PIN Settings", lg: "PIN yo", sw: "Mipangilio ya PIN", nyn: "PIN yaawe", fr: "Code PIN" },
+  language: { en: "Language", lg: "Olulimi", sw: "Lugha", nyn: "Orurimi", fr: "Langue" },
+  exit: { en: "Exit", lg: "Fuluma", sw: "Ondoka", nyn: "Shohoka", fr: "Quitter" },
+  goodbye: {
+    en: "Thank you for using TITech Community Capital.",
+    lg: "Webale kukozesa TITech Community Capital.",
+    sw: "Asante kwa kutumia TITech Community Capital.",
+    nyn: "Webare kukoresa TITech Community Capital.",
+    fr: "Merci d'avoir utilisé TITech Community Capital.",
+  },
+
+  // Enquiries
+  balanceIs: {
+    en: "Your savings balance is {balance|money}",
+    lg: "Ssente zo ezaterekebwa ziri {balance|money}",
+    sw: "Salio la akiba yako ni {balance|money}",
+    nyn: "Sente zaawe ezibiikirwe ni {balance|money}",
+    fr: "Le solde de votre épargne est de {balance|money}",
+  },
+  balanceUnavailable: {
+    en: "Unable to retrieve balance.",
+    lg: "Tetusobodde kufuna ssente zo.",
+    sw: "Imeshindikana kupata salio.",
+    nyn: "Titubaasize kureeba sente zaawe.",
+    fr: "Impossible d'obtenir le solde.",
+  },
+  totalSavings: {
+    en: "Total savings: {total|money}",
+    lg: "Byonna by'otereka: {total|money}",
+    sw: "Jumla ya akiba: {total|money}",
+    nyn: "Sente zoona ezibiikirwe: {total|money}",
+    fr: "Épargne totale : {total|money}",
+  },
+  savingsUnavailable: {
+    en: "Unable to retrieve savings.",
+    lg: "Tetusobodde kufuna kutereka kwo.",
+    sw: "Imeshindikana kupata akiba.",
+    nyn: "Titubaasize kureeba okubiika kwawe.",
+    fr: "Impossible d'obtenir l'épargne.",
+  },
+  noActiveLoans: {
+    en: "No active loans.",
+    lg: "Tolina looni.",
+    sw: "Hakuna mikopo hai.",
+    nyn: "Torina looni.",
+    fr: "Aucun prêt en cours.",
+  },
+  outstandingLoans: {
+    en: "Outstanding loans: {total|money}",
+    lg: "Looni esigaddeyo: {total|money}",
+    sw: "Mikopo inayodaiwa: {total|money}",
+    nyn: "Looni esigaire: {total|money}",
+    fr: "Prêts restant dus : {total|money}",
+  },
+  loansUnavailable: {
+    en: "Unable to retrieve loan information.",
+    lg: "Tetusobodde kufuna bikwata ku looni.",
+    sw: "Imeshindikana kupata taarifa za mkopo.",
+    nyn: "Titubaasize kureeba ebya looni.",
+    fr: "Impossible d'obtenir les informations de prêt.",
+  },
+  profileDetails: {
+    en: "Name: {name}\nMember No: {memberNumber}\nStatus: {status}",
+    lg: "Erinnya: {name}\nNnamba ya mmemba: {memberNumber}\nEmbeera: {status}",
+    sw: "Jina: {name}\nNamba ya Mwanachama: {memberNumber}\nHali: {status}",
+    nyn: "Eiziina: {name}\nNamba y'omumwe: {memberNumber}\nOmuringo: {status}",
+    fr: "Nom : {name}\nN° de membre : {memberNumber}\nStatut : {status}",
+  },
+  profileNotFound: {
+    en: "Member profile not found.",
+    lg: "Ebikukwatako tebizuuliddwa.",
+    sw: "Wasifu wa mwanachama haukupatikana.",
+    nyn: "Ebikukwataho tibizoorekire.",
+    fr: "Profil de membre introuvable.",
+  },
+  profileUnavailable: {
+    en: "Unable to retrieve profile.",
+    lg: "Tetusobodde kufuna bikukwatako.",
+    sw: "Imeshindikana kupata wasifu.",
+    nyn: "Titubaasize kureeba ebikukwataho.",
+    fr: "Impossible d'obtenir le profil.",
+  },
+
+  // PIN
+  enterPin: {
+    en: "Enter your PIN",
+    lg: "Yingiza PIN yo",
+    sw: "Weka PIN yako",
+    nyn: "Teekamu PIN yaawe",
+    fr: "Saisissez votre PIN",
+  },
+  pinFormat: {
+    en: "PIN must be 4 digits.",
+    lg: "PIN erina okuba ennamba 4.",
+    sw: "PIN lazima iwe na tarakimu 4.",
+    nyn: "PIN neegyendera kuba y'enamba 4.",
+    fr: "Le PIN doit comporter 4 chiffres.",
+  },
+  pinWeak: {
+    en: "PIN is too easy to guess.",
+    lg: "PIN eno nnyangu okuteebereza.",
+    sw: "PIN hii ni rahisi kukisia.",
+    nyn: "PIN egi neyanguhi kuteebereza.",
+    fr: "Ce PIN est trop facile à deviner.",
+  },
+  notRegistered: {
+    en: "This number is not registered. Please contact your group officer.",
+    lg: "Ennamba eno tewandiisibwa. Tuukirira omukulu w'ekibiina kyo.",
+    sw: "Namba hii haijasajiliwa. Tafadhali wasiliana na afisa wa kikundi chako.",
+    nyn: "Enamba egi teyandikirwe. Reeba omukuru w'ekibiina kyawe.",
+    fr: "Ce numéro n'est pas enregistré. Contactez le responsable de votre groupe.",
+  },
+  pinNotSet: {
+    en: "You have no PIN yet. Ask your group officer for a PIN code, then choose 10. PIN Settings.",
+    lg: "Tonnaba kuteekawo PIN. Saba omukulu w'ekibiina kyo koodi ya PIN, olwo olonde 10. PIN yo.",
+    sw: "Bado huna PIN. Omba msimbo wa PIN kutoka kwa afisa wa kikundi chako, kisha chagua 10. Mipangilio ya PIN.",
+    nyn: "Tokaine PIN. Shaba omukuru w'ekibiina kyawe kodi ya PIN, reero otoorane 10. PIN yaawe.",
+    fr: "Vous n'avez pas encore de PIN. Demandez un code PIN au responsable de votre groupe, puis choisissez 10. Code PIN.",
+  },
+  pinLocked: {
+    en: "Too many wrong PINs. Please try again later.",
+    lg: "PIN enkyamu nnyingi. Gezaako oluvannyuma.",
+    sw: "PIN zisizo sahihi nyingi mno. Tafadhali jaribu baadaye.",
+    nyn: "PIN ezitahikire zaaba nyingi. Gyezaho bwanyima.",
+    fr: "Trop de PIN erronés. Veuillez réessayer plus tard.",
+  },
+  pinLockedFor: {
+    en: "Too many wrong PINs. USSD payments are locked for {minutes} minutes.",
+    lg: "PIN enkyamu nnyingi. Okusasula ku USSD kuyimiriziddwa okumala eddakiika {minutes}.",
+    sw: "PIN zisizo sahihi nyingi mno. Malipo ya USSD yamefungwa kwa dakika {minutes}.",
+    nyn: "PIN ezitahikire zaaba nyingi. Okwishyura aha USSD kwemerezibwe edakiika {minutes}.",
+    fr: "Trop de PIN erronés. Les paiements USSD sont bloqués pendant {minutes} minutes.",
+  },
+  wrongPin: {
+    en: "Wrong PIN. {attemptsLeft} attempts left.",
+    lg: "PIN nkyamu. Osigazza emirundi {attemptsLeft}.",
+    sw: "PIN si sahihi. Umebakiza majaribio {attemptsLeft}.",
+    nyn: "PIN tehikire. Osigaire n'emirundi {attemptsLeft}.",
+    fr: "PIN erroné. Il vous reste {attemptsLeft} essais.",
+  },
+  wrongPinLast: {
+    en: "Wrong PIN. 1 attempt left.",
+    lg: "PIN nkyamu. Osigazza omulundi 1.",
+    sw: "PIN si sahihi. Umebakiza jaribio 1.",
+    nyn: "PIN tehikire. Osigaire n'omurundi 1.",
+    fr: "PIN erroné. Il vous reste 1 essai.",
+  },
+  pinSetWithCode: {
+    en: "Set PIN with code",
+    lg: "Teekawo PIN ne koodi",
+    sw: "Weka PIN kwa msimbo",
+    nyn: "Teekaho PIN na kodi",
+    fr: "Définir le PIN avec un code",
+  },
+  changePin: { en: "Change PIN", lg: "Kyusa PIN", sw: "Badilisha PIN", nyn: "Hindura PIN", fr: "Changer le PIN" },
+  enterResetCode: {
+    en: "Enter the 6-digit code sent to you by SMS",
+    lg: "Yingiza koodi ey'ennamba 6 gye wafunye ku SMS",
+    sw: "Weka msimbo wa tarakimu 6 uliotumiwa kwa SMS",
+    nyn: "Teekamu kodi y'enamba 6 ei watungire aha SMS",
+    fr: "Saisissez le code à 6 chiffres reçu par SMS",
+  },
+  enterCurrentPin: {
+    en: "Enter your current PIN",
+    lg: "Yingiza PIN yo gy'olina kati",
+    sw: "Weka PIN yako ya sasa",
+    nyn: "Teekamu PIN yaawe ey'obu",
+    fr: "Saisissez votre PIN actuel",
+  },
+  enterNewPin: {
+    en: "Enter a new 4-digit PIN",
+    lg: "Yingiza PIN empya ey'ennamba 4",
+    sw: "Weka PIN mpya ya tarakimu 4",
+    nyn: "Teekamu PIN nsya y'enamba 4",
+    fr: "Saisissez un nouveau PIN à 4 chiffres",
+  },
+  repeatNewPin: {
+    en: "Enter the new PIN again",
+    lg: "Yingiza PIN empya nate",
+    sw: "Weka PIN mpya tena",
+    nyn: "Teekamu PIN nsya kandi",
+    fr: "Saisissez à nouveau le nouveau PIN",
+  },
+  pinMismatch: {
+    en: "The PINs do not match. Please try again.",
+    lg: "PIN tezikwatagana. Gezaako nate.",
+    sw: "PIN hazilingani. Tafadhali jaribu tena.",
+    nyn: "PIN tizirikushushana. Gyezaho kandi.",
+    fr: "Les PIN ne correspondent pas. Veuillez réessayer.",
+  },
+  pinSet: {
+    en: "Your PIN has been set.",
+    lg: "PIN yo eteereddwawo.",
+    sw: "PIN yako imewekwa.",
+    nyn: "PIN yaawe yateekwaho.",
+    fr: "Votre PIN a été défini.",
+  },
+  pinCodeMissing: {
+    en: "No valid PIN code. Ask your group officer for a new one.",
+    lg: "Tewali koodi ya PIN ntuufu. Saba omukulu w'ekibiina kyo empya.",
+    sw: "Hakuna msimbo halali wa PIN. Omba mpya kutoka kwa afisa wa kikundi chako.",
+    nyn: "Tihariho kodi ya PIN ehikire. Shaba omukuru w'ekibiina kyawe endiijo.",
+    fr: "Aucun code PIN valide. Demandez-en un nouveau au responsable de votre groupe.",
+  },
+  pinCodeWrong: {
+    en: "Wrong PIN code.",
+    lg: "Koodi ya PIN nkyamu.",
+    sw: "Msimbo wa PIN si sahihi.",
+    nyn: "Kodi ya PIN tehikire.",
+    fr: "Code PIN erroné.",
+  },
+  pinUpdateFailed: {
+    en: "Unable to update your PIN.",
+    lg: "Tetusobodde kukyusa PIN yo.",
+    sw: "Imeshindikana kubadilisha PIN yako.",
+    nyn: "Titubaasize kuhindura PIN yaawe.",
+    fr: "Impossible de modifier votre PIN.",
+  },
+
+  // Mobile money
+  confirm: { en: "Confirm", lg: "Kakasa", sw: "Thibitisha", nyn: "Hamya", fr: "Confirmer" },
+  cancel: { en: "Cancel", lg: "Sazaamu", sw: "Ghairi", nyn: "Sazamu", fr: "Annuler" },
+  cancelled: {
+    en: "Cancelled.",
+    lg: "Kisaziddwamu.",
+    sw: "Imeghairiwa.",
+    nyn: "Kisaziirwemu.",
+    fr: "Annulé.",
+  },
+  mobileMoneyUnavailable: {
+    en: "Mobile money payments are not available for this number.",
+    lg: "Okusasula ku mobile money tekusoboka ku nnamba eno.",
+    sw: "Malipo ya pesa kwa simu hayapatikani kwa namba hii.",
+    nyn: "Okwishyura na mobile money tikukubaasika aha namba egi.",
+    fr: "Le paiement mobile n'est pas disponible pour ce numéro.",
+  },
+  approvePrompt: {
+    en: "Approve {amount|money} on the {providerName} prompt that follows.\nRef: {reference}",
+    lg: "Kakasa {amount|money} ku {providerName} ekigenda okulabika.\nRef: {reference}",
+    sw: "Idhinisha {amount|money} kwenye ujumbe wa {providerName} unaofuata.\nRef: {reference}",
+    nyn: "Ikiriza {amount|money} aha {providerName} ekirikwija.\nRef: {reference}",
+    fr: "Approuvez {amount|money} sur la demande {providerName} qui va suivre.\nRef: {reference}",
+  },
+  paymentNotStarted: {
+    en: "Your payment of {amount|money} (Ref {reference}) could not be started. Please try again.",
+    lg: "Okusasula kwo okwa {amount|money} (Ref {reference}) tekusobodde kutandika. Gezaako nate.",
+    sw: "Malipo yako ya {amount|money} (Ref {reference}) hayakuweza kuanzishwa. Tafadhali jaribu tena.",
+    nyn: "Okwishyura kwawe kwa {amount|money} (Ref {reference}) tikubaasize kutandika. Gyezaho kandi.",
+    fr: "Votre paiement de {amount|money} (Ref {reference}) n'a pas pu être lancé. Veuillez réessayer.",
+  },
+
+  // Contribute
+  selectGroup: {
+    en: "Select group",
+    lg: "Londa ekibiina",
+    sw: "Chagua kikundi",
+    nyn: "Toorana ekibiina",
+    fr: "Choisissez un groupe",
+  },
+  noGroups: {
+    en: "You are not a member of any group.",
+    lg: "Toli mmemba wa kibiina kyonna.",
+    sw: "Wewe si mwanachama wa kikundi chochote.",
+    nyn: "Tori mumwe w'ekibiina kyona.",
+    fr: "Vous n'êtes membre d'aucun groupe.",
+  },
+  enterAmount: {
+    en: "Enter amount (UGX)",
+    lg: "Yingiza omuwendo (UGX)",
+    sw: "Weka kiasi (UGX)",
+    nyn: "Teekamu sente (UGX)",
+    fr: "Saisissez le montant (UGX)",
+  },
+  confirmContribution: {
+    en: "Contribute {amount|money} to {group.name}.\nPay from {phoneNumber} ({providerName}).",
+    lg: "Waayo {amount|money} eri {group.name}.\nSasula okuva ku {phoneNumber} ({providerName}).",
+    sw: "Changia {amount|money} kwa {group.name}.\nLipa kutoka {phoneNumber} ({providerName}).",
+    nyn: "Teekamu {amount|money} omu {group.name}.\nIshyura okuruga aha {phoneNumber} ({providerName}).",
+    fr: "Cotiser {amount|money} à {group.name}.\nPayer depuis {phoneNumber} ({providerName}).",
+  },
+
+  // Repay loan
+  selectLoan: {
+    en: "Select loan",
+    lg: "Londa looni",
+    sw: "Chagua mkopo",
+    nyn: "Toorana looni",
+    fr: "Choisissez un prêt",
+  },
+  loanDueLabel: {
+    en: "{due|money} due {dueDate|date}",
+    lg: "{due|money} nga {dueDate|date}",
+    sw: "{due|money} tarehe {dueDate|date}",
+    nyn: "{due|money} aha {dueDate|date}",
+    fr: "{due|money} dû le {dueDate|date}",
+  },
+  noInstallmentDue: {
+    en: "You have no loan installment due.",
+    lg: "Tolina kitundu kya looni kya kusasula.",
+    sw: "Huna awamu ya mkopo inayodaiwa.",
+    nyn: "Torina kicweka kya looni ky'okwishyura.",
+    fr: "Vous n'avez aucune échéance de prêt due.",
+  },
+  confirmRepayment: {
+    en: "Repay {loan.due|money} on your {loan.amount|money} loan.\nPay from {phoneNumber} ({providerName}).",
+    lg: "Sasula {loan.due|money} ku looni yo eya {loan.amount|money}.\nSasula okuva ku {phoneNumber} ({providerName}).",
+    sw: "Lipa {loan.due|money} kwa mkopo wako wa {loan.amount|money}.\nLipa kutoka {phoneNumber} ({providerName}).",
+    nyn: "Ishyura {loan.due|money} aha looni yaawe ya {loan.amount|money}.\nIshyura okuruga aha {phoneNumber} ({providerName}).",
+    fr: "Rembourser {loan.due|money} sur votre prêt de {loan.amount|money}.\nPayer depuis {phoneNumber} ({providerName}).",
+  },
+
+  // Request loan
+  borrowFrom: {
+    en: "Borrow from which group?",
+    lg: "Weewola okuva mu kibiina ki?",
+    sw: "Kopa kutoka kikundi kipi?",
+    nyn: "Noyenda looni kuruga omu kibiina ki?",
+    fr: "Emprunter auprès de quel groupe ?",
+  },
+  enterLoanAmount: {
+    en: "Enter loan amount (UGX)",
+    lg: "Yingiza omuwendo gwa looni (UGX)",
+    sw: "Weka kiasi cha mkopo (UGX)",
+    nyn: "Teekamu sente za looni (UGX)",
+    fr: "Saisissez le montant du prêt (UGX)",
+  },
+  repayOver: {
+    en: "Repay over",
+    lg: "Sasula mu",
+    sw: "Lipa kwa muda wa",
+    nyn: "Ishyura omu",
+    fr: "Rembourser sur",
+  },
+  termMonths: {
+    en: "{value} months",
+    lg: "myezi {value}",
+    sw: "miezi {value}",
+    nyn: "emyezi {value}",
+    fr: "{value} mois",
+  },
+  confirmLoanRequest: {
+    en: "Request a loan of {amount|money} from {group.name} over {term} months?",
+    lg: "Saba looni ya {amount|money} okuva mu {group.name} okumala emyezi {term}?",
+    sw: "Omba mkopo wa {amount|money} kutoka {group.name} kwa miezi {term}?",
+    nyn: "Shaba looni ya {amount|money} kuruga omu {group.name} omu myezi {term}?",
+    fr: "Demander un prêt de {amount|money} à {group.name} sur {term} mois ?",
+  },
+  loanRequestsUnavailable: {
+    en: "Loan requests are unavailable.",
+    lg: "Okusaba looni tekusoboka kati.",
+    sw: "Maombi ya mkopo hayapatikani.",
+    nyn: "Okushaba looni tikurikubaasika.",
+    fr: "Les demandes de prêt ne sont pas disponibles.",
+  },
+  loanRequested: {
+    en: "Your loan request of {amount|money} has been sent for review.\nRef: {reference}",
+    lg: "Okusaba kwo okwa looni ya {amount|money} kuweerezeddwa okwekenneenyezebwa.\nRef: {reference}",
+    sw: "Ombi lako la mkopo wa {amount|money} limetumwa kwa ukaguzi.\nRef: {reference}",
+    nyn: "Okushaba kwawe kwa looni ya {amount|money} kwatwarirwa kwetegyerezibwa.\nRef: {reference}",
+    fr: "Votre demande de prêt de {amount|money} a été envoyée pour examen.\nRef: {reference}",
+  },
+
+  // Guarantor requests
+  guaranteeLabel: {
+    en: "{guaranteeAmount|money} of {loanAmount|money} loan",
+    lg: "{guaranteeAmount|money} ku looni ya {loanAmount|money}",
+    sw: "{guaranteeAmount|money} ya mkopo wa {loanAmount|money}",
+    nyn: "{guaranteeAmount|money} aha looni ya {loanAmount|money}",
+    fr: "{guaranteeAmount|money} sur un prêt de {loanAmount|money}",
+  },
+  noGuarantorRequests: {
+    en: "You have no guarantor requests.",
+    lg: "Tolina kusaba kwa kweyimirira.",
+    sw: "Huna maombi ya udhamini.",
+    nyn: "Torina okushabwa kweyimirira.",
+    fr: "Vous n'avez aucune demande de garantie.",
+  },
+  guarantorUnavailable: {
+    en: "Guarantor requests are unavailable.",
+    lg: "Okweyimirira tekusoboka kati.",
+    sw: "Maombi ya udhamini hayapatikani.",
+    nyn: "Okweyimirira tikurikubaasika.",
+    fr: "Les demandes de garantie ne sont pas disponibles.",
+  },
+  confirmGuarantee: {
+    en: "Guarantee {request.guaranteeAmount|money}?\nThe amount will be held in your savings until the loan is repaid.",
+    lg: "Weeyimirire {request.guaranteeAmount|money}?\nSsente zino zijja kukuumibwa mu kutereka kwo okutuusa looni lw'esasulwa.",
+    sw: "Dhamini {request.guaranteeAmount|money}?\nKiasi hiki kitashikiliwa kwenye akiba yako hadi mkopo ulipwe.",
+    nyn: "Weyimirire {request.guaranteeAmount|money}?\nSente ezi nizija kukwatwa omu kubiika kwawe mpaka looni eshashurwe.",
+    fr: "Garantir {request.guaranteeAmount|money} ?\nLe montant sera bloqué sur votre épargne jusqu'au remboursement du prêt.",
+  },
+  accept: { en: "Accept", lg: "Kkiriza", sw: "Kubali", nyn: "Ikiriza", fr: "Accepter" },
+  decline: { en: "Decline", lg: "Gaana", sw: "Kataa", nyn: "Yanga", fr: "Refuser" },
+  guaranteeAccepted: {
+    en: "Guarantee accepted.",
+    lg: "Okweyimirira kukkiriziddwa.",
+    sw: "Udhamini umekubaliwa.",
+    nyn: "Okweyimirira kwaikirizibwa.",
+    fr: "Garantie acceptée.",
+  },
+  guaranteeDeclined: {
+    en: "Guarantee declined.",
+    lg: "Okweyimirira kugaaniddwa.",
+    sw: "Udhamini umekataliwa.",
+    nyn: "Okweyimirira kwayangwa.",
+    fr: "Garantie refusée.",
+  },
+
+  // Mini statement
+  miniStatement: {
+    en: "Last {count} transactions (UGX)\n{lines}",
+    lg: "Ebisembyeyo {count} (UGX)\n{lines}",
+    sw: "Miamala {count} ya mwisho (UGX)\n{lines}",
+    nyn: "Ebisembayo {count} (UGX)\n{lines}",
+    fr: "{count} dernières opérations (UGX)\n{lines}",
+  },
+  noTransactions: {
+    en: "You have no transactions yet.",
+    lg: "Tolina byakakolebwa.",
+    sw: "Bado huna miamala.",
+    nyn: "Tokaine ekyakozirwe.",
+    fr: "Vous n'avez encore aucune opération.",
+  },
+  txContribution: { en: "Contribution", lg: "Okuwaayo", sw: "Mchango", nyn: "Okuteekamu", fr: "Cotisation" },
+  txLoanRepaid: {
+    en: "Loan repaid",
+    lg: "Looni esasuddwa",
+    sw: "Mkopo umelipwa",
+    nyn: "Looni eshashuirwe",
+    fr: "Prêt remboursé",
+  },
+  txSent: { en: "Sent", lg: "Oweerezza", sw: "Umetuma", nyn: "Wasindika", fr: "Envoyé" },
+  txReceived: { en: "Received", lg: "Ofunye", sw: "Umepokea", nyn: "Watunga", fr: "Reçu" },
+
+  // Language; each name is shown in its own language
+  chooseLanguage: {
+    en: "Choose language",
+    lg: "Londa olulimi",
+    sw: "Chagua lugha",
+    nyn: "Toorana orurimi",
+    fr: "Choisissez la langue",
+  },
+  langEnglish: "English",
+  langLuganda: "Luganda",
+  langSwahili: "Kiswahili",
+  langRunyankore: "Runyankore",
+  langFrench: "Français",
+  languageSaved: {
+    en: "Language changed to English.",
+    lg: "Olulimi lukyusiddwa okudda ku Luganda.",
+    sw: "Lugha imebadilishwa kuwa Kiswahili.",
+    nyn: "Orurimi rwahindurwa kuba Runyankore.",
+    fr: "Langue changée en français.",
+  },
+};
+
+module.exports = {
+  start: "main",
+  defaultLanguage: "en",
+  screens,
+  messages,
+};
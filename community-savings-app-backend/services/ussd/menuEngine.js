@@ -0,0 +1,855 @@
+// ============================================================================
+// TITech Community Capital
+// USSD Menu Engine
+// File: backend/services/ussd/menuEngine.js
+// ============================================================================
+//
+// Walks a declarative menu tree with the gateway's `*`-joined input.
+//
+// A tree is plain JSON, so tenants can store and version their own:
+//
+// {
+//   start: "main",
+//   defaultLanguage: "en",
+//   screens: {
+//     main:   { type: "menu", text: "mainTitle",
+//               options: [{ key: "1", label: "balance", next: "balance" }] },
+//     group:  { type: "list", text: "selectGroup", items: "memberGroups",
+//               label: "{name}", store: "group", next: "amount" },
+//     amount: { type: "input", text: "enterAmount", validator: "amount",
+//               store: "amount", next: "pay" },
+//     pay:    { type: "action", action: "startContribution" },
+//     done:   { type: "end", text: "cancelled" }
+//   },
+//   messages: { mainTitle: { en: "...", lg: "...", sw: "...", nyn: "...", fr: "..." } }
+// }
+//
+// Every piece of copy is a message key, looked up in the member's language
+// and falling back to the tree's default language. Templates fill
+// {path}, {path|money} and {path|date} from the values collected so far.
+//
+// Each hop replays the whole path from the start screen, so actions that run
+// before the last input must be safe to repeat. Screens longer than the
+// USSD limit are split into pages; 98 shows the next page, 99 the previous.
+//
+// ============================================================================
+
+"use strict";
+
+const SCREEN_TYPES = [
+  "menu",
+  "list",
+  "input",
+  "action",
+  "end",
+];
+
+const LANGUAGES = [
+  "en",
+  "lg",
+  "sw",
+  "nyn",
+  "fr",
+];
+
+const SEPARATOR = "*";
+
+const MORE = "98";
+
+const BACK = "99";
+
+const MAX_SCREEN_LENGTH =
+  Number(
+    process.env.USSD_MAX_SCREEN_LENGTH ||
+      182
+  );
+
+// Guards against trees that loop back on themselves without input
+const MAX_STEPS = 50;
+
+// The engine's own copy; trees and the default catalogue translate it
+const ENGINE_MESSAGES = {
+  more: "More",
+  back: "Back",
+  invalidOption: "Invalid option.\n\nPlease try again.",
+  invalidInput: "Invalid entry.",
+  invalidAmount: "Invalid amount.",
+  pinFormat: "PIN must be 4 digits.",
+  nothingToShow: "Nothing to show.",
+};
+
+// ===========================================================================
+// Built-in Validators
+// ===========================================================================
+
+// (value, vars, screen) -> { value } | { error: messageKey }
+const VALIDATORS = {
+  any: (value) => ({
+    value,
+  }),
+
+  digits: (value, vars, screen) => {
+    const length =
+      Number(screen.length) || null;
+
+    return /^\d+$/.test(value) &&
+      (!length || value.length === length)
+      ? { value }
+      : { error: screen.invalid || "invalidInput" };
+  },
+
+  pin: (value, vars, screen) =>
+    /^\d{4}$/.test(value)
+      ? { value }
+      : { error: screen.invalid || "pinFormat" },
+
+  // Whole shillings only; "50,000" reads as 50000
+  amount: (value, vars, screen) => {
+    const amount =
+      Number(
+        String(value).replace(
+          /,/g,
+          ""
+        )
+      );
+
+    const valid =
+      Number.isSafeInteger(amount) &&
+      amount > 0 &&
+      (screen.min === undefined || amount >= screen.min) &&
+      (screen.max === undefined || amount <= screen.max);
+
+    return valid
+      ? { value: amount }
+      : { error: screen.invalid || "invalidAmount" };
+  },
+
+  sameAs: (value, vars, screen) =>
+    value === String(vars[screen.field])
+      ? { value }
+      : { error: screen.invalid || "invalidInput" },
+};
+
+// ===========================================================================
+// Templates
+// ===========================================================================
+
+const FORMATTERS = {
+  money: (value) =>
+    `UGX ${Number(
+      value || 0
+    ).toLocaleString("en-US")}`,
+
+  number: (value) =>
+    Number(
+      value || 0
+    ).toLocaleString("en-US"),
+
+  date: (value) =>
+    new Date(value)
+      .toISOString()
+      .slice(5, 10)
+      .split("-")
+      .reverse()
+      .join("/"),
+};
+
+function lookup(vars, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined ||
+        value === null
+          ? undefined
+          : value[key],
+      vars
+    );
+}
+
+function format(template, vars = {}) {
+  return String(template).replace(
+    /\{([\w.]+)(?:\|(\w+))?\}/g,
+    (match, path, formatter) => {
+      const value =
+        lookup(vars, path);
+
+      if (
+        value === undefined ||
+        value === null
+      ) {
+        return "";
+      }
+
+      return FORMATTERS[formatter]
+        ? FORMATTERS[formatter](value)
+        : String(value);
+    }
+  );
+}
+
+// (key, vars) -> text in `language`, else the default language, else the key
+function createTranslator(
+  messages,
+  language,
+  defaultLanguage = "en"
+) {
+  return (key, vars) => {
+    const entry =
+      messages[key];
+
+    if (!entry) {
+      return format(key, vars);
+    }
+
+    const text =
+      typeof entry === "string"
+        ? entry
+        : entry[language] ??
+          entry[defaultLanguage] ??
+          entry.en;
+
+    return format(text, vars);
+  };
+}
+
+// ===========================================================================
+// Pagination
+// ===========================================================================
+
+// Break a line that cannot fit on any page at word boundaries
+function wrap(line, width) {
+  const parts = [];
+
+  let current = "";
+
+  for (const word of line.split(" ")) {
+    const candidate =
+      current ? `${current} ${word}` : word;
+
+    if (candidate.length <= width) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      parts.push(current);
+    }
+
+    current = word;
+
+    while (current.length > width) {
+      parts.push(current.slice(0, width));
+      current = current.slice(width);
+    }
+  }
+
+  parts.push(current);
+
+  return parts;
+}
+
+// Splits a screen body so that "CON " + page + footer fits the limit.
+// Returns the page bodies; the caller adds the prefix and footers.
+function paginate(
+  body,
+  {
+    maxLength = MAX_SCREEN_LENGTH,
+    moreLabel = "More",
+    backLabel = "Back",
+  } = {}
+) {
+  if (`CON ${body}`.length <= maxLength) {
+    return [body];
+  }
+
+  const footer =
+    `\n${MORE}. ${moreLabel}\n${BACK}. ${backLabel}`;
+
+  const width =
+    maxLength - "CON ".length - footer.length;
+
+  const lines =
+    body
+      .split("\n")
+      .flatMap((line) =>
+        line.length > width
+          ? wrap(line, width)
+          : [line]
+      );
+
+  const pages = [];
+
+  let page = [];
+
+  for (const line of lines) {
+    const candidate =
+      [...page, line].join("\n");
+
+    if (
+      page.length &&
+      candidate.length > width
+    ) {
+      pages.push(page);
+      page = [];
+    }
+
+    // A blank line never opens a page
+    if (!page.length && !line.trim() && pages.length) {
+      continue;
+    }
+
+    page.push(line);
+  }
+
+  if (page.length) {
+    pages.push(page);
+  }
+
+  return pages.map((lines) =>
+    lines.join("\n").replace(/\n+$/, "")
+  );
+}
+
+// ===========================================================================
+// Definition Validation
+// ===========================================================================
+
+// Returns a list of problems; empty means the tree can be published.
+// `known` names the actions and validators the runtime provides.
+function validateDefinition(
+  definition,
+  {
+    actions = [],
+    validators = [],
+    messages = {},
+  } = {}
+) {
+  const errors = [];
+
+  if (
+    !definition ||
+    typeof definition !== "object" ||
+    !definition.screens ||
+    typeof definition.screens !== "object"
+  ) {
+    return ["Menu tree needs a screens object"];
+  }
+
+  const screens =
+    definition.screens;
+
+  const allMessages = {
+    ...ENGINE_MESSAGES,
+    ...messages,
+    ...(definition.messages || {}),
+  };
+
+  const defaultLanguage =
+    definition.defaultLanguage || "en";
+
+  const knownValidators = [
+    ...Object.keys(VALIDATORS),
+    ...validators,
+  ];
+
+  if (!LANGUAGES.includes(defaultLanguage)) {
+    errors.push(
+      `defaultLanguage must be one of ${LANGUAGES.join(", ")}`
+    );
+  }
+
+  if (!screens[definition.start]) {
+    errors.push(
+      `start screen "${definition.start}" does not exist`
+    );
+  }
+
+  const checkMessage = (key, where) => {
+    if (typeof key !== "string" || !key) {
+      errors.push(`${where} needs a message key`);
+      return;
+    }
+
+    const entry =
+      allMessages[key];
+
+    if (!entry) {
+      errors.push(`${where} uses unknown message "${key}"`);
+      return;
+    }
+
+    if (
+      typeof entry !== "string" &&
+      !entry[defaultLanguage]
+    ) {
+      errors.push(
+        `message "${key}" has no ${defaultLanguage} text`
+      );
+    }
+  };
+
+  const checkNext = (next, where) => {
+    if (next !== undefined && !screens[next]) {
+      errors.push(`${where} goes to unknown screen "${next}"`);
+    }
+  };
+
+  const checkAction = (name, where) => {
+    if (name !== undefined && !actions.includes(name)) {
+      errors.push(`${where} uses unknown action "${name}"`);
+    }
+  };
+
+  Object.entries(
+    allMessages
+  ).forEach(([key, entry]) => {
+    if (
+      entry &&
+      typeof entry === "object"
+    ) {
+      Object.keys(entry)
+        .filter(
+          (language) =>
+            !LANGUAGES.includes(language)
+        )
+        .forEach((language) =>
+          errors.push(
+            `message "${key}" has unsupported language "${language}"`
+          )
+        );
+    }
+  });
+
+  Object.entries(
+    screens
+  ).forEach(([id, screen]) => {
+    const where =
+      `screen "${id}"`;
+
+    if (!SCREEN_TYPES.includes(screen?.type)) {
+      errors.push(
+        `${where} has unknown type "${screen?.type}"`
+      );
+      return;
+    }
+
+    checkAction(screen.before, `${where} before`);
+
+    if (screen.type !== "action") {
+      checkMessage(screen.text, where);
+    }
+
+    switch (screen.type) {
+      case "menu": {
+        const options =
+          Array.isArray(screen.options)
+            ? screen.options
+            : [];
+
+        if (!options.length) {
+          errors.push(`${where} has no options`);
+        }
+
+        const keys = new Set();
+
+        options.forEach((option, i) => {
+          const at =
+            `${where} option ${i + 1}`;
+
+          if (!/^\d{1,2}$/.test(String(option.key))) {
+            errors.push(`${at} key must be 1-2 digits`);
+          } else if ([MORE, BACK].includes(String(option.key))) {
+            errors.push(`${at} key ${option.key} is reserved for paging`);
+          } else if (keys.has(String(option.key))) {
+            errors.push(`${at} repeats key ${option.key}`);
+          }
+
+          keys.add(String(option.key));
+          checkMessage(option.label, at);
+
+          if (!option.next) {
+            errors.push(`${at} needs a next screen`);
+          }
+
+          checkNext(option.next, at);
+        });
+        break;
+      }
+
+      case "list":
+        checkAction(screen.items, `${where} items`);
+
+        if (!screen.items) {
+          errors.push(`${where} needs an items action`);
+        }
+
+        if (!screen.label) {
+          errors.push(`${where} needs an item label`);
+        }
+
+        if (screen.empty !== undefined) {
+          checkMessage(screen.empty, `${where} empty`);
+        }
+
+        checkNext(screen.next, where);
+        break;
+
+      case "input":
+        if (
+          screen.validator !== undefined &&
+          !knownValidators.includes(screen.validator)
+        ) {
+          errors.push(
+            `${where} uses unknown validator "${screen.validator}"`
+          );
+        }
+
+        if (!screen.store) {
+          errors.push(`${where} needs a store name`);
+        }
+
+        if (screen.invalid !== undefined) {
+          checkMessage(screen.invalid, `${where} invalid`);
+        }
+
+        checkNext(screen.next, where);
+        break;
+
+      case "action":
+        if (!screen.action) {
+          errors.push(`${where} needs an action`);
+        }
+
+        checkAction(screen.action, where);
+        checkNext(screen.next, where);
+        break;
+
+      default:
+        break;
+    }
+
+    if (
+      ["list", "input"].includes(screen.type) &&
+      !screen.next
+    ) {
+      errors.push(`${where} needs a next screen`);
+    }
+  });
+
+  return errors;
+}
+
+// ===========================================================================
+// Run
+// ===========================================================================
+
+// Renders the screen the input leads to.
+// `actions[name](context, vars, t)` may return:
+//   { end: messageKey, vars }   finish with that message
+//   { text }                    finish with already-translated text
+//   { next: screenId, vars }    continue elsewhere (default: screen.next)
+//   { items: [...] }            choices for a list screen
+//   { language }                switch the language used from here on
+// Returns { response, screenId, language, page, pages }.
+async function runMenu({
+  definition,
+  text = "",
+  context = {},
+  actions = {},
+  validators = {},
+  messages = {},
+  language,
+  maxLength = MAX_SCREEN_LENGTH,
+}) {
+  const allValidators = {
+    ...VALIDATORS,
+    ...validators,
+  };
+
+  const allMessages = {
+    ...ENGINE_MESSAGES,
+    ...messages,
+    ...(definition.messages || {}),
+  };
+
+  const defaultLanguage =
+    definition.defaultLanguage || "en";
+
+  let current =
+    LANGUAGES.includes(language)
+      ? language
+      : defaultLanguage;
+
+  let t =
+    createTranslator(
+      allMessages,
+      current,
+      defaultLanguage
+    );
+
+  const inputs =
+    text === ""
+      ? []
+      : String(text).split(SEPARATOR);
+
+  const vars = {
+    ...(context.vars || {}),
+  };
+
+  let position = 0;
+  let screenId = definition.start;
+
+  const call = async (name) => {
+    const action =
+      actions[name];
+
+    if (!action) {
+      throw new Error(`USSD action "${name}" is not available`);
+    }
+
+    const result =
+      (await action(context, vars, t)) || {};
+
+    Object.assign(vars, result.vars || {});
+
+    if (
+      result.language &&
+      LANGUAGES.includes(result.language)
+    ) {
+      current = result.language;
+      t = createTranslator(
+        allMessages,
+        current,
+        defaultLanguage
+      );
+    }
+
+    return result;
+  };
+
+  // Shows one page of `body`, consuming 98/99 inputs first.
+  // Returns null when the member answered this screen instead.
+  const show = (kind, body) => {
+    const pages =
+      paginate(body, {
+        maxLength,
+        moreLabel: t("more"),
+        backLabel: t("back"),
+      });
+
+    let page = 0;
+
+    while (
+      pages.length > 1 &&
+      position < inputs.length &&
+      [MORE, BACK].includes(inputs[position])
+    ) {
+      page =
+        inputs[position] === MORE
+          ? Math.min(page + 1, pages.length - 1)
+          : Math.max(page - 1, 0);
+
+      position += 1;
+    }
+
+    const last =
+      page === pages.length - 1;
+
+    if (
+      kind === "CON" &&
+      position < inputs.length
+    ) {
+      return null;
+    }
+
+    const footer = [
+      !last && `${MORE}. ${t("more")}`,
+      page > 0 && `${BACK}. ${t("back")}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const prefix =
+      kind === "END" && last
+        ? "END"
+        : "CON";
+
+    return {
+      response:
+        `${prefix} ${pages[page]}${footer ? `\n${footer}` : ""}`,
+      screenId,
+      language: current,
+      page: page + 1,
+      pages: pages.length,
+    };
+  };
+
+  const finish = (body) =>
+    show("END", body);
+
+  for (let step = 0; step < MAX_STEPS; step += 1) {
+    const screen =
+      definition.screens[screenId];
+
+    if (!screen) {
+      throw new Error(`USSD screen "${screenId}" does not exist`);
+    }
+
+    if (screen.before) {
+      const result =
+        await call(screen.before);
+
+      if (result.end || result.text) {
+        return finish(
+          result.text || t(result.end, vars)
+        );
+      }
+    }
+
+    if (screen.type === "action") {
+      const result =
+        await call(screen.action);
+
+      if (result.end || result.text) {
+        return finish(
+          result.text || t(result.end, vars)
+        );
+      }
+
+      screenId =
+        result.next || screen.next;
+      continue;
+    }
+
+    if (screen.type === "end") {
+      return finish(
+        t(screen.text, vars)
+      );
+    }
+
+    let choices = [];
+
+    if (screen.type === "menu") {
+      choices =
+        screen.options.map((option) => ({
+          key: String(option.key),
+          label: t(option.label, { ...vars, value: option.value }),
+          option,
+        }));
+    }
+
+    if (screen.type === "list") {
+      const result =
+        await call(screen.items);
+
+      if (result.end || result.text) {
+        return finish(
+          result.text || t(result.end, vars)
+        );
+      }
+
+      const items =
+        result.items || [];
+
+      if (!items.length) {
+        return finish(
+          t(screen.empty || "nothingToShow", vars)
+        );
+      }
+
+      choices =
+        items.map((item, i) => ({
+          key: String(i + 1),
+          label: t(screen.label, { ...vars, ...item }),
+          item,
+        }));
+    }
+
+    const heading =
+      t(screen.text, vars);
+
+    const body =
+      choices.length
+        ? `${heading}\n\n${choices
+            .map((choice) => `${choice.key}. ${choice.label}`)
+            .join("\n")}`
+        : heading;
+
+    const shown =
+      show("CON", body);
+
+    if (shown) {
+      return shown;
+    }
+
+    const answer =
+      inputs[position];
+
+    position += 1;
+
+    if (screen.type === "input") {
+      const validate =
+        allValidators[screen.validator || "any"];
+
+      const result =
+        await validate(answer, vars, screen);
+
+      if (result.error) {
+        return finish(
+          t(result.error, vars)
+        );
+      }
+
+      vars[screen.store] =
+        result.value;
+
+      screenId = screen.next;
+      continue;
+    }
+
+    const choice =
+      choices.find(
+        (candidate) =>
+          candidate.key === answer
+      );
+
+    if (!choice) {
+      return finish(
+        t("invalidOption", vars)
+      );
+    }
+
+    if (screen.type === "list") {
+      vars[screen.store || "item"] =
+        choice.item;
+
+      screenId = screen.next;
+      continue;
+    }
+
+    if (screen.store) {
+      vars[screen.store] =
+        choice.option.value ??
+        choice.key;
+    }
+
+    screenId = choice.option.next;
+  }
+
+  throw new Error("USSD menu tree did not reach a screen");
+}
+
+module.exports = {
+  SCREEN_TYPES,
+  LANGUAGES,
+  MORE,
+  BACK,
+  MAX_SCREEN_LENGTH,
+  VALIDATORS,
+  format,
+  createTranslator,
+  paginate,
+  validateDefinition,
+  runMenu,
+};
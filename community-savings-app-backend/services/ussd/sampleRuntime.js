@@ -0,0 +1,155 @@
+// ============================================================================
+// TITech Community Capital
+// USSD Simulator Runtime
+// File: backend/services/ussd/sampleRuntime.js
+// ============================================================================
+//
+// Stand-ins for every action and custom validator the live USSD service
+// provides, returning sample data. The simulator runs menu trees against
+// these, so trying a tree never reads member data, moves money or changes
+// a PIN.
+//
+// The key lists double as the names a tenant tree may use; the USSD service
+// test keeps them in step with the live runtime.
+//
+// ============================================================================
+
+"use strict";
+
+const SAMPLE_GROUPS = [
+  { _id: "sample-group-1", name: "Sample Savings Group" },
+  { _id: "sample-group-2", name: "Sample Women's Group" },
+];
+
+const SAMPLE_REFERENCE = "USSD-SAMPLE00000";
+
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const actions = {
+  // Guards
+  requireMember: async () => ({}),
+  requirePin: async () => ({}),
+  verifyPin: async () => ({}),
+
+  mobileMoney: async (context) => ({
+    vars: {
+      provider: "mtn",
+      providerName: "MTN",
+      phoneNumber: context.phoneNumber,
+    },
+  }),
+
+  // Lists
+  memberGroups: async () => ({
+    items: SAMPLE_GROUPS,
+  }),
+
+  repayableLoans: async () => ({
+    items: [
+      {
+        _id: "sample-loan-1",
+        amount: 500000,
+        due: 95000,
+        dueDate: daysFromNow(14),
+      },
+    ],
+  }),
+
+  guarantorRequests: async () => ({
+    items: [
+      {
+        loanId: "sample-loan-2",
+        guarantorId: "sample-guarantor-1",
+        loanAmount: 500000,
+        guaranteeAmount: 100000,
+      },
+    ],
+  }),
+
+  // Enquiries
+  balance: async () => ({
+    end: "balanceIs",
+    vars: { balance: 250000 },
+  }),
+
+  savingsTotal: async () => ({
+    end: "totalSavings",
+    vars: { total: 250000 },
+  }),
+
+  loanSummary: async () => ({
+    end: "outstandingLoans",
+    vars: { total: 405000 },
+  }),
+
+  profile: async () => ({
+    end: "profileDetails",
+    vars: {
+      name: "Sample Member",
+      memberNumber: "M-0001",
+      status: "Active",
+    },
+  }),
+
+  miniStatement: async (context, vars, t) => ({
+    end: "miniStatement",
+    vars: {
+      count: 2,
+      lines: [
+        `12/10 ${t("txContribution")} 20,000`,
+        `10/10 ${t("txLoanRepaid")} 95,000`,
+      ].join("\n"),
+    },
+  }),
+
+  // Journeys
+  startContribution: async (context, vars) => ({
+    end: "approvePrompt",
+    vars: {
+      amount: vars.amount,
+      reference: SAMPLE_REFERENCE,
+    },
+  }),
+
+  startRepayment: async (context, vars) => ({
+    end: "approvePrompt",
+    vars: {
+      amount: vars.loan?.due,
+      reference: SAMPLE_REFERENCE,
+    },
+  }),
+
+  requestLoan: async () => ({
+    end: "loanRequested",
+    vars: { reference: "SAMPLE" },
+  }),
+
+  guarantorRespond: async (context, vars) => ({
+    end:
+      vars.decision === "decline"
+        ? "guaranteeDeclined"
+        : "guaranteeAccepted",
+  }),
+
+  savePin: async () => ({
+    end: "pinSet",
+  }),
+
+  setLanguage: async (context, vars) => ({
+    language: vars.language,
+    end: "languageSaved",
+  }),
+};
+
+const validators = {
+  newPin: (value) =>
+    /^\d{4}$/.test(value)
+      ? { value }
+      : { error: "pinFormat" },
+};
+
+module.exports = {
+  actions,
+  validators,
+};
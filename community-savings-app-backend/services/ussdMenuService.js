@@ -0,0 +1,212 @@
+/**
+ * USSD Menu Service
+ * Versioned, per-tenant USSD menu trees.
+ * Features:
+ * - Tenants save drafts of their menu tree (screens, inputs, validators,
+ *   actions and translated copy) and publish one version at a time; the
+ *   previous version is retired
+ * - Trees are checked against the engine rules and the actions the USSD
+ *   service provides before they are saved or published
+ * - Tenants without a published tree get the built-in default menu; tenant
+ *   messages are merged over the default catalogue
+ * - A simulator renders any version, the active tree or an unsaved tree
+ *   against sample data, page by page
+ */
+
+const mongoose = require('mongoose');
+const UssdMenu = require('../models/UssdMenu');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const defaultMenu = require('./ussd/defaultMenu');
+const { runMenu, validateDefinition } = require('./ussd/menuEngine');
+const sampleRuntime = require('./ussd/sampleRuntime');
+
+const audit = createAuditTrail('UssdMenuService');
+
+const ACTIVE_TTL_MS = 60 * 1000;
+const MAX_REPORTED_ERRORS = 10;
+
+class UssdMenuService {
+  constructor() {
+    // tenantId → { at, menu }
+    this.active = new Map();
+  }
+
+  assertTenant(tenantId) {
+    if (!tenantId) {
+      throw new AppError('Tenant ID is required', 400, errorCodes.VALIDATION_ERROR);
+    }
+  }
+
+  /**
+   * Problems that would stop a tree from running; empty when it is valid.
+   */
+  check(definition) {
+    return validateDefinition(definition, {
+      actions: Object.keys(sampleRuntime.actions),
+      validators: Object.keys(sampleRuntime.validators),
+      messages: defaultMenu.messages,
+    });
+  }
+
+  assertValid(definition) {
+    const errors = this.check(definition);
+    if (errors.length) {
+      throw new AppError(
+        `Invalid menu tree: ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}`,
+        400,
+        errorCodes.USSD_MENU_INVALID
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Versions
+  // ---------------------------------------------------------------------------
+
+  async list(tenantId) {
+    this.assertTenant(tenantId);
+    return UssdMenu.find({ tenantId }).select('-definition').sort({ version: -1 }).lean();
+  }
+
+  async get(tenantId, version) {
+    this.assertTenant(tenantId);
+    const menu = await UssdMenu.findOne({ tenantId, version: Number(version) }).lean();
+    if (!menu) {
+      throw new AppError(`USSD menu version ${version} not found`, 404, errorCodes.USSD_MENU_NOT_FOUND);
+    }
+    return menu;
+  }
+
+  /**
+   * Save a tree as the tenant's next draft version.
+   * @param {Object} payload - { definition, notes? }
+   */
+  async createDraft(tenantId, { definition, notes }, user) {
+    this.assertTenant(tenantId);
+    this.assertValid(definition);
+
+    const latest = await UssdMenu.findOne({ tenantId }).sort({ version: -1 }).select('version').lean();
+    let menu;
+    try {
+      menu = await UssdMenu.create({
+        tenantId,
+        version: (latest?.version || 0) + 1,
+        definition,
+        notes,
+        createdBy: user?.id,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new AppError('Another version was saved at the same time; please retry', 409, errorCodes.USSD_MENU_CONFLICT);
+      }
+      throw err;
+    }
+
+    await audit(user, 'ussd_menu:draft_created', { tenantId, version: menu.version });
+    return menu.toObject();
+  }
+
+  /**
+   * Make a version the live menu and retire the one it replaces.
+   * Publishing a retired version rolls back to it.
+   */
+  async publish(tenantId, version, user) {
+    const menu = await this.get(tenantId, version);
+    if (menu.status === 'PUBLISHED') return menu;
+
+    // Trees are re-checked: actions may have changed since the draft was saved
+    this.assertValid(menu.definition);
+
+    await UssdMenu.updateMany(
+      { tenantId, status: 'PUBLISHED', _id: { $ne: menu._id } },
+      { $set: { status: 'RETIRED' } }
+    );
+    const published = await UssdMenu.findOneAndUpdate(
+      { _id: menu._id },
+      { $set: { status: 'PUBLISHED', publishedBy: user?.id, publishedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    this.active.delete(String(tenantId));
+    await audit(user, 'ussd_menu:published', { tenantId, version: menu.version });
+    return published;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Active tree
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The tree USSD sessions run for the tenant, cached briefly. Falls back to
+   * the default menu when none is published or it cannot be read.
+   * @returns {Promise<Object>} { version, source: TENANT|DEFAULT, definition }
+   */
+  async getActive(tenantId) {
+    const fallback = { version: null, source: 'DEFAULT', definition: defaultMenu };
+    if (!tenantId || !mongoose.isValidObjectId(tenantId)) return fallback;
+
+    const key = String(tenantId);
+    const cached = this.active.get(key);
+    if (cached && Date.now() - cached.at < ACTIVE_TTL_MS) {
+      return cached.menu;
+    }
+
+    let menu = fallback;
+    try {
+      const published = await UssdMenu.findOne({ tenantId, status: 'PUBLISHED' }).lean();
+      if (published) {
+        menu = { version: published.version, source: 'TENANT', definition: published.definition };
+      }
+    } catch (err) {
+      logger.warn('[UssdMenuService] Menu tree unavailable; using the default menu', { tenantId, error: err.message });
+    }
+    this.active.set(key, { at: Date.now(), menu });
+    return menu;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Simulator
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render the screen a session would show for `text`, using sample data.
+   * @param {Object} options - { text?, phoneNumber?, language?, version? | definition? }
+   * @returns {Promise<Object>} { response, length, screenId, language, page, pages, version, source }
+   */
+  async simulate(tenantId, { text = '', phoneNumber = '+256772000000', language, version, definition } = {}) {
+    this.assertTenant(tenantId);
+
+    let menu;
+    if (definition) {
+      this.assertValid(definition);
+      menu = { version: null, source: 'UNSAVED', definition };
+    } else if (version !== undefined) {
+      const saved = await this.get(tenantId, version);
+      menu = { version: saved.version, source: 'TENANT', definition: saved.definition };
+    } else {
+      menu = await this.getActive(tenantId);
+    }
+
+    const screen = await runMenu({
+      definition: menu.definition,
+      text: String(text).trim(),
+      context: { tenantId, phoneNumber, simulated: true, vars: { phoneNumber } },
+      actions: sampleRuntime.actions,
+      validators: sampleRuntime.validators,
+      messages: defaultMenu.messages,
+      language,
+    });
+
+    return {
+      ...screen,
+      length: screen.response.length,
+      version: menu.version,
+      source: menu.source,
+    };
+  }
+}
+
+module.exports = new UssdMenuService();
@@ -0,0 +1,282 @@
+/**
+ * USSD PIN Service
+ * PINs that authorise payments and loan requests made over USSD.
+ * Features:
+ * - A 4-digit PIN, bcrypt-hashed on the member's User record
+ * - Obvious PINs (1111, 1234, 9876) are refused
+ * - Wrong PINs lock USSD access for a while (USSD_PIN_MAX_ATTEMPTS,
+ *   USSD_PIN_LOCK_MINUTES); a correct PIN clears the count
+ * - Members set or change the PIN in the app or on USSD with the old PIN
+ * - A forgotten or never-set PIN is (re)set on USSD with a one-time code an
+ *   admin sends to the member's phone by SMS
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { createAuditTrail } = require('../utils/auditTrail');
+const errorCodes = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+
+const audit = createAuditTrail('UssdPinService');
+
+const PIN_PATTERN = /^\d{4}$/;
+const SALT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+const RESET_CODE_TTL_MINUTES = 30;
+const MAX_RESET_CODE_ATTEMPTS = 3;
+
+const maxAttempts = () => Number(process.env.USSD_PIN_MAX_ATTEMPTS || 3);
+const lockMinutes = () => Number(process.env.USSD_PIN_LOCK_MINUTES || 30);
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Gateways send +2567..., profiles may hold 2567...; match either.
+ */
+const phoneVariants = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  return digits ? [`+${digits}`, digits] : [];
+};
+
+/**
+ * Repeated digits and runs such as 1234 or 8765.
+ */
+const isWeakPin = (pin) => {
+  const digits = pin.split('').map(Number);
+  const steps = new Set(digits.slice(1).map((d, i) => d - digits[i]));
+  return steps.size === 1 && [0, 1, -1].includes([...steps][0]);
+};
+
+class UssdPinService {
+  /**
+   * The active member account registered to a phone number.
+   */
+  async findByPhone(tenantId, phoneNumber) {
+    const variants = phoneVariants(phoneNumber);
+    if (!variants.length) return null;
+
+    const filter = { phone: { $in: variants }, isActive: true };
+    if (tenantId && mongoose.isValidObjectId(tenantId)) filter.tenantId = tenantId;
+    return User.findOne(filter).select('name phone tenantId status mobileMoney ussdPin profile.language');
+  }
+
+  /**
+   * @returns {'NOT_SET'|'LOCKED'|'ACTIVE'}
+   */
+  status(user) {
+    const pin = user?.ussdPin || {};
+    if (pin.lockedUntil && new Date(pin.lockedUntil) > new Date()) return 'LOCKED';
+    return pin.setAt ? 'ACTIVE' : 'NOT_SET';
+  }
+
+  /**
+   * What the app shows on the member's security settings.
+   */
+  async describe(userId) {
+    const user = await User.findById(userId).select('ussdPin').lean();
+    if (!user) {
+      throw new AppError('User not found', 404, errorCodes.NOT_FOUND);
+    }
+    const pin = user.ussdPin || {};
+    return {
+      status: this.status(user),
+      setAt: pin.setAt || null,
+      lockedUntil: this.status(user) === 'LOCKED' ? pin.lockedUntil : null,
+    };
+  }
+
+  validatePin(pin) {
+    const value = String(pin ?? '');
+    if (!PIN_PATTERN.test(value)) {
+      throw new AppError('PIN must be 4 digits', 400, errorCodes.USSD_PIN_INVALID);
+    }
+    if (isWeakPin(value)) {
+      throw new AppError('PIN is too easy to guess', 400, errorCodes.USSD_PIN_INVALID);
+    }
+    return value;
+  }
+
+  async loadWithSecrets(userId) {
+    const user = await User.findById(userId).select('+ussdPin.hash +ussdPin.resetCodeHash phone tenantId');
+    if (!user) {
+      throw new AppError('User not found', 404, errorCodes.NOT_FOUND);
+    }
+    return user;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Set / change
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set a new PIN. Clears the lockout and any outstanding reset code.
+   * @param {Object} actor - { id, role } for the audit trail
+   */
+  async setPin(userId, pin, actor, channel = 'APP') {
+    const value = this.validatePin(pin);
+    const hash = await bcrypt.hash(value, SALT_ROUNDS);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'ussdPin.hash': hash,
+          'ussdPin.setAt': new Date(),
+          'ussdPin.failedAttempts': 0,
+          'ussdPin.lockedUntil': null,
+          'ussdPin.resetCodeAttempts': 0,
+        },
+        $unset: { 'ussdPin.resetCodeHash': '', 'ussdPin.resetCodeExpiresAt': '' },
+      }
+    );
+
+    await audit(actor, 'ussd_pin:set', { userId, channel });
+    return { setAt: new Date() };
+  }
+
+  async changePin(userId, currentPin, newPin, channel = 'USSD') {
+    await this.verify(userId, currentPin);
+    return this.setPin(userId, newPin, { id: userId, role: 'user' }, channel);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Verify
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check a PIN, counting wrong ones towards the lockout.
+   * @throws {AppError} USSD_PIN_NOT_SET | USSD_PIN_LOCKED | USSD_PIN_INVALID
+   */
+  async verify(userId, pin) {
+    const user = await this.loadWithSecrets(userId);
+    const state = this.status(user);
+
+    if (state === 'LOCKED') {
+      throw new AppError('Too many wrong PINs. Please try again later.', 423, errorCodes.USSD_PIN_LOCKED);
+    }
+    if (state === 'NOT_SET' || !user.ussdPin.hash) {
+      throw new AppError('You have not set a PIN yet', 409, errorCodes.USSD_PIN_NOT_SET);
+    }
+
+    const matches = PIN_PATTERN.test(String(pin ?? '')) && (await bcrypt.compare(String(pin), user.ussdPin.hash));
+    if (!matches) {
+      return this.recordFailure(user);
+    }
+
+    if (user.ussdPin.failedAttempts) {
+      await User.updateOne({ _id: user._id }, { $set: { 'ussdPin.failedAttempts': 0 } });
+    }
+    return user;
+  }
+
+  async recordFailure(user) {
+    // $inc so concurrent sessions cannot each get the full allowance
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { 'ussdPin.failedAttempts': 1 } },
+      { new: true }
+    ).select('ussdPin');
+    const attempts = updated?.ussdPin?.failedAttempts ?? maxAttempts();
+    const remaining = maxAttempts() - attempts;
+
+    if (remaining > 0) {
+      // attemptsLeft / lockMinutes let USSD show the message in the member's language
+      throw Object.assign(
+        new AppError(`Wrong PIN. ${plural(remaining, 'attempt')} left.`, 401, errorCodes.USSD_PIN_INVALID),
+        { attemptsLeft: remaining }
+      );
+    }
+
+    const minutes = lockMinutes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'ussdPin.lockedUntil': new Date(Date.now() + minutes * 60 * 1000), 'ussdPin.failedAttempts': 0 } }
+    );
+    await audit({ id: null, role: 'system' }, 'ussd_pin:locked', { userId: user._id, minutes });
+    logger.warn('[UssdPinService] PIN locked after repeated failures', { userId: user._id });
+    throw Object.assign(
+      new AppError(
+        `Too many wrong PINs. USSD payments are locked for ${plural(minutes, 'minute')}.`,
+        423,
+        errorCodes.USSD_PIN_LOCKED
+      ),
+      { lockMinutes: minutes }
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reset
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Send a one-time code the member uses on USSD to set a new PIN.
+   * Also lifts an active lockout.
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async issueResetCode(userId, actor) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user.phone) {
+      throw new AppError('The member has no phone number on file', 400, errorCodes.VALIDATION_ERROR);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'ussdPin.resetCodeHash': await bcrypt.hash(code, SALT_ROUNDS),
+          'ussdPin.resetCodeExpiresAt': expiresAt,
+          'ussdPin.resetCodeAttempts': 0,
+          'ussdPin.failedAttempts': 0,
+          'ussdPin.lockedUntil': null,
+        },
+      }
+    );
+
+    const ussd = process.env.USSD_SERVICE_CODE ? `Dial ${process.env.USSD_SERVICE_CODE}, choose PIN Settings and` : 'On USSD,';
+    try {
+      await notificationService.sendSMS({
+        phoneNumber: user.phone,
+        message: `Your USSD PIN code is ${code}. ${ussd} enter it to set a new PIN. It expires in ${RESET_CODE_TTL_MINUTES} minutes.`,
+        essential: true,
+      });
+    } catch (err) {
+      logger.warn('[UssdPinService] Reset code SMS failed', { userId: user._id, error: err.message });
+      throw new AppError('Could not send the reset code by SMS', 502, errorCodes.INTERNAL_ERROR);
+    }
+
+    await audit(actor, 'ussd_pin:reset_code_issued', { userId: user._id });
+    return { expiresAt };
+  }
+
+  /**
+   * Set a new PIN with a reset code. Three wrong codes void it.
+   * @throws {AppError} USSD_PIN_RESET_CODE_INVALID
+   */
+  async resetWithCode(userId, code, newPin) {
+    const value = this.validatePin(newPin);
+    const user = await this.loadWithSecrets(userId);
+    const pin = user.ussdPin || {};
+
+    if (!pin.resetCodeHash || !pin.resetCodeExpiresAt || new Date(pin.resetCodeExpiresAt) <= new Date()) {
+      throw new AppError('No valid PIN code. Ask your group officer for a new one.', 410, errorCodes.USSD_PIN_RESET_CODE_INVALID);
+    }
+
+    if (!(await bcrypt.compare(String(code ?? ''), pin.resetCodeHash))) {
+      const attempts = (pin.resetCodeAttempts || 0) + 1;
+      const update =
+        attempts >= MAX_RESET_CODE_ATTEMPTS
+          ? { $unset: { 'ussdPin.resetCodeHash': '', 'ussdPin.resetCodeExpiresAt': '' }, $set: { 'ussdPin.resetCodeAttempts': 0 } }
+          : { $set: { 'ussdPin.resetCodeAttempts': attempts } };
+      await User.updateOne({ _id: user._id }, update);
+      throw new AppError('Wrong PIN code', 401, errorCodes.USSD_PIN_RESET_CODE_INVALID);
+    }
+
+    return this.setPin(user._id, value, { id: user._id, role: 'user' }, 'USSD');
+  }
+}
+
+module.exports = new UssdPinService();
@@ -4,43 +4,111 @@
 // File: backend/services/ussdService.js
 // Production Grade
 // ============================================================================
+//
+// Gateway hops reach process() through controllers/ussdController.js.
+// Screens come from the tenant's menu tree (services/ussdMenuService.js,
+// run by services/ussd/menuEngine.js); this service supplies the actions
+// the tree calls: PIN checks, member data and the journeys that move money.
+//
+// Every action has a stand-in in services/ussd/sampleRuntime.js for the
+// simulator.
+//
+// ============================================================================
 
 "use strict";
 
 const crypto = require("crypto");
 const EventEmitter = require("events");
 
+const Contribution = require("../models/Contribution");
+const Group = require("../models/Group");
+const InternalTransfer = require("../models/InternalTransfer");
+const Loan = require("../models/Loan");
+const LoanRepaymentSchedule = require("../models/LoanRepaymentSchedule");
+const PaymentRequest = require("../models/PaymentRequest");
+const User = require("../models/User");
+const errorCodes = require("../utils/errorCodes");
 const logger = require("../utils/logger");
 const metricsService = require("./metricsService");
+const defaultMenu = require("./ussd/defaultMenu");
+const {
+  createTranslator,
+  runMenu,
+} = require("./ussd/menuEngine");
+const ussdMenuService = require("./ussdMenuService");
+const ussdPinService = require("./ussdPinService");
 const ussdSessionService = require("./ussdSessionService");
 
 let memberService;
 let savingsService;
 let loanService;
-let mobileMoneyService;
 let notificationService;
+let guarantorService;
+let paymentRequestService;
+let loanWorkflow;
 
 try {
   memberService = require("./memberService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Member service not loaded for USSD", {
+    error: err.message,
+  });
+}
 
 try {
   savingsService = require("./savingsService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Savings service not loaded for USSD", {
+    error: err.message,
+  });
+}
 
 try {
   loanService = require("./loanService");
-} catch (_) {}
-
-try {
-  mobileMoneyService =
-    require("./mobileMoneySettlementService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Loan service not loaded for USSD", {
+    error: err.message,
+  });
+}
 
 try {
   notificationService =
     require("./notificationService");
-} catch (_) {}
+} catch (err) {
+  logger.debug("Notification service not loaded for USSD", {
+    error: err.message,
+  });
+}
+
+try {
+  guarantorService =
+    require("./guarantorService");
+} catch (err) {
+  logger.debug("Guarantor service not loaded for USSD", {
+    error: err.message,
+  });
+}
+
+try {
+  paymentRequestService =
+    require("./paymentRequestService");
+} catch (err) {
+  logger.debug("Payment request service not loaded for USSD", {
+    error: err.message,
+  });
+}
+
+try {
+  const LoanWorkflowService =
+    require("./loanWorkflowService");
+
+  loanWorkflow =
+    new LoanWorkflowService();
+} catch (err) {
+  logger.debug("Loan workflow service not loaded for USSD", {
+    error: err.message,
+  });
+}
 
 const SESSION_TTL =
   Number(
@@ -48,78 +116,62 @@ const SESSION_TTL =
       300
   );
 
-const MENU_SEPARATOR = "*";
+const MAX_LIST_ITEMS = 5;
+
+const REPAYABLE_LOAN_STATUSES = [
+  "disbursed",
+  "active",
+  "overdue",
+];
+
+// Uganda mobile money prefixes, used when the profile names no provider
+const PROVIDER_PREFIXES = {
+  mtn: ["25676", "25677", "25678", "25639"],
+  airtel: ["25670", "25674", "25675", "25620"],
+};
+
+const shortDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .slice(5, 10)
+    .split("-")
+    .reverse()
+    .join("/");
+
+const proofSecret = () =>
+  process.env.USSD_PIN_PROOF_SECRET ||
+  process.env.JWT_SECRET ||
+  "ussd-pin-proof";
 
 class USSDService extends EventEmitter {
   constructor() {
     super();
 
-    this.handlers =
-      new Map();
-
-    this.registerDefaultMenus();
-  }
-
-  // ===========================================================================
-  // Menu Registration
-  // ===========================================================================
-
-  registerMenu(
-    key,
-    handler
-  ) {
-    this.handlers.set(
-      key,
-      handler
-    );
-
-    logger.info(
-      "USSD menu registered",
-      {
-        menu: key,
-      }
-    );
-  }
-
-  unregisterMenu(key) {
-    this.handlers.delete(key);
-  }
-
-  registerDefaultMenus() {
-    this.registerMenu(
-      "",
-      this.mainMenu.bind(
-        this
-      )
-    );
-
-    this.registerMenu(
-      "1",
-      this.balanceMenu.bind(
-        this
-      )
-    );
-
-    this.registerMenu(
-      "2",
-      this.savingsMenu.bind(
-        this
-      )
-    );
-
-    this.registerMenu(
-      "3",
-      this.loanMenu.bind(
-        this
-      )
-    );
+    // Names used by menu trees; keep in step with ussd/sampleRuntime.js
+    this.actions = {
+      requireMember: this.guard(this.requireMember),
+      requirePin: this.guard(this.requirePin),
+      verifyPin: this.guard(this.verifyPin),
+      mobileMoney: this.guard(this.mobileMoney),
+      memberGroups: this.guard(this.memberGroupItems),
+      repayableLoans: this.guard(this.repayableLoanItems),
+      guarantorRequests: this.guard(this.guarantorRequests),
+      balance: this.guard(this.balance, "balanceUnavailable"),
+      savingsTotal: this.guard(this.savingsTotal, "savingsUnavailable"),
+      loanSummary: this.guard(this.loanSummary, "loansUnavailable"),
+      profile: this.guard(this.profile, "profileUnavailable"),
+      miniStatement: this.guard(this.miniStatement),
+      startContribution: this.guard(this.startContribution),
+      startRepayment: this.guard(this.startRepayment),
+      requestLoan: this.guard(this.requestLoan),
+      guarantorRespond: this.guard(this.guarantorRespond),
+      savePin: this.guard(this.savePin, "pinUpdateFailed"),
+      setLanguage: this.guard(this.setLanguage),
+    };
 
-    this.registerMenu(
-      "4",
-      this.profileMenu.bind(
-        this
-      )
-    );
+    this.validators = {
+      newPin: this.validateNewPin.bind(this),
+    };
   }
 
   // ===========================================================================
@@ -138,9 +190,6 @@ class USSDService extends EventEmitter {
     const started =
       Date.now();
 
-    const menu =
-      text.trim();
-
     const requestHash =
       crypto
         .createHash(
@@ -156,6 +205,21 @@ class USSDService extends EventEmitter {
         "ussd.service.requests"
       );
 
+      // A gateway retry of the same hop gets the same screen, and never
+      // repeats the work behind it
+      const cached =
+        await ussdSessionService.getResponse(
+          requestHash
+        );
+
+      if (cached) {
+        metricsService.increment(
+          "ussd.service.replayed"
+        );
+
+        return cached;
+      }
+
       await this.ensureSession({
         sessionId,
         tenantId:
@@ -163,19 +227,30 @@ class USSDService extends EventEmitter {
         phoneNumber,
       });
 
-      const handler =
-        this.handlers.get(
-          menu
-        ) ||
-        this.routeDynamic(
-          menu
-        );
-
-      let response;
-
-      if (handler) {
-        response =
-          await handler({
+      const [
+        menu,
+        member,
+        state,
+      ] = await Promise.all([
+        ussdMenuService.getActive(
+          tenant.id
+        ),
+        ussdPinService.findByPhone(
+          tenant.id,
+          phoneNumber
+        ),
+        ussdSessionService.getState(
+          sessionId
+        ),
+      ]);
+
+      const screen =
+        await runMenu({
+          definition:
+            menu.definition,
+          text:
+            text.trim(),
+          context: {
             tenant,
             sessionId,
             phoneNumber,
@@ -183,15 +258,25 @@ class USSDService extends EventEmitter {
             text,
             correlationId,
             requestId,
-          });
-      } else {
-        response =
-          this.invalidOption();
-      }
+            member,
+            vars: {
+              phoneNumber,
+            },
+          },
+          actions:
+            this.actions,
+          validators:
+            this.validators,
+          messages:
+            defaultMenu.messages,
+          language:
+            member?.profile?.language ||
+            state.language,
+        });
 
       await ussdSessionService.saveResponse(
         requestHash,
-        response
+        screen.response
       );
 
       metricsService.increment(
@@ -204,7 +289,7 @@ class USSDService extends EventEmitter {
           started
       );
 
-      return response;
+      return screen.response;
     } catch (error) {
       logger.error(
         "USSD processing failed",
@@ -261,210 +346,1159 @@ class USSDService extends EventEmitter {
   }
 
   // ===========================================================================
-  // Main Menu
+  // Action Errors
   // ===========================================================================
 
-  async mainMenu() {
-    return `
-CON TITech Community Capital
+  // Actions end the session with a translated message instead of throwing.
+  // Member-facing errors (4xx) show their text; anything else is logged and
+  // shows `fallback`.
+  guard(
+    action,
+    fallback = "failed"
+  ) {
+    return async (
+      context,
+      vars,
+      t
+    ) => {
+      try {
+        return await action.call(
+          this,
+          context,
+          vars,
+          t
+        );
+      } catch (error) {
+        return this.errorResult(
+          error,
+          fallback,
+          context
+        );
+      }
+    };
+  }
+
+  errorResult(
+    error,
+    fallback,
+    context
+  ) {
+    switch (error.errorCode) {
+      case errorCodes.USSD_PIN_NOT_SET:
+        return {
+          end: "pinNotSet",
+        };
+
+      case errorCodes.USSD_PIN_LOCKED:
+        return error.lockMinutes
+          ? {
+              end: "pinLockedFor",
+              vars: {
+                minutes:
+                  error.lockMinutes,
+              },
+            }
+          : {
+              end: "pinLocked",
+            };
+
+      case errorCodes.USSD_PIN_RESET_CODE_INVALID:
+        return {
+          end:
+            error.statusCode === 410
+              ? "pinCodeMissing"
+              : "pinCodeWrong",
+        };
+
+      case errorCodes.USSD_PIN_INVALID:
+        if (error.attemptsLeft) {
+          return error.attemptsLeft === 1
+            ? {
+                end: "wrongPinLast",
+              }
+            : {
+                end: "wrongPin",
+                vars: {
+                  attemptsLeft:
+                    error.attemptsLeft,
+                },
+              };
+        }
+        break;
 
-1. Account Balance
-2. Savings
-3. Loans
-4. Profile
-0. Exit
-`.trim();
+      default:
+        break;
+    }
+
+    if (
+      error.statusCode &&
+      error.statusCode < 500
+    ) {
+      return {
+        text:
+          error.message,
+      };
+    }
+
+    logger.error(
+      "USSD action failed",
+      {
+        error:
+          error.message,
+        sessionId:
+          context.sessionId,
+      }
+    );
+
+    return {
+      end: fallback,
+    };
   }
 
   // ===========================================================================
-  // Balance
+  // Member & PIN Guards
   // ===========================================================================
 
-  async balanceMenu({
-    phoneNumber,
+  async requireMember({
+    member,
   }) {
-    try {
-      let balance = 0;
+    return member
+      ? {}
+      : {
+          end: "notRegistered",
+        };
+  }
 
-      if (
-        savingsService?.getMemberBalance
-      ) {
-        balance =
-          await savingsService.getMemberBalance(
-            phoneNumber
-          );
-      }
+  async requirePin(context) {
+    if (!context.member) {
+      return {
+        end: "notRegistered",
+      };
+    }
 
-      return `END Your savings balance is UGX ${Number(
-        balance || 0
-      ).toLocaleString()}`;
-    } catch {
-      return (
-        "END Unable to retrieve balance."
+    const status =
+      ussdPinService.status(
+        context.member
       );
+
+    if (status === "NOT_SET") {
+      return {
+        end: "pinNotSet",
+      };
+    }
+
+    if (status === "LOCKED") {
+      return {
+        end: "pinLocked",
+      };
+    }
+
+    return {};
+  }
+
+  // The PIN is checked once per session. The tree replays the path on every
+  // hop, so later hops carry the same digits and match the proof kept in
+  // state; they do not count as new attempts.
+  async verifyPin(
+    {
+      sessionId,
+      member,
+    },
+    {
+      pin,
+    }
+  ) {
+    if (!member) {
+      return {
+        end: "notRegistered",
+      };
+    }
+
+    const proof =
+      this.pinProof(
+        sessionId,
+        member._id,
+        pin
+      );
+
+    const state =
+      await ussdSessionService.getState(
+        sessionId
+      );
+
+    if (state.pinProof !== proof) {
+      await ussdPinService.verify(
+        member._id,
+        pin
+      );
+
+      await ussdSessionService.setState(
+        sessionId,
+        {
+          pinProof: proof,
+          userId:
+            String(member._id),
+        }
+      );
+    }
+
+    return {};
+  }
+
+  // Keyed so the stored proof does not reveal the 4-digit PIN
+  pinProof(
+    sessionId,
+    userId,
+    pin
+  ) {
+    return crypto
+      .createHmac(
+        "sha256",
+        proofSecret()
+      )
+      .update(
+        `${sessionId}:${userId}:${pin}`
+      )
+      .digest("hex");
+  }
+
+  // Strength rules live with the PIN service
+  validateNewPin(value) {
+    if (!/^\d{4}$/.test(value)) {
+      return {
+        error: "pinFormat",
+      };
+    }
+
+    try {
+      ussdPinService.validatePin(
+        value
+      );
+
+      return {
+        value,
+      };
+    } catch {
+      return {
+        error: "pinWeak",
+      };
     }
   }
 
   // ===========================================================================
-  // Savings
+  // Run Once
   // ===========================================================================
 
-  async savingsMenu({
-    phoneNumber,
-  }) {
+  // Money-moving steps run once per session and answer. A retried or
+  // concurrent hit that slips past the response cache gets the first
+  // result, not a second collection or loan request.
+  async once(
+    sessionId,
+    text,
+    action
+  ) {
+    const key =
+      crypto
+        .createHash(
+          "sha256"
+        )
+        .update(text)
+        .digest("hex")
+        .slice(0, 16);
+
+    const lockKey =
+      `${sessionId}:${key}`;
+
+    const locked =
+      await ussdSessionService.acquireLock(
+        lockKey
+      );
+
+    if (!locked) {
+      return {
+        end: "inProgress",
+      };
+    }
+
     try {
-      let savings =
-        [];
+      const state =
+        await ussdSessionService.getState(
+          sessionId
+        );
 
-      if (
-        savingsService?.findByPhone
-      ) {
-        savings =
-          await savingsService.findByPhone(
-            phoneNumber
-          );
+      const completed =
+        state.completed || {};
+
+      if (completed[key]) {
+        return completed[key];
       }
 
-      const total =
-        savings.reduce(
-          (
-            sum,
-            item
-          ) =>
-            sum +
-            Number(
-              item.amount ||
-                0
-            ),
-          0
-        );
+      const result =
+        await action(key);
 
-      return `END Total savings: UGX ${total.toLocaleString()}`;
-    } catch {
-      return (
-        "END Unable to retrieve savings."
+      await ussdSessionService.setState(
+        sessionId,
+        {
+          completed: {
+            ...completed,
+            [key]: result,
+          },
+        }
+      );
+
+      return result;
+    } finally {
+      await ussdSessionService.releaseLock(
+        lockKey
       );
     }
   }
 
   // ===========================================================================
-  // Loans
+  // Enquiries
   // ===========================================================================
 
-  async loanMenu({
+  async balance({
     phoneNumber,
   }) {
-    try {
-      let loans = [];
+    let balance = 0;
+
+    if (
+      savingsService?.getMemberBalance
+    ) {
+      balance =
+        await savingsService.getMemberBalance(
+          phoneNumber
+        );
+    }
 
-      if (
-        loanService?.findActiveLoans
-      ) {
-        loans =
-          await loanService.findActiveLoans(
-            phoneNumber
-          );
-      }
+    return {
+      end: "balanceIs",
+      vars: {
+        balance,
+      },
+    };
+  }
 
-      if (!loans.length) {
-        return (
-          "END No active loans."
+  async savingsTotal({
+    phoneNumber,
+  }) {
+    let savings =
+      [];
+
+    if (
+      savingsService?.findByPhone
+    ) {
+      savings =
+        await savingsService.findByPhone(
+          phoneNumber
         );
-      }
+    }
 
-      const total =
-        loans.reduce(
-          (
-            sum,
-            loan
-          ) =>
-            sum +
-            Number(
-              loan.balance ||
-                0
-            ),
-          0
+    const total =
+      savings.reduce(
+        (
+          sum,
+          item
+        ) =>
+          sum +
+          Number(
+            item.amount ||
+              0
+          ),
+        0
+      );
+
+    return {
+      end: "totalSavings",
+      vars: {
+        total,
+      },
+    };
+  }
+
+  async loanSummary({
+    phoneNumber,
+  }) {
+    let loans = [];
+
+    if (
+      loanService?.findActiveLoans
+    ) {
+      loans =
+        await loanService.findActiveLoans(
+          phoneNumber
         );
+    }
 
-      return `END Outstanding loans: UGX ${total.toLocaleString()}`;
-    } catch {
-      return (
-        "END Unable to retrieve loan information."
+    if (!loans.length) {
+      return {
+        end: "noActiveLoans",
+      };
+    }
+
+    const total =
+      loans.reduce(
+        (
+          sum,
+          loan
+        ) =>
+          sum +
+          Number(
+            loan.balance ||
+              0
+          ),
+        0
       );
+
+    return {
+      end: "outstandingLoans",
+      vars: {
+        total,
+      },
+    };
+  }
+
+  async profile({
+    phoneNumber,
+  }) {
+    let member;
+
+    if (
+      memberService?.findByPhone
+    ) {
+      member =
+        await memberService.findByPhone(
+          phoneNumber
+        );
+    }
+
+    if (!member) {
+      return {
+        end: "profileNotFound",
+      };
     }
+
+    return {
+      end: "profileDetails",
+      vars: {
+        name:
+          member.name,
+        memberNumber:
+          member.memberNumber ||
+          "N/A",
+        status:
+          member.status ||
+          "Active",
+      },
+    };
   }
 
   // ===========================================================================
-  // Profile
+  // Lists
   // ===========================================================================
 
-  async profileMenu({
+  async memberGroupItems({
+    member,
+  }) {
+    return {
+      items:
+        await this.memberGroups(
+          member
+        ),
+    };
+  }
+
+  async repayableLoanItems({
+    member,
+  }) {
+    return {
+      items:
+        await this.repayableLoans(
+          member
+        ),
+    };
+  }
+
+  async guarantorRequests({
+    tenant,
     phoneNumber,
   }) {
-    try {
-      let member;
+    if (!guarantorService) {
+      return {
+        end: "guarantorUnavailable",
+      };
+    }
 
-      if (
-        memberService?.findByPhone
-      ) {
-        member =
-          await memberService.findByPhone(
-            phoneNumber
-          );
+    return {
+      items: (
+        await guarantorService.pendingForPhone(
+          tenant.id,
+          phoneNumber
+        )
+      ).slice(0, MAX_LIST_ITEMS),
+    };
+  }
+
+  // ===========================================================================
+  // Guarantor Requests
+  // ===========================================================================
+
+  async guarantorRespond(
+    {
+      phoneNumber,
+    },
+    {
+      request,
+      decision,
+    }
+  ) {
+    await guarantorService.respond(
+      request.loanId,
+      request.guarantorId,
+      {
+        decision,
+        channel: "USSD",
+        phoneNumber,
       }
+    );
 
-      if (!member) {
-        return (
-          "END Member profile not found."
-        );
+    return {
+      end:
+        decision === "accept"
+          ? "guaranteeAccepted"
+          : "guaranteeDeclined",
+    };
+  }
+
+  // ===========================================================================
+  // Mobile Money Collection
+  // ===========================================================================
+
+  // Runs before a payment is confirmed
+  async mobileMoney({
+    member,
+    phoneNumber,
+  }) {
+    const provider =
+      this.providerFor(
+        member,
+        phoneNumber
+      );
+
+    if (!paymentRequestService || !provider) {
+      return {
+        end: "mobileMoneyUnavailable",
+      };
+    }
+
+    return {
+      vars: {
+        provider,
+        providerName:
+          provider.toUpperCase(),
+      },
+    };
+  }
+
+  async startContribution(
+    context,
+    vars,
+    t
+  ) {
+    return this.confirmCollection(
+      context,
+      t,
+      {
+        purpose:
+          "CONTRIBUTION",
+        groupId:
+          vars.group._id,
+        amount:
+          vars.amount,
+        provider:
+          vars.provider,
       }
+    );
+  }
 
-      return `
-END Name: ${member.name}
-Member No: ${
-        member.memberNumber ||
-        "N/A"
+  async startRepayment(
+    context,
+    vars,
+    t
+  ) {
+    return this.confirmCollection(
+      context,
+      t,
+      {
+        purpose:
+          "LOAN_REPAYMENT",
+        loanId:
+          vars.loan._id,
+        amount:
+          vars.loan.due,
+        provider:
+          vars.provider,
       }
-Status: ${
-        member.status ||
-        "Active"
+    );
+  }
+
+  async confirmCollection(
+    context,
+    t,
+    payment
+  ) {
+    return this.once(
+      context.sessionId,
+      context.text,
+      (key) =>
+        this.startCollection(
+          context,
+          t,
+          {
+            ...payment,
+            reference:
+              `USSD-${crypto
+                .createHash(
+                  "sha256"
+                )
+                .update(
+                  `${context.sessionId}:${key}`
+                )
+                .digest("hex")
+                .slice(0, 12)
+                .toUpperCase()}`,
+          }
+        )
+    );
+  }
+
+  async startCollection(
+    {
+      sessionId,
+      phoneNumber,
+      member,
+      correlationId,
+    },
+    t,
+    {
+      provider,
+      ...payment
+    }
+  ) {
+    const request =
+      await paymentRequestService.createForMember(
+        {
+          ...payment,
+          phoneNumber,
+          channel: "USSD",
+        },
+        member
+      );
+
+    // The handset cannot show the mobile money prompt while this USSD
+    // session is open, so answer first and collect after
+    setImmediate(() =>
+      this.collect(
+        request,
+        {
+          provider,
+          phoneNumber,
+        },
+        {
+          correlationId,
+          sessionId,
+        },
+        t
+      )
+    );
+
+    return {
+      end: "approvePrompt",
+      vars: {
+        amount:
+          request.amount,
+        providerName:
+          provider.toUpperCase(),
+        reference:
+          request.reference,
+      },
+    };
+  }
+
+  async collect(
+    request,
+    payer,
+    context,
+    t = createTranslator(
+      defaultMenu.messages,
+      defaultMenu.defaultLanguage
+    )
+  ) {
+    try {
+      const result =
+        await paymentRequestService.collect(
+          request,
+          payer,
+          context
+        );
+
+      this.emit(
+        "collection",
+        {
+          reference:
+            request.reference,
+          ...result,
+        }
+      );
+
+      if (result.status === "FAILED") {
+        await this.sendSms(
+          payer.phoneNumber,
+          t(
+            "paymentNotStarted",
+            {
+              amount:
+                request.amount,
+              reference:
+                request.reference,
+            }
+          )
+        );
       }
-`.trim();
-    } catch {
-      return (
-        "END Unable to retrieve profile."
+    } catch (error) {
+      logger.error(
+        "USSD collection failed",
+        {
+          reference:
+            request.reference,
+          error:
+            error.message,
+          sessionId:
+            context.sessionId,
+        }
       );
     }
   }
 
   // ===========================================================================
-  // Dynamic Routing
+  // Request Loan
   // ===========================================================================
 
-  routeDynamic(text) {
-    const parts =
-      text.split(
-        MENU_SEPARATOR
+  async requestLoan(
+    {
+      sessionId,
+      text,
+      member,
+    },
+    {
+      group,
+      amount,
+      term,
+    }
+  ) {
+    if (!loanWorkflow) {
+      return {
+        end: "loanRequestsUnavailable",
+      };
+    }
+
+    return this.once(
+      sessionId,
+      text,
+      async () => {
+        const loan =
+          await loanWorkflow.createLoanApplication(
+            {
+              borrowerId:
+                member._id,
+              groupId:
+                group._id,
+              amount,
+              term:
+                Number(term),
+              purpose:
+                "PERSONAL",
+              description:
+                "Requested over USSD",
+            }
+          );
+
+        return {
+          end: "loanRequested",
+          vars: {
+            reference:
+              String(
+                loan._id
+              )
+                .slice(-6)
+                .toUpperCase(),
+          },
+        };
+      }
+    );
+  }
+
+  // ===========================================================================
+  // Mini Statement
+  // ===========================================================================
+
+  async miniStatement(
+    {
+      member,
+    },
+    vars,
+    t
+  ) {
+    const transactions =
+      await this.recentTransactions(
+        member
+      );
+
+    if (!transactions.length) {
+      return {
+        end: "noTransactions",
+      };
+    }
+
+    const lines =
+      transactions.map(
+        (transaction) =>
+          `${shortDate(
+            transaction.date
+          )} ${t(
+            transaction.label
+          )} ${
+            transaction.amount < 0
+              ? "-"
+              : ""
+          }${Math.abs(
+            transaction.amount
+          ).toLocaleString("en-US")}`
       );
 
-    const root =
-      parts[0];
+    return {
+      end: "miniStatement",
+      vars: {
+        count:
+          lines.length,
+        lines:
+          lines.join("\n"),
+      },
+    };
+  }
 
-    return this.handlers.get(
-      root
+  // ===========================================================================
+  // PIN Settings
+  // ===========================================================================
+
+  // pinOption "code": set a PIN with an SMS code; "change": change the PIN
+  async savePin(
+    {
+      sessionId,
+      text,
+      member,
+    },
+    {
+      pinOption,
+      secret,
+      newPin,
+    }
+  ) {
+    return this.once(
+      sessionId,
+      text,
+      async () => {
+        if (pinOption === "code") {
+          await ussdPinService.resetWithCode(
+            member._id,
+            secret,
+            newPin
+          );
+        } else {
+          await ussdPinService.changePin(
+            member._id,
+            secret,
+            newPin
+          );
+        }
+
+        return {
+          end: "pinSet",
+        };
+      }
     );
   }
 
   // ===========================================================================
-  // Utility
+  // Language
   // ===========================================================================
 
-  invalidOption() {
-    return `
-END Invalid option.
+  // Saved on the member's profile, or for the session if the number is
+  // not registered
+  async setLanguage(
+    {
+      sessionId,
+      member,
+    },
+    {
+      language,
+    }
+  ) {
+    if (member) {
+      await User.updateOne(
+        {
+          _id: member._id,
+        },
+        {
+          $set: {
+            "profile.language":
+              language,
+          },
+        }
+      );
+    }
+
+    await ussdSessionService.setState(
+      sessionId,
+      {
+        language,
+      }
+    );
 
-Please try again.
-`.trim();
+    return {
+      language,
+      end: "languageSaved",
+    };
+  }
+
+  // ===========================================================================
+  // Member Data
+  // ===========================================================================
+
+  async memberGroups(user) {
+    return Group.find({
+      members:
+        user._id,
+    })
+      .select("_id name")
+      .sort({ name: 1 })
+      .limit(MAX_LIST_ITEMS)
+      .lean();
+  }
+
+  // Loans with a pending installment; the next one is what gets paid
+  async repayableLoans(user) {
+    const loans =
+      await Loan.find({
+        user: user._id,
+        status: {
+          $in: REPAYABLE_LOAN_STATUSES,
+        },
+      })
+        .select("_id amount status")
+        .limit(MAX_LIST_ITEMS)
+        .lean();
+
+    const due =
+      await Promise.all(
+        loans.map(
+          async (loan) => {
+            const schedule =
+              await LoanRepaymentSchedule.findOne({
+                loan: loan._id,
+                status: {
+                  $ne: "suspended",
+                },
+              })
+                .select("installments")
+                .lean();
+
+            const next =
+              schedule?.installments?.find(
+                (installment) =>
+                  installment.status ===
+                  "pending"
+              );
+
+            return next
+              ? {
+                  _id: loan._id,
+                  amount:
+                    Number(loan.amount),
+                  due:
+                    Number(next.totalAmount),
+                  dueDate:
+                    next.dueDate,
+                }
+              : null;
+          }
+        )
+      );
+
+    return due.filter(Boolean);
+  }
+
+  // Contributions, paid loan repayments and transfers, newest first, each
+  // labelled with a message key.
+  // Transfers into a group as a contribution also create the Contribution,
+  // so they are listed once.
+  async recentTransactions(
+    user,
+    limit = MAX_LIST_ITEMS
+  ) {
+    const [
+      contributions,
+      repayments,
+      transfers,
+    ] = await Promise.all([
+      Contribution.find({
+        userId: user._id,
+        isDeleted: {
+          $ne: true,
+        },
+      })
+        .select("amount date")
+        .sort({ date: -1 })
+        .limit(limit)
+        .lean(),
+
+      PaymentRequest.find({
+        userId: user._id,
+        purpose:
+          "LOAN_REPAYMENT",
+        status: "PAID",
+      })
+        .select("amount paidAt")
+        .sort({ paidAt: -1 })
+        .limit(limit)
+        .lean(),
+
+      InternalTransfer.find({
+        status:
+          "COMPLETED",
+        $or: [
+          {
+            "from.userId":
+              user._id,
+          },
+          {
+            "to.userId":
+              user._id,
+          },
+        ],
+      })
+        .select("type purpose amount from completedAt")
+        .sort({ completedAt: -1 })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return [
+      ...contributions.map(
+        (contribution) => ({
+          date:
+            contribution.date,
+          label:
+            "txContribution",
+          amount:
+            Number(
+              String(
+                contribution.amount
+              )
+            ),
+        })
+      ),
+
+      ...repayments.map(
+        (repayment) => ({
+          date:
+            repayment.paidAt,
+          label:
+            "txLoanRepaid",
+          amount:
+            repayment.amount,
+        })
+      ),
+
+      ...transfers
+        .filter(
+          (transfer) =>
+            !(
+              transfer.type ===
+                "MEMBER_TO_GROUP" &&
+              transfer.purpose ===
+                "CONTRIBUTION"
+            )
+        )
+        .map(
+          (transfer) => {
+            const outgoing =
+              String(
+                transfer.from?.userId
+              ) ===
+              String(user._id);
+
+            return {
+              date:
+                transfer.completedAt,
+              label:
+                outgoing
+                  ? "txSent"
+                  : "txReceived",
+              amount:
+                outgoing
+                  ? -transfer.amount
+                  : transfer.amount,
+            };
+          }
+        ),
+    ]
+      .filter(
+        (transaction) =>
+          transaction.date
+      )
+      .sort(
+        (a, b) =>
+          new Date(b.date) -
+          new Date(a.date)
+      )
+      .slice(0, limit);
+  }
+
+  providerFor(
+    user,
+    phoneNumber
+  ) {
+    const preferred =
+      user?.mobileMoney?.provider;
+
+    if (
+      PaymentRequest.PROVIDERS.includes(
+        preferred
+      )
+    ) {
+      return preferred;
+    }
+
+    const digits =
+      String(
+        phoneNumber || ""
+      ).replace(/\D/g, "");
+
+    return (
+      Object.keys(
+        PROVIDER_PREFIXES
+      ).find((provider) =>
+        PROVIDER_PREFIXES[
+          provider
+        ].some((prefix) =>
+          digits.startsWith(
+            prefix
+          )
+        )
+      ) || null
+    );
   }
 
   // ===========================================================================
@@ -493,6 +1527,35 @@ Please try again.
     }
   }
 
+  async sendSms(
+    phoneNumber,
+    message
+  ) {
+    try {
+      if (
+        notificationService?.sendSMS
+      ) {
+        // Answers something the member just did
+        // on USSD, so it goes out after STOP too
+        await notificationService.sendSMS(
+          {
+            phoneNumber,
+            message,
+            essential: true,
+          }
+        );
+      }
+    } catch (error) {
+      logger.error(
+        "USSD SMS failed",
+        {
+          error:
+            error.message,
+        }
+      );
+    }
+  }
+
   // ===========================================================================
   // Session Cleanup
   // ===========================================================================
@@ -527,8 +1590,10 @@ Please try again.
   async health() {
     return {
       status: "healthy",
-      registeredMenus:
-        this.handlers.size,
+      actions:
+        Object.keys(
+          this.actions
+        ).length,
       uptime:
         process.uptime(),
       timestamp:
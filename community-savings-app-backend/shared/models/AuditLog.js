@@ -72,7 +72,9 @@ AuditLogSchema.index({
   timestamp: -1
 });
 
-module.exports = mongoose.model(
-  'AuditLog',
-  AuditLogSchema
-);
\ No newline at end of file
+module.exports =
+  mongoose.models.AuditLog ||
+  mongoose.model(
+    'AuditLog',
+    AuditLogSchema
+  );
\ No newline at end of file
@@ -0,0 +1,32 @@
+// tests/helpers/mockQuery.js
+// ============================================================================
+// Mongoose Query Stand-in
+// For unit tests that stub model calls such as findById / findOne / find
+// ============================================================================
+
+const CHAIN_METHODS = ['select', 'populate', 'sort', 'skip', 'limit', 'session'];
+
+/**
+ * A query that resolves to `value` however the code under test finishes it:
+ * `.lean()`, `.exec()` or a plain `await`, after any of the chain methods.
+ *
+ * @example
+ *   Group.findById.mockReturnValue(mockQuery({ _id: 'group_1' }));
+ *   await Group.findById(id).select('members').lean(); // { _id: 'group_1' }
+ *
+ * @param {*} value - what the query resolves to
+ * @returns {Object} the chainable query
+ */
+function mockQuery(value) {
+  const query = {
+    lean: () => Promise.resolve(value),
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  CHAIN_METHODS.forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+module.exports = { mockQuery };
@@ -0,0 +1,120 @@
+/**
+ * Constitution Route Tests
+ * ============================================================================
+ * Group constitution endpoints, mounted through routes/index.js the way the
+ * app serves them. The constitution service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/constitutionService', () => ({
+  getActiveForMember: jest.fn(),
+  history: jest.fn(),
+  propose: jest.fn(),
+  vote: jest.fn(),
+  sign: jest.fn(),
+  withdraw: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const constitutionService = require('../../services/constitutionService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Constitution routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}/constitution`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: MEMBER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(base).expect(401);
+
+    expect(constitutionService.getActiveForMember).not.toHaveBeenCalled();
+  });
+
+  it("should return the group's active constitution", async () => {
+    constitutionService.getActiveForMember.mockResolvedValue({ version: 2, status: 'active' });
+
+    const res = await request(app).get(base).set('Authorization', authHeader).expect(200);
+
+    expect(res.body.data.version).toBe(2);
+    expect(constitutionService.getActiveForMember).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ id: MEMBER_ID })
+    );
+  });
+
+  it('should propose an amendment', async () => {
+    constitutionService.propose.mockResolvedValue({ version: 3, status: 'proposed' });
+
+    await request(app)
+      .post(`${base}/versions`)
+      .set('Authorization', authHeader)
+      .send({
+        rules: { loans: { savingsMultiple: '3' } },
+        adoption: { method: 'vote', threshold: '0.5' },
+      })
+      .expect(201);
+
+    expect(constitutionService.propose).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({
+        rules: { loans: { savingsMultiple: 3 } },
+        adoption: { method: 'vote', threshold: 0.5 },
+      }),
+      expect.objectContaining({ id: MEMBER_ID })
+    );
+  });
+
+  it('should reject an approver role the constitution does not know', async () => {
+    await request(app)
+      .post(`${base}/versions`)
+      .set('Authorization', authHeader)
+      .send({ rules: { withdrawals: { approverRoles: ['auditor'] } } })
+      .expect(400);
+
+    expect(constitutionService.propose).not.toHaveBeenCalled();
+  });
+
+  it('should pass a vote on a decided proposal back as a conflict', async () => {
+    constitutionService.vote.mockRejectedValue(
+      new AppError('Proposal has already been decided', 409, errorCodes.CONSTITUTION_INVALID_STATE)
+    );
+
+    const res = await request(app)
+      .post(`${base}/versions/3/votes`)
+      .set('Authorization', authHeader)
+      .send({ choice: 'for' })
+      .expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.CONSTITUTION_INVALID_STATE);
+    expect(constitutionService.vote).toHaveBeenCalledWith(
+      GROUP_ID,
+      3,
+      expect.objectContaining({ id: MEMBER_ID }),
+      'for'
+    );
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Disbursement Batch Route Tests
+ * ============================================================================
+ * Bulk payout batch endpoints, mounted through routes/index.js the way the app
+ * serves them. The disbursement batch service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/disbursementBatchService', () => ({
+  create: jest.fn(),
+  listBatches: jest.fn(),
+  getBatch: jest.fn(),
+  approve: jest.fn(),
+  reject: jest.fn(),
+  cancel: jest.fn(),
+  start: jest.fn(),
+  run: jest.fn(),
+  reconcile: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const disbursementBatchService = require('../../services/disbursementBatchService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const BATCH_ID = '64b7f0c2a1b2c3d4e5f60840';
+const OFFICER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Disbursement batch routes', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: OFFICER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/v1/disbursement-batches').expect(401);
+
+    expect(disbursementBatchService.listBatches).not.toHaveBeenCalled();
+  });
+
+  it('should create a loan payout batch for approval', async () => {
+    disbursementBatchService.create.mockResolvedValue({
+      _id: BATCH_ID,
+      status: 'pending_approval',
+    });
+
+    await request(app)
+      .post('/api/v1/disbursement-batches')
+      .set('Authorization', authHeader)
+      .send({ source: 'APPROVED_LOANS', groupId: GROUP_ID, purpose: 'LOAN_PAYOUT' })
+      .expect(201);
+
+    expect(disbursementBatchService.create).toHaveBeenCalledWith(
+      expect.objectContaining({ source: 'APPROVED_LOANS', groupId: GROUP_ID }),
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+  });
+
+  it('should require the savings cycle for a share-out batch', async () => {
+    await request(app)
+      .post('/api/v1/disbursement-batches')
+      .set('Authorization', authHeader)
+      .send({ source: 'SAVINGS_CYCLE', groupId: GROUP_ID })
+      .expect(400);
+
+    expect(disbursementBatchService.create).not.toHaveBeenCalled();
+  });
+
+  it('should start paying an approved batch in the background', async () => {
+    const batch = { _id: BATCH_ID, status: 'processing' };
+    disbursementBatchService.start.mockResolvedValue(batch);
+    disbursementBatchService.run.mockResolvedValue(batch);
+
+    await request(app)
+      .post(`/api/v1/disbursement-batches/${BATCH_ID}/execute`)
+      .set('Authorization', authHeader)
+      .expect(202);
+
+    expect(disbursementBatchService.start).toHaveBeenCalledWith(
+      BATCH_ID,
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+    expect(disbursementBatchService.run).toHaveBeenCalledWith(batch, {});
+  });
+
+  it('should not pay a batch that was never approved', async () => {
+    disbursementBatchService.start.mockRejectedValue(
+      new AppError(
+        'Cannot execute a batch that is pending_approval',
+        409,
+        errorCodes.DISBURSEMENT_BATCH_INVALID_STATE
+      )
+    );
+
+    const res = await request(app)
+      .post(`/api/v1/disbursement-batches/${BATCH_ID}/execute`)
+      .set('Authorization', authHeader)
+      .expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.DISBURSEMENT_BATCH_INVALID_STATE);
+    expect(disbursementBatchService.run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Dividend Route Tests
+ * ============================================================================
+ * Dividend preview and approval endpoints, mounted through routes/index.js the
+ * way the app serves them. The dividend distribution job is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../modules/finance/jobs/dividendDistributionJob', () => ({
+  preview: jest.fn(),
+  getDistribution: jest.fn(),
+  run: jest.fn(),
+  reject: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const dividendDistributionJob = require('../../modules/finance/jobs/dividendDistributionJob');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const DISTRIBUTION_ID = '64b7f0c2a1b2c3d4e5f60820';
+
+describe('Dividend routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role, tenantId: TENANT_ID }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should preview a dividend for the admin tenant', async () => {
+    dividendDistributionJob.preview.mockResolvedValue({ _id: DISTRIBUTION_ID, status: 'PREVIEW' });
+
+    await request(app)
+      .post('/api/v1/dividends/previews')
+      .set('Authorization', adminHeader)
+      .send({
+        fiscalYear: '2026',
+        distributableProfit: '12000000',
+        method: 'AVERAGE_DAILY_BALANCE',
+        memberOptions: { [MEMBER_ID]: 'REINVEST' },
+      })
+      .expect(201);
+
+    expect(dividendDistributionJob.preview).toHaveBeenCalledWith(
+      expect.objectContaining({
+        fiscalYear: 2026,
+        distributableProfit: 12000000,
+        method: 'AVERAGE_DAILY_BALANCE',
+        tenantId: TENANT_ID,
+        requestedBy: ADMIN_ID,
+      })
+    );
+  });
+
+  it('should reject an unknown payout option for a member', async () => {
+    await request(app)
+      .post('/api/v1/dividends/previews')
+      .set('Authorization', adminHeader)
+      .send({ fiscalYear: 2026, distributableProfit: 1000, memberOptions: { [MEMBER_ID]: 'CASH' } })
+      .expect(400);
+
+    expect(dividendDistributionJob.preview).not.toHaveBeenCalled();
+  });
+
+  it('should keep dividends to admins', async () => {
+    await request(app)
+      .post(`/api/v1/dividends/${DISTRIBUTION_ID}/approve`)
+      .set('Authorization', memberHeader)
+      .expect(403);
+
+    expect(dividendDistributionJob.run).not.toHaveBeenCalled();
+  });
+
+  it('should report a partially posted run', async () => {
+    dividendDistributionJob.run.mockResolvedValue({ success: false, unsettled: 2 });
+
+    const res = await request(app)
+      .post(`/api/v1/dividends/${DISTRIBUTION_ID}/approve`)
+      .set('Authorization', adminHeader)
+      .expect(200);
+
+    expect(res.body.message).toBe('Dividend partially posted; some payouts are unsettled');
+    expect(dividendDistributionJob.run).toHaveBeenCalledWith({
+      tenantId: TENANT_ID,
+      distributionId: DISTRIBUTION_ID,
+      approvedBy: ADMIN_ID,
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Fine Route Tests
+ * ============================================================================
+ * Fine rule and fine endpoints, mounted through routes/index.js the way the
+ * app serves them. The fine service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/fineService', () => ({
+  createRule: jest.fn(),
+  listRules: jest.fn(),
+  updateRule: jest.fn(),
+  evaluateGroup: jest.fn(),
+  listFines: jest.fn(),
+  issueManualFine: jest.fn(),
+  recordPayment: jest.fn(),
+  waiveFine: jest.fn(),
+  appealFine: jest.fn(),
+  decideAppeal: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const fineService = require('../../services/fineService');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OFFICER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60721';
+
+describe('Fine routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: OFFICER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(`${base}/fines`).expect(401);
+
+    expect(fineService.listFines).not.toHaveBeenCalled();
+  });
+
+  it('should create a fine rule', async () => {
+    fineService.createRule.mockResolvedValue({
+      name: 'Late contribution',
+      trigger: 'late_contribution',
+    });
+
+    await request(app)
+      .post(`${base}/fine-rules`)
+      .set('Authorization', authHeader)
+      .send({
+        name: 'Late contribution',
+        trigger: 'late_contribution',
+        amount: '2000',
+        graceDays: '3',
+      })
+      .expect(201);
+
+    expect(fineService.createRule).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ trigger: 'late_contribution', amount: 2000, graceDays: 3 }),
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+  });
+
+  it('should reject a rule with an unknown trigger', async () => {
+    await request(app)
+      .post(`${base}/fine-rules`)
+      .set('Authorization', authHeader)
+      .send({ name: 'Noise', trigger: 'talking_loudly', amount: 1000 })
+      .expect(400);
+
+    expect(fineService.createRule).not.toHaveBeenCalled();
+  });
+
+  it('should evaluate the rules and report the fines issued', async () => {
+    fineService.evaluateGroup.mockResolvedValue({
+      issued: [{ userId: MEMBER_ID }],
+      evaluatedRules: 2,
+    });
+
+    const res = await request(app)
+      .post(`${base}/fines/evaluate`)
+      .set('Authorization', authHeader)
+      .send({ asOf: '2026-10-31' })
+      .expect(200);
+
+    expect(res.body.message).toBe('1 fine(s) issued');
+    expect(fineService.evaluateGroup).toHaveBeenCalledWith(
+      GROUP_ID,
+      { asOf: new Date('2026-10-31') },
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+  });
+
+  it('should require a reason to waive a fine', async () => {
+    await request(app)
+      .post(`${base}/fines/64b7f0c2a1b2c3d4e5f60740/waive`)
+      .set('Authorization', authHeader)
+      .send({})
+      .expect(400);
+
+    expect(fineService.waiveFine).not.toHaveBeenCalled();
+  });
+});
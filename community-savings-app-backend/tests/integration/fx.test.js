@@ -0,0 +1,123 @@
+/**
+ * FX Route Tests
+ * ============================================================================
+ * Exchange rate, conversion and revaluation endpoints, mounted through
+ * routes/index.js the way the app serves them. The FX and revaluation
+ * services are mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../modules/finance/services/fxService', () => ({
+  ...jest.requireActual('../../modules/finance/services/fxService'),
+  listRates: jest.fn(),
+  setRate: jest.fn(),
+  convert: jest.fn(),
+}));
+jest.mock('../../modules/finance/services/fxRevaluationService', () => ({
+  ...jest.requireActual('../../modules/finance/services/fxRevaluationService'),
+  calculateRevaluation: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const fxService = require('../../modules/finance/services/fxService');
+const fxRevaluationService = require('../../modules/finance/services/fxRevaluationService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('FX routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role, tenantId: TENANT_ID }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should record a rate for an admin', async () => {
+    fxService.setRate.mockResolvedValue({ currency: 'KES', rate: 28.6 });
+
+    await request(app)
+      .post('/api/v1/fx/rates')
+      .set('Authorization', adminHeader)
+      .send({ currency: 'KES', rate: '28.6', source: 'BANK_OF_UGANDA' })
+      .expect(201);
+
+    expect(fxService.setRate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        currency: 'KES',
+        rate: 28.6,
+        tenantId: TENANT_ID,
+        createdBy: ADMIN_ID,
+      })
+    );
+  });
+
+  it('should not let members set rates', async () => {
+    await request(app)
+      .post('/api/v1/fx/rates')
+      .set('Authorization', memberHeader)
+      .send({ currency: 'KES', rate: 28.6 })
+      .expect(403);
+
+    expect(fxService.setRate).not.toHaveBeenCalled();
+  });
+
+  it('should convert an amount for a member', async () => {
+    fxService.convert.mockResolvedValue({ amount: 2860000, currency: 'UGX' });
+
+    const res = await request(app)
+      .get('/api/v1/fx/convert?amount=100000&currency=KES')
+      .set('Authorization', memberHeader)
+      .expect(200);
+
+    expect(res.body.data.amount).toBe(2860000);
+    expect(fxService.convert).toHaveBeenCalledWith(
+      expect.objectContaining({ tenantId: TENANT_ID, amount: 100000, currency: 'KES' })
+    );
+  });
+
+  it('should reject a currency that is not an ISO code', async () => {
+    await request(app)
+      .get('/api/v1/fx/convert?amount=100&currency=SHILLING')
+      .set('Authorization', memberHeader)
+      .expect(400);
+
+    expect(fxService.convert).not.toHaveBeenCalled();
+  });
+
+  it('should preview a revaluation without posting it', async () => {
+    fxRevaluationService.calculateRevaluation.mockResolvedValue({
+      gain: 12000,
+      loss: 0,
+      lines: [],
+    });
+
+    await request(app)
+      .get('/api/v1/fx/revaluation?asOf=2026-09-30')
+      .set('Authorization', adminHeader)
+      .expect(200);
+
+    expect(fxRevaluationService.calculateRevaluation).toHaveBeenCalledWith({
+      tenantId: TENANT_ID,
+      asOf: '2026-09-30',
+    });
+  });
+});
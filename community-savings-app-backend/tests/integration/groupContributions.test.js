@@ -0,0 +1,110 @@
+/**
+ * Group Contribution Route Tests
+ * ============================================================================
+ * Contributions recorded and read through /api/v1/contributions, mounted
+ * through routes/index.js. The Contribution model is the real schema; only
+ * its database calls are stubbed.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../models/Group', () => ({ findById: jest.fn() }));
+jest.mock('../../services/constitutionService', () => ({ assertContributionAllowed: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Contribution = require('../../models/Contribution');
+const Group = require('../../models/Group');
+const constitutionService = require('../../services/constitutionService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Group contribution routes', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign({ id: MEMBER_ID, role: 'user' }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET);
+    authHeader = `Bearer ${token}`;
+  });
+
+  beforeEach(() => {
+    Group.findById.mockReturnValue(mockQuery({ _id: GROUP_ID, name: 'Kireka Women', members: [MEMBER_ID] }));
+    constitutionService.assertContributionAllowed.mockResolvedValue(null);
+  });
+
+  it('should save a contribution document that passes the schema', async () => {
+    // Validate and return the document instead of writing it
+    const save = jest.spyOn(Contribution.prototype, 'save').mockImplementation(async function saved() {
+      await this.validate();
+      return this;
+    });
+
+    const res = await request(app)
+      .post('/api/v1/contributions')
+      .set('Authorization', authHeader)
+      .send({ groupId: GROUP_ID, amount: 50000, note: 'March savings', date: '2026-03-05T00:00:00.000Z' })
+      .expect(201);
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(res.body.data).toEqual(
+      expect.objectContaining({
+        userId: MEMBER_ID,
+        groupId: GROUP_ID,
+        amount: 50000,
+        currency: 'UGX',
+        date: '2026-03-05T00:00:00.000Z',
+        metadata: { note: 'March savings' },
+      })
+    );
+  });
+
+  it("should list the group's contributions by groupId", async () => {
+    const find = jest.spyOn(Contribution, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Contribution, 'countDocuments').mockResolvedValue(0);
+
+    await request(app)
+      .get(`/api/v1/contributions/group/${GROUP_ID}?from=2026-01-01`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(find).toHaveBeenCalledWith({
+      groupId: GROUP_ID,
+      isDeleted: false,
+      date: { $gte: new Date('2026-01-01') },
+    });
+  });
+
+  it("should list the member's own contributions by userId", async () => {
+    const find = jest.spyOn(Contribution, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Contribution, 'countDocuments').mockResolvedValue(0);
+
+    await request(app).get('/api/v1/contributions/user').set('Authorization', authHeader).expect(200);
+
+    expect(find).toHaveBeenCalledWith({ userId: MEMBER_ID, isDeleted: false });
+  });
+
+  it('should total the group by groupId', async () => {
+    const aggregate = jest.spyOn(Contribution, 'aggregate').mockResolvedValue([]);
+
+    await request(app)
+      .get(`/api/v1/contributions/group/${GROUP_ID}/stats`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const [[{ $match: match }, { $group: group }]] = aggregate.mock.calls[0];
+    expect(match).toEqual({ groupId: new mongoose.Types.ObjectId(GROUP_ID), isDeleted: false });
+    expect(group._id).toBe('$groupId');
+  });
+});
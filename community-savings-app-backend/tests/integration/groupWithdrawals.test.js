@@ -0,0 +1,126 @@
+/**
+ * Group Withdrawal Route Tests
+ * ============================================================================
+ * Multi-signatory withdrawal endpoints, mounted through routes/index.js the
+ * way the app serves them. The group withdrawal service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/groupWithdrawalService', () => ({
+  getPolicyForUser: jest.fn(),
+  setPolicy: jest.fn(),
+  requestWithdrawal: jest.fn(),
+  listWithdrawals: jest.fn(),
+  getWithdrawal: jest.fn(),
+  sign: jest.fn(),
+  cancel: jest.fn(),
+  retryRelease: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const groupWithdrawalService = require('../../services/groupWithdrawalService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const WITHDRAWAL_ID = '64b7f0c2a1b2c3d4e5f60760';
+const TREASURER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Group withdrawal routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: TREASURER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(`${base}/withdrawals`).expect(401);
+
+    expect(groupWithdrawalService.listWithdrawals).not.toHaveBeenCalled();
+  });
+
+  it('should replace the approval policy', async () => {
+    groupWithdrawalService.setPolicy.mockResolvedValue({
+      tiers: [{ minAmount: 0, requiredApprovals: 2 }],
+    });
+
+    await request(app)
+      .put(`${base}/withdrawal-policy`)
+      .set('Authorization', authHeader)
+      .send({ tiers: [{ minAmount: '0', requiredApprovals: '2' }], expiryHours: '48' })
+      .expect(200);
+
+    expect(groupWithdrawalService.setPolicy).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ tiers: [{ minAmount: 0, requiredApprovals: 2 }], expiryHours: 48 }),
+      expect.objectContaining({ id: TREASURER_ID })
+    );
+  });
+
+  it('should accept a withdrawal that still needs signatures', async () => {
+    groupWithdrawalService.requestWithdrawal.mockResolvedValue({
+      _id: WITHDRAWAL_ID,
+      status: 'pending',
+    });
+
+    const res = await request(app)
+      .post(`${base}/withdrawals`)
+      .set('Authorization', authHeader)
+      .send({ amount: '250000', purpose: 'Emergency support for a member' })
+      .expect(202);
+
+    expect(res.body.message).toBe('Withdrawal awaiting signatures');
+  });
+
+  it('should reject a withdrawal to a malformed phone number', async () => {
+    await request(app)
+      .post(`${base}/withdrawals`)
+      .set('Authorization', authHeader)
+      .send({ amount: 250000, purpose: 'Hall hire', phoneNumber: '07-72-abc' })
+      .expect(400);
+
+    expect(groupWithdrawalService.requestWithdrawal).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a second signature from the same officer', async () => {
+    groupWithdrawalService.sign.mockRejectedValue(
+      new AppError(
+        'You have already signed this withdrawal',
+        409,
+        errorCodes.WITHDRAWAL_INVALID_STATE
+      )
+    );
+
+    const res = await request(app)
+      .post(`${base}/withdrawals/${WITHDRAWAL_ID}/sign`)
+      .set('Authorization', authHeader)
+      .send({ decision: 'approve' })
+      .expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.WITHDRAWAL_INVALID_STATE);
+    expect(groupWithdrawalService.sign).toHaveBeenCalledWith(
+      GROUP_ID,
+      WITHDRAWAL_ID,
+      expect.objectContaining({ decision: 'approve' }),
+      expect.objectContaining({ id: TREASURER_ID })
+    );
+  });
+});
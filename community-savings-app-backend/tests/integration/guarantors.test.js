@@ -0,0 +1,110 @@
+/**
+ * Guarantor Route Tests
+ * ============================================================================
+ * Guarantor consent endpoints and the signed SMS reply callback, mounted
+ * through routes/index.js the way the app serves them. The guarantor service
+ * is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/guarantorService', () => ({
+  requestConsent: jest.fn(),
+  respond: jest.fn(),
+  getMyExposures: jest.fn(),
+  getExposures: jest.fn(),
+  handleSmsReply: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const guarantorService = require('../../services/guarantorService');
+
+const LOAN_ID = '64b7f0c2a1b2c3d4e5f60801';
+const GUARANTOR_ID = '64b7f0c2a1b2c3d4e5f60719';
+const SMS_SECRET = 'sms-webhook-test-secret';
+
+describe('Guarantor routes', () => {
+  let app;
+  let authHeader;
+  let previousSecret;
+
+  beforeAll(() => {
+    previousSecret = process.env.SMS_WEBHOOK_SECRET;
+    process.env.SMS_WEBHOOK_SECRET = SMS_SECRET;
+
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: GUARANTOR_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.SMS_WEBHOOK_SECRET;
+    else process.env.SMS_WEBHOOK_SECRET = previousSecret;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication to request consent', async () => {
+    await request(app).post(`/api/v1/guarantors/loans/${LOAN_ID}/consent-requests`).expect(401);
+
+    expect(guarantorService.requestConsent).not.toHaveBeenCalled();
+  });
+
+  it("should record the guarantor's answer from the app", async () => {
+    guarantorService.respond.mockResolvedValue({ status: 'ACCEPTED' });
+
+    const res = await request(app)
+      .post(`/api/v1/guarantors/loans/${LOAN_ID}/${GUARANTOR_ID}/response`)
+      .set('Authorization', authHeader)
+      .send({ decision: 'accept' })
+      .expect(200);
+
+    expect(res.body.message).toBe('Guarantee accepted');
+    expect(guarantorService.respond).toHaveBeenCalledWith(LOAN_ID, GUARANTOR_ID, {
+      decision: 'accept',
+      reason: undefined,
+      channel: 'APP',
+      user: expect.objectContaining({ id: GUARANTOR_ID }),
+    });
+  });
+
+  it('should reject an SMS reply without a valid signature', async () => {
+    await request(app)
+      .post('/api/v1/guarantors/sms-replies')
+      .set('x-signature', 'f'.repeat(64))
+      .send({ from: '+256772000001', text: 'YES 123456' })
+      .expect(401);
+
+    expect(guarantorService.handleSmsReply).not.toHaveBeenCalled();
+  });
+
+  it('should process a signed SMS reply', async () => {
+    guarantorService.handleSmsReply.mockResolvedValue('Thank you, your guarantee is recorded');
+    const payload = { from: '+256772000001', text: 'YES 123456' };
+    const signature = crypto
+      .createHmac('sha256', SMS_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    const res = await request(app)
+      .post('/api/v1/guarantors/sms-replies')
+      .set('x-signature', signature)
+      .send(payload)
+      .expect(200);
+
+    expect(res.body.data.reply).toBe('Thank you, your guarantee is recorded');
+    expect(guarantorService.handleSmsReply).toHaveBeenCalledWith('+256772000001', 'YES 123456');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Internal Transfer Route Tests
+ * ============================================================================
+ * Member-to-member and member-to-group transfer endpoints, mounted through
+ * routes/index.js the way the app serves them. The transfer service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/internalTransferService', () => ({
+  transfer: jest.fn(),
+  list: jest.fn(),
+  get: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const internalTransferService = require('../../services/internalTransferService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const PAYEE_ID = '64b7f0c2a1b2c3d4e5f60721';
+const SAVINGS_ID = '64b7f0c2a1b2c3d4e5f60850';
+const KEY = 'transfer-key-0001';
+
+describe('Internal transfer routes', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: MEMBER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  const send = (body, key = KEY) => {
+    const req = request(app).post('/api/v1/transfers').set('Authorization', authHeader);
+    return (key ? req.set('Idempotency-Key', key) : req).send(body);
+  };
+
+  it('should send money to another member under the idempotency key', async () => {
+    internalTransferService.transfer.mockResolvedValue({
+      reference: 'IT-M1-ABC123',
+      status: 'COMPLETED',
+    });
+
+    await send({
+      type: 'MEMBER_TO_MEMBER',
+      fromSavingsId: SAVINGS_ID,
+      toUserId: PAYEE_ID,
+      amount: '25000',
+      currency: 'ugx',
+    }).expect(201);
+
+    expect(internalTransferService.transfer).toHaveBeenCalledWith(
+      expect.objectContaining({ toUserId: PAYEE_ID, amount: 25000, currency: 'UGX' }),
+      expect.objectContaining({ id: MEMBER_ID }),
+      expect.objectContaining({ idempotencyKey: KEY, channel: 'api' })
+    );
+  });
+
+  it('should refuse a transfer without an Idempotency-Key', async () => {
+    const body = {
+      type: 'MEMBER_TO_MEMBER',
+      fromSavingsId: SAVINGS_ID,
+      toUserId: PAYEE_ID,
+      amount: 25000,
+    };
+
+    await send(body, null).expect(400);
+
+    expect(internalTransferService.transfer).not.toHaveBeenCalled();
+  });
+
+  it('should require the loan for a loan repayment into a group', async () => {
+    await send({
+      type: 'MEMBER_TO_GROUP',
+      fromSavingsId: SAVINGS_ID,
+      groupId: '64b7f0c2a1b2c3d4e5f60718',
+      purpose: 'LOAN_REPAYMENT',
+      amount: 40000,
+    }).expect(400);
+
+    expect(internalTransferService.transfer).not.toHaveBeenCalled();
+  });
+
+  it('should not replay a transfer that failed', async () => {
+    internalTransferService.transfer.mockRejectedValue(
+      new AppError(
+        'Transfer failed (Fraud check unavailable); send it again with a new Idempotency-Key',
+        409,
+        errorCodes.TRANSACTION_FAILED
+      )
+    );
+
+    const res = await send({
+      type: 'MEMBER_TO_MEMBER',
+      fromSavingsId: SAVINGS_ID,
+      toUserId: PAYEE_ID,
+      amount: 25000,
+    }).expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.TRANSACTION_FAILED);
+  });
+
+  it('should reject a malformed receipt reference', async () => {
+    await request(app)
+      .get('/api/v1/transfers/not-a-reference')
+      .set('Authorization', authHeader)
+      .expect(400);
+
+    expect(internalTransferService.get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Loan Product Route Tests
+ * ============================================================================
+ * Loan product catalogue endpoints, mounted through routes/index.js the way
+ * the app serves them. The loan product service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/loanProductService', () => ({
+  listProducts: jest.fn(),
+  getProduct: jest.fn(),
+  getHistory: jest.fn(),
+  createProduct: jest.fn(),
+  updateProduct: jest.fn(),
+  retireProduct: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const loanProductService = require('../../services/loanProductService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const product = {
+  code: 'SME-12',
+  name: 'SME working capital',
+  amount: { min: '100000', max: '5000000' },
+  termMonths: { min: '3', max: '12' },
+  interestRate: { min: '0.1', max: '0.24', default: '0.18' },
+  schedule: { method: 'declining_balance', frequency: 'monthly' },
+};
+
+describe('Loan product routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role, tenantId: TENANT_ID }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it("should list the tenant's products for a member", async () => {
+    loanProductService.listProducts.mockResolvedValue([{ code: 'SME-12' }]);
+
+    const res = await request(app)
+      .get('/api/v1/loan-products')
+      .set('Authorization', memberHeader)
+      .expect(200);
+
+    expect(res.body.data).toEqual([{ code: 'SME-12' }]);
+    expect(loanProductService.listProducts).toHaveBeenCalledWith(TENANT_ID, {
+      includeRetired: false,
+    });
+  });
+
+  it('should create a product for an admin', async () => {
+    loanProductService.createProduct.mockResolvedValue({ code: 'SME-12', version: 1 });
+
+    await request(app)
+      .post('/api/v1/loan-products')
+      .set('Authorization', adminHeader)
+      .send(product)
+      .expect(201);
+
+    expect(loanProductService.createProduct).toHaveBeenCalledWith(
+      TENANT_ID,
+      expect.objectContaining({
+        code: 'SME-12',
+        amount: { min: 100000, max: 5000000 },
+        interestRate: { min: 0.1, max: 0.24, default: 0.18 },
+      }),
+      expect.objectContaining({ id: ADMIN_ID })
+    );
+  });
+
+  it('should not let members create products', async () => {
+    await request(app)
+      .post('/api/v1/loan-products')
+      .set('Authorization', memberHeader)
+      .send(product)
+      .expect(403);
+
+    expect(loanProductService.createProduct).not.toHaveBeenCalled();
+  });
+
+  it('should reject an amortization method the schedule builder does not support', async () => {
+    await request(app)
+      .post('/api/v1/loan-products')
+      .set('Authorization', adminHeader)
+      .send({ ...product, schedule: { method: 'balloon' } })
+      .expect(400);
+
+    expect(loanProductService.createProduct).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Loan Restructure Route Tests
+ * ============================================================================
+ * Loan restructure request and approval endpoints, mounted through
+ * routes/index.js the way the app serves them. The restructure service is
+ * mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/loanRestructureService', () => ({
+  requestRestructure: jest.fn(),
+  listRequests: jest.fn(),
+  getRequest: jest.fn(),
+  approve: jest.fn(),
+  reject: jest.fn(),
+  cancel: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const loanRestructureService = require('../../services/loanRestructureService');
+
+const LOAN_ID = '64b7f0c2a1b2c3d4e5f60801';
+const REQUEST_ID = '64b7f0c2a1b2c3d4e5f60810';
+const BORROWER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const OFFICER_ID = '64b7f0c2a1b2c3d4e5f60709';
+
+describe('Loan restructure routes', () => {
+  let app;
+  let borrowerHeader;
+  let officerHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    borrowerHeader = sign(BORROWER_ID, 'user');
+    officerHeader = sign(OFFICER_ID, 'loan_officer');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should take a term extension request from the borrower', async () => {
+    loanRestructureService.requestRestructure.mockResolvedValue({
+      request: { _id: REQUEST_ID, status: 'pending' },
+    });
+
+    await request(app)
+      .post(`/api/v1/loan-restructures/loans/${LOAN_ID}`)
+      .set('Authorization', borrowerHeader)
+      .send({ type: 'term_extension', reason: 'Harvest came late', extensionMonths: '3' })
+      .expect(201);
+
+    expect(loanRestructureService.requestRestructure).toHaveBeenCalledWith(
+      LOAN_ID,
+      expect.objectContaining({ type: 'term_extension', extensionMonths: 3 }),
+      expect.objectContaining({ id: BORROWER_ID })
+    );
+  });
+
+  it('should require the extension length for a term extension', async () => {
+    await request(app)
+      .post(`/api/v1/loan-restructures/loans/${LOAN_ID}`)
+      .set('Authorization', borrowerHeader)
+      .send({ type: 'term_extension', reason: 'Harvest came late' })
+      .expect(400);
+
+    expect(loanRestructureService.requestRestructure).not.toHaveBeenCalled();
+  });
+
+  it('should leave approval to loan officers', async () => {
+    await request(app)
+      .post(`/api/v1/loan-restructures/${REQUEST_ID}/approve`)
+      .set('Authorization', borrowerHeader)
+      .expect(403);
+
+    expect(loanRestructureService.approve).not.toHaveBeenCalled();
+  });
+
+  it('should apply a request a loan officer approves', async () => {
+    loanRestructureService.approve.mockResolvedValue({ _id: REQUEST_ID, status: 'applied' });
+
+    await request(app)
+      .post(`/api/v1/loan-restructures/${REQUEST_ID}/approve`)
+      .set('Authorization', officerHeader)
+      .send({ note: 'Confirmed with the branch' })
+      .expect(200);
+
+    expect(loanRestructureService.approve).toHaveBeenCalledWith(
+      REQUEST_ID,
+      expect.objectContaining({ id: OFFICER_ID }),
+      'Confirmed with the branch'
+    );
+  });
+});
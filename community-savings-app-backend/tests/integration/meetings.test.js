@@ -0,0 +1,117 @@
+/**
+ * Meeting Route Tests
+ * ============================================================================
+ * Group meeting endpoints, mounted through routes/index.js the way the app
+ * serves them. The meeting service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/meetingService', () => ({
+  scheduleMeeting: jest.fn(),
+  listMeetings: jest.fn(),
+  getMeeting: jest.fn(),
+  startMeeting: jest.fn(),
+  recordAttendance: jest.fn(),
+  updateMeeting: jest.fn(),
+  addRecord: jest.fn(),
+  closeMeeting: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const meetingService = require('../../services/meetingService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEETING_ID = '64b7f0c2a1b2c3d4e5f60730';
+const OFFICER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60721';
+
+describe('Meeting routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}/meetings`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: OFFICER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(base).expect(401);
+
+    expect(meetingService.listMeetings).not.toHaveBeenCalled();
+  });
+
+  it('should schedule a meeting', async () => {
+    meetingService.scheduleMeeting.mockResolvedValue({ _id: MEETING_ID, status: 'SCHEDULED' });
+
+    const res = await request(app)
+      .post(base)
+      .set('Authorization', authHeader)
+      .send({ title: 'November meeting', scheduledAt: '2026-11-07T10:00:00Z', quorumRequired: '5' })
+      .expect(201);
+
+    expect(res.body.data._id).toBe(MEETING_ID);
+    expect(meetingService.scheduleMeeting).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ title: 'November meeting', quorumRequired: 5 }),
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+  });
+
+  it('should record a contribution taken at the meeting', async () => {
+    meetingService.addRecord.mockResolvedValue({ type: 'contribution', amount: 20000 });
+
+    await request(app)
+      .post(`${base}/${MEETING_ID}/records`)
+      .set('Authorization', authHeader)
+      .send({ type: 'contribution', userId: MEMBER_ID, amount: '20000' })
+      .expect(201);
+
+    expect(meetingService.addRecord).toHaveBeenCalledWith(
+      GROUP_ID,
+      MEETING_ID,
+      expect.objectContaining({ id: OFFICER_ID }),
+      expect.objectContaining({ type: 'contribution', userId: MEMBER_ID, amount: 20000 })
+    );
+  });
+
+  it('should reject a record without a positive amount', async () => {
+    await request(app)
+      .post(`${base}/${MEETING_ID}/records`)
+      .set('Authorization', authHeader)
+      .send({ type: 'fine', userId: MEMBER_ID, amount: 0 })
+      .expect(400);
+
+    expect(meetingService.addRecord).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to close a meeting twice', async () => {
+    meetingService.closeMeeting.mockRejectedValue(
+      new AppError('Meeting is already closed', 409, errorCodes.MEETING_INVALID_STATE)
+    );
+
+    const res = await request(app)
+      .post(`${base}/${MEETING_ID}/close`)
+      .set('Authorization', authHeader)
+      .expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.MEETING_INVALID_STATE);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * M-Pesa Route Tests
+ * ============================================================================
+ * M-Pesa collection, disbursement and Daraja callback endpoints, mounted
+ * through routes/index.js the way the app serves them. The M-Pesa payment
+ * module is mocked; its validators and callback responses are real.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+
+const mockMpesa = {
+  collect: jest.fn(),
+  disburse: jest.fn(),
+  query: jest.fn(),
+  callbacks: { handle: jest.fn() },
+};
+jest.mock('../../modules/payment/mpesa', () => ({ getMpesaPaymentModule: () => mockMpesa }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('M-Pesa routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role, tenantId: TENANT_ID }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it("should send an STK push to the member's phone", async () => {
+    mockMpesa.collect.mockResolvedValue({ reference: 'MP-1', status: 'PENDING' });
+
+    await request(app)
+      .post('/api/v1/payments/mpesa/collections')
+      .set('Authorization', memberHeader)
+      .send({ amount: '1500', phoneNumber: '254712345678', type: 'CONTRIBUTION' })
+      .expect(202);
+
+    expect(mockMpesa.collect).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 1500,
+        phoneNumber: '254712345678',
+        tenantId: TENANT_ID,
+        userId: MEMBER_ID,
+        requestedBy: MEMBER_ID,
+      })
+    );
+  });
+
+  it('should reject fractional shillings', async () => {
+    await request(app)
+      .post('/api/v1/payments/mpesa/collections')
+      .set('Authorization', memberHeader)
+      .send({ amount: 10.5, phoneNumber: '254712345678' })
+      .expect(400);
+
+    expect(mockMpesa.collect).not.toHaveBeenCalled();
+  });
+
+  it('should keep disbursements to admins', async () => {
+    await request(app)
+      .post('/api/v1/payments/mpesa/disbursements')
+      .set('Authorization', memberHeader)
+      .send({ amount: 5000, phoneNumber: '254712345678' })
+      .expect(403);
+    expect(mockMpesa.disburse).not.toHaveBeenCalled();
+
+    mockMpesa.disburse.mockResolvedValue({ reference: 'MP-2', status: 'PENDING' });
+    await request(app)
+      .post('/api/v1/payments/mpesa/disbursements')
+      .set('Authorization', adminHeader)
+      .send({ amount: '5000', phoneNumber: '254712345678', name: 'Wanjiku' })
+      .expect(202);
+    expect(mockMpesa.disburse).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 5000,
+        beneficiary: { phoneNumber: '254712345678', name: 'Wanjiku' },
+        requestedBy: ADMIN_ID,
+      })
+    );
+  });
+
+  it('should hand Daraja callbacks to the module with the URL token', async () => {
+    mockMpesa.callbacks.handle.mockResolvedValue({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    const res = await request(app)
+      .post('/api/v1/payments/mpesa/callbacks/stk?token=cb-token')
+      .send({ Body: { stkCallback: { ResultCode: 0 } } })
+      .expect(200);
+
+    expect(res.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(mockMpesa.callbacks.handle).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'stk', token: 'cb-token' })
+    );
+  });
+
+  it('should refuse a C2B validation it could not process', async () => {
+    mockMpesa.callbacks.handle.mockRejectedValue(new Error('Account lookup failed'));
+
+    const res = await request(app)
+      .post('/api/v1/payments/mpesa/callbacks/c2b/validation?token=cb-token')
+      .send({ TransID: 'QK12345', BillRefNumber: '254712345678' })
+      .expect(200);
+
+    expect(res.body).toEqual({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  });
+});
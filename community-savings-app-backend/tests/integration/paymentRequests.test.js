@@ -0,0 +1,156 @@
+/**
+ * Payment Request Route Tests
+ * ============================================================================
+ * Officer payment request endpoints and public pay links, mounted through
+ * routes/index.js the way the app serves them.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/paymentRequestService', () => ({
+  create: jest.fn(),
+  list: jest.fn(),
+  cancel: jest.fn(),
+  getQr: jest.fn(),
+  view: jest.fn(),
+  pay: jest.fn(),
+  status: jest.fn(),
+  fromToken: jest.fn(),
+  qrSvg: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const paymentRequestService = require('../../services/paymentRequestService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const TOKEN = 'eyJyIjoiUFItMSJ9.c2lnbmF0dXJl';
+
+describe('Payment request routes', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign({ id: MEMBER_ID, role: 'user' }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET);
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  describe('/api/v1/groups/:groupId/payment-requests', () => {
+    it('should require authentication', async () => {
+      await request(app).get(`/api/v1/groups/${GROUP_ID}/payment-requests`).expect(401);
+
+      expect(paymentRequestService.list).not.toHaveBeenCalled();
+    });
+
+    it('should create a payment request for an officer', async () => {
+      paymentRequestService.create.mockResolvedValue({ link: `https://pay.example/${TOKEN}` });
+
+      const res = await request(app)
+        .post(`/api/v1/groups/${GROUP_ID}/payment-requests`)
+        .set('Authorization', authHeader)
+        .send({ purpose: 'CONTRIBUTION', userId: MEMBER_ID, amount: '50000' })
+        .expect(201);
+
+      expect(res.body.data.link).toBe(`https://pay.example/${TOKEN}`);
+      expect(paymentRequestService.create).toHaveBeenCalledWith(
+        GROUP_ID,
+        expect.objectContaining({ purpose: 'CONTRIBUTION', userId: MEMBER_ID, amount: 50000 }),
+        expect.objectContaining({ id: MEMBER_ID })
+      );
+    });
+
+    it('should reject a loan repayment without a loanId', async () => {
+      await request(app)
+        .post(`/api/v1/groups/${GROUP_ID}/payment-requests`)
+        .set('Authorization', authHeader)
+        .send({ purpose: 'LOAN_REPAYMENT', amount: 50000 })
+        .expect(400);
+
+      expect(paymentRequestService.create).not.toHaveBeenCalled();
+    });
+
+    it('should list requests filtered by status', async () => {
+      paymentRequestService.list.mockResolvedValue({ requests: [], summary: { open: 0 } });
+
+      await request(app)
+        .get(`/api/v1/groups/${GROUP_ID}/payment-requests?status=OPEN`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(paymentRequestService.list).toHaveBeenCalledWith(GROUP_ID, expect.objectContaining({ id: MEMBER_ID }), {
+        status: 'OPEN',
+      });
+    });
+  });
+
+  describe('/api/v1/pay/:token', () => {
+    it('should show the payment request without authentication', async () => {
+      paymentRequestService.view.mockResolvedValue({ reference: 'PR-1', status: 'OPEN' });
+
+      const res = await request(app).get(`/api/v1/pay/${TOKEN}`).set('Accept', 'application/json').expect(200);
+
+      expect(res.body.data.reference).toBe('PR-1');
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(paymentRequestService.view).toHaveBeenCalledWith(TOKEN);
+    });
+
+    it('should reject a malformed link before reaching the service', async () => {
+      await request(app).get('/api/v1/pay/not-a-token').set('Accept', 'application/json').expect(400);
+
+      expect(paymentRequestService.view).not.toHaveBeenCalled();
+    });
+
+    it('should start a mobile money collection', async () => {
+      paymentRequestService.pay.mockResolvedValue({ status: 'PENDING', reference: 'PR-1' });
+
+      const res = await request(app)
+        .post(`/api/v1/pay/${TOKEN}`)
+        .send({ provider: 'mtn', phoneNumber: '256772123456' })
+        .expect(202);
+
+      expect(res.body.data.status).toBe('PENDING');
+      expect(paymentRequestService.pay).toHaveBeenCalledWith(
+        TOKEN,
+        { provider: 'mtn', phoneNumber: '256772123456' },
+        expect.objectContaining({ channel: 'payment_link' })
+      );
+    });
+
+    it('should pass service errors through with their status', async () => {
+      paymentRequestService.pay.mockRejectedValue(
+        new AppError('This request has already been paid', 409, errorCodes.PAYMENT_REQUEST_INVALID_STATE)
+      );
+
+      const res = await request(app)
+        .post(`/api/v1/pay/${TOKEN}`)
+        .send({ provider: 'airtel', phoneNumber: '256752123456' })
+        .expect(409);
+
+      expect(res.body).toEqual({
+        message: 'This request has already been paid',
+        errorCode: errorCodes.PAYMENT_REQUEST_INVALID_STATE,
+      });
+    });
+
+    it('should report the payment status', async () => {
+      paymentRequestService.status.mockResolvedValue({ status: 'PAID' });
+
+      const res = await request(app).get(`/api/v1/pay/${TOKEN}/status`).expect(200);
+
+      expect(res.body.data.status).toBe('PAID');
+    });
+  });
+});
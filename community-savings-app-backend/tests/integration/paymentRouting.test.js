@@ -0,0 +1,107 @@
+/**
+ * Payment Routing Route Tests
+ * ============================================================================
+ * Provider routing policy and status endpoints, mounted through
+ * routes/index.js the way the app serves them. The provider routing service
+ * is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/providerRoutingService', () => ({
+  getPolicy: jest.fn(),
+  updatePolicy: jest.fn(),
+  providerStatus: jest.fn(),
+  listDecisions: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const providerRoutingService = require('../../services/providerRoutingService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Payment routing routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role, tenantId: TENANT_ID }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should keep routing to admins', async () => {
+    await request(app)
+      .get('/api/v1/payment-routing/providers')
+      .set('Authorization', memberHeader)
+      .expect(403);
+
+    expect(providerRoutingService.providerStatus).not.toHaveBeenCalled();
+  });
+
+  it("should update the tenant's routing policy", async () => {
+    providerRoutingService.updatePolicy.mockResolvedValue({ mode: 'PREFERRED' });
+
+    await request(app)
+      .put('/api/v1/payment-routing/policy')
+      .set('Authorization', adminHeader)
+      .send({
+        mode: 'PREFERRED',
+        preferredProviders: ['airtel', 'mtn'],
+        minScore: '0.6',
+        failoverEnabled: 'true',
+      })
+      .expect(200);
+
+    expect(providerRoutingService.updatePolicy).toHaveBeenCalledWith(
+      TENANT_ID,
+      expect.objectContaining({
+        preferredProviders: ['airtel', 'mtn'],
+        minScore: 0.6,
+        failoverEnabled: true,
+      }),
+      expect.objectContaining({ id: ADMIN_ID })
+    );
+  });
+
+  it('should reject a provider the router does not know', async () => {
+    await request(app)
+      .put('/api/v1/payment-routing/policy')
+      .set('Authorization', adminHeader)
+      .send({ disabledProviders: ['mpesa'] })
+      .expect(400);
+
+    expect(providerRoutingService.updatePolicy).not.toHaveBeenCalled();
+  });
+
+  it('should list failover decisions', async () => {
+    providerRoutingService.listDecisions.mockResolvedValue([{ reference: 'DB-1', failover: true }]);
+
+    const res = await request(app)
+      .get('/api/v1/payment-routing/decisions?failover=true&limit=20')
+      .set('Authorization', adminHeader)
+      .expect(200);
+
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(providerRoutingService.listDecisions).toHaveBeenCalledWith(
+      TENANT_ID,
+      expect.objectContaining({ failover: true, limit: 20 })
+    );
+  });
+});
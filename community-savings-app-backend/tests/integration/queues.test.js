@@ -0,0 +1,157 @@
+/**
+ * Queue Bootstrap Tests
+ * ============================================================================
+ * Starts the queue subsystem through queues/index.js, the way
+ * bootstrap/infrastructure.js does with QUEUE_ENABLED, and runs each
+ * recurring job's worker. BullMQ is replaced by an in-memory stand-in with
+ * the same Queue/Worker surface; Redis is never contacted.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({ quit: jest.fn().mockResolvedValue('OK') })));
+jest.mock('bullmq', () => {
+  const workers = new Map();
+  class Queue {
+    constructor(name) {
+      this.name = name;
+      this.add = jest.fn().mockResolvedValue({});
+      this.upsertJobScheduler = jest.fn().mockResolvedValue({});
+      this.close = jest.fn().mockResolvedValue();
+    }
+  }
+  class Worker {
+    constructor(name, processor, options) {
+      this.name = name;
+      this.processor = processor;
+      this.options = options;
+      this.on = jest.fn();
+      this.close = jest.fn().mockResolvedValue();
+      workers.set(name, this);
+    }
+  }
+  return { Queue, Worker, workers };
+});
+jest.mock('../../services/fineService', () => ({ evaluateAllGroups: jest.fn() }));
+jest.mock('../../services/contributionScheduleService', () => ({ sendReminders: jest.fn() }));
+jest.mock('../../services/groupWithdrawalService', () => ({ expirePending: jest.fn() }));
+jest.mock('../../modules/payment/mpesa', () => ({ getMpesaPaymentModule: jest.fn() }));
+jest.mock('../../services/standingOrderService', () => ({ runDue: jest.fn() }));
+jest.mock('../../services/disbursementBatchService', () => ({ recoverStale: jest.fn() }));
+
+const { workers } = require('bullmq');
+const fineService = require('../../services/fineService');
+const contributionScheduleService = require('../../services/contributionScheduleService');
+const groupWithdrawalService = require('../../services/groupWithdrawalService');
+const { getMpesaPaymentModule } = require('../../modules/payment/mpesa');
+const standingOrderService = require('../../services/standingOrderService');
+const disbursementBatchService = require('../../services/disbursementBatchService');
+const queues = require('../../queues');
+
+const AS_OF = '2026-05-01T02:00:00.000Z';
+
+/** Run a queue's worker the way BullMQ would for one job. */
+const runJob = (queueName, data = {}) => workers.get(queueName).processor({ id: 'job-1', name: queueName, data });
+
+describe('Queue subsystem', () => {
+  let started;
+  // Scheduler calls made by start(); jest clears mock calls before each test
+  const scheduled = new Map();
+
+  beforeAll(async () => {
+    started = await queues.start();
+    Object.values(started)
+      .filter((queue) => queue?.upsertJobScheduler)
+      .forEach((queue) => scheduled.set(queue.name, [...queue.upsertJobScheduler.mock.calls]));
+  });
+
+  afterAll(() => queues.shutdown());
+
+  it('uses the installed BullMQ, which schedules repeat jobs without a QueueScheduler', () => {
+    const bullmq = jest.requireActual('bullmq');
+
+    expect(bullmq.QueueScheduler).toBeUndefined();
+    expect(typeof bullmq.Queue.prototype.upsertJobScheduler).toBe('function');
+  });
+
+  it('registers every recurring job in the Africa/Kampala timezone', () => {
+    const schedules = [
+      [started.fineEvaluationQueue, 'evaluate-fines', '0 2 * * *'],
+      [started.contributionReminderQueue, 'send-contribution-reminders', '0 8 * * *'],
+      [started.withdrawalExpiryQueue, 'expire-group-withdrawals', '0 * * * *'],
+      [started.mpesaReconciliationQueue, 'reconcile-mpesa', '0 4 * * *'],
+      [started.standingOrderQueue, 'run-standing-orders', '0 * * * *'],
+      [started.disbursementRecoveryQueue, 'recover-disbursement-batches', '*/15 * * * *'],
+    ];
+
+    schedules.forEach(([queue, name, pattern]) => {
+      expect(scheduled.get(queue.name)).toEqual([
+        [name, { pattern, tz: 'Africa/Kampala' }, expect.objectContaining({ name })],
+      ]);
+    });
+  });
+
+  it('runs fine evaluation for every group', async () => {
+    fineService.evaluateAllGroups.mockResolvedValue({ groups: 3, finesIssued: 2 });
+
+    await expect(runJob('fine-evaluation', { asOf: AS_OF })).resolves.toEqual({
+      success: true,
+      groups: 3,
+      finesIssued: 2,
+    });
+    expect(fineService.evaluateAllGroups).toHaveBeenCalledWith(new Date(AS_OF));
+  });
+
+  it('sends contribution reminders', async () => {
+    contributionScheduleService.sendReminders.mockResolvedValue({ groups: 2, sent: 5 });
+
+    await expect(runJob('contribution-reminders', { asOf: AS_OF })).resolves.toEqual({
+      success: true,
+      groups: 2,
+      sent: 5,
+    });
+    expect(contributionScheduleService.sendReminders).toHaveBeenCalledWith(new Date(AS_OF));
+  });
+
+  it('expires group withdrawals that were not approved in time', async () => {
+    groupWithdrawalService.expirePending.mockResolvedValue({ expired: 4 });
+
+    await expect(runJob('withdrawal-expiry', { asOf: AS_OF })).resolves.toEqual({ success: true, expired: 4 });
+    expect(groupWithdrawalService.expirePending).toHaveBeenCalledWith(new Date(AS_OF));
+  });
+
+  it('runs the daily M-Pesa reconciliation for the requested day and tenant', async () => {
+    const runDaily = jest.fn().mockResolvedValue({ date: '2026-04-30', pending: 1, settlement: { settled: 2 } });
+    getMpesaPaymentModule.mockReturnValue({ reconciliation: { runDaily } });
+
+    await expect(runJob('mpesa-reconciliation', { date: '2026-04-30', tenantId: 'tenant-1' })).resolves.toEqual({
+      success: true,
+      date: '2026-04-30',
+      pending: 1,
+      settlement: { settled: 2 },
+    });
+    expect(runDaily).toHaveBeenCalledWith({ date: '2026-04-30', tenantId: 'tenant-1' });
+  });
+
+  it('runs the standing orders that are due', async () => {
+    standingOrderService.runDue.mockResolvedValue({ due: 3, succeeded: 2, pending: 1 });
+
+    await expect(runJob('standing-orders', { asOf: AS_OF })).resolves.toEqual({
+      success: true,
+      due: 3,
+      succeeded: 2,
+      pending: 1,
+    });
+    expect(standingOrderService.runDue).toHaveBeenCalledWith(new Date(AS_OF));
+  });
+
+  it('resumes stalled disbursement batches', async () => {
+    disbursementBatchService.recoverStale.mockResolvedValue({ stale: 2, resumed: 2 });
+
+    await expect(runJob('disbursement-recovery', { asOf: AS_OF })).resolves.toEqual({
+      success: true,
+      stale: 2,
+      resumed: 2,
+    });
+    expect(disbursementBatchService.recoverStale).toHaveBeenCalledWith(new Date(AS_OF));
+  });
+});
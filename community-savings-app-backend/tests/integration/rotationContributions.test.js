@@ -0,0 +1,110 @@
+/**
+ * Rotation Contribution Route Tests
+ * ============================================================================
+ * SACCO contributions posted to /api/v1/contributions that pay into a
+ * merry-go-round round, mounted through routes/index.js. The rotation
+ * service is real; only its models and the ledger are stubbed.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/auditLogService', () => ({ log: jest.fn() }));
+jest.mock('../../models/LedgerEntry', () => ({ create: jest.fn() }));
+jest.mock('../../models/RotationCycle', () => ({ findById: jest.fn() }));
+jest.mock('../../models/RotationRound', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  exists: jest.fn(),
+}));
+jest.mock('../../models/Transaction', () => ({ findOne: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const LedgerEntry = require('../../models/LedgerEntry');
+const RotationCycle = require('../../models/RotationCycle');
+const RotationRound = require('../../models/RotationRound');
+const Transaction = require('../../models/Transaction');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const SACCO_ID = '64b7f0c2a1b2c3d4e5f60710';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const OTHER_MEMBER_ID = '64b7f0c2a1b2c3d4e5f60720';
+const ROUND_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+const round = (overrides = {}) => ({
+  _id: ROUND_ID,
+  cycleId: 'cycle_1',
+  roundNumber: 2,
+  status: 'collecting',
+  expectedAmount: 200000,
+  collectedAmount: 100000,
+  contributions: [],
+  ...overrides,
+});
+
+describe('Rotation contribution route', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign({ id: MEMBER_ID, role: 'user' }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET);
+    authHeader = `Bearer ${token}`;
+  });
+
+  beforeEach(() => {
+    RotationRound.findById.mockResolvedValue(round());
+    RotationRound.exists.mockResolvedValue(null);
+    RotationCycle.findById.mockResolvedValue({ _id: 'cycle_1', hasMember: (userId) => userId === MEMBER_ID });
+    LedgerEntry.create.mockImplementation(async (entry) => entry);
+  });
+
+  const contribute = (body) =>
+    request(app)
+      .post('/api/v1/contributions')
+      .set('Authorization', authHeader)
+      .send({ saccoId: SACCO_ID, rotationRoundId: ROUND_ID, paymentReference: 'MTN-REF-1', ...body });
+
+  it("should credit the round with the signed-in member's confirmed payment", async () => {
+    Transaction.findOne.mockReturnValue(mockQuery({ userId: MEMBER_ID, amount: 100000, status: 'SUCCESS' }));
+    RotationRound.findOneAndUpdate.mockResolvedValue(round({ collectedAmount: 200000, status: 'ready' }));
+
+    // A different member and an inflated amount in the body are ignored
+    await contribute({ memberId: OTHER_MEMBER_ID, amount: 900000 }).expect(202);
+
+    expect(LedgerEntry.create).toHaveBeenCalledWith(
+      expect.objectContaining({ debitAccount: `MoMo:${MEMBER_ID}`, amount: 100000, reference: 'MTN-REF-1' })
+    );
+    const [, update] = RotationRound.findOneAndUpdate.mock.calls[0];
+    expect(update.$inc).toEqual({ collectedAmount: 100000 });
+    expect(update.$push.contributions).toMatchObject({ userId: MEMBER_ID, amount: 100000, reference: 'MTN-REF-1' });
+  });
+
+  it('should book nothing when the payment has not been confirmed', async () => {
+    Transaction.findOne.mockReturnValue(mockQuery(null));
+
+    const res = await contribute({ amount: 100000 }).expect(402);
+
+    expect(res.body.error).toBe('No confirmed payment found for this reference');
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+    expect(RotationRound.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should not credit the round from another member's payment", async () => {
+    Transaction.findOne.mockReturnValue(
+      mockQuery({ userId: OTHER_MEMBER_ID, amount: 100000, status: 'SUCCESS' })
+    );
+
+    await contribute({ amount: 100000 }).expect(402);
+
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+    expect(RotationRound.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
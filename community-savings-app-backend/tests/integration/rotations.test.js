@@ -0,0 +1,138 @@
+/**
+ * Rotation Route Tests
+ * ============================================================================
+ * Merry-go-round cycle endpoints, mounted through routes/index.js the way the
+ * app serves them. The rotation service is mocked; these cover auth,
+ * validation and how results and service errors reach the client.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/rotationService', () => ({
+  createCycle: jest.fn(),
+  listCycles: jest.fn(),
+  getCycle: jest.fn(),
+  releasePot: jest.fn(),
+  swapTurns: jest.fn(),
+  requestTurnChange: jest.fn(),
+  decideTurnRequest: jest.fn(),
+  skipDefaulter: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const rotationService = require('../../services/rotationService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const CYCLE_ID = '64b7f0c2a1b2c3d4e5f60720';
+const OFFICER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Rotation routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}/rotations`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: OFFICER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(base).expect(401);
+
+    expect(rotationService.listCycles).not.toHaveBeenCalled();
+  });
+
+  it('should create a cycle with its round calendar', async () => {
+    rotationService.createCycle.mockResolvedValue({
+      cycle: { _id: CYCLE_ID },
+      rounds: [{ roundNumber: 1 }],
+    });
+
+    const res = await request(app)
+      .post(base)
+      .set('Authorization', authHeader)
+      .send({ name: 'Umoja 2026', contributionAmount: '50000', startDate: '2026-11-01' })
+      .expect(201);
+
+    expect(res.body.data.rounds).toHaveLength(1);
+    expect(rotationService.createCycle).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ name: 'Umoja 2026', contributionAmount: 50000 }),
+      expect.objectContaining({ id: OFFICER_ID })
+    );
+  });
+
+  it('should reject a cycle without a start date', async () => {
+    await request(app)
+      .post(base)
+      .set('Authorization', authHeader)
+      .send({ name: 'Umoja 2026', contributionAmount: 50000 })
+      .expect(400);
+
+    expect(rotationService.createCycle).not.toHaveBeenCalled();
+  });
+
+  it('should release the pot of the current round', async () => {
+    rotationService.releasePot.mockResolvedValue({ roundNumber: 2, status: 'released' });
+
+    const res = await request(app)
+      .post(`${base}/${CYCLE_ID}/release`)
+      .set('Authorization', authHeader)
+      .send({ allowPartial: true })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('released');
+    expect(rotationService.releasePot).toHaveBeenCalledWith(
+      GROUP_ID,
+      CYCLE_ID,
+      expect.objectContaining({ id: OFFICER_ID }),
+      { allowPartial: true }
+    );
+  });
+
+  it('should report a release already in progress as a conflict', async () => {
+    rotationService.releasePot.mockRejectedValue(
+      new AppError(
+        'Current round is already being released',
+        409,
+        errorCodes.ROTATION_INVALID_STATE
+      )
+    );
+
+    const res = await request(app)
+      .post(`${base}/${CYCLE_ID}/release`)
+      .set('Authorization', authHeader)
+      .expect(409);
+
+    expect(res.body).toEqual({
+      message: 'Current round is already being released',
+      errorCode: errorCodes.ROTATION_INVALID_STATE,
+    });
+  });
+
+  it('should require a target member for a swap request', async () => {
+    await request(app)
+      .post(`${base}/${CYCLE_ID}/turn-requests`)
+      .set('Authorization', authHeader)
+      .send({ type: 'swap' })
+      .expect(400);
+
+    expect(rotationService.requestTurnChange).not.toHaveBeenCalled();
+  });
+});
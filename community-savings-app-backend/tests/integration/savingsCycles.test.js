@@ -0,0 +1,123 @@
+/**
+ * Savings Cycle Route Tests
+ * ============================================================================
+ * VSLA cycle and close-out endpoints, mounted through routes/index.js the way
+ * the app serves them. The savings cycle service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/savingsCycleService', () => ({
+  startCycle: jest.fn(),
+  listCycles: jest.fn(),
+  getCycle: jest.fn(),
+  previewCloseOut: jest.fn(),
+  prepareCloseOut: jest.fn(),
+  signCloseOut: jest.fn(),
+  resumeCloseOut: jest.fn(),
+  cancelCloseOut: jest.fn(),
+  getReport: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const savingsCycleService = require('../../services/savingsCycleService');
+const AppError = require('../../utils/AppError');
+const errorCodes = require('../../utils/errorCodes');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const CYCLE_ID = '64b7f0c2a1b2c3d4e5f60750';
+const CHAIR_ID = '64b7f0c2a1b2c3d4e5f60719';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60721';
+
+describe('Savings cycle routes', () => {
+  let app;
+  let authHeader;
+  const base = `/api/v1/groups/${GROUP_ID}/cycles`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: CHAIR_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get(base).expect(401);
+
+    expect(savingsCycleService.listCycles).not.toHaveBeenCalled();
+  });
+
+  it('should start a cycle with opening balances', async () => {
+    savingsCycleService.startCycle.mockResolvedValue({ _id: CYCLE_ID, status: 'open' });
+
+    await request(app)
+      .post(base)
+      .set('Authorization', authHeader)
+      .send({ name: '2026/27', openingBalances: [{ userId: MEMBER_ID, amount: '15000' }] })
+      .expect(201);
+
+    expect(savingsCycleService.startCycle).toHaveBeenCalledWith(
+      GROUP_ID,
+      expect.objectContaining({ openingBalances: [{ userId: MEMBER_ID, amount: 15000 }] }),
+      expect.objectContaining({ id: CHAIR_ID })
+    );
+  });
+
+  it('should preview the share-out with carried-forward savings', async () => {
+    savingsCycleService.previewCloseOut.mockResolvedValue({ lines: [], blockingLoans: [] });
+
+    await request(app)
+      .post(`${base}/${CYCLE_ID}/close-out/preview`)
+      .set('Authorization', authHeader)
+      .send({ loanPolicy: 'net', carryForward: { [MEMBER_ID]: '5000' } })
+      .expect(200);
+
+    expect(savingsCycleService.previewCloseOut).toHaveBeenCalledWith(
+      GROUP_ID,
+      CYCLE_ID,
+      expect.objectContaining({ loanPolicy: 'net', carryForward: { [MEMBER_ID]: 5000 } }),
+      expect.objectContaining({ id: CHAIR_ID })
+    );
+  });
+
+  it('should reject a negative carry-forward', async () => {
+    await request(app)
+      .post(`${base}/${CYCLE_ID}/close-out/preview`)
+      .set('Authorization', authHeader)
+      .send({ carryForward: { [MEMBER_ID]: -1 } })
+      .expect(400);
+
+    expect(savingsCycleService.previewCloseOut).not.toHaveBeenCalled();
+  });
+
+  it('should return the loans that block the close-out', async () => {
+    const error = new AppError(
+      '1 outstanding loan(s) must be repaid or netted before the cycle can close',
+      409,
+      errorCodes.CYCLE_LOANS_OUTSTANDING
+    );
+    error.details = [{ userId: MEMBER_ID, outstanding: 40000 }];
+    savingsCycleService.prepareCloseOut.mockRejectedValue(error);
+
+    const res = await request(app)
+      .post(`${base}/${CYCLE_ID}/close-out`)
+      .set('Authorization', authHeader)
+      .send({ loanPolicy: 'block' })
+      .expect(409);
+
+    expect(res.body.errorCode).toBe(errorCodes.CYCLE_LOANS_OUTSTANDING);
+    expect(res.body.details).toEqual([{ userId: MEMBER_ID, outstanding: 40000 }]);
+  });
+});
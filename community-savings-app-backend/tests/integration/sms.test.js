@@ -0,0 +1,112 @@
+/**
+ * Inbound SMS Route Tests
+ * ============================================================================
+ * The shortcode webhook and the admin inbox, mounted through routes/index.js
+ * the way the app serves them. Provider verification and parsing are real;
+ * the SMS command service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/smsCommandService', () => ({
+  receive: jest.fn(),
+  list: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const smsCommandService = require('../../services/smsCommandService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f607f1';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const INBOUND_TOKEN = 'sms-inbound-test-token';
+
+describe('Inbound SMS routes', () => {
+  let app;
+  let previousToken;
+
+  beforeAll(() => {
+    previousToken = process.env.SMS_INBOUND_TOKEN;
+    process.env.SMS_INBOUND_TOKEN = INBOUND_TOKEN;
+
+    app = express();
+    app.use(require('../../routes/index'));
+  });
+
+  afterAll(() => {
+    if (previousToken === undefined) delete process.env.SMS_INBOUND_TOKEN;
+    else process.env.SMS_INBOUND_TOKEN = previousToken;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  const text = {
+    from: '+256772000001',
+    to: '8181',
+    text: 'BAL',
+    id: 'ATXid_1',
+    date: '2026-10-19 09:30:00',
+  };
+
+  it("should run a text posted by Africa's Talking and acknowledge it", async () => {
+    smsCommandService.receive.mockResolvedValue({ status: 'REPLIED' });
+
+    const res = await request(app)
+      .post(`/api/v1/sms/inbound/africastalking?token=${INBOUND_TOKEN}`)
+      .type('form')
+      .send(text)
+      .expect(200);
+
+    expect(res.body.data).toEqual({ received: 1 });
+    expect(smsCommandService.receive).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: 'AFRICAS_TALKING',
+        messageId: 'ATXid_1',
+        from: '+256772000001',
+        text: 'BAL',
+      })
+    );
+  });
+
+  it('should reject a webhook without the shared token', async () => {
+    await request(app)
+      .post('/api/v1/sms/inbound/africastalking?token=wrong')
+      .type('form')
+      .send(text)
+      .expect(401);
+
+    expect(smsCommandService.receive).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unknown provider', async () => {
+    await request(app)
+      .post('/api/v1/sms/inbound/carrier-pigeon')
+      .type('form')
+      .send(text)
+      .expect(400);
+
+    expect(smsCommandService.receive).not.toHaveBeenCalled();
+  });
+
+  it("should list the tenant's inbound texts for an admin", async () => {
+    smsCommandService.list.mockResolvedValue([{ text: 'BAL', status: 'REPLIED' }]);
+    const token = jwt.sign(
+      { id: ADMIN_ID, role: 'admin', tenantId: TENANT_ID },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+
+    await request(app)
+      .get('/api/v1/sms/inbound?limit=50')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(smsCommandService.list).toHaveBeenCalledWith(
+      TENANT_ID,
+      expect.objectContaining({ limit: 50 })
+    );
+  });
+});
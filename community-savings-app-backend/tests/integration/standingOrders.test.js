@@ -0,0 +1,114 @@
+/**
+ * Standing Order Route Tests
+ * ============================================================================
+ * Recurring contribution endpoints, mounted through routes/index.js the way
+ * the app serves them. The standing order service is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/standingOrderService', () => ({
+  create: jest.fn(),
+  list: jest.fn(),
+  get: jest.fn(),
+  listRuns: jest.fn(),
+  pause: jest.fn(),
+  resume: jest.fn(),
+  cancel: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const standingOrderService = require('../../services/standingOrderService');
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const ORDER_ID = '64b7f0c2a1b2c3d4e5f60830';
+
+describe('Standing order routes', () => {
+  let app;
+  let authHeader;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    const token = jwt.sign(
+      { id: MEMBER_ID, role: 'user' },
+      process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET
+    );
+    authHeader = `Bearer ${token}`;
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/v1/standing-orders').expect(401);
+
+    expect(standingOrderService.list).not.toHaveBeenCalled();
+  });
+
+  it('should authorize a monthly group contribution', async () => {
+    standingOrderService.create.mockResolvedValue({ _id: ORDER_ID, status: 'ACTIVE' });
+
+    await request(app)
+      .post('/api/v1/standing-orders')
+      .set('Authorization', authHeader)
+      .set('User-Agent', 'TITech-App/2.3')
+      .send({
+        targetType: 'GROUP_CONTRIBUTION',
+        groupId: GROUP_ID,
+        amount: '20000',
+        frequency: 'monthly',
+        day: '5',
+        provider: 'mtn',
+        phoneNumber: '+256772000001',
+      })
+      .expect(201);
+
+    expect(standingOrderService.create).toHaveBeenCalledWith(
+      expect.objectContaining({ groupId: GROUP_ID, amount: 20000, day: 5, provider: 'mtn' }),
+      expect.objectContaining({ id: MEMBER_ID }),
+      expect.objectContaining({ userAgent: 'TITech-App/2.3' })
+    );
+  });
+
+  it('should require the group for a group contribution', async () => {
+    await request(app)
+      .post('/api/v1/standing-orders')
+      .set('Authorization', authHeader)
+      .send({
+        targetType: 'GROUP_CONTRIBUTION',
+        amount: 20000,
+        frequency: 'monthly',
+        day: 5,
+        provider: 'mtn',
+      })
+      .expect(400);
+
+    expect(standingOrderService.create).not.toHaveBeenCalled();
+  });
+
+  it('should pause debits until a date', async () => {
+    standingOrderService.pause.mockResolvedValue({ _id: ORDER_ID, status: 'PAUSED' });
+
+    await request(app)
+      .post(`/api/v1/standing-orders/${ORDER_ID}/pause`)
+      .set('Authorization', authHeader)
+      .send({ until: '2026-12-31' })
+      .expect(200);
+
+    expect(standingOrderService.pause).toHaveBeenCalledWith(
+      ORDER_ID,
+      expect.objectContaining({ id: MEMBER_ID }),
+      {
+        until: new Date('2026-12-31'),
+      }
+    );
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * USSD Gateway Route Tests
+ * ============================================================================
+ * Gateway hops posted to /api/v1/ussd, mounted through routes/index.js the
+ * way the app serves them.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/ussdService', () => ({ process: jest.fn(), actions: {} }));
+jest.mock('../../services/ussdPinService', () => ({ findByPhone: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const ussdService = require('../../services/ussdService');
+const ussdPinService = require('../../services/ussdPinService');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60700';
+const HOP = { sessionId: 'ATUid_1', serviceCode: '*284*77#', phoneNumber: '+256772123456', text: '1' };
+
+describe('USSD gateway route', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should answer a form-encoded hop through the USSD service', async () => {
+    ussdService.process.mockResolvedValue('CON Savings\n1. Balance');
+
+    const res = await request(app)
+      .post('/api/v1/ussd')
+      .set('X-Tenant-ID', TENANT_ID)
+      .type('form')
+      .send(HOP)
+      .expect(200);
+
+    expect(res.text).toBe('CON Savings\n1. Balance');
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(ussdService.process).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tenant: { id: TENANT_ID },
+        sessionId: 'ATUid_1',
+        serviceCode: '*284*77#',
+        phoneNumber: '+256772123456',
+        text: '1',
+        requestId: expect.any(String),
+      })
+    );
+    expect(ussdPinService.findByPhone).not.toHaveBeenCalled();
+  });
+
+  it("should use the dialling member's tenant when the gateway names none", async () => {
+    ussdPinService.findByPhone.mockResolvedValue({ tenantId: TENANT_ID });
+    ussdService.process.mockResolvedValue('CON Welcome');
+
+    await request(app).post('/api/v1/ussd').send({ ...HOP, text: '' }).expect(200);
+
+    expect(ussdPinService.findByPhone).toHaveBeenCalledWith(null, '+256772123456');
+    expect(ussdService.process).toHaveBeenCalledWith(expect.objectContaining({ tenant: { id: TENANT_ID }, text: '' }));
+  });
+
+  it('should reject a hop without a session before reaching the service', async () => {
+    const res = await request(app).post('/api/v1/ussd').type('form').send({ phoneNumber: '+256772123456' }).expect(400);
+
+    expect(res.text).toBe('END Invalid session.');
+    expect(ussdService.process).not.toHaveBeenCalled();
+  });
+
+  it('should end the session when the service fails', async () => {
+    ussdPinService.findByPhone.mockResolvedValue(null);
+    ussdService.process.mockRejectedValue(new Error('redis down'));
+
+    const res = await request(app).post('/api/v1/ussd').type('form').send(HOP).expect(500);
+
+    expect(res.text).toBe('END Service temporarily unavailable.');
+  });
+});
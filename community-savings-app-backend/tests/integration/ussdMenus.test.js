@@ -0,0 +1,105 @@
+/**
+ * USSD Gateway Menu Tree Tests
+ * ============================================================================
+ * Hops posted to /api/v1/ussd run the tenant's published menu tree through
+ * USSDService and the menu engine. Only storage is replaced: the menu
+ * collection, member lookup and the session store.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../models/UssdMenu', () => ({ findOne: jest.fn() }));
+jest.mock('../../services/ussdPinService', () => ({ findByPhone: jest.fn() }));
+jest.mock('../../services/ussdSessionService', () => {
+  const sessions = new Map();
+  const responses = new Map();
+  return {
+    findSession: jest.fn(async (id) => sessions.get(id) || null),
+    createSession: jest.fn(async (data) => sessions.set(data.sessionId, { ...data, state: {} }).get(data.sessionId)),
+    getState: jest.fn(async (id) => sessions.get(id)?.state || {}),
+    setState: jest.fn(async (id, state) => Object.assign(sessions.get(id).state, state)),
+    saveResponse: jest.fn(async (key, response) => responses.set(key, response)),
+    getResponse: jest.fn(async (key) => responses.get(key) || null),
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const UssdMenu = require('../../models/UssdMenu');
+const ussdPinService = require('../../services/ussdPinService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const TENANT_ID = '64b7f0c2a1b2c3d4e5f60700';
+const OTHER_TENANT_ID = '64b7f0c2a1b2c3d4e5f60701';
+const PHONE = '+256772123456';
+
+// A tenant tree with its own greeting and a two-option main menu
+const TENANT_TREE = {
+  start: 'main',
+  defaultLanguage: 'en',
+  screens: {
+    main: {
+      type: 'menu',
+      text: 'welcome',
+      options: [
+        { key: '1', label: 'balance', next: 'balance' },
+        { key: '0', label: 'exit', next: 'exit' },
+      ],
+    },
+    balance: { type: 'action', action: 'balance' },
+    exit: { type: 'end', text: 'goodbye' },
+  },
+  messages: { welcome: { en: 'Welcome to Kireka SACCO' }, goodbye: { en: 'Thank you for saving with Kireka' } },
+};
+
+const published = (definition) => mockQuery(definition && { version: 3, definition });
+
+describe('USSD gateway menu trees', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+  });
+
+  beforeEach(() => {
+    ussdPinService.findByPhone.mockResolvedValue(null);
+  });
+
+  const dial = (tenantId, sessionId, text = '') =>
+    request(app)
+      .post('/api/v1/ussd')
+      .set('X-Tenant-ID', tenantId)
+      .type('form')
+      .send({ sessionId, serviceCode: '*284*77#', phoneNumber: PHONE, text })
+      .expect(200);
+
+  it("should show the tenant's published menu", async () => {
+    UssdMenu.findOne.mockReturnValue(published(TENANT_TREE));
+
+    const res = await dial(TENANT_ID, 'ATUid_tenant');
+
+    expect(res.text).toBe('CON Welcome to Kireka SACCO\n\n1. Account Balance\n0. Exit');
+    expect(UssdMenu.findOne).toHaveBeenCalledWith({ tenantId: TENANT_ID, status: 'PUBLISHED' });
+  });
+
+  it("should follow the tenant's tree to its next screen", async () => {
+    UssdMenu.findOne.mockReturnValue(published(TENANT_TREE));
+
+    const res = await dial(TENANT_ID, 'ATUid_exit', '0');
+
+    expect(res.text).toBe('END Thank you for saving with Kireka');
+  });
+
+  it('should show the default menu to a tenant that has not published one', async () => {
+    UssdMenu.findOne.mockReturnValue(published(null));
+
+    const res = await dial(OTHER_TENANT_ID, 'ATUid_default');
+
+    expect(res.text).toMatch(/^CON TITech Community Capital\n\n1\. Account Balance\n2\. Savings\n/);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * USSD PIN Route Tests
+ * ============================================================================
+ * Endpoints for managing the PIN that authorises USSD payments, mounted
+ * through routes/index.js the way the app serves them. The USSD PIN service
+ * is mocked.
+ */
+
+jest.mock('../../utils/logger');
+// The finance models load this ESM-only plugin, which jest cannot parse
+jest.mock('mongoose-unique-validator', () => ({ __esModule: true, default: () => {} }));
+// Loading the MTN client validates its configuration and starts a token refresh timer
+jest.mock('../../services/mtn/auth', () => ({}));
+jest.mock('../../services/ussdPinService', () => ({
+  describe: jest.fn(),
+  setPin: jest.fn(),
+  issueResetCode: jest.fn(),
+  verify: jest.fn(),
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const ussdPinService = require('../../services/ussdPinService');
+
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60709';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('USSD PIN routes', () => {
+  let app;
+  let adminHeader;
+  let memberHeader;
+
+  const sign = (id, role) =>
+    `Bearer ${jwt.sign({ id, role }, process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use(require('../../routes/index'));
+
+    adminHeader = sign(ADMIN_ID, 'admin');
+    memberHeader = sign(MEMBER_ID, 'user');
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('should set the signed-in member PIN from the app', async () => {
+    ussdPinService.setPin.mockResolvedValue({ hasPin: true });
+
+    await request(app)
+      .put('/api/v1/ussd-pin/me')
+      .set('Authorization', memberHeader)
+      .send({ pin: '4821' })
+      .expect(200);
+
+    expect(ussdPinService.setPin).toHaveBeenCalledWith(
+      MEMBER_ID,
+      '4821',
+      expect.objectContaining({ id: MEMBER_ID }),
+      'APP'
+    );
+  });
+
+  it('should reject a PIN that is not four digits', async () => {
+    await request(app)
+      .put('/api/v1/ussd-pin/me')
+      .set('Authorization', memberHeader)
+      .send({ pin: '48211' })
+      .expect(400);
+
+    expect(ussdPinService.setPin).not.toHaveBeenCalled();
+  });
+
+  it('should let only admins send a reset code', async () => {
+    await request(app)
+      .post(`/api/v1/ussd-pin/users/${MEMBER_ID}/reset-code`)
+      .set('Authorization', memberHeader)
+      .expect(403);
+    expect(ussdPinService.issueResetCode).not.toHaveBeenCalled();
+
+    ussdPinService.issueResetCode.mockResolvedValue({ sent: true });
+    await request(app)
+      .post(`/api/v1/ussd-pin/users/${MEMBER_ID}/reset-code`)
+      .set('Authorization', adminHeader)
+      .expect(200);
+    expect(ussdPinService.issueResetCode).toHaveBeenCalledWith(
+      MEMBER_ID,
+      expect.objectContaining({ id: ADMIN_ID })
+    );
+  });
+});
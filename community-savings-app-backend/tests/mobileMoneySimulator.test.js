@@ -0,0 +1,333 @@
+// backend/tests/mobileMoneySimulator.test.js
+/**
+ * ============================================================================
+ * MOBILE MONEY SIMULATOR TESTS
+ * ============================================================================
+ *
+ * Coverage:
+ *  - MTN token, request-to-pay, transfer and status APIs
+ *  - Airtel token, payment, disbursement and status APIs
+ *  - Callback signatures accepted by our verifiers
+ *  - Scenario scripts: sandbox numbers, duplicates, wrong amounts,
+ *    timeouts, reversals and outages
+ *  - Control plane
+ *
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const { createMobileMoneySimulator } = require("../modules/payment/simulator");
+const MtnSignatureVerifier = require("../modules/payment/mtn/callbacks/signatureVerifier");
+const WebhookSecurity = require("../utils/webhookSecurity");
+
+const SECRETS = { mtn: "mtn-test-secret", airtel: "airtel-test-secret" };
+const MTN_CALLBACK = "http://api.test/api/v1/payments/mtn/collections/callback";
+const AIRTEL_CALLBACK = "http://api.test/api/v1/payments/airtel/callback";
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("MOBILE MONEY SIMULATOR", () => {
+  let simulator;
+  let server;
+  let deliver;
+
+  async function start(scenario = "happy-path") {
+    deliver = jest.fn().mockResolvedValue({ status: 200 });
+    simulator = createMobileMoneySimulator({
+      scenario,
+      secrets: SECRETS,
+      deliver,
+      logger: silentLogger,
+      callbackUrls: {
+        mtn: { disbursement: "http://api.test/api/v1/payments/mtn/disbursements/callback" },
+        airtel: { collection: AIRTEL_CALLBACK, disbursement: AIRTEL_CALLBACK },
+      },
+    });
+    server = await simulator.listen();
+  }
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  const call = async (path, { method = "GET", headers = {}, body } = {}) => {
+    const response = await axios.request({
+      url: `${server.url}${path}`,
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      data: body,
+      transformResponse: (text) => text,
+      validateStatus: () => true,
+    });
+    const text = response.data;
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  /* ==========================================================================
+     MTN
+  ========================================================================== */
+
+  const mtnToken = async (product = "collection") => {
+    const { body } = await call(`/mtn/${product}/token/`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from("api-user:api-key").toString("base64")}`,
+        "Ocp-Apim-Subscription-Key": "subscription-key",
+      },
+    });
+    return body.access_token;
+  };
+
+  const requestToPay = async ({ msisdn = "256772123456", amount = "50000", referenceId = crypto.randomUUID(), token } = {}) => {
+    const response = await call("/mtn/collection/v1_0/requesttopay", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token || (await mtnToken())}`,
+        "X-Reference-Id": referenceId,
+        "X-Target-Environment": "sandbox",
+        "X-Callback-Url": MTN_CALLBACK,
+      },
+      body: {
+        amount,
+        currency: "UGX",
+        externalId: "SAV-2026-0001",
+        payer: { partyIdType: "MSISDN", partyId: msisdn },
+        payerMessage: "Savings deposit",
+        payeeNote: "SAV-2026-0001",
+      },
+    });
+    return { ...response, referenceId };
+  };
+
+  describe("MTN MoMo", () => {
+    it("should issue tokens and refuse calls without one", async () => {
+      await start();
+
+      const token = await mtnToken();
+      const unauthenticated = await requestToPay({ token: "not-a-token" });
+
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(unauthenticated.status).toBe(401);
+    });
+
+    it("should accept a request to pay and call back with a verifiable signature", async () => {
+      await start();
+
+      const { status, referenceId } = await requestToPay();
+      await simulator.flush();
+
+      expect(status).toBe(202);
+      expect(deliver).toHaveBeenCalledTimes(1);
+
+      const { url, headers, body } = deliver.mock.calls[0][0];
+      expect(url).toBe(MTN_CALLBACK);
+      expect(body).toMatchObject({
+        externalId: "SAV-2026-0001",
+        amount: "50000",
+        currency: "UGX",
+        status: "SUCCESSFUL",
+        payer: { partyIdType: "MSISDN", partyId: "256772123456" },
+      });
+
+      const verifier = new MtnSignatureVerifier({ secret: SECRETS.mtn, logger: silentLogger });
+      expect(verifier.verify({ payload: body, signature: headers["x-mtn-signature"] }).valid).toBe(true);
+      expect(WebhookSecurity.validateSignature(JSON.parse(JSON.stringify(body)), headers["x-mtn-signature"], SECRETS.mtn)).toBe(true);
+      expect(WebhookSecurity.preventReplayAttack(Number(headers["x-mtn-timestamp"]))).toBe(true);
+
+      const polled = await call(`/mtn/collection/v1_0/requesttopay/${referenceId}`, {
+        headers: { Authorization: `Bearer ${await mtnToken()}` },
+      });
+      expect(polled.body).toMatchObject({ status: "SUCCESSFUL", financialTransactionId: body.financialTransactionId });
+    });
+
+    it("should reject a reused X-Reference-Id", async () => {
+      await start();
+
+      const first = await requestToPay();
+      const second = await requestToPay({ referenceId: first.referenceId });
+
+      expect(second.status).toBe(409);
+      expect(second.body.code).toBe("RESOURCE_ALREADY_EXIST");
+    });
+
+    it("should reproduce the MTN sandbox test numbers", async () => {
+      await start();
+
+      const { referenceId } = await requestToPay({ msisdn: "46733123451" });
+      await simulator.flush();
+
+      expect(simulator.mtn.getTransaction(referenceId)).toMatchObject({ status: "FAILED", reason: "APPROVAL_REJECTED" });
+      expect(deliver.mock.calls[0][0].body).toMatchObject({ status: "FAILED", reason: "APPROVAL_REJECTED" });
+    });
+
+    it("should pay out transfers to the configured disbursement callback", async () => {
+      await start();
+
+      const referenceId = crypto.randomUUID();
+      const { status } = await call("/mtn/disbursement/v1_0/transfer", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${await mtnToken("disbursement")}`, "X-Reference-Id": referenceId },
+        body: { amount: "20000", currency: "UGX", externalId: "WDR-1", payee: { partyIdType: "MSISDN", partyId: "256772000111" } },
+      });
+      await simulator.flush();
+
+      expect(status).toBe(202);
+      expect(deliver.mock.calls[0][0]).toMatchObject({
+        url: "http://api.test/api/v1/payments/mtn/disbursements/callback",
+        body: { externalId: "WDR-1", status: "SUCCESSFUL", payee: { partyId: "256772000111" } },
+      });
+    });
+  });
+
+  /* ==========================================================================
+     AIRTEL
+  ========================================================================== */
+
+  const airtelToken = async () => {
+    const { body } = await call("/airtel/auth/oauth2/token", {
+      method: "POST",
+      body: { client_id: "client", client_secret: "secret", grant_type: "client_credentials" },
+    });
+    return body.access_token;
+  };
+
+  describe("Airtel Money", () => {
+    it("should collect and call back with the signature the Airtel verifier expects", async () => {
+      await start();
+
+      const response = await call("/airtel/merchant/v1/payments/", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${await airtelToken()}`, "X-Country": "UG", "X-Currency": "UGX" },
+        body: {
+          reference: "SAV-2026-0002",
+          subscriber: { country: "UG", currency: "UGX", msisdn: "752123456" },
+          transaction: { amount: 15000, country: "UG", currency: "UGX", id: "AIR-0001" },
+        },
+      });
+      await simulator.flush();
+
+      expect(response.body).toMatchObject({ data: { transaction: { id: "AIR-0001" } }, status: { success: true } });
+
+      const { url, headers, body } = deliver.mock.calls[0][0];
+      expect(url).toBe(AIRTEL_CALLBACK);
+      expect(body.transaction).toMatchObject({ id: "AIR-0001", status_code: "TS", amount: 15000 });
+
+      // Same canonical form as airtel/callbacks/signatureVerifier: JSON {timestamp, payload}
+      const expected = crypto
+        .createHmac("sha256", SECRETS.airtel)
+        .update(JSON.stringify({ timestamp: headers["x-airtel-timestamp"], payload: body }))
+        .digest("hex");
+      expect(headers["x-airtel-signature"]).toBe(expected);
+
+      const polled = await call("/airtel/standard/v1/payments/AIR-0001", {
+        headers: { Authorization: `Bearer ${await airtelToken()}` },
+      });
+      expect(polled.body.data.transaction).toMatchObject({ status: "TS", airtel_money_id: body.transaction.airtel_money_id });
+    });
+
+    it("should report failed disbursements with TF", async () => {
+      await start({
+        name: "airtel-failures",
+        rules: [{ when: { provider: "airtel", operation: "disbursement" }, then: { status: "FAILED", reason: "Payee account barred" } }],
+      });
+
+      await call("/airtel/standard/v1/disbursements/", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${await airtelToken()}`, "X-Currency": "UGX" },
+        body: { payee: { msisdn: "752000111" }, reference: "WDR-2", pin: "encrypted", transaction: { amount: 5000, id: "AIR-D-1" } },
+      });
+      await simulator.flush();
+
+      expect(deliver.mock.calls[0][0].body.transaction).toMatchObject({ status_code: "TF", message: "Payee account barred" });
+    });
+  });
+
+  /* ==========================================================================
+     SCENARIOS
+  ========================================================================== */
+
+  describe("scenario scripts", () => {
+    it("should deliver duplicate callbacks", async () => {
+      await start("duplicate-callbacks");
+
+      await requestToPay();
+      await simulator.flush();
+
+      expect(deliver).toHaveBeenCalledTimes(3);
+      expect(simulator.deliveries().map((d) => d.event)).toEqual(["completion", "duplicate", "duplicate"]);
+      expect(deliver.mock.calls[2][0].body).toEqual(deliver.mock.calls[0][0].body);
+    });
+
+    it("should confirm a different amount than requested", async () => {
+      await start("wrong-amount");
+
+      await requestToPay({ amount: "50000" });
+      await simulator.flush();
+
+      expect(deliver.mock.calls[0][0].body.amount).toBe("49900");
+    });
+
+    it("should leave timed-out requests pending without a callback", async () => {
+      await start("timeouts");
+
+      const { referenceId } = await requestToPay();
+      await simulator.flush();
+
+      expect(deliver).not.toHaveBeenCalled();
+      expect(simulator.mtn.getTransaction(referenceId).status).toBe("PENDING");
+    });
+
+    it("should reverse a successful payment after the configured delay", async () => {
+      await start({ name: "quick-reversal", default: { status: "SUCCESSFUL", reverseAfterMs: 10 } });
+
+      await requestToPay();
+      await simulator.flush();
+
+      expect(deliver.mock.calls.map(([delivery]) => delivery.body.status)).toEqual(["SUCCESSFUL", "REVERSED"]);
+    });
+
+    it("should fail the first calls during an outage and then recover", async () => {
+      await start("provider-outage");
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 4; attempt++) {
+        statuses.push((await requestToPay()).status);
+      }
+
+      expect(statuses).toEqual([503, 503, 503, 202]);
+    });
+
+    it("should refuse scripts with unknown outcomes", async () => {
+      await start();
+
+      expect(() => simulator.loadScenario({ name: "broken", default: { status: "MAYBE" } })).toThrow("unknown status MAYBE");
+      expect(() => simulator.loadScenario("no-such-scenario")).toThrow('Unknown simulator scenario "no-such-scenario"');
+    });
+  });
+
+  /* ==========================================================================
+     CONTROL PLANE
+  ========================================================================== */
+
+  describe("control plane", () => {
+    it("should switch scenarios and expose what the provider saw", async () => {
+      await start();
+
+      const switched = await call("/simulator/scenario", { method: "PUT", body: { name: "insufficient-funds" } });
+      const { referenceId } = await requestToPay();
+      await simulator.flush();
+      const transactions = await call("/simulator/transactions");
+
+      expect(switched.body.name).toBe("insufficient-funds");
+      expect(transactions.body).toEqual([
+        expect.objectContaining({ provider: "mtn", referenceId, status: "FAILED", reason: "NOT_ENOUGH_FUNDS" }),
+      ]);
+
+      await call("/simulator/reset", { method: "POST" });
+      expect((await call("/simulator/transactions")).body).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,434 @@
+// backend/tests/mpesa.test.js
+/**
+ * ============================================================================
+ * M-PESA PAYMENT MODULE TESTS
+ * ============================================================================
+ *
+ * Coverage:
+ *  - Authentication
+ *  - STK collections and idempotency
+ *  - Callback verification and replay protection
+ *  - B2C disbursements
+ *  - C2B confirmations
+ *  - Settlement posting
+ *  - Statement reconciliation
+ *
+ * ============================================================================
+ */
+
+const { createMpesaPaymentModule } = require("../modules/payment/mpesa");
+const { normalizeMsisdn } = require("../modules/payment/mpesa/auth");
+const { parseStatement } = require("../modules/payment/mpesa/reconciliation");
+const {
+  CallbackVerificationError,
+  IdempotencyError,
+} = require("../modules/payment/shared/errors");
+
+const TOKEN = "cb-secret-token";
+
+/**
+ * Minimal in-memory stand-in for the Transaction model.
+ */
+function createTransactionStore() {
+  const docs = [];
+  let sequence = 0;
+
+  const get = (doc, key) => key.split(".").reduce((value, part) => value?.[part], doc);
+
+  const set = (doc, key, value) => {
+    const parts = key.split(".");
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => (node[part] = node[part] || {}), doc);
+    target[last] = value;
+  };
+
+  const matchesValue = (actual, condition) => {
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, expected]) => {
+        switch (op) {
+          case "$in": return expected.includes(actual);
+          case "$ne": return actual !== expected;
+          case "$exists": return expected ? actual !== undefined : actual === undefined;
+          case "$gte": return actual >= expected;
+          case "$lt": return actual < expected;
+          default: throw new Error(`Unsupported operator ${op}`);
+        }
+      });
+    }
+    return String(actual) === String(condition);
+  };
+
+  const matches = (doc, query) =>
+    Object.entries(query).every(([key, condition]) =>
+      key === "$or"
+        ? condition.some((branch) => matches(doc, branch))
+        : matchesValue(get(doc, key), condition)
+    );
+
+  const apply = (doc, update) => {
+    Object.entries(update.$set || {}).forEach(([key, value]) => set(doc, key, value));
+    Object.keys(update.$unset || {}).forEach((key) => set(doc, key, undefined));
+  };
+
+  const copy = (doc) => doc && JSON.parse(JSON.stringify(doc), (key, value) =>
+    /At$|Date$/.test(key) && typeof value === "string" ? new Date(value) : value
+  );
+
+  return {
+    docs,
+    findOne: jest.fn(async (query) => copy(docs.find((doc) => matches(doc, query)))),
+    find: jest.fn((query) => {
+      const result = docs.filter((doc) => matches(doc, query)).map(copy);
+      result.limit = () => result;
+      return result;
+    }),
+    create: jest.fn(async (data) => {
+      if (data.externalId && docs.some((doc) => doc.externalId === data.externalId)) {
+        throw Object.assign(new Error("duplicate key"), { code: 11000 });
+      }
+      const doc = {
+        _id: `64b00000000000000000${String(++sequence).padStart(4, "0")}`,
+        accountingPosted: false,
+        reconciled: false,
+        createdAt: new Date(),
+        metadata: {},
+        ...data,
+      };
+      docs.push(doc);
+      return copy(doc);
+    }),
+    findOneAndUpdate: jest.fn(async (query, update) => {
+      const doc = docs.find((candidate) => matches(candidate, query));
+      if (!doc) return null;
+      apply(doc, update);
+      return copy(doc);
+    }),
+    updateOne: jest.fn(async (query, update) => {
+      const doc = docs.find((candidate) => matches(candidate, query));
+      if (doc) apply(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    }),
+  };
+}
+
+function createModule({ resolveAccount } = {}) {
+  const Transaction = createTransactionStore();
+  const httpClient = {
+    get: jest.fn().mockResolvedValue({ data: { access_token: "daraja-token", expires_in: "3599" } }),
+    post: jest.fn(),
+  };
+  const ledgerService = { createJournal: jest.fn().mockResolvedValue({ success: true }) };
+  const Reconciliation = { create: jest.fn(async (doc) => doc) };
+
+  const mpesa = createMpesaPaymentModule({
+    config: {
+      consumerKey: "key",
+      consumerSecret: "secret",
+      shortCode: "174379",
+      passkey: "passkey",
+      b2cShortCode: "600000",
+      initiatorName: "apiop",
+      initiatorPassword: "initiator-password",
+      callbackBaseUrl: "https://api.example.com/api/v1/payments/mpesa/callbacks/",
+      callbackToken: TOKEN,
+    },
+    httpClient,
+    transactionModel: Transaction,
+    reconciliationModel: Reconciliation,
+    ledgerService,
+    resolveAccount,
+  });
+
+  return { mpesa, Transaction, httpClient, ledgerService, Reconciliation };
+}
+
+const stkAccepted = {
+  data: {
+    MerchantRequestID: "29115-34620561-1",
+    CheckoutRequestID: "ws_CO_191220191020363925",
+    ResponseCode: "0",
+    CustomerMessage: "Success. Request accepted for processing",
+  },
+};
+
+const stkCallback = (resultCode = 0) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: "29115-34620561-1",
+      CheckoutRequestID: "ws_CO_191220191020363925",
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? "The service request is processed successfully." : "Request cancelled by user",
+      CallbackMetadata: resultCode === 0
+        ? {
+            Item: [
+              { Name: "Amount", Value: 1500 },
+              { Name: "MpesaReceiptNumber", Value: "NLJ7RT61SV" },
+              { Name: "TransactionDate", Value: 20261018102115 },
+              { Name: "PhoneNumber", Value: 254712345678 },
+            ],
+          }
+        : undefined,
+    },
+  },
+});
+
+describe("M-PESA PAYMENT MODULE", () => {
+  describe("authentication", () => {
+    it("should cache the Daraja token across requests", async () => {
+      const { mpesa, httpClient } = createModule();
+
+      await mpesa.auth.getAccessToken();
+      await mpesa.auth.getAccessToken();
+
+      expect(httpClient.get).toHaveBeenCalledTimes(1);
+      expect(httpClient.get.mock.calls[0][1].headers.Authorization).toBe(
+        `Basic ${Buffer.from("key:secret").toString("base64")}`
+      );
+    });
+
+    it("should stamp requests in Kenyan time", () => {
+      const { mpesa } = createModule();
+
+      expect(mpesa.auth.timestamp(Date.UTC(2026, 9, 18, 21, 30, 5))).toBe("20261019003005");
+    });
+
+    it("should normalise Kenyan phone numbers", () => {
+      expect(normalizeMsisdn("0712 345 678")).toBe("254712345678");
+      expect(normalizeMsisdn("+254110345678")).toBe("254110345678");
+      expect(() => normalizeMsisdn("256772000000")).toThrow("Invalid M-Pesa phone number");
+    });
+  });
+
+  describe("collections", () => {
+    it("should send an STK push and remember its CheckoutRequestID", async () => {
+      const { mpesa, httpClient, Transaction } = createModule();
+      httpClient.post.mockResolvedValue(stkAccepted);
+
+      const result = await mpesa.collect({
+        amount: 1500,
+        phoneNumber: "0712345678",
+        reference: "SAV-2026-0001",
+        type: "DEPOSIT",
+      });
+
+      const [url, body] = httpClient.post.mock.calls[0];
+      expect(url).toBe("https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest");
+      expect(body).toMatchObject({
+        BusinessShortCode: "174379",
+        PartyA: "254712345678",
+        Amount: 1500,
+        AccountReference: "SAV-2026-000",
+        CallBackURL: `https://api.example.com/api/v1/payments/mpesa/callbacks/stk?token=${TOKEN}`,
+      });
+      expect(Buffer.from(body.Password, "base64").toString()).toBe(`174379passkey${body.Timestamp}`);
+      expect(result).toMatchObject({ status: "PENDING", checkoutRequestId: "ws_CO_191220191020363925" });
+      expect(Transaction.docs[0]).toMatchObject({ provider: "mpesa", flow: "credit", providerReferenceId: "ws_CO_191220191020363925" });
+    });
+
+    it("should not prompt the member twice for the same reference", async () => {
+      const { mpesa, httpClient } = createModule();
+      httpClient.post.mockResolvedValue(stkAccepted);
+      const request = { amount: 1500, phoneNumber: "0712345678", reference: "SAV-2026-0001" };
+
+      await mpesa.collect(request);
+      const replay = await mpesa.collect(request);
+
+      expect(httpClient.post).toHaveBeenCalledTimes(1);
+      expect(replay).toMatchObject({ duplicate: true, reference: "SAV-2026-0001" });
+      await expect(mpesa.collect({ ...request, amount: 2000 })).rejects.toBeInstanceOf(IdempotencyError);
+    });
+
+    it("should fail the transaction when Daraja refuses the prompt", async () => {
+      const { mpesa, httpClient, Transaction } = createModule();
+      httpClient.post.mockResolvedValue({ data: { ResponseCode: "1", ResponseDescription: "Invalid Access Token" } });
+
+      await expect(
+        mpesa.collect({ amount: 100, phoneNumber: "0712345678", reference: "SAV-2026-0002" })
+      ).rejects.toThrow("Invalid Access Token");
+      expect(Transaction.docs[0]).toMatchObject({ status: "FAILED", statusReason: "Invalid Access Token" });
+    });
+  });
+
+  describe("callbacks", () => {
+    async function pendingCollection() {
+      const context = createModule();
+      context.httpClient.post.mockResolvedValue(stkAccepted);
+      await context.mpesa.collect({ amount: 1500, phoneNumber: "0712345678", reference: "SAV-2026-0001" });
+      return context;
+    }
+
+    it("should reject callbacks without the shared token", async () => {
+      const { mpesa, Transaction } = await pendingCollection();
+
+      await expect(
+        mpesa.callbacks.handle({ kind: "stk", payload: stkCallback(), token: "guess" })
+      ).rejects.toBeInstanceOf(CallbackVerificationError);
+      expect(Transaction.docs[0].status).toBe("PENDING");
+    });
+
+    it("should settle a successful STK payment once, however often it is replayed", async () => {
+      const { mpesa, Transaction, ledgerService } = await pendingCollection();
+
+      const first = await mpesa.callbacks.handle({ kind: "stk", payload: stkCallback(), token: TOKEN });
+      await mpesa.callbacks.handle({ kind: "stk", payload: stkCallback(), token: TOKEN });
+
+      expect(first).toEqual({ ResultCode: 0, ResultDesc: "Accepted" });
+      expect(ledgerService.createJournal).toHaveBeenCalledTimes(1);
+      expect(ledgerService.createJournal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          journalId: "MPESA-SAV-2026-0001",
+          source: "MPESA",
+          entries: [
+            expect.objectContaining({ accountCode: "1011", debit: 1500, currency: "KES" }),
+            expect.objectContaining({ accountCode: "2010", credit: 1500, currency: "KES" }),
+          ],
+        })
+      );
+      expect(Transaction.docs[0]).toMatchObject({
+        status: "SETTLED",
+        providerTransactionId: "NLJ7RT61SV",
+        accountingPosted: true,
+        ledgerReference: "MPESA-SAV-2026-0001",
+      });
+      expect(mpesa.callbacks.statistics).toMatchObject({ applied: 1, duplicates: 1 });
+    });
+
+    it("should fail a cancelled STK prompt without posting", async () => {
+      const { mpesa, Transaction, ledgerService } = await pendingCollection();
+
+      await mpesa.callbacks.handle({ kind: "stk", payload: stkCallback(1032), token: TOKEN });
+
+      expect(Transaction.docs[0]).toMatchObject({ status: "FAILED", statusReason: "Request cancelled by user" });
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+
+    it("should post unidentified paybill payments to unallocated receipts", async () => {
+      const { mpesa, Transaction, ledgerService } = createModule({ resolveAccount: jest.fn().mockResolvedValue(null) });
+
+      await mpesa.callbacks.handle({
+        kind: "c2b/confirmation",
+        token: TOKEN,
+        payload: { TransID: "RKTQDM7W6S", TransTime: "20261018143000", TransAmount: "500.00", BillRefNumber: "UNKNOWN", MSISDN: "2547 ***** 126" },
+      });
+
+      expect(Transaction.docs[0]).toMatchObject({ externalId: "MPESA-C2B-RKTQDM7W6S", status: "SETTLED", metadata: { unallocated: true } });
+      expect(ledgerService.createJournal.mock.calls[0][0].entries[1]).toMatchObject({ accountCode: "2900", credit: 500 });
+    });
+  });
+
+  describe("disbursements", () => {
+    const b2cResult = (resultCode = 0) => ({
+      Result: {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? "The service request is processed successfully." : "The initiator information is invalid.",
+        OriginatorConversationID: "WDR-2026-0001",
+        ConversationID: "AG_20261018_00004e48cf7e3533f581",
+        TransactionID: "NLJ41HAY6Q",
+        ResultParameters: {
+          ResultParameter: [
+            { Key: "TransactionAmount", Value: 2500 },
+            { Key: "TransactionReceipt", Value: "NLJ41HAY6Q" },
+            { Key: "TransactionCompletedDateTime", Value: "18.10.2026 11:45:50" },
+          ],
+        },
+      },
+    });
+
+    async function submitted() {
+      const context = createModule();
+      jest.spyOn(context.mpesa.auth, "securityCredential").mockReturnValue("encrypted-credential");
+      context.httpClient.post.mockResolvedValue({
+        data: { ConversationID: "AG_20261018_00004e48cf7e3533f581", OriginatorConversationID: "WDR-2026-0001", ResponseCode: "0" },
+      });
+      await context.mpesa.disburse({
+        amount: 2500,
+        beneficiary: { phoneNumber: "254712345678" },
+        reference: "WDR-2026-0001",
+        type: "WITHDRAWAL",
+      });
+      return context;
+    }
+
+    it("should submit a B2C payment keyed on the caller's reference", async () => {
+      const { httpClient, Transaction } = await submitted();
+
+      expect(httpClient.post.mock.calls[0][1]).toMatchObject({
+        OriginatorConversationID: "WDR-2026-0001",
+        InitiatorName: "apiop",
+        SecurityCredential: "encrypted-credential",
+        CommandID: "BusinessPayment",
+        PartyA: "600000",
+        PartyB: "254712345678",
+        ResultURL: `https://api.example.com/api/v1/payments/mpesa/callbacks/b2c/result?token=${TOKEN}`,
+      });
+      expect(Transaction.docs[0]).toMatchObject({ status: "PROCESSING", flow: "debit", providerReferenceId: "AG_20261018_00004e48cf7e3533f581" });
+    });
+
+    it("should post a completed payout against member savings", async () => {
+      const { mpesa, Transaction, ledgerService } = await submitted();
+
+      await mpesa.callbacks.handle({ kind: "b2c/result", payload: b2cResult(), token: TOKEN });
+
+      expect(Transaction.docs[0]).toMatchObject({ status: "SETTLED", providerTransactionId: "NLJ41HAY6Q" });
+      expect(ledgerService.createJournal.mock.calls[0][0].entries).toEqual([
+        expect.objectContaining({ accountCode: "2010", debit: 2500 }),
+        expect.objectContaining({ accountCode: "1011", credit: 2500 }),
+      ]);
+    });
+
+    it("should leave a queue timeout open for reconciliation", async () => {
+      const { mpesa, Transaction, ledgerService } = await submitted();
+
+      await mpesa.callbacks.handle({ kind: "b2c/timeout", payload: b2cResult(1), token: TOKEN });
+
+      expect(Transaction.docs[0].status).toBe("PROCESSING");
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("reconciliation", () => {
+    const statement = [
+      "Account Holder:,TITech Community Capital",
+      "Time Period:,18-10-2026 - 18-10-2026",
+      "",
+      "Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Balance Confirmed,Reason Type,Other Party Info,Linked Transaction ID,A/C No.",
+      'NLJ7RT61SV,2026-10-18 10:21:15,2026-10-18 10:20:50,"Pay Bill from 254712***678 - JANE W",Completed,"1,500.00",,"21,500.00",true,Pay Bill Online,254712***678 - JANE W,,SAV-2026-000',
+      "NLJ7RT61SW,2026-10-18 10:21:15,2026-10-18 10:21:15,Pay Bill Charge,Completed,,-15.00,21485.00,true,Business Pay Bill Charge,,NLJ7RT61SV,",
+      "NLK8XZ22AB,2026-10-18 16:02:00,2026-10-18 16:02:00,Pay Bill from 254722***111 - PETER O,Completed,300.00,,21785.00,true,Pay Bill,254722***111 - PETER O,,0722000111",
+    ].join("\n");
+
+    it("should read portal statements with a preamble", () => {
+      const rows = parseStatement(statement);
+
+      expect(rows).toHaveLength(3);
+      expect(rows[0]).toMatchObject({ receipt: "NLJ7RT61SV", amount: 1500, direction: "credit", charge: false });
+      expect(rows[0].completedAt.toISOString()).toBe("2026-10-18T07:21:15.000Z");
+      expect(rows[1]).toMatchObject({ amount: 15, direction: "debit", charge: true });
+    });
+
+    it("should recover a payment whose callback never arrived and report unknown receipts", async () => {
+      const { mpesa, httpClient, Transaction, ledgerService, Reconciliation } = createModule();
+      httpClient.post.mockResolvedValue(stkAccepted);
+      await mpesa.collect({ amount: 1500, phoneNumber: "0712345678", reference: "SAV-2026-0001" });
+      Transaction.docs[0].createdAt = new Date("2026-10-18T07:20:50Z");
+
+      const record = await mpesa.reconciliation.reconcile({ date: "2026-10-18", statement });
+
+      expect(Transaction.docs[0]).toMatchObject({
+        status: "SETTLED",
+        providerTransactionId: "NLJ7RT61SV",
+        reconciled: true,
+      });
+      expect(ledgerService.createJournal).toHaveBeenCalledTimes(1);
+      expect(Reconciliation.create).toHaveBeenCalled();
+      expect(record).toMatchObject({
+        provider: "MPESA",
+        status: "PARTIAL",
+        summary: { matched: 1, missingInternal: 1, missingProvider: 0, mismatches: 0 },
+        metadata: { recovered: ["SAV-2026-0001"], charges: 15 },
+      });
+      expect(record.missingInternal[0]).toMatchObject({ providerTransactionId: "NLK8XZ22AB", amount: 300 });
+    });
+  });
+});
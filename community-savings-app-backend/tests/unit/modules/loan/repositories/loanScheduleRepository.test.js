@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Loan Schedule Repository Unit Tests
+ *
+ * The schedule model is real so installments are validated and repayments
+ * go through its recordPayment; only its database calls are stubbed.
+ */
+
+jest.mock("../../../../../utils/logger");
+
+jest.mock(
+    "../../../../../modules/loan/repositories/loanRepository",
+    () => ({ findById: jest.fn() })
+);
+
+const LoanRepaymentSchedule =
+    require("../../../../../models/LoanRepaymentSchedule");
+
+const LoanRepository =
+    require("../../../../../modules/loan/repositories/loanRepository");
+
+const LoanScheduleRepository =
+    require("../../../../../modules/loan/repositories/loanScheduleRepository");
+
+const LOAN_ID = "64b7f0c2a1b2c3d4e5f60801";
+const TENANT_ID = "tenant1";
+const DISBURSED_AT = new Date(2026, 0, 15);
+
+const buildLoan = (overrides = {}) => ({
+    _id: LOAN_ID,
+    tenantId: TENANT_ID,
+    amount: 1200000,
+    interestRate: 12,
+    repaymentPeriodMonths: 12,
+    amortizationMethod: "equal_principal",
+    repaymentFrequency: "monthly",
+    gracePeriods: 0,
+    disbursedAt: DISBURSED_AT,
+    ...overrides
+});
+
+describe("Loan Schedule Repository", () => {
+
+    let findOne;
+    let create;
+
+    beforeEach(() => {
+        LoanRepository.findById.mockResolvedValue(buildLoan());
+        findOne = jest.spyOn(LoanRepaymentSchedule, "findOne").mockResolvedValue(null);
+        create = jest.spyOn(LoanRepaymentSchedule, "create").mockImplementation(async (doc) => doc);
+    });
+
+    describe("generateSchedule", () => {
+
+        test("should build the schedule from the loan's method, frequency and rate", async () => {
+            const schedule = await LoanScheduleRepository.generateSchedule(LOAN_ID, TENANT_ID);
+
+            expect(LoanRepository.findById).toHaveBeenCalledWith(LOAN_ID, TENANT_ID);
+            expect(schedule).toMatchObject({
+                loan: LOAN_ID,
+                method: "equal_principal",
+                frequency: "monthly",
+                interestRate: 0.12,
+                totalInstallments: 12,
+                totalPrincipal: 1200000
+            });
+            // Equal principal: 100,000 a month, interest on the falling balance
+            expect(schedule.installments[0]).toMatchObject({ principal: 100000, interest: 12000 });
+            expect(schedule.installments[11]).toMatchObject({ principal: 100000, interest: 1000 });
+            expect(schedule.installments[0].dueDate).toEqual(new Date(2026, 1, 15));
+        });
+
+        test("should schedule the amount actually disbursed from the disbursement date", async () => {
+            LoanRepository.findById.mockResolvedValue(
+                buildLoan({ amortizationMethod: "bullet", interestRate: 0.12, disbursedAt: undefined })
+            );
+
+            const schedule = await LoanScheduleRepository.generateSchedule(LOAN_ID, TENANT_ID, {
+                principal: 600000,
+                startDate: DISBURSED_AT
+            });
+
+            expect(schedule.installments).toHaveLength(1);
+            expect(schedule.installments[0]).toMatchObject({ principal: 600000, interest: 72000 });
+            expect(schedule.installments[0].dueDate).toEqual(new Date(2027, 0, 15));
+        });
+
+        test("should keep an existing schedule when disbursement is retried", async () => {
+            const existing = { loan: LOAN_ID, installments: [] };
+            findOne.mockResolvedValue(existing);
+
+            await expect(LoanScheduleRepository.generateSchedule(LOAN_ID, TENANT_ID)).resolves.toBe(existing);
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        test("should not schedule a loan from another tenant", async () => {
+            LoanRepository.findById.mockResolvedValue(null);
+
+            await expect(LoanScheduleRepository.generateSchedule(LOAN_ID, "tenant2")).rejects.toThrow("Loan not found");
+            expect(create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("buildSchedule", () => {
+
+        test("should reject terms whose grace periods leave no principal installment", () => {
+            expect(() =>
+                LoanScheduleRepository.buildSchedule(buildLoan({ repaymentPeriodMonths: 6, gracePeriods: 6 }))
+            ).toThrow("Grace periods must leave at least one installment");
+        });
+    });
+
+    describe("applyRepayment", () => {
+
+        test("should spread a repayment over the oldest unpaid installments", async () => {
+            const schedule = new LoanRepaymentSchedule(
+                LoanScheduleRepository.toDocument(
+                    buildLoan(),
+                    LoanScheduleRepository.buildSchedule(buildLoan())
+                )
+            );
+            jest.spyOn(schedule, "save").mockResolvedValue(schedule);
+            findOne.mockResolvedValue(schedule);
+
+            // The first installment is 112,000 and the second 111,000
+            await LoanScheduleRepository.applyRepayment(LOAN_ID, 150000, TENANT_ID, {
+                reference: "PAY-1",
+                channel: "MOBILE_MONEY"
+            });
+
+            const [first, second, third] = schedule.installments;
+            expect(first).toMatchObject({ status: "paid", paidAmount: 112000 });
+            expect(second).toMatchObject({ status: "partially_paid", paidAmount: 38000 });
+            expect(second.payments[0]).toMatchObject({ reference: "PAY-1", method: "MOBILE_MONEY" });
+            expect(third.paidAmount).toBe(0);
+            expect(schedule.totalPaid).toBe(150000);
+            expect(schedule.save).toHaveBeenCalled();
+        });
+    });
+
+    describe("regenerateSchedule", () => {
+
+        test("should suspend the current schedule and add moratorium months as interest-only installments", async () => {
+            const updateMany = jest.spyOn(LoanRepaymentSchedule, "updateMany").mockResolvedValue({});
+
+            const schedule = await LoanScheduleRepository.regenerateSchedule(
+                LOAN_ID,
+                { term: 6, interestRate: 12, principal: 600000, moratoriumMonths: 2 },
+                TENANT_ID
+            );
+
+            expect(updateMany).toHaveBeenCalledWith(
+                { loan: LOAN_ID, status: { $ne: "suspended" } },
+                { $set: { status: "suspended" } }
+            );
+            expect(schedule.totalInstallments).toBe(8);
+            expect(schedule.installments[1]).toMatchObject({ principal: 0, interest: 6000 });
+            expect(schedule.installments[2]).toMatchObject({ principal: 100000 });
+            expect(schedule.totalPrincipal).toBe(600000);
+        });
+    });
+});
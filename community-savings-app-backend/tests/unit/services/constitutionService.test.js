@@ -0,0 +1,280 @@
+/**
+ * Constitution Service Unit Tests
+ */
+
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/Group');
+jest.mock('../../../models/GroupConstitution');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+
+const constitutionService = require('../../../services/constitutionService');
+const Contribution = require('../../../models/Contribution');
+const Group = require('../../../models/Group');
+const GroupConstitution = require('../../../models/GroupConstitution');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const group = {
+  _id: 'group_1',
+  members: ['officer_1', 'member_1', 'member_2', 'member_3'],
+  memberRoles: [{ userId: 'officer_1', role: 'treasurer' }],
+  createdBy: 'creator_1',
+};
+
+const activeConstitution = (rules) => ({ version: 2, status: 'active', rules });
+
+const buildProposal = (overrides = {}) => {
+  const proposal = {
+    groupId: 'group_1',
+    version: 3,
+    status: 'proposed',
+    adoption: { method: 'vote', threshold: 0.5, required: 3, votes: [], signatures: [] },
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+  proposal.support = () =>
+    proposal.adoption.method === 'signature'
+      ? proposal.adoption.signatures.length
+      : proposal.adoption.votes.filter((v) => v.choice === 'for').length;
+  return proposal;
+};
+
+describe('Constitution Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockReturnValue(mockQuery(group));
+  });
+
+  describe('mergeRules and diffRules', () => {
+    it('should carry over unchanged rules and list only the amended ones', () => {
+      const current = {
+        contributions: { minimumAmount: 10000, frequency: 'monthly', currency: 'UGX' },
+        loans: { savingsMultiple: 3, maxTermMonths: 12 },
+        withdrawals: { approverRoles: ['treasurer'], approvalThreshold: 50000 },
+      };
+      const merged = constitutionService.mergeRules(current, { loans: { maxTermMonths: 6 } });
+
+      expect(merged.loans).toEqual({ savingsMultiple: 3, maxTermMonths: 6 });
+      expect(merged.contributions.minimumAmount).toBe(10000);
+      expect(constitutionService.diffRules(current, merged)).toEqual([
+        { rule: 'loans.maxTermMonths', from: 12, to: 6 },
+      ]);
+    });
+  });
+
+  describe('propose', () => {
+    it('should number the proposal after the latest version', async () => {
+      GroupConstitution.findOne
+        .mockReturnValueOnce(mockQuery(null))
+        .mockReturnValueOnce(
+          mockQuery(
+            activeConstitution({
+              contributions: { currency: 'UGX' },
+              loans: { maxTermMonths: 12 },
+              withdrawals: { approverRoles: ['treasurer'] },
+            })
+          )
+        )
+        .mockReturnValueOnce(mockQuery({ version: 2 }));
+      GroupConstitution.create.mockImplementation(async (doc) => doc);
+
+      const proposal = await constitutionService.propose(
+        'group_1',
+        { rules: { loans: { maxTermMonths: 6 } } },
+        { id: 'officer_1' }
+      );
+
+      expect(proposal.version).toBe(3);
+      expect(proposal.adoption.required).toBe(3);
+      expect(proposal.changes).toEqual([{ rule: 'loans.maxTermMonths', from: 12, to: 6 }]);
+    });
+
+    it('should refuse a second open proposal', async () => {
+      GroupConstitution.findOne.mockReturnValueOnce(mockQuery({ version: 3 }));
+
+      await expect(
+        constitutionService.propose('group_1', { rules: {} }, { id: 'officer_1' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('vote', () => {
+    it('should adopt the proposal and supersede the active version once enough members vote for it', async () => {
+      const proposal = buildProposal({
+        adoption: {
+          method: 'vote',
+          required: 3,
+          votes: [
+            { userId: 'officer_1', choice: 'for' },
+            { userId: 'member_1', choice: 'for' },
+          ],
+          signatures: [],
+        },
+      });
+      GroupConstitution.findOne.mockResolvedValue(proposal);
+
+      await constitutionService.vote('group_1', 3, { id: 'member_2' }, 'for');
+
+      expect(proposal.status).toBe('active');
+      expect(GroupConstitution.updateMany).toHaveBeenCalledWith(
+        { groupId: 'group_1', status: 'active' },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'superseded' }) })
+      );
+    });
+
+    it('should reject the proposal once adoption is out of reach', async () => {
+      const proposal = buildProposal({
+        adoption: { method: 'vote', required: 3, votes: [{ userId: 'officer_1', choice: 'against' }], signatures: [] },
+      });
+      GroupConstitution.findOne.mockResolvedValue(proposal);
+
+      await constitutionService.vote('group_1', 3, { id: 'member_1' }, 'against');
+
+      expect(proposal.status).toBe('rejected');
+      expect(GroupConstitution.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enforcement', () => {
+    it('should reject contributions below the minimum with the rule that was broken', async () => {
+      GroupConstitution.findOne.mockReturnValue(
+        mockQuery(activeConstitution({ contributions: { minimumAmount: 10000, currency: 'UGX' } }))
+      );
+
+      await expect(
+        constitutionService.assertContributionAllowed('group_1', { amount: 5000 })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        errorCode: 'ERR_CONSTITUTION_MIN_CONTRIBUTION',
+        rule: { version: 2, rule: 'contributions.minimumAmount', limit: 10000 },
+      });
+    });
+
+    it('should reject contributions in another currency', async () => {
+      GroupConstitution.findOne.mockReturnValue(
+        mockQuery(activeConstitution({ contributions: { minimumAmount: 10000, currency: 'UGX' } }))
+      );
+
+      await expect(
+        constitutionService.assertContributionAllowed('group_1', { amount: 20000, currency: 'kes' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        errorCode: 'ERR_CONSTITUTION_CURRENCY',
+        rule: { version: 2, rule: 'contributions.currency', expected: 'UGX' },
+      });
+      await expect(
+        constitutionService.assertContributionAllowed('group_1', { amount: 20000 })
+      ).resolves.toBeTruthy();
+    });
+
+    it('should reject contribution schedules off the agreed frequency', () => {
+      const active = activeConstitution({ contributions: { frequency: 'weekly', currency: 'UGX' } });
+
+      expect(() =>
+        constitutionService.checkContributionRules(active, { amount: 5000, frequency: 'monthly' })
+      ).toThrow(expect.objectContaining({ errorCode: 'ERR_CONSTITUTION_FREQUENCY' }));
+      expect(() =>
+        constitutionService.checkContributionRules(active, { amount: 5000, frequency: 'weekly' })
+      ).not.toThrow();
+    });
+
+    it("should resolve a loan's group from the borrower's membership", async () => {
+      Group.find.mockReturnValue(mockQuery([group]));
+
+      await expect(constitutionService.resolveLoanGroup('member_1')).resolves.toBe(group);
+      await expect(constitutionService.resolveLoanGroup('member_1', 'group_9')).rejects.toMatchObject({
+        statusCode: 403,
+      });
+
+      Group.find.mockReturnValue(mockQuery([group, { ...group, _id: 'group_2' }]));
+      await expect(constitutionService.resolveLoanGroup('member_1')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(constitutionService.resolveLoanGroup('member_1', 'group_2')).resolves.toMatchObject({
+        _id: 'group_2',
+      });
+    });
+
+    it('should limit loans to the savings multiple', async () => {
+      GroupConstitution.findOne.mockReturnValue(mockQuery(activeConstitution({ loans: { savingsMultiple: 3 } })));
+      Contribution.userSummary.mockResolvedValue({ total: 20000, count: 4 });
+
+      await expect(
+        constitutionService.assertLoanAllowed('group_1', { userId: 'member_1', amount: 60000 })
+      ).resolves.toBeTruthy();
+      await expect(
+        constitutionService.assertLoanAllowed('group_1', { userId: 'member_1', amount: 60001 })
+      ).rejects.toMatchObject({ errorCode: 'ERR_CONSTITUTION_LOAN_MULTIPLE' });
+    });
+
+    it('should reject loans longer than the maximum term', async () => {
+      GroupConstitution.findOne.mockReturnValue(mockQuery(activeConstitution({ loans: { maxTermMonths: 6 } })));
+
+      await expect(
+        constitutionService.assertLoanAllowed('group_1', { userId: 'member_1', amount: 1000, termMonths: 12 })
+      ).rejects.toMatchObject({ errorCode: 'ERR_CONSTITUTION_LOAN_TERM' });
+    });
+
+    it('should require an approver for withdrawals above the threshold', async () => {
+      GroupConstitution.findOne.mockReturnValue(
+        mockQuery(activeConstitution({ withdrawals: { approverRoles: ['treasurer'], approvalThreshold: 50000 } }))
+      );
+
+      await expect(
+        constitutionService.assertWithdrawalAllowed('group_1', { amount: 40000, user: { id: 'member_1' } })
+      ).resolves.toBeTruthy();
+      await expect(
+        constitutionService.assertWithdrawalAllowed('group_1', { amount: 60000, user: { id: 'member_1' } })
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_CONSTITUTION_WITHDRAWAL_APPROVAL' });
+      await expect(
+        constitutionService.assertWithdrawalAllowed('group_1', {
+          amount: 60000,
+          user: { id: 'officer_1' },
+          memberId: 'member_1',
+        })
+      ).resolves.toBeTruthy();
+    });
+
+    it("should check wallet withdrawals against every group of the wallet's owner", async () => {
+      Group.find.mockReturnValue(mockQuery([group]));
+      GroupConstitution.findOne.mockReturnValue(
+        mockQuery(activeConstitution({ withdrawals: { approverRoles: ['treasurer'], approvalThreshold: 50000 } }))
+      );
+
+      await expect(
+        constitutionService.assertWalletWithdrawalAllowed({
+          ownerId: 'member_1',
+          amount: 60000,
+          user: { id: 'member_1' },
+        })
+      ).rejects.toMatchObject({ errorCode: 'ERR_CONSTITUTION_WITHDRAWAL_APPROVAL' });
+      expect(Group.find).toHaveBeenCalledWith({ members: 'member_1' });
+
+      await expect(
+        constitutionService.assertWalletWithdrawalAllowed({
+          ownerId: 'member_1',
+          amount: 60000,
+          user: { id: 'officer_1' },
+        })
+      ).resolves.toEqual([group]);
+    });
+
+    it('should refuse withdrawals for a member outside any group', async () => {
+      Group.find.mockReturnValue(mockQuery([]));
+
+      await expect(
+        constitutionService.assertWalletWithdrawalAllowed({
+          ownerId: 'member_9',
+          amount: 100,
+          user: { id: 'officer_1' },
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not restrict groups without an active constitution', async () => {
+      GroupConstitution.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(
+        constitutionService.assertContributionAllowed('group_1', { amount: 1 })
+      ).resolves.toBeNull();
+    });
+  });
+});
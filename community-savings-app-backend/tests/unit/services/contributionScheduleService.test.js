@@ -0,0 +1,182 @@
+/**
+ * Contribution Schedule Service Unit Tests
+ */
+
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/ContributionObligation');
+jest.mock('../../../models/Group');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/constitutionService', () => {
+  const actual = jest.requireActual('../../../services/constitutionService');
+  return { getActive: jest.fn(), checkContributionRules: actual.checkContributionRules.bind(actual) };
+});
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { CONTRIBUTION_DUE: 'CONTRIBUTION_DUE', CONTRIBUTION_OVERDUE: 'CONTRIBUTION_OVERDUE' },
+  send: jest.fn(),
+}));
+
+const scheduleService = require('../../../services/contributionScheduleService');
+const Contribution = require('../../../models/Contribution');
+const ContributionObligation = require('../../../models/ContributionObligation');
+const Group = require('../../../models/Group');
+const constitutionService = require('../../../services/constitutionService');
+const notificationService = require('../../../services/notificationService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const MEMBER = '64b000000000000000000001';
+const GROUP = '64b0000000000000000000aa';
+
+const obligation = (overrides = {}) => ({
+  _id: 'obl_1',
+  groupId: 'group_1',
+  userId: MEMBER,
+  amount: 10000,
+  frequency: 'monthly',
+  currency: 'UGX',
+  startDate: new Date('2026-01-31T00:00:00.000Z'),
+  active: true,
+  remindersSent: [],
+  ...overrides,
+});
+
+describe('Contribution Schedule Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('dueDates', () => {
+    it('should keep monthly due dates on the start day, clamped to short months', () => {
+      const dates = scheduleService.dueDates(obligation(), new Date('2026-04-30T00:00:00.000Z'));
+
+      expect(dates.map((d) => d.toISOString().slice(0, 10))).toEqual([
+        '2026-01-31',
+        '2026-02-28',
+        '2026-03-31',
+        '2026-04-30',
+      ]);
+    });
+
+    it('should stop at the end date of a replaced obligation', () => {
+      const dates = scheduleService.dueDates(
+        obligation({ frequency: 'weekly', startDate: new Date('2026-03-02'), endDate: new Date('2026-03-20') }),
+        new Date('2026-06-01')
+      );
+
+      expect(dates).toHaveLength(3);
+    });
+  });
+
+  describe('buildPeriods', () => {
+    it('should pay the oldest period first and flag the rest as overdue', () => {
+      const periods = scheduleService.buildPeriods(
+        [obligation()],
+        15000,
+        new Date('2026-03-31T12:00:00.000Z'),
+        new Date('2026-04-30T00:00:00.000Z')
+      );
+      const summary = scheduleService.summarize(periods, 15000, new Date('2026-03-31T12:00:00.000Z'));
+
+      expect(periods.map((p) => p.status)).toEqual(['paid', 'partial', 'overdue', 'upcoming']);
+      expect(summary).toMatchObject({
+        expectedToDate: 30000,
+        paidToDate: 15000,
+        arrears: 15000,
+        periodsInArrears: 2,
+        nextDueAmount: 10000,
+      });
+      expect(summary.oldestUnpaidDueDate.toISOString().slice(0, 10)).toBe('2026-02-28');
+    });
+  });
+
+  describe('setObligations', () => {
+    beforeEach(() => {
+      Group.findById.mockReturnValue(
+        mockQuery({ _id: 'group_1', members: [MEMBER], createdBy: 'officer_1', memberRoles: [] })
+      );
+    });
+
+    it('should default amount and frequency to the constitution', async () => {
+      constitutionService.getActive.mockResolvedValue({
+        version: 1,
+        rules: { contributions: { minimumAmount: 5000, frequency: 'weekly', currency: 'UGX' } },
+      });
+      ContributionObligation.insertMany.mockImplementation(async (docs) => docs);
+
+      const created = await scheduleService.setObligations(
+        'group_1',
+        { startDate: '2026-03-02' },
+        { id: 'officer_1' }
+      );
+
+      expect(created).toEqual([expect.objectContaining({ userId: MEMBER, amount: 5000, frequency: 'weekly' })]);
+      expect(ContributionObligation.updateMany).toHaveBeenCalledWith(
+        { groupId: 'group_1', userId: { $in: [MEMBER] }, active: true },
+        expect.any(Object)
+      );
+    });
+
+    it('should refuse an amount below the constitution minimum', async () => {
+      constitutionService.getActive.mockResolvedValue({
+        version: 1,
+        rules: { contributions: { minimumAmount: 5000, frequency: 'weekly', currency: 'UGX' } },
+      });
+
+      await expect(
+        scheduleService.setObligations('group_1', { startDate: '2026-03-02', amount: 1000 }, { id: 'officer_1' })
+      ).rejects.toMatchObject({ statusCode: 422 });
+      expect(ContributionObligation.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a frequency other than the constitution sets', async () => {
+      constitutionService.getActive.mockResolvedValue({
+        version: 1,
+        rules: { contributions: { minimumAmount: 5000, frequency: 'weekly', currency: 'UGX' } },
+      });
+
+      await expect(
+        scheduleService.setObligations('group_1', { startDate: '2026-03-02', frequency: 'monthly' }, { id: 'officer_1' })
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_CONSTITUTION_FREQUENCY' });
+      expect(ContributionObligation.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendReminders', () => {
+    it('should send an overdue reminder once and record it', async () => {
+      const asOf = new Date('2026-03-03T08:00:00.000Z');
+      ContributionObligation.distinct.mockResolvedValue([GROUP]);
+      Group.findById.mockReturnValue(mockQuery({ _id: GROUP, name: 'Umoja' }));
+      ContributionObligation.find
+        .mockReturnValueOnce({ sort: jest.fn().mockReturnValue(mockQuery([obligation()])) })
+        .mockReturnValueOnce(mockQuery([{ _id: 'obl_1', remindersSent: [] }]));
+      Contribution.aggregate.mockResolvedValue([{ _id: MEMBER, total: 10000 }]);
+
+      const result = await scheduleService.sendReminders(asOf);
+
+      expect(result).toEqual({ groups: 1, sent: 1 });
+      expect(notificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'CONTRIBUTION_OVERDUE', recipients: [MEMBER] })
+      );
+      expect(ContributionObligation.updateOne).toHaveBeenCalledWith(
+        { _id: 'obl_1' },
+        { $addToSet: { remindersSent: 'overdue:2026-02-28:1' } }
+      );
+    });
+
+    it('should not repeat a reminder that was already sent', async () => {
+      const asOf = new Date('2026-03-03T08:00:00.000Z');
+      ContributionObligation.distinct.mockResolvedValue([GROUP]);
+      Group.findById.mockReturnValue(mockQuery({ _id: GROUP, name: 'Umoja' }));
+      ContributionObligation.find
+        .mockReturnValueOnce({ sort: jest.fn().mockReturnValue(mockQuery([obligation()])) })
+        .mockReturnValueOnce(mockQuery([{ _id: 'obl_1', remindersSent: ['overdue:2026-02-28:1'] }]));
+      Contribution.aggregate.mockResolvedValue([{ _id: MEMBER, total: 10000 }]);
+
+      const result = await scheduleService.sendReminders(asOf);
+
+      expect(result.sent).toBe(0);
+      expect(notificationService.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Disbursement Batch Service Unit Tests
+ */
+
+jest.mock('../../../models/DisbursementBatch');
+jest.mock('../../../models/RoutingDecision');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/SavingsCycle');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/groupRoles', () => ({
+  loadGroup: jest.fn(),
+  isGroupOfficer: jest.fn(),
+}));
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/mtn/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+jest.mock('../../../services/airtel/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+jest.mock('../../../services/loanWorkflowService', () => {
+  const changeLoanStatus = jest.fn();
+  return Object.assign(jest.fn(() => ({ changeLoanStatus })), { changeLoanStatus });
+});
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { DISBURSEMENT_BATCH: 'DISBURSEMENT_BATCH' },
+  send: jest.fn(),
+}));
+
+const disbursementBatchService = require('../../../services/disbursementBatchService');
+const DisbursementBatch = require('../../../models/DisbursementBatch');
+const Loan = require('../../../models/Loan');
+const SavingsCycle = require('../../../models/SavingsCycle');
+const User = require('../../../models/User');
+const mtn = require('../../../services/mtn/disbursements');
+const airtel = require('../../../services/airtel/disbursements');
+const { changeLoanStatus } = require('../../../services/loanWorkflowService');
+const notificationService = require('../../../services/notificationService');
+const groupRoles = require('../../../utils/groupRoles');
+const { stableReferenceId } = require('../../../utils/mobileMoney');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const GROUP_ID = '64b0000000000000000000a1';
+const BATCH_ID = '64b0000000000000000000b1';
+const CYCLE_ID = '64b0000000000000000000c1';
+const LOAN_ID = '64b0000000000000000000d1';
+const MAKER = { id: '64b000000000000000000001', role: 'user' };
+const CHECKER = { id: '64b000000000000000000002', role: 'user' };
+const BORROWER = '64b000000000000000000003';
+
+const STATICS = {
+  PROVIDERS: ['mtn', 'airtel'],
+  LINE_STATUSES: ['valid', 'invalid', 'processing', 'sent', 'paid', 'failed', 'unknown'],
+};
+
+const line = (overrides) => ({
+  _id: `line-${overrides.lineNo}`,
+  provider: 'mtn',
+  amount: 100000,
+  status: 'valid',
+  attempts: 0,
+  ...overrides,
+});
+
+const batch = (overrides = {}) => ({
+  _id: BATCH_ID,
+  groupId: GROUP_ID,
+  purpose: 'LOAN_PAYOUT',
+  currency: 'UGX',
+  status: 'approved',
+  createdBy: { toString: () => MAKER.id },
+  totals: { lines: 2, valid: 2, invalid: 0, amount: 200000 },
+  lines: [],
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Disbursement Batch Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(DisbursementBatch, STATICS);
+    DisbursementBatch.create.mockImplementation(async (doc) => ({ _id: BATCH_ID, ...doc }));
+    DisbursementBatch.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    groupRoles.loadGroup.mockResolvedValue({ _id: GROUP_ID });
+    groupRoles.isGroupOfficer.mockReturnValue(true);
+    disbursementBatchService.beneficiaryValidator = { validate: jest.fn().mockResolvedValue({ valid: true }) };
+    disbursementBatchService.providers = { mtn, airtel };
+  });
+
+  describe('create', () => {
+    it('validates uploaded CSV lines, routes them by network and flags bad ones', async () => {
+      const csv = [
+        'name,phoneNumber,amount',
+        '"Nakato, Sarah",0772123456,50000',
+        'Okello,0701123456,25000',
+        'Unknown,0411123456,10000',
+        'Zero,0772999999,0',
+      ].join('\n');
+
+      const created = await disbursementBatchService.create({ source: 'UPLOAD', groupId: GROUP_ID, csv }, MAKER);
+
+      const [first, second, third, fourth] = created.lines;
+      expect(first).toMatchObject({ name: 'Nakato, Sarah', phoneNumber: '256772123456', provider: 'mtn', status: 'valid' });
+      expect(second).toMatchObject({ phoneNumber: '256701123456', provider: 'airtel', status: 'valid' });
+      expect(third).toMatchObject({ status: 'invalid', validationError: 'Number is not on MTN or Airtel' });
+      expect(fourth).toMatchObject({ status: 'invalid', validationError: 'Amount must be positive' });
+      expect(created.totals).toEqual({ lines: 4, valid: 2, invalid: 2, amount: 75000 });
+      expect(created).toMatchObject({ purpose: 'BULK_PAYMENT', createdBy: MAKER.id });
+      expect(created.status).toBeUndefined(); // schema default: pending_approval
+    });
+
+    it('keeps lines rejected by the beneficiary validator and duplicates as invalid', async () => {
+      disbursementBatchService.beneficiaryValidator.validate
+        .mockResolvedValueOnce({ valid: true })
+        .mockRejectedValueOnce(new Error('Beneficiary is blacklisted'));
+
+      const created = await disbursementBatchService.create(
+        {
+          source: 'UPLOAD',
+          groupId: GROUP_ID,
+          lines: [
+            { phoneNumber: '256772123456', amount: 1000 },
+            { phoneNumber: '256752123456', amount: 1000 },
+            { phoneNumber: '0772123456', amount: 1000 },
+          ],
+        },
+        MAKER
+      );
+
+      expect(created.lines.map((l) => l.validationError)).toEqual([
+        undefined,
+        'Beneficiary is blacklisted',
+        'Duplicate beneficiary in batch',
+      ]);
+    });
+
+    it('builds loan payout lines from approved loans and share-out lines from a closed cycle', async () => {
+      Loan.find.mockReturnValue(mockQuery([{ _id: LOAN_ID, user: BORROWER, amount: 300000 }]));
+      User.find.mockReturnValue(mockQuery([{ _id: BORROWER, name: 'Borrower', phone: '0782000111' }]));
+
+      const loans = await disbursementBatchService.create({ source: 'APPROVED_LOANS', groupId: GROUP_ID }, MAKER);
+
+      expect(Loan.find).toHaveBeenCalledWith({ group: GROUP_ID, status: 'approved' });
+      expect(loans.purpose).toBe('LOAN_PAYOUT');
+      expect(loans.lines[0]).toMatchObject({ loanId: LOAN_ID, phoneNumber: '256782000111', amount: 300000, provider: 'mtn' });
+
+      SavingsCycle.findOne.mockReturnValue(
+        mockQuery({ _id: CYCLE_ID, status: 'closed', currency: 'UGX', closeOut: { lines: [{ userId: BORROWER, payout: 120000 }, { userId: MAKER.id, payout: 0 }] } })
+      );
+      const shareOut = await disbursementBatchService.create(
+        { source: 'SAVINGS_CYCLE', groupId: GROUP_ID, savingsCycleId: CYCLE_ID },
+        MAKER
+      );
+      expect(shareOut.purpose).toBe('SHARE_OUT');
+      expect(shareOut.lines).toHaveLength(1);
+      expect(shareOut.lines[0]).toMatchObject({ amount: 120000, reference: `SHAREOUT-${CYCLE_ID}-${BORROWER}` });
+    });
+
+    it('only lets group officers create batches', async () => {
+      groupRoles.isGroupOfficer.mockReturnValue(false);
+      await expect(
+        disbursementBatchService.create({ source: 'UPLOAD', groupId: GROUP_ID, lines: [] }, MAKER)
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('approve', () => {
+    it('refuses approval by the maker', async () => {
+      DisbursementBatch.findById.mockResolvedValue(batch({ status: 'pending_approval' }));
+      await expect(disbursementBatchService.approve(BATCH_ID, MAKER)).rejects.toMatchObject({
+        statusCode: 403,
+        errorCode: 'ERR_DISBURSEMENT_BATCH_SELF_APPROVAL',
+      });
+    });
+
+    it('approves from pending_approval only', async () => {
+      DisbursementBatch.findById.mockResolvedValue(batch({ status: 'pending_approval' }));
+      DisbursementBatch.findOneAndUpdate.mockResolvedValue(batch());
+
+      await disbursementBatchService.approve(BATCH_ID, CHECKER);
+
+      expect(DisbursementBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: BATCH_ID, status: 'pending_approval' },
+        { $set: expect.objectContaining({ status: 'approved', approvedBy: CHECKER.id }) },
+        { new: true }
+      );
+
+      DisbursementBatch.findOneAndUpdate.mockResolvedValue(null);
+      await expect(disbursementBatchService.approve(BATCH_ID, CHECKER)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('execute', () => {
+    it('pays valid lines on each network, failing refused payouts and keeping unclear ones unknown', async () => {
+      const lines = [
+        line({ lineNo: 1, phoneNumber: '256772000001' }),
+        line({ lineNo: 2, phoneNumber: '256702000002', provider: 'airtel' }),
+        line({ lineNo: 3, phoneNumber: '256772000003' }),
+        line({ lineNo: 4, phoneNumber: '256412000004', status: 'invalid', provider: undefined }),
+        line({ lineNo: 5, phoneNumber: '256772000005' }),
+      ];
+      const after = [{ status: 'sent' }, { status: 'sent' }, { status: 'failed' }, { status: 'invalid' }, { status: 'unknown' }];
+      DisbursementBatch.findById
+        .mockResolvedValueOnce(batch({ lines }))
+        .mockResolvedValueOnce(batch({ status: 'processing', lines: after }));
+      DisbursementBatch.findOneAndUpdate
+        .mockResolvedValueOnce(batch({ status: 'processing', lines }))
+        .mockImplementationOnce(async (filter, update) => batch({ status: update.$set.status, lines: after }));
+      mtn.disburse.mockImplementation(async ({ phoneNumber, referenceId }) => {
+        if (phoneNumber === '256772000003') {
+          throw Object.assign(new Error('Amount exceeds the payee limit'), { statusCode: 422 });
+        }
+        if (phoneNumber === '256772000005') throw new Error('timeout of 30000ms exceeded');
+        return { reference: referenceId, status: 'PENDING' };
+      });
+      airtel.disburse.mockResolvedValueOnce({ reference: `DB-${BATCH_ID}-2-1`, status: 'TIP' });
+
+      const result = await disbursementBatchService.execute(BATCH_ID, CHECKER);
+
+      expect(result.status).toBe('partially_failed');
+      expect(mtn.disburse).toHaveBeenCalledTimes(3);
+      expect(mtn.disburse).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 100000,
+          phoneNumber: '256772000001',
+          externalId: `DB-${BATCH_ID}-1-1`,
+          referenceId: stableReferenceId(`DB-${BATCH_ID}-1-1`),
+        })
+      );
+      // A payout that may have gone through is not failed over to another network
+      expect(airtel.disburse).toHaveBeenCalledTimes(1);
+      expect(airtel.disburse).toHaveBeenCalledWith(
+        expect.objectContaining({ phoneNumber: '702000002', reference: `DB-${BATCH_ID}-2-1` })
+      );
+      // The request id is stored before the transfer is sent
+      expect(DisbursementBatch.updateOne).toHaveBeenCalledWith(
+        { _id: BATCH_ID, 'lines._id': 'line-5' },
+        { $set: expect.objectContaining({ 'lines.$.payoutId': stableReferenceId(`DB-${BATCH_ID}-5-1`) }) }
+      );
+      expect(DisbursementBatch.updateOne).toHaveBeenCalledWith(
+        { _id: BATCH_ID, 'lines._id': 'line-1' },
+        {
+          $set: expect.objectContaining({
+            'lines.$.status': 'sent',
+            'lines.$.providerReference': stableReferenceId(`DB-${BATCH_ID}-1-1`),
+          }),
+        }
+      );
+      expect(DisbursementBatch.updateOne).toHaveBeenCalledWith(
+        { _id: BATCH_ID, 'lines._id': 'line-3' },
+        {
+          $set: {
+            'lines.$.status': 'failed',
+            'lines.$.error': 'Amount exceeds the payee limit',
+            heartbeatAt: expect.any(Date),
+          },
+        }
+      );
+      expect(DisbursementBatch.updateOne).toHaveBeenCalledWith(
+        { _id: BATCH_ID, 'lines._id': 'line-5' },
+        { $set: expect.objectContaining({ 'lines.$.status': 'unknown', 'lines.$.error': 'timeout of 30000ms exceeded' }) }
+      );
+      expect(notificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ recipients: [result.createdBy], title: 'Disbursement batch finished with failures' })
+      );
+    });
+
+    it('retries failed lines with a fresh external id', async () => {
+      const lines = [
+        line({ lineNo: 1, phoneNumber: '256772000001', status: 'sent', attempts: 1 }),
+        line({ lineNo: 3, phoneNumber: '256772000003', status: 'failed', attempts: 1 }),
+      ];
+      DisbursementBatch.findById
+        .mockResolvedValueOnce(batch({ status: 'partially_failed', lines }))
+        .mockResolvedValueOnce(batch({ status: 'processing', lines: [{ status: 'sent' }, { status: 'sent' }] }));
+      DisbursementBatch.findOneAndUpdate
+        .mockResolvedValueOnce(batch({ status: 'processing', lines }))
+        .mockResolvedValueOnce(batch({ status: 'completed', lines: [{ status: 'sent' }, { status: 'sent' }] }));
+      mtn.disburse.mockResolvedValue({ reference: 'mtn-ref-3b', status: 'PENDING' });
+
+      const result = await disbursementBatchService.execute(BATCH_ID, CHECKER, { retryFailedOnly: true });
+
+      expect(DisbursementBatch.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: BATCH_ID, status: 'partially_failed' });
+      expect(mtn.disburse).toHaveBeenCalledTimes(1);
+      expect(mtn.disburse).toHaveBeenCalledWith(
+        expect.objectContaining({ externalId: `DB-${BATCH_ID}-3-2`, referenceId: stableReferenceId(`DB-${BATCH_ID}-3-2`) })
+      );
+      expect(result.status).toBe('completed');
+    });
+
+    it('checks unknown lines with the provider before resending them', async () => {
+      const paidId = stableReferenceId(`DB-${BATCH_ID}-1-1`);
+      const lostId = stableReferenceId(`DB-${BATCH_ID}-2-1`);
+      const lines = [
+        line({ lineNo: 1, phoneNumber: '256772000001', status: 'unknown', attempts: 1, externalId: `DB-${BATCH_ID}-1-1`, payoutId: paidId }),
+        line({ lineNo: 2, phoneNumber: '256772000002', status: 'unknown', attempts: 1, externalId: `DB-${BATCH_ID}-2-1`, payoutId: lostId }),
+      ];
+      DisbursementBatch.findById
+        .mockResolvedValueOnce(batch({ status: 'partially_failed', lines }))
+        .mockResolvedValueOnce(batch({ status: 'processing', lines: [{ status: 'paid' }, { status: 'sent' }] }));
+      DisbursementBatch.findOneAndUpdate
+        .mockResolvedValueOnce(batch({ status: 'processing', lines }))
+        .mockResolvedValueOnce(batch({ status: 'completed', lines: [{ status: 'paid' }, { status: 'sent' }] }));
+      mtn.getStatus.mockImplementation(async (id) => {
+        if (id === paidId) return { status: 'SUCCESSFUL' };
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      });
+      mtn.disburse.mockResolvedValue({ reference: lostId, status: 'PENDING' });
+
+      await disbursementBatchService.execute(BATCH_ID, CHECKER, { retryFailedOnly: true });
+
+      // Only the transfer MTN never received is sent, again with the same ids
+      expect(mtn.disburse).toHaveBeenCalledTimes(1);
+      expect(mtn.disburse).toHaveBeenCalledWith(
+        expect.objectContaining({ phoneNumber: '256772000002', externalId: `DB-${BATCH_ID}-2-1`, referenceId: lostId })
+      );
+      expect(DisbursementBatch.updateOne).toHaveBeenCalledWith(
+        { _id: BATCH_ID, 'lines._id': 'line-1' },
+        { $set: expect.objectContaining({ 'lines.$.status': 'paid' }) }
+      );
+      expect(DisbursementBatch.updateOne).not.toHaveBeenCalledWith(
+        expect.anything(),
+        { $set: expect.objectContaining({ 'lines.$.attempts': 2 }) }
+      );
+    });
+
+    it('will not execute a batch that is not approved', async () => {
+      DisbursementBatch.findById.mockResolvedValue(batch({ status: 'pending_approval' }));
+      DisbursementBatch.findOneAndUpdate.mockResolvedValue(null);
+      await expect(disbursementBatchService.execute(BATCH_ID, CHECKER)).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ERR_DISBURSEMENT_BATCH_STATE',
+      });
+      expect(mtn.disburse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverStale', () => {
+    it('resumes a batch whose run stopped, confirming the interrupted line instead of paying it again', async () => {
+      const payoutId = stableReferenceId(`DB-${BATCH_ID}-1-1`);
+      const lines = [
+        line({ lineNo: 1, phoneNumber: '256772000001', status: 'processing', attempts: 1, payoutId }),
+        line({ lineNo: 2, phoneNumber: '256772000002' }),
+      ];
+      const stale = batch({ status: 'processing', lines, runs: [{ retryFailedOnly: false }] });
+      DisbursementBatch.find.mockReturnValue(mockQuery([{ _id: BATCH_ID }]));
+      DisbursementBatch.findOneAndUpdate
+        .mockResolvedValueOnce(stale)
+        .mockResolvedValueOnce(batch({ status: 'completed', lines: [{ status: 'sent' }, { status: 'sent' }] }));
+      DisbursementBatch.findById.mockResolvedValue(batch({ status: 'processing', lines: [{ status: 'sent' }, { status: 'sent' }] }));
+      mtn.getStatus.mockResolvedValue({ status: 'PENDING' });
+      mtn.disburse.mockResolvedValue({ reference: 'mtn-ref-2', status: 'PENDING' });
+
+      const result = await disbursementBatchService.recoverStale(new Date('2026-01-01T12:00:00.000Z'));
+
+      expect(result).toEqual({ stale: 1, resumed: 1 });
+      expect(DisbursementBatch.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+        _id: BATCH_ID,
+        status: 'processing',
+        $or: [{ heartbeatAt: { $lt: new Date('2026-01-01T11:45:00.000Z') } }, { heartbeatAt: null }],
+      });
+      expect(mtn.getStatus).toHaveBeenCalledWith(payoutId);
+      expect(mtn.disburse).toHaveBeenCalledTimes(1);
+      expect(mtn.disburse).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '256772000002' }));
+    });
+  });
+
+  describe('reconcile', () => {
+    it('confirms sent lines with the providers, settles loans and stores a report', async () => {
+      const sent = batch({
+        status: 'completed',
+        lines: [
+          line({ lineNo: 1, phoneNumber: '256772000001', status: 'sent', providerReference: 'mtn-1', loanId: LOAN_ID }),
+          line({ lineNo: 2, phoneNumber: '256702000002', provider: 'airtel', status: 'sent', providerReference: 'air-2' }),
+          line({ lineNo: 3, phoneNumber: '256772000003', status: 'sent', providerReference: 'mtn-3', amount: 50000 }),
+          line({ lineNo: 4, phoneNumber: '256412000004', status: 'invalid', provider: undefined, validationError: 'Number is not on MTN or Airtel' }),
+        ],
+      });
+      DisbursementBatch.findById.mockResolvedValue(sent);
+      mtn.getStatus.mockImplementation(async (ref) => (ref === 'mtn-1' ? { status: 'SUCCESSFUL' } : { status: 'PENDING' }));
+      airtel.getStatus.mockResolvedValue({ status: 'TF' });
+
+      const result = await disbursementBatchService.reconcile(BATCH_ID, CHECKER);
+
+      expect(result.lines.map((l) => l.status)).toEqual(['paid', 'failed', 'sent', 'invalid']);
+      expect(result.status).toBe('partially_failed');
+      expect(changeLoanStatus).toHaveBeenCalledWith(LOAN_ID, 'disbursed', CHECKER, expect.any(String));
+      expect(Loan.updateOne).toHaveBeenCalledWith(
+        { _id: LOAN_ID },
+        { $set: { disbursementMethod: 'MTN_MOMO', disbursementReference: 'mtn-1', disbursedAmount: 100000 } }
+      );
+      expect(result.report.totals).toMatchObject({
+        lines: 3,
+        invalid: 1,
+        paid: 1,
+        failed: 1,
+        pending: 1,
+        requested: 250000,
+        paidAmount: 100000,
+        failedAmount: 100000,
+        pendingAmount: 50000,
+      });
+      expect(result.report.byProvider.airtel).toMatchObject({ lines: 1, failed: 1 });
+      expect(result.report.exceptions.map((e) => e.lineNo)).toEqual([2, 3, 4]);
+      expect(sent.save).toHaveBeenCalled();
+    });
+  });
+});
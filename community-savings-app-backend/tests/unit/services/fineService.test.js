@@ -0,0 +1,242 @@
+/**
+ * Fine Service Unit Tests
+ */
+
+jest.mock('../../../models/Group');
+jest.mock('../../../models/Fine');
+jest.mock('../../../models/FineRule');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/LoanRepaymentSchedule');
+jest.mock('../../../models/Meeting');
+jest.mock('../../../models/RotationCycle');
+jest.mock('../../../models/RotationRound');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { FINE_ISSUED: 'FINE_ISSUED' },
+  send: jest.fn(),
+}));
+jest.mock('../../../services/ledgerService', () => ({
+  createJournal: jest.fn(),
+}));
+jest.mock('../../../services/contributionScheduleService', () => ({
+  computeArrears: jest.fn(),
+}));
+
+const fineService = require('../../../services/fineService');
+const Group = require('../../../models/Group');
+const Fine = require('../../../models/Fine');
+const RotationCycle = require('../../../models/RotationCycle');
+const RotationRound = require('../../../models/RotationRound');
+const ledgerService = require('../../../services/ledgerService');
+const contributionScheduleService = require('../../../services/contributionScheduleService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const buildFine = (overrides = {}) => {
+  const fine = {
+    _id: 'fine_1',
+    groupId: 'group_1',
+    userId: 'member_1',
+    amount: 5000,
+    paidAmount: 0,
+    currency: 'UGX',
+    status: 'outstanding',
+    payments: [],
+    ledger: {},
+    appeal: {},
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+  fine.balance = () => fine.amount - fine.paidAmount;
+  return fine;
+};
+
+const officer = { id: 'officer_1', tenantId: 'tenant_1' };
+
+describe('Fine Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockReturnValue(
+      mockQuery({ _id: 'group_1', name: 'Umoja', members: ['member_1', 'member_2'], createdBy: 'officer_1' })
+    );
+    ledgerService.createJournal.mockImplementation(async ({ journalId }) => ({ journalId }));
+  });
+
+  describe('computeAmount', () => {
+    it('should charge the flat amount', () => {
+      expect(fineService.computeAmount({ calculation: 'flat', amount: 2000 }, 50000)).toBe(2000);
+    });
+
+    it('should cap percentage fines at maxAmount', () => {
+      const rule = { calculation: 'percentage', amount: 10, maxAmount: 3000 };
+      expect(fineService.computeAmount(rule, 20000)).toBe(2000);
+      expect(fineService.computeAmount(rule, 50000)).toBe(3000);
+    });
+
+    it('should apply the minimum amount', () => {
+      expect(fineService.computeAmount({ calculation: 'percentage', amount: 1, minAmount: 500 }, 1000)).toBe(500);
+    });
+  });
+
+  describe('collectLateContributions', () => {
+    it('should fine members who had not paid in full by the end of the grace period', async () => {
+      const rule = { groupId: 'group_1', graceDays: 2, effectiveFrom: new Date('2026-01-01') };
+      RotationRound.find.mockReturnValue(
+        mockQuery([
+          {
+            _id: 'round_1',
+            cycleId: 'cycle_1',
+            dueDate: new Date('2026-02-01T00:00:00.000Z'),
+            contributions: [
+              { userId: 'member_1', amount: 10000, paidAt: new Date('2026-02-02T00:00:00.000Z') },
+              { userId: 'member_2', amount: 10000, paidAt: new Date('2026-02-05T00:00:00.000Z') },
+            ],
+          },
+        ])
+      );
+      RotationCycle.find.mockReturnValue(
+        mockQuery([
+          {
+            _id: 'cycle_1',
+            contributionAmount: 10000,
+            payoutOrder: [{ userId: 'member_1' }, { userId: 'member_2' }],
+          },
+        ])
+      );
+
+      contributionScheduleService.computeArrears.mockResolvedValue([]);
+
+      const candidates = await fineService.collectLateContributions(rule, new Date('2026-02-10T00:00:00.000Z'));
+
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0]).toMatchObject({ userId: 'member_2', baseAmount: 10000, daysLate: 4 });
+      expect(candidates[0].source.key).toBe('round:round_1');
+    });
+
+    it('should fine scheduled periods still unpaid after the grace period', async () => {
+      const rule = { groupId: 'group_1', graceDays: 3, effectiveFrom: new Date('2026-01-01') };
+      RotationRound.find.mockReturnValue(mockQuery([]));
+      contributionScheduleService.computeArrears.mockResolvedValue([
+        {
+          userId: 'member_1',
+          periods: [
+            { obligationId: 'obl_1', dueDate: new Date('2026-02-01T00:00:00.000Z'), expected: 20000, outstanding: 0 },
+            { obligationId: 'obl_1', dueDate: new Date('2026-02-08T00:00:00.000Z'), expected: 20000, outstanding: 5000 },
+            // Still inside the grace period
+            { obligationId: 'obl_1', dueDate: new Date('2026-02-15T00:00:00.000Z'), expected: 20000, outstanding: 20000 },
+          ],
+        },
+      ]);
+
+      const asOf = new Date('2026-02-16T00:00:00.000Z');
+      const candidates = await fineService.collectLateContributions(rule, asOf);
+
+      expect(contributionScheduleService.computeArrears).toHaveBeenCalledWith('group_1', asOf);
+      expect(candidates).toEqual([
+        {
+          userId: 'member_1',
+          source: {
+            type: 'contribution_period',
+            id: 'obl_1',
+            key: 'period:obl_1:2026-02-08',
+            dueDate: new Date('2026-02-08T00:00:00.000Z'),
+          },
+          baseAmount: 20000,
+          daysLate: 8,
+        },
+      ]);
+    });
+  });
+
+  describe('meeting payments', () => {
+    const meeting = {
+      groupId: 'group_1',
+      posting: { journalId: 'MTG-meeting_1' },
+      records: [
+        { type: 'fine', fineId: 'fine_1', amount: 3000, reference: 'R1', recordedBy: 'officer_1' },
+        { type: 'fine', fineId: 'fine_1', amount: 4000, reference: 'R2', recordedBy: 'officer_1' },
+        { type: 'fine', amount: 1000, reference: 'R3' },
+      ],
+    };
+
+    it('should cap each payment at what is left on the fine and report the excess', async () => {
+      Fine.find.mockResolvedValue([buildFine({ amount: 5000 })]);
+
+      const { settled, excess, applied } = await fineService.allocateMeetingPayments(meeting);
+
+      expect(settled).toBe(5000);
+      expect(excess).toBe(2000);
+      expect(applied).toEqual(new Map([['R1', 3000], ['R2', 2000]]));
+    });
+
+    it('should apply only the allocated amount to the fine', async () => {
+      const fine = buildFine({ amount: 5000 });
+      Fine.findOne.mockResolvedValue(fine);
+
+      await fineService.applyMeetingPayments(meeting, new Map([['R1', 3000], ['R2', 0]]));
+
+      expect(Fine.findOne).toHaveBeenCalledTimes(1);
+      expect(fine.payments).toEqual([expect.objectContaining({ amount: 3000, reference: 'R1' })]);
+      expect(fine.paidAmount).toBe(3000);
+    });
+  });
+
+  describe('issueFines', () => {
+    it('should not fine the same member twice for the same event', async () => {
+      Fine.find.mockReturnValue(mockQuery([{ userId: 'member_1', source: { key: 'meeting:m1' } }]));
+      Fine.create.mockImplementation(async (doc) => buildFine(doc));
+
+      const rule = { _id: 'rule_1', groupId: 'group_1', trigger: 'missed_meeting', calculation: 'flat', amount: 1000 };
+      const issued = await fineService.issueFines(rule, { name: 'Umoja' }, [
+        { userId: 'member_1', source: { type: 'meeting', key: 'meeting:m1' }, baseAmount: 0 },
+        { userId: 'member_2', source: { type: 'meeting', key: 'meeting:m1' }, baseAmount: 0 },
+      ]);
+
+      expect(issued).toHaveLength(1);
+      expect(Fine.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'member_2', amount: 1000 }));
+      expect(ledgerService.createJournal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entries: [
+            expect.objectContaining({ accountCode: '1300', debit: 1000 }),
+            expect.objectContaining({ accountCode: '4200', credit: 1000 }),
+          ],
+        })
+      );
+    });
+  });
+
+  describe('waivers and appeals', () => {
+    it('should waive only the unpaid balance', async () => {
+      const fine = buildFine({ paidAmount: 2000 });
+      Fine.findOne.mockResolvedValue(fine);
+
+      await fineService.waiveFine('group_1', 'fine_1', officer, { reason: 'Bereavement' });
+
+      expect(fine.status).toBe('waived');
+      expect(fine.waiver.amount).toBe(3000);
+      expect(ledgerService.createJournal.mock.calls[0][0].entries[1]).toMatchObject({
+        accountCode: '1300',
+        credit: 3000,
+      });
+    });
+
+    it('should let only the fined member appeal', async () => {
+      Fine.findOne.mockResolvedValue(buildFine());
+
+      await expect(
+        fineService.appealFine('group_1', 'fine_1', { id: 'member_2' }, { reason: 'Not me' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should return an upheld appeal to outstanding', async () => {
+      const fine = buildFine({ status: 'under_appeal', appeal: { status: 'pending' } });
+      Fine.findOne.mockResolvedValue(fine);
+
+      await fineService.decideAppeal('group_1', 'fine_1', officer, { overturn: false, note: 'Rule applies' });
+
+      expect(fine.status).toBe('outstanding');
+      expect(fine.appeal.status).toBe('upheld');
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Group Withdrawal Service Unit Tests
+ */
+
+jest.mock('../../../models/Group');
+jest.mock('../../../models/GroupWithdrawal');
+jest.mock('../../../models/User');
+jest.mock('../../../models/WithdrawalPolicy', () => ({
+  SIGNATORY_ROLES: ['creator', 'treasurer', 'secretary'],
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/mtn/disbursements', () => ({
+  withdrawSavings: jest.fn(),
+}));
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: {
+    WITHDRAWAL_APPROVAL_REQUESTED: 'WITHDRAWAL_APPROVAL_REQUESTED',
+    WITHDRAWAL_DECIDED: 'WITHDRAWAL_DECIDED',
+  },
+  send: jest.fn(),
+  sendSMS: jest.fn(),
+  sendPush: jest.fn(),
+}));
+
+const groupWithdrawalService = require('../../../services/groupWithdrawalService');
+const Group = require('../../../models/Group');
+const GroupWithdrawal = require('../../../models/GroupWithdrawal');
+const User = require('../../../models/User');
+const WithdrawalPolicy = require('../../../models/WithdrawalPolicy');
+const auditLogService = require('../../../services/auditLogService');
+const mtnDisbursementService = require('../../../services/mtn/disbursements');
+const notificationService = require('../../../services/notificationService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const GROUP_ID = '64b0000000000000000000a1';
+const WITHDRAWAL_ID = '64b0000000000000000000f1';
+const CHAIR = '64b000000000000000000001';
+const TREASURER = '64b000000000000000000002';
+const SECRETARY = '64b000000000000000000003';
+const MEMBER = '64b000000000000000000004';
+
+const group = {
+  _id: GROUP_ID,
+  name: 'Kireka Savers',
+  members: [CHAIR, TREASURER, SECRETARY, MEMBER],
+  memberRoles: [
+    { userId: TREASURER, role: 'treasurer' },
+    { userId: SECRETARY, role: 'secretary' },
+    { userId: MEMBER, role: 'member' },
+  ],
+  createdBy: CHAIR,
+};
+
+const policy = {
+  signatoryRoles: ['creator', 'treasurer', 'secretary'],
+  tiers: [
+    { minAmount: 0, requiredApprovals: 2 },
+    { minAmount: 1000000, requiredApprovals: 3 },
+  ],
+  expiryHours: 24,
+};
+
+const pending = (signatures, overrides = {}) => ({
+  _id: WITHDRAWAL_ID,
+  groupId: GROUP_ID,
+  amount: 300000,
+  currency: 'UGX',
+  purpose: 'Buy seedlings',
+  recipient: { phoneNumber: '256772000000' },
+  requestedBy: CHAIR,
+  requiredApprovals: 2,
+  signatories: [CHAIR, TREASURER, SECRETARY],
+  signatures,
+  status: 'pending',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe('Group Withdrawal Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockReturnValue(mockQuery(group));
+    User.findById.mockReturnValue(mockQuery({ phone: '256700000000' }));
+    WithdrawalPolicy.findOne.mockReturnValue(mockQuery(policy));
+  });
+
+  describe('policy', () => {
+    it('should pick the tier with the highest threshold not above the amount', () => {
+      expect(groupWithdrawalService.requiredApprovals(policy, 999999)).toBe(2);
+      expect(groupWithdrawalService.requiredApprovals(policy, 1000000)).toBe(3);
+    });
+
+    it('should count the creator and role holders as signatories', () => {
+      expect(groupWithdrawalService.signatoriesFor(group, ['creator', 'treasurer'])).toEqual([CHAIR, TREASURER]);
+    });
+
+    it('should refuse a tier that needs more signatures than there are signatories', async () => {
+      await expect(
+        groupWithdrawalService.setPolicy(
+          GROUP_ID,
+          { signatoryRoles: ['treasurer', 'secretary'], tiers: [{ minAmount: 0, requiredApprovals: 3 }] },
+          { id: CHAIR }
+        )
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_WITHDRAWAL_QUORUM' });
+      expect(WithdrawalPolicy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestWithdrawal', () => {
+    it('should hold the request for signatures and notify the other signatories by SMS and push', async () => {
+      GroupWithdrawal.create.mockImplementation(async (doc) => ({ _id: WITHDRAWAL_ID, ...doc }));
+
+      const withdrawal = await groupWithdrawalService.requestWithdrawal(
+        GROUP_ID,
+        { amount: 300000, purpose: 'Buy seedlings', phoneNumber: '256772000000' },
+        { id: CHAIR }
+      );
+
+      expect(GroupWithdrawal.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          requiredApprovals: 2,
+          signatories: [CHAIR, TREASURER, SECRETARY],
+          signatures: [expect.objectContaining({ userId: CHAIR, decision: 'approve' })],
+        })
+      );
+      expect(withdrawal.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+      expect(notificationService.sendSMS).toHaveBeenCalledTimes(2);
+      expect(notificationService.sendPush.mock.calls.map(([p]) => p.userId)).toEqual([TREASURER, SECRETARY]);
+      expect(mtnDisbursementService.withdrawSavings).not.toHaveBeenCalled();
+    });
+
+    it('should only let officers request a withdrawal', async () => {
+      await expect(
+        groupWithdrawalService.requestWithdrawal(GROUP_ID, { amount: 1000, purpose: 'x', phoneNumber: '256772000000' }, { id: MEMBER })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('sign', () => {
+    it('should release to mobile money once the quorum is reached and audit each signature', async () => {
+      const signed = pending([
+        { userId: CHAIR, decision: 'approve' },
+        { userId: TREASURER, decision: 'approve' },
+      ]);
+      GroupWithdrawal.findOne.mockResolvedValue(pending([{ userId: CHAIR, decision: 'approve' }]));
+      GroupWithdrawal.findOneAndUpdate
+        .mockResolvedValueOnce(signed)
+        .mockResolvedValueOnce({ ...signed, status: 'approved' });
+      mtnDisbursementService.withdrawSavings.mockResolvedValue({ reference: 'MTN-1', status: 'PENDING' });
+
+      const result = await groupWithdrawalService.sign(GROUP_ID, WITHDRAWAL_ID, { decision: 'approve' }, { id: TREASURER });
+
+      expect(mtnDisbursementService.withdrawSavings).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 300000, phoneNumber: '256772000000', externalId: `GWD-${WITHDRAWAL_ID}-1` })
+      );
+      expect(result).toMatchObject({ status: 'released', disbursement: expect.objectContaining({ reference: 'MTN-1' }) });
+      expect(auditLogService.log).toHaveBeenCalledWith(
+        { id: TREASURER },
+        'group_withdrawal:signed',
+        expect.objectContaining({ decision: 'approve', approvals: 2 })
+      );
+    });
+
+    it('should keep waiting below the quorum', async () => {
+      GroupWithdrawal.findOne.mockResolvedValue(pending([], { requestedBy: MEMBER }));
+      GroupWithdrawal.findOneAndUpdate.mockResolvedValueOnce(pending([{ userId: TREASURER, decision: 'approve' }]));
+
+      const result = await groupWithdrawalService.sign(GROUP_ID, WITHDRAWAL_ID, { decision: 'approve' }, { id: TREASURER });
+
+      expect(result.status).toBe('pending');
+      expect(mtnDisbursementService.withdrawSavings).not.toHaveBeenCalled();
+    });
+
+    it('should reject once the quorum can no longer be reached', async () => {
+      GroupWithdrawal.findOne.mockResolvedValue(pending([{ userId: CHAIR, decision: 'approve' }]));
+      const signed = pending([
+        { userId: CHAIR, decision: 'approve' },
+        { userId: TREASURER, decision: 'reject' },
+      ], { requiredApprovals: 3 });
+      GroupWithdrawal.findOneAndUpdate
+        .mockResolvedValueOnce(signed)
+        .mockResolvedValueOnce({ ...signed, status: 'rejected' });
+
+      const result = await groupWithdrawalService.sign(GROUP_ID, WITHDRAWAL_ID, { decision: 'reject' }, { id: TREASURER });
+
+      expect(result.status).toBe('rejected');
+      expect(mtnDisbursementService.withdrawSavings).not.toHaveBeenCalled();
+    });
+
+    it('should not accept signatures from members who are not signatories', async () => {
+      GroupWithdrawal.findOne.mockResolvedValue(pending([]));
+
+      await expect(
+        groupWithdrawalService.sign(GROUP_ID, WITHDRAWAL_ID, { decision: 'approve' }, { id: MEMBER })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should expire a request signed after its deadline', async () => {
+      GroupWithdrawal.findOne.mockResolvedValue(pending([], { expiresAt: new Date(Date.now() - 1000) }));
+      GroupWithdrawal.findOneAndUpdate.mockResolvedValueOnce(pending([], { status: 'expired' }));
+
+      await expect(
+        groupWithdrawalService.sign(GROUP_ID, WITHDRAWAL_ID, { decision: 'approve' }, { id: TREASURER })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_WITHDRAWAL_STATE' });
+      expect(GroupWithdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: WITHDRAWAL_ID, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'expired' }) },
+        { new: true }
+      );
+    });
+  });
+
+  describe('release', () => {
+    it('should mark the withdrawal failed when the mobile money transfer fails', async () => {
+      const approved = pending([], { status: 'approved' });
+      mtnDisbursementService.withdrawSavings.mockRejectedValue(new Error('MTN disbursement circuit is open.'));
+
+      const result = await groupWithdrawalService.release(group, approved, { id: TREASURER });
+
+      expect(result).toMatchObject({ status: 'failed', disbursement: { attempts: 1, error: 'MTN disbursement circuit is open.' } });
+      expect(approved.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    it('should not let an outsider cancel a request', async () => {
+      GroupWithdrawal.findOne.mockResolvedValue(pending([]));
+
+      await expect(groupWithdrawalService.cancel(GROUP_ID, WITHDRAWAL_ID, { id: MEMBER })).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+  });
+});
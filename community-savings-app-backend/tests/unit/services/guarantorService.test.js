@@ -0,0 +1,182 @@
+/**
+ * Guarantor Service Unit Tests
+ */
+
+jest.mock('../../../models/GuaranteeLien');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/Member');
+jest.mock('../../../models/Savings');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/ledgerService', () => ({ createJournal: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { GUARANTOR_CONSENT_REQUESTED: 'GUARANTOR_CONSENT_REQUESTED', GUARANTOR_RESPONDED: 'GUARANTOR_RESPONDED' },
+  send: jest.fn(),
+  sendSMS: jest.fn(),
+  sendPush: jest.fn(),
+}));
+
+const guarantorService = require('../../../services/guarantorService');
+const GuaranteeLien = require('../../../models/GuaranteeLien');
+const Loan = require('../../../models/Loan');
+const Member = require('../../../models/Member');
+const Savings = require('../../../models/Savings');
+const ledgerService = require('../../../services/ledgerService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const LOAN = '64b0000000000000000000c1';
+const ENTRY = '64b0000000000000000000d1';
+const MEMBER = '64b0000000000000000000e1';
+
+const buildLoan = (entryOverrides = {}) => {
+  const entry = {
+    _id: ENTRY,
+    member: MEMBER,
+    guaranteeAmount: 40000,
+    status: 'PENDING',
+    consentCode: '482913',
+    consentRequestedAt: new Date(Date.now() - 60 * 1000),
+    consentExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...entryOverrides,
+  };
+  const guarantors = [entry];
+  guarantors.id = (id) => guarantors.find((g) => String(g._id) === String(id));
+  return {
+    _id: LOAN,
+    tenantId: 'tenant_1',
+    user: 'borrower_1',
+    amount: 200000,
+    status: 'pending',
+    outstandingBalance: 90000,
+    guarantors,
+    save: jest.fn().mockResolvedValue(true),
+  };
+};
+
+const lien = (overrides) => ({
+  savings: 'sav_1',
+  currency: 'UGX',
+  status: 'active',
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Guarantor Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('allocateProportionally', () => {
+    it('should split in proportion and give the rounding remainder to the last share', () => {
+      expect(guarantorService.allocateProportionally([50000, 25000, 25000], 10000)).toEqual([5000, 2500, 2500]);
+      expect(guarantorService.allocateProportionally([100, 100, 100], 100)).toEqual([33.33, 33.33, 33.34]);
+    });
+  });
+
+  describe('respond', () => {
+    beforeEach(() => {
+      Member.findById.mockReturnValue(
+        mockQuery({ _id: MEMBER, firstName: 'Amina', lastName: 'K', phoneNumber: '+256772000111' })
+      );
+    });
+
+    it('should block the guarantee in savings when the guarantor accepts by SMS', async () => {
+      const loan = buildLoan();
+      Loan.findById.mockReturnValue(mockQuery(loan));
+      Savings.findOneAndUpdate.mockResolvedValue({ _id: 'sav_1' });
+      GuaranteeLien.create.mockImplementation(async (doc) => doc);
+
+      const entry = await guarantorService.respond(LOAN, ENTRY, {
+        decision: 'accept',
+        channel: 'SMS',
+        phoneNumber: '0772000111',
+        code: '482913',
+      });
+
+      expect(entry.status).toBe('APPROVED');
+      expect(entry.consentChannel).toBe('SMS');
+      expect(Savings.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ member: MEMBER, availableBalance: { $gte: 40000 } }),
+        { $inc: { availableBalance: -40000, blockedBalance: 40000 } },
+        expect.any(Object)
+      );
+      expect(GuaranteeLien.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 40000, savings: 'sav_1' }));
+    });
+
+    it('should refuse an acceptance the savings cannot cover', async () => {
+      Loan.findById.mockReturnValue(mockQuery(buildLoan()));
+      Savings.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(
+        guarantorService.respond(LOAN, ENTRY, {
+          decision: 'accept',
+          channel: 'USSD',
+          phoneNumber: '+256772000111',
+        })
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_GUARANTOR_SAVINGS' });
+    });
+
+    it('should reject a wrong SMS code and answers from another phone', async () => {
+      Loan.findById.mockReturnValue(mockQuery(buildLoan()));
+      await expect(
+        guarantorService.respond(LOAN, ENTRY, { decision: 'accept', channel: 'SMS', phoneNumber: '0772000111', code: '000000' })
+      ).rejects.toMatchObject({ errorCode: 'ERR_GUARANTOR_CONSENT' });
+
+      Loan.findById.mockReturnValue(mockQuery(buildLoan()));
+      await expect(
+        guarantorService.respond(LOAN, ENTRY, { decision: 'decline', channel: 'USSD', phoneNumber: '0701999999' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('handleSmsReply', () => {
+    it('should explain the reply format for unrecognised messages', async () => {
+      await expect(guarantorService.handleSmsReply('0772000111', 'hello')).resolves.toMatch(/YES <code>/);
+      expect(Loan.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverFromGuarantors', () => {
+    it('should recover the outstanding balance in proportion to each guarantee', async () => {
+      Loan.findById.mockResolvedValue(buildLoan());
+      const liens = [
+        lien({ _id: 'lien_1', guarantor: 'm1', amount: 100000 }),
+        lien({ _id: 'lien_2', guarantor: 'm2', amount: 50000 }),
+      ];
+      GuaranteeLien.find.mockResolvedValue(liens);
+      Member.findById.mockReturnValue(mockQuery({ phoneNumber: '+256772000111' }));
+
+      const result = await guarantorService.recoverFromGuarantors(LOAN, { id: 'system' });
+
+      expect(result).toEqual({
+        outstanding: 90000,
+        recovered: 90000,
+        liens: [
+          { guarantor: 'm1', guaranteed: 100000, recovered: 60000 },
+          { guarantor: 'm2', guaranteed: 50000, recovered: 30000 },
+        ],
+      });
+      expect(Savings.updateOne).toHaveBeenCalledWith(
+        { _id: 'sav_1' },
+        { $inc: { balance: -60000, blockedBalance: -100000, availableBalance: 40000, totalWithdrawals: 60000 } }
+      );
+      expect(liens.every((l) => l.status === 'recovered')).toBe(true);
+      expect(ledgerService.createJournal).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('releaseLiens', () => {
+    it('should unblock active liens', async () => {
+      const active = lien({ _id: 'lien_1', amount: 40000 });
+      GuaranteeLien.find.mockResolvedValue([active]);
+
+      await expect(guarantorService.releaseLiens(LOAN)).resolves.toEqual({ released: 1 });
+      expect(Savings.updateOne).toHaveBeenCalledWith(
+        { _id: 'sav_1' },
+        { $inc: { availableBalance: 40000, blockedBalance: -40000 } }
+      );
+      expect(active.status).toBe('released');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Service Wiring Unit Tests
+ */
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/standingOrderService', () => ({
+  configure: jest.fn(),
+  handlePaymentEvent: jest.fn(),
+}));
+jest.mock('../../../services/paymentRequestService', () => ({
+  configure: jest.fn(),
+  handlePaymentEvent: jest.fn(),
+}));
+jest.mock('../../../modules/payment', () => ({
+  getPaymentModule: jest.fn(() => ({ paymentProcessingService: { name: 'processing' } })),
+}));
+
+const services = require('../../../services');
+const paymentEventPublisher = require('../../../modules/payment/events/paymentEventPublisher');
+const standingOrderService = require('../../../services/standingOrderService');
+const paymentRequestService = require('../../../services/paymentRequestService');
+
+describe('Service wiring', () => {
+  afterEach(() => {
+    services.shutdown();
+    jest.clearAllMocks();
+  });
+
+  it.each([
+    ['standing-orders', standingOrderService],
+    ['payment-requests', paymentRequestService],
+  ])('should configure %s with the payment module and subscribe it to payment events', async (id, service) => {
+    services.initialize();
+    services.initialize();
+
+    expect(service.configure).toHaveBeenCalledTimes(1);
+    expect(service.configure).toHaveBeenCalledWith({ paymentProcessingService: { name: 'processing' } });
+    expect(paymentEventPublisher.listeners.has(id)).toBe(true);
+
+    const event = { eventType: 'PaymentCompleted', data: { paymentId: 'p1' } };
+    await paymentEventPublisher.listeners.get(id).listener(event);
+    expect(service.handlePaymentEvent).toHaveBeenCalledWith(event);
+  });
+
+  it('should unsubscribe on shutdown', () => {
+    services.initialize();
+    services.shutdown();
+
+    expect(paymentEventPublisher.listeners.has('standing-orders')).toBe(false);
+    expect(paymentEventPublisher.listeners.has('payment-requests')).toBe(false);
+  });
+});
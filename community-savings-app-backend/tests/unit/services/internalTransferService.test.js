@@ -0,0 +1,279 @@
+/**
+ * Internal Transfer Service Unit Tests
+ */
+
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/Fine');
+jest.mock('../../../models/InternalTransfer');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/Savings');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/groupRoles', () => ({
+  loadGroup: jest.fn(),
+  isGroupMember: jest.fn(),
+}));
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/fineService', () => ({ applyPayment: jest.fn() }));
+jest.mock('../../../services/fraudDetectionService', () => ({
+  FRAUD_DECISIONS: { ALLOW: 'ALLOW', REVIEW: 'REVIEW', BLOCK: 'BLOCK' },
+  checkFraud: jest.fn(),
+}));
+jest.mock('../../../services/kycService', () => ({ validateTransaction: jest.fn() }));
+jest.mock('../../../services/ledgerService', () => ({
+  createJournal: jest.fn(),
+  reverseJournal: jest.fn(),
+}));
+jest.mock('../../../services/loanWorkflowService', () => {
+  const recordRepayment = jest.fn();
+  return Object.assign(jest.fn(() => ({ recordRepayment })), { recordRepayment });
+});
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { INTERNAL_TRANSFER: 'INTERNAL_TRANSFER' },
+  send: jest.fn(),
+}));
+
+const internalTransferService = require('../../../services/internalTransferService');
+const Contribution = require('../../../models/Contribution');
+const Fine = require('../../../models/Fine');
+const InternalTransfer = require('../../../models/InternalTransfer');
+const Loan = require('../../../models/Loan');
+const Savings = require('../../../models/Savings');
+const User = require('../../../models/User');
+const fineService = require('../../../services/fineService');
+const fraudDetectionService = require('../../../services/fraudDetectionService');
+const kycService = require('../../../services/kycService');
+const ledgerService = require('../../../services/ledgerService');
+const { recordRepayment } = require('../../../services/loanWorkflowService');
+const notificationService = require('../../../services/notificationService');
+const groupRoles = require('../../../utils/groupRoles');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TENANT_ID = '64b0000000000000000000aa';
+const PAYER = { id: '64b000000000000000000001', role: 'user', name: 'Achieng', tenantId: TENANT_ID };
+const PAYEE = '64b000000000000000000002';
+const TREASURER = '64b000000000000000000003';
+const GROUP_ID = '64b0000000000000000000a1';
+const FROM_SAVINGS = '64b0000000000000000000b1';
+const TO_SAVINGS = '64b0000000000000000000b2';
+const FINE_ID = '64b0000000000000000000c1';
+const LOAN_ID = '64b0000000000000000000d1';
+const KEY = { idempotencyKey: 'key-0000001', ip: '10.0.0.1' };
+
+const toMember = { type: 'MEMBER_TO_MEMBER', fromSavingsId: FROM_SAVINGS, toUserId: PAYEE, amount: 25000 };
+
+describe('Internal Transfer Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    InternalTransfer.findOne.mockResolvedValue(null);
+    InternalTransfer.countDocuments.mockResolvedValue(0);
+    InternalTransfer.aggregate.mockResolvedValue([]);
+    InternalTransfer.create.mockImplementation(async (doc) => ({
+      _id: '64b0000000000000000000f1',
+      status: 'PENDING',
+      ...doc,
+      save: jest.fn().mockResolvedValue(true),
+    }));
+    Savings.findById.mockReturnValue(
+      mockQuery({ _id: FROM_SAVINGS, tenantId: TENANT_ID, createdBy: PAYER.id, status: 'ACTIVE' })
+    );
+    Savings.findOne.mockReturnValue(mockQuery({ _id: TO_SAVINGS, tenantId: TENANT_ID, createdBy: PAYEE, status: 'ACTIVE' }));
+    Savings.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue(mockQuery({ kyc: { level: 'basic', status: 'approved' } }));
+    fraudDetectionService.checkFraud.mockResolvedValue({ riskId: 'risk_1', score: 0, decision: 'ALLOW', reasons: [] });
+    ledgerService.createJournal.mockResolvedValue({ success: true });
+    groupRoles.loadGroup.mockResolvedValue({
+      _id: GROUP_ID,
+      createdBy: TREASURER,
+      memberRoles: [{ userId: TREASURER, role: 'treasurer' }],
+    });
+    groupRoles.isGroupMember.mockReturnValue(true);
+  });
+
+  it('moves money between members with a balanced journal and receipts to both', async () => {
+    const transfer = await internalTransferService.transfer(toMember, PAYER, KEY);
+
+    expect(transfer.status).toBe('COMPLETED');
+    expect(Savings.updateOne).toHaveBeenNthCalledWith(
+      1,
+      { _id: FROM_SAVINGS, status: 'ACTIVE', availableBalance: { $gte: 25000 } },
+      expect.objectContaining({ $inc: expect.objectContaining({ balance: -25000, availableBalance: -25000 }) })
+    );
+    expect(Savings.updateOne).toHaveBeenNthCalledWith(
+      2,
+      { _id: TO_SAVINGS },
+      expect.objectContaining({ $inc: expect.objectContaining({ balance: 25000, availableBalance: 25000 }) })
+    );
+    expect(ledgerService.createJournal).toHaveBeenCalledWith(
+      expect.objectContaining({
+        journalId: transfer.reference,
+        source: 'INTERNAL_TRANSFER',
+        entries: [
+          expect.objectContaining({ accountCode: '2010', debit: 25000 }),
+          expect.objectContaining({ accountCode: '2010', credit: 25000 }),
+        ],
+      })
+    );
+    expect(transfer.journalId).toBe(transfer.reference);
+    expect(kycService.validateTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ kycLevel: 'TIER_1', verificationStatus: 'VERIFIED' }),
+      25000,
+      { dailyTransactionTotal: 0, monthlyTransactionTotal: 0 }
+    );
+    expect(notificationService.send).toHaveBeenCalledTimes(2);
+    expect(notificationService.send.mock.calls[0][0].recipients).toEqual([PAYER.id]);
+    expect(notificationService.send.mock.calls[1][0].recipients).toEqual([PAYEE]);
+  });
+
+  it('returns the original transfer for a repeated idempotency key', async () => {
+    const original = { reference: 'IT-ABC-123456', amount: 25000, type: 'MEMBER_TO_MEMBER', status: 'COMPLETED' };
+    InternalTransfer.findOne.mockResolvedValue(original);
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).resolves.toBe(original);
+    expect(Savings.updateOne).not.toHaveBeenCalled();
+
+    await expect(internalTransferService.transfer({ ...toMember, amount: 1 }, PAYER, KEY)).rejects.toMatchObject({
+      statusCode: 409,
+      errorCode: 'ERR_DUPLICATE_TRANSACTION',
+    });
+  });
+
+  it('enforces KYC limits before any money moves', async () => {
+    InternalTransfer.aggregate.mockResolvedValue([{ daily: 1900000, monthly: 1900000 }]);
+    kycService.validateTransaction.mockImplementationOnce(() => {
+      throw Object.assign(new Error('Daily KYC limit exceeded'), { status: 403 });
+    });
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: 'ERR_KYC_LIMIT',
+    });
+    expect(kycService.validateTransaction.mock.calls[0][2]).toEqual({
+      dailyTransactionTotal: 1900000,
+      monthlyTransactionTotal: 1900000,
+    });
+    expect(InternalTransfer.create).not.toHaveBeenCalled();
+    expect(Savings.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('records and rejects transfers blocked by fraud checks', async () => {
+    fraudDetectionService.checkFraud.mockResolvedValue({ riskId: 'risk_9', score: 0.9, decision: 'BLOCK', reasons: [] });
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: 'ERR_FRAUD_FLAGGED',
+    });
+    const transfer = await InternalTransfer.create.mock.results[0].value;
+    expect(transfer.status).toBe('BLOCKED');
+    expect(transfer.fraud.riskId).toBe('risk_9');
+    expect(Savings.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('closes the transfer as FAILED when the fraud check is unavailable', async () => {
+    fraudDetectionService.checkFraud.mockRejectedValue(new Error('scoring service timeout'));
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({ statusCode: 503 });
+
+    const transfer = await InternalTransfer.create.mock.results[0].value;
+    expect(transfer.status).toBe('FAILED');
+    expect(transfer.failureReason).toBe('Fraud check unavailable');
+    expect(transfer.save).toHaveBeenCalled();
+    expect(Savings.updateOne).not.toHaveBeenCalled();
+
+    // A retry with the same key reports the failure instead of a completed transfer
+    InternalTransfer.findOne.mockResolvedValue(transfer);
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({
+      statusCode: 409,
+      errorCode: 'ERR_TRANSACTION_FAILED',
+    });
+    expect(fraudDetectionService.checkFraud).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes the currency from the savings account and rejects any other', async () => {
+    await expect(
+      internalTransferService.transfer({ ...toMember, currency: 'KES' }, PAYER, KEY)
+    ).rejects.toMatchObject({ statusCode: 400, errorCode: 'ERR_VALIDATION' });
+    expect(InternalTransfer.create).not.toHaveBeenCalled();
+
+    await internalTransferService.transfer({ ...toMember, currency: 'UGX' }, PAYER, KEY);
+    expect(InternalTransfer.create).toHaveBeenCalledWith(expect.objectContaining({ currency: 'UGX' }));
+  });
+
+  it('refuses a recipient account when either side has no tenant', async () => {
+    Savings.findOne.mockReturnValue(mockQuery({ _id: TO_SAVINGS, createdBy: PAYEE, status: 'ACTIVE' }));
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({ statusCode: 403 });
+
+    Savings.findOne.mockReturnValue(mockQuery({ _id: TO_SAVINGS, tenantId: TENANT_ID, createdBy: PAYEE, status: 'ACTIVE' }));
+    await expect(
+      internalTransferService.transfer(toMember, { ...PAYER, tenantId: undefined }, KEY)
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(InternalTransfer.create).not.toHaveBeenCalled();
+  });
+
+  it('fails without posting when the payer cannot cover the amount', async () => {
+    Savings.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(internalTransferService.transfer(toMember, PAYER, KEY)).rejects.toMatchObject({
+      statusCode: 422,
+      errorCode: 'ERR_INSUFFICIENT_BALANCE',
+    });
+    expect(ledgerService.createJournal).not.toHaveBeenCalled();
+  });
+
+  it("pays another member's fine into the group against the fines receivable", async () => {
+    const fine = { _id: FINE_ID, userId: PAYEE, status: 'outstanding', balance: () => 10000 };
+    Fine.findOne.mockResolvedValue(fine);
+    Fine.findById.mockResolvedValue(fine);
+
+    const transfer = await internalTransferService.transfer(
+      { type: 'MEMBER_TO_GROUP', purpose: 'FINE', fromSavingsId: FROM_SAVINGS, groupId: GROUP_ID, fineId: FINE_ID, amount: 10000 },
+      PAYER,
+      KEY
+    );
+
+    expect(transfer.to).toMatchObject({ groupId: GROUP_ID, fineId: FINE_ID, userId: PAYEE });
+    expect(ledgerService.createJournal.mock.calls[0][0].entries[1]).toMatchObject({ accountCode: '1300', credit: 10000 });
+    expect(fineService.applyPayment).toHaveBeenCalledWith(
+      fine,
+      expect.objectContaining({ amount: 10000, reference: transfer.reference, recordedBy: PAYER.id })
+    );
+    expect(notificationService.send.mock.calls[1][0].recipients).toEqual([PAYEE, TREASURER]);
+  });
+
+  it('refunds the payer and reverses the journal when the loan repayment cannot be applied', async () => {
+    Loan.findOne.mockReturnValue(mockQuery({ _id: LOAN_ID, user: PAYEE, status: 'disbursed', outstandingBalance: 500000 }));
+    recordRepayment.mockRejectedValue(new Error('Insufficient payment. Expected: 60000, Received: 50000'));
+
+    await expect(
+      internalTransferService.transfer(
+        { type: 'MEMBER_TO_GROUP', purpose: 'LOAN_REPAYMENT', fromSavingsId: FROM_SAVINGS, groupId: GROUP_ID, loanId: LOAN_ID, amount: 50000 },
+        PAYER,
+        KEY
+      )
+    ).rejects.toMatchObject({ statusCode: 500, errorCode: 'ERR_TRANSACTION_FAILED' });
+
+    const transfer = await InternalTransfer.create.mock.results[0].value;
+    expect(transfer.status).toBe('FAILED');
+    expect(Savings.updateOne).toHaveBeenLastCalledWith(
+      { _id: FROM_SAVINGS },
+      expect.objectContaining({ $inc: expect.objectContaining({ balance: 50000 }) })
+    );
+    expect(ledgerService.reverseJournal).toHaveBeenCalledWith(transfer.reference, expect.any(String));
+  });
+
+  it('records a contribution for the member it is paid for', async () => {
+    Contribution.create.mockResolvedValue({ _id: '64b0000000000000000000e1' });
+
+    const transfer = await internalTransferService.transfer(
+      { type: 'MEMBER_TO_GROUP', purpose: 'CONTRIBUTION', fromSavingsId: FROM_SAVINGS, groupId: GROUP_ID, onBehalfOf: PAYEE, amount: 20000 },
+      PAYER,
+      KEY
+    );
+
+    expect(Contribution.create).toHaveBeenCalledWith(
+      expect.objectContaining({ groupId: GROUP_ID, userId: PAYEE, amount: 20000, reference: transfer.reference })
+    );
+    expect(transfer.to.contributionId).toBe('64b0000000000000000000e1');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Loan Product Service Unit Tests
+ */
+
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/LoanProduct');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+
+const loanProductService = require('../../../services/loanProductService');
+const Loan = require('../../../models/Loan');
+const LoanProduct = require('../../../models/LoanProduct');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TENANT = 'tenant_1';
+const PRODUCT_ID = '64b0000000000000000000b1';
+
+const product = (overrides = {}) => ({
+  _id: PRODUCT_ID,
+  tenantId: TENANT,
+  code: 'BIZ',
+  version: 2,
+  status: 'active',
+  name: 'Business loan',
+  amount: { min: 50000, max: 2000000 },
+  termMonths: { min: 3, max: 12 },
+  interestRate: { min: 0.12, max: 0.24, default: 0.18 },
+  fees: [
+    { name: 'Processing', calculation: 'percentage', amount: 1.5 },
+    { name: 'Insurance', calculation: 'flat', amount: 5000 },
+  ],
+  savingsMultiple: 3,
+  requiredGuarantors: 1,
+  collateral: { required: false, coverageRatio: 1, acceptedTypes: [] },
+  schedule: { method: 'equal_principal', frequency: 'weekly', gracePeriods: 1 },
+  ...overrides,
+});
+
+describe('Loan Product Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createProduct', () => {
+    it('should create version 1 with an upper-case code', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(null));
+      LoanProduct.create.mockImplementation(async (doc) => doc);
+
+      const created = await loanProductService.createProduct(
+        TENANT,
+        { code: 'biz', name: 'Business loan', amount: { min: 1, max: 10 }, termMonths: { min: 1, max: 6 },
+          interestRate: { min: 0.1, max: 0.2, default: 0.15 } },
+        { id: 'admin_1' }
+      );
+
+      expect(created).toMatchObject({ code: 'BIZ', version: 1, status: 'active', tenantId: TENANT });
+    });
+
+    it('should refuse a default rate outside the range', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(
+        loanProductService.createProduct(
+          TENANT,
+          { code: 'BIZ', name: 'Business loan', amount: { min: 1, max: 10 }, termMonths: { min: 1, max: 6 },
+            interestRate: { min: 0.1, max: 0.2, default: 0.3 } },
+          { id: 'admin_1' }
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(LoanProduct.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateProduct', () => {
+    it('should save changes as a new version and supersede the current one', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(product()));
+      LoanProduct.create.mockImplementation(async (doc) => doc);
+
+      const updated = await loanProductService.updateProduct(
+        TENANT,
+        'biz',
+        { interestRate: { max: 0.3 } },
+        { id: 'admin_1' }
+      );
+
+      expect(updated.version).toBe(3);
+      expect(updated.interestRate).toEqual({ min: 0.12, max: 0.3, default: 0.18 });
+      expect(updated.fees).toHaveLength(2);
+      expect(LoanProduct.updateOne).toHaveBeenCalledWith(
+        { _id: PRODUCT_ID, status: 'active' },
+        { $set: expect.objectContaining({ status: 'superseded' }) }
+      );
+    });
+  });
+
+  describe('applyToApplication', () => {
+    const application = {
+      productCode: 'biz',
+      amount: 100000,
+      duration: 6,
+      groupId: '64b0000000000000000000aa',
+      guarantors: [{ member: '64b000000000000000000002' }],
+    };
+
+    it('should return the product terms, fees and version for the loan', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(product()));
+      Loan.calculateEligibility.mockResolvedValue({ score: 80, eligible: true, reasons: [] });
+
+      const terms = await loanProductService.applyToApplication(TENANT, application, { id: 'member_1' });
+
+      expect(terms).toEqual({
+        loanProduct: PRODUCT_ID,
+        productCode: 'BIZ',
+        productVersion: 2,
+        interestRate: 0.18,
+        repaymentPeriodMonths: 6,
+        amortizationMethod: 'equal_principal',
+        repaymentFrequency: 'weekly',
+        gracePeriods: 1,
+        fees: [
+          { name: 'Processing', amount: 1500 },
+          { name: 'Insurance', amount: 5000 },
+        ],
+        totalFees: 6500,
+      });
+      expect(Loan.calculateEligibility).toHaveBeenCalledWith(
+        'member_1',
+        application.groupId,
+        expect.objectContaining({ amount: 100000, guarantors: application.guarantors })
+      );
+    });
+
+    it('should reject terms outside the product ranges', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(product()));
+
+      await expect(
+        loanProductService.applyToApplication(TENANT, { ...application, duration: 24 }, { id: 'member_1' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        errorCode: 'ERR_LOAN_PRODUCT_TERMS',
+        rule: { product: 'BIZ', version: 2, rule: 'termMonths', min: 3, max: 12 },
+      });
+      expect(Loan.calculateEligibility).not.toHaveBeenCalled();
+    });
+
+    it('should reject members who are not eligible for the product', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(product()));
+      Loan.calculateEligibility.mockResolvedValue({
+        score: 50,
+        eligible: false,
+        maxAmount: 60000,
+        reasons: [{ rule: 'savingsMultiple', message: 'BIZ lends up to 3x savings (60000)', limit: 60000 }],
+      });
+
+      await expect(
+        loanProductService.applyToApplication(TENANT, application, { id: 'member_1' })
+      ).rejects.toMatchObject({ statusCode: 422, errorCode: 'ERR_LOAN_PRODUCT_ELIGIBILITY' });
+    });
+
+    it('should refuse applications under a superseded version', async () => {
+      LoanProduct.findOne.mockReturnValue(mockQuery(product({ status: 'superseded' })));
+
+      await expect(
+        loanProductService.applyToApplication(TENANT, { ...application, productId: PRODUCT_ID }, { id: 'member_1' })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_LOAN_PRODUCT_STATE' });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Loan Restructure Service Unit Tests
+ */
+
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/LoanAudit');
+jest.mock('../../../models/LoanRestructure');
+jest.mock('../../../models/LoanRepaymentSchedule', () => {
+  const actual = jest.requireActual('../../../models/LoanRepaymentSchedule');
+  return {
+    AMORTIZATION_METHODS: actual.AMORTIZATION_METHODS,
+    REPAYMENT_FREQUENCIES: actual.REPAYMENT_FREQUENCIES,
+    create: jest.fn(),
+    findOne: jest.fn(),
+  };
+});
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/guarantorService');
+jest.mock('../../../services/ledgerService');
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { LOAN_RESTRUCTURED: 'LOAN_RESTRUCTURED' },
+  send: jest.fn(),
+}));
+
+const loanRestructureService = require('../../../services/loanRestructureService');
+const Loan = require('../../../models/Loan');
+const LoanAudit = require('../../../models/LoanAudit');
+const LoanRestructure = require('../../../models/LoanRestructure');
+const LoanRepaymentSchedule = require('../../../models/LoanRepaymentSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOAN_ID = '64b0000000000000000000c1';
+const REQUEST_ID = '64b0000000000000000000d1';
+const BORROWER = '64b000000000000000000001';
+const MAKER = '64b000000000000000000002';
+const CHECKER = '64b000000000000000000003';
+
+const installment = (number, offsetDays, overrides = {}) => ({
+  number,
+  dueDate: new Date(Date.now() + offsetDays * DAY_MS),
+  principal: 25000,
+  interest: 1000,
+  totalAmount: 26000,
+  paidAmount: 0,
+  status: 'pending',
+  ...overrides,
+});
+
+// 100k over four months: first paid, second overdue, two to come
+const scheduleDoc = () => {
+  const doc = {
+    _id: '64b0000000000000000000e1',
+    loan: LOAN_ID,
+    method: 'equal_principal',
+    frequency: 'monthly',
+    interestRate: 0.12,
+    status: 'active',
+    installments: [
+      installment(1, -40, { paidAmount: 26000, status: 'paid' }),
+      installment(2, -10, { status: 'overdue' }),
+      installment(3, 20),
+      installment(4, 50),
+    ],
+    save: jest.fn().mockResolvedValue(true),
+  };
+  doc.toObject = () => ({ installments: doc.installments });
+  return doc;
+};
+
+const loanDoc = (overrides = {}) => ({
+  _id: LOAN_ID,
+  tenantId: 'tenant_1',
+  user: BORROWER,
+  group: '64b0000000000000000000aa',
+  status: 'overdue',
+  outstandingBalance: 78000,
+  repaymentPeriodMonths: 4,
+  daysPastDue: 10,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const requestDoc = (overrides = {}) => ({
+  _id: REQUEST_ID,
+  loan: LOAN_ID,
+  type: 'partial_write_down',
+  status: 'pending',
+  terms: { writeDownAmount: 15000 },
+  reason: 'Harvest failure',
+  requestedBy: MAKER,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Loan Restructure Service', () => {
+  let postingEngine;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    postingEngine = { post: jest.fn().mockResolvedValue({ journalId: `RST-${REQUEST_ID}` }) };
+    loanRestructureService.postingEngine = postingEngine;
+  });
+
+  describe('rebuild', () => {
+    it('should extend the term and carry overdue interest into the first installment', () => {
+      const { principal, carriedInterest, installments } = loanRestructureService.rebuild(scheduleDoc(), {
+        type: 'term_extension',
+        terms: { extensionMonths: 3 },
+      });
+
+      expect(principal).toBe(75000);
+      expect(carriedInterest).toBe(1000);
+      expect(installments).toHaveLength(6);
+      expect(installments.reduce((s, i) => s + i.principal, 0)).toBeCloseTo(75000, 2);
+      expect(installments[0].interest).toBeCloseTo(750 + 1000, 2);
+    });
+
+    it('should add overdue interest to principal when capitalizing', () => {
+      const { principal, carriedInterest, installments } = loanRestructureService.rebuild(scheduleDoc(), {
+        type: 'interest_capitalization',
+      });
+
+      expect(principal).toBe(76000);
+      expect(carriedInterest).toBe(0);
+      expect(installments).toHaveLength(3);
+    });
+
+    it('should refuse a write-down of the whole outstanding principal', () => {
+      expect(() =>
+        loanRestructureService.rebuild(scheduleDoc(), {
+          type: 'partial_write_down',
+          terms: { writeDownAmount: 75000 },
+        })
+      ).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+
+  describe('requestRestructure', () => {
+    it('should only let loan officers propose write-downs', async () => {
+      Loan.findById.mockResolvedValue(loanDoc());
+
+      await expect(
+        loanRestructureService.requestRestructure(
+          LOAN_ID,
+          { type: 'partial_write_down', writeDownAmount: 1000, reason: 'Please' },
+          { id: BORROWER, role: 'user' }
+        )
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(LoanRestructure.create).not.toHaveBeenCalled();
+    });
+
+    it('should save a pending request with the current position', async () => {
+      Loan.findById.mockResolvedValue(loanDoc());
+      LoanRepaymentSchedule.findOne.mockResolvedValue(scheduleDoc());
+      LoanRestructure.create.mockImplementation(async (doc) => ({ _id: REQUEST_ID, ...doc }));
+
+      const { restructure, preview } = await loanRestructureService.requestRestructure(
+        LOAN_ID,
+        { type: 'payment_holiday', holidayPeriods: 2, reason: 'School fees season' },
+        { id: BORROWER, role: 'user' }
+      );
+
+      expect(restructure).toMatchObject({
+        type: 'payment_holiday',
+        terms: { holidayPeriods: 2 },
+        requestedBy: BORROWER,
+        before: { principal: 75000, accruedInterest: 1000, installments: 3 },
+      });
+      expect(preview.installments).toHaveLength(3);
+    });
+  });
+
+  describe('approve', () => {
+    it('should not let the requester approve their own request', async () => {
+      LoanRestructure.findById.mockResolvedValue(requestDoc());
+
+      await expect(
+        loanRestructureService.approve(REQUEST_ID, { id: MAKER, role: 'loan_officer' })
+      ).rejects.toMatchObject({ statusCode: 403, errorCode: 'ERR_RESTRUCTURE_SELF_APPROVAL' });
+      expect(LoanRestructure.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should post the write-down, replace the schedule, reclassify the loan and audit both schedules', async () => {
+      const request = requestDoc();
+      const loan = loanDoc();
+      const schedule = scheduleDoc();
+      LoanRestructure.findById.mockResolvedValue(request);
+      LoanRestructure.findOneAndUpdate.mockResolvedValue({ ...request, status: 'applied', decidedBy: CHECKER });
+      Loan.findById.mockResolvedValue(loan);
+      LoanRepaymentSchedule.findOne.mockResolvedValue(schedule);
+      LoanRepaymentSchedule.create.mockImplementation(async (doc) => ({ _id: '64b0000000000000000000e2', ...doc }));
+
+      const applied = await loanRestructureService.approve(REQUEST_ID, { id: CHECKER, role: 'loan_officer' });
+
+      expect(postingEngine.post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operationType: 'WRITE_OFF',
+          idempotencyKey: `RST-${REQUEST_ID}`,
+          entries: [
+            { accountId: '1290', entryType: 'DEBIT', amount: 15000 },
+            { accountId: '1200', entryType: 'CREDIT', amount: 15000 },
+          ],
+        })
+      );
+      expect(schedule.status).toBe('suspended');
+      expect(LoanRepaymentSchedule.create).toHaveBeenCalledWith(
+        expect.objectContaining({ totalPrincipal: 60000, totalInstallments: 3 })
+      );
+      expect(loan).toMatchObject({
+        writtenOffAmount: 15000,
+        daysPastDue: 0,
+        restructureCount: 1,
+        provisionStage: 'STAGE_2',
+      });
+      expect(applied).toMatchObject({ journalId: `RST-${REQUEST_ID}`, impairmentStage: 'STAGE_2' });
+
+      const audit = LoanAudit.logAction.mock.calls[0][0];
+      expect(audit).toMatchObject({ action: 'loan_restructured', loan: LOAN_ID, user: BORROWER, actor: CHECKER });
+      expect(audit.changes.before.installments).toHaveLength(4);
+      expect(audit.changes.after.installments).toHaveLength(3);
+    });
+
+    it('should return the request to pending when posting fails', async () => {
+      LoanRestructure.findById.mockResolvedValue(requestDoc());
+      LoanRestructure.findOneAndUpdate.mockResolvedValue(requestDoc({ status: 'applied' }));
+      Loan.findById.mockResolvedValue(loanDoc());
+      LoanRepaymentSchedule.findOne.mockResolvedValue(scheduleDoc());
+      postingEngine.post.mockRejectedValue(new Error('ledger down'));
+
+      await expect(
+        loanRestructureService.approve(REQUEST_ID, { id: CHECKER, role: 'loan_officer' })
+      ).rejects.toMatchObject({ statusCode: 500 });
+      expect(LoanRepaymentSchedule.create).not.toHaveBeenCalled();
+      expect(LoanRestructure.updateOne).toHaveBeenCalledWith(
+        { _id: REQUEST_ID },
+        expect.objectContaining({ $set: { status: 'pending' } })
+      );
+    });
+  });
+});
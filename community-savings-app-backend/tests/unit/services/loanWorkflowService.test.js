@@ -9,9 +9,18 @@ const LoanAudit = require('../../../models/LoanAudit');
 const logger = require('../../../utils/logger');
 
 jest.mock('../../../models/Loan');
-jest.mock('../../../models/LoanRepaymentSchedule');
+jest.mock('../../../models/LoanRepaymentSchedule', () => {
+  const actual = jest.requireActual('../../../models/LoanRepaymentSchedule');
+  return {
+    AMORTIZATION_METHODS: actual.AMORTIZATION_METHODS,
+    REPAYMENT_FREQUENCIES: actual.REPAYMENT_FREQUENCIES,
+    create: jest.fn(),
+    findOne: jest.fn(),
+  };
+});
 jest.mock('../../../models/LoanAudit');
 jest.mock('../../../utils/logger');
+jest.mock('../../../services/guarantorService');
 
 describe('Loan Workflow Service', () => {
   const mockLoan = {
@@ -125,4 +134,85 @@ describe('Loan Workflow Service', () => {
       expect(LoanRepaymentSchedule.create).toHaveBeenCalled();
     });
   });
+
+  describe('buildInstallments', () => {
+    const service = new loanWorkflowService();
+    const base = {
+      principal: 100000,
+      annualRate: 0.24,
+      installments: 4,
+      frequency: 'monthly',
+      startDate: new Date(2026, 0, 31),
+    };
+    const sum = (rows, field) => Math.round(rows.reduce((s, r) => s + r[field], 0) * 100) / 100;
+
+    it('should spread flat interest evenly and repay the exact principal', () => {
+      const rows = service.buildInstallments({ ...base, principal: 100000.01, method: 'flat' });
+
+      expect(rows).toHaveLength(4);
+      expect(sum(rows, 'principal')).toBe(100000.01);
+      expect(sum(rows, 'interest')).toBe(8000);
+      expect(rows.map((r) => r.interest)).toEqual([2000, 2000, 2000, 2000]);
+    });
+
+    it('should build an annuity whose final installment clears the balance', () => {
+      const rows = service.buildInstallments({ ...base, method: 'declining_balance' });
+
+      expect(sum(rows, 'principal')).toBe(100000);
+      expect(rows[0].interest).toBe(2000);
+      expect(rows[0].totalAmount).toBeCloseTo(rows[1].totalAmount, 1);
+      expect(rows[3].interest).toBeLessThan(rows[0].interest);
+    });
+
+    it('should repay equal principal with declining interest', () => {
+      const rows = service.buildInstallments({ ...base, method: 'equal_principal' });
+
+      expect(rows.map((r) => r.principal)).toEqual([25000, 25000, 25000, 25000]);
+      expect(rows.map((r) => r.interest)).toEqual([2000, 1500, 1000, 500]);
+    });
+
+    it('should charge only interest during grace periods', () => {
+      const rows = service.buildInstallments({ ...base, method: 'equal_principal', gracePeriods: 2 });
+
+      expect(rows.map((r) => r.principal)).toEqual([0, 0, 50000, 50000]);
+      expect(rows[0].interest).toBe(2000);
+    });
+
+    it('should repay principal with the last interest-only installment', () => {
+      const rows = service.buildInstallments({ ...base, method: 'interest_only' });
+
+      expect(rows.map((r) => r.principal)).toEqual([0, 0, 0, 100000]);
+      expect(rows.every((r) => r.interest === 2000)).toBe(true);
+    });
+
+    it('should produce a single bullet installment at maturity', () => {
+      const rows = service.buildInstallments({ ...base, method: 'bullet', frequency: 'weekly', installments: 8 });
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ number: 8, principal: 100000 });
+      expect(rows[0].interest).toBeCloseTo((100000 * 0.24 * 8) / 52, 2);
+    });
+
+    it('should schedule weekly and bi-weekly installments from the term in months', () => {
+      expect(service.installmentCount(3, 'weekly')).toBe(13);
+      expect(service.installmentCount(3, 'biweekly')).toBe(7);
+      expect(service.installmentCount(1, 'daily')).toBe(30);
+
+      const rows = service.buildInstallments({ ...base, method: 'flat', frequency: 'biweekly' });
+      expect((rows[1].dueDate - rows[0].dueDate) / (24 * 60 * 60 * 1000)).toBe(14);
+    });
+
+    it('should clamp monthly due dates to the end of shorter months', () => {
+      const rows = service.buildInstallments({ ...base, method: 'flat' });
+
+      expect(rows[0].dueDate.getDate()).toBe(28);
+      expect(rows[1].dueDate.getDate()).toBe(31);
+    });
+
+    it('should reject unknown methods', () => {
+      expect(() => service.buildInstallments({ ...base, method: 'balloon' })).toThrow(
+        'Unsupported amortization method'
+      );
+    });
+  });
 });
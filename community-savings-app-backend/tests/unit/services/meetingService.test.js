@@ -0,0 +1,273 @@
+/**
+ * Meeting Service Unit Tests
+ */
+
+jest.mock('../../../models/Group');
+jest.mock('../../../models/Meeting');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/ledgerService', () => ({
+  createJournal: jest.fn(),
+}));
+jest.mock('../../../services/fineService', () => ({
+  loadFine: jest.fn(),
+  allocateMeetingPayments: jest.fn(),
+  applyMeetingPayments: jest.fn(),
+  evaluateGroup: jest.fn(),
+}));
+jest.mock('../../../services/loanWorkflowService', () => {
+  const recordRepayment = jest.fn();
+  return Object.assign(jest.fn(() => ({ recordRepayment })), { recordRepayment });
+});
+
+const meetingService = require('../../../services/meetingService');
+const Group = require('../../../models/Group');
+const Meeting = require('../../../models/Meeting');
+const ledgerService = require('../../../services/ledgerService');
+const fineService = require('../../../services/fineService');
+const { recordRepayment } = require('../../../services/loanWorkflowService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const buildMeeting = (overrides = {}) => {
+  const meeting = {
+    _id: 'meeting_1',
+    groupId: 'group_1',
+    tenantId: 'tenant_1',
+    title: 'March meeting',
+    currency: 'UGX',
+    status: 'IN_PROGRESS',
+    quorum: { required: 2, present: 0, met: false },
+    attendance: [],
+    records: [],
+    conflicts: [],
+    posting: {},
+    isNew: false,
+    isModified: jest.fn(() => false),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+  meeting.refreshQuorum = jest.fn(() => {
+    meeting.quorum.present = meeting.attendance.filter((a) => a.status !== 'absent').length;
+    meeting.quorum.met = meeting.quorum.present >= meeting.quorum.required;
+    return meeting.quorum;
+  });
+  meeting.totals = jest.fn(() => {
+    const totals = { contributions: 0, repayments: 0, fines: 0 };
+    meeting.records.forEach((r) => {
+      totals[`${r.type}s`] += r.amount;
+    });
+    return totals;
+  });
+  return meeting;
+};
+
+const attendees = [
+  { userId: 'u1', status: 'present' },
+  { userId: 'u2', status: 'present' },
+];
+
+describe('Meeting Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Meeting.findOneAndUpdate.mockReturnValue(mockQuery({ _id: 'meeting_1' }));
+    fineService.allocateMeetingPayments.mockResolvedValue({ settled: 0, excess: 0, applied: new Map() });
+  });
+
+  describe('buildJournalEntries', () => {
+    it('should debit cash with the sum of all credited record types', () => {
+      const entries = meetingService.buildJournalEntries(
+        { contributions: 300, repayments: 150, fines: 0 },
+        'UGX'
+      );
+
+      expect(entries).toEqual([
+        expect.objectContaining({ accountCode: '1000', debit: 450 }),
+        expect.objectContaining({ accountCode: '2010', credit: 300 }),
+        expect.objectContaining({ accountCode: '1200', credit: 150 }),
+      ]);
+    });
+  });
+
+  describe('finalizeMeeting', () => {
+    it('should post all records as one journal and close the meeting', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [
+          { type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' },
+          { type: 'fine', userId: 'u2', amount: 20, reference: 'R2' },
+        ],
+      });
+      ledgerService.createJournal.mockResolvedValue({ journalId: 'MTG-meeting_1' });
+
+      await meetingService.finalizeMeeting(meeting, 'officer_1');
+
+      expect(ledgerService.createJournal).toHaveBeenCalledTimes(1);
+      expect(ledgerService.createJournal.mock.calls[0][0]).toMatchObject({ journalId: 'MTG-meeting_1' });
+      expect(meeting.status).toBe('CLOSED');
+      expect(meeting.posting.totals).toEqual({ contributions: 100, repayments: 0, fines: 20 });
+    });
+
+    it('should clear the receivable for fines settled at the meeting and hold the excess', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [
+          { type: 'fine', userId: 'u1', amount: 20, reference: 'R1', fineId: 'fine_1' },
+          { type: 'fine', userId: 'u2', amount: 10, reference: 'R2' },
+        ],
+      });
+      const applied = new Map([['R1', 15]]);
+      fineService.allocateMeetingPayments.mockResolvedValue({ settled: 15, excess: 5, applied });
+      ledgerService.createJournal.mockResolvedValue({ journalId: 'MTG-meeting_1' });
+
+      await meetingService.finalizeMeeting(meeting, 'officer_1');
+
+      expect(ledgerService.createJournal.mock.calls[0][0].entries).toEqual([
+        expect.objectContaining({ accountCode: '1000', debit: 30 }),
+        expect.objectContaining({ accountCode: '4200', credit: 10 }),
+        expect.objectContaining({ accountCode: '1300', credit: 15 }),
+        expect.objectContaining({ accountCode: '2910', credit: 5 }),
+      ]);
+      expect(fineService.applyMeetingPayments).toHaveBeenCalledWith(meeting, applied);
+      expect(fineService.evaluateGroup).toHaveBeenCalledWith('group_1', {
+        triggers: ['missed_meeting', 'late_meeting_arrival'],
+      });
+    });
+
+    it('should refuse to close with records when quorum is not met', async () => {
+      const meeting = buildMeeting({
+        attendance: [attendees[0]],
+        records: [{ type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' }],
+      });
+
+      await expect(meetingService.finalizeMeeting(meeting, 'officer_1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+
+    it('should leave the meeting for reconciliation when posting fails', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [{ type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' }],
+      });
+      ledgerService.createJournal.mockRejectedValue(new Error('ledger down'));
+
+      await expect(meetingService.finalizeMeeting(meeting, 'officer_1')).rejects.toMatchObject({
+        statusCode: 502,
+      });
+      expect(meeting.status).toBe('RECONCILIATION_REQUIRED');
+    });
+
+    it('should claim the meeting before posting and refuse a concurrent close', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [{ type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' }],
+      });
+      Meeting.findOneAndUpdate.mockReturnValue(mockQuery(null));
+
+      await expect(meetingService.finalizeMeeting(meeting, 'officer_1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(Meeting.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'meeting_1', status: 'IN_PROGRESS' },
+        { $set: { status: 'CLOSING' } }
+      );
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+
+    it('should apply repayments to the loan once the meeting is posted', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [
+          { type: 'repayment', userId: 'u1', amount: 150, loanId: 'loan_1', reference: 'R1' },
+          { type: 'repayment', userId: 'u2', amount: 80, loanId: 'loan_2', reference: 'R2' },
+        ],
+      });
+      ledgerService.createJournal.mockResolvedValue({ journalId: 'MTG-meeting_1' });
+      recordRepayment.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('Insufficient payment'));
+
+      await meetingService.finalizeMeeting(meeting, 'officer_1');
+
+      expect(recordRepayment).toHaveBeenCalledWith('loan_1', 150, 'R1');
+      expect(recordRepayment).toHaveBeenCalledWith('loan_2', 80, 'R2');
+      expect(meeting.records[0].appliedAt).toBeInstanceOf(Date);
+      expect(meeting.records[1].appliedAt).toBeUndefined();
+      expect(meeting.status).toBe('CLOSED');
+    });
+  });
+
+  describe('applyOfflineEvent', () => {
+    const event = (eventType, payload = {}) => ({
+      eventId: `evt_${eventType}`,
+      eventType,
+      tenantId: 'tenant_1',
+      deviceId: 'device_1',
+      actorId: 'officer_1',
+      payload: { meetingId: 'offline_1', groupId: 'group_1', ...payload },
+    });
+
+    beforeEach(() => {
+      Group.findById.mockReturnValue(mockQuery({ _id: 'group_1', members: ['u1', 'u2', 'u3'] }));
+    });
+
+    it('should flag updates to a meeting that is already closed', async () => {
+      const meeting = buildMeeting({ status: 'CLOSED' });
+      Meeting.findOne.mockResolvedValue(meeting);
+
+      const result = await meetingService.applyOfflineEvent(event('MEETING_UPDATED'));
+
+      expect(result).toMatchObject({ conflict: true, reason: 'MEETING_ALREADY_CLOSED' });
+      expect(meeting.conflicts).toHaveLength(1);
+    });
+
+    it('should flag updates for a meeting the server has never seen', async () => {
+      Meeting.findOne.mockResolvedValue(null);
+
+      const result = await meetingService.applyOfflineEvent(event('MEETING_UPDATED'));
+
+      expect(result).toMatchObject({ conflict: true, reason: 'MEETING_NOT_FOUND' });
+    });
+
+    it('should flag a close whose totals differ from the server records', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [{ type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' }],
+      });
+      Meeting.findOne.mockResolvedValue(meeting);
+
+      const result = await meetingService.applyOfflineEvent(
+        event('MEETING_CLOSED', { totals: { contributions: 150 } })
+      );
+
+      expect(result).toMatchObject({ conflict: true, reason: 'TOTALS_MISMATCH' });
+      expect(result.details.differences).toEqual([
+        { field: 'contributions', expected: 150, actual: 100 },
+      ]);
+      expect(meeting.status).toBe('RECONCILIATION_REQUIRED');
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+    });
+
+    it('should merge records by reference and close when totals agree', async () => {
+      const meeting = buildMeeting({
+        attendance: attendees,
+        records: [{ type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' }],
+      });
+      Meeting.findOne.mockResolvedValue(meeting);
+      ledgerService.createJournal.mockResolvedValue({ journalId: 'MTG-meeting_1' });
+
+      const result = await meetingService.applyOfflineEvent(
+        event('MEETING_CLOSED', {
+          records: [
+            { type: 'contribution', userId: 'u1', amount: 100, reference: 'R1' },
+            { type: 'contribution', userId: 'u2', amount: 100, reference: 'R2' },
+          ],
+          totals: { contributions: 200 },
+        })
+      );
+
+      expect(result.applied).toBe(true);
+      expect(meeting.records).toHaveLength(2);
+      expect(meeting.status).toBe('CLOSED');
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * MFA Service Unit Tests
+ */
+
+process.env.MFA_SECRET_KEY = 'test-mfa-key';
+
+jest.mock('../../../models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../../models/MfaPolicy', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  ROLES: ['admin', 'group_admin', 'user', 'treasurer', 'secretary'],
+}));
+jest.mock('../../../models/Group', () => ({ exists: jest.fn() }));
+jest.mock('../../../models/RefreshToken', () => ({ updateMany: jest.fn() }));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService', () => ({ log: jest.fn() }));
+
+const Group = require('../../../models/Group');
+const MfaPolicy = require('../../../models/MfaPolicy');
+const RefreshToken = require('../../../models/RefreshToken');
+const User = require('../../../models/User');
+const auditLogService = require('../../../services/auditLogService');
+const AppError = require('../../../utils/AppError');
+const totp = require('../../../utils/totp');
+const mfaService = require('../../../services/mfaService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const USER_ID = '64b000000000000000000001';
+const ADMIN = { id: '64b0000000000000000000aa', role: 'admin', tenantId: 'tenant-1' };
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const user = (mfa = {}, overrides = {}) => ({
+  _id: USER_ID,
+  email: 'ann@example.com',
+  role: 'user',
+  tenantId: 'tenant-1',
+  mfa,
+  ...overrides,
+});
+
+const enrolled = (overrides = {}) =>
+  user({
+    enabled: true,
+    secret: mfaService.encryptSecret(SECRET),
+    backupCodes: [mfaService.hashBackupCode('abcd-efgh'), mfaService.hashBackupCode('jkmn-pqrs')],
+    lastUsedStep: 10,
+    ...overrides,
+  });
+
+describe('MFA Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MFA_REQUIRED_ROLES;
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    MfaPolicy.findOne.mockReturnValue(mockQuery(null));
+    Group.exists.mockResolvedValue(null);
+  });
+
+  describe('secrets and backup codes', () => {
+    it('encrypts secrets so they only decrypt with the key', () => {
+      const stored = mfaService.encryptSecret(SECRET);
+      expect(stored).toMatch(/^v1:/);
+      expect(stored).not.toContain(SECRET);
+      expect(mfaService.decryptSecret(stored)).toBe(SECRET);
+
+      const [, iv, tag, body] = stored.split(':');
+      const tampered = ['v1', iv, tag, `A${body.slice(1)}`].join(':');
+      expect(() => mfaService.decryptSecret(tampered)).toThrow(AppError);
+      expect(() => mfaService.decryptSecret('v1:not-enough-parts')).toThrow('MFA secret could not be read');
+    });
+
+    it('issues ten readable backup codes and stores only their hashes', () => {
+      const { codes, hashes } = mfaService.generateBackupCodes();
+      expect(codes).toHaveLength(10);
+      codes.forEach((code) => expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}$/));
+      expect(hashes[0]).toBe(mfaService.hashBackupCode(codes[0].toUpperCase().replace('-', '')));
+      expect(hashes.join()).not.toContain(codes[0]);
+    });
+  });
+
+  describe('enrolment', () => {
+    it('stores an encrypted secret and returns the provisioning QR code', async () => {
+      User.findById.mockReturnValue(mockQuery(user()));
+
+      const setup = await mfaService.beginSetup(USER_ID);
+
+      expect(setup.otpauthUrl).toContain(`secret=${setup.secret}`);
+      expect(setup.qrSvg).toMatch(/^<svg/);
+      const [, update] = User.updateOne.mock.calls[0];
+      expect(mfaService.decryptSecret(update.$set['mfa.secret'])).toBe(setup.secret);
+    });
+
+    it('switches MFA on once a code from the app is confirmed', async () => {
+      User.findById.mockReturnValue(
+        mockQuery(user({ enabled: false, secret: mfaService.encryptSecret(SECRET) }))
+      );
+
+      const { backupCodes } = await mfaService.confirmSetup(USER_ID, totp.generate(SECRET));
+
+      expect(backupCodes).toHaveLength(10);
+      const [, update] = User.updateOne.mock.calls[0];
+      expect(update.$set['mfa.enabled']).toBe(true);
+      expect(update.$set['mfa.backupCodes']).toEqual(
+        backupCodes.map((code) => mfaService.hashBackupCode(code))
+      );
+      expect(auditLogService.log).toHaveBeenCalledWith(
+        expect.objectContaining({ id: USER_ID }),
+        'mfa:enabled',
+        { userId: USER_ID }
+      );
+    });
+
+    it('refuses a wrong code or a confirmation without setup', async () => {
+      User.findById.mockReturnValue(
+        mockQuery(user({ enabled: false, secret: mfaService.encryptSecret(SECRET) }))
+      );
+      await expect(mfaService.confirmSetup(USER_ID, '000000')).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'ERR_MFA_CODE_INVALID',
+      });
+
+      User.findById.mockReturnValue(mockQuery(user({ enabled: false })));
+      await expect(mfaService.confirmSetup(USER_ID, '123456')).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ERR_MFA_SETUP_NOT_STARTED',
+      });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts a current code only for a step newer than the last one used', async () => {
+      User.findById.mockReturnValue(mockQuery(enrolled()));
+
+      await expect(mfaService.verify(USER_ID, { code: totp.generate(SECRET) })).resolves.toEqual({
+        method: 'TOTP',
+        backupCodesRemaining: 2,
+      });
+      const [filter] = User.updateOne.mock.calls[0];
+      expect(filter.$or[1]['mfa.lastUsedStep'].$lt).toBe(Math.floor(Date.now() / 30000));
+
+      // Same code again: the conditional update matches nothing
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      await expect(
+        mfaService.verify(USER_ID, { code: totp.generate(SECRET) })
+      ).rejects.toMatchObject({ statusCode: 401, errorCode: 'ERR_MFA_CODE_INVALID' });
+    });
+
+    it('uses up a backup code once', async () => {
+      User.findById.mockReturnValue(mockQuery(enrolled()));
+
+      const result = await mfaService.verify(USER_ID, { backupCode: 'ABCD-EFGH' });
+
+      expect(result).toEqual({ method: 'BACKUP_CODE', backupCodesRemaining: 1 });
+      const hash = mfaService.hashBackupCode('abcd-efgh');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID, 'mfa.backupCodes': hash },
+        { $pull: { 'mfa.backupCodes': hash } }
+      );
+      expect(auditLogService.log).toHaveBeenCalledWith(
+        expect.anything(),
+        'mfa:backup_code_used',
+        expect.objectContaining({ remaining: 1 })
+      );
+
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      await expect(mfaService.verify(USER_ID, { backupCode: 'abcd-efgh' })).rejects.toMatchObject({
+        errorCode: 'ERR_MFA_CODE_INVALID',
+      });
+    });
+
+    it('says when MFA is not on', async () => {
+      User.findById.mockReturnValue(mockQuery(user({ enabled: false })));
+      await expect(mfaService.verify(USER_ID, { code: '123456' })).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ERR_MFA_NOT_ENABLED',
+      });
+    });
+  });
+
+  describe('sign-in challenges', () => {
+    it('round-trips the user and purpose', () => {
+      const token = mfaService.createChallenge({ _id: USER_ID }, 'verify');
+      expect(mfaService.readChallenge(token)).toEqual({ userId: USER_ID, purpose: 'verify' });
+    });
+
+    it('rejects tampered and expired challenges', () => {
+      const token = mfaService.createChallenge({ _id: USER_ID }, 'verify');
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(
+        JSON.stringify({ sub: ADMIN.id, p: 'verify', e: Date.now() / 1000 + 300 })
+      ).toString('base64url');
+
+      [`${forged}.${signature}`, 'garbage', ''].forEach((bad) =>
+        expect(() => mfaService.readChallenge(bad)).toThrow(
+          expect.objectContaining({ statusCode: 401, errorCode: 'ERR_MFA_CHALLENGE_INVALID' })
+        )
+      );
+
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 6 * 60 * 1000);
+      expect(() => mfaService.readChallenge(token)).toThrow(
+        expect.objectContaining({ errorCode: 'ERR_MFA_CHALLENGE_INVALID' })
+      );
+      spy.mockRestore();
+    });
+  });
+
+  describe('policy', () => {
+    it('asks enrolled users for a code and required users to enrol', async () => {
+      expect(await mfaService.loginRequirement(enrolled())).toBe('verify');
+      expect(await mfaService.loginRequirement(user())).toBeNull();
+
+      MfaPolicy.findOne.mockReturnValue(mockQuery({ requiredRoles: ['admin'] }));
+      expect(await mfaService.loginRequirement(user({}, { role: 'admin' }))).toBe('enrol');
+    });
+
+    it('falls back to MFA_REQUIRED_ROLES when the tenant has no policy', async () => {
+      process.env.MFA_REQUIRED_ROLES = 'admin, nonsense';
+      expect(await mfaService.getPolicy('tenant-1')).toEqual({
+        tenantId: 'tenant-1',
+        requiredRoles: ['admin'],
+        source: 'DEFAULT',
+      });
+    });
+
+    it('covers group treasurers and secretaries', async () => {
+      MfaPolicy.findOne.mockReturnValue(mockQuery({ requiredRoles: ['treasurer'] }));
+      Group.exists.mockResolvedValue({ _id: 'group-1' });
+
+      expect(await mfaService.isRequired(user())).toBe(true);
+      expect(Group.exists).toHaveBeenCalledWith({
+        memberRoles: {
+          $elemMatch: { userId: USER_ID, role: { $in: ['treasurer'] }, invitationStatus: 'accepted' },
+        },
+      });
+    });
+
+    it('saves and audits a tenant policy', async () => {
+      MfaPolicy.findOne.mockReturnValue(mockQuery({ requiredRoles: ['admin', 'treasurer'] }));
+
+      const policy = await mfaService.setPolicy(
+        'tenant-1',
+        { requiredRoles: ['admin', 'treasurer', 'admin'] },
+        ADMIN
+      );
+
+      expect(MfaPolicy.findOneAndUpdate.mock.calls[0][1].$set.requiredRoles).toEqual([
+        'admin',
+        'treasurer',
+      ]);
+      expect(policy).toMatchObject({ source: 'TENANT', requiredRoles: ['admin', 'treasurer'] });
+      expect(auditLogService.log).toHaveBeenCalledWith(ADMIN, 'mfa:policy_updated', {
+        tenantId: 'tenant-1',
+        requiredRoles: ['admin', 'treasurer'],
+      });
+    });
+
+    it('will not let a required user switch MFA off', async () => {
+      MfaPolicy.findOne.mockReturnValue(mockQuery({ requiredRoles: ['user'] }));
+      User.findById.mockReturnValue(mockQuery(enrolled()));
+
+      await expect(
+        mfaService.disable(USER_ID, { code: totp.generate(SECRET) }, { id: USER_ID })
+      ).rejects.toMatchObject({ statusCode: 403, errorCode: 'ERR_MFA_REQUIRED' });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('switches MFA off with a valid code otherwise', async () => {
+      User.findById.mockReturnValue(mockQuery(enrolled()));
+
+      await mfaService.disable(USER_ID, { backupCode: 'jkmn-pqrs' }, { id: USER_ID });
+
+      const [, update] = User.updateOne.mock.calls[1];
+      expect(update.$set).toEqual({ 'mfa.enabled': false, 'mfa.backupCodes': [] });
+      expect(auditLogService.log).toHaveBeenCalledWith({ id: USER_ID }, 'mfa:disabled', {
+        userId: USER_ID,
+      });
+    });
+  });
+
+  describe('adminReset', () => {
+    it('clears MFA, ends sessions and audits the reason', async () => {
+      User.findById.mockReturnValue(mockQuery(enrolled()));
+      RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      await mfaService.adminReset(USER_ID, { reason: 'Lost phone, identity checked' }, ADMIN);
+
+      expect(User.updateOne.mock.calls[0][1].$unset).toHaveProperty(['mfa.secret']);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { userId: USER_ID, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'mfa_reset' } }
+      );
+      expect(auditLogService.log).toHaveBeenCalledWith(ADMIN, 'mfa:reset_by_admin', {
+        userId: USER_ID,
+        reason: 'Lost phone, identity checked',
+        sessionsRevoked: 3,
+      });
+    });
+
+    it('refuses self-resets and users from another tenant', async () => {
+      await expect(
+        mfaService.adminReset(ADMIN.id, { reason: 'mine' }, ADMIN)
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      User.findById.mockReturnValue(mockQuery({ ...enrolled(), tenantId: 'tenant-2' }));
+      await expect(
+        mfaService.adminReset(USER_ID, { reason: 'Lost phone' }, ADMIN)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
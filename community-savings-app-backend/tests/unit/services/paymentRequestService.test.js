@@ -0,0 +1,322 @@
+/**
+ * Payment Request Service Unit Tests
+ */
+
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/PaymentRequest');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/groupRoles', () => ({
+  loadGroup: jest.fn(),
+  isGroupOfficer: jest.fn(),
+  isGroupMember: jest.fn(),
+}));
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/loanWorkflowService', () => {
+  const recordRepayment = jest.fn();
+  return Object.assign(jest.fn(() => ({ recordRepayment })), { recordRepayment });
+});
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { PAYMENT_REQUEST: 'PAYMENT_REQUEST' },
+  send: jest.fn(),
+}));
+
+const paymentRequestService = require('../../../services/paymentRequestService');
+const Contribution = require('../../../models/Contribution');
+const Loan = require('../../../models/Loan');
+const PaymentRequest = require('../../../models/PaymentRequest');
+const User = require('../../../models/User');
+const { recordRepayment } = require('../../../services/loanWorkflowService');
+const notificationService = require('../../../services/notificationService');
+const groupRoles = require('../../../utils/groupRoles');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TREASURER = { id: '64b000000000000000000003', role: 'user' };
+const MEMBER = '64b000000000000000000001';
+const GROUP_ID = '64b0000000000000000000a1';
+const REQUEST_ID = '64b0000000000000000000e1';
+const LOAN_ID = '64b0000000000000000000d1';
+const HOUR = 60 * 60 * 1000;
+
+const storedRequest = (overrides = {}) => ({
+  _id: REQUEST_ID,
+  groupId: GROUP_ID,
+  reference: 'PR-ABC123-0F0F',
+  purpose: 'CONTRIBUTION',
+  userId: MEMBER,
+  amount: 50000,
+  currency: 'UGX',
+  expiresAt: new Date(Date.now() + 24 * HOUR),
+  status: 'OPEN',
+  attempts: [],
+  createdBy: TREASURER.id,
+  ...overrides,
+});
+
+const paymentProcessingService = {
+  createAndInitiate: jest.fn(),
+  process: jest.fn(),
+};
+
+describe('Payment Request Service', () => {
+  const originalSecret = process.env.PAYMENT_REQUEST_SIGNING_SECRET;
+
+  beforeAll(() => {
+    process.env.PAYMENT_REQUEST_SIGNING_SECRET = 'test-payment-link-secret';
+    paymentRequestService.configure({ paymentProcessingService });
+  });
+
+  afterAll(() => {
+    process.env.PAYMENT_REQUEST_SIGNING_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    groupRoles.loadGroup.mockResolvedValue({ _id: GROUP_ID, name: 'Kireka Women' });
+    groupRoles.isGroupOfficer.mockReturnValue(true);
+    groupRoles.isGroupMember.mockReturnValue(true);
+    PaymentRequest.create.mockImplementation(async (doc) => ({ _id: REQUEST_ID, status: 'OPEN', attempts: [], ...doc }));
+    PaymentRequest.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    paymentProcessingService.createAndInitiate.mockResolvedValue({ paymentId: 'pay_1' });
+    paymentProcessingService.process.mockResolvedValue({ outcome: 'SUCCESS', provider: {} });
+    Contribution.create.mockResolvedValue({ _id: '64b0000000000000000000c1' });
+  });
+
+  describe('create', () => {
+    it('creates a signed link and QR code for a member contribution', async () => {
+      const result = await paymentRequestService.create(
+        GROUP_ID,
+        { purpose: 'CONTRIBUTION', userId: MEMBER, amount: 50000 },
+        TREASURER
+      );
+
+      expect(PaymentRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: GROUP_ID, userId: MEMBER, amount: 50000, currency: 'UGX', createdBy: TREASURER.id })
+      );
+      const { reference, expiresAt } = PaymentRequest.create.mock.calls[0][0];
+      expect(reference).toMatch(/^PR-[A-Z0-9]+-[A-F0-9]{4}$/);
+      expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(71 * HOUR);
+      expect(result.link).toMatch(/\/api\/v1\/pay\/[\w-]+\.[\w-]+$/);
+      expect(result.qrSvg).toMatch(/^<svg/);
+
+      const claims = paymentRequestService.verify(result.link.split('/pay/')[1]);
+      expect(claims).toMatchObject({ r: reference, g: GROUP_ID, p: 'C', a: 50000, c: 'UGX' });
+    });
+
+    it('bills a loan installment to the borrower', async () => {
+      Loan.findOne.mockReturnValue(mockQuery({ _id: LOAN_ID, user: MEMBER, status: 'active' }));
+
+      await paymentRequestService.create(GROUP_ID, { purpose: 'LOAN_REPAYMENT', loanId: LOAN_ID, amount: 30000 }, TREASURER);
+
+      expect(PaymentRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({ purpose: 'LOAN_REPAYMENT', loanId: LOAN_ID, userId: MEMBER })
+      );
+    });
+
+    it('is limited to group officers', async () => {
+      groupRoles.isGroupOfficer.mockReturnValue(false);
+
+      await expect(
+        paymentRequestService.create(GROUP_ID, { purpose: 'CONTRIBUTION', userId: MEMBER, amount: 1000 }, TREASURER)
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(PaymentRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createForMember', () => {
+    const member = { _id: MEMBER, tenantId: '64b0000000000000000000f1' };
+
+    it('raises a request the member pays themselves', async () => {
+      PaymentRequest.findOne.mockResolvedValue(null);
+
+      const request = await paymentRequestService.createForMember(
+        { groupId: GROUP_ID, purpose: 'CONTRIBUTION', amount: 20000, phoneNumber: '+256772000001', reference: 'USSD-1A2B', channel: 'USSD' },
+        member
+      );
+
+      expect(request).toMatchObject({ reference: 'USSD-1A2B', userId: MEMBER, createdBy: MEMBER, channel: 'USSD' });
+      expect(groupRoles.isGroupOfficer).not.toHaveBeenCalled();
+    });
+
+    it('returns the original request when the reference is retried', async () => {
+      const existing = storedRequest({ reference: 'USSD-1A2B', status: 'PROCESSING' });
+      PaymentRequest.findOne.mockResolvedValue(existing);
+
+      const request = await paymentRequestService.createForMember(
+        { groupId: GROUP_ID, purpose: 'CONTRIBUTION', amount: 50000, reference: 'USSD-1A2B' },
+        member
+      );
+
+      expect(request).toBe(existing);
+      expect(PaymentRequest.create).not.toHaveBeenCalled();
+    });
+
+    it("only repays the member's own loan", async () => {
+      PaymentRequest.findOne.mockResolvedValue(null);
+      Loan.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(
+        paymentRequestService.createForMember(
+          { purpose: 'LOAN_REPAYMENT', loanId: LOAN_ID, amount: 30000, reference: 'USSD-9F9F' },
+          member
+        )
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(Loan.findOne).toHaveBeenCalledWith({ _id: LOAN_ID, user: MEMBER });
+    });
+  });
+
+  describe('links', () => {
+    it('rejects a tampered link', async () => {
+      const token = paymentRequestService.sign(storedRequest());
+      const [body, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+      const forged = Buffer.from(JSON.stringify({ ...claims, a: 1 })).toString('base64url');
+
+      await expect(paymentRequestService.fromToken(`${forged}.${signature}`)).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'ERR_PAYMENT_REQUEST_LINK',
+      });
+    });
+
+    it('rejects an expired link', () => {
+      const token = paymentRequestService.sign(storedRequest({ expiresAt: new Date(Date.now() - HOUR) }));
+
+      expect(() => paymentRequestService.verify(token)).toThrow(expect.objectContaining({ statusCode: 410 }));
+    });
+
+    it('shows the public view and counts the open', async () => {
+      PaymentRequest.findOne.mockResolvedValue(storedRequest());
+      User.findById.mockReturnValue(mockQuery({ name: 'Nakato Sarah' }));
+
+      const view = await paymentRequestService.view(paymentRequestService.sign(storedRequest()));
+
+      expect(view).toMatchObject({ groupName: 'Kireka Women', memberFirstName: 'Nakato', amount: 50000, status: 'OPEN' });
+      expect(PaymentRequest.updateOne).toHaveBeenCalledWith({ _id: REQUEST_ID }, expect.objectContaining({ $inc: { openCount: 1 } }));
+    });
+  });
+
+  describe('pay', () => {
+    const token = () => paymentRequestService.sign(storedRequest());
+    const payer = { provider: 'mtn', phoneNumber: '256772000001' };
+
+    beforeEach(() => {
+      PaymentRequest.findOne.mockResolvedValue(storedRequest());
+      PaymentRequest.findOneAndUpdate
+        .mockResolvedValueOnce(storedRequest({ status: 'PROCESSING' }))
+        .mockResolvedValueOnce(storedRequest({ status: 'PAID' }));
+    });
+
+    it('collects by mobile money and records the contribution under the reference', async () => {
+      const result = await paymentRequestService.pay(token(), payer);
+
+      expect(result).toEqual({ status: 'PAID', reference: 'PR-ABC123-0F0F' });
+      expect(paymentProcessingService.createAndInitiate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'contribution',
+          direction: 'inbound',
+          amount: 50000,
+          provider: 'mtn',
+          reference: 'PR-ABC123-0F0F-1',
+          idempotencyKey: 'PR-ABC123-0F0F-1',
+        }),
+        {}
+      );
+      expect(Contribution.create).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: GROUP_ID, userId: MEMBER, amount: 50000, reference: 'PR-ABC123-0F0F' })
+      );
+      expect(notificationService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ recipients: [TREASURER.id], type: 'PAYMENT_REQUEST' })
+      );
+    });
+
+    it('applies a loan repayment for loan requests', async () => {
+      const loanRequest = storedRequest({ purpose: 'LOAN_REPAYMENT', loanId: LOAN_ID });
+      PaymentRequest.findOne.mockResolvedValue(loanRequest);
+      PaymentRequest.findOneAndUpdate.mockReset();
+      PaymentRequest.findOneAndUpdate
+        .mockResolvedValueOnce({ ...loanRequest, status: 'PROCESSING' })
+        .mockResolvedValueOnce({ ...loanRequest, status: 'PAID' });
+
+      await paymentRequestService.pay(paymentRequestService.sign(loanRequest), payer);
+
+      expect(paymentProcessingService.createAndInitiate).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'loan_repayment' }),
+        {}
+      );
+      expect(recordRepayment).toHaveBeenCalledWith(LOAN_ID, 50000, 'PR-ABC123-0F0F');
+      expect(Contribution.create).not.toHaveBeenCalled();
+    });
+
+    it('waits for the callback when the collection is pending', async () => {
+      paymentProcessingService.process.mockResolvedValueOnce({ outcome: 'PENDING', provider: {} });
+
+      const result = await paymentRequestService.pay(token(), payer);
+
+      expect(result.status).toBe('PENDING');
+      expect(PaymentRequest.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(Contribution.create).not.toHaveBeenCalled();
+
+      PaymentRequest.findOne.mockResolvedValueOnce(storedRequest({ status: 'PROCESSING' }));
+      const settled = await paymentRequestService.handlePaymentEvent({
+        eventType: 'PaymentCompleted',
+        data: { paymentId: 'pay_1' },
+      });
+
+      expect(settled.status).toBe('PAID');
+      expect(Contribution.create).toHaveBeenCalled();
+    });
+
+    it('reopens the request when the collection fails', async () => {
+      paymentProcessingService.process.mockResolvedValueOnce({ outcome: 'FAILED', provider: { reasonCode: 'INSUFFICIENT_FUNDS' } });
+      PaymentRequest.findOneAndUpdate.mockReset();
+      PaymentRequest.findOneAndUpdate
+        .mockResolvedValueOnce(storedRequest({ status: 'PROCESSING' }))
+        .mockResolvedValueOnce(storedRequest({ status: 'OPEN' }));
+
+      const result = await paymentRequestService.pay(token(), payer);
+
+      expect(result).toMatchObject({ status: 'FAILED', reasonCode: 'INSUFFICIENT_FUNDS' });
+      expect(PaymentRequest.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: REQUEST_ID, status: 'PROCESSING' },
+        { $set: expect.objectContaining({ status: 'OPEN', 'attempts.$[attempt].status': 'FAILED' }) },
+        expect.objectContaining({ arrayFilters: [{ 'attempt.paymentId': 'pay_1' }] })
+      );
+      expect(Contribution.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a request that is already paid', async () => {
+      PaymentRequest.findOne.mockResolvedValue(storedRequest({ status: 'PAID' }));
+
+      await expect(paymentRequestService.pay(token(), payer)).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ERR_PAYMENT_REQUEST_STATE',
+      });
+      expect(paymentProcessingService.createAndInitiate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list', () => {
+    it('expires stale requests and totals what was paid', async () => {
+      PaymentRequest.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      PaymentRequest.find.mockReturnValue(
+        mockQuery([
+          storedRequest({ status: 'PAID', amount: 50000 }),
+          storedRequest({ status: 'PAID', amount: 20000 }),
+          storedRequest({ status: 'EXPIRED' }),
+          storedRequest(),
+        ])
+      );
+
+      const result = await paymentRequestService.list(GROUP_ID, TREASURER);
+
+      expect(PaymentRequest.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: GROUP_ID, status: 'OPEN' }),
+        { $set: { status: 'EXPIRED' } }
+      );
+      expect(result.summary).toMatchObject({ open: 1, paid: 2, expired: 1, collected: 70000 });
+      expect(result.requests[3].link).toMatch(/\/api\/v1\/pay\//);
+      expect(result.requests[0].link).toBeUndefined();
+    });
+  });
+});
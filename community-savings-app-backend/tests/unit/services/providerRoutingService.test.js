@@ -0,0 +1,202 @@
+/**
+ * Provider Routing Service Unit Tests
+ */
+
+jest.mock('../../../models/DisbursementBatch');
+jest.mock('../../../models/ProviderRoutingPolicy');
+jest.mock('../../../models/RoutingDecision');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/mtn/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+jest.mock('../../../services/airtel/disbursements', () => ({ disburse: jest.fn(), getStatus: jest.fn() }));
+
+const providerRoutingService = require('../../../services/providerRoutingService');
+const DisbursementBatch = require('../../../models/DisbursementBatch');
+const ProviderRoutingPolicy = require('../../../models/ProviderRoutingPolicy');
+const RoutingDecision = require('../../../models/RoutingDecision');
+const User = require('../../../models/User');
+const mtn = require('../../../services/mtn/disbursements');
+const airtel = require('../../../services/airtel/disbursements');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TENANT_ID = '64b0000000000000000000f1';
+const MEMBER = '64b000000000000000000001';
+const ADMIN = { id: '64b000000000000000000009', role: 'admin' };
+
+// Both numbers belong to the member: the payout goes to MTN, Airtel is the fallback
+const MEMBER_USER = {
+  phone: '0702000001',
+  mobileMoney: { provider: 'mtn', accountNumber: '256772000001', verified: true },
+};
+
+const payout = (overrides = {}) => ({
+  tenantId: TENANT_ID,
+  userId: MEMBER,
+  phoneNumber: '256772000001',
+  provider: 'mtn',
+  amount: 150000,
+  currency: 'UGX',
+  reference: 'DB-1-1-1',
+  invoke: (adapter, wallet) => adapter.disburse({ phoneNumber: wallet.phoneNumber }),
+  ...overrides,
+});
+
+describe('Provider Routing Service', () => {
+  let circuits;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    circuits = {};
+    const breaker = {
+      policies: {},
+      createCircuit: (name) => {
+        circuits[name] = circuits[name] || { state: 'CLOSED', openedAt: null, policy: { resetTimeout: 60000 } };
+        return circuits[name];
+      },
+      execute: (name, operation) => operation(),
+    };
+    providerRoutingService.policy.circuitBreaker = breaker;
+    providerRoutingService.router.circuitBreaker = breaker;
+    providerRoutingService.policy.samples.clear();
+    providerRoutingService.policy.settlementCache.clear();
+    providerRoutingService.policies.clear();
+
+    User.findById.mockReturnValue(mockQuery(MEMBER_USER));
+    ProviderRoutingPolicy.findOne.mockReturnValue(mockQuery(null));
+    DisbursementBatch.aggregate.mockResolvedValue([]);
+    RoutingDecision.create.mockImplementation(async (doc) => ({ _id: '64b0000000000000000000e1', ...doc }));
+    mtn.disburse.mockResolvedValue({ reference: 'mtn-ref', status: 'PENDING' });
+    airtel.disburse.mockResolvedValue({ reference: 'airtel-ref', status: 'TIP' });
+  });
+
+  describe('memberWallets', () => {
+    it('lists the payout number first, then other wallets, without duplicates', async () => {
+      const wallets = await providerRoutingService.memberWallets({ userId: MEMBER, phoneNumber: '0772000001' });
+
+      expect(wallets).toEqual([
+        { provider: 'mtn', phoneNumber: '256772000001', source: 'PAYOUT', primary: true },
+        { provider: 'airtel', phoneNumber: '256702000001', source: 'PROFILE_PHONE', primary: false },
+      ]);
+    });
+  });
+
+  describe('disburse', () => {
+    it('pays the primary wallet when the networks are healthy and records why', async () => {
+      const { wallet, decisionId } = await providerRoutingService.disburse(payout());
+
+      expect(wallet).toMatchObject({ provider: 'mtn', phoneNumber: '256772000001' });
+      expect(mtn.disburse).toHaveBeenCalledWith({ phoneNumber: '256772000001' });
+      expect(airtel.disburse).not.toHaveBeenCalled();
+      expect(decisionId).toBe('64b0000000000000000000e1');
+
+      const decision = RoutingDecision.create.mock.calls[0][0];
+      expect(decision).toMatchObject({
+        tenantId: TENANT_ID,
+        operation: 'disburse',
+        reference: 'DB-1-1-1',
+        outcome: 'ROUTED',
+        failover: false,
+        chosen: { provider: 'mtn', phoneNumber: '256772000001' },
+      });
+      expect(decision.candidates[0].reasons).toEqual(
+        expect.arrayContaining(['NO_RECENT_OUTCOMES', 'SETTLEMENT_UNKNOWN', 'PRIMARY_WALLET'])
+      );
+    });
+
+    it('routes away from a network whose live success rate has dropped', async () => {
+      for (let i = 0; i < 20; i += 1) {
+        providerRoutingService.policy.recordOutcome('mtn', { tenantId: TENANT_ID, success: i % 4 === 0, latencyMs: 9000 });
+      }
+
+      const { wallet } = await providerRoutingService.disburse(payout());
+
+      expect(wallet.provider).toBe('airtel');
+      expect(airtel.disburse).toHaveBeenCalledWith({ phoneNumber: '256702000001' });
+      const [first, second] = RoutingDecision.create.mock.calls[0][0].candidates;
+      expect(first.provider).toBe('airtel');
+      expect(second.reasons).toContain('LIVE_SUCCESS_25%_OF_20');
+      expect(first.score).toBeGreaterThan(second.score);
+    });
+
+    it('fails over to the next wallet when the chosen network fails', async () => {
+      mtn.disburse.mockRejectedValueOnce(new Error('MTN timeout'));
+
+      const { wallet } = await providerRoutingService.disburse(payout());
+
+      expect(wallet.provider).toBe('airtel');
+      const decision = RoutingDecision.create.mock.calls[0][0];
+      expect(decision.failover).toBe(true);
+      expect(decision.attempts).toEqual([
+        expect.objectContaining({ provider: 'mtn', phoneNumber: '256772000001', outcome: 'FAILED', error: 'MTN timeout' }),
+        expect.objectContaining({ provider: 'airtel', phoneNumber: '256702000001', outcome: 'SUCCESS' }),
+      ]);
+      expect(providerRoutingService.policy.liveStats('mtn', TENANT_ID)).toMatchObject({ observations: 1, successRate: 0 });
+    });
+
+    it('skips a network whose circuit is open', async () => {
+      providerRoutingService.policy.circuitBreaker.createCircuit('mtn-momo');
+      Object.assign(circuits['mtn-momo'], { state: 'OPEN', openedAt: Date.now() });
+
+      const { wallet } = await providerRoutingService.disburse(payout());
+
+      expect(wallet.provider).toBe('airtel');
+      expect(mtn.disburse).not.toHaveBeenCalled();
+      const excluded = RoutingDecision.create.mock.calls[0][0].candidates.find((c) => c.excluded);
+      expect(excluded).toMatchObject({ provider: 'mtn', reasons: ['CIRCUIT_OPEN'] });
+    });
+
+    it('does not fail over a request the provider rejected as invalid', async () => {
+      mtn.disburse.mockRejectedValueOnce(Object.assign(new Error('Amount above limit'), { statusCode: 400 }));
+
+      await expect(providerRoutingService.disburse(payout())).rejects.toMatchObject({
+        message: 'Amount above limit',
+        decisionId: '64b0000000000000000000e1',
+      });
+      expect(airtel.disburse).not.toHaveBeenCalled();
+      expect(RoutingDecision.create).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'EXHAUSTED' }));
+    });
+
+    it('applies the tenant override: disabled providers and no failover', async () => {
+      ProviderRoutingPolicy.findOne.mockReturnValue(mockQuery({ disabledProviders: ['airtel'], failoverEnabled: false }));
+      mtn.disburse.mockRejectedValueOnce(new Error('MTN timeout'));
+
+      await expect(providerRoutingService.disburse(payout())).rejects.toThrow('MTN timeout');
+
+      expect(airtel.disburse).not.toHaveBeenCalled();
+      const decision = RoutingDecision.create.mock.calls[0][0];
+      expect(decision.candidates.find((c) => c.provider === 'airtel')).toMatchObject({
+        excluded: true,
+        reasons: ['DISABLED_BY_TENANT'],
+      });
+    });
+
+    it('prefers the network with better settlement history', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const history = [];
+      for (let i = 2; i < 30; i += 1) {
+        const sentAt = new Date(Date.now() - i * day);
+        history.push({ provider: 'mtn', status: i % 2 ? 'failed' : 'paid', amount: 1000, initiatedAt: sentAt, completedAt: sentAt });
+        history.push({ provider: 'airtel', status: 'paid', amount: 1000, initiatedAt: sentAt, completedAt: new Date(sentAt.getTime() + 30000) });
+      }
+      DisbursementBatch.aggregate.mockResolvedValue(history);
+
+      const { wallet } = await providerRoutingService.disburse(payout());
+
+      expect(wallet.provider).toBe('airtel');
+      const [airtelCandidate, mtnCandidate] = RoutingDecision.create.mock.calls[0][0].candidates;
+      expect(airtelCandidate.components.settlement).toBeGreaterThan(mtnCandidate.components.settlement);
+    });
+  });
+
+  describe('updatePolicy', () => {
+    it('refuses to disable every provider', async () => {
+      ProviderRoutingPolicy.PROVIDERS = ['mtn', 'airtel'];
+
+      await expect(
+        providerRoutingService.updatePolicy(TENANT_ID, { disabledProviders: ['mtn', 'airtel'] }, ADMIN)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(ProviderRoutingPolicy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,479 @@
+/**
+ * Rotation Service Unit Tests
+ */
+
+jest.mock('../../../models/Group');
+jest.mock('../../../models/RotationCycle');
+jest.mock('../../../models/RotationRound');
+jest.mock('../../../models/Transaction');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { ROTATION_PAYOUT: 'ROTATION_PAYOUT' },
+  send: jest.fn(),
+}));
+jest.mock('../../../services/walletService', () => ({
+  getWallet: jest.fn(),
+  deposit: jest.fn(),
+}));
+
+const rotationService = require('../../../services/rotationService');
+const RotationCycle = require('../../../models/RotationCycle');
+const RotationRound = require('../../../models/RotationRound');
+const Transaction = require('../../../models/Transaction');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const order = [
+  { userId: 'u1', position: 1, status: 'paid' },
+  { userId: 'u2', position: 2, status: 'scheduled' },
+  { userId: 'u3', position: 3, status: 'scheduled' },
+  { userId: 'u4', position: 4, status: 'scheduled' },
+];
+
+const ids = (slots) => slots.map((slot) => slot.userId);
+
+describe('Rotation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildRoundSchedule', () => {
+    it('should assign one round per slot in payout order', () => {
+      const rounds = rotationService.buildRoundSchedule({
+        payoutOrder: [
+          { userId: 'b', position: 2 },
+          { userId: 'a', position: 1 },
+        ],
+        startDate: '2026-01-05T00:00:00.000Z',
+        frequency: 'weekly',
+      });
+
+      expect(rounds.map((r) => r.recipientId)).toEqual(['a', 'b']);
+      expect(rounds[1].dueDate.toISOString()).toBe('2026-01-12T00:00:00.000Z');
+    });
+
+    it('should step monthly rounds by calendar month', () => {
+      const due = rotationService.addPeriod('2026-01-15T00:00:00.000Z', 'monthly', 2);
+      expect(due.toISOString()).toBe('2026-03-15T00:00:00.000Z');
+    });
+  });
+
+  describe('payout order changes', () => {
+    it('should swap two waiting members', () => {
+      const next = rotationService.swapSlots(order, 2, 'u2', 'u4');
+      expect(ids(next)).toEqual(['u1', 'u4', 'u3', 'u2']);
+      expect(next.map((s) => s.position)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should refuse to swap a member who already received the pot', () => {
+      expect(() => rotationService.swapSlots(order, 2, 'u1', 'u3')).toThrow(
+        'Both members must still be waiting for their turn'
+      );
+    });
+
+    it('should move an emergency request to the current round', () => {
+      expect(ids(rotationService.moveToFront(order, 2, 'u4'))).toEqual(['u1', 'u4', 'u2', 'u3']);
+    });
+
+    it('should defer a defaulter to the last round', () => {
+      const next = rotationService.moveToBack(order, 2, 'u2');
+      expect(ids(next)).toEqual(['u1', 'u3', 'u4', 'u2']);
+      expect(next[3]).toMatchObject({ status: 'deferred', deferredCount: 1 });
+    });
+  });
+
+  describe('findConfirmedPayment', () => {
+    it("should return the member's settled payment for the reference", async () => {
+      Transaction.findOne.mockReturnValue(mockQuery({ userId: 'u2', amount: 100, status: 'SUCCESS' }));
+      RotationRound.exists.mockResolvedValue(null);
+
+      const found = await rotationService.findConfirmedPayment({ reference: 'REF-2', userId: 'u2', roundId: 'r2' });
+
+      expect(found.amount).toBe(100);
+      expect(Transaction.findOne).toHaveBeenCalledWith({
+        $or: [{ externalId: 'REF-2' }, { providerReferenceId: 'REF-2' }],
+        status: { $in: ['SUCCESS', 'SETTLED'] },
+      });
+      expect(RotationRound.exists).toHaveBeenCalledWith({
+        _id: { $ne: 'r2' },
+        'contributions.reference': 'REF-2',
+      });
+    });
+
+    it('should reject a reference with no confirmed payment', async () => {
+      Transaction.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(
+        rotationService.findConfirmedPayment({ reference: 'REF-2', userId: 'u2', roundId: 'r2' })
+      ).rejects.toMatchObject({ statusCode: 402 });
+    });
+
+    it("should reject another member's payment", async () => {
+      Transaction.findOne.mockReturnValue(mockQuery({ userId: 'u3', amount: 100, status: 'SUCCESS' }));
+
+      await expect(
+        rotationService.findConfirmedPayment({ reference: 'REF-2', userId: 'u2', roundId: 'r2' })
+      ).rejects.toMatchObject({ statusCode: 402 });
+    });
+
+    it('should reject a payment already credited to another round', async () => {
+      Transaction.findOne.mockReturnValue(mockQuery({ userId: 'u2', amount: 100, status: 'SUCCESS' }));
+      RotationRound.exists.mockResolvedValue({ _id: 'r1' });
+
+      await expect(
+        rotationService.findConfirmedPayment({ reference: 'REF-2', userId: 'u2', roundId: 'r2' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should require a payment reference', async () => {
+      await expect(rotationService.findConfirmedPayment({ userId: 'u2', roundId: 'r2' })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(Transaction.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordContribution', () => {
+    const buildRound = (overrides = {}) => ({
+      _id: 'r2',
+      cycleId: 'cycle_1',
+      roundNumber: 2,
+      status: 'collecting',
+      expectedAmount: 200,
+      collectedAmount: 100,
+      contributions: [{ userId: 'u1', amount: 100, reference: 'REF-1' }],
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      RotationCycle.findById.mockResolvedValue({
+        _id: 'cycle_1',
+        hasMember: jest.fn().mockReturnValue(true),
+      });
+    });
+
+    it('should add the payment atomically and mark the round ready once the pot is complete', async () => {
+      RotationRound.findById.mockResolvedValue(buildRound());
+      RotationRound.findOneAndUpdate
+        .mockResolvedValueOnce(buildRound({ collectedAmount: 200 }))
+        .mockResolvedValueOnce(buildRound({ collectedAmount: 200, status: 'ready' }));
+
+      const round = await rotationService.recordContribution({
+        roundId: 'r2',
+        userId: 'u2',
+        amount: 100,
+        reference: 'REF-2',
+      });
+
+      const [filter, update] = RotationRound.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: 'r2',
+        status: { $in: ['collecting', 'ready'] },
+        'contributions.reference': { $ne: 'REF-2' },
+      });
+      expect(update.$inc).toEqual({ collectedAmount: 100 });
+      expect(update.$push.contributions).toMatchObject({ userId: 'u2', amount: 100, reference: 'REF-2' });
+      expect(RotationRound.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: 'r2', status: 'collecting' });
+      expect(round.status).toBe('ready');
+    });
+
+    it('should ignore a repeated payment reference', async () => {
+      RotationRound.findById.mockResolvedValue(buildRound());
+
+      const round = await rotationService.recordContribution({
+        roundId: 'r2',
+        userId: 'u1',
+        amount: 100,
+        reference: 'REF-1',
+      });
+
+      expect(round.collectedAmount).toBe(100);
+      expect(RotationRound.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should treat a reference recorded concurrently as a repeat', async () => {
+      RotationRound.findById
+        .mockResolvedValueOnce(buildRound())
+        .mockResolvedValueOnce(
+          buildRound({ collectedAmount: 200, contributions: [{ reference: 'REF-2' }] })
+        );
+      RotationRound.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      const round = await rotationService.recordContribution({
+        roundId: 'r2',
+        userId: 'u2',
+        amount: 100,
+        reference: 'REF-2',
+      });
+
+      expect(round.collectedAmount).toBe(200);
+    });
+
+    it('should reject payments into a released round', async () => {
+      RotationRound.findById.mockResolvedValue(buildRound({ status: 'released' }));
+
+      await expect(
+        rotationService.recordContribution({ roundId: 'r2', userId: 'u2', amount: 100 })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(RotationRound.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releasePot', () => {
+    const Group = require('../../../models/Group');
+    const walletService = require('../../../services/walletService');
+    const officer = { id: 'officer_1', role: 'user' };
+
+    const NOW = new Date('2026-06-01T10:00:00.000Z');
+    let cycle;
+
+    const buildRound = (overrides = {}) => ({
+      _id: 'r2',
+      cycleId: 'cycle_1',
+      roundNumber: 2,
+      recipientId: 'u2',
+      status: 'ready',
+      collectedAmount: 200,
+      expectedAmount: 200,
+      payout: {},
+      paidBy: () => 100,
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+      Group.findById.mockReturnValue(
+        mockQuery({
+          _id: 'group_1',
+          name: 'Umoja',
+          members: ['u1', 'u2'],
+          memberRoles: [{ userId: 'officer_1', role: 'treasurer' }],
+        })
+      );
+      cycle = {
+        _id: 'cycle_1',
+        groupId: 'group_1',
+        status: 'active',
+        currentRound: 2,
+        totalRounds: 4,
+        contributionAmount: 100,
+        currency: 'KES',
+        payoutOrder: [],
+        slotFor: jest.fn(),
+        save: jest.fn(),
+      };
+      RotationCycle.findOne.mockResolvedValue(cycle);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should claim the round before paying so a second release cannot pay again', async () => {
+      RotationRound.findOneAndUpdate.mockResolvedValueOnce(null);
+      RotationRound.findOne.mockResolvedValueOnce(
+        buildRound({ status: 'releasing', payout: { claimedAt: NOW } })
+      );
+
+      await expect(rotationService.releasePot('group_1', 'cycle_1', officer)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Current round is already being released',
+      });
+
+      expect(RotationRound.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          cycleId: 'cycle_1',
+          roundNumber: 2,
+          $or: [
+            { status: { $in: ['collecting', 'ready'] } },
+            {
+              status: 'releasing',
+              'payout.claimedAt': { $not: { $gte: new Date('2026-06-01T09:50:00.000Z') } },
+            },
+          ],
+        },
+        { $set: { status: 'releasing', 'payout.claimedAt': NOW } }
+      );
+      expect(walletService.deposit).not.toHaveBeenCalled();
+    });
+
+    it('should hand an incomplete pot back to collecting', async () => {
+      RotationRound.findOneAndUpdate.mockResolvedValueOnce(
+        buildRound({ status: 'collecting', collectedAmount: 100 })
+      );
+
+      await expect(rotationService.releasePot('group_1', 'cycle_1', officer)).rejects.toMatchObject({
+        statusCode: 422,
+      });
+
+      expect(RotationRound.updateOne).toHaveBeenCalledWith(
+        { _id: 'r2', status: 'releasing', 'payout.claimedAt': NOW },
+        { $set: { status: 'collecting' }, $unset: { 'payout.claimedAt': 1 } }
+      );
+      expect(walletService.deposit).not.toHaveBeenCalled();
+    });
+
+    it('should mark the deposit on the round before crediting the wallet under a round reference', async () => {
+      walletService.getWallet.mockResolvedValue({ _id: 'wallet_u2' });
+      RotationRound.findOneAndUpdate
+        .mockResolvedValueOnce(buildRound())
+        .mockResolvedValueOnce(buildRound({ status: 'releasing' }))
+        .mockResolvedValueOnce(buildRound({ status: 'released', payout: { channel: 'WALLET' } }));
+
+      const { round } = await rotationService.releasePot('group_1', 'cycle_1', officer);
+
+      const [markFilter, mark] = RotationRound.findOneAndUpdate.mock.calls[1];
+      expect(markFilter).toEqual({
+        _id: 'r2',
+        status: 'releasing',
+        'payout.claimedAt': NOW,
+        'payout.depositStartedAt': { $exists: false },
+      });
+      expect(mark).toEqual({ $set: { 'payout.reference': 'ROSCA-r2', 'payout.depositStartedAt': NOW } });
+      expect(walletService.deposit).toHaveBeenCalledWith(
+        expect.objectContaining({ walletId: 'wallet_u2', amount: 200, reference: 'ROSCA-r2' })
+      );
+      expect(RotationRound.updateOne).toHaveBeenCalledWith(
+        { _id: 'r2', status: 'releasing', 'payout.claimedAt': NOW },
+        { $set: { 'payout.channel': 'WALLET', 'payout.needsReconciliation': false } }
+      );
+      expect(RotationRound.findOneAndUpdate.mock.calls[2][0]).toEqual({
+        _id: 'r2',
+        status: 'releasing',
+        'payout.claimedAt': NOW,
+      });
+      expect(round.status).toBe('released');
+      expect(cycle.currentRound).toBe(3);
+      expect(RotationRound.updateOne).toHaveBeenCalledWith(
+        { cycleId: 'cycle_1', roundNumber: 3, status: 'scheduled' },
+        { $set: { status: 'collecting' } }
+      );
+      expect(cycle.save).toHaveBeenCalled();
+    });
+
+    it('should not credit the wallet again when resuming a release whose deposit has no outcome', async () => {
+      walletService.getWallet.mockResolvedValue({ _id: 'wallet_u2' });
+      const stalled = {
+        claimedAt: new Date('2026-06-01T09:00:00.000Z'),
+        depositStartedAt: new Date('2026-06-01T09:00:01.000Z'),
+      };
+      RotationRound.findOneAndUpdate
+        .mockResolvedValueOnce(buildRound({ status: 'releasing', payout: stalled }))
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(
+          buildRound({ status: 'released', payout: { channel: 'MANUAL', needsReconciliation: true } })
+        );
+
+      const { round } = await rotationService.releasePot('group_1', 'cycle_1', officer);
+
+      expect(walletService.deposit).not.toHaveBeenCalled();
+      expect(RotationRound.updateOne).toHaveBeenCalledWith(
+        { _id: 'r2', status: 'releasing', 'payout.claimedAt': NOW },
+        { $set: { 'payout.channel': 'MANUAL', 'payout.needsReconciliation': true } }
+      );
+      expect(round.payout.needsReconciliation).toBe(true);
+      expect(cycle.currentRound).toBe(3);
+    });
+
+    it('should finish a resumed release whose wallet credit was already recorded', async () => {
+      RotationRound.findOneAndUpdate
+        .mockResolvedValueOnce(
+          buildRound({
+            status: 'releasing',
+            payout: { claimedAt: new Date('2026-06-01T09:00:00.000Z'), channel: 'WALLET' },
+          })
+        )
+        .mockResolvedValueOnce(buildRound({ status: 'released', payout: { channel: 'WALLET' } }));
+
+      await rotationService.releasePot('group_1', 'cycle_1', officer);
+
+      expect(walletService.getWallet).not.toHaveBeenCalled();
+      expect(walletService.deposit).not.toHaveBeenCalled();
+      expect(cycle.currentRound).toBe(3);
+    });
+
+    it('should move the cycle on when the round was released but the cycle was not saved', async () => {
+      RotationRound.findOneAndUpdate.mockResolvedValueOnce(null);
+      RotationRound.findOne.mockResolvedValueOnce(buildRound({ status: 'released', payout: { channel: 'WALLET' } }));
+
+      await rotationService.releasePot('group_1', 'cycle_1', officer);
+
+      expect(RotationRound.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(walletService.deposit).not.toHaveBeenCalled();
+      expect(cycle.currentRound).toBe(3);
+      expect(cycle.save).toHaveBeenCalled();
+    });
+
+    it('should leave a failed wallet credit for the treasurer to reconcile', async () => {
+      walletService.getWallet.mockResolvedValue({ _id: 'wallet_u2' });
+      walletService.deposit.mockRejectedValue(new Error('write conflict'));
+      RotationRound.findOneAndUpdate
+        .mockResolvedValueOnce(buildRound())
+        .mockResolvedValueOnce(buildRound({ status: 'releasing' }))
+        .mockResolvedValueOnce(buildRound({ status: 'released' }));
+
+      await rotationService.releasePot('group_1', 'cycle_1', officer);
+
+      expect(RotationRound.updateOne).toHaveBeenCalledWith(
+        { _id: 'r2', status: 'releasing', 'payout.claimedAt': NOW },
+        { $set: { 'payout.channel': 'MANUAL', 'payout.needsReconciliation': true } }
+      );
+    });
+  });
+
+  describe('skipDefaulter', () => {
+    const Group = require('../../../models/Group');
+    const officer = { id: 'officer_1', role: 'user' };
+
+    beforeEach(() => {
+      Group.findById.mockReturnValue(
+        mockQuery({
+          _id: 'group_1',
+          members: ['u1', 'u2'],
+          memberRoles: [{ userId: 'officer_1', role: 'treasurer' }],
+        })
+      );
+      RotationCycle.findOne.mockResolvedValue({
+        _id: 'cycle_1',
+        groupId: 'group_1',
+        status: 'active',
+        currentRound: 2,
+        totalRounds: 4,
+        contributionAmount: 100,
+        payoutOrder: order,
+        save: jest.fn(),
+      });
+    });
+
+    it('should not defer the recipient of a round that is being released', async () => {
+      RotationRound.findOne.mockResolvedValue({ _id: 'r2', roundNumber: 2, recipientId: 'u2', status: 'releasing' });
+
+      await expect(rotationService.skipDefaulter('group_1', 'cycle_1', officer)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(RotationRound.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(RotationRound.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should stop if a release claims the round while the recipient is being deferred', async () => {
+      RotationRound.findOne.mockResolvedValue({
+        _id: 'r2',
+        roundNumber: 2,
+        recipientId: 'u2',
+        status: 'ready',
+        paidBy: () => 0,
+      });
+      RotationRound.countDocuments.mockResolvedValue(0);
+      RotationRound.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(rotationService.skipDefaulter('group_1', 'cycle_1', officer)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(RotationRound.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'r2', status: { $in: ['collecting', 'ready'] } },
+        { $push: { skippedRecipients: 'u2' } }
+      );
+      expect(RotationRound.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * Savings Cycle Service Unit Tests
+ */
+
+jest.mock('../../../models/Group');
+jest.mock('../../../models/SavingsCycle');
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/Fine');
+jest.mock('../../../models/LedgerEntry');
+jest.mock('../../../models/Loan');
+jest.mock('../../../models/LoanAudit');
+jest.mock('../../../models/LoanRepaymentSchedule', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/guarantorService');
+jest.mock('../../../services/ledgerService');
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { SHARE_OUT: 'SHARE_OUT' },
+  send: jest.fn(),
+}));
+jest.mock('../../../services/reportExportService', () => ({
+  REPORT_TYPES: { SHARE_OUT: 'SHARE_OUT' },
+  REPORT_FORMATS: { PDF: 'PDF' },
+  exportReport: jest.fn(),
+}));
+
+const savingsCycleService = require('../../../services/savingsCycleService');
+const Contribution = require('../../../models/Contribution');
+const Fine = require('../../../models/Fine');
+const Group = require('../../../models/Group');
+const LedgerEntry = require('../../../models/LedgerEntry');
+const Loan = require('../../../models/Loan');
+const LoanRepaymentSchedule = require('../../../models/LoanRepaymentSchedule');
+const SavingsCycle = require('../../../models/SavingsCycle');
+const guarantorService = require('../../../services/guarantorService');
+const ledgerService = require('../../../services/ledgerService');
+const reportExportService = require('../../../services/reportExportService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const GROUP_ID = '64b0000000000000000000a1';
+const CYCLE_ID = '64b0000000000000000000b1';
+const LOAN_ID = '64b0000000000000000000c1';
+const CHAIR = '64b000000000000000000001';
+const TREASURER = '64b000000000000000000002';
+
+const group = {
+  _id: GROUP_ID,
+  name: 'Bukoto Women VSLA',
+  members: [CHAIR, TREASURER],
+  memberRoles: [{ userId: TREASURER, role: 'treasurer' }],
+  createdBy: CHAIR,
+};
+
+const cycle = {
+  _id: CYCLE_ID,
+  groupId: GROUP_ID,
+  cycleNumber: 1,
+  currency: 'UGX',
+  startDate: new Date('2025-01-01T00:00:00.000Z'),
+  openingBalances: [],
+};
+
+const END = new Date('2026-01-01T00:00:00.000Z');
+
+// Both save 100k; the treasurer still owes the last installment of a loan
+const givenCycleActivity = () => {
+  Contribution.find.mockReturnValue(mockQuery([
+    { userId: CHAIR, amount: 100000, date: new Date('2025-02-01T00:00:00.000Z') },
+    { userId: TREASURER, amount: 100000, date: new Date('2025-02-01T00:00:00.000Z') },
+  ]));
+  Fine.find.mockReturnValue(mockQuery([
+    { payments: [{ amount: 2000, paidAt: new Date('2025-03-10T00:00:00.000Z') }] },
+  ]));
+  Loan.find.mockReturnValue(mockQuery([
+    { _id: LOAN_ID, user: TREASURER, status: 'active', outstandingBalance: 26000 },
+  ]));
+  LoanRepaymentSchedule.find.mockReturnValue(mockQuery([
+    {
+      loan: LOAN_ID,
+      installments: [
+        {
+          number: 1,
+          principal: 25000,
+          interest: 1000,
+          totalAmount: 26000,
+          paidAmount: 26000,
+          status: 'paid',
+          payments: [{ amount: 26000, paidAt: new Date('2025-06-01T00:00:00.000Z') }],
+        },
+        { number: 2, principal: 25000, interest: 1000, totalAmount: 26000, paidAmount: 0, status: 'pending' },
+      ],
+    },
+  ]));
+};
+
+describe('Savings Cycle Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SHARE_OUT_SIGNING_SECRET = 'test-secret';
+    Group.findById.mockReturnValue(mockQuery(group));
+  });
+
+  describe('computeShareOut', () => {
+    it('should list outstanding loans as blockers under the block policy', async () => {
+      givenCycleActivity();
+
+      const result = await savingsCycleService.computeShareOut(cycle, group, { endDate: END });
+
+      expect(result.blockers).toEqual([
+        expect.objectContaining({ reason: 'loan_outstanding', userId: TREASURER, amount: 26000 }),
+      ]);
+      // Interest collected (1000) and fines paid (2000)
+      expect(result.totals.profit).toBe(3000);
+      expect(result.loans).toEqual([]);
+    });
+
+    it('should net loans against the share-out and carry balances forward', async () => {
+      givenCycleActivity();
+
+      const result = await savingsCycleService.computeShareOut(cycle, group, {
+        endDate: END,
+        loanPolicy: 'net',
+        carryForward: { [CHAIR]: 20000 },
+      });
+
+      expect(result.blockers).toEqual([]);
+      // Interest still due on the netted loan counts towards profit
+      expect(result.totals).toMatchObject({ interestIncome: 1000, fineIncome: 2000, profit: 4000 });
+      expect(result.lines).toEqual([
+        expect.objectContaining({ userId: CHAIR, profitShare: 2000, gross: 102000, carryForward: 20000, payout: 82000 }),
+        expect.objectContaining({ userId: TREASURER, profitShare: 2000, gross: 102000, loansNetted: 26000, payout: 76000 }),
+      ]);
+      expect(result.totals.payout + result.totals.carryForward + result.totals.loansNetted).toBe(204000);
+    });
+
+    it('should block when a loan exceeds the borrower share-out', async () => {
+      givenCycleActivity();
+      Loan.find.mockReturnValue(mockQuery([
+        { _id: LOAN_ID, user: TREASURER, status: 'overdue', outstandingBalance: 150000 },
+      ]));
+
+      const result = await savingsCycleService.computeShareOut(cycle, group, { endDate: END, loanPolicy: 'net' });
+
+      expect(result.blockers).toEqual([
+        expect.objectContaining({ reason: 'loan_exceeds_share_out', userId: TREASURER }),
+      ]);
+    });
+  });
+
+  describe('prepareCloseOut', () => {
+    it('should refuse to close while loans are outstanding', async () => {
+      givenCycleActivity();
+      SavingsCycle.findOne.mockResolvedValue({ ...cycle, status: 'active', toObject: () => cycle });
+
+      await expect(
+        savingsCycleService.prepareCloseOut(GROUP_ID, CYCLE_ID, { endDate: END }, { id: CHAIR })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_CYCLE_LOANS_OUTSTANDING' });
+      expect(SavingsCycle.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a share-out the group has too few officers to sign', async () => {
+      Group.findById.mockReturnValue(mockQuery({ ...group, memberRoles: [] }));
+      givenCycleActivity();
+      SavingsCycle.findOne.mockResolvedValue({ ...cycle, status: 'active', toObject: () => cycle });
+
+      await expect(
+        savingsCycleService.prepareCloseOut(GROUP_ID, CYCLE_ID, { endDate: END, loanPolicy: 'net' }, { id: CHAIR })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_CYCLE_STATE' });
+      expect(SavingsCycle.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should only let officers prepare a close-out', async () => {
+      await expect(
+        savingsCycleService.prepareCloseOut(GROUP_ID, CYCLE_ID, {}, { id: '64b000000000000000000009' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('signCloseOut', () => {
+    const closeOut = (signatures) => ({
+      loanPolicy: 'net',
+      method: 'SHARE_BALANCE',
+      digest: 'a'.repeat(64),
+      requiredSignatures: 2,
+      signatures,
+      totals: { payout: 158000 },
+      loans: [{ loanId: LOAN_ID, userId: TREASURER, outstanding: 26000 }],
+      lines: [
+        { userId: CHAIR, payout: 82000, carryForward: 20000 },
+        { userId: TREASURER, payout: 76000, carryForward: 0, loansNetted: 26000 },
+      ],
+    });
+    const closingCycle = (signatures) => ({ ...cycle, endDate: END, status: 'closing', closeOut: closeOut(signatures) });
+
+    it('should reject a signature against a report that has since changed', async () => {
+      SavingsCycle.findOne.mockResolvedValue(closingCycle([]));
+
+      await expect(
+        savingsCycleService.signCloseOut(GROUP_ID, CYCLE_ID, { digest: 'b'.repeat(64) }, { id: CHAIR })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_CYCLE_STATE' });
+    });
+
+    it('should wait for the required number of signatures', async () => {
+      SavingsCycle.findOne.mockResolvedValue(closingCycle([]));
+      SavingsCycle.findOneAndUpdate.mockResolvedValue(
+        closingCycle([{ userId: CHAIR, role: 'chairperson', signedAt: new Date() }])
+      );
+
+      const result = await savingsCycleService.signCloseOut(GROUP_ID, CYCLE_ID, {}, { id: CHAIR });
+
+      expect(result.nextCycle).toBeNull();
+      expect(SavingsCycle.create).not.toHaveBeenCalled();
+    });
+
+    it('should not close on fewer signatures than required, whatever the report says', async () => {
+      const report = closingCycle([{ userId: CHAIR, role: 'chairperson', signedAt: new Date() }]);
+      report.closeOut.requiredSignatures = 1;
+      SavingsCycle.findOne.mockResolvedValue(closingCycle([]));
+      SavingsCycle.findOneAndUpdate.mockResolvedValue(report);
+
+      const result = await savingsCycleService.signCloseOut(GROUP_ID, CYCLE_ID, {}, { id: CHAIR });
+
+      expect(result.nextCycle).toBeNull();
+      expect(SavingsCycle.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should close on the last signature, settle netted loans and open the next cycle', async () => {
+      const signatures = [
+        { userId: CHAIR, role: 'chairperson', signedAt: new Date('2026-01-02T00:00:00.000Z') },
+        { userId: TREASURER, role: 'treasurer', signedAt: new Date('2026-01-02T01:00:00.000Z') },
+      ];
+      const finalizing = { ...closingCycle(signatures), status: 'finalizing', save: jest.fn() };
+      const loan = { _id: LOAN_ID, user: TREASURER, tenantId: 't1', amountRepaid: 26000, save: jest.fn() };
+      const schedule = {
+        installments: [
+          { number: 1, totalAmount: 26000, paidAmount: 26000, status: 'paid' },
+          { number: 2, totalAmount: 26000, paidAmount: 0, status: 'pending' },
+        ],
+        recordPayment: jest.fn(),
+        save: jest.fn(),
+      };
+
+      SavingsCycle.findOne
+        .mockResolvedValueOnce(closingCycle(signatures.slice(0, 1)))
+        .mockResolvedValueOnce(null);
+      SavingsCycle.findOneAndUpdate
+        .mockResolvedValueOnce(closingCycle(signatures))
+        .mockResolvedValueOnce(finalizing);
+      SavingsCycle.create.mockResolvedValue({ _id: '64b0000000000000000000b2' });
+      Loan.findById.mockResolvedValue(loan);
+      LoanRepaymentSchedule.findOne.mockResolvedValue(schedule);
+      reportExportService.exportReport.mockResolvedValue({ filename: 'SHARE_OUT_1.pdf' });
+
+      const result = await savingsCycleService.signCloseOut(GROUP_ID, CYCLE_ID, {}, { id: TREASURER });
+
+      expect(SavingsCycle.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: CYCLE_ID, status: 'closing' },
+        { $set: expect.objectContaining({ status: 'finalizing', 'closeOut.seal': expect.stringMatching(/^[0-9a-f]{64}$/) }) },
+        { new: true }
+      );
+      expect(schedule.recordPayment).toHaveBeenCalledWith(2, 26000, 'SHARE_OUT', `SHAREOUT-${CYCLE_ID}`);
+      expect(loan).toMatchObject({ status: 'completed', outstandingBalance: 0, amountRepaid: 52000 });
+      expect(guarantorService.releaseLiens).toHaveBeenCalledWith(LOAN_ID);
+      expect(ledgerService.createJournal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entries: [
+            expect.objectContaining({ accountCode: '2010', debit: 26000 }),
+            expect.objectContaining({ accountCode: '1200', credit: 26000 }),
+          ],
+        })
+      );
+      expect(SavingsCycle.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          cycleNumber: 2,
+          startDate: END,
+          previousCycleId: CYCLE_ID,
+          openingBalances: [{ userId: CHAIR, amount: 20000 }],
+        })
+      );
+      expect(finalizing.closeOut.loans[0].settledAt).toBeInstanceOf(Date);
+      expect(finalizing).toMatchObject({ status: 'closed', nextCycleId: '64b0000000000000000000b2' });
+      expect(finalizing.closeOut.reportFile).toBe('SHARE_OUT_1.pdf');
+      expect(result.nextCycle._id).toBe('64b0000000000000000000b2');
+    });
+  });
+
+  describe('resumeCloseOut', () => {
+    const interrupted = () => ({
+      ...cycle,
+      endDate: END,
+      status: 'finalizing',
+      closeOut: {
+        digest: 'a'.repeat(64),
+        totals: { payout: 158000 },
+        loans: [{ loanId: LOAN_ID, userId: TREASURER, outstanding: 26000 }],
+        lines: [{ userId: CHAIR, payout: 82000, carryForward: 20000 }],
+        finalizingAt: new Date(Date.now() - 60 * 60 * 1000),
+      },
+      save: jest.fn(),
+    });
+
+    it('should finish a stale close-out without settling the loan or opening the next cycle twice', async () => {
+      const stale = interrupted();
+      const loan = { _id: LOAN_ID, status: 'completed', tenantId: 't1', save: jest.fn() };
+      const nextCycle = { _id: '64b0000000000000000000b2' };
+      SavingsCycle.findOneAndUpdate.mockResolvedValue(stale);
+      SavingsCycle.findOne.mockResolvedValue(nextCycle);
+      Loan.findById.mockResolvedValue(loan);
+      LedgerEntry.exists.mockResolvedValue({ _id: 'le1' });
+      reportExportService.exportReport.mockResolvedValue({ filename: 'SHARE_OUT_1.pdf' });
+
+      const result = await savingsCycleService.resumeCloseOut(GROUP_ID, CYCLE_ID, { id: CHAIR });
+
+      expect(SavingsCycle.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'finalizing', 'closeOut.finalizingAt': { $lt: expect.any(Date) } }),
+        expect.anything(),
+        { new: true }
+      );
+      expect(loan.save).not.toHaveBeenCalled();
+      expect(guarantorService.releaseLiens).not.toHaveBeenCalled();
+      expect(ledgerService.createJournal).not.toHaveBeenCalled();
+      expect(SavingsCycle.create).not.toHaveBeenCalled();
+      expect(stale.closeOut.loans[0].journalId).toBe(`SHO-${CYCLE_ID}-${LOAN_ID}`);
+      expect(result).toMatchObject({ cycle: { status: 'closed' }, nextCycle });
+    });
+
+    it('should not take over a close-out that is still running', async () => {
+      SavingsCycle.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(
+        savingsCycleService.resumeCloseOut(GROUP_ID, CYCLE_ID, { id: CHAIR })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ERR_CYCLE_STATE' });
+      expect(SavingsCycle.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('seal', () => {
+    it('should change when a signature is altered', () => {
+      const signatures = [{ userId: CHAIR, signedAt: new Date('2026-01-02T00:00:00.000Z') }];
+      const original = savingsCycleService.seal('a'.repeat(64), signatures);
+      const forged = savingsCycleService.seal('a'.repeat(64), [{ ...signatures[0], userId: TREASURER }]);
+
+      expect(original).toMatch(/^[0-9a-f]{64}$/);
+      expect(forged).not.toBe(original);
+    });
+  });
+});
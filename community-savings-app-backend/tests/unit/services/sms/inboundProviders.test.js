@@ -0,0 +1,106 @@
+/**
+ * Inbound SMS Providers Unit Tests
+ */
+
+const { resolve, twilioSignature } = require('../../../../services/sms/inboundProviders');
+
+const request = ({ body = {}, query = {}, headers = {}, originalUrl = '/api/v1/sms/inbound/twilio' } = {}) => ({
+  body,
+  query,
+  headers,
+  originalUrl,
+  protocol: 'https',
+  get: () => 'api.example.org',
+});
+
+describe('Inbound SMS Providers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SMS_INBOUND_TOKEN = 'inbound-token';
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-token';
+    delete process.env.SMS_INBOUND_BASE_URL;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('only knows the supported providers', () => {
+    expect(resolve('AfricasTalking').name).toBe('AFRICAS_TALKING');
+    expect(resolve('mock')).toBeNull();
+  });
+
+  describe("Africa's Talking", () => {
+    const provider = resolve('africastalking');
+
+    it('accepts the shared token from the query or header', () => {
+      expect(provider.verify(request({ query: { token: 'inbound-token' } }))).toBe(true);
+      expect(provider.verify(request({ headers: { 'x-webhook-token': 'inbound-token' } }))).toBe(true);
+      expect(provider.verify(request({ query: { token: 'wrong' } }))).toBe(false);
+    });
+
+    it('refuses everything when no token is configured', () => {
+      delete process.env.SMS_INBOUND_TOKEN;
+      expect(provider.verify(request({ query: { token: '' } }))).toBe(false);
+    });
+
+    it('reads the form post', () => {
+      expect(
+        provider.parse({ from: '+256772000001', to: '6040', text: 'BAL', id: 'ATXid_1', date: '2026-10-19 08:00:00' })
+      ).toEqual([
+        expect.objectContaining({ provider: 'AFRICAS_TALKING', messageId: 'ATXid_1', from: '+256772000001', text: 'BAL' }),
+      ]);
+    });
+  });
+
+  describe('Twilio', () => {
+    const provider = resolve('twilio');
+    const body = { From: '+256772000001', To: '+15550001111', Body: 'LOAN STATUS', MessageSid: 'SM123' };
+
+    it('checks X-Twilio-Signature against the URL it called', () => {
+      const url = 'https://api.example.org/api/v1/sms/inbound/twilio';
+      const signature = twilioSignature('twilio-token', url, body);
+
+      expect(provider.verify(request({ body, headers: { 'x-twilio-signature': signature } }))).toBe(true);
+      expect(
+        provider.verify(request({ body: { ...body, Body: 'PAY 900000' }, headers: { 'x-twilio-signature': signature } }))
+      ).toBe(false);
+    });
+
+    it('uses SMS_INBOUND_BASE_URL behind a proxy', () => {
+      process.env.SMS_INBOUND_BASE_URL = 'https://sms.example.org/';
+      const signature = twilioSignature('twilio-token', 'https://sms.example.org/api/v1/sms/inbound/twilio', body);
+      expect(provider.verify(request({ body, headers: { 'x-twilio-signature': signature } }))).toBe(true);
+    });
+
+    it('reads the form post and answers with empty TwiML', () => {
+      expect(provider.parse(body)).toEqual([
+        expect.objectContaining({ provider: 'TWILIO', messageId: 'SM123', from: '+256772000001', text: 'LOAN STATUS' }),
+      ]);
+
+      const res = { type: jest.fn().mockReturnThis(), send: jest.fn() };
+      provider.acknowledge(res, 1);
+      expect(res.type).toHaveBeenCalledWith('text/xml');
+      expect(res.send.mock.calls[0][0]).toMatch(/<Response><\/Response>$/);
+    });
+  });
+
+  describe('Infobip', () => {
+    it('reads every result in the batch', () => {
+      const messages = resolve('infobip').parse({
+        results: [
+          { messageId: 'ib-1', from: '256772000001', to: '6040', text: 'BAL', receivedAt: '2026-10-19T08:00:00.000+0000' },
+          { messageId: 'ib-2', from: '256772000002', to: '6040', cleanText: 'STOP' },
+          { messageId: 'ib-3' },
+        ],
+        messageCount: 3,
+      });
+
+      expect(messages.map((m) => [m.messageId, m.text])).toEqual([
+        ['ib-1', 'BAL'],
+        ['ib-2', 'STOP'],
+      ]);
+    });
+  });
+});
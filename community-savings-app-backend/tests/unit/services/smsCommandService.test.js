@@ -0,0 +1,330 @@
+/**
+ * SMS Command Service Unit Tests
+ */
+
+jest.mock('../../../models/InboundSms', () => ({
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+}));
+jest.mock('../../../models/SmsOptOut', () => ({
+  exists: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+jest.mock('../../../models/Group', () => ({ find: jest.fn() }));
+jest.mock('../../../models/Savings', () => ({ find: jest.fn() }));
+jest.mock('../../../models/Loan', () => ({ find: jest.fn() }));
+jest.mock('../../../models/LoanRepaymentSchedule', () => ({ findOne: jest.fn() }));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService', () => ({ log: jest.fn() }));
+jest.mock('../../../services/guarantorService', () => ({ handleSmsReply: jest.fn() }));
+jest.mock('../../../services/paymentRequestService', () => ({ createForMember: jest.fn(), collect: jest.fn() }));
+jest.mock('../../../services/smsService', () => ({ send: jest.fn() }));
+jest.mock('../../../services/ussdPinService', () => ({ findByPhone: jest.fn() }));
+jest.mock('../../../services/ussdService', () => ({ providerFor: jest.fn() }));
+
+const Group = require('../../../models/Group');
+const InboundSms = require('../../../models/InboundSms');
+const Loan = require('../../../models/Loan');
+const LoanRepaymentSchedule = require('../../../models/LoanRepaymentSchedule');
+const Savings = require('../../../models/Savings');
+const SmsOptOut = require('../../../models/SmsOptOut');
+const auditLogService = require('../../../services/auditLogService');
+const guarantorService = require('../../../services/guarantorService');
+const notificationService = require('../../../services/notificationService');
+const paymentRequestService = require('../../../services/paymentRequestService');
+const smsCommandService = require('../../../services/smsCommandService');
+const smsService = require('../../../services/smsService');
+const ussdPinService = require('../../../services/ussdPinService');
+const ussdService = require('../../../services/ussdService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const USER_ID = '64b000000000000000000001';
+const TENANT_ID = '64b0000000000000000000aa';
+const PHONE = '+256772000001';
+
+const member = { _id: USER_ID, tenantId: TENANT_ID, phone: PHONE, status: 'active' };
+
+const text = (body, overrides = {}) => ({
+  provider: 'AFRICAS_TALKING',
+  messageId: `ATXid_${Math.random()}`,
+  from: PHONE,
+  to: '6040',
+  text: body,
+  ...overrides,
+});
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const repliedWith = () => smsService.send.mock.calls[0]?.[0]?.message;
+
+describe('SMS Command Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    InboundSms.create.mockImplementation(async (doc) => ({ _id: 'inbound-1', ...doc }));
+    InboundSms.countDocuments.mockResolvedValue(1);
+    InboundSms.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    ussdPinService.findByPhone.mockResolvedValue(member);
+    smsService.send.mockResolvedValue({ success: true });
+  });
+
+  describe('parse', () => {
+    it.each([
+      ['BAL', 'BALANCE', {}],
+      [' balance ', 'BALANCE', {}],
+      ['loan   status', 'LOAN_STATUS', {}],
+      ['PAY 20,000 grp12', 'PAY', { amount: '20,000', group: 'GRP12' }],
+      ['pay 5000', 'PAY', { amount: '5000', group: undefined }],
+      ['Stop', 'STOP', {}],
+      ['YES 123456', 'GUARANTEE', {}],
+      ['hello there', 'UNKNOWN', {}],
+    ])('reads %p as %s', (body, name, args) => {
+      const command = smsCommandService.parse(body);
+      expect(command.name).toBe(name);
+      expect(command.args).toMatchObject(args);
+    });
+  });
+
+  describe('receive', () => {
+    it('logs the text, replies through the same provider from the shortcode and audits', async () => {
+      Savings.find.mockReturnValue(mockQuery([{ balance: 250000, availableBalance: 200000 }]));
+
+      const result = await smsCommandService.receive(text('BAL'));
+
+      expect(result).toMatchObject({ command: 'BALANCE', status: 'PROCESSED' });
+      expect(Savings.find).toHaveBeenCalledWith({ createdBy: USER_ID, status: 'ACTIVE' });
+      expect(smsService.send).toHaveBeenCalledWith(
+        expect.objectContaining({ phoneNumber: PHONE, provider: 'AFRICAS_TALKING', senderId: '6040', tenantId: TENANT_ID })
+      );
+      expect(repliedWith()).toBe('Your savings balance is UGX 250,000, of which UGX 200,000 is available.');
+      expect(InboundSms.updateOne.mock.calls[0][1].$set).toMatchObject({
+        command: 'BALANCE',
+        status: 'PROCESSED',
+        userId: USER_ID,
+        replyStatus: 'SENT',
+      });
+      expect(auditLogService.log).toHaveBeenCalledWith(
+        expect.objectContaining({ id: USER_ID }),
+        'sms:balance',
+        expect.objectContaining({ provider: 'AFRICAS_TALKING', status: 'PROCESSED' })
+      );
+    });
+
+    it('ignores a provider retry of a text already received', async () => {
+      InboundSms.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(smsCommandService.receive(text('BAL'))).resolves.toEqual({ duplicate: true });
+      expect(smsService.send).not.toHaveBeenCalled();
+    });
+
+    it('tells unknown numbers they are not registered', async () => {
+      ussdPinService.findByPhone.mockResolvedValue(null);
+
+      const result = await smsCommandService.receive(text('BAL', { from: '256700000009' }));
+
+      expect(result.status).toBe('UNKNOWN_SENDER');
+      expect(ussdPinService.findByPhone).toHaveBeenCalledWith(null, '+256700000009');
+      expect(Savings.find).not.toHaveBeenCalled();
+      expect(repliedWith()).toMatch(/not registered/);
+      expect(auditLogService.log).not.toHaveBeenCalled();
+    });
+
+    it('drops senders over the limit without replying', async () => {
+      InboundSms.countDocuments.mockResolvedValue(11);
+
+      const result = await smsCommandService.receive(text('BAL'));
+
+      expect(result.status).toBe('RATE_LIMITED');
+      expect(ussdPinService.findByPhone).not.toHaveBeenCalled();
+      expect(smsService.send).not.toHaveBeenCalled();
+      expect(InboundSms.updateOne.mock.calls[0][1].$set.replyStatus).toBe('SKIPPED');
+    });
+
+    it('answers with help for unrecognised texts', async () => {
+      await smsCommandService.receive(text('what is my balance?'));
+      expect(repliedWith()).toMatch(/Text HELP/);
+    });
+
+    it('hands guarantor answers to the guarantor service, even from non-members', async () => {
+      ussdPinService.findByPhone.mockResolvedValue(null);
+      guarantorService.handleSmsReply.mockResolvedValue('You have declined the guarantor request.');
+
+      await smsCommandService.receive(text('no 123456'));
+
+      expect(guarantorService.handleSmsReply).toHaveBeenCalledWith(PHONE, 'no 123456');
+      expect(repliedWith()).toBe('You have declined the guarantor request.');
+    });
+
+    it('replies with a generic message when a command fails unexpectedly', async () => {
+      Savings.find.mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      const result = await smsCommandService.receive(text('BAL'));
+
+      expect(result.status).toBe('FAILED');
+      expect(repliedWith()).toMatch(/could not process/);
+    });
+  });
+
+  describe('LOAN STATUS', () => {
+    it('lists open loans with the balance and next installment', async () => {
+      Loan.find.mockReturnValue(
+        mockQuery([
+          { _id: 'loan-1', amount: 500000, status: 'active', outstandingBalance: 405000 },
+          { _id: 'loan-2', amount: 200000, status: 'credit_review' },
+        ])
+      );
+      LoanRepaymentSchedule.findOne.mockReturnValue(
+        mockQuery({ installments: [{ status: 'paid' }, { status: 'pending', totalAmount: 95000, dueDate: new Date('2026-11-05') }] })
+      );
+
+      await smsCommandService.receive(text('LOAN STATUS'));
+
+      expect(repliedWith()).toBe(
+        'Loan UGX 500,000 active: balance UGX 405,000, next UGX 95,000 due 05/11. Loan UGX 200,000 credit review.'
+      );
+    });
+
+    it('says so when there are none', async () => {
+      Loan.find.mockReturnValue(mockQuery([]));
+      await smsCommandService.receive(text('LOANS'));
+      expect(repliedWith()).toBe('You have no active loans.');
+    });
+  });
+
+  describe('PAY', () => {
+    const groups = [
+      { _id: 'group-1', name: 'Bukoto Savers', smsCode: 'GRP12' },
+      { _id: 'group-2', name: 'Ntinda Women', smsCode: 'GRP34' },
+    ];
+
+    beforeEach(() => {
+      Group.find.mockReturnValue(mockQuery(groups));
+      ussdService.providerFor.mockReturnValue('mtn');
+      paymentRequestService.createForMember.mockImplementation(async (payload) => ({
+        ...payload,
+        tenantId: TENANT_ID,
+        status: 'OPEN',
+      }));
+      paymentRequestService.collect.mockResolvedValue({ status: 'PENDING' });
+    });
+
+    // Collections start after the reply
+    afterEach(flush);
+
+    it('starts a mobile money contribution to the group named by its code', async () => {
+      const result = await smsCommandService.receive(text('PAY 20,000 grp34', { messageId: 'ATXid_1' }));
+      await flush();
+
+      const [payload, payer] = paymentRequestService.createForMember.mock.calls[0];
+      expect(payload).toMatchObject({
+        purpose: 'CONTRIBUTION',
+        groupId: 'group-2',
+        amount: 20000,
+        phoneNumber: PHONE,
+        channel: 'SMS',
+      });
+      expect(payload.reference).toMatch(/^SMS-[0-9A-F]{12}$/);
+      expect(payer).toBe(member);
+      expect(paymentRequestService.collect).toHaveBeenCalledWith(
+        expect.objectContaining({ reference: payload.reference }),
+        { provider: 'mtn', phoneNumber: PHONE },
+        { inboundSmsId: 'inbound-1' }
+      );
+      expect(repliedWith()).toBe(`Approve the UGX 20,000 MTN prompt on your phone to pay Ntinda Women. Ref ${payload.reference}.`);
+      expect(InboundSms.updateOne.mock.calls[0][1].$set.reference).toBe(payload.reference);
+      expect(result.status).toBe('PROCESSED');
+    });
+
+    it('uses the same reference for the same provider message', async () => {
+      await smsCommandService.receive(text('PAY 20000 GRP12', { messageId: 'ATXid_2' }));
+      await smsCommandService.receive(text('PAY 20000 GRP12', { messageId: 'ATXid_2' }));
+      const [first, second] = paymentRequestService.createForMember.mock.calls.map(([payload]) => payload.reference);
+      expect(first).toBe(second);
+    });
+
+    it('asks which group when a member of several leaves the code out', async () => {
+      await smsCommandService.receive(text('PAY 20000'));
+
+      expect(paymentRequestService.createForMember).not.toHaveBeenCalled();
+      expect(repliedWith()).toBe(
+        'Which group? Text PAY 20000 <group code>. Your groups: Bukoto Savers (GRP12), Ntinda Women (GRP34).'
+      );
+    });
+
+    it('needs no code from members of a single group', async () => {
+      Group.find.mockReturnValue(mockQuery([groups[0]]));
+      await smsCommandService.receive(text('PAY 20000'));
+      expect(paymentRequestService.createForMember.mock.calls[0][0].groupId).toBe('group-1');
+    });
+
+    it('refuses groups the member is not in and amounts out of range', async () => {
+      await smsCommandService.receive(text('PAY 20000 GRP99'));
+      expect(repliedWith()).toMatch(/^You are not in a group with code GRP99/);
+
+      smsService.send.mockClear();
+      await smsCommandService.receive(text('PAY 100 GRP12'));
+      expect(repliedWith()).toMatch(/^Amount must be between UGX 500 and UGX 5,000,000/);
+      expect(paymentRequestService.createForMember).not.toHaveBeenCalled();
+    });
+
+    it('texts the member when the collection could not be started', async () => {
+      paymentRequestService.collect.mockResolvedValue({ status: 'FAILED' });
+
+      await smsCommandService.receive(text('PAY 20000 GRP12'));
+      await flush();
+
+      expect(smsService.send).toHaveBeenCalledTimes(2);
+      expect(smsService.send.mock.calls[1][0].message).toMatch(/could not be started/);
+      expect(smsService.send.mock.calls[1][0].provider).toBe('AFRICAS_TALKING');
+    });
+  });
+
+  describe('STOP and START', () => {
+    it('opts the number out once and is not answered again', async () => {
+      ussdPinService.findByPhone.mockResolvedValue(null);
+      SmsOptOut.updateOne.mockResolvedValueOnce({ upsertedCount: 1 }).mockResolvedValueOnce({ upsertedCount: 0 });
+
+      await smsCommandService.receive(text('STOP', { from: '0772000001' }));
+      await smsCommandService.receive(text('STOP'));
+
+      expect(SmsOptOut.updateOne.mock.calls[0][0]).toEqual({ phone: PHONE });
+      expect(smsService.send).toHaveBeenCalledTimes(1);
+      expect(repliedWith()).toMatch(/no longer get SMS alerts/);
+    });
+
+    it('honours STOP from senders over the limit', async () => {
+      InboundSms.countDocuments.mockResolvedValue(50);
+      SmsOptOut.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+      await smsCommandService.receive(text('STOP'));
+
+      expect(SmsOptOut.updateOne).toHaveBeenCalled();
+    });
+
+    it('opts the number back in on START', async () => {
+      SmsOptOut.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await smsCommandService.receive(text('START'));
+
+      expect(SmsOptOut.deleteOne).toHaveBeenCalledWith({ phone: PHONE });
+      expect(repliedWith()).toMatch(/back on/);
+    });
+
+    it('is respected by notifications unless they are essential', async () => {
+      SmsOptOut.exists.mockResolvedValue({ _id: 'opt-out-1' });
+
+      await expect(notificationService.sendSMS({ phoneNumber: '0772000001', message: 'Meeting on Friday' })).resolves.toBe(
+        false
+      );
+      expect(SmsOptOut.exists).toHaveBeenCalledWith({ phone: PHONE });
+      expect(smsService.send).not.toHaveBeenCalled();
+
+      await notificationService.sendSMS({ phoneNumber: PHONE, message: 'Your code is 123456', essential: true });
+      expect(smsService.send).toHaveBeenCalledWith({ phoneNumber: PHONE, message: 'Your code is 123456' });
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Standing Order Service Unit Tests
+ */
+
+jest.mock('../../../models/Contribution');
+jest.mock('../../../models/Savings');
+jest.mock('../../../models/StandingOrder');
+jest.mock('../../../models/StandingOrderRun');
+jest.mock('../../../models/User');
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/groupRoles', () => ({
+  loadGroup: jest.fn(),
+  isGroupMember: jest.fn(),
+}));
+jest.mock('../../../services/auditLogService');
+jest.mock('../../../services/contributionScheduleService', () => ({
+  computeArrears: jest.fn(),
+}));
+jest.mock('../../../services/notificationService', () => ({
+  NOTIFICATION_TYPES: { STANDING_ORDER: 'STANDING_ORDER' },
+  send: jest.fn(),
+}));
+
+const standingOrderService = require('../../../services/standingOrderService');
+const Contribution = require('../../../models/Contribution');
+const StandingOrder = require('../../../models/StandingOrder');
+const StandingOrderRun = require('../../../models/StandingOrderRun');
+const User = require('../../../models/User');
+const contributionScheduleService = require('../../../services/contributionScheduleService');
+const groupRoles = require('../../../utils/groupRoles');
+const notificationService = require('../../../services/notificationService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const GROUP_ID = '64b0000000000000000000a1';
+const ORDER_ID = '64b0000000000000000000c1';
+const RUN_ID = '64b0000000000000000000d1';
+const OBLIGATION_ID = '64b0000000000000000000e1';
+const MEMBER = '64b000000000000000000004';
+const OTHER = '64b000000000000000000005';
+
+const DUE = new Date('2026-03-06T00:00:00.000Z'); // a Friday
+const NOW = new Date('2026-03-06T06:00:00.000Z');
+
+const paymentProcessingService = {
+  createAndInitiate: jest.fn(),
+  process: jest.fn(),
+};
+
+const activeOrder = (overrides = {}) => ({
+  _id: ORDER_ID,
+  userId: MEMBER,
+  target: { type: 'GROUP_CONTRIBUTION', groupId: GROUP_ID },
+  amount: 20000,
+  currency: 'UGX',
+  frequency: 'weekly',
+  day: 5,
+  startDate: new Date('2026-03-01T00:00:00.000Z'),
+  provider: 'mtn',
+  phoneNumber: '256772000000',
+  status: 'ACTIVE',
+  nextRunAt: DUE,
+  consecutiveFailures: 0,
+  maxConsecutiveFailures: 3,
+  ...overrides,
+});
+
+const run = (attempts = []) => ({
+  _id: RUN_ID,
+  standingOrderId: ORDER_ID,
+  userId: MEMBER,
+  dueDate: DUE,
+  reference: `SO-${ORDER_ID}-20260306`,
+  amount: 20000,
+  currency: 'UGX',
+  status: 'PENDING',
+  attempts,
+});
+
+const attempted = (paymentId = 'pay-1') => run([{ attempt: 1, paymentId, status: 'PENDING' }]);
+
+describe('Standing Order Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    standingOrderService.configure({ paymentProcessingService });
+    StandingOrder.find.mockResolvedValue([]);
+    StandingOrderRun.find.mockResolvedValue([]);
+    paymentProcessingService.createAndInitiate.mockResolvedValue({ success: true, paymentId: 'pay-1' });
+  });
+
+  /**
+   * One due order goes through claim, run creation and a single attempt.
+   */
+  const dueOrder = (order = activeOrder()) => {
+    StandingOrder.find.mockImplementation(async (query) => (query.status === 'ACTIVE' ? [order] : []));
+    StandingOrder.findOneAndUpdate.mockResolvedValueOnce({ ...order, nextRunAt: new Date('2026-03-13T00:00:00.000Z') });
+    StandingOrderRun.create.mockResolvedValue(run());
+    StandingOrderRun.findByIdAndUpdate.mockResolvedValueOnce(attempted());
+    return order;
+  };
+
+  describe('schedule', () => {
+    it('should fall on the chosen weekday and step by the frequency', () => {
+      const order = activeOrder({ frequency: 'biweekly' });
+
+      expect(standingOrderService.dueOnOrAfter(order, order.startDate)).toEqual(DUE);
+      expect(standingOrderService.nextDueAfter(order, DUE)).toEqual(new Date('2026-03-20T00:00:00.000Z'));
+    });
+
+    it('should clamp monthly orders to the end of short months and stop at the end date', () => {
+      const order = activeOrder({ frequency: 'monthly', day: 31, startDate: new Date('2026-01-31'), endDate: new Date('2026-03-15') });
+
+      expect(standingOrderService.nextDueAfter(order, new Date('2026-01-31'))).toEqual(new Date('2026-02-28T00:00:00.000Z'));
+      expect(standingOrderService.nextDueAfter(order, new Date('2026-02-28'))).toBeNull();
+    });
+  });
+
+  describe('create', () => {
+    it('should record the mandate and the first due date', async () => {
+      groupRoles.loadGroup.mockResolvedValue({ _id: GROUP_ID, name: 'Kireka Savers', members: [MEMBER] });
+      groupRoles.isGroupMember.mockReturnValue(true);
+      User.findById.mockReturnValue(mockQuery({ phone: '256772000000' }));
+      StandingOrder.create.mockImplementation(async (doc) => ({ _id: ORDER_ID, ...doc }));
+
+      const order = await standingOrderService.create(
+        { targetType: 'GROUP_CONTRIBUTION', groupId: GROUP_ID, amount: 20000, frequency: 'weekly', day: 5, startDate: '2026-03-01', provider: 'mtn' },
+        { id: MEMBER },
+        { ip: '10.0.0.1', userAgent: 'jest' }
+      );
+
+      expect(order.nextRunAt).toEqual(DUE);
+      expect(order.phoneNumber).toBe('256772000000');
+      expect(order.authorization).toMatchObject({ ip: '10.0.0.1', userAgent: 'jest' });
+      expect(order.authorization.mandate).toContain('UGX 20,000');
+      expect(order.authorization.mandate).toContain('Kireka Savers');
+    });
+
+    it('should refuse a weekday outside 1-7 for weekly orders', async () => {
+      await expect(
+        standingOrderService.create({ targetType: 'GROUP_CONTRIBUTION', groupId: GROUP_ID, amount: 1000, frequency: 'weekly', day: 9, provider: 'mtn' }, { id: MEMBER })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(StandingOrder.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runDue', () => {
+    it('should collect through the payment module and link the contribution to the due calendar', async () => {
+      dueOrder();
+      paymentProcessingService.process.mockResolvedValue({ outcome: 'SUCCESS', paymentId: 'pay-1' });
+      StandingOrderRun.findOneAndUpdate.mockResolvedValue({ ...attempted(), status: 'SUCCEEDED' });
+      contributionScheduleService.computeArrears.mockResolvedValue([
+        { periods: [{ obligationId: OBLIGATION_ID, dueDate: DUE, outstanding: 20000, status: 'overdue' }] },
+      ]);
+      Contribution.create.mockImplementation(async (doc) => ({ _id: 'contribution-1', ...doc }));
+
+      const summary = await standingOrderService.runDue(NOW);
+
+      expect(summary).toMatchObject({ due: 1, succeeded: 1 });
+      expect(paymentProcessingService.createAndInitiate).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'contribution', direction: 'inbound', amount: 20000, provider: 'mtn', phoneNumber: '256772000000' }),
+        expect.objectContaining({ actorId: MEMBER, idempotencyKey: `SO-${ORDER_ID}-20260306-1` })
+      );
+      expect(Contribution.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          groupId: GROUP_ID,
+          userId: MEMBER,
+          reference: `SO-${ORDER_ID}-20260306`,
+          metadata: expect.objectContaining({ source: 'STANDING_ORDER', paymentId: 'pay-1', calendarPeriod: { obligationId: OBLIGATION_ID, dueDate: DUE } }),
+        })
+      );
+      expect(StandingOrderRun.findByIdAndUpdate).toHaveBeenLastCalledWith(
+        RUN_ID,
+        { $set: { calendarPeriod: { obligationId: OBLIGATION_ID, dueDate: DUE }, contributionId: 'contribution-1' } },
+        { new: true }
+      );
+    });
+
+    it('should not debit a due date another worker already claimed', async () => {
+      StandingOrder.find.mockImplementation(async (query) => (query.status === 'ACTIVE' ? [activeOrder()] : []));
+      StandingOrder.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      const summary = await standingOrderService.runDue(NOW);
+
+      expect(summary.due).toBe(0);
+      expect(paymentProcessingService.createAndInitiate).not.toHaveBeenCalled();
+    });
+
+    it('should retry insufficient funds the next day', async () => {
+      dueOrder();
+      paymentProcessingService.process.mockResolvedValue({ outcome: 'FAILED', provider: { reasonCode: 'NOT_ENOUGH_FUNDS' } });
+      StandingOrderRun.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...attempted(), ...update.$set }));
+
+      const summary = await standingOrderService.runDue(NOW);
+
+      expect(summary).toMatchObject({ retrying: 1, failed: 0 });
+      expect(StandingOrderRun.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: RUN_ID, status: 'PENDING' }),
+        { $set: expect.objectContaining({ status: 'RETRY_SCHEDULED', nextRetryAt: new Date('2026-03-07T06:00:00.000Z') }) },
+        expect.anything()
+      );
+      expect(StandingOrder.findOneAndUpdate).toHaveBeenCalledTimes(1); // the claim only; no failure counted
+    });
+
+    it('should cancel the order after repeated failures and tell the member', async () => {
+      const order = activeOrder({ consecutiveFailures: 2 });
+      dueOrder(order);
+      paymentProcessingService.process.mockResolvedValue({ outcome: 'FAILED', provider: { reasonCode: 'APPROVAL_REJECTED' } });
+      StandingOrderRun.findOneAndUpdate.mockResolvedValue({ ...attempted(), status: 'FAILED' });
+      StandingOrder.findOneAndUpdate
+        .mockResolvedValueOnce({ ...order, consecutiveFailures: 3 })
+        .mockResolvedValueOnce({ ...order, status: 'CANCELLED' });
+
+      const summary = await standingOrderService.runDue(NOW);
+
+      expect(summary).toMatchObject({ failed: 1, cancelled: 1 });
+      expect(StandingOrder.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: ORDER_ID, status: { $in: ['ACTIVE', 'PAUSED', 'COMPLETED'] } },
+        { $set: expect.objectContaining({ status: 'CANCELLED', cancellationReason: 'Cancelled after 3 consecutive failed debits' }) },
+        { new: true }
+      );
+      expect(notificationService.send).toHaveBeenCalledWith(expect.objectContaining({ title: 'Standing order cancelled', recipients: [MEMBER] }));
+    });
+
+    it('should leave a run pending until the provider calls back, then settle it', async () => {
+      dueOrder();
+      paymentProcessingService.process.mockResolvedValue({ outcome: 'PENDING' });
+
+      const summary = await standingOrderService.runDue(NOW);
+      expect(summary.pending).toBe(1);
+      expect(Contribution.create).not.toHaveBeenCalled();
+
+      StandingOrderRun.findOne.mockResolvedValue(attempted());
+      StandingOrder.findById.mockResolvedValue(activeOrder());
+      StandingOrderRun.findOneAndUpdate.mockResolvedValue({ ...attempted(), status: 'SUCCEEDED' });
+      contributionScheduleService.computeArrears.mockResolvedValue([]);
+      Contribution.create.mockImplementation(async (doc) => ({ _id: 'contribution-1', ...doc }));
+
+      const result = await standingOrderService.handlePaymentEvent({ eventType: 'PaymentCompleted', data: { paymentId: 'pay-1' } });
+
+      expect(result.status).toBe('SUCCEEDED');
+      expect(StandingOrderRun.findOne).toHaveBeenCalledWith({ status: 'PENDING', 'attempts.paymentId': 'pay-1' });
+      expect(Contribution.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('should skip due dates missed while paused', async () => {
+      StandingOrder.findById.mockResolvedValue(activeOrder({ status: 'PAUSED' }));
+      StandingOrder.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...activeOrder(), ...update.$set }));
+
+      const resumed = await standingOrderService.resume(ORDER_ID, { id: MEMBER }, new Date('2026-03-25T09:00:00.000Z'));
+
+      expect(resumed).toMatchObject({ status: 'ACTIVE', nextRunAt: new Date('2026-03-27T00:00:00.000Z') });
+    });
+
+    it('should drop scheduled retries when paused', async () => {
+      StandingOrder.findById.mockResolvedValue(activeOrder());
+      StandingOrder.findOneAndUpdate.mockResolvedValue(activeOrder({ status: 'PAUSED' }));
+
+      await standingOrderService.pause(ORDER_ID, { id: MEMBER });
+
+      expect(StandingOrderRun.updateMany).toHaveBeenCalledWith(
+        { standingOrderId: ORDER_ID, status: 'RETRY_SCHEDULED' },
+        { $set: { status: 'SKIPPED', nextRetryAt: null } }
+      );
+    });
+
+    it("should not let members manage someone else's order", async () => {
+      StandingOrder.findById.mockResolvedValue(activeOrder());
+
+      await expect(standingOrderService.cancel(ORDER_ID, { id: OTHER })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * USSD Menu Engine Unit Tests
+ */
+
+const defaultMenu = require('../../../../services/ussd/defaultMenu');
+const sampleRuntime = require('../../../../services/ussd/sampleRuntime');
+const {
+  LANGUAGES,
+  MAX_SCREEN_LENGTH,
+  format,
+  paginate,
+  runMenu,
+  validateDefinition,
+} = require('../../../../services/ussd/menuEngine');
+
+const tree = (screens, messages = {}) => ({ start: 'main', defaultLanguage: 'en', screens, messages });
+
+const run = (definition, text, options = {}) =>
+  runMenu({ definition, text, actions: sampleRuntime.actions, validators: sampleRuntime.validators, ...options });
+
+describe('USSD Menu Engine', () => {
+  describe('format', () => {
+    it('fills paths and formats money and dates', () => {
+      expect(format('{amount|money} to {group.name} by {due|date}', {
+        amount: 20000,
+        group: { name: 'Kireka Women' },
+        due: new Date('2026-11-05'),
+      })).toBe('UGX 20,000 to Kireka Women by 05/11');
+    });
+
+    it('leaves missing values blank', () => {
+      expect(format('Ref: {reference}', {})).toBe('Ref: ');
+    });
+  });
+
+  describe('paginate', () => {
+    it('keeps short screens whole', () => {
+      expect(paginate('Enter your PIN')).toEqual(['Enter your PIN']);
+    });
+
+    it('splits long screens at line breaks within the limit', () => {
+      const body = ['Pick one', '', ...Array.from({ length: 20 }, (_, i) => `${i + 1}. Option number ${i + 1}`)].join('\n');
+
+      const pages = paginate(body);
+
+      expect(pages.length).toBeGreaterThan(1);
+      pages.forEach((page) => expect(`CON ${page}\n98. More\n99. Back`.length).toBeLessThanOrEqual(MAX_SCREEN_LENGTH));
+      expect(pages.join('\n')).toBe(body);
+    });
+
+    it('wraps a line too long for any page', () => {
+      const pages = paginate('word '.repeat(80).trim());
+
+      expect(pages.length).toBeGreaterThan(1);
+      pages.forEach((page) => expect(page.length).toBeLessThanOrEqual(MAX_SCREEN_LENGTH - 22));
+    });
+  });
+
+  describe('runMenu', () => {
+    const options = Array.from({ length: 14 }, (_, i) => ({ key: String(i + 1), label: `item${i + 1}`, next: 'done' }));
+    const messages = Object.fromEntries(options.map((o) => [o.label, { en: `A fairly long menu entry ${o.key}` }]));
+    const long = tree(
+      {
+        main: { type: 'menu', text: 'title', options },
+        done: { type: 'end', text: 'bye' },
+      },
+      { ...messages, title: { en: 'Long menu', fr: 'Menu long' }, bye: { en: 'Goodbye {item}', fr: 'Au revoir' } }
+    );
+
+    it('pages with 98 and 99 and still accepts any option', async () => {
+      const first = await run(long, '');
+      const second = await run(long, '98');
+      const back = await run(long, '98*99');
+
+      expect(first.response).toMatch(/^CON Long menu/);
+      expect(first.response).toMatch(/98\. More$/);
+      expect(first.pages).toBeGreaterThan(1);
+      expect(second.page).toBe(2);
+      expect(second.response).toContain('99. Back');
+      expect(back.response).toBe(first.response);
+      expect((await run(long, '14')).response).toBe('END Goodbye ');
+    });
+
+    it('translates, falling back to the default language', async () => {
+      const screen = await run(long, '', { language: 'fr' });
+
+      expect(screen.response).toMatch(/^CON Menu long\n\n1\. A fairly long menu entry 1/);
+      expect(screen.language).toBe('fr');
+      expect((await run(long, '1', { language: 'fr' })).response).toBe('END Au revoir');
+    });
+
+    it('rejects an unknown option', async () => {
+      expect((await run(long, '42')).response).toBe('END Invalid option.\n\nPlease try again.');
+      expect((await run(long, '42', { language: 'sw', messages: defaultMenu.messages })).response).toBe(
+        'END Chaguo si sahihi.\n\nTafadhali jaribu tena.'
+      );
+    });
+
+    it('shows a long END screen as pages, ending on the last', async () => {
+      const text = tree({ main: { type: 'end', text: 'long' } }, { long: { en: 'line of the statement\n'.repeat(15) } });
+
+      const first = await run(text, '');
+      const last = await run(text, Array(first.pages - 1).fill('98').join('*'));
+
+      expect(first.response).toMatch(/^CON /);
+      expect(last.response).toMatch(/^END /);
+      expect(last.page).toBe(first.pages);
+    });
+
+    it('validates input and stores it for later screens', async () => {
+      const definition = tree(
+        {
+          main: { type: 'input', text: 'ask', validator: 'amount', store: 'amount', next: 'done' },
+          done: { type: 'end', text: 'got' },
+        },
+        { ask: { en: 'Amount?' }, got: { en: 'You sent {amount|money}' }, invalidAmount: { en: 'Bad amount' } }
+      );
+
+      expect((await run(definition, '50,000')).response).toBe('END You sent UGX 50,000');
+      expect((await run(definition, '12abc')).response).toBe('END Bad amount');
+    });
+
+    it('ends with the message an action returns', async () => {
+      const definition = tree(
+        { main: { type: 'action', action: 'balance' } },
+        { balanceIs: { en: 'Balance {balance|money}' } }
+      );
+
+      expect((await run(definition, '')).response).toBe('END Balance UGX 250,000');
+    });
+  });
+
+  describe('validateDefinition', () => {
+    const known = {
+      actions: Object.keys(sampleRuntime.actions),
+      validators: Object.keys(sampleRuntime.validators),
+    };
+
+    it('accepts the default menu', () => {
+      expect(validateDefinition(defaultMenu, known)).toEqual([]);
+    });
+
+    it('translates every default message into every language', () => {
+      Object.entries(defaultMenu.messages)
+        .filter(([, entry]) => typeof entry !== 'string')
+        .forEach(([key, entry]) => expect([key, Object.keys(entry).sort()]).toEqual([key, [...LANGUAGES].sort()]));
+    });
+
+    it('reports broken trees', () => {
+      const errors = validateDefinition(
+        tree(
+          {
+            main: {
+              type: 'menu',
+              text: 'title',
+              options: [
+                { key: '98', label: 'title', next: 'missing' },
+                { key: '2', label: 'nope', next: 'main' },
+              ],
+            },
+            pay: { type: 'action', action: 'sendEverything' },
+            odd: { type: 'popup' },
+          },
+          { title: { en: 'Hi', de: 'Hallo' } }
+        ),
+        known
+      );
+
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          'screen "main" option 1 key 98 is reserved for paging',
+          'screen "main" option 1 goes to unknown screen "missing"',
+          'screen "main" option 2 uses unknown message "nope"',
+          'screen "pay" uses unknown action "sendEverything"',
+          'screen "odd" has unknown type "popup"',
+          'message "title" has unsupported language "de"',
+        ])
+      );
+    });
+  });
+});
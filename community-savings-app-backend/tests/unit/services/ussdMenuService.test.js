@@ -0,0 +1,144 @@
+/**
+ * USSD Menu Service Unit Tests
+ */
+
+jest.mock('../../../models/UssdMenu');
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService');
+
+const UssdMenu = require('../../../models/UssdMenu');
+const auditLogService = require('../../../services/auditLogService');
+const defaultMenu = require('../../../services/ussd/defaultMenu');
+const ussdMenuService = require('../../../services/ussdMenuService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TENANT_ID = '64b0000000000000000000f1';
+const ADMIN = { id: '64b000000000000000000009', role: 'admin' };
+
+// A tenant tree that rewords the greeting and adds a Luganda welcome
+const tenantTree = () => ({
+  start: 'main',
+  defaultLanguage: 'lg',
+  screens: {
+    main: {
+      type: 'menu',
+      text: 'welcome',
+      options: [
+        { key: '1', label: 'balance', next: 'balance' },
+        { key: '2', label: 'contribute', next: 'contributePin' },
+      ],
+    },
+    balance: { type: 'action', action: 'balance' },
+    contributePin: defaultMenu.screens.contributePin,
+    contributeGroup: defaultMenu.screens.contributeGroup,
+    contributeAmount: defaultMenu.screens.contributeAmount,
+    contributeConfirm: defaultMenu.screens.contributeConfirm,
+    contributeStart: defaultMenu.screens.contributeStart,
+    cancelled: defaultMenu.screens.cancelled,
+  },
+  messages: { welcome: { lg: 'Tukusanyukidde ku Kireka SACCO', en: 'Welcome to Kireka SACCO' } },
+});
+
+describe('USSD Menu Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ussdMenuService.active.clear();
+  });
+
+  describe('createDraft', () => {
+    it('saves a valid tree as the next version', async () => {
+      UssdMenu.findOne.mockReturnValue(mockQuery({ version: 3 }));
+      UssdMenu.create.mockImplementation(async (doc) => ({ ...doc, toObject: () => ({ ...doc, status: 'DRAFT' }) }));
+
+      const menu = await ussdMenuService.createDraft(TENANT_ID, { definition: tenantTree(), notes: 'Luganda first' }, ADMIN);
+
+      expect(menu).toMatchObject({ tenantId: TENANT_ID, version: 4, status: 'DRAFT', createdBy: ADMIN.id });
+      expect(auditLogService.log).toHaveBeenCalledWith(ADMIN, 'ussd_menu:draft_created', { tenantId: TENANT_ID, version: 4 });
+    });
+
+    it('refuses a tree that calls an unknown action', async () => {
+      const definition = tenantTree();
+      definition.screens.balance.action = 'withdrawAll';
+
+      await expect(ussdMenuService.createDraft(TENANT_ID, { definition }, ADMIN)).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'ERR_USSD_MENU_INVALID',
+        message: expect.stringContaining('unknown action "withdrawAll"'),
+      });
+      expect(UssdMenu.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publish', () => {
+    it('retires the live version and serves the new one', async () => {
+      UssdMenu.findOne.mockReturnValueOnce(
+        mockQuery({ _id: 'm4', tenantId: TENANT_ID, version: 4, status: 'DRAFT', definition: tenantTree() })
+      );
+      UssdMenu.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      UssdMenu.findOneAndUpdate.mockReturnValue(mockQuery({ _id: 'm4', version: 4, status: 'PUBLISHED' }));
+
+      await ussdMenuService.publish(TENANT_ID, 4, ADMIN);
+
+      expect(UssdMenu.updateMany).toHaveBeenCalledWith(
+        { tenantId: TENANT_ID, status: 'PUBLISHED', _id: { $ne: 'm4' } },
+        { $set: { status: 'RETIRED' } }
+      );
+      expect(UssdMenu.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'PUBLISHED', publishedBy: ADMIN.id });
+    });
+
+    it('reports a missing version', async () => {
+      UssdMenu.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(ussdMenuService.publish(TENANT_ID, 9, ADMIN)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getActive', () => {
+    it('falls back to the default menu', async () => {
+      UssdMenu.findOne.mockReturnValue(mockQuery(null));
+
+      const menu = await ussdMenuService.getActive(TENANT_ID);
+
+      expect(menu).toMatchObject({ source: 'DEFAULT', definition: defaultMenu });
+    });
+
+    it('caches the published tree', async () => {
+      UssdMenu.findOne.mockReturnValue(mockQuery({ version: 4, definition: tenantTree() }));
+
+      await ussdMenuService.getActive(TENANT_ID);
+      const menu = await ussdMenuService.getActive(TENANT_ID);
+
+      expect(menu).toMatchObject({ source: 'TENANT', version: 4 });
+      expect(UssdMenu.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('simulate', () => {
+    it('walks the default menu with sample data', async () => {
+      UssdMenu.findOne.mockReturnValue(mockQuery(null));
+
+      const screen = await ussdMenuService.simulate(TENANT_ID, { text: '6*4821*1*20000' });
+
+      expect(screen).toMatchObject({ screenId: 'contributeConfirm', source: 'DEFAULT', page: 1, pages: 1 });
+      expect(screen.response).toMatch(/^CON Contribute UGX 20,000 to Sample Savings Group\./);
+      expect(screen.length).toBeLessThanOrEqual(182);
+    });
+
+    it('renders an unsaved tree in the chosen language with the default copy behind it', async () => {
+      const definition = tenantTree();
+
+      expect((await ussdMenuService.simulate(TENANT_ID, { definition })).response).toBe(
+        'CON Tukusanyukidde ku Kireka SACCO\n\n1. Ssente ku akawunti\n2. Okuwaayo'
+      );
+      expect((await ussdMenuService.simulate(TENANT_ID, { definition, text: '1', language: 'sw' })).response).toBe(
+        'END Salio la akiba yako ni UGX 250,000'
+      );
+    });
+
+    it('refuses to simulate a broken tree', async () => {
+      await expect(
+        ussdMenuService.simulate(TENANT_ID, { definition: { start: 'main', screens: {} } })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
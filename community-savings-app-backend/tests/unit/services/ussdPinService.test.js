@@ -0,0 +1,182 @@
+/**
+ * USSD PIN Service Unit Tests
+ */
+
+process.env.BCRYPT_ROUNDS = '4';
+
+jest.mock('../../../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/auditLogService', () => ({ log: jest.fn() }));
+jest.mock('../../../services/notificationService', () => ({ sendSMS: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const User = require('../../../models/User');
+const notificationService = require('../../../services/notificationService');
+const ussdPinService = require('../../../services/ussdPinService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const USER_ID = '64b000000000000000000001';
+const MINUTE = 60 * 1000;
+
+const stored = async (pin = '4821', overrides = {}) => ({
+  _id: USER_ID,
+  phone: '+256772000001',
+  ussdPin: { hash: await bcrypt.hash(pin, 4), setAt: new Date(), failedAttempts: 0, ...overrides },
+});
+
+describe('USSD PIN Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('setPin', () => {
+    it('stores a bcrypt hash and clears any lockout', async () => {
+      await ussdPinService.setPin(USER_ID, '4821', { id: USER_ID, role: 'user' });
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: USER_ID });
+      expect(update.$set['ussdPin.lockedUntil']).toBeNull();
+      expect(await bcrypt.compare('4821', update.$set['ussdPin.hash'])).toBe(true);
+    });
+
+    it.each(['123', '12345', 'abcd', '1111', '1234', '9876'])('refuses %s', async (pin) => {
+      await expect(ussdPinService.setPin(USER_ID, pin, {})).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'ERR_USSD_PIN_INVALID',
+      });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts the right PIN and resets the failure count', async () => {
+      User.findById.mockReturnValue(mockQuery(await stored('4821', { failedAttempts: 2 })));
+
+      await ussdPinService.verify(USER_ID, '4821');
+
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $set: { 'ussdPin.failedAttempts': 0 } });
+    });
+
+    it('counts a wrong PIN and says how many attempts are left', async () => {
+      User.findById.mockReturnValue(mockQuery(await stored()));
+      User.findOneAndUpdate.mockReturnValue(mockQuery({ ussdPin: { failedAttempts: 1 } }));
+
+      await expect(ussdPinService.verify(USER_ID, '0000')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Wrong PIN. 2 attempts left.',
+        attemptsLeft: 2,
+      });
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $inc: { 'ussdPin.failedAttempts': 1 } },
+        { new: true }
+      );
+    });
+
+    it('locks the PIN after the last allowed attempt', async () => {
+      User.findById.mockReturnValue(mockQuery(await stored()));
+      User.findOneAndUpdate.mockReturnValue(mockQuery({ ussdPin: { failedAttempts: 3 } }));
+
+      await expect(ussdPinService.verify(USER_ID, '0000')).rejects.toMatchObject({
+        statusCode: 423,
+        errorCode: 'ERR_USSD_PIN_LOCKED',
+      });
+      const { $set } = User.updateOne.mock.calls[0][1];
+      expect($set['ussdPin.lockedUntil'].getTime() - Date.now()).toBeGreaterThan(29 * MINUTE);
+    });
+
+    it('refuses even the right PIN while locked', async () => {
+      User.findById.mockReturnValue(mockQuery(await stored('4821', { lockedUntil: new Date(Date.now() + MINUTE) })));
+
+      await expect(ussdPinService.verify(USER_ID, '4821')).rejects.toMatchObject({ statusCode: 423 });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('reports a member without a PIN', async () => {
+      User.findById.mockReturnValue(mockQuery({ _id: USER_ID, ussdPin: {} }));
+
+      await expect(ussdPinService.verify(USER_ID, '4821')).rejects.toMatchObject({ errorCode: 'ERR_USSD_PIN_NOT_SET' });
+    });
+  });
+
+  describe('reset codes', () => {
+    it('texts a 6-digit code and lifts the lockout', async () => {
+      User.findById.mockReturnValue(mockQuery(await stored('4821', { lockedUntil: new Date(Date.now() + MINUTE) })));
+
+      const { expiresAt } = await ussdPinService.issueResetCode(USER_ID, { id: 'admin', role: 'admin' });
+
+      const { phoneNumber, message } = notificationService.sendSMS.mock.calls[0][0];
+      const code = /(\d{6})/.exec(message)[1];
+      const { $set } = User.updateOne.mock.calls[0][1];
+      expect(phoneNumber).toBe('+256772000001');
+      expect(await bcrypt.compare(code, $set['ussdPin.resetCodeHash'])).toBe(true);
+      expect($set['ussdPin.lockedUntil']).toBeNull();
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('sets the new PIN with a valid code', async () => {
+      User.findById.mockReturnValue(
+        mockQuery({
+          _id: USER_ID,
+          ussdPin: { resetCodeHash: await bcrypt.hash('482913', 4), resetCodeExpiresAt: new Date(Date.now() + MINUTE) },
+        })
+      );
+
+      await ussdPinService.resetWithCode(USER_ID, '482913', '5730');
+
+      const { $set, $unset } = User.updateOne.mock.calls[0][1];
+      expect(await bcrypt.compare('5730', $set['ussdPin.hash'])).toBe(true);
+      expect($unset).toHaveProperty(['ussdPin.resetCodeHash']);
+    });
+
+    it('voids the code after three wrong tries', async () => {
+      User.findById.mockReturnValue(
+        mockQuery({
+          _id: USER_ID,
+          ussdPin: {
+            resetCodeHash: await bcrypt.hash('482913', 4),
+            resetCodeExpiresAt: new Date(Date.now() + MINUTE),
+            resetCodeAttempts: 2,
+          },
+        })
+      );
+
+      await expect(ussdPinService.resetWithCode(USER_ID, '111111', '5730')).rejects.toMatchObject({
+        statusCode: 401,
+        errorCode: 'ERR_USSD_PIN_RESET_CODE',
+      });
+      expect(User.updateOne.mock.calls[0][1].$unset).toHaveProperty(['ussdPin.resetCodeHash']);
+    });
+
+    it('rejects an expired code', async () => {
+      User.findById.mockReturnValue(
+        mockQuery({
+          _id: USER_ID,
+          ussdPin: { resetCodeHash: await bcrypt.hash('482913', 4), resetCodeExpiresAt: new Date(Date.now() - MINUTE) },
+        })
+      );
+
+      await expect(ussdPinService.resetWithCode(USER_ID, '482913', '5730')).rejects.toMatchObject({ statusCode: 410 });
+    });
+  });
+
+  describe('findByPhone', () => {
+    it('matches the number with or without the plus sign', async () => {
+      User.findOne.mockReturnValue(mockQuery(null));
+
+      await ussdPinService.findByPhone('64b0000000000000000000f1', '+256 772 000001');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        phone: { $in: ['+256772000001', '256772000001'] },
+        isActive: true,
+        tenantId: '64b0000000000000000000f1',
+      });
+    });
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * USSD Service Unit Tests
+ * PIN-protected journeys: contribute, repay, request a loan, guarantee, mini statement,
+ * run through the default menu tree
+ */
+
+jest.mock('../../../models/Contribution', () => ({ find: jest.fn() }));
+jest.mock('../../../models/Group', () => ({ find: jest.fn() }));
+jest.mock('../../../models/InternalTransfer', () => ({ find: jest.fn() }));
+jest.mock('../../../models/Loan', () => ({ find: jest.fn() }));
+jest.mock('../../../models/LoanRepaymentSchedule', () => ({ findOne: jest.fn() }));
+jest.mock('../../../models/PaymentRequest', () => ({ find: jest.fn(), PROVIDERS: ['mtn', 'airtel'] }));
+jest.mock('../../../models/User', () => ({ updateOne: jest.fn() }));
+jest.mock('../../../models/UssdMenu', () => ({ findOne: jest.fn(() => ({ lean: () => Promise.resolve(null) })) }));
+jest.mock('../../../utils/logger');
+jest.mock('../../../services/metricsService', () => ({ increment: jest.fn(), timing: jest.fn() }));
+jest.mock('../../../services/savingsService', () => ({}));
+jest.mock('../../../services/notificationService', () => ({ send: jest.fn(), sendSMS: jest.fn() }));
+jest.mock('../../../services/guarantorService', () => ({ pendingForPhone: jest.fn(), respond: jest.fn() }));
+jest.mock('../../../services/paymentRequestService', () => ({ createForMember: jest.fn(), collect: jest.fn() }));
+jest.mock('../../../services/loanWorkflowService', () => {
+  const createLoanApplication = jest.fn();
+  return Object.assign(jest.fn(() => ({ createLoanApplication })), { createLoanApplication });
+});
+jest.mock('../../../services/ussdPinService', () => ({
+  findByPhone: jest.fn(),
+  status: jest.fn(),
+  verify: jest.fn(),
+  validatePin: jest.fn(),
+  resetWithCode: jest.fn(),
+  changePin: jest.fn(),
+}));
+jest.mock('../../../services/ussdSessionService', () => {
+  const sessions = new Map();
+  const responses = new Map();
+  const locks = new Set();
+  return {
+    reset: () => [sessions, responses, locks].forEach((store) => store.clear()),
+    findSession: jest.fn(async (id) => sessions.get(id) || null),
+    createSession: jest.fn(async (data) => sessions.set(data.sessionId, { ...data, state: {} }).get(data.sessionId)),
+    getState: jest.fn(async (id) => sessions.get(id)?.state || {}),
+    setState: jest.fn(async (id, state) => Object.assign(sessions.get(id).state, state)),
+    saveResponse: jest.fn(async (key, response) => responses.set(key, response)),
+    getResponse: jest.fn(async (key) => responses.get(key) || null),
+    acquireLock: jest.fn(async (key) => !locks.has(key) && Boolean(locks.add(key))),
+    releaseLock: jest.fn(async (key) => locks.delete(key)),
+  };
+});
+
+const Contribution = require('../../../models/Contribution');
+const Group = require('../../../models/Group');
+const InternalTransfer = require('../../../models/InternalTransfer');
+const Loan = require('../../../models/Loan');
+const LoanRepaymentSchedule = require('../../../models/LoanRepaymentSchedule');
+const PaymentRequest = require('../../../models/PaymentRequest');
+const User = require('../../../models/User');
+const guarantorService = require('../../../services/guarantorService');
+const paymentRequestService = require('../../../services/paymentRequestService');
+const { createLoanApplication } = require('../../../services/loanWorkflowService');
+const ussdPinService = require('../../../services/ussdPinService');
+const ussdSessionService = require('../../../services/ussdSessionService');
+const ussdService = require('../../../services/ussdService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const TENANT = { id: '64b0000000000000000000f1' };
+const PHONE = '+256772000001';
+const USER = { _id: '64b000000000000000000001', tenantId: TENANT.id, mobileMoney: {} };
+const GROUP = { _id: '64b0000000000000000000a1', name: 'Kireka Women' };
+const LOAN_ID = '64b0000000000000000000d1';
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const dial = (text, sessionId = 'ATUid_1') =>
+  ussdService.process({ tenant: TENANT, sessionId, phoneNumber: PHONE, serviceCode: '*284#', text });
+
+describe('USSD Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ussdSessionService.reset();
+    ussdPinService.findByPhone.mockResolvedValue(USER);
+    ussdPinService.status.mockReturnValue('ACTIVE');
+    ussdPinService.verify.mockResolvedValue(USER);
+    Group.find.mockReturnValue(mockQuery([GROUP]));
+    paymentRequestService.createForMember.mockImplementation(async (payload) => ({
+      _id: 'pr_1',
+      status: 'OPEN',
+      ...payload,
+    }));
+    paymentRequestService.collect.mockResolvedValue({ status: 'PENDING', reference: 'USSD-REF' });
+  });
+
+  it('lists the transactional menus across pages', async () => {
+    const first = await dial('');
+    const second = await dial('98');
+
+    expect(first).toMatch(/^CON /);
+    expect(first).toContain('6. Contribute');
+    expect(first).toMatch(/\n98\. More$/);
+    expect(second).toContain('10. PIN Settings');
+    expect(second).toContain('99. Back');
+    [first, second].forEach((screen) => expect(screen.length).toBeLessThanOrEqual(182));
+  });
+
+  it('accepts an option from a later page', async () => {
+    expect(await dial('98*10')).toBe('CON PIN Settings\n\n1. Set PIN with code\n2. Change PIN');
+  });
+
+  it('runs every action the simulator can stand in for', () => {
+    const sampleRuntime = require('../../../services/ussd/sampleRuntime');
+
+    expect(Object.keys(ussdService.actions).sort()).toEqual(Object.keys(sampleRuntime.actions).sort());
+    expect(Object.keys(ussdService.validators).sort()).toEqual(Object.keys(sampleRuntime.validators).sort());
+  });
+
+  describe('language', () => {
+    it('shows screens in the language on the member profile', async () => {
+      ussdPinService.findByPhone.mockResolvedValue({ ...USER, profile: { language: 'sw' } });
+
+      expect(await dial('6')).toBe('CON Weka PIN yako');
+    });
+
+    it('saves the chosen language and uses it from then on', async () => {
+      expect(await dial('11*2')).toBe('END Olulimi lukyusiddwa okudda ku Luganda.');
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER._id }, { $set: { 'profile.language': 'lg' } });
+    });
+
+    it('translates PIN errors', async () => {
+      ussdPinService.findByPhone.mockResolvedValue({ ...USER, profile: { language: 'fr' } });
+      ussdPinService.verify.mockRejectedValue(
+        Object.assign(new Error('Wrong PIN. 2 attempts left.'), {
+          statusCode: 401,
+          errorCode: 'ERR_USSD_PIN_INVALID',
+          attemptsLeft: 2,
+        })
+      );
+
+      expect(await dial('6*0000')).toBe('END PIN erroné. Il vous reste 2 essais.');
+    });
+  });
+
+  describe('PIN', () => {
+    it('asks for the PIN before anything else', async () => {
+      expect(await dial('6')).toBe('CON Enter your PIN');
+      expect(Group.find).not.toHaveBeenCalled();
+    });
+
+    it('checks the PIN once per session', async () => {
+      await dial('6*4821');
+      await dial('6*4821*1');
+      await dial('6*4821*1*20000');
+
+      expect(ussdPinService.verify).toHaveBeenCalledTimes(1);
+      expect(ussdPinService.verify).toHaveBeenCalledWith(USER._id, '4821');
+    });
+
+    it('ends the session on a wrong PIN', async () => {
+      ussdPinService.verify.mockRejectedValue(Object.assign(new Error('Wrong PIN. 2 attempts left.'), { statusCode: 401 }));
+
+      expect(await dial('6*0000')).toBe('END Wrong PIN. 2 attempts left.');
+      expect(Group.find).not.toHaveBeenCalled();
+    });
+
+    it('keeps a locked member out', async () => {
+      ussdPinService.status.mockReturnValue('LOCKED');
+
+      expect(await dial('7*4821')).toMatch(/^END Too many wrong PINs/);
+      expect(ussdPinService.verify).not.toHaveBeenCalled();
+    });
+
+    it('tells a member without a PIN how to get one', async () => {
+      ussdPinService.status.mockReturnValue('NOT_SET');
+
+      expect(await dial('6')).toMatch(/PIN code.*PIN Settings/);
+    });
+
+    it('sets a PIN with an SMS code', async () => {
+      expect(await dial('10*1')).toMatch(/6-digit code/);
+      expect(await dial('10*1*482913*5730')).toBe('CON Enter the new PIN again');
+      expect(await dial('10*1*482913*5730*5730')).toBe('END Your PIN has been set.');
+      expect(ussdPinService.resetWithCode).toHaveBeenCalledWith(USER._id, '482913', '5730');
+    });
+
+    it('changes a PIN only when both entries match', async () => {
+      expect(await dial('10*2*4821*5730*5731')).toMatch(/do not match/);
+      expect(ussdPinService.changePin).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('contribute', () => {
+    it('confirms before collecting', async () => {
+      expect(await dial('6*4821')).toBe('CON Select group\n\n1. Kireka Women');
+      expect(await dial('6*4821*1')).toBe('CON Enter amount (UGX)');
+
+      const confirm = await dial('6*4821*1*20,000');
+      expect(confirm).toContain('Contribute UGX 20,000 to Kireka Women');
+      expect(confirm).toContain('(MTN)');
+      expect(paymentRequestService.createForMember).not.toHaveBeenCalled();
+    });
+
+    it('starts a mobile money collection on confirm', async () => {
+      const screen = await dial('6*4821*1*20000*1');
+      await flush();
+
+      expect(screen).toMatch(/^END Approve UGX 20,000 on the MTN prompt that follows\.\nRef: USSD-[A-F0-9]{12}$/);
+      expect(paymentRequestService.createForMember).toHaveBeenCalledWith(
+        expect.objectContaining({
+          purpose: 'CONTRIBUTION',
+          groupId: GROUP._id,
+          amount: 20000,
+          phoneNumber: PHONE,
+          channel: 'USSD',
+        }),
+        USER
+      );
+      expect(paymentRequestService.collect).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 20000 }),
+        { provider: 'mtn', phoneNumber: PHONE },
+        expect.objectContaining({ sessionId: 'ATUid_1' })
+      );
+    });
+
+    it('stays idempotent when the gateway retries the confirm', async () => {
+      const first = await dial('6*4821*1*20000*1');
+      const retry = await dial('6*4821*1*20000*1');
+      await flush();
+
+      expect(retry).toBe(first);
+      expect(paymentRequestService.createForMember).toHaveBeenCalledTimes(1);
+      expect(paymentRequestService.collect).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs a collection once even if the response cache missed', async () => {
+      const first = await dial('6*4821*1*20000*1');
+      ussdSessionService.getResponse.mockResolvedValueOnce(null);
+      const retry = await dial('6*4821*1*20000*1');
+      await flush();
+
+      expect(retry).toBe(first);
+      expect(paymentRequestService.createForMember).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels without collecting', async () => {
+      expect(await dial('6*4821*1*20000*2')).toBe('END Cancelled.');
+      expect(paymentRequestService.createForMember).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unreadable amount', async () => {
+      expect(await dial('6*4821*1*12abc')).toBe('END Invalid amount.');
+    });
+  });
+
+  describe('repay loan', () => {
+    beforeEach(() => {
+      Loan.find.mockReturnValue(mockQuery([{ _id: LOAN_ID, amount: 500000, status: 'active' }]));
+      LoanRepaymentSchedule.findOne.mockReturnValue(
+        mockQuery({
+          installments: [
+            { status: 'paid', totalAmount: 95000, dueDate: new Date('2026-10-05') },
+            { status: 'pending', totalAmount: 95000, dueDate: new Date('2026-11-05') },
+          ],
+        })
+      );
+    });
+
+    it('offers the next installment and collects it', async () => {
+      expect(await dial('7*4821')).toBe('CON Select loan\n\n1. UGX 95,000 due 05/11');
+
+      await dial('7*4821*1*1');
+
+      expect(paymentRequestService.createForMember).toHaveBeenCalledWith(
+        expect.objectContaining({ purpose: 'LOAN_REPAYMENT', loanId: LOAN_ID, amount: 95000 }),
+        USER
+      );
+    });
+  });
+
+  describe('request loan', () => {
+    it('submits the application after confirmation', async () => {
+      createLoanApplication.mockResolvedValue({ _id: '64b0000000000000000abc12' });
+
+      expect(await dial('8*4821*1*300000')).toContain('3. 12 months');
+      expect(await dial('8*4821*1*300000*2')).toMatch(/UGX 300,000 from Kireka Women over 6 months/);
+
+      const done = await dial('8*4821*1*300000*2*1');
+
+      expect(done).toBe('END Your loan request of UGX 300,000 has been sent for review.\nRef: 0ABC12');
+      expect(createLoanApplication).toHaveBeenCalledWith(
+        expect.objectContaining({ borrowerId: USER._id, groupId: GROUP._id, amount: 300000, term: 6 })
+      );
+    });
+  });
+
+  describe('guarantor requests', () => {
+    it('records the answer after the PIN', async () => {
+      guarantorService.pendingForPhone.mockResolvedValue([
+        { loanId: LOAN_ID, guarantorId: 'g1', loanAmount: 500000, guaranteeAmount: 100000 },
+      ]);
+
+      expect(await dial('5*4821*1*1')).toBe('END Guarantee accepted.');
+      expect(guarantorService.respond).toHaveBeenCalledWith(LOAN_ID, 'g1', {
+        decision: 'accept',
+        channel: 'USSD',
+        phoneNumber: PHONE,
+      });
+    });
+  });
+
+  describe('mini statement', () => {
+    it('shows the last five transactions, newest first', async () => {
+      Contribution.find.mockReturnValue(
+        mockQuery([
+          { amount: '20000', date: new Date('2026-10-12') },
+          { amount: '20000', date: new Date('2026-10-05') },
+        ])
+      );
+      PaymentRequest.find.mockReturnValue(mockQuery([{ amount: 95000, paidAt: new Date('2026-10-10') }]));
+      InternalTransfer.find.mockReturnValue(
+        mockQuery([
+          { type: 'MEMBER_TO_MEMBER', amount: 5000, from: { userId: USER._id }, completedAt: new Date('2026-10-14') },
+          { type: 'MEMBER_TO_MEMBER', amount: 7000, from: { userId: 'other' }, completedAt: new Date('2026-10-01') },
+          { type: 'MEMBER_TO_MEMBER', amount: 1000, from: { userId: 'other' }, completedAt: new Date('2026-09-01') },
+          {
+            type: 'MEMBER_TO_GROUP',
+            purpose: 'CONTRIBUTION',
+            amount: 3000,
+            from: { userId: USER._id },
+            completedAt: new Date('2026-10-13'),
+          },
+        ])
+      );
+
+      const screen = await dial('9*4821');
+
+      expect(screen).toBe(
+        [
+          'END Last 5 transactions (UGX)',
+          '14/10 Sent -5,000',
+          '12/10 Contribution 20,000',
+          '10/10 Loan repaid 95,000',
+          '05/10 Contribution 20,000',
+          '01/10 Received 7,000',
+        ].join('\n')
+      );
+    });
+  });
+});
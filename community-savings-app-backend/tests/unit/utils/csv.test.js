@@ -0,0 +1,30 @@
+/**
+ * CSV Reader Unit Tests
+ */
+
+const { parseCsv, parseDelimited } = require('../../../utils/csv');
+
+describe('csv', () => {
+  it('keys rows by the header and handles quoted fields', () => {
+    const text = 'name,phone,amount\r\n"Okello, Sam",0772123456,50000\r\n\r\n"Say ""hi""",0752123456,\n';
+
+    expect(parseCsv(text)).toEqual([
+      { name: 'Okello, Sam', phone: '0772123456', amount: '50000' },
+      { name: 'Say "hi"', phone: '0752123456', amount: '' },
+    ]);
+  });
+
+  it('returns no rows for blank text', () => {
+    expect(parseCsv('\n  \n')).toEqual([]);
+  });
+
+  it('keeps the starting line of records with embedded line breaks', () => {
+    const records = parseDelimited('Date;Details\n01/05/2026;"Line one\nline two"\n02/05/2026;Fee', { delimiter: ';' });
+
+    expect(records.map(({ line, cells }) => [line, cells])).toEqual([
+      [1, ['Date', 'Details']],
+      [2, ['01/05/2026', 'Line one\nline two']],
+      [4, ['02/05/2026', 'Fee']],
+    ]);
+  });
+});
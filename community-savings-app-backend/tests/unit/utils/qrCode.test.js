@@ -0,0 +1,44 @@
+/**
+ * QR Code Encoder Unit Tests
+ */
+
+const qrCode = require('../../../utils/qrCode');
+
+describe('qrCode', () => {
+  it('computes Reed-Solomon error correction codewords', () => {
+    // "HELLO WORLD" at 1-M (ISO/IEC 18004 worked example)
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(qrCode.rsRemainder(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('builds format and version information', () => {
+    expect(qrCode.formatBits(0).toString(2).padStart(15, '0')).toBe('101010000010010');
+    expect(qrCode.versionBits(7).toString(2).padStart(18, '0')).toBe('000111110010010100');
+  });
+
+  it('picks the smallest version that fits and draws the fixed patterns', () => {
+    const small = qrCode.encode('https://example.com');
+    expect(small.version).toBe(2);
+    expect(small.size).toBe(25);
+
+    const { modules, size } = qrCode.encode(`https://pay.example.com/api/v1/pay/${'x'.repeat(150)}`);
+    expect(size).toBe(modules.length);
+    // Finder pattern corners and the always-dark module
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([y, x]) => {
+      expect(modules[y][x]).toBe(true);
+      expect(modules[y + 1][x + 1]).toBe(false);
+      expect(modules[y + 3][x + 3]).toBe(true);
+    });
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('rejects text that does not fit', () => {
+    expect(() => qrCode.encode('x'.repeat(300))).toThrow();
+  });
+
+  it('renders an SVG', () => {
+    const svg = qrCode.toSvg('https://example.com', { size: 200 });
+    expect(svg).toMatch(/^<svg[^>]+viewBox="0 0 33 33"/);
+    expect(svg).toContain('width="200"');
+  });
+});
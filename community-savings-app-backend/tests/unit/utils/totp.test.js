@@ -0,0 +1,48 @@
+/**
+ * TOTP Unit Tests
+ */
+
+const totp = require('../../../utils/totp');
+
+// RFC 6238 appendix B test key: ASCII "12345678901234567890"
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(totp.base32Encode(bytes)).toBe(SECRET);
+    expect(totp.base32Decode(SECRET.toLowerCase())).toEqual(bytes);
+    expect(() => totp.base32Decode('GEZ1')).toThrow();
+  });
+
+  it('matches the RFC 6238 SHA-1 vectors (last six digits)', () => {
+    expect(totp.generate(SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generate(SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generate(SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('accepts one step of drift and reports the step used', () => {
+    const time = 1234567890 * 1000;
+    const step = Math.floor(1234567890 / 30);
+
+    expect(totp.verify(SECRET, '005924', { time })).toBe(step);
+    expect(totp.verify(SECRET, totp.generate(SECRET, time - 30000), { time })).toBe(step - 1);
+    expect(totp.verify(SECRET, totp.generate(SECRET, time + 30000), { time })).toBe(step + 1);
+    expect(totp.verify(SECRET, totp.generate(SECRET, time - 60000), { time })).toBeNull();
+  });
+
+  it('ignores malformed codes', () => {
+    expect(totp.verify(SECRET, '12345')).toBeNull();
+    expect(totp.verify(SECRET, 'abcdef')).toBeNull();
+    expect(totp.verify(SECRET, undefined)).toBeNull();
+  });
+
+  it('builds an otpauth:// URI for authenticator apps', () => {
+    const uri = totp.keyUri({ secret: SECRET, account: 'ann@example.com', issuer: 'Savings' });
+    expect(uri).toBe(
+      'otpauth://totp/Savings%3Aann%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+        '&issuer=Savings&algorithm=SHA1&digits=6&period=30'
+    );
+    expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
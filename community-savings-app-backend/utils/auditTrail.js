@@ -0,0 +1,26 @@
+// utils/auditTrail.js
+'use strict';
+
+/**
+ * Best-effort audit logging for services: a failed audit write is logged
+ * and never fails the operation being audited.
+ */
+
+const auditLogService = require('../services/auditLogService');
+const logger = require('./logger');
+
+/**
+ * @param {string} source - service name used in the failure log, e.g. 'MeetingService'
+ * @returns {(user: Object, action: string, data?: Object) => Promise<void>}
+ */
+function createAuditTrail(source) {
+  return async function audit(user, action, data) {
+    try {
+      await auditLogService.log(user, action, data);
+    } catch (err) {
+      logger.error(`[${source}] Audit log failed`, { action, error: err.message });
+    }
+  };
+}
+
+module.exports = { createAuditTrail };
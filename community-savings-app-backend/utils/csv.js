@@ -0,0 +1,94 @@
+// utils/csv.js
+'use strict';
+
+/**
+ * CSV reading shared by uploaded payout lists and statement file parsers.
+ */
+
+/**
+ * RFC 4180 style tokenizer: quoted fields may contain delimiters, doubled
+ * quotes and line breaks. Cells are trimmed and blank records skipped. Every
+ * record keeps the 1-based line it started on so parse errors point at the
+ * line an operator sees in a text editor.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.delimiter
+ * @returns {Array<{ line: number, cells: string[], raw: string }>}
+ */
+function parseDelimited(text, { delimiter = ',' } = {}) {
+  const records = [];
+
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let recordStart = 0;
+
+  const pushRecord = (end) => {
+    cells.push(cell);
+
+    if (cells.some((value) => value.trim() !== '')) {
+      records.push({
+        line: recordLine,
+        cells: cells.map((value) => value.trim()),
+        raw: text.slice(recordStart, end).replace(/\r$/, ''),
+      });
+    }
+
+    cells = [];
+    cell = '';
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        cell += char;
+      }
+
+      continue;
+    }
+
+    if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      pushRecord(index);
+      line += 1;
+      recordLine = line;
+      recordStart = index + 1;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  pushRecord(text.length);
+
+  return records;
+}
+
+/**
+ * Comma-separated text with a header row.
+ * @returns {Object[]} one object per row, keyed by the header row
+ */
+function parseCsv(text) {
+  const [header, ...body] = parseDelimited(text);
+  if (!header) return [];
+  return body.map(({ cells }) => Object.fromEntries(header.cells.map((key, i) => [key, cells[i] || ''])));
+}
+
+module.exports = { parseDelimited, parseCsv };
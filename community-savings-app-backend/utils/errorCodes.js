@@ -30,9 +30,106 @@ const errorCodes = Object.freeze({
 
   // ✅ Mobile Money (MoMo)
   MOMO_FAILED: "ERR_MOMO_FAILED",          // MoMo provider error
+  PAYMENT_NOT_CONFIRMED: "ERR_PAYMENT_NOT_CONFIRMED", // No settled payment behind the reference
 
   // ✅ Fraud
   FRAUD_DETECTED: "ERR_FRAUD_FLAGGED",     // Transaction flagged for fraud
+
+  // ✅ Group rotations (merry-go-round)
+  ROTATION_NOT_FOUND: "ERR_ROTATION_NOT_FOUND",       // Cycle or round does not exist
+  ROTATION_INVALID_STATE: "ERR_ROTATION_STATE",       // Action not allowed in current state
+  ROTATION_POT_INCOMPLETE: "ERR_ROTATION_POT_INCOMPLETE", // Round not fully collected
+
+  // ✅ Group meetings
+  MEETING_NOT_FOUND: "ERR_MEETING_NOT_FOUND",         // Meeting does not exist
+  MEETING_INVALID_STATE: "ERR_MEETING_STATE",         // Action not allowed in current state
+  MEETING_QUORUM_NOT_MET: "ERR_MEETING_QUORUM",       // Not enough members present
+
+  // ✅ Fines
+  FINE_NOT_FOUND: "ERR_FINE_NOT_FOUND",               // Fine or fine rule does not exist
+  FINE_INVALID_STATE: "ERR_FINE_STATE",               // Action not allowed in current state
+
+  // ✅ Group constitution
+  CONSTITUTION_NOT_FOUND: "ERR_CONSTITUTION_NOT_FOUND",           // No such constitution version
+  CONSTITUTION_INVALID_STATE: "ERR_CONSTITUTION_STATE",           // Proposal already decided or pending
+  CONSTITUTION_MIN_CONTRIBUTION: "ERR_CONSTITUTION_MIN_CONTRIBUTION", // Below the minimum contribution
+  CONSTITUTION_CONTRIBUTION_FREQUENCY: "ERR_CONSTITUTION_FREQUENCY", // Schedule off the agreed frequency
+  CONSTITUTION_CONTRIBUTION_CURRENCY: "ERR_CONSTITUTION_CURRENCY", // Not in the group's currency
+  CONSTITUTION_LOAN_MULTIPLE_EXCEEDED: "ERR_CONSTITUTION_LOAN_MULTIPLE", // Loan above savings multiple
+  CONSTITUTION_LOAN_TERM_EXCEEDED: "ERR_CONSTITUTION_LOAN_TERM",  // Loan term above the maximum
+  CONSTITUTION_WITHDRAWAL_APPROVAL_REQUIRED: "ERR_CONSTITUTION_WITHDRAWAL_APPROVAL", // Needs an approver
+
+  // ✅ Loan products
+  LOAN_PRODUCT_NOT_FOUND: "ERR_LOAN_PRODUCT_NOT_FOUND",           // No such product for the tenant
+  LOAN_PRODUCT_INVALID_STATE: "ERR_LOAN_PRODUCT_STATE",           // Code taken, or product retired
+  LOAN_PRODUCT_TERMS_VIOLATED: "ERR_LOAN_PRODUCT_TERMS",          // Amount, term or rate outside the product
+  LOAN_PRODUCT_NOT_ELIGIBLE: "ERR_LOAN_PRODUCT_ELIGIBILITY",      // Savings, guarantors or collateral short
+
+  // ✅ Guarantors
+  GUARANTOR_NOT_FOUND: "ERR_GUARANTOR_NOT_FOUND",                 // No such guarantor on the loan
+  GUARANTOR_INVALID_STATE: "ERR_GUARANTOR_STATE",                 // Already answered, or loan closed
+  GUARANTOR_CONSENT_INVALID: "ERR_GUARANTOR_CONSENT",             // Wrong code or expired request
+  GUARANTOR_INSUFFICIENT_SAVINGS: "ERR_GUARANTOR_SAVINGS",        // Savings cannot cover the guarantee
+
+  // ✅ Loan restructuring
+  RESTRUCTURE_NOT_FOUND: "ERR_RESTRUCTURE_NOT_FOUND",             // No such restructure request
+  RESTRUCTURE_INVALID_STATE: "ERR_RESTRUCTURE_STATE",             // Loan not restructurable, or request decided
+  RESTRUCTURE_SELF_APPROVAL: "ERR_RESTRUCTURE_SELF_APPROVAL",     // Checker must differ from the maker
+
+  // ✅ Dividends
+  DIVIDEND_INVALID_STATE: "ERR_DIVIDEND_STATE",                   // Declaration missing, already posted or rejected
+
+  // ✅ Savings cycles
+  CYCLE_NOT_FOUND: "ERR_CYCLE_NOT_FOUND",                         // Savings cycle does not exist
+  CYCLE_INVALID_STATE: "ERR_CYCLE_STATE",                         // Action not allowed in current state
+  CYCLE_LOANS_OUTSTANDING: "ERR_CYCLE_LOANS_OUTSTANDING",         // Loans must be repaid or netted before close-out
+
+  // ✅ Group withdrawals
+  WITHDRAWAL_NOT_FOUND: "ERR_WITHDRAWAL_NOT_FOUND",               // Withdrawal request does not exist
+  WITHDRAWAL_INVALID_STATE: "ERR_WITHDRAWAL_STATE",               // Request already decided, expired or released
+  WITHDRAWAL_QUORUM_UNREACHABLE: "ERR_WITHDRAWAL_QUORUM",         // Fewer signatories than the required approvals
+
+  // ✅ Standing orders
+  STANDING_ORDER_NOT_FOUND: "ERR_STANDING_ORDER_NOT_FOUND",       // Standing order does not exist
+  STANDING_ORDER_INVALID_STATE: "ERR_STANDING_ORDER_STATE",       // Not active/paused, or target closed
+
+  // ✅ Disbursement batches
+  DISBURSEMENT_BATCH_NOT_FOUND: "ERR_DISBURSEMENT_BATCH_NOT_FOUND", // Batch does not exist
+  DISBURSEMENT_BATCH_INVALID_STATE: "ERR_DISBURSEMENT_BATCH_STATE", // Action not allowed in current batch status
+  DISBURSEMENT_BATCH_SELF_APPROVAL: "ERR_DISBURSEMENT_BATCH_SELF_APPROVAL", // Maker cannot approve own batch
+
+  // ✅ Internal transfers
+  INTERNAL_TRANSFER_NOT_FOUND: "ERR_INTERNAL_TRANSFER_NOT_FOUND", // Transfer does not exist or is not yours
+  INTERNAL_TRANSFER_KYC_LIMIT: "ERR_KYC_LIMIT",                   // Not KYC verified or over a tier limit
+
+  // ✅ Payment requests
+  PAYMENT_REQUEST_NOT_FOUND: "ERR_PAYMENT_REQUEST_NOT_FOUND",     // Request does not exist
+  PAYMENT_REQUEST_INVALID_STATE: "ERR_PAYMENT_REQUEST_STATE",     // Already paid, cancelled or in progress
+  PAYMENT_REQUEST_INVALID_LINK: "ERR_PAYMENT_REQUEST_LINK",       // Signature or claims do not match
+  PAYMENT_REQUEST_EXPIRED: "ERR_PAYMENT_REQUEST_EXPIRED",         // Link past its expiry
+
+  // ✅ Foreign exchange
+  FX_RATE_NOT_FOUND: "ERR_FX_RATE_NOT_FOUND",                     // No rate effective for the pair and date
+  FX_RATE_EXISTS: "ERR_FX_RATE_EXISTS",                           // Pair already has a rate from that date
+
+  // ✅ USSD PINs
+  USSD_PIN_NOT_SET: "ERR_USSD_PIN_NOT_SET",                       // Member has no USSD PIN yet
+  USSD_PIN_INVALID: "ERR_USSD_PIN_INVALID",                       // Wrong PIN, or a PIN that is too easy to guess
+  USSD_PIN_LOCKED: "ERR_USSD_PIN_LOCKED",                         // Too many wrong PINs; locked for a while
+  USSD_PIN_RESET_CODE_INVALID: "ERR_USSD_PIN_RESET_CODE",         // Reset code wrong, used up or expired
+
+  // ✅ USSD Menus
+  USSD_MENU_INVALID: "ERR_USSD_MENU_INVALID",                     // Menu tree failed validation
+  USSD_MENU_NOT_FOUND: "ERR_USSD_MENU_NOT_FOUND",                 // No such menu version for the tenant
+  USSD_MENU_CONFLICT: "ERR_USSD_MENU_CONFLICT",                   // Two versions saved at once
+
+  // ✅ MFA
+  MFA_CODE_INVALID: "ERR_MFA_CODE_INVALID",                       // Wrong, expired or reused authenticator/backup code
+  MFA_CHALLENGE_INVALID: "ERR_MFA_CHALLENGE_INVALID",             // Sign-in challenge tampered with or expired
+  MFA_NOT_ENABLED: "ERR_MFA_NOT_ENABLED",                         // User has no second factor set up
+  MFA_ALREADY_ENABLED: "ERR_MFA_ALREADY_ENABLED",                 // Second factor already set up
+  MFA_SETUP_NOT_STARTED: "ERR_MFA_SETUP_NOT_STARTED",             // Confirmed before a secret was issued
+  MFA_REQUIRED: "ERR_MFA_REQUIRED",                               // Tenant policy requires MFA for the user's role
 });
 
 module.exports = errorCodes;
@@ -0,0 +1,62 @@
+// utils/groupRoles.js
+'use strict';
+
+/**
+ * Group membership and officer checks shared by the group services
+ * (meetings, fines, rotations, savings cycles, withdrawals, constitution, schedules).
+ */
+
+const Group = require('../models/Group');
+const AppError = require('./AppError');
+const errorCodes = require('./errorCodes');
+
+// Member roles that may act for the group, alongside its creator and platform admins
+const OFFICER_ROLES = Object.freeze(['treasurer', 'secretary']);
+
+function isGroupOfficer(group, user) {
+  if (!group || !user) return false;
+  if (user.role === 'admin') return true;
+  if (group.createdBy && group.createdBy.toString() === String(user.id)) return true;
+  return (group.memberRoles || []).some(
+    (r) => r.userId?.toString() === String(user.id) && OFFICER_ROLES.includes(r.role)
+  );
+}
+
+function isGroupMember(group, userId) {
+  return (group?.members || []).some((m) => m?.toString() === String(userId));
+}
+
+/**
+ * Group with the fields the checks above need; 404 when it does not exist.
+ */
+async function loadGroup(groupId) {
+  const group = await Group.findById(groupId).select('_id name members memberRoles createdBy').lean();
+  if (!group) {
+    throw new AppError('Group not found', 404, errorCodes.NOT_FOUND);
+  }
+  return group;
+}
+
+/**
+ * @param {string} action - completes "Only group officers can ...", e.g. 'run meetings'
+ */
+function assertOfficer(group, user, action) {
+  if (!isGroupOfficer(group, user)) {
+    throw new AppError(`Only group officers can ${action}`, 403, errorCodes.FORBIDDEN);
+  }
+}
+
+function assertMember(group, user) {
+  if (!isGroupOfficer(group, user) && !isGroupMember(group, user.id)) {
+    throw new AppError('Access denied to this group', 403, errorCodes.FORBIDDEN);
+  }
+}
+
+module.exports = {
+  OFFICER_ROLES,
+  isGroupOfficer,
+  isGroupMember,
+  loadGroup,
+  assertOfficer,
+  assertMember,
+};
@@ -0,0 +1,68 @@
+// utils/mobileMoney.js
+'use strict';
+
+/**
+ * Ugandan mobile money number and payout helpers shared by payouts and routing.
+ */
+
+const crypto = require('crypto');
+
+// Mobile money prefixes after the 256 country code
+const NETWORK_PREFIXES = Object.freeze({
+  mtn: ['76', '77', '78', '79', '39', '31'],
+  airtel: ['70', '74', '75', '20'],
+});
+
+/**
+ * International format (2567XXXXXXXX) for Ugandan numbers written locally.
+ */
+function normalizePhone(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (/^0\d{9}$/.test(digits)) return `256${digits.slice(1)}`;
+  if (/^[237]\d{8}$/.test(digits)) return `256${digits}`;
+  return digits;
+}
+
+/**
+ * Network (mtn|airtel) of a normalized number, or undefined.
+ */
+function detectProvider(phoneNumber) {
+  const national = phoneNumber.startsWith('256') ? phoneNumber.slice(3) : phoneNumber;
+  return Object.keys(NETWORK_PREFIXES).find((provider) =>
+    NETWORK_PREFIXES[provider].some((prefix) => national.startsWith(prefix))
+  );
+}
+
+// Final transfer statuses reported by the providers (MTN SUCCESSFUL/FAILED, Airtel TS/TF)
+const PAID_STATUSES = Object.freeze(['SUCCESSFUL', 'SUCCESS', 'TS']);
+const FAILED_STATUSES = Object.freeze(['FAILED', 'REJECTED', 'TF', 'TR', 'REVERSED']);
+
+/**
+ * 'paid', 'failed' or 'pending' for a provider transfer status.
+ */
+function payoutOutcome(providerStatus) {
+  const status = String(providerStatus || '').toUpperCase();
+  if (PAID_STATUSES.includes(status)) return 'paid';
+  if (FAILED_STATUSES.includes(status)) return 'failed';
+  return 'pending';
+}
+
+/**
+ * UUID v4-shaped id derived from `key`, so resending a payout reuses the request id
+ * the provider has already seen (MTN rejects a repeated X-Reference-Id).
+ */
+function stableReferenceId(key) {
+  const hex = crypto.createHash('sha256').update(String(key)).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+module.exports = {
+  NETWORK_PREFIXES,
+  PAID_STATUSES,
+  FAILED_STATUSES,
+  normalizePhone,
+  detectProvider,
+  payoutOutcome,
+  stableReferenceId,
+};
@@ -0,0 +1,373 @@
+// utils/qrCode.js
+'use strict';
+
+/**
+ * Minimal QR code encoder for links shown on screen or printed: byte mode,
+ * error correction level M, versions 1-10 (up to 213 bytes of UTF-8).
+ * Follows ISO/IEC 18004; the best of the eight masks is chosen by the
+ * standard penalty rules.
+ */
+
+// Error correction level M, versions 1-10: [ecCodewordsPerBlock, [dataCodewordsPerBlock...]]
+const BLOCKS_M = [
+  null,
+  [10, [16]],
+  [16, [28]],
+  [26, [44]],
+  [18, [32, 32]],
+  [24, [43, 43]],
+  [16, [27, 27, 27, 27]],
+  [18, [31, 31, 31, 31]],
+  [22, [38, 38, 39, 39]],
+  [22, [36, 36, 36, 37, 37]],
+  [26, [43, 43, 43, 43, 44]],
+];
+const ALIGNMENT_POSITIONS = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const FORMAT_BITS_M = 0;
+const MAX_VERSION = 10;
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// ---------------------------------------------------------------------------
+// Reed-Solomon over GF(256), polynomial 0x11D
+// ---------------------------------------------------------------------------
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < degree; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Error correction codewords for one block.
+ */
+function rsRemainder(data, degree) {
+  const divisor = rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Codewords
+// ---------------------------------------------------------------------------
+
+function dataCapacity(version) {
+  return BLOCKS_M[version][1].reduce((sum, n) => sum + n, 0);
+}
+
+function pickVersion(byteLength) {
+  for (let version = 1; version <= MAX_VERSION; version += 1) {
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + byteLength * 8 <= dataCapacity(version) * 8) return version;
+  }
+  throw new Error(`Text is too long for a QR code (max ${MAX_VERSION}-M)`);
+}
+
+function dataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push(bit(value, i) ? 1 : 0);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave.
+ */
+function finalCodewords(data, version) {
+  const [ecLength, blockLengths] = BLOCKS_M[version];
+  const blocks = [];
+  let offset = 0;
+  for (const length of blockLengths) {
+    const block = data.slice(offset, offset + length);
+    blocks.push({ data: block, ec: rsRemainder(block, ecLength) });
+    offset += length;
+  }
+
+  const result = [];
+  const longest = Math.max(...blockLengths);
+  for (let i = 0; i < longest; i += 1) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ecLength; i += 1) {
+    blocks.forEach((block) => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Matrix
+// ---------------------------------------------------------------------------
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i += 1) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = ALIGNMENT_POSITIONS[this.version];
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) this.drawAlignment(x, y);
+      });
+    });
+
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i += 1) this.setFunction(8, i, bit(bits, i));
+    this.setFunction(8, 7, bit(bits, 6));
+    this.setFunction(8, 8, bit(bits, 7));
+    this.setFunction(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i += 1) this.setFunction(14 - i, 8, bit(bits, i));
+
+    for (let i = 0; i < 8; i += 1) this.setFunction(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i += 1) this.setFunction(8, size - 15 + i, bit(bits, i));
+    this.setFunction(8, size - 8, true); // dark module
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+    const bits = versionBits(this.version);
+    for (let i = 0; i < 18; i += 1) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, bit(bits, i));
+      this.setFunction(b, a, bit(bits, i));
+    }
+  }
+
+  // Modules past the last codeword are the remainder bits and stay light (0)
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y += 1) {
+      for (let x = 0; x < this.size; x += 1) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current modules (lower scans better).
+   */
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    for (const line of lines) {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === line[i - 1]) {
+          run += 1;
+        } else {
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+      }
+      // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+      const text = line.map((m) => (m ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+      }
+    }
+
+    for (let y = 0; y < size - 1; y += 1) {
+      for (let x = 0; x < size - 1; x += 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * 15-bit format information for level M and `mask` (BCH(15,5), masked).
+ */
+function formatBits(mask) {
+  const data = (FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+/**
+ * 18-bit version information (BCH(18,6)), used from version 7.
+ */
+function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Encode text as a QR code.
+ * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }} modules[y][x], true = dark
+ */
+function encode(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = pickVersion(bytes.length);
+  const codewords = finalCodewords(dataCodewords(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask += 1) {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { score, mask, matrix };
+  }
+  return { version, size: best.matrix.size, mask: best.mask, modules: best.matrix.modules };
+}
+
+/**
+ * Render text as a standalone SVG QR code.
+ * @param {Object} [options] - { border = 4 quiet-zone modules, size = rendered pixels }
+ */
+function toSvg(text, { border = 4, size } = {}) {
+  const qr = encode(text);
+  const dim = qr.size + border * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    });
+  });
+  const px = size ? ` width="${size}" height="${size}"` : '';
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}"${px} shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`
+  );
+}
+
+module.exports = { encode, toSvg, rsRemainder, formatBits, versionBits };
@@ -118,6 +118,35 @@ const validationRules = {
     body('password').notEmpty().withMessage('Password is required'),
   ],
 
+  // ------------------------
+  // Two-step verification (MFA)
+  // ------------------------
+  mfaChallenge: [
+    body('mfaToken').isString().notEmpty().withMessage('Sign-in challenge is required'),
+  ],
+
+  // An authenticator code or, where accepted, a backup code
+  mfaCode: [
+    body('code')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app'),
+
+    body('backupCode')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^[A-Za-z0-9]{4}-?[A-Za-z0-9]{4}$/)
+      .withMessage('Backup codes look like abcd-2345'),
+
+    body().custom((value) => {
+      if (!value?.code && !value?.backupCode) {
+        throw new Error('A verification code is required');
+      }
+      return true;
+    }),
+  ],
+
   // ------------------------
   // Group
   // ------------------------
@@ -136,6 +165,13 @@ const validationRules = {
       .trim()
       .isLength({ max: MAX_GROUP_DESC_LEN })
       .withMessage(`Description must not exceed ${MAX_GROUP_DESC_LEN} characters`),
+
+    body('smsCode')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9]{3,12}$/)
+      .withMessage('SMS code must be 3-12 letters or digits'),
   ],
 
   // ------------------------
@@ -227,6 +263,11 @@ const validationRules = {
       .trim()
       .isLength({ max: 100 })
       .withMessage('City must not exceed 100 characters'),
+
+    body('profile.language')
+      .optional()
+      .isIn(['en', 'lg', 'sw', 'nyn', 'fr'])
+      .withMessage('Language must be one of en, lg, sw, nyn, fr'),
   ],
 };
 
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * TITech Community Capital Ltd
+ * Two-Step Verification Components
+ * ============================================================================
+ *
+ * File:
+ *   frontend/src/components/TwoStepVerification.jsx
+ *
+ * Purpose:
+ *   Shared pieces of the two-step verification (MFA) screens used by the
+ *   sign-in page and account settings.
+ *
+ * Features
+ * ----------------------------------------------------------------------------
+ * ✓ Authenticator QR code with a manual-entry key
+ * ✓ One-time backup code list with copy and download
+ * ✓ Six-digit / backup code input
+ *
+ * Architectural boundary
+ * ----------------------------------------------------------------------------
+ * Presentation only. Codes are checked by the backend.
+ *
+ * ============================================================================
+ */
+
+import React, {
+  useCallback,
+  useMemo,
+} from "react";
+
+import PropTypes from "prop-types";
+
+import {
+  Copy,
+  Download,
+  KeyRound,
+} from "lucide-react";
+
+import { toast } from "react-toastify";
+
+import "./TwoStepVerification.css";
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalize what the user typed: digits only for authenticator codes,
+ * letters/digits and one dash for backup codes.
+ */
+export function normalizeMfaInput(
+  value,
+  useBackupCode = false
+) {
+  const text =
+    String(value || "");
+
+  return useBackupCode
+    ? text
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "")
+        .slice(0, 9)
+    : text
+        .replace(/\D/g, "")
+        .slice(0, 6);
+}
+
+export function isCompleteMfaInput(
+  value,
+  useBackupCode = false
+) {
+  return useBackupCode
+    ? /^[a-z0-9]{4}-?[a-z0-9]{4}$/.test(
+        value
+      )
+    : /^\d{6}$/.test(value);
+}
+
+// The key grouped in fours, as most authenticator apps show it
+const formatSecret = (secret) =>
+  String(secret || "")
+    .replace(/(.{4})/g, "$1 ")
+    .trim();
+
+// ============================================================================
+// Authenticator Setup
+// ============================================================================
+
+export function AuthenticatorSetup({
+  setup,
+}) {
+  const qrSrc =
+    useMemo(
+      () =>
+        setup?.qrSvg
+          ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+              setup.qrSvg
+            )}`
+          : null,
+      [setup]
+    );
+
+  if (!setup) {
+    return null;
+  }
+
+  return (
+    <div className="mfa-setup">
+      <ol className="mfa-setup-steps">
+        <li>
+          Open an authenticator app
+          (Google Authenticator,
+          Microsoft Authenticator,
+          Authy or similar).
+        </li>
+
+        <li>
+          Scan this QR code, or enter
+          the key below by hand.
+        </li>
+
+        <li>
+          Type the 6-digit code the app
+          shows to finish.
+        </li>
+      </ol>
+
+      {qrSrc && (
+        <img
+          className="mfa-qr"
+          src={qrSrc}
+          alt="QR code for your authenticator app"
+          width={200}
+          height={200}
+        />
+      )}
+
+      <p className="mfa-secret">
+        <KeyRound
+          size={16}
+          aria-hidden="true"
+        />
+
+        <span>Key:</span>
+
+        <code>
+          {formatSecret(
+            setup.secret
+          )}
+        </code>
+      </p>
+    </div>
+  );
+}
+
+AuthenticatorSetup.propTypes = {
+  setup: PropTypes.shape({
+    secret:
+      PropTypes.string,
+    otpauthUrl:
+      PropTypes.string,
+    qrSvg:
+      PropTypes.string,
+  }),
+};
+
+// ============================================================================
+// Backup Codes
+// ============================================================================
+
+export function BackupCodeList({
+  codes,
+}) {
+  const text =
+    useMemo(
+      () =>
+        (codes || []).join(
+          "\n"
+        ),
+      [codes]
+    );
+
+  const handleCopy =
+    useCallback(async () => {
+      try {
+        await navigator.clipboard.writeText(
+          text
+        );
+
+        toast.success(
+          "Backup codes copied"
+        );
+      } catch {
+        toast.error(
+          "Could not copy. Please write the codes down."
+        );
+      }
+    }, [text]);
+
+  const handleDownload =
+    useCallback(() => {
+      const url =
+        URL.createObjectURL(
+          new Blob(
+            [
+              "TITech Community Capital backup codes\n" +
+                "Each code works once.\n\n" +
+                text +
+                "\n",
+            ],
+            {
+              type: "text/plain",
+            }
+          )
+        );
+
+      const link =
+        document.createElement(
+          "a"
+        );
+
+      link.href = url;
+      link.download =
+        "titech-backup-codes.txt";
+      link.click();
+
+      URL.revokeObjectURL(url);
+    }, [text]);
+
+  if (
+    !codes ||
+    codes.length === 0
+  ) {
+    return null;
+  }
+
+  return (
+    <div
+      className="mfa-backup-codes"
+      role="region"
+      aria-label="Backup codes"
+    >
+      <p>
+        Save these backup codes
+        somewhere safe. Each one signs
+        you in once if you lose your
+        phone. They will not be shown
+        again.
+      </p>
+
+      <ul>
+        {codes.map((code) => (
+          <li key={code}>
+            <code>{code}</code>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mfa-backup-actions">
+        <button
+          type="button"
+          onClick={handleCopy}
+        >
+          <Copy
+            size={16}
+            aria-hidden="true"
+          />
+
+          <span>Copy</span>
+        </button>
+
+        <button
+          type="button"
+          onClick={
+            handleDownload
+          }
+        >
+          <Download
+            size={16}
+            aria-hidden="true"
+          />
+
+          <span>Download</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+BackupCodeList.propTypes = {
+  codes: PropTypes.arrayOf(
+    PropTypes.string
+  ),
+};
@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * TITech Community Capital Ltd
+ * Two-Step Verification Component Tests
+ * ============================================================================
+ *
+ * File:
+ *   frontend/src/components/TwoStepVerification.test.jsx
+ *
+ * Coverage:
+ *   ✓ Authenticator / backup code input normalization
+ *   ✓ Complete-code detection
+ *   ✓ Authenticator QR code and grouped manual-entry key
+ *   ✓ Backup code list, copy and download
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+import {
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from 'vitest';
+
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from '@testing-library/react';
+
+import '@testing-library/jest-dom/vitest';
+
+import { toast } from 'react-toastify';
+
+import {
+  AuthenticatorSetup,
+  BackupCodeList,
+  isCompleteMfaInput,
+  normalizeMfaInput,
+} from './TwoStepVerification';
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const SETUP = {
+  secret: 'JBSWY3DPEHPK3PXPJBSW',
+  otpauthUrl: 'otpauth://totp/TITech:ada%40example.com?secret=JBSWY3DPEHPK3PXPJBSW',
+  qrSvg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+};
+
+const CODES = ['abcd-efgh', 'jkmn-pqrs'];
+
+const mockClipboard = (writeText) =>
+  Object.defineProperty(navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText },
+  });
+
+describe('TwoStepVerification', () => {
+  beforeEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  describe('normalizeMfaInput', () => {
+    it('keeps the first six digits of an authenticator code', () => {
+      expect(normalizeMfaInput('12 34-56 78')).toBe('123456');
+      expect(normalizeMfaInput(undefined)).toBe('');
+    });
+
+    it('lower-cases backup codes and drops other characters', () => {
+      expect(normalizeMfaInput(' ABCD-EFGH! ', true)).toBe('abcd-efgh');
+      expect(normalizeMfaInput('abcd-efgh-jkmn', true)).toBe('abcd-efgh');
+    });
+  });
+
+  describe('isCompleteMfaInput', () => {
+    it('requires six digits for an authenticator code', () => {
+      expect(isCompleteMfaInput('123456')).toBe(true);
+      expect(isCompleteMfaInput('12345')).toBe(false);
+    });
+
+    it('accepts backup codes with or without the dash', () => {
+      expect(isCompleteMfaInput('abcd-efgh', true)).toBe(true);
+      expect(isCompleteMfaInput('abcdefgh', true)).toBe(true);
+      expect(isCompleteMfaInput('abcd-efg', true)).toBe(false);
+    });
+  });
+
+  describe('AuthenticatorSetup', () => {
+    it('shows the QR code and the key grouped in fours', () => {
+      render(<AuthenticatorSetup setup={SETUP} />);
+
+      const qr = screen.getByAltText('QR code for your authenticator app');
+
+      expect(qr).toHaveAttribute(
+        'src',
+        `data:image/svg+xml;charset=utf-8,${encodeURIComponent(SETUP.qrSvg)}`,
+      );
+      expect(screen.getByText('JBSW Y3DP EHPK 3PXP JBSW')).toBeInTheDocument();
+    });
+
+    it('renders nothing without a setup', () => {
+      const { container } = render(<AuthenticatorSetup setup={null} />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+  });
+
+  describe('BackupCodeList', () => {
+    it('lists every code', () => {
+      render(<BackupCodeList codes={CODES} />);
+
+      expect(screen.getByRole('region', { name: 'Backup codes' })).toBeInTheDocument();
+      CODES.forEach((code) => expect(screen.getByText(code)).toBeInTheDocument());
+    });
+
+    it('copies the codes one per line', async () => {
+      const writeText = vi.fn().mockResolvedValue(undefined);
+      mockClipboard(writeText);
+
+      render(<BackupCodeList codes={CODES} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Copy' }));
+
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Backup codes copied'));
+      expect(writeText).toHaveBeenCalledWith('abcd-efgh\njkmn-pqrs');
+    });
+
+    it('asks the user to write the codes down when copying fails', async () => {
+      mockClipboard(vi.fn().mockRejectedValue(new Error('denied')));
+
+      render(<BackupCodeList codes={CODES} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Copy' }));
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith('Could not copy. Please write the codes down.'),
+      );
+    });
+
+    it('downloads the codes as a text file', () => {
+      URL.createObjectURL = vi.fn(() => 'blob:backup-codes');
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      render(<BackupCodeList codes={CODES} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Download' }));
+
+      expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+      expect(click).toHaveBeenCalledTimes(1);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:backup-codes');
+
+      click.mockRestore();
+    });
+
+    it('renders nothing without codes', () => {
+      const { container } = render(<BackupCodeList codes={[]} />);
+
+      expect(container).toBeEmptyDOMElement();
+    });
+  });
+});
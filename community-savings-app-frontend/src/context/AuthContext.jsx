@@ -60,6 +60,7 @@ import socket, {
 
 import {
   login as apiLogin,
+  loginMfa as apiLoginMfa,
   register as apiRegister,
   logout as apiLogout,
   refreshToken as apiRefreshToken,
@@ -791,48 +792,12 @@ export function AuthProvider({
     );
 
   // ========================================================================
-  // Login
+  // Session Start (after a successful sign-in)
   // ========================================================================
 
-  const login =
+  const establishSession =
     useCallback(
-      async (
-        email,
-        password,
-        deviceInfo = {},
-        options = {}
-      ) => {
-        if (
-          typeof email !== "string" ||
-          !email.trim()
-        ) {
-          throw new Error(
-            "Email is required."
-          );
-        }
-
-        if (
-          typeof password !== "string" ||
-          !password
-        ) {
-          throw new Error(
-            "Password is required."
-          );
-        }
-
-        setAuthError(
-          null
-        );
-
-        const response =
-          await apiLogin({
-            email:
-              email.trim(),
-            password,
-            deviceInfo,
-            ...options,
-          });
-
+      (response) => {
         const accessToken =
           extractAccessToken(
             response
@@ -901,6 +866,126 @@ export function AuthProvider({
       ]
     );
 
+  // ========================================================================
+  // Login
+  // ========================================================================
+  //
+  // Resolves to the user profile, or - when two-step verification applies -
+  // to { mfaRequired, mfaEnrollmentRequired, mfaToken } for the second step.
+
+  const login =
+    useCallback(
+      async (
+        email,
+        password,
+        deviceInfo = {},
+        options = {}
+      ) => {
+        if (
+          typeof email !== "string" ||
+          !email.trim()
+        ) {
+          throw new Error(
+            "Email is required."
+          );
+        }
+
+        if (
+          typeof password !== "string" ||
+          !password
+        ) {
+          throw new Error(
+            "Password is required."
+          );
+        }
+
+        setAuthError(
+          null
+        );
+
+        const response =
+          await apiLogin({
+            email:
+              email.trim(),
+            password,
+            deviceInfo,
+            ...options,
+          });
+
+        if (
+          response?.data
+            ?.mfaRequired
+        ) {
+          devLog(
+            "info",
+            "[AUTH] Two-step verification required"
+          );
+
+          return {
+            mfaRequired: true,
+            mfaEnrollmentRequired:
+              Boolean(
+                response.data
+                  .mfaEnrollmentRequired
+              ),
+            mfaToken:
+              response.data
+                .mfaToken,
+          };
+        }
+
+        return establishSession(
+          response
+        );
+      },
+      [establishSession]
+    );
+
+  // ========================================================================
+  // Login - Second Step
+  // ========================================================================
+  //
+  // proof: { code } or { backupCode }. For a challenge that requires
+  // enrolment, the code confirms the new authenticator and the response
+  // carries the one-time backup codes.
+
+  const completeMfaLogin =
+    useCallback(
+      async (
+        mfaToken,
+        proof = {}
+      ) => {
+        if (!mfaToken) {
+          throw new Error(
+            "Your sign-in has expired. Please sign in again."
+          );
+        }
+
+        const response =
+          await apiLoginMfa({
+            mfaToken,
+            ...proof,
+          });
+
+        const profile =
+          establishSession(
+            response
+          );
+
+        return {
+          user: profile,
+          backupCodes:
+            response.data
+              ?.backupCodes ||
+            null,
+          backupCodesRemaining:
+            response.data
+              ?.backupCodesRemaining,
+        };
+      },
+      [establishSession]
+    );
+
   // ========================================================================
   // Register
   // ========================================================================
@@ -1719,6 +1804,8 @@ export function AuthProvider({
 
           login,
 
+          completeMfaLogin,
+
           register,
 
           logout,
@@ -1760,6 +1847,7 @@ export function AuthProvider({
         refreshing,
         authError,
         login,
+        completeMfaLogin,
         register,
         logout,
         refreshSession,
@@ -414,6 +414,252 @@ function MemberCard({ member, index }) {
   );
 }
 
+// ============================================================================
+// Contribution Arrears
+// ============================================================================
+
+const normalizeArrears = (payload) => {
+  const source =
+    payload?.data?.data ||
+    payload?.data ||
+    null;
+
+  if (!source || !Array.isArray(source.members)) {
+    return null;
+  }
+
+  return source;
+};
+
+export function ContributionArrearsPanel({
+  groupId,
+  refreshKey,
+}) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!groupId) {
+      return undefined;
+    }
+
+    const controller =
+      new AbortController();
+
+    setLoading(true);
+    setError('');
+
+    api
+      .get(
+        `/api/v1/contributions/group/${encodeURIComponent(
+          groupId
+        )}/arrears`,
+        {
+          signal: controller.signal,
+        }
+      )
+      .then((response) => {
+        setReport(
+          normalizeArrears(response)
+        );
+      })
+      .catch((err) => {
+        if (
+          err?.name === 'AbortError' ||
+          err?.code === 'ERR_CANCELED'
+        ) {
+          return;
+        }
+
+        setError(
+          err?.response?.data?.message ||
+            'Failed to load contribution arrears.'
+        );
+
+        logger?.warn?.(
+          'TITech GroupDetails arrears fetch failed',
+          {
+            groupId,
+            status:
+              err?.response?.status,
+          }
+        );
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      controller.abort();
+    };
+  }, [groupId, refreshKey]);
+
+  const members =
+    report?.members || [];
+
+  return (
+    <section
+      className="group-panel arrears-panel"
+      aria-busy={loading}
+    >
+      <div className="panel-header">
+        <div>
+          <span className="panel-eyebrow">
+            Expected vs paid
+          </span>
+
+          <h2>
+            Contribution Arrears
+          </h2>
+        </div>
+
+        <div className="panel-icon">
+          <CalendarDays
+            size={22}
+            aria-hidden="true"
+          />
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <p className="arrears-state">
+          <Loader2
+            size={16}
+            className="spin"
+            aria-hidden="true"
+          />{' '}
+          Loading contribution schedule…
+        </p>
+      ) : error ? (
+        <p
+          className="arrears-state arrears-error"
+          role="alert"
+        >
+          <AlertCircle
+            size={16}
+            aria-hidden="true"
+          />{' '}
+          {error}
+        </p>
+      ) : members.length === 0 ? (
+        <p className="arrears-state">
+          No contribution schedule has
+          been set for this group yet.
+        </p>
+      ) : (
+        <>
+          <div className="group-information-grid">
+            <div className="information-item">
+              <span>
+                Expected to date
+              </span>
+
+              <strong>
+                {formatCurrency(
+                  report.totals?.expected
+                )}
+              </strong>
+            </div>
+
+            <div className="information-item">
+              <span>
+                Paid to date
+              </span>
+
+              <strong>
+                {formatCurrency(
+                  report.totals?.paid
+                )}
+              </strong>
+            </div>
+
+            <div className="information-item">
+              <span>
+                Total arrears
+              </span>
+
+              <strong>
+                {formatCurrency(
+                  report.totals?.arrears
+                )}
+              </strong>
+            </div>
+
+            <div className="information-item">
+              <span>
+                Members behind
+              </span>
+
+              <strong>
+                {report.totals
+                  ?.membersInArrears ?? 0}
+              </strong>
+            </div>
+          </div>
+
+          <table className="arrears-table">
+            <thead>
+              <tr>
+                <th scope="col">Member</th>
+                <th scope="col">Arrears</th>
+                <th scope="col">Periods behind</th>
+                <th scope="col">Next due</th>
+              </tr>
+            </thead>
+
+            <tbody>
+              {members.map((member) => (
+                <tr
+                  key={member.userId}
+                  className={
+                    member.arrears > 0
+                      ? 'arrears-row-behind'
+                      : undefined
+                  }
+                >
+                  <td>
+                    {member.name ||
+                      'Member'}
+                  </td>
+
+                  <td>
+                    {member.arrears > 0
+                      ? formatCurrency(
+                          member.arrears
+                        )
+                      : member.credit > 0
+                        ? `Ahead by ${formatCurrency(
+                            member.credit
+                          )}`
+                        : 'Up to date'}
+                  </td>
+
+                  <td>
+                    {member.periodsInArrears}
+                  </td>
+
+                  <td>
+                    {formatDateValue(
+                      member.nextDueDate
+                    )}
+                    {member.nextDueAmount > 0 &&
+                      ` · ${formatCurrency(
+                        member.nextDueAmount
+                      )}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+}
+
 // ============================================================================
 // Main Component
 // ============================================================================
@@ -1338,6 +1584,15 @@ export default function GroupDetails() {
               </form>
             </section>
 
+            {/* ============================================================= */}
+            {/* Contribution Arrears */}
+            {/* ============================================================= */}
+
+            <ContributionArrearsPanel
+              groupId={groupId}
+              refreshKey={lastUpdated?.getTime?.()}
+            />
+
             {/* ============================================================= */}
             {/* Group Information */}
             {/* ============================================================= */}
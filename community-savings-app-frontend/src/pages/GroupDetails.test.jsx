@@ -0,0 +1,150 @@
+/**
+ * ============================================================================
+ * TITech Community Capital Ltd
+ * Group Details Contribution Arrears Tests
+ * ============================================================================
+ *
+ * File:
+ *   frontend/src/pages/GroupDetails.test.jsx
+ *
+ * Coverage:
+ *   ✓ Arrears report requested from the versioned contributions API
+ *   ✓ Group totals and member lines from the arrears report
+ *   ✓ Group without a contribution schedule
+ *   ✓ Server error message
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+import {
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from 'vitest';
+
+import {
+  render,
+  screen,
+  within,
+} from '@testing-library/react';
+
+import '@testing-library/jest-dom/vitest';
+
+import api from '../services/api';
+
+import { ContributionArrearsPanel } from './GroupDetails';
+
+vi.mock('../services/api', () => ({
+  default: {
+    get: vi.fn(),
+  },
+}));
+
+vi.mock('../context/AuthContext', () => ({
+  useAuth: vi.fn(() => ({ user: null })),
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const GROUP_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Shape of GET /api/v1/contributions/group/:groupId/arrears
+const REPORT = {
+  asOf: '2026-05-01T00:00:00.000Z',
+  totals: {
+    expected: 300000,
+    paid: 250000,
+    arrears: 100000,
+    membersInArrears: 1,
+  },
+  members: [
+    {
+      userId: 'u1',
+      name: 'Ada Namubiru',
+      expectedToDate: 150000,
+      paidToDate: 50000,
+      arrears: 100000,
+      credit: 0,
+      periodsInArrears: 2,
+      nextDueDate: '2026-05-05T00:00:00.000Z',
+      nextDueAmount: 50000,
+    },
+    {
+      userId: 'u2',
+      name: 'Grace Achieng',
+      expectedToDate: 150000,
+      paidToDate: 200000,
+      arrears: 0,
+      credit: 50000,
+      periodsInArrears: 0,
+      nextDueDate: '2026-05-05T00:00:00.000Z',
+      nextDueAmount: 0,
+    },
+  ],
+};
+
+describe('ContributionArrearsPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('loads the arrears report from the versioned contributions API', async () => {
+    api.get.mockResolvedValue({ data: { data: REPORT } });
+
+    render(<ContributionArrearsPanel groupId={GROUP_ID} />);
+
+    expect(await screen.findByText('Ada Namubiru')).toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith(
+      `/api/v1/contributions/group/${GROUP_ID}/arrears`,
+      expect.objectContaining({ signal: expect.any(AbortSignal) }),
+    );
+  });
+
+  it('shows the group totals and each member line', async () => {
+    api.get.mockResolvedValue({ data: { data: REPORT } });
+
+    render(<ContributionArrearsPanel groupId={GROUP_ID} />);
+
+    const behind = (await screen.findByText('Ada Namubiru')).closest('tr');
+    const ahead = screen.getByText('Grace Achieng').closest('tr');
+
+    expect(behind).toHaveClass('arrears-row-behind');
+    expect(within(behind).getByText(/100,000/)).toBeInTheDocument();
+    expect(within(behind).getByText('2')).toBeInTheDocument();
+    expect(within(ahead).getByText(/^Ahead by .*50,000/)).toBeInTheDocument();
+    expect(screen.getByText(/300,000/)).toBeInTheDocument();
+    expect(screen.getByText(/250,000/)).toBeInTheDocument();
+  });
+
+  it('says when the group has no contribution schedule', async () => {
+    api.get.mockResolvedValue({ data: { data: { ...REPORT, members: [] } } });
+
+    render(<ContributionArrearsPanel groupId={GROUP_ID} />);
+
+    expect(
+      await screen.findByText(/No contribution schedule has\s+been set for this group yet\./),
+    ).toBeInTheDocument();
+  });
+
+  it('shows the server message when the report cannot be loaded', async () => {
+    api.get.mockRejectedValue({
+      response: {
+        status: 403,
+        data: { message: 'Access denied to this group' },
+      },
+    });
+
+    render(<ContributionArrearsPanel groupId={GROUP_ID} />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Access denied to this group');
+  });
+});
@@ -14,6 +14,8 @@
  * - Resilient authentication error handling
  * - Loading/submission state management
  * - Password visibility control
+ * - Two-step verification: authenticator/backup code step and, where the
+ *   organisation requires it, authenticator enrolment during sign-in
  * - WCAG-oriented accessible form semantics
  * - Safe navigation after successful authentication
  * - Avoid exposing sensitive authentication details
@@ -43,9 +45,11 @@ import {
   Eye,
   EyeOff,
   Info,
+  KeyRound,
   Lock,
   Mail,
   ShieldCheck,
+  Smartphone,
 } from "lucide-react";
 
 import {
@@ -66,6 +70,15 @@ import { toast } from "react-toastify";
 
 import { useAuth } from "../context/AuthContext";
 
+import { startLoginMfaSetup } from "../services/api";
+
+import {
+  AuthenticatorSetup,
+  BackupCodeList,
+  isCompleteMfaInput,
+  normalizeMfaInput,
+} from "../components/TwoStepVerification";
+
 import "./Login.css";
 
 /* ============================================================================
@@ -101,6 +114,9 @@ const AUTHENTICATION_ERROR_MESSAGE =
 const LOCKOUT_MESSAGE =
   "Too many unsuccessful attempts. Please try again later.";
 
+const MFA_CHALLENGE_EXPIRED =
+  "ERR_MFA_CHALLENGE_INVALID";
+
 const EMAIL_MAX_LENGTH = 254;
 const PASSWORD_MAX_LENGTH = 128;
 
@@ -359,7 +375,10 @@ export default function Login() {
   const navigate = useNavigate();
   const location = useLocation();
 
-  const { login } = useAuth();
+  const {
+    login,
+    completeMfaLogin,
+  } = useAuth();
 
   const mountedRef = useRef(false);
 
@@ -378,6 +397,26 @@ export default function Login() {
   const [lockoutRemainingSeconds, setLockoutRemainingSeconds] =
     useState(0);
 
+  /*
+   * Second sign-in step. mfaChallenge holds the short-lived token from the
+   * password step; mfaSetup is the authenticator QR when enrolment is
+   * required; issuedBackupCodes are shown once after enrolling.
+   */
+  const [mfaChallenge, setMfaChallenge] =
+    useState(null);
+
+  const [mfaSetup, setMfaSetup] =
+    useState(null);
+
+  const [mfaCode, setMfaCode] =
+    useState("");
+
+  const [useBackupCode, setUseBackupCode] =
+    useState(false);
+
+  const [issuedBackupCodes, setIssuedBackupCodes] =
+    useState(null);
+
   /* ==========================================================================
    * Initial Security State
    * ======================================================================== */
@@ -595,6 +634,49 @@ export default function Login() {
           email,
         });
 
+        if (
+          authenticatedUser?.mfaRequired
+        ) {
+          setMfaCode("");
+          setUseBackupCode(false);
+          setMfaChallenge(
+            authenticatedUser,
+          );
+
+          if (
+            authenticatedUser.mfaEnrollmentRequired
+          ) {
+            try {
+              const setupResponse =
+                await startLoginMfaSetup(
+                  authenticatedUser.mfaToken,
+                );
+
+              if (mountedRef.current) {
+                setMfaSetup(
+                  setupResponse.data
+                    ?.data || null,
+                );
+              }
+            } catch (setupError) {
+              if (mountedRef.current) {
+                setMfaChallenge(null);
+
+                toast.error(
+                  getSafeLoginErrorMessage(
+                    setupError,
+                  ),
+                  {
+                    autoClose: 4000,
+                  },
+                );
+              }
+            }
+          }
+
+          return;
+        }
+
         if (!authenticatedUser) {
           toast.error(
             DEFAULT_ERROR_MESSAGE,
@@ -712,6 +794,134 @@ export default function Login() {
     ],
   );
 
+  /* ==========================================================================
+   * Two-Step Verification Handlers
+   * ======================================================================== */
+
+  const resetMfaStep = useCallback(() => {
+    setMfaChallenge(null);
+    setMfaSetup(null);
+    setMfaCode("");
+    setUseBackupCode(false);
+  }, []);
+
+  const handleMfaSubmit = useCallback(
+    async (event) => {
+      event.preventDefault();
+
+      if (
+        loading ||
+        !mfaChallenge ||
+        !isCompleteMfaInput(
+          mfaCode,
+          useBackupCode,
+        )
+      ) {
+        return;
+      }
+
+      setLoading(true);
+
+      try {
+        const result =
+          await completeMfaLogin(
+            mfaChallenge.mfaToken,
+            useBackupCode
+              ? {
+                  backupCode:
+                    mfaCode,
+                }
+              : {
+                  code: mfaCode,
+                },
+          );
+
+        if (!mountedRef.current) {
+          return;
+        }
+
+        if (
+          result.backupCodes?.length
+        ) {
+          // Enrolled during sign-in: show the codes before moving on
+          setIssuedBackupCodes(
+            result.backupCodes,
+          );
+
+          return;
+        }
+
+        if (
+          result.backupCodesRemaining !==
+            undefined &&
+          result.backupCodesRemaining <= 2 &&
+          useBackupCode
+        ) {
+          toast.warn(
+            `Only ${result.backupCodesRemaining} backup code(s) left. Create new ones in Settings.`,
+            {
+              autoClose: 6000,
+            },
+          );
+        }
+
+        navigate(
+          redirectPath,
+          {
+            replace: true,
+          },
+        );
+      } catch (error) {
+        if (!mountedRef.current) {
+          return;
+        }
+
+        setMfaCode("");
+
+        if (
+          error?.response?.data
+            ?.errorCode ===
+          MFA_CHALLENGE_EXPIRED
+        ) {
+          resetMfaStep();
+        }
+
+        toast.error(
+          error?.response?.data
+            ?.message ||
+            DEFAULT_ERROR_MESSAGE,
+          {
+            autoClose: 4000,
+          },
+        );
+      } finally {
+        if (mountedRef.current) {
+          setLoading(false);
+        }
+      }
+    },
+    [
+      completeMfaLogin,
+      loading,
+      mfaChallenge,
+      mfaCode,
+      navigate,
+      redirectPath,
+      resetMfaStep,
+      useBackupCode,
+    ],
+  );
+
+  const handleBackupCodesSaved =
+    useCallback(() => {
+      navigate(
+        redirectPath,
+        {
+          replace: true,
+        },
+      );
+    }, [navigate, redirectPath]);
+
   /* ==========================================================================
    * Initial Form Values
    * ======================================================================== */
@@ -725,6 +935,226 @@ export default function Login() {
     [],
   );
 
+  /* ==========================================================================
+   * Two-Step Verification Step
+   * ======================================================================== */
+
+  const renderMfaStep = () => {
+    if (issuedBackupCodes) {
+      return (
+        <div className="login-form">
+          <BackupCodeList
+            codes={
+              issuedBackupCodes
+            }
+          />
+
+          <button
+            type="button"
+            className="submit-btn"
+            onClick={
+              handleBackupCodesSaved
+            }
+          >
+            <CheckCircle2
+              size={18}
+              aria-hidden="true"
+            />
+
+            <span>
+              I have saved my codes
+            </span>
+          </button>
+        </div>
+      );
+    }
+
+    const enrolling = Boolean(
+      mfaChallenge?.mfaEnrollmentRequired,
+    );
+
+    const codeComplete =
+      isCompleteMfaInput(
+        mfaCode,
+        useBackupCode,
+      );
+
+    return (
+      <form
+        className="login-form"
+        noValidate
+        onSubmit={handleMfaSubmit}
+        aria-busy={loading}
+      >
+        {enrolling && (
+          <>
+            <div
+              className="attempt-warning"
+              role="status"
+            >
+              <Info
+                size={18}
+                aria-hidden="true"
+              />
+
+              <span>
+                Your organisation requires
+                two-step verification for
+                your role. Set it up to
+                continue.
+              </span>
+            </div>
+
+            {mfaSetup ? (
+              <AuthenticatorSetup
+                setup={mfaSetup}
+              />
+            ) : (
+              <span className="btn-loading">
+                <span
+                  className="spinner"
+                  aria-hidden="true"
+                />
+
+                <span>
+                  Preparing your QR code…
+                </span>
+              </span>
+            )}
+          </>
+        )}
+
+        <div className="form-group">
+          <label
+            htmlFor="mfa-code"
+            className="form-label"
+          >
+            {useBackupCode ? (
+              <KeyRound
+                className="form-icon"
+                size={17}
+                aria-hidden="true"
+              />
+            ) : (
+              <Smartphone
+                className="form-icon"
+                size={17}
+                aria-hidden="true"
+              />
+            )}
+
+            <span>
+              {useBackupCode
+                ? "Backup code"
+                : "Code from your authenticator app"}
+            </span>
+          </label>
+
+          <input
+            id="mfa-code"
+            name="mfaCode"
+            type="text"
+            inputMode={
+              useBackupCode
+                ? "text"
+                : "numeric"
+            }
+            autoComplete="one-time-code"
+            autoCapitalize="none"
+            autoCorrect="off"
+            spellCheck="false"
+            autoFocus
+            placeholder={
+              useBackupCode
+                ? "xxxx-xxxx"
+                : "123456"
+            }
+            value={mfaCode}
+            onChange={(event) =>
+              setMfaCode(
+                normalizeMfaInput(
+                  event.target.value,
+                  useBackupCode,
+                ),
+              )
+            }
+            disabled={loading}
+            className="form-input"
+          />
+        </div>
+
+        {!enrolling && (
+          <div className="form-options">
+            <button
+              type="button"
+              className="forgot-link"
+              onClick={() => {
+                setUseBackupCode(
+                  (current) => !current,
+                );
+                setMfaCode("");
+              }}
+            >
+              {useBackupCode
+                ? "Use my authenticator app"
+                : "Lost your phone? Use a backup code"}
+            </button>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          className="submit-btn"
+          disabled={
+            loading ||
+            !codeComplete ||
+            (enrolling && !mfaSetup)
+          }
+          aria-busy={loading}
+        >
+          {loading ? (
+            <span className="btn-loading">
+              <span
+                className="spinner"
+                aria-hidden="true"
+              />
+
+              <span>
+                Verifying…
+              </span>
+            </span>
+          ) : (
+            <>
+              <ShieldCheck
+                size={18}
+                aria-hidden="true"
+              />
+
+              <span>
+                {enrolling
+                  ? "Turn On and Sign In"
+                  : "Verify"}
+              </span>
+            </>
+          )}
+        </button>
+
+        <p className="signup-link">
+          Lost both your phone and backup
+          codes? Ask your administrator to
+          reset two-step verification.{" "}
+          <button
+            type="button"
+            className="link-highlight"
+            onClick={resetMfaStep}
+          >
+            Back to sign in
+          </button>
+        </p>
+      </form>
+    );
+  };
+
   /* ==========================================================================
    * Render
    * ======================================================================== */
@@ -872,12 +1302,15 @@ export default function Login() {
                 id="login-heading"
                 className="login-heading"
               >
-                Welcome Back
+                {mfaChallenge
+                  ? "Two-Step Verification"
+                  : "Welcome Back"}
               </h2>
 
               <p className="login-subtitle">
-                Enter your credentials to
-                securely access your account.
+                {mfaChallenge
+                  ? "One more step to protect your account."
+                  : "Enter your credentials to securely access your account."}
               </p>
             </header>
 
@@ -940,323 +1373,327 @@ export default function Login() {
                 </div>
               )}
 
-            <Formik
-              initialValues={
-                initialValues
-              }
-              validationSchema={
-                LoginSchema
-              }
-              onSubmit={
-                handleLogin
-              }
-              validateOnChange
-              validateOnBlur
-            >
-              {({
-                errors,
-                touched,
-                isSubmitting,
-                isValid,
-              }) => {
-                const formDisabled =
-                  loading ||
-                  isSubmitting ||
-                  isLockedOut;
-
-                return (
-                  <Form
-                    className="login-form"
-                    noValidate
-                    aria-busy={
-                      formDisabled
-                    }
-                  >
-                    {/* ========================================================
-                     * Email
-                     * ====================================================== */}
-
-                    <div className="form-group">
-                      <label
-                        htmlFor="email"
-                        className="form-label"
-                      >
-                        <Mail
-                          className="form-icon"
-                          size={17}
-                          aria-hidden="true"
-                        />
-
-                        <span>
-                          Email Address
-                        </span>
-                      </label>
-
-                      <Field
-                        id="email"
-                        name="email"
-                        type="email"
-                        inputMode="email"
-                        autoCapitalize="none"
-                        autoCorrect="off"
-                        spellCheck="false"
-                        placeholder="you@example.com"
-                        autoComplete="username"
-                        maxLength={
-                          EMAIL_MAX_LENGTH
-                        }
-                        disabled={
-                          formDisabled
-                        }
-                        className={`form-input${
-                          touched.email &&
-                          errors.email
-                            ? " has-error"
-                            : ""
-                        }`}
-                        aria-invalid={
-                          Boolean(
-                            touched.email &&
-                              errors.email,
-                          )
-                        }
-                        aria-describedby={
-                          touched.email &&
-                          errors.email
-                            ? "email-error"
-                            : undefined
-                        }
-                      />
-
-                      {touched.email &&
-                        errors.email && (
-                          <div
-                            id="email-error"
-                            className="field-error"
-                            role="alert"
-                          >
-                            <AlertCircle
-                              size={14}
-                              aria-hidden="true"
-                            />
-
-                            <span>
-                              {
-                                errors.email
-                              }
-                            </span>
-                          </div>
-                        )}
-                    </div>
-
-                    {/* ========================================================
-                     * Password
-                     * ====================================================== */}
-
-                    <div className="form-group">
-                      <label
-                        htmlFor="password"
-                        className="form-label"
-                      >
-                        <Lock
-                          className="form-icon"
-                          size={17}
-                          aria-hidden="true"
-                        />
+            {mfaChallenge ? (
+              renderMfaStep()
+            ) : (
+              <Formik
+                initialValues={
+                  initialValues
+                }
+                validationSchema={
+                  LoginSchema
+                }
+                onSubmit={
+                  handleLogin
+                }
+                validateOnChange
+                validateOnBlur
+              >
+                {({
+                  errors,
+                  touched,
+                  isSubmitting,
+                  isValid,
+                }) => {
+                  const formDisabled =
+                    loading ||
+                    isSubmitting ||
+                    isLockedOut;
+
+                  return (
+                    <Form
+                      className="login-form"
+                      noValidate
+                      aria-busy={
+                        formDisabled
+                      }
+                    >
+                      {/* ========================================================
+                       * Email
+                       * ====================================================== */}
+
+                      <div className="form-group">
+                        <label
+                          htmlFor="email"
+                          className="form-label"
+                        >
+                          <Mail
+                            className="form-icon"
+                            size={17}
+                            aria-hidden="true"
+                          />
 
-                        <span>
-                          Password
-                        </span>
-                      </label>
+                          <span>
+                            Email Address
+                          </span>
+                        </label>
 
-                      <div className="password-input-wrapper">
                         <Field
-                          id="password"
-                          name="password"
-                          type={
-                            showPassword
-                              ? "text"
-                              : "password"
-                          }
-                          placeholder="Enter your password"
-                          autoComplete="current-password"
+                          id="email"
+                          name="email"
+                          type="email"
+                          inputMode="email"
+                          autoCapitalize="none"
+                          autoCorrect="off"
+                          spellCheck="false"
+                          placeholder="you@example.com"
+                          autoComplete="username"
                           maxLength={
-                            PASSWORD_MAX_LENGTH
+                            EMAIL_MAX_LENGTH
                           }
                           disabled={
                             formDisabled
                           }
                           className={`form-input${
-                            touched.password &&
-                            errors.password
+                            touched.email &&
+                            errors.email
                               ? " has-error"
                               : ""
                           }`}
                           aria-invalid={
                             Boolean(
-                              touched.password &&
-                                errors.password,
+                              touched.email &&
+                                errors.email,
                             )
                           }
                           aria-describedby={
-                            touched.password &&
-                            errors.password
-                              ? "password-error"
+                            touched.email &&
+                            errors.email
+                              ? "email-error"
                               : undefined
                           }
                         />
 
-                        <button
-                          type="button"
-                          className="password-toggle"
-                          onClick={() =>
-                            setShowPassword(
-                              (current) =>
-                                !current,
-                            )
-                          }
-                          disabled={
-                            formDisabled
-                          }
-                          aria-label={
-                            showPassword
-                              ? "Hide password"
-                              : "Show password"
-                          }
-                          aria-pressed={
-                            showPassword
-                          }
-                        >
-                          {showPassword ? (
-                            <EyeOff
-                              size={18}
-                              aria-hidden="true"
-                            />
-                          ) : (
-                            <Eye
-                              size={18}
-                              aria-hidden="true"
-                            />
+                        {touched.email &&
+                          errors.email && (
+                            <div
+                              id="email-error"
+                              className="field-error"
+                              role="alert"
+                            >
+                              <AlertCircle
+                                size={14}
+                                aria-hidden="true"
+                              />
+
+                              <span>
+                                {
+                                  errors.email
+                                }
+                              </span>
+                            </div>
                           )}
-                        </button>
                       </div>
 
-                      {touched.password &&
-                        errors.password && (
-                          <div
-                            id="password-error"
-                            className="field-error"
-                            role="alert"
+                      {/* ========================================================
+                       * Password
+                       * ====================================================== */}
+
+                      <div className="form-group">
+                        <label
+                          htmlFor="password"
+                          className="form-label"
+                        >
+                          <Lock
+                            className="form-icon"
+                            size={17}
+                            aria-hidden="true"
+                          />
+
+                          <span>
+                            Password
+                          </span>
+                        </label>
+
+                        <div className="password-input-wrapper">
+                          <Field
+                            id="password"
+                            name="password"
+                            type={
+                              showPassword
+                                ? "text"
+                                : "password"
+                            }
+                            placeholder="Enter your password"
+                            autoComplete="current-password"
+                            maxLength={
+                              PASSWORD_MAX_LENGTH
+                            }
+                            disabled={
+                              formDisabled
+                            }
+                            className={`form-input${
+                              touched.password &&
+                              errors.password
+                                ? " has-error"
+                                : ""
+                            }`}
+                            aria-invalid={
+                              Boolean(
+                                touched.password &&
+                                  errors.password,
+                              )
+                            }
+                            aria-describedby={
+                              touched.password &&
+                              errors.password
+                                ? "password-error"
+                                : undefined
+                            }
+                          />
+
+                          <button
+                            type="button"
+                            className="password-toggle"
+                            onClick={() =>
+                              setShowPassword(
+                                (current) =>
+                                  !current,
+                              )
+                            }
+                            disabled={
+                              formDisabled
+                            }
+                            aria-label={
+                              showPassword
+                                ? "Hide password"
+                                : "Show password"
+                            }
+                            aria-pressed={
+                              showPassword
+                            }
                           >
-                            <AlertCircle
-                              size={14}
-                              aria-hidden="true"
-                            />
+                            {showPassword ? (
+                              <EyeOff
+                                size={18}
+                                aria-hidden="true"
+                              />
+                            ) : (
+                              <Eye
+                                size={18}
+                                aria-hidden="true"
+                              />
+                            )}
+                          </button>
+                        </div>
+
+                        {touched.password &&
+                          errors.password && (
+                            <div
+                              id="password-error"
+                              className="field-error"
+                              role="alert"
+                            >
+                              <AlertCircle
+                                size={14}
+                                aria-hidden="true"
+                              />
+
+                              <span>
+                                {
+                                  errors.password
+                                }
+                              </span>
+                            </div>
+                          )}
+                      </div>
 
-                            <span>
-                              {
-                                errors.password
-                              }
-                            </span>
-                          </div>
-                        )}
-                    </div>
+                      {/* ========================================================
+                       * Form Options
+                       * ====================================================== */}
+
+                      <div className="form-options">
+                        <label className="remember-checkbox">
+                          <Field
+                            type="checkbox"
+                            name="remember"
+                            disabled={
+                              formDisabled
+                            }
+                          />
 
-                    {/* ========================================================
-                     * Form Options
-                     * ====================================================== */}
+                          <span>
+                            Remember my email
+                          </span>
+                        </label>
 
-                    <div className="form-options">
-                      <label className="remember-checkbox">
-                        <Field
-                          type="checkbox"
-                          name="remember"
-                          disabled={
+                        <Link
+                          to={
+                            ROUTES.FORGOT_PASSWORD
+                          }
+                          className="forgot-link"
+                          tabIndex={
                             formDisabled
+                              ? -1
+                              : 0
                           }
-                        />
+                        >
+                          Forgot password?
+                        </Link>
+                      </div>
 
-                        <span>
-                          Remember my email
-                        </span>
-                      </label>
+                      {/* ========================================================
+                       * Submit
+                       * ====================================================== */}
 
-                      <Link
-                        to={
-                          ROUTES.FORGOT_PASSWORD
+                      <button
+                        type="submit"
+                        className="submit-btn"
+                        disabled={
+                          formDisabled ||
+                          !isValid
                         }
-                        className="forgot-link"
-                        tabIndex={
-                          formDisabled
-                            ? -1
-                            : 0
+                        aria-busy={
+                          loading ||
+                          isSubmitting
                         }
                       >
-                        Forgot password?
-                      </Link>
-                    </div>
-
-                    {/* ========================================================
-                     * Submit
-                     * ====================================================== */}
-
-                    <button
-                      type="submit"
-                      className="submit-btn"
-                      disabled={
-                        formDisabled ||
-                        !isValid
-                      }
-                      aria-busy={
-                        loading ||
-                        isSubmitting
-                      }
-                    >
-                      {loading ||
-                      isSubmitting ? (
-                        <span className="btn-loading">
-                          <span
-                            className="spinner"
-                            aria-hidden="true"
-                          />
+                        {loading ||
+                        isSubmitting ? (
+                          <span className="btn-loading">
+                            <span
+                              className="spinner"
+                              aria-hidden="true"
+                            />
 
-                          <span>
-                            Signing in…
+                            <span>
+                              Signing in…
+                            </span>
                           </span>
-                        </span>
-                      ) : (
-                        <>
-                          <Lock
-                            size={18}
-                            aria-hidden="true"
-                          />
+                        ) : (
+                          <>
+                            <Lock
+                              size={18}
+                              aria-hidden="true"
+                            />
 
-                          <span>
-                            Sign In
-                          </span>
-                        </>
-                      )}
-                    </button>
-
-                    {/* ========================================================
-                     * Registration
-                     * ====================================================== */}
-
-                    <p className="signup-link">
-                      Don't have an account?{" "}
-                      <Link
-                        to={
-                          ROUTES.REGISTER
-                        }
-                        className="link-highlight"
-                      >
-                        Create one now
-                      </Link>
-                    </p>
-                  </Form>
-                );
-              }}
-            </Formik>
+                            <span>
+                              Sign In
+                            </span>
+                          </>
+                        )}
+                      </button>
+
+                      {/* ========================================================
+                       * Registration
+                       * ====================================================== */}
+
+                      <p className="signup-link">
+                        Don't have an account?{" "}
+                        <Link
+                          to={
+                            ROUTES.REGISTER
+                          }
+                          className="link-highlight"
+                        >
+                          Create one now
+                        </Link>
+                      </p>
+                    </Form>
+                  );
+                }}
+              </Formik>
+            )}
           </div>
 
           {/* ==================================================================
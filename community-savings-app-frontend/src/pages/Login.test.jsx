@@ -0,0 +1,199 @@
+/**
+ * ============================================================================
+ * TITech Community Capital Ltd
+ * Login Two-Step Verification Tests
+ * ============================================================================
+ *
+ * File:
+ *   frontend/src/pages/Login.test.jsx
+ *
+ * Coverage:
+ *   ✓ Authenticator code step after the password
+ *   ✓ Backup code sign-in
+ *   ✓ Enrolment during sign-in when the organisation requires MFA
+ *   ✓ Expired sign-in challenge returns to the password step
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+import {
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from 'vitest';
+
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from '@testing-library/react';
+
+import '@testing-library/jest-dom/vitest';
+
+import {
+  MemoryRouter,
+  Route,
+  Routes,
+} from 'react-router-dom';
+
+import { toast } from 'react-toastify';
+
+import Login from './Login';
+
+import { useAuth } from '../context/AuthContext';
+
+import { startLoginMfaSetup } from '../services/api';
+
+vi.mock('../context/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../services/api', () => ({
+  startLoginMfaSetup: vi.fn(),
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+  },
+}));
+
+const CHALLENGE = {
+  mfaRequired: true,
+  mfaEnrollmentRequired: false,
+  mfaToken: 'mfa-challenge-token',
+};
+
+const login = vi.fn();
+const completeMfaLogin = vi.fn();
+
+function renderLogin() {
+  return render(
+    <MemoryRouter initialEntries={['/login']}>
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/dashboard" element={<p>Dashboard</p>} />
+      </Routes>
+    </MemoryRouter>,
+  );
+}
+
+async function signInWithPassword() {
+  fireEvent.change(screen.getByLabelText('Email Address'), {
+    target: { value: 'ada@example.com' },
+  });
+  fireEvent.change(screen.getByLabelText('Password'), {
+    target: { value: 'CorrectHorse1!' },
+  });
+
+  const submit = screen.getByRole('button', { name: 'Sign In' });
+  await waitFor(() => expect(submit).toBeEnabled());
+  fireEvent.click(submit);
+
+  return screen.findByLabelText(/Code from your authenticator app|Backup code/);
+}
+
+describe('Login two-step verification', () => {
+  beforeEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+    localStorage.clear();
+
+    useAuth.mockReturnValue({ login, completeMfaLogin });
+  });
+
+  it('asks for an authenticator code after the password and signs in with it', async () => {
+    login.mockResolvedValue(CHALLENGE);
+    completeMfaLogin.mockResolvedValue({ user: { id: 'u1' }, backupCodes: null });
+
+    renderLogin();
+    const codeInput = await signInWithPassword();
+
+    expect(login).toHaveBeenCalledWith('ada@example.com', 'CorrectHorse1!');
+    expect(screen.getByRole('button', { name: 'Verify' })).toBeDisabled();
+
+    fireEvent.change(codeInput, { target: { value: '123 456' } });
+    expect(codeInput).toHaveValue('123456');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    expect(await screen.findByText('Dashboard')).toBeInTheDocument();
+    expect(completeMfaLogin).toHaveBeenCalledWith('mfa-challenge-token', { code: '123456' });
+  });
+
+  it('signs in with a backup code and warns when few are left', async () => {
+    login.mockResolvedValue(CHALLENGE);
+    completeMfaLogin.mockResolvedValue({ user: { id: 'u1' }, backupCodes: null, backupCodesRemaining: 1 });
+
+    renderLogin();
+    await signInWithPassword();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Lost your phone? Use a backup code' }));
+    fireEvent.change(screen.getByLabelText('Backup code'), { target: { value: 'ABCD-EFGH' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    expect(await screen.findByText('Dashboard')).toBeInTheDocument();
+    expect(completeMfaLogin).toHaveBeenCalledWith('mfa-challenge-token', { backupCode: 'abcd-efgh' });
+    expect(toast.warn).toHaveBeenCalledWith(
+      'Only 1 backup code(s) left. Create new ones in Settings.',
+      expect.any(Object),
+    );
+  });
+
+  it('enrols an authenticator when required and shows the backup codes once', async () => {
+    login.mockResolvedValue({ ...CHALLENGE, mfaEnrollmentRequired: true });
+    startLoginMfaSetup.mockResolvedValue({
+      data: { data: { secret: 'JBSWY3DPEHPK3PXP', qrSvg: '<svg></svg>' } },
+    });
+    completeMfaLogin.mockResolvedValue({ user: { id: 'u1' }, backupCodes: ['abcd-efgh', 'jkmn-pqrs'] });
+
+    renderLogin();
+    const codeInput = await signInWithPassword();
+
+    expect(await screen.findByAltText('QR code for your authenticator app')).toBeInTheDocument();
+    expect(startLoginMfaSetup).toHaveBeenCalledWith('mfa-challenge-token');
+    expect(screen.queryByRole('button', { name: 'Lost your phone? Use a backup code' })).not.toBeInTheDocument();
+
+    fireEvent.change(codeInput, { target: { value: '654321' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Turn On and Sign In' }));
+
+    expect(await screen.findByRole('region', { name: 'Backup codes' })).toBeInTheDocument();
+    expect(screen.getByText('jkmn-pqrs')).toBeInTheDocument();
+    expect(screen.queryByText('Dashboard')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'I have saved my codes' }));
+
+    expect(await screen.findByText('Dashboard')).toBeInTheDocument();
+  });
+
+  it('returns to the password step when the sign-in challenge has expired', async () => {
+    login.mockResolvedValue(CHALLENGE);
+    completeMfaLogin.mockRejectedValue({
+      response: {
+        data: {
+          errorCode: 'ERR_MFA_CHALLENGE_INVALID',
+          message: 'Your sign-in has expired. Please sign in again.',
+        },
+      },
+    });
+
+    renderLogin();
+    const codeInput = await signInWithPassword();
+
+    fireEvent.change(codeInput, { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+    expect(await screen.findByLabelText('Password')).toBeInTheDocument();
+    expect(toast.error).toHaveBeenCalledWith(
+      'Your sign-in has expired. Please sign in again.',
+      expect.any(Object),
+    );
+  });
+});
@@ -17,6 +17,7 @@
  * ----------------------------------------------------------------------------
  * ✓ User profile management
  * ✓ Password management
+ * ✓ Two-step verification (authenticator app, backup codes)
  * ✓ Notification preferences
  * ✓ Application preferences
  * ✓ Theme management
@@ -81,7 +82,20 @@ import {
   toast,
 } from 'react-toastify';
 
-import api from '../services/api';
+import api, {
+  confirmMfaSetup,
+  disableMfa,
+  getMfaStatus,
+  regenerateMfaBackupCodes,
+  startMfaSetup,
+} from '../services/api';
+
+import {
+  AuthenticatorSetup,
+  BackupCodeList,
+  isCompleteMfaInput,
+  normalizeMfaInput,
+} from '../components/TwoStepVerification';
 
 import {
   useAuth,
@@ -193,9 +207,6 @@ const DEFAULT_SETTINGS = {
 
     confirmPassword:
       '',
-
-    twoFactorEnabled:
-      false,
   },
 
   notifications: {
@@ -658,6 +669,615 @@ function SettingsSectionHeader({
 }
 
 
+/* ============================================================================
+ * Two-step verification
+ * ========================================================================== */
+
+/**
+ * Authenticator-app (TOTP) second factor. Every change goes through the
+ * /api/auth/mfa endpoints; the backend decides whether MFA may be turned off.
+ */
+function TwoStepVerificationCard() {
+  const [
+    status,
+    setStatus,
+  ] = useState(
+    null,
+  );
+
+  // idle | setup | regenerate | disable
+  const [
+    mode,
+    setMode,
+  ] = useState(
+    'idle',
+  );
+
+  const [
+    setup,
+    setSetup,
+  ] = useState(
+    null,
+  );
+
+  const [
+    code,
+    setCode,
+  ] = useState(
+    '',
+  );
+
+  const [
+    useBackupCode,
+    setUseBackupCode,
+  ] = useState(
+    false,
+  );
+
+  const [
+    backupCodes,
+    setBackupCodes,
+  ] = useState(
+    null,
+  );
+
+  const [
+    busy,
+    setBusy,
+  ] = useState(
+    false,
+  );
+
+  const [
+    error,
+    setError,
+  ] = useState(
+    '',
+  );
+
+  const isMountedRef =
+    useRef(true);
+
+  const loadStatus =
+    useCallback(
+      async () => {
+        try {
+          const response =
+            await getMfaStatus();
+
+          if (
+            isMountedRef.current
+          ) {
+            setStatus(
+              normalizeResponseData(
+                response,
+              ),
+            );
+          }
+        } catch (
+          loadError
+        ) {
+          if (
+            isMountedRef.current
+          ) {
+            setError(
+              getApiErrorMessage(
+                loadError,
+                'Unable to load two-step verification status.',
+              ),
+            );
+          }
+        }
+      },
+      [],
+    );
+
+  useEffect(
+    () => {
+      isMountedRef.current =
+        true;
+
+      loadStatus();
+
+      return () => {
+        isMountedRef.current =
+          false;
+      };
+    },
+    [
+      loadStatus,
+    ],
+  );
+
+  const resetForm =
+    useCallback(
+      () => {
+        setMode(
+          'idle',
+        );
+        setSetup(
+          null,
+        );
+        setCode(
+          '',
+        );
+        setUseBackupCode(
+          false,
+        );
+        setError(
+          '',
+        );
+      },
+      [],
+    );
+
+  /**
+   * Run one MFA request with shared busy/error handling.
+   */
+  const run =
+    useCallback(
+      async (
+        action,
+        fallbackMessage,
+      ) => {
+        setBusy(
+          true,
+        );
+        setError(
+          '',
+        );
+
+        try {
+          return await action();
+        } catch (
+          actionError
+        ) {
+          const message =
+            getApiErrorMessage(
+              actionError,
+              fallbackMessage,
+            );
+
+          if (
+            isMountedRef.current
+          ) {
+            setError(
+              message,
+            );
+            setCode(
+              '',
+            );
+          }
+
+          toast.error(
+            message,
+          );
+
+          return null;
+        } finally {
+          if (
+            isMountedRef.current
+          ) {
+            setBusy(
+              false,
+            );
+          }
+        }
+      },
+      [],
+    );
+
+  const handleStartSetup =
+    useCallback(
+      async () => {
+        const response =
+          await run(
+            startMfaSetup,
+            'Unable to start two-step verification setup.',
+          );
+
+        if (
+          response &&
+          isMountedRef.current
+        ) {
+          setBackupCodes(
+            null,
+          );
+          setSetup(
+            normalizeResponseData(
+              response,
+            ),
+          );
+          setMode(
+            'setup',
+          );
+        }
+      },
+      [
+        run,
+      ],
+    );
+
+  const handleSubmit =
+    useCallback(
+      async event => {
+        event.preventDefault();
+
+        if (
+          !isCompleteMfaInput(
+            code,
+            useBackupCode,
+          )
+        ) {
+          return;
+        }
+
+        if (
+          mode ===
+          'disable'
+        ) {
+          const response =
+            await run(
+              () =>
+                disableMfa(
+                  useBackupCode
+                    ? {
+                        backupCode:
+                          code,
+                      }
+                    : {
+                        code,
+                      },
+                ),
+              'Unable to turn off two-step verification.',
+            );
+
+          if (
+            response
+          ) {
+            toast.success(
+              'Two-step verification is off.',
+            );
+            resetForm();
+            await loadStatus();
+          }
+
+          return;
+        }
+
+        const response =
+          await run(
+            () =>
+              mode ===
+              'setup'
+                ? confirmMfaSetup(
+                    code,
+                  )
+                : regenerateMfaBackupCodes(
+                    code,
+                  ),
+            'That code did not work. Please try again.',
+          );
+
+        if (
+          response &&
+          isMountedRef.current
+        ) {
+          setBackupCodes(
+            normalizeResponseData(
+              response,
+            ).backupCodes ||
+              null,
+          );
+
+          toast.success(
+            mode ===
+            'setup'
+              ? 'Two-step verification is on.'
+              : 'New backup codes created.',
+          );
+
+          resetForm();
+          await loadStatus();
+        }
+      },
+      [
+        code,
+        loadStatus,
+        mode,
+        resetForm,
+        run,
+        useBackupCode,
+      ],
+    );
+
+  const enabled =
+    Boolean(
+      status?.enabled,
+    );
+
+  return (
+    <div className="settings-security-mfa settings-security-mfa--panel">
+
+      <div className="settings-security-mfa__summary">
+
+        <div className="settings-security-card__icon">
+          <Smartphone
+            size={21}
+          />
+        </div>
+
+        <div className="settings-security-card__content">
+
+          <h3>
+            Two-step verification
+          </h3>
+
+          <p>
+            Sign in with your password and a code from an
+            authenticator app on your phone.
+            {status?.required
+              ? ' Your organisation requires it for your role.'
+              : ''}
+          </p>
+
+        </div>
+
+        <span className="settings-security-mfa__status">
+          {enabled ? (
+            <>
+              <Check
+                size={15}
+              />
+              On
+            </>
+          ) : (
+            'Off'
+          )}
+        </span>
+
+      </div>
+
+
+      {enabled &&
+      mode ===
+        'idle' ? (
+        <p className="settings-field__hint">
+          {status.backupCodesRemaining}{' '}
+          backup code(s) left.
+        </p>
+      ) : null}
+
+
+      <BackupCodeList
+        codes={
+          backupCodes
+        }
+      />
+
+
+      {mode ===
+      'setup' ? (
+        <AuthenticatorSetup
+          setup={
+            setup
+          }
+        />
+      ) : null}
+
+
+      {mode !==
+      'idle' ? (
+        <form
+          className="settings-grid settings-grid--one"
+          onSubmit={
+            handleSubmit
+          }
+          noValidate
+        >
+          <Field
+            label={
+              useBackupCode
+                ? 'Backup code'
+                : 'Code from your authenticator app'
+            }
+            htmlFor="settings-mfa-code"
+            required
+          >
+            <input
+              id="settings-mfa-code"
+              className="settings-input"
+              type="text"
+              inputMode={
+                useBackupCode
+                  ? 'text'
+                  : 'numeric'
+              }
+              autoComplete="one-time-code"
+              autoFocus
+              placeholder={
+                useBackupCode
+                  ? 'xxxx-xxxx'
+                  : '123456'
+              }
+              value={
+                code
+              }
+              onChange={e =>
+                setCode(
+                  normalizeMfaInput(
+                    e.target
+                      .value,
+                    useBackupCode,
+                  ),
+                )
+              }
+              disabled={
+                busy
+              }
+            />
+          </Field>
+
+          <div className="settings-panel__footer">
+
+            <button
+              type="submit"
+              className="settings-btn settings-btn--primary"
+              disabled={
+                busy ||
+                !isCompleteMfaInput(
+                  code,
+                  useBackupCode,
+                )
+              }
+            >
+              {busy ? (
+                <RefreshCw
+                  size={17}
+                  className="settings-spinner"
+                />
+              ) : (
+                <Shield
+                  size={17}
+                />
+              )}
+
+              {mode ===
+              'setup'
+                ? 'Turn On'
+                : mode ===
+                    'disable'
+                  ? 'Turn Off'
+                  : 'Create New Codes'}
+            </button>
+
+            {mode ===
+            'disable' ? (
+              <button
+                type="button"
+                className="settings-btn settings-btn--secondary"
+                onClick={() => {
+                  setUseBackupCode(
+                    current =>
+                      !current,
+                  );
+                  setCode(
+                    '',
+                  );
+                }}
+                disabled={
+                  busy
+                }
+              >
+                <Key
+                  size={17}
+                />
+                {useBackupCode
+                  ? 'Use authenticator code'
+                  : 'Use a backup code'}
+              </button>
+            ) : null}
+
+            <button
+              type="button"
+              className="settings-btn settings-btn--secondary"
+              onClick={
+                resetForm
+              }
+              disabled={
+                busy
+              }
+            >
+              <X
+                size={17}
+              />
+              Cancel
+            </button>
+
+          </div>
+        </form>
+      ) : (
+        <div className="settings-panel__footer">
+
+          {!enabled ? (
+            <button
+              type="button"
+              className="settings-btn settings-btn--primary"
+              onClick={
+                handleStartSetup
+              }
+              disabled={
+                busy ||
+                !status
+              }
+            >
+              <Shield
+                size={17}
+              />
+              Set Up
+            </button>
+          ) : (
+            <>
+              <button
+                type="button"
+                className="settings-btn settings-btn--secondary"
+                onClick={() => {
+                  setBackupCodes(
+                    null,
+                  );
+                  setMode(
+                    'regenerate',
+                  );
+                }}
+              >
+                <RefreshCw
+                  size={17}
+                />
+                New Backup Codes
+              </button>
+
+              {!status.required ? (
+                <button
+                  type="button"
+                  className="settings-btn settings-btn--secondary"
+                  onClick={() => {
+                    setBackupCodes(
+                      null,
+                    );
+                    setMode(
+                      'disable',
+                    );
+                  }}
+                >
+                  <X
+                    size={17}
+                  />
+                  Turn Off
+                </button>
+              ) : null}
+            </>
+          )}
+
+        </div>
+      )}
+
+
+      {error ? (
+        <div
+          className="settings-inline-error"
+          role="alert"
+        >
+          {
+            error
+          }
+        </div>
+      ) : null}
+
+    </div>
+  );
+}
+
+
 /* ============================================================================
  * Settings page
  * ========================================================================== */
@@ -1015,13 +1635,6 @@ function Settings() {
 
                 confirmPassword:
                   '',
-
-                twoFactorEnabled:
-                  Boolean(
-                    profileData.twoFactorEnabled ??
-                      profileData.twoFactor?.enabled ??
-                      false,
-                  ),
               },
 
               notifications: {
@@ -1648,10 +2261,6 @@ function Settings() {
               security:
                 {
                   ...DEFAULT_SETTINGS.security,
-                  twoFactorEnabled:
-                    previous
-                      .security
-                      .twoFactorEnabled,
                 },
             }),
           );
@@ -1663,10 +2272,6 @@ function Settings() {
               security:
                 {
                   ...DEFAULT_SETTINGS.security,
-                  twoFactorEnabled:
-                    previous
-                      .security
-                      .twoFactorEnabled,
                 },
             }),
           );
@@ -1730,36 +2335,6 @@ function Settings() {
     );
 
 
-  /* ==========================================================================
-   * Two-factor placeholder handling
-   * ======================================================================== */
-
-  const handleTwoFactorChange =
-    useCallback(
-      value => {
-        /**
-         * The UI may reflect a locally selected value, but enabling/disabling
-         * MFA must ultimately be implemented by a dedicated secure backend
-         * endpoint. We therefore do not pretend this checkbox is authoritative.
-         */
-        updateSection(
-          'security',
-          'twoFactorEnabled',
-          Boolean(
-            value,
-          ),
-        );
-
-        toast.info(
-          'Two-factor authentication changes require TITech security verification.',
-        );
-      },
-      [
-        updateSection,
-      ],
-    );
-
-
   /* ==========================================================================
    * Unsaved changes handling
    * ======================================================================== */
@@ -2786,46 +3361,6 @@ function Settings() {
                 ) : null}
 
 
-                <div className="settings-security-mfa">
-
-                  <Toggle
-                    id="settings-two-factor"
-                    checked={
-                      settings
-                        .security
-                        .twoFactorEnabled
-                    }
-                    onChange={e =>
-                      handleTwoFactorChange(
-                        e.target
-                          .checked,
-                      )
-                    }
-                    label="Two-factor authentication"
-                    description="Add an additional authentication factor to your TITech account."
-                    disabled={
-                      saving.security
-                    }
-                  />
-
-                  <span className="settings-security-mfa__status">
-                    {settings
-                      .security
-                      .twoFactorEnabled ? (
-                      <>
-                        <Check
-                          size={15}
-                        />
-                        Enabled
-                      </>
-                    ) : (
-                      'Not enabled'
-                    )}
-                  </span>
-
-                </div>
-
-
                 <div className="settings-panel__footer">
 
                   <button
@@ -2876,6 +3411,9 @@ function Settings() {
 
                 </div>
 
+
+                <TwoStepVerificationCard />
+
               </div>
             </section>
           ) : null}
@@ -77,6 +77,15 @@ const REGISTER_ENDPOINT =
 const LOGOUT_ENDPOINT =
   '/api/auth/logout';
 
+const LOGIN_MFA_ENDPOINT =
+  '/api/auth/login/mfa';
+
+const LOGIN_MFA_SETUP_ENDPOINT =
+  '/api/auth/login/mfa/setup';
+
+const MFA_ENDPOINT =
+  '/api/auth/mfa';
+
 // ============================================================================
 // Security / HTTP Constants
 // ============================================================================
@@ -1674,6 +1683,108 @@ export async function register(
   return response;
 }
 
+// ============================================================================
+// Two-Step Verification (MFA)
+// ============================================================================
+//
+// When two-step verification applies, /auth/login answers with
+// { mfaRequired, mfaEnrollmentRequired, mfaToken } instead of a session.
+// The mfaToken is exchanged for the session at /auth/login/mfa.
+
+export async function loginMfa(
+  payload
+) {
+  const response =
+    await authApi.post(
+      LOGIN_MFA_ENDPOINT,
+      payload
+    );
+
+  const token =
+    response.data
+      ?.accessToken ||
+    response.data
+      ?.token;
+
+  if (token) {
+    setToken(token);
+
+    api.defaults.headers.common.Authorization =
+      `Bearer ${token}`;
+  }
+
+  const tenantId =
+    response.data
+      ?.tenantId ||
+    response.data
+      ?.user?.tenantId;
+
+  if (
+    tenantId !== undefined &&
+    tenantId !== null
+  ) {
+    setTenant(
+      tenantId
+    );
+  }
+
+  return response;
+}
+
+export function startLoginMfaSetup(
+  mfaToken
+) {
+  return authApi.post(
+    LOGIN_MFA_SETUP_ENDPOINT,
+    {
+      mfaToken,
+    }
+  );
+}
+
+export function getMfaStatus() {
+  return api.get(
+    MFA_ENDPOINT
+  );
+}
+
+export function startMfaSetup() {
+  return api.post(
+    `${MFA_ENDPOINT}/setup`
+  );
+}
+
+export function confirmMfaSetup(
+  code
+) {
+  return api.post(
+    `${MFA_ENDPOINT}/confirm`,
+    {
+      code,
+    }
+  );
+}
+
+export function regenerateMfaBackupCodes(
+  code
+) {
+  return api.post(
+    `${MFA_ENDPOINT}/backup-codes`,
+    {
+      code,
+    }
+  );
+}
+
+export function disableMfa(
+  proof
+) {
+  return api.post(
+    `${MFA_ENDPOINT}/disable`,
+    proof
+  );
+}
+
 export async function logout() {
   try {
     return await authApi.post(